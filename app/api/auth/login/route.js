@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
-import { authenticateUser, createSession } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { authenticateUser, createSession, getSessionCookieOptions, toUserProfile } from '@/lib/auth';
+import { createTwoFactorChallenge } from '@/lib/two-factor';
+import { loginRateLimiter, getClientIp, getLoginKeys, tooManyAttemptsResponse } from '@/lib/rate-limit';
 
 export async function POST(request) {
   try {
@@ -12,35 +15,53 @@ export async function POST(request) {
       );
     }
     
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return NextResponse.json(
+        { error: 'Username and password must be strings' },
+        { status: 400 }
+      );
+    }
+    
+    const keys = getLoginKeys(username.trim(), getClientIp(request));
+    const limit = await loginRateLimiter.check(keys);
+    if (!limit.allowed) {
+      return tooManyAttemptsResponse(limit.retryAfterSeconds);
+    }
+    
     const user = await authenticateUser(username, password);
     
     if (!user) {
+      const { retryAfterSeconds } = await loginRateLimiter.recordFailure(keys);
+      if (retryAfterSeconds > 0) {
+        return tooManyAttemptsResponse(retryAfterSeconds);
+      }
       return NextResponse.json(
         { error: 'Invalid username or password' },
         { status: 401 }
       );
     }
     
-    const session = await createSession(user.id);
-    console.log('Created session:', session.id, 'with token:', session.token.substring(0, 8) + '...');
+    // The password was right, but the session waits for the second factor;
+    // failures only reset once it's given
+    if (user.twoFactorEnabled) {
+      const challenge = await createTwoFactorChallenge(prisma, user.id, {
+        userAgent: request.headers.get('user-agent')
+      });
+      return NextResponse.json({ twoFactorRequired: true, challenge });
+    }
+    
+    await loginRateLimiter.reset(keys[0].key);
+    
+    const session = await createSession(user.id, {
+      userAgent: request.headers.get('user-agent')
+    });
     
     const response = NextResponse.json({
       success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name
-      }
+      user: toUserProfile(user)
     });
     
-    response.cookies.set('session-token', session.token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 365 * 24 * 60 * 60, // 1 year
-      path: '/'
-    });
-    console.log('Set cookie with token:', session.token.substring(0, 8) + '...');
+    response.cookies.set('session-token', session.token, getSessionCookieOptions());
     
     return response;
   } catch (error) {
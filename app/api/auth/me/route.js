@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
-import { getOptionalAuth } from '@/lib/middleware';
+import { prisma } from '@/lib/prisma';
+import { getOptionalAuth, requireAuth } from '@/lib/middleware';
+import { hashPassword, verifyPassword, revokeOtherSessions, USER_PROFILE_SELECT } from '@/lib/auth';
+import { validateUserPreferences } from '@/lib/validations';
 
 export async function GET(request) {
   try {
@@ -27,4 +30,65 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+/**
+ * PATCH /api/auth/me - Update the signed-in user's profile and preferences.
+ * Changing the password needs the current one and signs out every other session.
+ */
+export async function PATCH(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    const validation = validateUserPreferences(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const changesPassword = data.newPassword !== undefined;
+    if (changesPassword) {
+      const { password } = await prisma.user.findUnique({
+        where: { id: auth.user.id },
+        select: { password: true }
+      });
+
+      if (!(await verifyPassword(data.currentPassword, password))) {
+        return NextResponse.json(
+          { error: 'Current password is incorrect' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const user = await prisma.user.update({
+      where: { id: auth.user.id },
+      data: {
+        ...(data.name !== undefined && { name: data.name.trim() }),
+        ...(changesPassword && { password: await hashPassword(data.newPassword) }),
+        ...(data.weightUnit !== undefined && { weightUnit: data.weightUnit }),
+        ...(data.defaultRestSeconds !== undefined && { defaultRestSeconds: data.defaultRestSeconds }),
+        ...(data.weekStartDay !== undefined && { weekStartDay: data.weekStartDay }),
+        ...(data.timeZone !== undefined && { timeZone: data.timeZone })
+      },
+      select: USER_PROFILE_SELECT
+    });
+
+    if (changesPassword) {
+      await revokeOtherSessions(auth.user.id, auth.session.id);
+    }
+
+    return NextResponse.json({ user });
+  } catch (error) {
+    console.error('Error updating user preferences:', error);
+    return NextResponse.json(
+      { error: 'Failed to update preferences' },
+      { status: 500 }
+    );
+  }
+}
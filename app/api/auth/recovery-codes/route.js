@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { verifyUserPassword } from '@/lib/auth';
+import { countRecoveryCodes, replaceRecoveryCodes } from '@/lib/recovery-codes';
+
+/**
+ * GET /api/auth/recovery-codes - How many unused recovery codes the user has.
+ * The codes themselves are only ever shown when they're generated.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const remaining = await countRecoveryCodes(prisma, auth.user.id);
+
+    return NextResponse.json({ remaining });
+  } catch (error) {
+    console.error('Error fetching recovery codes:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch recovery codes' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/auth/recovery-codes - Replace the user's recovery codes with a
+ * new set, invalidating the old ones. Needs the current password.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { password } = await request.json();
+
+    if (!password) {
+      return NextResponse.json(
+        { error: 'Password is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!(await verifyUserPassword(auth.user.id, password))) {
+      return NextResponse.json(
+        { error: 'Password is incorrect' },
+        { status: 400 }
+      );
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(prisma, auth.user.id);
+
+    return NextResponse.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Error generating recovery codes:', error);
+    return NextResponse.json(
+      { error: 'Failed to generate recovery codes' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
-import { hashPassword, createSession } from '@/lib/auth';
+import { hashPassword, createSession, getSessionCookieOptions, toUserProfile } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
+import { MIN_PASSWORD_LENGTH } from '@/lib/validations';
+import { generateRecoveryCodes, toRecoveryCodeRows } from '@/lib/recovery-codes';
 
 export async function POST(request) {
   try {
@@ -13,9 +15,9 @@ export async function POST(request) {
       );
     }
     
-    if (password.length < 6) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return NextResponse.json(
-        { error: 'Password must be at least 6 characters long' },
+        { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` },
         { status: 400 }
       );
     }
@@ -34,31 +36,31 @@ export async function POST(request) {
     
     const hashedPassword = await hashPassword(password);
     
+    // Shown once in the response; only their hashes are stored
+    const recoveryCodes = generateRecoveryCodes();
+    
     const user = await prisma.user.create({
       data: {
         username,
         password: hashedPassword,
-        name
+        name,
+        recoveryCodes: {
+          create: toRecoveryCodeRows(recoveryCodes)
+        }
       }
     });
     
-    const session = await createSession(user.id);
+    const session = await createSession(user.id, {
+      userAgent: request.headers.get('user-agent')
+    });
     
     const response = NextResponse.json({
       success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name
-      }
+      user: toUserProfile(user),
+      recoveryCodes
     });
     
-    response.cookies.set('session-token', session.token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 365 * 24 * 60 * 60 // 1 year
-    });
+    response.cookies.set('session-token', session.token, getSessionCookieOptions());
     
     return response;
   } catch (error) {
@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { hashPassword } from '@/lib/auth';
+import { MIN_PASSWORD_LENGTH } from '@/lib/validations';
+import { consumeRecoveryCode, countRecoveryCodes } from '@/lib/recovery-codes';
+import { loginRateLimiter, getClientIp, getLoginKeys, tooManyAttemptsResponse } from '@/lib/rate-limit';
+
+/**
+ * POST /api/auth/reset-password - Set a new password with a one-time
+ * recovery code. Uses up the code, logs the account out everywhere and
+ * drops any pending two-factor sign-ins.
+ * Failures count towards the same rate limits as logins.
+ */
+export async function POST(request) {
+  try {
+    const { username, recoveryCode, newPassword } = await request.json();
+
+    if (!username || !recoveryCode || !newPassword) {
+      return NextResponse.json(
+        { error: 'Username, recovery code, and new password are required' },
+        { status: 400 }
+      );
+    }
+
+    if (
+      typeof username !== 'string' ||
+      typeof recoveryCode !== 'string' ||
+      typeof newPassword !== 'string'
+    ) {
+      return NextResponse.json(
+        { error: 'Username, recovery code, and new password must be strings' },
+        { status: 400 }
+      );
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return NextResponse.json(
+        { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` },
+        { status: 400 }
+      );
+    }
+
+    const keys = getLoginKeys(username.trim(), getClientIp(request));
+    const limit = await loginRateLimiter.check(keys);
+    if (!limit.allowed) {
+      return tooManyAttemptsResponse(limit.retryAfterSeconds);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { username: username.trim() },
+      select: { id: true }
+    });
+
+    // The code is used up in the same transaction as the password change, so
+    // a failed update leaves it unused
+    const reset = user && await prisma.$transaction(async (prisma) => {
+      if (!(await consumeRecoveryCode(prisma, user.id, recoveryCode))) return false;
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { password: await hashPassword(newPassword) }
+      });
+      await prisma.session.deleteMany({ where: { userId: user.id } });
+      // A second login step started with the old password can't finish either
+      await prisma.twoFactorChallenge.deleteMany({ where: { userId: user.id } });
+      return true;
+    });
+
+    if (!reset) {
+      const { retryAfterSeconds } = await loginRateLimiter.recordFailure(keys);
+      if (retryAfterSeconds > 0) {
+        return tooManyAttemptsResponse(retryAfterSeconds);
+      }
+      return NextResponse.json(
+        { error: 'Invalid username or recovery code' },
+        { status: 400 }
+      );
+    }
+
+    await loginRateLimiter.reset(keys[0].key);
+
+    const remainingCodes = await countRecoveryCodes(prisma, user.id);
+
+    return NextResponse.json({ success: true, remainingCodes });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return NextResponse.json(
+      { error: 'Failed to reset password' },
+      { status: 500 }
+    );
+  }
+}
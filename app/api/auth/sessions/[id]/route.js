@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { requireAuth } from '@/lib/middleware';
+import { revokeSession } from '@/lib/auth';
+
+/**
+ * DELETE /api/auth/sessions/[id] - Log out one of the user's other devices.
+ * The current session ends with POST /api/auth/logout instead.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { id } = await params;
+
+    if (id === auth.session.id) {
+      return NextResponse.json(
+        { error: 'Use sign out to end the current session' },
+        { status: 400 }
+      );
+    }
+
+    const revoked = await revokeSession(auth.user.id, id);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'Session not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke session' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { requireAuth } from '@/lib/middleware';
+import { listSessions, revokeOtherSessions } from '@/lib/auth';
+
+/**
+ * GET /api/auth/sessions - List the devices the user is logged in on, most
+ * recently used first. The session making the request has `current: true`.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const sessions = await listSessions(auth.user.id);
+
+    return NextResponse.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === auth.session.id
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch sessions' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/auth/sessions - Log out every other device, keeping the
+ * session making the request
+ */
+export async function DELETE(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const revoked = await revokeOtherSessions(auth.user.id, auth.session.id);
+
+    return NextResponse.json({ revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke sessions' },
+      { status: 500 }
+    );
+  }
+}
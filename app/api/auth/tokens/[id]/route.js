@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { revokeApiToken } from '@/lib/api-tokens';
+
+/**
+ * DELETE /api/auth/tokens/[id] - Revoke one of the user's API tokens
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const resolvedParams = await params;
+    const tokenId = parseInt(resolvedParams.id);
+
+    if (isNaN(tokenId)) {
+      return NextResponse.json(
+        { error: 'Invalid API token ID' },
+        { status: 400 }
+      );
+    }
+
+    const revoked = await revokeApiToken(prisma, auth.user.id, tokenId);
+
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'API token not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ message: 'API token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke API token' },
+      { status: 500 }
+    );
+  }
+}
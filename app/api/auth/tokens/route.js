@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { createApiToken, listApiTokens } from '@/lib/api-tokens';
+import { validateApiToken } from '@/lib/validations';
+
+/**
+ * GET /api/auth/tokens - List the user's personal API tokens, newest first.
+ * Tokens themselves are never returned after creation.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const tokens = await listApiTokens(prisma, auth.user.id);
+
+    return NextResponse.json({ tokens });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch API tokens' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/auth/tokens - Create a personal API token. The response is the
+ * only time the token is shown.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    const validation = validateApiToken(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const token = await createApiToken(prisma, auth.user.id, data);
+
+    return NextResponse.json(token, { status: 201 });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    return NextResponse.json(
+      { error: 'Failed to create API token' },
+      { status: 500 }
+    );
+  }
+}
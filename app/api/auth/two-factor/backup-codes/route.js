@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { verifyUserPassword } from '@/lib/auth';
+import { getTwoFactorUser, replaceBackupCodes } from '@/lib/two-factor';
+
+/**
+ * POST /api/auth/two-factor/backup-codes - Replace the user's backup codes
+ * with a new set, invalidating the old ones. Needs the current password.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { password } = await request.json();
+
+    if (!(await verifyUserPassword(auth.user.id, password))) {
+      return NextResponse.json(
+        { error: 'Password is incorrect' },
+        { status: 400 }
+      );
+    }
+
+    const user = await getTwoFactorUser(prisma, auth.user.id);
+
+    if (!user.totpEnabledAt) {
+      return NextResponse.json(
+        { error: 'Two-factor authentication is not enabled' },
+        { status: 400 }
+      );
+    }
+
+    const backupCodes = await replaceBackupCodes(prisma, auth.user.id);
+
+    return NextResponse.json({ backupCodes });
+  } catch (error) {
+    console.error('Error generating backup codes:', error);
+    return NextResponse.json(
+      { error: 'Failed to generate backup codes' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,112 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { verifyUserPassword } from '@/lib/auth';
+import {
+  getTwoFactorUser,
+  enableTwoFactor,
+  disableTwoFactor,
+  countBackupCodes
+} from '@/lib/two-factor';
+
+/**
+ * GET /api/auth/two-factor - Whether two-factor authentication is on, and
+ * how many backup codes are left
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const user = await getTwoFactorUser(prisma, auth.user.id);
+    const enabled = Boolean(user.totpEnabledAt);
+
+    return NextResponse.json({
+      enabled,
+      backupCodesRemaining: enabled ? await countBackupCodes(prisma, auth.user.id) : 0
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch two-factor status' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/auth/two-factor - Turn two-factor authentication on with the
+ * first code from the authenticator app set up by POST /api/auth/two-factor/setup.
+ * Returns the backup codes, which are only shown this once.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { code } = await request.json();
+
+    const user = await getTwoFactorUser(prisma, auth.user.id);
+
+    if (user.totpEnabledAt) {
+      return NextResponse.json(
+        { error: 'Two-factor authentication is already enabled' },
+        { status: 409 }
+      );
+    }
+
+    if (!user.totpSecret) {
+      return NextResponse.json(
+        { error: 'Start two-factor setup first' },
+        { status: 400 }
+      );
+    }
+
+    const backupCodes = await enableTwoFactor(prisma, user, code);
+
+    if (!backupCodes) {
+      return NextResponse.json(
+        { error: 'Invalid authentication code' },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({ enabled: true, backupCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    return NextResponse.json(
+      { error: 'Failed to enable two-factor authentication' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/auth/two-factor - Turn two-factor authentication off. Needs
+ * the current password.
+ */
+export async function DELETE(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { password } = await request.json();
+
+    if (!(await verifyUserPassword(auth.user.id, password))) {
+      return NextResponse.json(
+        { error: 'Password is incorrect' },
+        { status: 400 }
+      );
+    }
+
+    await disableTwoFactor(prisma, auth.user.id);
+
+    return NextResponse.json({ enabled: false });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    return NextResponse.json(
+      { error: 'Failed to disable two-factor authentication' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { verifyUserPassword } from '@/lib/auth';
+import { getTwoFactorUser, startTwoFactorSetup } from '@/lib/two-factor';
+
+/**
+ * POST /api/auth/two-factor/setup - Generate a TOTP secret for the
+ * authenticator app. Needs the current password; nothing changes at login
+ * until a code confirms the app with POST /api/auth/two-factor.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { password } = await request.json();
+
+    if (!(await verifyUserPassword(auth.user.id, password))) {
+      return NextResponse.json(
+        { error: 'Password is incorrect' },
+        { status: 400 }
+      );
+    }
+
+    const user = await getTwoFactorUser(prisma, auth.user.id);
+
+    if (user.totpEnabledAt) {
+      return NextResponse.json(
+        { error: 'Two-factor authentication is already enabled' },
+        { status: 409 }
+      );
+    }
+
+    const setup = await startTwoFactorSetup(prisma, user);
+
+    return NextResponse.json(setup);
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    return NextResponse.json(
+      { error: 'Failed to start two-factor setup' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { createSession, getSessionCookieOptions, toUserProfile } from '@/lib/auth';
+import { consumeTwoFactorChallenge, findTwoFactorChallenge, verifySecondFactor } from '@/lib/two-factor';
+import { loginRateLimiter, getClientIp, getLoginKeys, tooManyAttemptsResponse } from '@/lib/rate-limit';
+
+// Thrown to roll back the challenge claim when the code is wrong
+class InvalidCodeError extends Error {}
+
+/**
+ * POST /api/auth/two-factor/verify - Second login step: exchange the
+ * challenge from POST /api/auth/login and a TOTP or backup code for a
+ * session. Failures count towards the login rate limits.
+ */
+export async function POST(request) {
+  try {
+    const { challenge: token, code } = await request.json();
+
+    if (!token || !code) {
+      return NextResponse.json(
+        { error: 'Challenge and code are required' },
+        { status: 400 }
+      );
+    }
+
+    const challenge = await findTwoFactorChallenge(prisma, token);
+
+    if (!challenge) {
+      return NextResponse.json(
+        { error: 'Sign-in expired. Please sign in again.' },
+        { status: 401 }
+      );
+    }
+
+    const keys = getLoginKeys(challenge.user.username, getClientIp(request));
+    const limit = await loginRateLimiter.check(keys);
+    if (!limit.allowed) {
+      return tooManyAttemptsResponse(limit.retryAfterSeconds);
+    }
+
+    // Claim the challenge and check the code in one transaction. A lost race
+    // or an expired challenge leaves the code unused, and a wrong code rolls
+    // the claim back so the user can try again.
+    let claimed;
+    try {
+      claimed = await prisma.$transaction(async (prisma) => {
+        if (!(await consumeTwoFactorChallenge(prisma, challenge.id))) {
+          return false;
+        }
+        if (!(await verifySecondFactor(prisma, challenge.user, code))) {
+          throw new InvalidCodeError();
+        }
+        return true;
+      });
+    } catch (error) {
+      if (!(error instanceof InvalidCodeError)) throw error;
+
+      const { retryAfterSeconds } = await loginRateLimiter.recordFailure(keys);
+      if (retryAfterSeconds > 0) {
+        return tooManyAttemptsResponse(retryAfterSeconds);
+      }
+      return NextResponse.json(
+        { error: 'Invalid authentication code' },
+        { status: 400 }
+      );
+    }
+
+    // Another request may have redeemed the challenge in the meantime
+    if (!claimed) {
+      return NextResponse.json(
+        { error: 'Sign-in expired. Please sign in again.' },
+        { status: 401 }
+      );
+    }
+
+    await loginRateLimiter.reset(keys[0].key);
+
+    const session = await createSession(challenge.userId, {
+      userAgent: challenge.userAgent
+    });
+
+    const response = NextResponse.json({
+      success: true,
+      user: toUserProfile(challenge.user)
+    });
+
+    response.cookies.set('session-token', session.token, getSessionCookieOptions());
+
+    return response;
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
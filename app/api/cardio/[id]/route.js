@@ -0,0 +1,179 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { validateCardioEntry } from '@/lib/validations';
+import {
+  CARDIO_INTERVALS_INCLUDE,
+  buildCardioData,
+  buildCardioIntervalsCreateData
+} from '@/lib/cardio';
+
+/**
+ * Find a cardio entry owned by the user
+ * @param {number} entryId - Cardio entry id
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<Object|null>} The entry with its intervals, or null if missing or not owned
+ */
+async function findOwnedCardioEntry(entryId, userId) {
+  return prisma.cardioEntry.findUnique({
+    where: {
+      id: entryId,
+      userId
+    },
+    include: CARDIO_INTERVALS_INCLUDE
+  });
+}
+
+/**
+ * GET /api/cardio/[id] - Get a cardio entry with its intervals
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
+    if (auth instanceof NextResponse) return auth;
+
+    const resolvedParams = await params;
+    const entryId = parseInt(resolvedParams.id);
+
+    if (isNaN(entryId)) {
+      return NextResponse.json(
+        { error: 'Invalid cardio entry ID' },
+        { status: 400 }
+      );
+    }
+
+    const entry = await findOwnedCardioEntry(entryId, auth.user.id);
+    if (!entry) {
+      return NextResponse.json(
+        { error: 'Cardio entry not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(entry);
+  } catch (error) {
+    console.error('Error fetching cardio entry:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch cardio entry' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/cardio/[id] - Replace a cardio entry and its intervals. Leaving out
+ * date or workoutId keeps them; a null workoutId detaches the entry.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
+    if (auth instanceof NextResponse) return auth;
+
+    const resolvedParams = await params;
+    const entryId = parseInt(resolvedParams.id);
+
+    if (isNaN(entryId)) {
+      return NextResponse.json(
+        { error: 'Invalid cardio entry ID' },
+        { status: 400 }
+      );
+    }
+
+    const entry = await findOwnedCardioEntry(entryId, auth.user.id);
+    if (!entry) {
+      return NextResponse.json(
+        { error: 'Cardio entry not found' },
+        { status: 404 }
+      );
+    }
+
+    const data = await request.json();
+
+    const validation = validateCardioEntry(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    if (data.workoutId) {
+      const workout = await prisma.workout.findUnique({
+        where: {
+          id: data.workoutId,
+          userId: auth.user.id
+        },
+        select: { id: true }
+      });
+
+      if (!workout) {
+        return NextResponse.json(
+          { error: 'Workout not found' },
+          { status: 404 }
+        );
+      }
+    }
+
+    const updated = await prisma.cardioEntry.update({
+      where: { id: entry.id },
+      data: {
+        ...buildCardioData(data),
+        ...(data.date && { date: new Date(data.date) }),
+        ...(data.workoutId !== undefined && { workoutId: data.workoutId }),
+        intervals: {
+          deleteMany: {},
+          create: buildCardioIntervalsCreateData(data.intervals)
+        }
+      },
+      include: CARDIO_INTERVALS_INCLUDE
+    });
+
+    return NextResponse.json(updated);
+  } catch (error) {
+    console.error('Error updating cardio entry:', error);
+    return NextResponse.json(
+      { error: 'Failed to update cardio entry' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/cardio/[id] - Delete a cardio entry and its intervals
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
+    if (auth instanceof NextResponse) return auth;
+
+    const resolvedParams = await params;
+    const entryId = parseInt(resolvedParams.id);
+
+    if (isNaN(entryId)) {
+      return NextResponse.json(
+        { error: 'Invalid cardio entry ID' },
+        { status: 400 }
+      );
+    }
+
+    const entry = await findOwnedCardioEntry(entryId, auth.user.id);
+    if (!entry) {
+      return NextResponse.json(
+        { error: 'Cardio entry not found' },
+        { status: 404 }
+      );
+    }
+
+    await prisma.cardioEntry.delete({
+      where: { id: entry.id }
+    });
+
+    return NextResponse.json({ message: 'Cardio entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting cardio entry:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete cardio entry' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { validateCardioEntry, MAX_INT } from '@/lib/validations';
+import { toMetricDate } from '@/lib/body-metrics';
+import { CARDIO_INTERVALS_INCLUDE, buildCardioCreateData } from '@/lib/cardio';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET /api/cardio - List the user's cardio entries with their intervals, newest first.
+ * ?from= and ?to= (YYYY-MM-DD) limit them to a date range, ?workoutId= to one workout's
+ * entries and ?standalone=true to those not attached to a workout.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
+    if (auth instanceof NextResponse) return auth;
+
+    const { searchParams } = new URL(request.url);
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const fromDate = from && toMetricDate(from);
+    const toDate = to && toMetricDate(to);
+
+    if ((from && !fromDate) || (to && !toDate)) {
+      return NextResponse.json(
+        { error: 'from and to must be valid dates' },
+        { status: 400 }
+      );
+    }
+
+    const workoutIdParam = searchParams.get('workoutId');
+    const workoutId = workoutIdParam === null ? null : Number(workoutIdParam);
+    if (workoutIdParam !== null && (!/^[1-9]\d*$/.test(workoutIdParam) || workoutId > MAX_INT)) {
+      return NextResponse.json(
+        { error: 'Invalid workout ID' },
+        { status: 400 }
+      );
+    }
+
+    const entries = await prisma.cardioEntry.findMany({
+      where: {
+        userId: auth.user.id,
+        ...(workoutId !== null && { workoutId }),
+        ...(searchParams.get('standalone') === 'true' && { workoutId: null }),
+        ...((fromDate || toDate) && {
+          date: {
+            ...(fromDate && { gte: fromDate }),
+            // Entries carry a time of day, so "to" covers the whole day
+            ...(toDate && { lt: new Date(toDate.getTime() + DAY_MS) })
+          }
+        })
+      },
+      include: CARDIO_INTERVALS_INCLUDE,
+      orderBy: { date: 'desc' }
+    });
+
+    return NextResponse.json(entries);
+  } catch (error) {
+    console.error('Error fetching cardio entries:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch cardio entries' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/cardio - Log a cardio entry, on its own or attached to one of the
+ * user's workouts. Entries attached to a workout default to its date.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    const validation = validateCardioEntry(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    let workout = null;
+    if (data.workoutId) {
+      workout = await prisma.workout.findUnique({
+        where: {
+          id: data.workoutId,
+          userId: auth.user.id
+        },
+        select: { id: true, date: true }
+      });
+
+      if (!workout) {
+        return NextResponse.json(
+          { error: 'Workout not found' },
+          { status: 404 }
+        );
+      }
+    }
+
+    const entry = await prisma.cardioEntry.create({
+      data: buildCardioCreateData(data, {
+        userId: auth.user.id,
+        workoutId: workout?.id ?? null,
+        date: data.date ? new Date(data.date) : workout?.date ?? new Date()
+      }),
+      include: CARDIO_INTERVALS_INCLUDE
+    });
+
+    return NextResponse.json(entry, { status: 201 });
+  } catch (error) {
+    console.error('Error logging cardio:', error);
+    return NextResponse.json(
+      { error: 'Failed to log cardio' },
+      { status: 500 }
+    );
+  }
+}
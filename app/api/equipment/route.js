@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { validateEquipmentProfile } from '@/lib/validations';
+import { getEquipmentProfile } from '@/lib/equipment';
+
+/**
+ * GET /api/equipment - Get the user's equipment in their weight unit.
+ * Users without a profile get the standard equipment for their unit.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const profile = await prisma.equipmentProfile.findUnique({
+      where: { userId: auth.user.id }
+    });
+
+    return NextResponse.json({
+      equipment: getEquipmentProfile(profile, auth.user.weightUnit),
+      isDefault: !profile
+    });
+  } catch (error) {
+    console.error('Error fetching equipment profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch equipment profile' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/equipment - Save the user's equipment. Weights are in weightUnit,
+ * which defaults to the user's unit.
+ */
+export async function PUT(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    const validation = validateEquipmentProfile(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const equipment = {
+      weightUnit: data.weightUnit || auth.user.weightUnit,
+      barWeight: data.barWeight,
+      plates: [...new Set(data.plates)].sort((a, b) => b - a),
+      dumbbellIncrement: data.dumbbellIncrement,
+      machineIncrement: data.machineIncrement
+    };
+
+    const profile = await prisma.equipmentProfile.upsert({
+      where: { userId: auth.user.id },
+      create: { userId: auth.user.id, ...equipment },
+      update: equipment
+    });
+
+    return NextResponse.json({
+      equipment: getEquipmentProfile(profile, auth.user.weightUnit),
+      isDefault: false
+    });
+  } catch (error) {
+    console.error('Error saving equipment profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to save equipment profile' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/equipment - Go back to the standard equipment for the user's unit
+ */
+export async function DELETE(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    await prisma.equipmentProfile.deleteMany({
+      where: { userId: auth.user.id }
+    });
+
+    return NextResponse.json({
+      equipment: getEquipmentProfile(null, auth.user.weightUnit),
+      isDefault: true
+    });
+  } catch (error) {
+    console.error('Error resetting equipment profile:', error);
+    return NextResponse.json(
+      { error: 'Failed to reset equipment profile' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,206 @@
+import { NextResponse } from 'next/server'
+import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { validateExerciseTemplate } from '@/lib/validations'
+import { getTrackingMode } from '@/lib/tracking-modes'
+import {
+  canViewExerciseTemplate,
+  canEditExerciseTemplate,
+  normalizeAliases,
+  unlinkedExercisesWhere
+} from '@/lib/exercise-library'
+
+/**
+ * GET /api/exercise-templates/[id] - Get a specific exercise library entry
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const exerciseTemplateId = parseInt(resolvedParams.id)
+
+    if (isNaN(exerciseTemplateId)) {
+      return NextResponse.json(
+        { error: 'Invalid exercise ID' },
+        { status: 400 }
+      )
+    }
+
+    const exerciseTemplate = await prisma.exerciseTemplate.findUnique({
+      where: { id: exerciseTemplateId }
+    })
+
+    // Other users' entries are reported as missing rather than forbidden
+    if (!canViewExerciseTemplate(exerciseTemplate, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Exercise not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(exerciseTemplate)
+  } catch (error) {
+    console.error('Error fetching exercise library entry:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch exercise' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * PUT /api/exercise-templates/[id] - Update one of the user's library entries
+ */
+export async function PUT(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const exerciseTemplateId = parseInt(resolvedParams.id)
+    const data = await request.json()
+
+    if (isNaN(exerciseTemplateId)) {
+      return NextResponse.json(
+        { error: 'Invalid exercise ID' },
+        { status: 400 }
+      )
+    }
+
+    const validation = validateExerciseTemplate(data)
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      )
+    }
+
+    const existing = await prisma.exerciseTemplate.findUnique({
+      where: { id: exerciseTemplateId }
+    })
+
+    if (!canViewExerciseTemplate(existing, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Exercise not found' },
+        { status: 404 }
+      )
+    }
+
+    if (!canEditExerciseTemplate(existing, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Cannot modify built-in exercises' },
+        { status: 403 }
+      )
+    }
+
+    const name = data.name.trim()
+
+    const exerciseTemplate = await prisma.$transaction(async (prisma) => {
+      const updated = await prisma.exerciseTemplate.update({
+        where: { id: exerciseTemplateId },
+        data: {
+          name,
+          aliases: normalizeAliases(data.aliases, name),
+          category: data.category?.trim() || null,
+          muscleGroups: data.muscleGroups?.trim() || null,
+          instructions: data.instructions?.trim() || null,
+          trackingMode: getTrackingMode(data)
+        }
+      })
+
+      // New aliases pick up exercises logged under those names
+      await prisma.exercise.updateMany({
+        where: unlinkedExercisesWhere(updated, auth.user.id),
+        data: { exerciseTemplateId: updated.id }
+      })
+
+      return updated
+    })
+
+    return NextResponse.json(exerciseTemplate)
+  } catch (error) {
+    console.error('Error updating exercise library entry:', error)
+
+    // Handle unique constraint violation
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { error: 'An exercise with this name already exists in your library' },
+        { status: 409 }
+      )
+    }
+
+    // Handle not found
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Exercise not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to update exercise' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * DELETE /api/exercise-templates/[id] - Delete one of the user's library entries.
+ * Logged exercises keep their name and are unlinked.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const exerciseTemplateId = parseInt(resolvedParams.id)
+
+    if (isNaN(exerciseTemplateId)) {
+      return NextResponse.json(
+        { error: 'Invalid exercise ID' },
+        { status: 400 }
+      )
+    }
+
+    const exerciseTemplate = await prisma.exerciseTemplate.findUnique({
+      where: { id: exerciseTemplateId }
+    })
+
+    if (!canViewExerciseTemplate(exerciseTemplate, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Exercise not found' },
+        { status: 404 }
+      )
+    }
+
+    if (!canEditExerciseTemplate(exerciseTemplate, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Cannot delete built-in exercises' },
+        { status: 403 }
+      )
+    }
+
+    await prisma.exerciseTemplate.delete({
+      where: { id: exerciseTemplateId }
+    })
+
+    return NextResponse.json({ message: 'Exercise deleted successfully' })
+  } catch (error) {
+    console.error('Error deleting exercise library entry:', error)
+
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Exercise not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to delete exercise' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server'
+import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { validateExerciseTemplate } from '@/lib/validations'
+import { getTrackingMode } from '@/lib/tracking-modes'
+import {
+  visibleExerciseTemplatesWhere,
+  matchesExerciseSearch,
+  normalizeAliases,
+  unlinkedExercisesWhere
+} from '@/lib/exercise-library'
+
+/**
+ * GET /api/exercise-templates - Get the exercise library visible to the user,
+ * optionally filtered by ?q= against names and aliases
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const { searchParams } = new URL(request.url)
+    const query = searchParams.get('q') || ''
+
+    const exerciseTemplates = await prisma.exerciseTemplate.findMany({
+      where: visibleExerciseTemplatesWhere(auth.user.id),
+      orderBy: { name: 'asc' }
+    })
+
+    return NextResponse.json(
+      exerciseTemplates.filter((entry) => matchesExerciseSearch(entry, query))
+    )
+  } catch (error) {
+    console.error('Error fetching exercise library:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch exercise library' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * POST /api/exercise-templates - Add an exercise to the user's library and
+ * link their previously logged exercises with the same name or an alias
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const data = await request.json()
+
+    const validation = validateExerciseTemplate(data)
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      )
+    }
+
+    const name = data.name.trim()
+
+    const exerciseTemplate = await prisma.$transaction(async (prisma) => {
+      const created = await prisma.exerciseTemplate.create({
+        data: {
+          userId: auth.user.id,
+          name,
+          aliases: normalizeAliases(data.aliases, name),
+          category: data.category?.trim() || null,
+          muscleGroups: data.muscleGroups?.trim() || null,
+          instructions: data.instructions?.trim() || null,
+          trackingMode: getTrackingMode(data)
+        }
+      })
+
+      await prisma.exercise.updateMany({
+        where: unlinkedExercisesWhere(created, auth.user.id),
+        data: { exerciseTemplateId: created.id }
+      })
+
+      return created
+    })
+
+    return NextResponse.json(exerciseTemplate, { status: 201 })
+  } catch (error) {
+    console.error('Error creating exercise library entry:', error)
+
+    // Handle unique constraint violation
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { error: 'An exercise with this name already exists in your library' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to create exercise' },
+      { status: 500 }
+    )
+  }
+}
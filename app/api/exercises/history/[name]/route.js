@@ -1,15 +1,19 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
-import { parseSetsData, calculateExerciseSummary } from '@/lib/migrate-sets';
+import { toApiSet } from '@/lib/exercise-sets';
 import { requireAuth } from '@/lib/middleware';
 import { getLocalDateKey } from '@/lib/dateUtils';
+import { KG_PER_LB, normalizeWeightUnit, convertSets, fromKg } from '@/lib/units';
+import { loadExerciseLookup, findExerciseTemplate, getExerciseNameKeys, normalizeExerciseName } from '@/lib/exercise-library';
 
 /**
- * GET /api/exercises/history/[name] - Get exercise history by name
+ * GET /api/exercises/history/[name] - Get exercise history by name. Names
+ * and aliases from the exercise library resolve to the same history. Weights
+ * are in the user's unit, whatever unit each set was logged in.
  */
 export async function GET(request, { params }) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
     if (auth instanceof NextResponse) return auth;
     
     // Await params in Next.js 15+
@@ -23,32 +27,73 @@ export async function GET(request, { params }) {
       );
     }
 
+    // Sessions linked to the library entry, plus unlinked ones logged under
+    // its name or an alias
+    const library = await loadExerciseLookup(prisma, auth.user.id);
+    const exerciseTemplate = findExerciseTemplate(library, exerciseName);
+    const exerciseTemplateId = exerciseTemplate ? exerciseTemplate.id : null;
+    const nameKeys = exerciseTemplate
+      ? getExerciseNameKeys(exerciseTemplate)
+      : [normalizeExerciseName(exerciseName)];
+
+    // Per-session summaries are aggregated in SQL from the exercise_sets table,
+    // with every set's weight converted to kg first and warm-ups left out of
+    // volume. Only weight × reps sessions have a volume; timed and distance
+    // sessions total their time and distance instead.
     const exercises = await prisma.$queryRaw`
-      SELECT e.*, w.id as workout_id, w.title as workout_title, w.date as workout_date
+      SELECT e.id, e.tracking_mode, w.id AS workout_id, w.title AS workout_title, w.date AS workout_date,
+        COUNT(s.id)::int AS total_sets,
+        COALESCE(SUM(s.reps), 0)::int AS total_reps,
+        COALESCE(MAX(s.weight_kg), 0)::float AS max_weight,
+        COALESCE(SUM(CASE WHEN s.set_type <> 'WARMUP' AND e.tracking_mode = 'WEIGHT_REPS' THEN s.reps * COALESCE(s.weight_kg, 0) END), 0)::float AS total_volume,
+        COALESCE(SUM(CASE WHEN s.set_type <> 'WARMUP' THEN s.duration_seconds END), 0)::int AS total_duration,
+        COALESCE(SUM(CASE WHEN s.set_type <> 'WARMUP' THEN s.distance_meters END), 0)::float AS total_distance
       FROM exercises e
       JOIN workouts w ON e.workout_id = w.id
-      WHERE LOWER(e.name) = LOWER(${exerciseName})
+      LEFT JOIN (
+        SELECT id, exercise_id, reps, set_type, duration_seconds, distance_meters,
+          CASE WHEN weight_unit = 'lb' THEN weight * ${KG_PER_LB} ELSE weight END AS weight_kg
+        FROM exercise_sets
+      ) s ON s.exercise_id = e.id
+      WHERE (
+          e.exercise_template_id = ${exerciseTemplateId}
+          OR (e.exercise_template_id IS NULL AND LOWER(REGEXP_REPLACE(TRIM(e.name), '\\s+', ' ', 'g')) = ANY(${nameKeys}))
+        )
         AND w.user_id = ${auth.user.id}
+      GROUP BY e.id, w.id
       ORDER BY w.date DESC
     `;
 
-    // Transform the data to match the expected format
-    const history = exercises.map(exercise => {
-      const sets = parseSetsData(exercise.sets_data);
-      const summary = calculateExerciseSummary(sets);
-      
-      return {
-        date: getLocalDateKey(exercise.workout_date),
-        sets: sets,
-        // For backwards compatibility, provide summary data
-        totalSets: summary.totalSets,
-        totalReps: summary.totalReps,
-        maxWeight: summary.maxWeight,
-        totalVolume: summary.totalVolume,
-        workoutTitle: exercise.workout_title
-      };
+    const sets = exercises.length > 0
+      ? await prisma.exerciseSet.findMany({
+          where: { exerciseId: { in: exercises.map(exercise => exercise.id) } },
+          orderBy: { orderIndex: 'asc' }
+        })
+      : [];
+
+    const weightUnit = normalizeWeightUnit(auth.user.weightUnit);
+    const setsByExercise = {};
+    convertSets(sets, weightUnit).forEach(set => {
+      if (!setsByExercise[set.exerciseId]) setsByExercise[set.exerciseId] = [];
+      setsByExercise[set.exerciseId].push(toApiSet(set));
     });
 
+    // Transform the data to match the expected format
+    const history = exercises.map(exercise => ({
+      date: getLocalDateKey(exercise.workout_date),
+      sets: setsByExercise[exercise.id] || [],
+      // For backwards compatibility, provide summary data
+      totalSets: exercise.total_sets,
+      totalReps: exercise.total_reps,
+      maxWeight: fromKg(exercise.max_weight, weightUnit),
+      totalVolume: fromKg(exercise.total_volume, weightUnit),
+      totalDuration: exercise.total_duration,
+      totalDistance: exercise.total_distance,
+      trackingMode: exercise.tracking_mode,
+      workoutId: exercise.workout_id,
+      workoutTitle: exercise.workout_title
+    }));
+
     return NextResponse.json(history);
   } catch (error) {
     console.error('Error fetching exercise history:', error);
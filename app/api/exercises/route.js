@@ -1,15 +1,16 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
 import { validateExercise } from '@/lib/validations';
-import { parseSetsData } from '@/lib/migrate-sets';
+import { ORDERED_SETS_INCLUDE, buildExerciseCreateData, withApiSets } from '@/lib/exercise-sets';
 import { requireAuth } from '@/lib/middleware';
+import { loadExerciseLookup } from '@/lib/exercise-library';
 
 /**
  * GET /api/exercises - Get all exercises or exercises for a specific workout
  */
 export async function GET(request) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
     if (auth instanceof NextResponse) return auth;
     
     const { searchParams } = new URL(request.url);
@@ -33,6 +34,7 @@ export async function GET(request) {
             userId: auth.user.id
           }
         },
+        include: ORDERED_SETS_INCLUDE,
         orderBy: { orderIndex: 'asc' }
       });
     } else {
@@ -43,6 +45,7 @@ export async function GET(request) {
           }
         },
         include: {
+          ...ORDERED_SETS_INCLUDE,
           workout: {
             select: {
               id: true,
@@ -55,13 +58,7 @@ export async function GET(request) {
       });
     }
 
-    // Parse sets data for each exercise
-    const parsedExercises = exercises.map(exercise => ({
-      ...exercise,
-      sets: parseSetsData(exercise.setsData)
-    }));
-
-    return NextResponse.json(parsedExercises);
+    return NextResponse.json(exercises.map(withApiSets));
   } catch (error) {
     console.error('Error fetching exercises:', error);
     return NextResponse.json(
@@ -76,7 +73,7 @@ export async function GET(request) {
  */
 export async function POST(request) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
     if (auth instanceof NextResponse) return auth;
     
     const data = await request.json();
@@ -107,24 +104,18 @@ export async function POST(request) {
       }
     }
 
+    // Link the exercise to the user's exercise library by name or alias
+    const library = await loadExerciseLookup(prisma, auth.user.id);
+
     const exercise = await prisma.exercise.create({
       data: {
         workoutId: data.workoutId,
-        name: data.name,
-        setsData: JSON.stringify(data.sets),
-        restSeconds: data.restSeconds || null,
-        notes: data.notes || null,
-        orderIndex: data.orderIndex || 0,
-      }
+        ...buildExerciseCreateData(data, 0, library, auth.user.weightUnit),
+      },
+      include: ORDERED_SETS_INCLUDE
     });
 
-    // Parse sets data for response
-    const exerciseWithParsedSets = {
-      ...exercise,
-      sets: parseSetsData(exercise.setsData)
-    };
-
-    return NextResponse.json(exerciseWithParsedSets, { status: 201 });
+    return NextResponse.json(withApiSets(exercise), { status: 201 });
   } catch (error) {
     console.error('Error creating exercise:', error);
     return NextResponse.json(
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { restoreExportDocument } from '@/lib/data-export';
+import { loadExerciseLookup } from '@/lib/exercise-library';
+import { rebuildPersonalRecords } from '@/lib/personal-records';
+import { validateExportDocument } from '@/lib/validations';
+
+// Restoring years of history is many writes; give the transaction room
+const RESTORE_TRANSACTION_TIMEOUT_MS = 120000;
+
+/**
+ * POST /api/export/restore - Restore a JSON export from GET /api/export into
+ * the user's account. ?skipDuplicates=false also restores workouts that are
+ * already logged with the same title on the same day, and
+ * ?applyPreferences=true replaces the user's preferences with the file's.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    let document;
+    try {
+      document = await request.json();
+    } catch {
+      return NextResponse.json(
+        { error: 'File is not a Gym Pad export' },
+        { status: 400 }
+      );
+    }
+
+    const validation = validateExportDocument(document);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const skipDuplicates = searchParams.get('skipDuplicates') !== 'false';
+    const applyPreferences = searchParams.get('applyPreferences') === 'true';
+
+    // All or nothing: a failure part way through leaves no partial restore
+    const restored = await prisma.$transaction(async (prisma) => {
+      const counts = await restoreExportDocument(prisma, auth.user.id, document, { skipDuplicates, applyPreferences });
+
+      // Restored history can set new PRs or beat existing ones
+      if (counts.workouts > 0) {
+        await rebuildPersonalRecords(prisma, auth.user.id, await loadExerciseLookup(prisma, auth.user.id));
+      }
+
+      return counts;
+    }, { timeout: RESTORE_TRANSACTION_TIMEOUT_MS });
+
+    return NextResponse.json({ restored }, { status: 201 });
+  } catch (error) {
+    console.error('Error restoring export:', error);
+    return NextResponse.json(
+      { error: 'Failed to restore export' },
+      { status: 500 }
+    );
+  }
+}
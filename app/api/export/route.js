@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import {
+  jsonExportChunks,
+  csvExportChunks,
+  createExportStream
+} from '@/lib/data-export';
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * GET /api/export - Download all of the user's data.
+ * ?format=json (default) is the versioned document POST /api/export/restore
+ * accepts; ?format=csv is one row per set for spreadsheets.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'json';
+
+    if (!EXPORT_CONTENT_TYPES[format]) {
+      return NextResponse.json(
+        { error: 'Format must be json or csv' },
+        { status: 400 }
+      );
+    }
+
+    const chunks = format === 'csv'
+      ? csvExportChunks(prisma, auth.user)
+      : jsonExportChunks(prisma, auth.user);
+    const filename = `gym-pad-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    return new Response(createExportStream(chunks), {
+      headers: {
+        'Content-Type': EXPORT_CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    return NextResponse.json(
+      { error: 'Failed to export data' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,46 +1,92 @@
 import { NextResponse } from 'next/server'
 import { prisma } from '@/lib/prisma'
-import { parseSetsData, calculateExerciseSummary } from '@/lib/migrate-sets'
+import { calculateExerciseSummary } from '@/lib/migrate-sets'
+import { ORDERED_SETS_INCLUDE, toApiSet } from '@/lib/exercise-sets'
 import { requireAuth } from '@/lib/middleware'
 import { getLocalDateKey } from '@/lib/dateUtils'
 import { getProgressionSuggestion, categorizeExercises, PROGRESSION_STATUS } from '@/lib/progression-suggestions'
-import { calculateVolumeAnalytics, buildMuscleGroupMap } from '@/lib/volume-analytics'
+import { calculateVolumeAnalytics, buildMuscleGroupMap, aggregateBodyweightByWeek } from '@/lib/volume-analytics'
+import { visibleTemplatesWhere } from '@/lib/template-access'
+import { loadExerciseLookup } from '@/lib/exercise-library'
+import { applyBodyweight, summarizeBodyMetrics } from '@/lib/body-metrics'
+import { normalizeWeightUnit, convertSets, convertWorkoutSets, fromKg } from '@/lib/units'
+import { getTrackingMode } from '@/lib/tracking-modes'
+import { CARDIO_INTERVALS_INCLUDE } from '@/lib/cardio'
+import { loadEquipmentProfile, getEquipmentType } from '@/lib/equipment'
 
 /**
- * GET /api/insights - Get training insights with progression suggestions for all exercises
+ * GET /api/insights - Get training insights with progression suggestions for all exercises.
+ * Weights, volumes and bodyweight are in the user's unit.
  */
 export async function GET(request) {
   try {
-    const auth = await requireAuth(request)
+    const auth = await requireAuth(request, { scope: 'insights:read' })
     if (auth instanceof NextResponse) return auth
 
-    // Get all unique exercise names for this user
-    const uniqueExercises = await prisma.$queryRaw`
-      SELECT DISTINCT e.name
-      FROM exercises e
-      JOIN workouts w ON e.workout_id = w.id
-      WHERE w.user_id = ${auth.user.id}
-      ORDER BY e.name
+    const weightUnit = normalizeWeightUnit(auth.user.weightUnit)
+
+    // Last 5 sessions of every exercise this user has logged, in one query.
+    // Exercises linked to the library are grouped by entry, so aliases and
+    // spelling variants share one history; unlinked ones fall back to the name.
+    const recentExercises = await prisma.$queryRaw`
+      SELECT ranked.*
+      FROM (
+        SELECT e.id, e.name, e.tracking_mode, et.name AS library_name, et.category AS library_category,
+          w.title AS workout_title,
+          w.date AS workout_date, w.template_id,
+          COALESCE('library:' || e.exercise_template_id, 'name:' || LOWER(e.name)) AS exercise_key,
+          ROW_NUMBER() OVER (
+            PARTITION BY COALESCE('library:' || e.exercise_template_id, 'name:' || LOWER(e.name))
+            ORDER BY w.date DESC
+          ) AS session_rank
+        FROM exercises e
+        JOIN workouts w ON e.workout_id = w.id
+        LEFT JOIN exercise_templates et ON e.exercise_template_id = et.id
+        WHERE w.user_id = ${auth.user.id}
+      ) ranked
+      WHERE ranked.session_rank <= 5
+      ORDER BY ranked.exercise_key, ranked.workout_date DESC
     `
 
-    // For each exercise, get recent history and calculate suggestions
+    const recentSets = recentExercises.length > 0
+      ? await prisma.exerciseSet.findMany({
+          where: { exerciseId: { in: recentExercises.map((e) => e.id) } },
+          orderBy: { orderIndex: 'asc' }
+        })
+      : []
+
+    const setsByExercise = {}
+    convertSets(recentSets, weightUnit).forEach((set) => {
+      if (!setsByExercise[set.exerciseId]) setsByExercise[set.exerciseId] = []
+      setsByExercise[set.exerciseId].push(toApiSet(set))
+    })
+
+    // Group sessions by exercise, named after the library entry or the most
+    // recent spelling
+    const historyByExercise = new Map()
+    recentExercises.forEach((row) => {
+      const key = row.exercise_key
+      if (!historyByExercise.has(key)) historyByExercise.set(key, [])
+      historyByExercise.get(key).push(row)
+    })
+
+    // For each exercise, calculate suggestions from its recent history.
+    // Suggestions add weight or reps, so only exercises last logged by weight
+    // × reps get one, from their sessions logged that way. Weight changes are
+    // rounded to what the user's equipment can load.
+    const equipment = await loadEquipmentProfile(prisma, auth.user.id, weightUnit)
+    const isWeightSession = (h) => getTrackingMode({ trackingMode: h.tracking_mode }) === 'WEIGHT_REPS'
+    const weightHistories = Array.from(historyByExercise.values())
+      .filter((history) => isWeightSession(history[0]))
+      .map((history) => history.filter(isWeightSession))
     const exercisesWithSuggestions = await Promise.all(
-      uniqueExercises.map(async (exercise) => {
-        // Get last 5 workout sessions for this exercise
-        const history = await prisma.$queryRaw`
-          SELECT e.*, w.id as workout_id, w.title as workout_title, w.date as workout_date, w.template_id
-          FROM exercises e
-          JOIN workouts w ON e.workout_id = w.id
-          WHERE LOWER(e.name) = LOWER(${exercise.name})
-            AND w.user_id = ${auth.user.id}
-          ORDER BY w.date DESC
-          LIMIT 5
-        `
+      weightHistories.map(async (history) => {
+        const name = history[0].library_name || history[0].name
 
         // Transform history
         const formattedHistory = history.map((h) => {
-          const sets = parseSetsData(h.sets_data)
-          const summary = calculateExerciseSummary(sets)
+          const sets = setsByExercise[h.id] || []
+          const summary = calculateExerciseSummary(sets, h.tracking_mode)
           return {
             date: getLocalDateKey(h.workout_date),
             sets,
@@ -54,11 +100,11 @@ export async function GET(request) {
 
         // Try to find target rep range from template exercises
         let targetRepRange = null
-        if (history.length > 0 && history[0].template_id) {
+        if (history[0].template_id) {
           const templateExercise = await prisma.templateExercise.findFirst({
             where: {
               templateId: history[0].template_id,
-              exerciseName: { equals: exercise.name, mode: 'insensitive' }
+              exerciseName: { equals: history[0].name, mode: 'insensitive' }
             }
           })
           targetRepRange = templateExercise?.targetRepRange || null
@@ -67,11 +113,15 @@ export async function GET(request) {
         // Get progression suggestion
         const suggestion = getProgressionSuggestion(
           formattedHistory,
-          targetRepRange
+          targetRepRange,
+          0,
+          weightUnit,
+          equipment,
+          getEquipmentType(history[0].library_category)
         )
 
         return {
-          name: exercise.name,
+          name,
           history: formattedHistory,
           targetRepRange,
           ...suggestion
@@ -125,28 +175,78 @@ export async function GET(request) {
         status: 'COMPLETED'
       },
       include: {
-        exercises: true
+        exercises: {
+          include: ORDERED_SETS_INCLUDE
+        }
       },
       orderBy: { date: 'desc' }
     })
 
-    // Get all template exercises to build muscle group map
+    // Get template exercises from the user's visible templates to build muscle group map
     const allTemplateExercises = await prisma.templateExercise.findMany({
       where: {
-        muscleGroups: { not: null }
+        muscleGroups: { not: null },
+        template: visibleTemplatesWhere(auth.user.id)
       }
     })
 
     const muscleGroupMap = buildMuscleGroupMap(allTemplateExercises)
 
+    // Body metrics, also used to count bodyweight in bodyweight exercises,
+    // and cardio counted towards the weekly training load
+    const [weightEntries, measurements, library, cardioEntries] = await Promise.all([
+      prisma.weightEntry.findMany({
+        where: { userId: auth.user.id },
+        orderBy: { date: 'asc' }
+      }),
+      prisma.bodyMeasurement.findMany({
+        where: { userId: auth.user.id },
+        orderBy: { date: 'asc' }
+      }),
+      loadExerciseLookup(prisma, auth.user.id),
+      prisma.cardioEntry.findMany({
+        where: {
+          userId: auth.user.id,
+          date: { gte: eightWeeksAgo }
+        },
+        include: CARDIO_INTERVALS_INCLUDE,
+        orderBy: { date: 'desc' }
+      })
+    ])
+
+    // Bodyweight is stored in kg
+    const bodyweightEntries = weightEntries.map((entry) => ({
+      ...entry,
+      weight: fromKg(entry.weight, weightUnit)
+    }))
+
     // Calculate volume analytics
-    const volume = calculateVolumeAnalytics(workoutsForVolume, muscleGroupMap)
+    const volume = calculateVolumeAnalytics(
+      applyBodyweight(
+        workoutsForVolume.map((workout) => convertWorkoutSets(workout, weightUnit)),
+        bodyweightEntries,
+        library
+      ),
+      muscleGroupMap,
+      { weekStartDay: auth.user.weekStartDay, timeZone: auth.user.timeZone },
+      cardioEntries
+    )
+    const body = {
+      ...summarizeBodyMetrics(bodyweightEntries, measurements, eightWeeksAgo),
+      weeklyTrend: aggregateBodyweightByWeek(
+        bodyweightEntries.filter((entry) => entry.date >= eightWeeksAgo),
+        { weekStartDay: auth.user.weekStartDay }
+      )
+    }
 
     return NextResponse.json({
       summary,
       categories: categorized,
       exercises: exercisesWithSuggestions,
-      volume
+      volume,
+      body,
+      cardio: cardioEntries,
+      weightUnit
     })
   } catch (error) {
     console.error('Error fetching insights:', error)
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+
+/**
+ * DELETE /api/measurements/[id] - Delete a tape measurement
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const resolvedParams = await params;
+    const measurementId = parseInt(resolvedParams.id);
+
+    if (isNaN(measurementId)) {
+      return NextResponse.json(
+        { error: 'Invalid measurement ID' },
+        { status: 400 }
+      );
+    }
+
+    const measurement = await prisma.bodyMeasurement.findUnique({
+      where: {
+        id: measurementId,
+        userId: auth.user.id
+      }
+    });
+
+    if (!measurement) {
+      return NextResponse.json(
+        { error: 'Measurement not found' },
+        { status: 404 }
+      );
+    }
+
+    await prisma.bodyMeasurement.delete({
+      where: { id: measurementId }
+    });
+
+    return NextResponse.json({ message: 'Measurement deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting measurement:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete measurement' },
+      { status: 500 }
+    );
+  }
+}
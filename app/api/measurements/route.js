@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { validateBodyMeasurements } from '@/lib/validations';
+import { MEASUREMENT_SITES, toMetricDate } from '@/lib/body-metrics';
+
+/**
+ * GET /api/measurements - List the user's tape measurements, newest first.
+ * ?site= limits them to one body site, ?from= and ?to= (YYYY-MM-DD) to a
+ * date range.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { searchParams } = new URL(request.url);
+    const site = searchParams.get('site');
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const fromDate = from && toMetricDate(from);
+    const toDate = to && toMetricDate(to);
+
+    if (site && !MEASUREMENT_SITES.includes(site)) {
+      return NextResponse.json(
+        { error: `Site must be one of: ${MEASUREMENT_SITES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if ((from && !fromDate) || (to && !toDate)) {
+      return NextResponse.json(
+        { error: 'from and to must be valid dates' },
+        { status: 400 }
+      );
+    }
+
+    const measurements = await prisma.bodyMeasurement.findMany({
+      where: {
+        userId: auth.user.id,
+        ...(site && { site }),
+        ...((fromDate || toDate) && {
+          date: {
+            ...(fromDate && { gte: fromDate }),
+            ...(toDate && { lte: toDate })
+          }
+        })
+      },
+      orderBy: [
+        { date: 'desc' },
+        { site: 'asc' }
+      ]
+    });
+
+    return NextResponse.json(measurements);
+  } catch (error) {
+    console.error('Error fetching measurements:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch measurements' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/measurements - Log a day's tape measurements in cm, e.g.
+ * { date, measurements: { waist: 82, chest: 104 } }. Sites already measured
+ * that day are replaced; other sites are left alone.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    const validation = validateBodyMeasurements(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const date = toMetricDate(data.date);
+
+    const measurements = await prisma.$transaction(async (prisma) => {
+      const saved = [];
+      for (const [site, value] of Object.entries(data.measurements)) {
+        saved.push(await prisma.bodyMeasurement.upsert({
+          where: {
+            userId_date_site: { userId: auth.user.id, date, site }
+          },
+          create: { userId: auth.user.id, date, site, value },
+          update: { value }
+        }));
+      }
+      return saved;
+    });
+
+    return NextResponse.json(measurements);
+  } catch (error) {
+    console.error('Error logging measurements:', error);
+    return NextResponse.json(
+      { error: 'Failed to log measurements' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,215 @@
+import { NextResponse } from 'next/server'
+import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { validateProgram } from '@/lib/validations'
+import {
+  PROGRAM_INCLUDE,
+  buildProgramDaysCreateData,
+  canUseProgramTemplates
+} from '@/lib/programs'
+
+/**
+ * Find a program owned by the user
+ * @param {number} programId - Program id
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<Object|null>} The program, or null if missing or not owned
+ */
+async function findOwnedProgram(programId, userId) {
+  const program = await prisma.program.findUnique({
+    where: { id: programId },
+    include: PROGRAM_INCLUDE
+  })
+  return program && program.userId === userId ? program : null
+}
+
+/**
+ * GET /api/programs/[id] - Get a specific program
+ */
+export async function GET(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const programId = parseInt(resolvedParams.id)
+
+    if (isNaN(programId)) {
+      return NextResponse.json(
+        { error: 'Invalid program ID' },
+        { status: 400 }
+      )
+    }
+
+    // Other users' programs are reported as missing rather than forbidden
+    const program = await findOwnedProgram(programId, auth.user.id)
+    if (!program) {
+      return NextResponse.json(
+        { error: 'Program not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(program)
+  } catch (error) {
+    console.error('Error fetching program:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch program' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * PUT /api/programs/[id] - Update a program
+ *
+ * Days are replaced when provided. Setting isActive makes this the user's
+ * only active program.
+ */
+export async function PUT(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const programId = parseInt(resolvedParams.id)
+
+    if (isNaN(programId)) {
+      return NextResponse.json(
+        { error: 'Invalid program ID' },
+        { status: 400 }
+      )
+    }
+
+    const data = await request.json()
+
+    const validation = validateProgram(data, { requireDays: false })
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      )
+    }
+
+    const existingProgram = await findOwnedProgram(programId, auth.user.id)
+    if (!existingProgram) {
+      return NextResponse.json(
+        { error: 'Program not found' },
+        { status: 404 }
+      )
+    }
+
+    if (data.days && !(await canUseProgramTemplates(prisma, data.days, auth.user.id))) {
+      return NextResponse.json(
+        { error: 'Template not found' },
+        { status: 400 }
+      )
+    }
+
+    const program = await prisma.$transaction(async (prisma) => {
+      if (data.isActive) {
+        await prisma.program.updateMany({
+          where: { userId: auth.user.id, isActive: true, NOT: { id: programId } },
+          data: { isActive: false }
+        })
+      }
+
+      // If days are provided, replace all days and their overrides
+      if (data.days) {
+        await prisma.programDay.deleteMany({
+          where: { programId }
+        })
+      }
+
+      return await prisma.program.update({
+        where: { id: programId },
+        data: {
+          name: data.name.trim(),
+          description: data.description?.trim() || null,
+          weeks: data.weeks,
+          ...(data.isActive !== undefined && { isActive: Boolean(data.isActive) }),
+          ...(data.days && {
+            days: {
+              create: buildProgramDaysCreateData(data.days)
+            }
+          })
+        },
+        include: PROGRAM_INCLUDE
+      })
+    })
+
+    return NextResponse.json(program)
+  } catch (error) {
+    console.error('Error updating program:', error)
+
+    // Handle unique constraint violation
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { error: 'A program with this name already exists' },
+        { status: 409 }
+      )
+    }
+
+    // Handle not found
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Program not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to update program' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * DELETE /api/programs/[id] - Delete a program
+ *
+ * Workouts logged for the program are kept and lose their program link.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const programId = parseInt(resolvedParams.id)
+
+    if (isNaN(programId)) {
+      return NextResponse.json(
+        { error: 'Invalid program ID' },
+        { status: 400 }
+      )
+    }
+
+    const program = await findOwnedProgram(programId, auth.user.id)
+    if (!program) {
+      return NextResponse.json(
+        { error: 'Program not found' },
+        { status: 404 }
+      )
+    }
+
+    await prisma.program.delete({
+      where: { id: programId }
+    })
+
+    return NextResponse.json({ message: 'Program deleted successfully' })
+  } catch (error) {
+    console.error('Error deleting program:', error)
+
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Program not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to delete program' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,125 @@
+import { NextResponse } from 'next/server'
+import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { loadExerciseLookup } from '@/lib/exercise-library'
+import {
+  PROGRAM_INCLUDE,
+  getNextProgramSession,
+  getProgramDayLabel,
+  formatProgramSessionTitle,
+  resolveExerciseOverride
+} from '@/lib/programs'
+import { loadRecentE1RM, resolveTargetWeight } from '@/lib/load-targets'
+import { loadEquipmentProfile, createLoadRounder } from '@/lib/equipment'
+import { normalizeWeightUnit, fromKg } from '@/lib/units'
+
+/**
+ * GET /api/programs/next - Get the next session of the user's active program.
+ * Only completed workouts count as done, so a draft or cancelled session
+ * leaves its day to be offered again.
+ *
+ * Targets list the exercises the week's overrides change. %e1RM targets are
+ * resolved to a weight in the user's unit from their recent sets of that
+ * exercise, rounded to what their equipment can load.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const program = await prisma.program.findFirst({
+      where: { userId: auth.user.id, isActive: true },
+      include: PROGRAM_INCLUDE
+    })
+
+    if (!program) {
+      return NextResponse.json({ program: null, next: null, completed: false })
+    }
+
+    const lastWorkout = await prisma.workout.findFirst({
+      where: { userId: auth.user.id, programId: program.id, status: 'COMPLETED' },
+      orderBy: [{ programWeek: 'desc' }, { programDay: 'desc' }],
+      select: { programWeek: true, programDay: true }
+    })
+
+    const summary = { id: program.id, name: program.name, weeks: program.weeks }
+    const session = getNextProgramSession(program, lastWorkout)
+
+    if (!session) {
+      return NextResponse.json({
+        program: summary,
+        next: null,
+        completed: program.days.length > 0
+      })
+    }
+
+    const { week, day, programDay } = session
+    const templateExercises = await prisma.templateExercise.findMany({
+      where: { templateId: programDay.templateId },
+      orderBy: { orderIndex: 'asc' }
+    })
+
+    const overridden = templateExercises
+      .map((exercise) => ({
+        exerciseName: exercise.exerciseName,
+        override: resolveExerciseOverride(programDay.overrides, week, exercise.exerciseName)
+      }))
+      .filter(({ override }) => override)
+
+    // Target weights are in the user's unit
+    const weightUnit = normalizeWeightUnit(auth.user.weightUnit)
+
+    // Only look up history and equipment when a load target needs them
+    const hasLoadTargets = overridden.some(({ override }) => override.percentE1RM)
+    const library = hasLoadTargets ? await loadExerciseLookup(prisma, auth.user.id) : null
+    const roundLoad = hasLoadTargets
+      ? createLoadRounder(await loadEquipmentProfile(prisma, auth.user.id, weightUnit), library)
+      : null
+    const targets = []
+    for (const { exerciseName, override } of overridden) {
+      const target = {
+        exerciseName,
+        sets: override.sets ?? null,
+        reps: override.reps ?? null,
+        percentE1RM: override.percentE1RM ?? null,
+        e1rm: null,
+        weight: null
+      }
+
+      if (override.percentE1RM) {
+        const e1rm = fromKg(await loadRecentE1RM(prisma, auth.user.id, exerciseName, library), weightUnit)
+        if (e1rm > 0) {
+          target.e1rm = Math.round(e1rm * 10) / 10
+          target.weight = resolveTargetWeight(
+            e1rm,
+            { percentE1RM: override.percentE1RM },
+            (weight) => roundLoad(weight, exerciseName)
+          )
+        }
+      }
+
+      targets.push(target)
+    }
+
+    const label = getProgramDayLabel(programDay)
+
+    return NextResponse.json({
+      program: summary,
+      next: {
+        week,
+        day,
+        label,
+        templateId: programDay.templateId,
+        title: formatProgramSessionTitle(week, day, label),
+        targets
+      },
+      completed: false
+    })
+  } catch (error) {
+    console.error('Error fetching next program session:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch next program session' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,104 @@
+import { NextResponse } from 'next/server'
+import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { validateProgram } from '@/lib/validations'
+import {
+  PROGRAM_INCLUDE,
+  buildProgramDaysCreateData,
+  canUseProgramTemplates
+} from '@/lib/programs'
+
+/**
+ * GET /api/programs - Get the user's training programs
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const programs = await prisma.program.findMany({
+      where: { userId: auth.user.id },
+      include: PROGRAM_INCLUDE,
+      orderBy: [
+        { isActive: 'desc' }, // Active program first
+        { name: 'asc' }
+      ]
+    })
+
+    return NextResponse.json(programs)
+  } catch (error) {
+    console.error('Error fetching programs:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch programs' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * POST /api/programs - Create a training program
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const data = await request.json()
+
+    const validation = validateProgram(data)
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      )
+    }
+
+    if (!(await canUseProgramTemplates(prisma, data.days, auth.user.id))) {
+      return NextResponse.json(
+        { error: 'Template not found' },
+        { status: 400 }
+      )
+    }
+
+    const program = await prisma.$transaction(async (prisma) => {
+      // Only one program is active at a time
+      if (data.isActive) {
+        await prisma.program.updateMany({
+          where: { userId: auth.user.id, isActive: true },
+          data: { isActive: false }
+        })
+      }
+
+      return await prisma.program.create({
+        data: {
+          userId: auth.user.id,
+          name: data.name.trim(),
+          description: data.description?.trim() || null,
+          weeks: data.weeks,
+          isActive: Boolean(data.isActive),
+          days: {
+            create: buildProgramDaysCreateData(data.days)
+          }
+        },
+        include: PROGRAM_INCLUDE
+      })
+    })
+
+    return NextResponse.json(program, { status: 201 })
+  } catch (error) {
+    console.error('Error creating program:', error)
+
+    // Handle unique constraint violation
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { error: 'A program with this name already exists' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to create program' },
+      { status: 500 }
+    )
+  }
+}
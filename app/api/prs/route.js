@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { loadExerciseLookup } from '@/lib/exercise-library';
+import { PR_TYPES } from '@/lib/pr-calculations';
+import { resolveRecordExercise, getCurrentRecords, convertRecordUnits } from '@/lib/personal-records';
+
+/**
+ * GET /api/prs - List the user's personal records, newest first.
+ * ?exercise= limits them to one exercise (name or alias), ?type= to one PR
+ * type and ?current=true keeps only the standing record of each type.
+ * Weights are in the user's unit.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request, { scope: 'insights:read' });
+    if (auth instanceof NextResponse) return auth;
+
+    const { searchParams } = new URL(request.url);
+    const exerciseName = searchParams.get('exercise');
+    const type = searchParams.get('type');
+    const current = searchParams.get('current') === 'true';
+
+    if (type && !PR_TYPES.includes(type)) {
+      return NextResponse.json(
+        { error: `Type must be one of: ${PR_TYPES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    let exerciseWhere = {};
+    if (exerciseName) {
+      const library = await loadExerciseLookup(prisma, auth.user.id);
+      const target = resolveRecordExercise({ name: exerciseName }, library);
+      if (!target) {
+        return NextResponse.json([]);
+      }
+      exerciseWhere = target.recordWhere;
+    }
+
+    const records = await prisma.personalRecord.findMany({
+      where: {
+        userId: auth.user.id,
+        ...exerciseWhere,
+        ...(type && { type })
+      },
+      include: {
+        workout: {
+          select: { id: true, title: true }
+        }
+      },
+      orderBy: [
+        { achievedAt: 'desc' },
+        { id: 'desc' }
+      ]
+    });
+
+    return NextResponse.json(
+      convertRecordUnits(current ? getCurrentRecords(records) : records, auth.user.weightUnit)
+    );
+  } catch (error) {
+    console.error('Error fetching personal records:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch personal records' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,18 @@
 import { NextResponse } from 'next/server'
 import { prisma } from '@/lib/prisma'
-import { parseSetsData } from '@/lib/migrate-sets'
+import { ORDERED_SETS_INCLUDE, toApiSet } from '@/lib/exercise-sets'
 import { requireAuth } from '@/lib/middleware'
+import { canViewTemplate } from '@/lib/template-access'
+import { loadExerciseLookup, findExerciseTemplate } from '@/lib/exercise-library'
+import { resolveTemplateLoadTargets } from '@/lib/load-targets'
+import { normalizeWeightUnit, convertSets, fromKg } from '@/lib/units'
+import { getTrackingMode } from '@/lib/tracking-modes'
+import { loadEquipmentProfile, createLoadRounder, getEquipmentType } from '@/lib/equipment'
 
 /**
- * GET /api/templates/[id]/latest-data - Get template with latest workout data pre-filled
+ * GET /api/templates/[id]/latest-data - Get template with latest workout data
+ * pre-filled. Weights are in the user's unit, and weights not taken from
+ * history are rounded to what the user's equipment can load.
  */
 export async function GET(request, { params }) {
   try {
@@ -33,45 +41,72 @@ export async function GET(request, { params }) {
       }
     })
 
-    if (!template) {
+    if (!canViewTemplate(template, auth.user.id)) {
       return NextResponse.json(
         { error: 'Template not found' },
         { status: 404 }
       )
     }
 
+    const weightUnit = normalizeWeightUnit(auth.user.weightUnit)
+    const library = await loadExerciseLookup(prisma, auth.user.id)
+    const roundLoad = createLoadRounder(await loadEquipmentProfile(prisma, auth.user.id, weightUnit), library)
+    const loadTargets = await resolveTemplateLoadTargets(
+      prisma,
+      auth.user.id,
+      template.templateExercises,
+      library,
+      weightUnit,
+      roundLoad
+    )
+
     // For each exercise in the template, find the latest workout data
     const exercisesWithLatestData = await Promise.all(
       template.templateExercises.map(async (templateExercise) => {
         let latestSets = []
-        let suggestedWeight = templateExercise.defaultWeight
+        let suggestedWeight = roundLoad(fromKg(templateExercise.defaultWeight, weightUnit), templateExercise.exerciseName)
         let suggestedReps = templateExercise.defaultReps
         let lastPerformed = null
         let exerciseHistory = []
+        const exerciseTemplate = findExerciseTemplate(library, templateExercise.exerciseName)
+        // Tracked the way it was last logged, or as its library entry says
+        let trackingMode = getTrackingMode(exerciseTemplate)
+        const nameWhere = { name: { equals: templateExercise.exerciseName, mode: 'insensitive' } }
 
         try {
-          // Find the most recent 2 exercises with this name from this template only
-          const latestExercises = await prisma.$queryRaw`
-            SELECT e.*, w.date as workout_date
-            FROM exercises e
-            JOIN workouts w ON e.workout_id = w.id
-            WHERE LOWER(e.name) = LOWER(${templateExercise.exerciseName})
-              AND w.user_id = ${auth.user.id}
-              AND w.template_id = ${templateId}
-            ORDER BY w.date DESC
-            LIMIT 2
-          `
+          // Find the most recent 2 exercises with this name (or library entry)
+          // from this template only
+          const latestExercises = await prisma.exercise.findMany({
+            where: {
+              ...(exerciseTemplate
+                ? { OR: [{ exerciseTemplateId: exerciseTemplate.id }, nameWhere] }
+                : nameWhere),
+              workout: {
+                userId: auth.user.id,
+                templateId: templateId
+              }
+            },
+            include: {
+              ...ORDERED_SETS_INCLUDE,
+              workout: {
+                select: { date: true }
+              }
+            },
+            orderBy: {
+              workout: { date: 'desc' }
+            },
+            take: 2
+          })
 
           exerciseHistory = latestExercises.map(exercise => ({
-            date: exercise.workout_date,
-            sets: parseSetsData(exercise.sets_data)
+            date: exercise.workout.date,
+            sets: convertSets(exercise.sets.map(toApiSet), weightUnit)
           }))
 
           if (latestExercises.length > 0) {
-            const latestExercise = latestExercises[0]
-            lastPerformed = latestExercise.workout_date
-            // Parse the latest sets data
-            latestSets = parseSetsData(latestExercise.sets_data)
+            lastPerformed = latestExercises[0].workout.date
+            trackingMode = getTrackingMode(latestExercises[0])
+            latestSets = exerciseHistory[0].sets
             
             // Use the latest performance as suggestions
             if (latestSets.length > 0) {
@@ -93,9 +128,18 @@ export async function GET(request, { params }) {
           // Continue with default values if there's an error
         }
 
+        // A %e1RM or RPE target prescribes the load, so it replaces the
+        // weight suggested from history and keeps the template's reps
+        const loadTarget = loadTargets.get(templateExercise.id)
+        if (loadTarget?.weight) {
+          suggestedWeight = loadTarget.weight
+          suggestedReps = templateExercise.defaultReps
+        }
+
         return {
           id: templateExercise.id,
           name: templateExercise.exerciseName,
+          exerciseTemplateId: exerciseTemplate ? exerciseTemplate.id : null,
           defaultSets: templateExercise.defaultSets,
           defaultReps: suggestedReps,
           targetRepRange: templateExercise.targetRepRange,
@@ -103,6 +147,14 @@ export async function GET(request, { params }) {
           orderIndex: templateExercise.orderIndex,
           notes: templateExercise.notes,
           restSeconds: templateExercise.restSeconds,
+          groupNumber: templateExercise.groupNumber,
+          groupType: templateExercise.groupType,
+          trackingMode,
+          equipmentType: getEquipmentType(exerciseTemplate?.category),
+          targetPercentE1RM: templateExercise.targetPercentE1RM,
+          targetRpe: templateExercise.targetRpe,
+          e1rm: loadTarget?.e1rm ?? null,
+          targetWeight: loadTarget?.weight ?? null,
           latestSets: latestSets,
           lastPerformed: lastPerformed,
           exerciseHistory: exerciseHistory
@@ -113,6 +165,7 @@ export async function GET(request, { params }) {
     // Return template with enhanced exercise data
     const templateWithLatestData = {
       ...template,
+      weightUnit,
       templateExercises: exercisesWithLatestData
     }
 
@@ -1,11 +1,18 @@
 import { NextResponse } from 'next/server'
 import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { validateTemplateLoadTargets, validateExerciseGroups } from '@/lib/validations'
+import { toExerciseGroupFields } from '@/lib/exercise-groups'
+import { canViewTemplate, canEditTemplate } from '@/lib/template-access'
 
 /**
  * GET /api/templates/[id] - Get a specific template
  */
 export async function GET(request, { params }) {
   try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
     const resolvedParams = await params
     const templateId = parseInt(resolvedParams.id)
     
@@ -27,7 +34,8 @@ export async function GET(request, { params }) {
       }
     })
 
-    if (!template) {
+    // Other users' templates are reported as missing rather than forbidden
+    if (!canViewTemplate(template, auth.user.id)) {
       return NextResponse.json(
         { error: 'Template not found' },
         { status: 404 }
@@ -49,6 +57,9 @@ export async function GET(request, { params }) {
  */
 export async function PUT(request, { params }) {
   try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
     const resolvedParams = await params
     const templateId = parseInt(resolvedParams.id)
     const data = await request.json()
@@ -68,6 +79,40 @@ export async function PUT(request, { params }) {
       )
     }
 
+    const targetValidation = validateTemplateLoadTargets(data.exercises)
+    if (!targetValidation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: targetValidation.errors },
+        { status: 400 }
+      )
+    }
+
+    const groupValidation = validateExerciseGroups(data.exercises)
+    if (!groupValidation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: groupValidation.errors },
+        { status: 400 }
+      )
+    }
+
+    const existingTemplate = await prisma.sessionTemplate.findUnique({
+      where: { id: templateId }
+    })
+
+    if (!canViewTemplate(existingTemplate, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Template not found' },
+        { status: 404 }
+      )
+    }
+
+    if (!canEditTemplate(existingTemplate, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Cannot modify default templates' },
+        { status: 403 }
+      )
+    }
+
     // Update template with exercises in a transaction
     const template = await prisma.$transaction(async (prisma) => {
       // Update the template
@@ -75,8 +120,7 @@ export async function PUT(request, { params }) {
         where: { id: templateId },
         data: {
           name: data.name.trim(),
-          description: data.description?.trim() || null,
-          isDefault: data.isDefault || false
+          description: data.description?.trim() || null
         }
       })
 
@@ -99,6 +143,9 @@ export async function PUT(request, { params }) {
             orderIndex: exercise.orderIndex !== undefined ? exercise.orderIndex : index,
             notes: exercise.notes?.trim() || null,
             restSeconds: exercise.restSeconds || null,
+            ...toExerciseGroupFields(exercise),
+            targetPercentE1RM: exercise.targetPercentE1RM ?? null,
+            targetRpe: exercise.targetRpe ?? null,
             muscleGroups: exercise.muscleGroups?.trim() || null
           }))
 
@@ -153,6 +200,9 @@ export async function PUT(request, { params }) {
  */
 export async function DELETE(request, { params }) {
   try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
     const resolvedParams = await params
     const templateId = parseInt(resolvedParams.id)
     
@@ -163,12 +213,12 @@ export async function DELETE(request, { params }) {
       )
     }
 
-    // Check if template exists and is not a default template
+    // Check if template exists, belongs to the user and is not a default template
     const template = await prisma.sessionTemplate.findUnique({
       where: { id: templateId }
     })
 
-    if (!template) {
+    if (!canViewTemplate(template, auth.user.id)) {
       return NextResponse.json(
         { error: 'Template not found' },
         { status: 404 }
@@ -190,6 +240,14 @@ export async function DELETE(request, { params }) {
   } catch (error) {
     console.error('Error deleting template:', error)
     
+    // Programs keep the templates their days use
+    if (error.code === 'P2003') {
+      return NextResponse.json(
+        { error: 'Template is used by a program' },
+        { status: 409 }
+      )
+    }
+
     if (error.code === 'P2025') {
       return NextResponse.json(
         { error: 'Template not found' },
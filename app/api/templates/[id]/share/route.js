@@ -0,0 +1,124 @@
+import { NextResponse } from 'next/server'
+import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { canEditTemplate } from '@/lib/template-access'
+
+/**
+ * POST /api/templates/[id]/share - Share a copy of a template with another user
+ */
+export async function POST(request, { params }) {
+  try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
+    const resolvedParams = await params
+    const templateId = parseInt(resolvedParams.id)
+    const data = await request.json()
+
+    if (isNaN(templateId)) {
+      return NextResponse.json(
+        { error: 'Invalid template ID' },
+        { status: 400 }
+      )
+    }
+
+    const username = data.username?.trim()
+    if (!username) {
+      return NextResponse.json(
+        { error: 'Username is required' },
+        { status: 400 }
+      )
+    }
+
+    if (username === auth.user.username) {
+      return NextResponse.json(
+        { error: 'Cannot share a template with yourself' },
+        { status: 400 }
+      )
+    }
+
+    const template = await prisma.sessionTemplate.findUnique({
+      where: { id: templateId },
+      include: {
+        templateExercises: {
+          orderBy: {
+            orderIndex: 'asc'
+          }
+        }
+      }
+    })
+
+    // Only the owner can share; default templates are already available to everyone
+    if (!canEditTemplate(template, auth.user.id)) {
+      return NextResponse.json(
+        { error: 'Template not found' },
+        { status: 404 }
+      )
+    }
+
+    const recipient = await prisma.user.findUnique({
+      where: { username }
+    })
+
+    if (!recipient) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 404 }
+      )
+    }
+
+    // Copy the template and its exercises to the recipient in a transaction
+    await prisma.$transaction(async (prisma) => {
+      const copy = await prisma.sessionTemplate.create({
+        data: {
+          userId: recipient.id,
+          name: template.name,
+          description: template.description,
+          isDefault: false,
+          sharedBy: auth.user.username
+        }
+      })
+
+      if (template.templateExercises.length > 0) {
+        await prisma.templateExercise.createMany({
+          data: template.templateExercises.map((exercise) => ({
+            templateId: copy.id,
+            exerciseName: exercise.exerciseName,
+            defaultSets: exercise.defaultSets,
+            defaultReps: exercise.defaultReps,
+            targetRepRange: exercise.targetRepRange,
+            defaultWeight: exercise.defaultWeight,
+            orderIndex: exercise.orderIndex,
+            notes: exercise.notes,
+            restSeconds: exercise.restSeconds,
+            groupNumber: exercise.groupNumber,
+            groupType: exercise.groupType,
+            targetPercentE1RM: exercise.targetPercentE1RM,
+            targetRpe: exercise.targetRpe,
+            muscleGroups: exercise.muscleGroups
+          }))
+        })
+      }
+    })
+
+    return NextResponse.json(
+      { message: `Template shared with ${recipient.username}` },
+      { status: 201 }
+    )
+  } catch (error) {
+    console.error('Error sharing template:', error)
+
+    // Recipient already has a template with this name
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { error: 'That user already has a template with this name' },
+        { status: 409 }
+      )
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to share template' },
+      { status: 500 }
+    )
+  }
+}
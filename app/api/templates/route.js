@@ -1,12 +1,20 @@
 import { NextResponse } from 'next/server'
 import { prisma } from '@/lib/prisma'
+import { requireAuth } from '@/lib/middleware'
+import { validateTemplateLoadTargets, validateExerciseGroups } from '@/lib/validations'
+import { toExerciseGroupFields } from '@/lib/exercise-groups'
+import { visibleTemplatesWhere } from '@/lib/template-access'
 
 /**
- * GET /api/templates - Get all session templates
+ * GET /api/templates - Get the user's templates plus default system templates
  */
-export async function GET() {
+export async function GET(request) {
   try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
     const templates = await prisma.sessionTemplate.findMany({
+      where: visibleTemplatesWhere(auth.user.id),
       include: {
         templateExercises: {
           orderBy: {
@@ -31,10 +39,13 @@ export async function GET() {
 }
 
 /**
- * POST /api/templates - Create a new session template
+ * POST /api/templates - Create a new session template owned by the user
  */
 export async function POST(request) {
   try {
+    const auth = await requireAuth(request)
+    if (auth instanceof NextResponse) return auth
+
     const data = await request.json()
     
     // Validate required fields
@@ -45,14 +56,32 @@ export async function POST(request) {
       )
     }
 
+    const targetValidation = validateTemplateLoadTargets(data.exercises)
+    if (!targetValidation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: targetValidation.errors },
+        { status: 400 }
+      )
+    }
+
+    const groupValidation = validateExerciseGroups(data.exercises)
+    if (!groupValidation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: groupValidation.errors },
+        { status: 400 }
+      )
+    }
+
     // Create template with exercises in a transaction
     const template = await prisma.$transaction(async (prisma) => {
       // Create the template
+      // Default templates are seeded system templates and can't be created via the API
       const newTemplate = await prisma.sessionTemplate.create({
         data: {
+          userId: auth.user.id,
           name: data.name.trim(),
           description: data.description?.trim() || null,
-          isDefault: data.isDefault || false
+          isDefault: false
         }
       })
 
@@ -68,6 +97,9 @@ export async function POST(request) {
           orderIndex: exercise.orderIndex !== undefined ? exercise.orderIndex : index,
           notes: exercise.notes?.trim() || null,
           restSeconds: exercise.restSeconds || null,
+          ...toExerciseGroupFields(exercise),
+          targetPercentE1RM: exercise.targetPercentE1RM ?? null,
+          targetRpe: exercise.targetRpe ?? null,
           muscleGroups: exercise.muscleGroups?.trim() || null
         }))
 
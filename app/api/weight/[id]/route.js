@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+
+/**
+ * DELETE /api/weight/[id] - Delete a bodyweight entry
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const resolvedParams = await params;
+    const entryId = parseInt(resolvedParams.id);
+
+    if (isNaN(entryId)) {
+      return NextResponse.json(
+        { error: 'Invalid weight entry ID' },
+        { status: 400 }
+      );
+    }
+
+    const entry = await prisma.weightEntry.findUnique({
+      where: {
+        id: entryId,
+        userId: auth.user.id
+      }
+    });
+
+    if (!entry) {
+      return NextResponse.json(
+        { error: 'Weight entry not found' },
+        { status: 404 }
+      );
+    }
+
+    await prisma.weightEntry.delete({
+      where: { id: entryId }
+    });
+
+    return NextResponse.json({ message: 'Weight entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting weight entry:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete weight entry' },
+      { status: 500 }
+    );
+  }
+}
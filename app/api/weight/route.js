@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { validateWeightEntry } from '@/lib/validations';
+import { toMetricDate } from '@/lib/body-metrics';
+
+/**
+ * GET /api/weight - List the user's bodyweight entries, newest first.
+ * ?from= and ?to= (YYYY-MM-DD) limit them to a date range.
+ */
+export async function GET(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const { searchParams } = new URL(request.url);
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const fromDate = from && toMetricDate(from);
+    const toDate = to && toMetricDate(to);
+
+    if ((from && !fromDate) || (to && !toDate)) {
+      return NextResponse.json(
+        { error: 'from and to must be valid dates' },
+        { status: 400 }
+      );
+    }
+
+    const entries = await prisma.weightEntry.findMany({
+      where: {
+        userId: auth.user.id,
+        ...((fromDate || toDate) && {
+          date: {
+            ...(fromDate && { gte: fromDate }),
+            ...(toDate && { lte: toDate })
+          }
+        })
+      },
+      orderBy: { date: 'desc' }
+    });
+
+    return NextResponse.json(entries);
+  } catch (error) {
+    console.error('Error fetching weight entries:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch weight entries' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/weight - Log the bodyweight (and optionally body fat) for a day.
+ * Logging a day that already has an entry replaces it.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request);
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    const validation = validateWeightEntry(data);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const date = toMetricDate(data.date);
+    const values = {
+      weight: data.weight,
+      bodyFat: data.bodyFat ?? null
+    };
+
+    const entry = await prisma.weightEntry.upsert({
+      where: {
+        userId_date: { userId: auth.user.id, date }
+      },
+      create: { userId: auth.user.id, date, ...values },
+      update: values
+    });
+
+    return NextResponse.json(entry);
+  } catch (error) {
+    console.error('Error logging weight:', error);
+    return NextResponse.json(
+      { error: 'Failed to log weight' },
+      { status: 500 }
+    );
+  }
+}
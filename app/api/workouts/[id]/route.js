@@ -1,15 +1,18 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
-import { validateWorkout, validateExercise } from '@/lib/validations';
-import { parseSetsData } from '@/lib/migrate-sets';
+import { validateWorkout, validateExercise, validateExerciseGroups } from '@/lib/validations';
+import { EXERCISES_WITH_SETS_INCLUDE, buildExerciseCreateData, workoutWithApiSets } from '@/lib/exercise-sets';
 import { requireAuth } from '@/lib/middleware';
+import { loadExerciseLookup } from '@/lib/exercise-library';
+import { recomputePersonalRecords } from '@/lib/personal-records';
+import { WORKOUT_CARDIO_INCLUDE } from '@/lib/cardio';
 
 /**
  * GET /api/workouts/[id] - Get a specific workout
  */
 export async function GET(request, { params }) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
     if (auth instanceof NextResponse) return auth;
     
     const resolvedParams = await params;
@@ -28,11 +31,8 @@ export async function GET(request, { params }) {
         userId: auth.user.id
       },
       include: {
-        exercises: {
-          orderBy: {
-            orderIndex: 'asc'
-          }
-        }
+        ...EXERCISES_WITH_SETS_INCLUDE,
+        ...WORKOUT_CARDIO_INCLUDE
       }
     });
 
@@ -43,16 +43,7 @@ export async function GET(request, { params }) {
       );
     }
 
-    // Parse sets data for each exercise
-    const workoutWithParsedSets = {
-      ...workout,
-      exercises: workout.exercises.map(exercise => ({
-        ...exercise,
-        sets: parseSetsData(exercise.setsData)
-      }))
-    };
-
-    return NextResponse.json(workoutWithParsedSets);
+    return NextResponse.json(workoutWithApiSets(workout));
   } catch (error) {
     console.error('Error fetching workout:', error);
     return NextResponse.json(
@@ -67,7 +58,7 @@ export async function GET(request, { params }) {
  */
 export async function PUT(request, { params }) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
     if (auth instanceof NextResponse) return auth;
     
     const resolvedParams = await params;
@@ -101,22 +92,64 @@ export async function PUT(request, { params }) {
           );
         }
       }
+
+      const groupValidation = validateExerciseGroups(data.exercises);
+      if (!groupValidation.isValid) {
+        return NextResponse.json(
+          { error: 'Validation failed', details: groupValidation.errors },
+          { status: 400 }
+        );
+      }
     }
 
+    const expectedUpdatedAt = data.expectedUpdatedAt ? new Date(data.expectedUpdatedAt) : null;
+    if (expectedUpdatedAt && isNaN(expectedUpdatedAt.getTime())) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: ['expectedUpdatedAt must be a valid date'] },
+        { status: 400 }
+      );
+    }
+
+    // Link exercises to the user's exercise library by name or alias
+    const library = await loadExerciseLookup(prisma, auth.user.id);
+
     // Update workout and exercises in a transaction
     const result = await prisma.$transaction(async (prisma) => {
-      // Update the workout
-      const workout = await prisma.workout.update({
-        where: {
-          id: workoutId,
-          userId: auth.user.id
-        },
-        data: {
-          title: data.title,
-          date: new Date(data.date),
-          notes: data.notes || null,
-          ...(data.status && { status: data.status }),
-        }
+      const workoutData = {
+        title: data.title,
+        date: new Date(data.date),
+        notes: data.notes || null,
+        ...(data.status && { status: data.status }),
+        ...(data.duration !== undefined && { duration: data.duration }),
+      };
+
+      if (expectedUpdatedAt) {
+        // Reject stale writes, such as offline edits replayed after the
+        // workout was changed on another device. Checking and writing in one
+        // statement keeps a save that lands in between from slipping past.
+        const { count } = await prisma.workout.updateMany({
+          where: {
+            id: workoutId,
+            userId: auth.user.id,
+            updatedAt: expectedUpdatedAt
+          },
+          data: workoutData
+        });
+        if (count === 0) return null;
+      } else {
+        await prisma.workout.update({
+          where: {
+            id: workoutId,
+            userId: auth.user.id
+          },
+          data: workoutData
+        });
+      }
+
+      // Exercises the workout had before the edit may lose PRs
+      const previousExercises = await prisma.exercise.findMany({
+        where: { workoutId: workoutId },
+        select: { name: true, exerciseTemplateId: true }
       });
 
       // If exercises are provided, replace all exercises
@@ -126,51 +159,80 @@ export async function PUT(request, { params }) {
           where: { workoutId: workoutId }
         });
 
-        // Create new exercises
-        if (data.exercises.length > 0) {
-          const exercisesData = data.exercises.map((exercise, index) => ({
-            workoutId: workoutId,
-            name: exercise.name,
-            setsData: JSON.stringify(exercise.sets),
-            restSeconds: exercise.restSeconds || null,
-            notes: exercise.notes || null,
-            orderIndex: exercise.orderIndex !== undefined ? exercise.orderIndex : index,
-          }));
-
-          await prisma.exercise.createMany({
-            data: exercisesData
+        // Create new exercises with their sets
+        for (let i = 0; i < data.exercises.length; i++) {
+          await prisma.exercise.create({
+            data: {
+              workoutId: workoutId,
+              ...buildExerciseCreateData(data.exercises[i], i, library, auth.user.weightUnit),
+            }
           });
         }
       }
 
-      // Fetch the complete updated workout with exercises
-      return await prisma.workout.findUnique({
+      // Fetch the complete updated workout with exercises and cardio
+      const updated = await prisma.workout.findUnique({
         where: { 
           id: workoutId,
           userId: auth.user.id
         },
         include: {
-          exercises: {
-            orderBy: {
-              orderIndex: 'asc'
-            }
-          }
+          ...EXERCISES_WITH_SETS_INCLUDE,
+          ...WORKOUT_CARDIO_INCLUDE
         }
       });
+
+      // A changed date, status or set can move any PR of these exercises
+      await recomputePersonalRecords(
+        prisma,
+        auth.user.id,
+        [...previousExercises, ...updated.exercises],
+        library
+      );
+
+      return updated;
     });
 
-    // Parse sets data for each exercise
-    const workoutWithParsedSets = {
-      ...result,
-      exercises: result.exercises.map(exercise => ({
-        ...exercise,
-        sets: parseSetsData(exercise.setsData)
-      }))
-    };
+    if (!result) {
+      const existingWorkout = await prisma.workout.findUnique({
+        where: {
+          id: workoutId,
+          userId: auth.user.id
+        },
+        include: {
+          ...EXERCISES_WITH_SETS_INCLUDE,
+          ...WORKOUT_CARDIO_INCLUDE
+        }
+      });
+
+      if (!existingWorkout) {
+        return NextResponse.json(
+          { error: 'Workout not found' },
+          { status: 404 }
+        );
+      }
 
-    return NextResponse.json(workoutWithParsedSets);
+      return NextResponse.json(
+        {
+          error: 'Workout has been changed since it was loaded',
+          workout: workoutWithApiSets(existingWorkout)
+        },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(workoutWithApiSets(result));
   } catch (error) {
     console.error('Error updating workout:', error);
+
+    // Workout was deleted (or never belonged to this user)
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Workout not found' },
+        { status: 404 }
+      );
+    }
+
     return NextResponse.json(
       { error: 'Failed to update workout' },
       { status: 500 }
@@ -183,7 +245,7 @@ export async function PUT(request, { params }) {
  */
 export async function DELETE(request, { params }) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
     if (auth instanceof NextResponse) return auth;
     
     const resolvedParams = await params;
@@ -196,11 +258,23 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    await prisma.workout.delete({
-      where: { 
-        id: workoutId,
-        userId: auth.user.id
-      }
+    const library = await loadExerciseLookup(prisma, auth.user.id);
+
+    await prisma.$transaction(async (prisma) => {
+      const exercises = await prisma.exercise.findMany({
+        where: { workoutId: workoutId, workout: { userId: auth.user.id } },
+        select: { name: true, exerciseTemplateId: true }
+      });
+
+      await prisma.workout.delete({
+        where: { 
+          id: workoutId,
+          userId: auth.user.id
+        }
+      });
+
+      // Records the workout held fall back to the next best workout
+      await recomputePersonalRecords(prisma, auth.user.id, exercises, library);
     });
 
     return NextResponse.json({ message: 'Workout deleted successfully' });
@@ -8,7 +8,7 @@ import { getLocalDateKey } from '@/lib/dateUtils'
  */
 export async function GET(request) {
   try {
-    const auth = await requireAuth(request)
+    const auth = await requireAuth(request, { scope: 'workouts:read' })
     if (auth instanceof NextResponse) return auth
     
     const { searchParams } = new URL(request.url)
@@ -1,14 +1,20 @@
 import { NextResponse } from 'next/server'
 import { prisma } from '@/lib/prisma'
-import { validateWorkout, validateExercise } from '@/lib/validations'
+import { validateWorkout, validateExercise, validateExerciseGroups, isValidId } from '@/lib/validations'
 import { requireAuth } from '@/lib/middleware'
+import { loadExerciseLookup } from '@/lib/exercise-library'
+import { canViewTemplate } from '@/lib/template-access'
+import { resolveTemplateLoadTargets, planTemplateExercises } from '@/lib/load-targets'
+import { loadEquipmentProfile, createLoadRounder } from '@/lib/equipment'
+import { recomputePersonalRecords } from '@/lib/personal-records'
+import { EXERCISES_WITH_SETS_INCLUDE, buildExerciseCreateData, workoutWithApiSets } from '@/lib/exercise-sets'
 
 /**
  * POST /api/workouts/from-template - Create a workout from a template
  */
 export async function POST(request) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
     if (auth instanceof NextResponse) return auth;
     
     const data = await request.json()
@@ -21,6 +27,17 @@ export async function POST(request) {
       )
     }
 
+    // These go straight into queries, so anything but a stored Int is rejected
+    const invalidFields = ['templateId', 'programId', 'programWeek', 'programDay'].filter(
+      (field) => data[field] !== undefined && data[field] !== null && !isValidId(data[field])
+    )
+    if (invalidFields.length > 0) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: invalidFields.map((field) => `${field} must be a positive integer`) },
+        { status: 400 }
+      )
+    }
+
     if (!data.title || !data.title.trim()) {
       return NextResponse.json(
         { error: 'Workout title is required' },
@@ -55,20 +72,86 @@ export async function POST(request) {
           )
         }
       }
+
+      const groupValidation = validateExerciseGroups(data.exercises)
+      if (!groupValidation.isValid) {
+        return NextResponse.json(
+          { error: 'Validation failed', details: groupValidation.errors },
+          { status: 400 }
+        )
+      }
     }
 
-    // Verify template exists
+    // Verify template exists and is visible to the user
     const template = await prisma.sessionTemplate.findUnique({
-      where: { id: data.templateId }
+      where: { id: data.templateId },
+      include: {
+        templateExercises: {
+          orderBy: {
+            orderIndex: 'asc'
+          }
+        }
+      }
     })
 
-    if (!template) {
+    if (!canViewTemplate(template, auth.user.id)) {
       return NextResponse.json(
         { error: 'Template not found' },
         { status: 404 }
       )
     }
 
+    // Verify the program session when the workout is part of a program
+    if (data.programId !== undefined && data.programId !== null) {
+      const program = await prisma.program.findUnique({
+        where: { id: data.programId },
+        include: { days: true }
+      })
+
+      if (!program || program.userId !== auth.user.id) {
+        return NextResponse.json(
+          { error: 'Program not found' },
+          { status: 404 }
+        )
+      }
+
+      const programDay = program.days.find((day) => day.dayNumber === data.programDay)
+      const weekInRange = Number.isInteger(data.programWeek) &&
+        data.programWeek >= 1 && data.programWeek <= program.weeks
+
+      if (!weekInRange || !programDay || programDay.templateId !== data.templateId) {
+        return NextResponse.json(
+          { error: 'Program week and day do not match the program' },
+          { status: 400 }
+        )
+      }
+    }
+
+    // Link exercises to the user's exercise library by name or alias
+    const library = await loadExerciseLookup(prisma, auth.user.id)
+
+    // Without exercises in the request, plan them from the template with
+    // %e1RM and RPE targets resolved into weights in the user's unit, rounded
+    // to what their equipment can load
+    let exercises = data.exercises
+    if (exercises === undefined) {
+      const equipment = await loadEquipmentProfile(prisma, auth.user.id, auth.user.weightUnit)
+      const roundLoad = createLoadRounder(equipment, library)
+      exercises = planTemplateExercises(
+        template.templateExercises,
+        await resolveTemplateLoadTargets(
+          prisma,
+          auth.user.id,
+          template.templateExercises,
+          library,
+          auth.user.weightUnit,
+          roundLoad
+        ),
+        auth.user.weightUnit,
+        roundLoad
+      )
+    }
+
     // Create workout with exercises in a transaction
     const result = await prisma.$transaction(async (prisma) => {
       // Create the workout
@@ -79,49 +162,40 @@ export async function POST(request) {
           title: data.title.trim(),
           date: new Date(data.date),
           notes: data.notes?.trim() || null,
-          status: data.status || 'COMPLETED'
+          status: data.status || 'COMPLETED',
+          ...(data.programId && {
+            programId: data.programId,
+            programWeek: data.programWeek,
+            programDay: data.programDay
+          })
         }
       })
 
-      // Create exercises if provided
-      if (data.exercises && data.exercises.length > 0) {
-        const exercisesData = data.exercises.map((exercise, index) => ({
-          workoutId: workout.id,
-          name: exercise.name,
-          setsData: JSON.stringify(exercise.sets),
-          restSeconds: exercise.restSeconds || null,
-          notes: exercise.notes?.trim() || null,
-          orderIndex: exercise.orderIndex !== undefined ? exercise.orderIndex : index
-        }))
-
-        await prisma.exercise.createMany({
-          data: exercisesData
-        })
+      // Create exercises with their sets
+      if (exercises && exercises.length > 0) {
+        for (let i = 0; i < exercises.length; i++) {
+          await prisma.exercise.create({
+            data: {
+              workoutId: workout.id,
+              ...buildExerciseCreateData(exercises[i], i, library, auth.user.weightUnit),
+            }
+          })
+        }
       }
 
       // Fetch the complete workout with exercises
-      return await prisma.workout.findUnique({
+      const created = await prisma.workout.findUnique({
         where: { id: workout.id },
-        include: {
-          exercises: {
-            orderBy: {
-              orderIndex: 'asc'
-            }
-          }
-        }
+        include: EXERCISES_WITH_SETS_INCLUDE
       })
-    })
 
-    // Parse sets data for each exercise
-    const workoutWithParsedSets = {
-      ...result,
-      exercises: result.exercises.map(exercise => ({
-        ...exercise,
-        sets: JSON.parse(exercise.setsData)
-      }))
-    }
+      // Store any PRs the workout sets
+      await recomputePersonalRecords(prisma, auth.user.id, created.exercises, library)
+
+      return created
+    })
 
-    return NextResponse.json(workoutWithParsedSets, { status: 201 })
+    return NextResponse.json(workoutWithApiSets(result), { status: 201 })
   } catch (error) {
     console.error('Error creating workout from template:', error)
     return NextResponse.json(
@@ -0,0 +1,151 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { loadExerciseLookup } from '@/lib/exercise-library';
+import { recomputePersonalRecords } from '@/lib/personal-records';
+import { buildExerciseCreateData } from '@/lib/exercise-sets';
+import { WEIGHT_UNITS, DEFAULT_WEIGHT_UNIT } from '@/lib/units';
+import {
+  parseWorkoutCsv,
+  buildExerciseMappings,
+  applyExerciseMappings,
+  markDuplicates
+} from '@/lib/workout-import';
+
+// Importing years of history is many writes; give the transaction room
+const IMPORT_TRANSACTION_TIMEOUT_MS = 120000;
+
+/**
+ * POST /api/workouts/import - Import workouts from a Strong or Hevy CSV export.
+ * With dryRun (the default) nothing is written and a preview is returned.
+ */
+export async function POST(request) {
+  try {
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
+    if (auth instanceof NextResponse) return auth;
+
+    const data = await request.json();
+
+    if (!data.csv || typeof data.csv !== 'string') {
+      return NextResponse.json(
+        { error: 'CSV file contents are required' },
+        { status: 400 }
+      );
+    }
+
+    if (data.weightUnit && !WEIGHT_UNITS.includes(data.weightUnit)) {
+      return NextResponse.json(
+        { error: 'Weight unit must be kg or lb' },
+        { status: 400 }
+      );
+    }
+
+    const { format, workouts, skippedSets } = parseWorkoutCsv(data.csv, {
+      weightUnit: data.weightUnit || DEFAULT_WEIGHT_UNIT
+    });
+
+    if (!format) {
+      return NextResponse.json(
+        { error: 'Unrecognized CSV format. Export your history from Strong or Hevy and upload that file.' },
+        { status: 400 }
+      );
+    }
+
+    if (workouts.length === 0) {
+      return NextResponse.json(
+        { error: 'No sets with reps, time or distance were found in this file' },
+        { status: 400 }
+      );
+    }
+
+    const library = await loadExerciseLookup(prisma, auth.user.id);
+    const exercises = buildExerciseMappings(workouts, library, data.exerciseMap || {});
+
+    // Duplicates are workouts already logged with the same title on the same day
+    const existingWorkouts = await prisma.workout.findMany({
+      where: {
+        userId: auth.user.id,
+        date: {
+          gte: new Date(`${workouts[0].date.slice(0, 10)}T00:00:00.000Z`),
+          lte: new Date(`${workouts[workouts.length - 1].date.slice(0, 10)}T23:59:59.999Z`)
+        }
+      },
+      select: { title: true, date: true }
+    });
+
+    const previewWorkouts = markDuplicates(
+      applyExerciseMappings(workouts, exercises),
+      existingWorkouts
+    );
+    const duplicateCount = previewWorkouts.filter(workout => workout.duplicate).length;
+
+    if (data.dryRun !== false) {
+      return NextResponse.json({
+        format,
+        dryRun: true,
+        summary: {
+          workouts: previewWorkouts.length,
+          duplicates: duplicateCount,
+          exercises: exercises.length,
+          sets: exercises.reduce((sum, exercise) => sum + exercise.setCount, 0),
+          skippedSets
+        },
+        workouts: previewWorkouts.map(workout => ({
+          title: workout.title,
+          date: workout.date,
+          duration: workout.duration,
+          exerciseCount: workout.exercises.length,
+          setCount: workout.exercises.reduce((sum, exercise) => sum + exercise.sets.length, 0),
+          duplicate: workout.duplicate
+        })),
+        exercises
+      });
+    }
+
+    const skipDuplicates = data.skipDuplicates !== false;
+    const toImport = skipDuplicates
+      ? previewWorkouts.filter(workout => !workout.duplicate)
+      : previewWorkouts;
+
+    // All or nothing: a failure part way through leaves no partial import
+    await prisma.$transaction(async (prisma) => {
+      for (const workout of toImport) {
+        await prisma.workout.create({
+          data: {
+            userId: auth.user.id,
+            title: workout.title,
+            date: new Date(workout.date),
+            duration: workout.duration,
+            notes: workout.notes,
+            status: 'COMPLETED',
+            exercises: {
+              create: workout.exercises.map((exercise, index) =>
+                buildExerciseCreateData(exercise, index, library)
+              )
+            }
+          }
+        });
+      }
+
+      await recomputePersonalRecords(
+        prisma,
+        auth.user.id,
+        toImport.flatMap(workout => workout.exercises),
+        library
+      );
+    }, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS });
+
+    return NextResponse.json({
+      format,
+      imported: toImport.length,
+      skippedDuplicates: skipDuplicates ? duplicateCount : 0,
+      skippedSets
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error importing workouts:', error);
+    return NextResponse.json(
+      { error: 'Failed to import workouts' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,43 +1,40 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
-import { validateWorkout, validateExercise } from '@/lib/validations';
-import { parseSetsData } from '@/lib/migrate-sets';
+import { validateWorkout, validateExercise, validateExerciseGroups, validateWorkoutSearch } from '@/lib/validations';
+import { EXERCISES_WITH_SETS_INCLUDE, buildExerciseCreateData, workoutWithApiSets } from '@/lib/exercise-sets';
 import { requireAuth } from '@/lib/middleware';
+import { loadExerciseLookup } from '@/lib/exercise-library';
+import { recomputePersonalRecords } from '@/lib/personal-records';
+import { readWorkoutSearch, searchWorkouts } from '@/lib/workout-search';
 
 /**
- * GET /api/workouts - Get all workouts
+ * GET /api/workouts - List the user's workouts, newest first, a page at a time.
+ * ?from= and ?to= limit them to a date range, ?status= and ?templateId= to
+ * one status or template, ?exercise= to those with a matching exercise name
+ * and ?q= to those whose title or notes contain the text. ?cursor= is the
+ * nextCursor of the previous page and ?limit= the page size.
  */
 export async function GET(request) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
     if (auth instanceof NextResponse) return auth;
-    
-    const workouts = await prisma.workout.findMany({
-      where: {
-        userId: auth.user.id
-      },
-      include: {
-        exercises: {
-          orderBy: {
-            orderIndex: 'asc'
-          }
-        }
-      },
-      orderBy: {
-        date: 'desc'
-      }
-    });
 
-    // Parse sets data for each exercise
-    const workoutsWithParsedSets = workouts.map(workout => ({
-      ...workout,
-      exercises: workout.exercises.map(exercise => ({
-        ...exercise,
-        sets: parseSetsData(exercise.setsData)
-      }))
-    }));
+    const search = readWorkoutSearch(new URL(request.url).searchParams);
+
+    const validation = validateWorkoutSearch(search);
+    if (!validation.isValid) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+
+    const { workouts, nextCursor } = await searchWorkouts(prisma, auth.user.id, search);
 
-    return NextResponse.json(workoutsWithParsedSets);
+    return NextResponse.json({
+      workouts: workouts.map(workoutWithApiSets),
+      nextCursor
+    });
   } catch (error) {
     console.error('Error fetching workouts:', error);
     return NextResponse.json(
@@ -52,7 +49,7 @@ export async function GET(request) {
  */
 export async function POST(request) {
   try {
-    const auth = await requireAuth(request);
+    const auth = await requireAuth(request, { scope: 'workouts:write' });
     if (auth instanceof NextResponse) return auth;
     
     const data = await request.json();
@@ -77,8 +74,19 @@ export async function POST(request) {
           );
         }
       }
+
+      const groupValidation = validateExerciseGroups(data.exercises);
+      if (!groupValidation.isValid) {
+        return NextResponse.json(
+          { error: 'Validation failed', details: groupValidation.errors },
+          { status: 400 }
+        );
+      }
     }
 
+    // Link exercises to the user's exercise library by name or alias
+    const library = await loadExerciseLookup(prisma, auth.user.id);
+
     // Create workout with exercises in a transaction
     const result = await prisma.$transaction(async (prisma) => {
       // Create the workout
@@ -93,45 +101,31 @@ export async function POST(request) {
         }
       });
 
-      // Create exercises if provided
+      // Create exercises with their sets
       if (data.exercises && data.exercises.length > 0) {
-        const exercisesData = data.exercises.map((exercise, index) => ({
-          workoutId: workout.id,
-          name: exercise.name,
-          setsData: JSON.stringify(exercise.sets),
-          restSeconds: exercise.restSeconds || null,
-          notes: exercise.notes || null,
-          orderIndex: exercise.orderIndex !== undefined ? exercise.orderIndex : index,
-        }));
-
-        await prisma.exercise.createMany({
-          data: exercisesData
-        });
+        for (let i = 0; i < data.exercises.length; i++) {
+          await prisma.exercise.create({
+            data: {
+              workoutId: workout.id,
+              ...buildExerciseCreateData(data.exercises[i], i, library, auth.user.weightUnit),
+            }
+          });
+        }
       }
 
       // Fetch the complete workout with exercises
-      return await prisma.workout.findUnique({
+      const created = await prisma.workout.findUnique({
         where: { id: workout.id },
-        include: {
-          exercises: {
-            orderBy: {
-              orderIndex: 'asc'
-            }
-          }
-        }
+        include: EXERCISES_WITH_SETS_INCLUDE
       });
-    });
 
-    // Parse sets data for each exercise
-    const workoutWithParsedSets = {
-      ...result,
-      exercises: result.exercises.map(exercise => ({
-        ...exercise,
-        sets: parseSetsData(exercise.setsData)
-      }))
-    };
+      // Store any PRs the workout sets
+      await recomputePersonalRecords(prisma, auth.user.id, created.exercises, library);
+
+      return created;
+    });
 
-    return NextResponse.json(workoutWithParsedSets, { status: 201 });
+    return NextResponse.json(workoutWithApiSets(result), { status: 201 });
   } catch (error) {
     console.error('Error creating workout:', error);
     return NextResponse.json(
@@ -1,23 +1,36 @@
 import { ImageResponse } from 'next/og'
- 
+
 // Route segment config
 export const runtime = 'edge'
- 
+
 // Image metadata
-export const size = {
-  width: 32,
-  height: 32,
+// The favicon plus the larger sizes the web app manifest needs for installing
+const sizes = {
+  favicon: 32,
+  192: 192,
+  512: 512,
 }
-export const contentType = 'image/png'
- 
+
+export function generateImageMetadata() {
+  return Object.entries(sizes).map(([id, width]) => ({
+    id,
+    size: { width, height: width },
+    contentType: 'image/png',
+  }))
+}
+
 // Image generation
-export default function Icon() {
+export default function Icon({ id }) {
+  const width = sizes[id] || sizes.favicon
+  // Drawn at 32px and scaled up for the larger sizes
+  const scale = width / 32
+
   return new ImageResponse(
     (
       // ImageResponse JSX element
       <div
         style={{
-          fontSize: 24,
+          fontSize: 24 * scale,
           background: 'black',
           width: '100%',
           height: '100%',
@@ -29,32 +42,31 @@ export default function Icon() {
       >
         {/* Simple dumbbell representation */}
         <div style={{ display: 'flex', alignItems: 'center' }}>
-          <div style={{ 
-            width: 8, 
-            height: 8, 
-            background: '#a855f7', 
-            borderRadius: '50%' 
+          <div style={{
+            width: 8 * scale,
+            height: 8 * scale,
+            background: '#a855f7',
+            borderRadius: '50%'
           }} />
-          <div style={{ 
-            width: 12, 
-            height: 3, 
-            background: '#a855f7', 
-            margin: '0 2px' 
+          <div style={{
+            width: 12 * scale,
+            height: 3 * scale,
+            background: '#a855f7',
+            margin: `0 ${2 * scale}px`
           }} />
-          <div style={{ 
-            width: 8, 
-            height: 8, 
-            background: '#a855f7', 
-            borderRadius: '50%' 
+          <div style={{
+            width: 8 * scale,
+            height: 8 * scale,
+            background: '#a855f7',
+            borderRadius: '50%'
           }} />
         </div>
       </div>
     ),
     // ImageResponse options
     {
-      // For convenience, we can re-use the exported icons size metadata
-      // config to also set the ImageResponse's width and height.
-      ...size,
+      width,
+      height: width,
     }
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,369 @@
+'use client'
+
+import { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import Header from '@/components/Header'
+import ExercisePicker from '@/components/ExercisePicker'
+import Toast from '@/components/Toast'
+import {
+  ArrowLeftIcon,
+  UploadIcon,
+  DownloadIcon,
+  FileTextIcon,
+  ArchiveRestoreIcon,
+} from 'lucide-react'
+
+export default function ImportPage() {
+  const router = useRouter()
+
+  const [csv, setCsv] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [weightUnit, setWeightUnit] = useState('kg')
+  const [exerciseMap, setExerciseMap] = useState({})
+  const [skipDuplicates, setSkipDuplicates] = useState(true)
+  const [preview, setPreview] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [toast, setToast] = useState(null)
+
+  const showToast = (message, type = 'success') => {
+    setToast({ message, type })
+  }
+
+  const handleRestoreFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    if (
+      !window.confirm(
+        `Restore ${file.name}? Workouts already logged on the same day with the same title are skipped.`
+      )
+    ) {
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      const response = await fetch('/api/export/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: await file.text(),
+      })
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.details?.[0] || result.error || 'Failed to restore backup')
+      }
+      showToast(
+        `Restored ${result.restored.workouts} workout${result.restored.workouts === 1 ? '' : 's'} and ${result.restored.templates} template${result.restored.templates === 1 ? '' : 's'}`
+      )
+    } catch (error) {
+      showToast(error.message, 'error')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const postImport = async (dryRun, overrides = exerciseMap) => {
+    const response = await fetch('/api/workouts/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        csv,
+        weightUnit,
+        exerciseMap: overrides,
+        dryRun,
+        skipDuplicates,
+      }),
+    })
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to import workouts')
+    }
+    return result
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setCsv(await file.text())
+    setFileName(file.name)
+    setExerciseMap({})
+    setPreview(null)
+  }
+
+  const handlePreview = async (overrides = exerciseMap) => {
+    setIsLoading(true)
+    try {
+      setPreview(await postImport(true, overrides))
+    } catch (error) {
+      showToast(error.message, 'error')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleMappingChange = (sourceName, { name, exerciseTemplate }) => {
+    setExerciseMap((prev) => ({ ...prev, [sourceName]: name }))
+    // Refresh the preview once a library entry is picked so the link shows
+    if (exerciseTemplate) {
+      handlePreview({ ...exerciseMap, [sourceName]: name })
+    }
+  }
+
+  const handleImport = async () => {
+    setIsLoading(true)
+    try {
+      const result = await postImport(false)
+      showToast(
+        `Imported ${result.imported} workout${result.imported === 1 ? '' : 's'}`
+      )
+      setTimeout(() => router.push('/'), 1000)
+    } catch (error) {
+      showToast(error.message, 'error')
+      setIsLoading(false)
+    }
+  }
+
+  const importCount = preview
+    ? preview.summary.workouts - (skipDuplicates ? preview.summary.duplicates : 0)
+    : 0
+
+  return (
+    <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+      <Header />
+      <main className="flex-1 p-4 md:p-6">
+        <div className="container mx-auto max-w-4xl">
+          {/* Header */}
+          <div className="flex items-center gap-4 mb-6">
+            <button
+              onClick={() => router.push('/')}
+              className="p-2 text-gray-400 hover:text-white transition-colors"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <div>
+              <div className="flex items-center gap-2">
+                <UploadIcon className="h-6 w-6 text-accent" />
+                <h1 className="text-3xl font-bold text-white">Import &amp; Export</h1>
+              </div>
+              <p className="text-gray-400 mt-1">
+                Back up your data, or bring your history over from Strong or Hevy
+              </p>
+            </div>
+          </div>
+
+          {/* Export and restore */}
+          <div className="bg-surface border border-border rounded-xl p-4 mb-6">
+            <h2 className="text-lg font-semibold text-text-primary mb-1">
+              Back up your data
+            </h2>
+            <p className="text-sm text-text-muted mb-4">
+              The JSON backup has every workout, set, template and library
+              exercise and can be restored here on any Gym Pad. The CSV has one
+              row per set for spreadsheets.
+            </p>
+            <div className="flex flex-wrap gap-3">
+              <a
+                href="/api/export?format=json"
+                download
+                className="flex items-center gap-2 px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors min-h-[44px]"
+              >
+                <DownloadIcon className="h-4 w-4" />
+                Download backup (JSON)
+              </a>
+              <a
+                href="/api/export?format=csv"
+                download
+                className="flex items-center gap-2 px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors min-h-[44px]"
+              >
+                <DownloadIcon className="h-4 w-4" />
+                Download sets (CSV)
+              </a>
+              <label className="flex items-center gap-2 px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors cursor-pointer min-h-[44px]">
+                <ArchiveRestoreIcon className="h-4 w-4" />
+                Restore backup
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleRestoreFile}
+                  disabled={isLoading}
+                  className="sr-only"
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* File selection */}
+          <div className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4">
+            <h2 className="text-lg font-semibold text-text-primary">
+              Import from Strong or Hevy
+            </h2>
+            <label className="flex items-center gap-3 px-4 py-3 bg-surface-highlight border border-dashed border-border rounded-lg cursor-pointer min-h-[44px]">
+              <FileTextIcon className="h-5 w-5 text-text-muted" />
+              <span className="text-text-secondary">
+                {fileName || 'Choose a CSV file'}
+              </span>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFileChange}
+                className="sr-only"
+              />
+            </label>
+
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2 text-sm text-text-secondary">
+                Weights in file
+                <select
+                  value={weightUnit}
+                  onChange={(e) => {
+                    setWeightUnit(e.target.value)
+                    setPreview(null)
+                  }}
+                  className="px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary min-h-[44px]"
+                >
+                  <option value="kg">kg</option>
+                  <option value="lb">lb</option>
+                </select>
+              </label>
+              <button
+                onClick={() => handlePreview()}
+                disabled={!csv || isLoading}
+                className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+              >
+                {isLoading && !preview ? 'Reading...' : 'Preview'}
+              </button>
+            </div>
+            <p className="text-xs text-text-muted">
+              Hevy exports say which unit they use. Strong exports use the unit
+              set in the Strong app.
+            </p>
+          </div>
+
+          {preview && (
+            <>
+              {/* Summary */}
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+                {[
+                  ['Workouts', preview.summary.workouts],
+                  ['Duplicates', preview.summary.duplicates],
+                  ['Exercises', preview.summary.exercises],
+                  ['Sets', preview.summary.sets],
+                ].map(([label, value]) => (
+                  <div
+                    key={label}
+                    className="bg-surface border border-border rounded-xl p-4 text-center"
+                  >
+                    <p className="text-2xl font-bold text-text-primary">{value}</p>
+                    <p className="text-sm text-text-muted">{label}</p>
+                  </div>
+                ))}
+              </div>
+              {preview.summary.skippedSets > 0 && (
+                <p className="text-sm text-text-muted mb-6">
+                  {preview.summary.skippedSets} timed or distance sets without
+                  reps will be skipped.
+                </p>
+              )}
+
+              {/* Exercise mapping */}
+              <div className="bg-surface border border-border rounded-xl p-4 mb-6">
+                <h2 className="text-lg font-semibold text-text-primary mb-1">
+                  Exercises
+                </h2>
+                <p className="text-sm text-text-muted mb-4">
+                  Choose which library exercise each exported name is saved as.
+                </p>
+                <div className="space-y-3">
+                  {preview.exercises.map((mapping) => (
+                    <div
+                      key={mapping.sourceName}
+                      className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:items-center"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm text-text-primary truncate">
+                          {mapping.sourceName}
+                        </p>
+                        <p className="text-xs text-text-muted">
+                          {mapping.setCount} sets
+                          {!mapping.exerciseTemplateId && ' · not in library'}
+                        </p>
+                      </div>
+                      <ExercisePicker
+                        value={exerciseMap[mapping.sourceName] ?? mapping.name}
+                        exerciseTemplateId={mapping.exerciseTemplateId}
+                        onChange={(selection) =>
+                          handleMappingChange(mapping.sourceName, selection)
+                        }
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Workouts */}
+              <div className="bg-surface border border-border rounded-xl p-4 mb-6">
+                <h2 className="text-lg font-semibold text-text-primary mb-4">
+                  Workouts
+                </h2>
+                <ul className="divide-y divide-border max-h-96 overflow-y-auto">
+                  {preview.workouts.map((workout) => (
+                    <li
+                      key={`${workout.date}-${workout.title}`}
+                      className="flex items-center justify-between gap-4 py-2"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm text-text-primary truncate">
+                          {workout.title}
+                        </p>
+                        <p className="text-xs text-text-muted">
+                          {new Date(workout.date).toLocaleDateString(undefined, {
+                            timeZone: 'UTC',
+                          })}{' '}
+                          · {workout.exerciseCount} exercises · {workout.setCount} sets
+                        </p>
+                      </div>
+                      {workout.duplicate && (
+                        <span className="text-xs px-2 py-1 rounded-full bg-surface-highlight text-text-secondary flex-shrink-0">
+                          Already logged
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {/* Import */}
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <label className="flex items-center gap-2 text-sm text-text-secondary">
+                  <input
+                    type="checkbox"
+                    checked={skipDuplicates}
+                    onChange={(e) => setSkipDuplicates(e.target.checked)}
+                  />
+                  Skip workouts that are already logged
+                </label>
+                <button
+                  onClick={handleImport}
+                  disabled={isLoading || importCount === 0}
+                  className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+                >
+                  {isLoading
+                    ? 'Importing...'
+                    : `Import ${importCount} workout${importCount === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </main>
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -101,7 +101,11 @@ export default function InsightsPage() {
               </div>
             </div>
           ) : data ? (
-            <InsightsDashboard data={data} />
+            <InsightsDashboard
+              data={data}
+              onBodyMetricsLogged={() => mutate()}
+              onCardioLogged={() => mutate()}
+            />
           ) : null}
         </div>
       </main>
@@ -1,9 +1,19 @@
 import './globals.css'
 import { AuthProvider } from '@/contexts/AuthContext'
+import OfflineSync from '@/components/OfflineSync'
 
 export const metadata = {
   title: 'Gym Pad - Your Workout Tracker',
   description: 'Track your gym sessions, monitor exercise progress, and visualize your fitness journey',
+  appleWebApp: {
+    capable: true,
+    title: 'Gym Pad',
+    statusBarStyle: 'black-translucent',
+  },
+}
+
+export const viewport = {
+  themeColor: '#0D0D0D',
 }
 
 export default function RootLayout({ children }) {
@@ -12,8 +22,9 @@ export default function RootLayout({ children }) {
       <body className="min-h-screen bg-background text-text-primary">
         <AuthProvider>
           {children}
+          <OfflineSync />
         </AuthProvider>
       </body>
     </html>
   )
-}
\ No newline at end of file
+}
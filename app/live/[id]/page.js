@@ -0,0 +1,181 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { useRouter } from 'next/navigation'
+import useSWR from 'swr'
+import Header from '@/components/Header'
+import LiveWorkout from '@/components/LiveWorkout'
+import Toast from '@/components/Toast'
+import {
+  serializeLiveExercises,
+  finalizeLiveExercises,
+} from '@/lib/live-workout'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+export default function LiveWorkoutPage({ params }) {
+  const router = useRouter()
+  const [workoutId, setWorkoutId] = useState(null)
+  const [isFinishing, setIsFinishing] = useState(false)
+  const [toast, setToast] = useState(null)
+  // Saves are chained so a slow request can never overwrite a newer one
+  const saveQueue = useRef(Promise.resolve())
+
+  // Resolve params in Next.js 15+
+  useEffect(() => {
+    const resolveParams = async () => {
+      const resolvedParams = await params
+      setWorkoutId(parseInt(resolvedParams.id))
+    }
+    resolveParams()
+  }, [params])
+
+  const { data: workout, error, isLoading } = useSWR(
+    workoutId ? `/api/workouts/${workoutId}` : null,
+    fetcher,
+    { revalidateOnFocus: false }
+  )
+
+  // Finished workouts are viewed on the regular session page
+  useEffect(() => {
+    if (workout && workout.status && workout.status !== 'DRAFT') {
+      router.replace(`/session/${workout.id}`)
+    }
+  }, [workout, router])
+
+  const putWorkout = async (body) => {
+    const response = await fetch(`/api/workouts/${workoutId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        title: workout.title,
+        date: workout.date,
+        notes: workout.notes,
+        ...body,
+      }),
+    })
+
+    if (!response.ok) {
+      throw new Error('Failed to save workout')
+    }
+
+    return response.json()
+  }
+
+  const handleSaveProgress = (exercises) => {
+    const save = saveQueue.current
+      .catch(() => {})
+      .then(() =>
+        putWorkout({
+          status: 'DRAFT',
+          exercises: serializeLiveExercises(exercises),
+        })
+      )
+    saveQueue.current = save
+    return save
+  }
+
+  const handleFinish = async (exercises, durationSeconds) => {
+    setIsFinishing(true)
+    try {
+      await saveQueue.current.catch(() => {})
+      await putWorkout({
+        status: 'COMPLETED',
+        duration: durationSeconds,
+        exercises: finalizeLiveExercises(serializeLiveExercises(exercises)),
+      })
+
+      setToast({ message: 'Workout saved!', type: 'success' })
+      setTimeout(() => {
+        router.push('/')
+      }, 1000)
+    } catch (error) {
+      console.error('Error finishing workout:', error)
+      setToast({ message: 'Failed to finish workout. Please try again.', type: 'error' })
+      setIsFinishing(false)
+    }
+  }
+
+  const handleDiscard = async () => {
+    const confirmed = window.confirm(
+      'Discard this workout? Everything logged so far will be deleted.'
+    )
+    if (!confirmed) return
+
+    try {
+      const response = await fetch(`/api/workouts/${workoutId}`, {
+        method: 'DELETE',
+      })
+
+      if (!response.ok) {
+        throw new Error('Failed to discard workout')
+      }
+
+      router.push('/')
+    } catch (error) {
+      console.error('Error discarding workout:', error)
+      setToast({ message: 'Failed to discard workout. Please try again.', type: 'error' })
+    }
+  }
+
+  if (error || (workout && workout.error)) {
+    return (
+      <div className="flex flex-col min-h-screen bg-background text-text-primary">
+        <Header />
+        <main className="flex-1 p-4 md:p-6 flex items-center justify-center">
+          <div className="text-center">
+            <p className="text-red-400 mb-4">Failed to load workout</p>
+            <button
+              onClick={() => router.push('/')}
+              className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors min-h-[44px]"
+            >
+              Back to Dashboard
+            </button>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  if (!workoutId || isLoading || !workout || workout.status !== 'DRAFT') {
+    return (
+      <div className="flex flex-col min-h-screen bg-background text-text-primary">
+        <Header />
+        <main className="flex-1 p-4 md:p-6 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-accent mx-auto mb-4"></div>
+            <p className="text-text-muted">Loading workout...</p>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen bg-background text-text-primary">
+      <Header />
+      <main className="flex-1 p-4 md:p-6">
+        <div className="container mx-auto max-w-2xl">
+          <LiveWorkout
+            workout={workout}
+            onSaveProgress={handleSaveProgress}
+            onFinish={handleFinish}
+            onDiscard={handleDiscard}
+            isFinishing={isFinishing}
+          />
+        </div>
+      </main>
+
+      {/* Toast Notifications */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+/**
+ * Web app manifest, served at /manifest.webmanifest so Gym Pad can be
+ * installed to the home screen. Icons come from app/icon.js and app/apple-icon.js.
+ */
+export default function manifest() {
+  return {
+    name: 'Gym Pad - Your Workout Tracker',
+    short_name: 'Gym Pad',
+    description: 'Track your gym sessions, monitor exercise progress, and visualize your fitness journey',
+    start_url: '/',
+    display: 'standalone',
+    background_color: '#0D0D0D',
+    theme_color: '#0D0D0D',
+    icons: [
+      {
+        src: '/icon/192',
+        sizes: '192x192',
+        type: 'image/png',
+      },
+      {
+        src: '/icon/512',
+        sizes: '512x512',
+        type: 'image/png',
+      },
+      {
+        src: '/apple-icon',
+        sizes: '180x180',
+        type: 'image/png',
+      },
+    ],
+  }
+}
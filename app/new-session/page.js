@@ -7,12 +7,17 @@ import SessionForm from '@/components/SessionForm'
 import Header from '@/components/Header'
 import PRCelebration from '@/components/PRCelebration'
 import { detectNewPRs } from '@/lib/pr-calculations'
+import { formatLoadTarget } from '@/lib/load-targets'
+import { getTodayLocal } from '@/lib/dateUtils'
+import { sendWorkoutWrite } from '@/lib/offline-queue'
+import { useAuth } from '@/contexts/AuthContext'
 
 const fetcher = (url) => fetch(url).then((res) => res.json())
 
 function NewSessionContent() {
   const router = useRouter()
   const searchParams = useSearchParams()
+  const { user, weightUnit, defaultRestSeconds, timeZone } = useAuth()
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [templateData, setTemplateData] = useState(null)
   const [newPRs, setNewPRs] = useState(null)
@@ -31,22 +36,30 @@ function NewSessionContent() {
       // Convert template to SessionForm format
       const formattedTemplate = {
         title: template.name,
-        date: new Date().toISOString().split('T')[0],
+        date: getTodayLocal(timeZone),
         notes: template.description || '',
         exercises: template.templateExercises.map(templateExercise => ({
           id: Date.now() + Math.random(), // Temporary ID for UI
           name: templateExercise.name || templateExercise.exerciseName,
-          sets: (templateExercise.latestSets && templateExercise.latestSets.length > 0)
+          exerciseTemplateId: templateExercise.exerciseTemplateId || null,
+          sets: (templateExercise.targetWeight == null && templateExercise.latestSets && templateExercise.latestSets.length > 0)
             ? templateExercise.latestSets 
             : Array(templateExercise.defaultSets || 3).fill(null).map(() => ({
                 reps: templateExercise.defaultReps || '',
                 weight: templateExercise.defaultWeight || ''
               })),
           notes: templateExercise.notes || '',
-          restSeconds: templateExercise.restSeconds || 60,
+          restSeconds: templateExercise.restSeconds || defaultRestSeconds,
+          groupNumber: templateExercise.groupNumber ?? null,
+          groupType: templateExercise.groupType ?? null,
+          trackingMode: templateExercise.trackingMode,
+          equipmentType: templateExercise.equipmentType ?? null,
           // Template guidance data
           templateGuidance: {
             targetRepRange: templateExercise.targetRepRange,
+            loadTarget: formatLoadTarget(templateExercise),
+            targetWeight: templateExercise.targetWeight,
+            e1rm: templateExercise.e1rm,
             restSeconds: templateExercise.restSeconds,
             notes: templateExercise.notes,
             latestSets: templateExercise.latestSets,
@@ -57,7 +70,7 @@ function NewSessionContent() {
       }
       setTemplateData(formattedTemplate)
     }
-  }, [template])
+  }, [template, defaultRestSeconds, timeZone])
 
   const handleSubmit = async (workoutData) => {
     setIsSubmitting(true)
@@ -93,14 +106,19 @@ function NewSessionContent() {
 
       const endpoint = templateId ? '/api/workouts/from-template' : '/api/workouts'
 
-      const response = await fetch(endpoint, {
+      // Queued in IndexedDB instead when there is no connection
+      const { queued, response } = await sendWorkoutWrite({
+        userId: user?.id,
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
+        url: endpoint,
+        body: payload,
       })
 
+      if (queued) {
+        router.push('/')
+        return
+      }
+
       if (!response.ok) {
         throw new Error('Failed to create workout')
       }
@@ -195,6 +213,7 @@ function NewSessionContent() {
       {showPRCelebration && newPRs && (
         <PRCelebration
           prs={newPRs}
+          weightUnit={weightUnit}
           onClose={() => {
             setShowPRCelebration(false)
             router.push('/')
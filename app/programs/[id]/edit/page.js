@@ -0,0 +1,137 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import useSWR from 'swr'
+import Header from '@/components/Header'
+import ProgramEditor from '@/components/ProgramEditor'
+import Toast from '@/components/Toast'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+export default function EditProgramPage({ params }) {
+  const router = useRouter()
+  const [programId, setProgramId] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [toast, setToast] = useState(null)
+
+  // Resolve params in Next.js 15+
+  useEffect(() => {
+    const resolveParams = async () => {
+      const resolvedParams = await params
+      setProgramId(parseInt(resolvedParams.id))
+    }
+    resolveParams()
+  }, [params])
+
+  const { data: program, error, isLoading } = useSWR(
+    programId ? `/api/programs/${programId}` : null,
+    fetcher
+  )
+
+  const handleSave = async (programData) => {
+    setIsSubmitting(true)
+    try {
+      const response = await fetch(`/api/programs/${programId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(programData),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.details?.[0] || errorData.error || 'Failed to update program')
+      }
+
+      setToast({ message: 'Program updated successfully!', type: 'success' })
+      
+      // Navigate back to programs page after a short delay
+      setTimeout(() => {
+        router.push('/programs')
+      }, 1500)
+    } catch (error) {
+      console.error('Error updating program:', error)
+      setToast({ message: error.message || 'Failed to update program', type: 'error' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleCancel = () => {
+    router.push('/programs')
+  }
+
+  if (!programId) {
+    return (
+      <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+        <Header />
+        <main className="flex-1 p-4 md:p-6 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-500 mx-auto mb-4"></div>
+            <p className="text-gray-400">Loading...</p>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+        <Header />
+        <main className="flex-1 p-4 md:p-6 flex items-center justify-center">
+          <div className="text-center">
+            <p className="text-red-400 mb-4">Failed to load program</p>
+            <button
+              onClick={() => router.push('/programs')}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors"
+            >
+              Back to Programs
+            </button>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+        <Header />
+        <main className="flex-1 p-4 md:p-6 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-500 mx-auto mb-4"></div>
+            <p className="text-gray-400">Loading program...</p>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+      <Header />
+      <main className="flex-1 p-4 md:p-6">
+        <div className="container mx-auto max-w-4xl">
+          <ProgramEditor
+            program={program}
+            onSave={handleSave}
+            onCancel={handleCancel}
+            isSubmitting={isSubmitting}
+          />
+        </div>
+      </main>
+
+      {/* Toast Notifications */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  )
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+'use client'
+
+import { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import Header from '@/components/Header'
+import ProgramEditor from '@/components/ProgramEditor'
+import Toast from '@/components/Toast'
+
+export default function NewProgramPage() {
+  const router = useRouter()
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [toast, setToast] = useState(null)
+
+  const handleSave = async (programData) => {
+    setIsSubmitting(true)
+    try {
+      const response = await fetch('/api/programs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(programData),
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json()
+        throw new Error(errorData.details?.[0] || errorData.error || 'Failed to create program')
+      }
+
+      setToast({ message: 'Program created successfully!', type: 'success' })
+      
+      // Navigate back to programs page after a short delay
+      setTimeout(() => {
+        router.push('/programs')
+      }, 1500)
+    } catch (error) {
+      console.error('Error creating program:', error)
+      setToast({ message: error.message || 'Failed to create program', type: 'error' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleCancel = () => {
+    router.push('/programs')
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+      <Header />
+      <main className="flex-1 p-4 md:p-6">
+        <div className="container mx-auto max-w-4xl">
+          <ProgramEditor
+            program={null}
+            onSave={handleSave}
+            onCancel={handleCancel}
+            isSubmitting={isSubmitting}
+          />
+        </div>
+      </main>
+
+      {/* Toast Notifications */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  )
+}
\ No newline at end of file
@@ -0,0 +1,237 @@
+'use client'
+
+import { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import useSWR from 'swr'
+import Header from '@/components/Header'
+import {
+  PlusIcon,
+  ArrowLeftIcon,
+  EditIcon,
+  TrashIcon,
+  CheckCircleIcon,
+} from 'lucide-react'
+import { getProgramDayLabel } from '@/lib/programs'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+export default function ProgramsPage() {
+  const router = useRouter()
+  const [busyProgram, setBusyProgram] = useState(null)
+
+  const { data: programs, error, isLoading, mutate } = useSWR('/api/programs', fetcher)
+
+  const handleBack = () => {
+    router.push('/')
+  }
+
+  const handleCreateNew = () => {
+    router.push('/programs/new')
+  }
+
+  const handleEdit = (program) => {
+    router.push(`/programs/${program.id}/edit`)
+  }
+
+  const handleToggleActive = async (program) => {
+    setBusyProgram(program.id)
+    try {
+      const response = await fetch(`/api/programs/${program.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: program.name,
+          description: program.description,
+          weeks: program.weeks,
+          isActive: !program.isActive,
+        }),
+      })
+
+      if (!response.ok) {
+        throw new Error('Failed to update program')
+      }
+
+      // Refresh the programs list
+      mutate()
+    } catch (error) {
+      console.error('Error updating program:', error)
+      alert('Failed to update program. Please try again.')
+    } finally {
+      setBusyProgram(null)
+    }
+  }
+
+  const handleDelete = async (program) => {
+    const confirmed = window.confirm(`Are you sure you want to delete the "${program.name}" program? Workouts you logged for it are kept.`)
+    if (!confirmed) return
+
+    setBusyProgram(program.id)
+    try {
+      const response = await fetch(`/api/programs/${program.id}`, {
+        method: 'DELETE'
+      })
+
+      if (!response.ok) {
+        throw new Error('Failed to delete program')
+      }
+
+      // Refresh the programs list
+      mutate()
+    } catch (error) {
+      console.error('Error deleting program:', error)
+      alert('Failed to delete program. Please try again.')
+    } finally {
+      setBusyProgram(null)
+    }
+  }
+
+  if (error) {
+    return (
+      <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+        <Header />
+        <main className="flex-1 p-4 md:p-6 flex items-center justify-center">
+          <div className="text-center">
+            <p className="text-red-400 mb-4">Failed to load programs</p>
+            <button
+              onClick={() => window.location.reload()}
+              className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        </main>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+      <Header />
+      <main className="flex-1 p-4 md:p-6">
+        <div className="container mx-auto max-w-4xl">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={handleBack}
+                className="p-2 text-gray-400 hover:text-white transition-colors"
+              >
+                <ArrowLeftIcon className="h-5 w-5" />
+              </button>
+              <div>
+                <h1 className="text-3xl font-bold text-white">Training Programs</h1>
+                <p className="text-gray-400 mt-1">
+                  Run your templates as a multi-week plan
+                </p>
+              </div>
+            </div>
+
+            <button
+              onClick={handleCreateNew}
+              className="flex items-center px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors min-h-[44px]"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Create Program
+            </button>
+          </div>
+
+          {/* Content */}
+          {isLoading ? (
+            <div className="space-y-4">
+              {[1, 2].map((i) => (
+                <div key={i} className="bg-surface rounded-xl p-6 animate-pulse">
+                  <div className="h-6 bg-surface-elevated rounded mb-3"></div>
+                  <div className="h-4 bg-surface-elevated rounded w-3/4"></div>
+                </div>
+              ))}
+            </div>
+          ) : programs && programs.length > 0 ? (
+            <div className="space-y-4">
+              {programs.map((program) => (
+                <div
+                  key={program.id}
+                  className={`bg-surface rounded-xl p-5 border ${
+                    program.isActive ? 'border-accent/60' : 'border-border'
+                  }`}
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <h2 className="text-lg font-semibold text-text-primary truncate">
+                          {program.name}
+                        </h2>
+                        {program.isActive && (
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-accent/20 text-accent">
+                            Active
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-sm text-text-muted">
+                        {program.weeks} week{program.weeks === 1 ? '' : 's'} ·{' '}
+                        {program.days.length} day{program.days.length === 1 ? '' : 's'} a week
+                      </p>
+                      {program.description && (
+                        <p className="text-sm text-text-secondary mt-1">
+                          {program.description}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => handleEdit(program)}
+                        className="p-2 text-text-muted hover:text-text-primary transition-colors"
+                        title="Edit program"
+                      >
+                        <EditIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(program)}
+                        disabled={busyProgram === program.id}
+                        className="p-2 text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
+                        title="Delete program"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  <ol className="mt-3 flex flex-wrap gap-2">
+                    {program.days.map((day) => (
+                      <li
+                        key={day.id}
+                        className="text-xs px-2 py-1 rounded-full bg-surface-highlight text-text-secondary"
+                      >
+                        Day {day.dayNumber}: {getProgramDayLabel(day)}
+                      </li>
+                    ))}
+                  </ol>
+
+                  <button
+                    onClick={() => handleToggleActive(program)}
+                    disabled={busyProgram === program.id}
+                    className="mt-4 flex items-center px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+                  >
+                    <CheckCircleIcon className="h-4 w-4 mr-2" />
+                    {program.isActive ? 'Stop running' : 'Set as active'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <p className="text-gray-400 mb-4">No programs yet</p>
+              <button
+                onClick={handleCreateNew}
+                className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors"
+              >
+                Create Your First Program
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
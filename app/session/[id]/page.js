@@ -7,11 +7,14 @@ import Header from '@/components/Header'
 import SessionDetail from '@/components/SessionDetail'
 import EditableSessionForm from '@/components/EditableSessionForm'
 import Toast from '@/components/Toast'
+import { sendWorkoutWrite } from '@/lib/offline-queue'
+import { useAuth } from '@/contexts/AuthContext'
 
 const fetcher = (url) => fetch(url).then((res) => res.json())
 
 export default function SessionPage({ params }) {
   const router = useRouter()
+  const { user } = useAuth()
   const [sessionId, setSessionId] = useState(null)
   const [isEditing, setIsEditing] = useState(false)
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
@@ -49,14 +52,30 @@ export default function SessionPage({ params }) {
 
   const handleSave = async (updatedSession) => {
     try {
-      const response = await fetch(`/api/workouts/${sessionId}`, {
+      const { queued, response } = await sendWorkoutWrite({
+        userId: user?.id,
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(updatedSession),
+        url: `/api/workouts/${sessionId}`,
+        // Lets the server reject the edit if the workout changed elsewhere meanwhile
+        body: { ...updatedSession, expectedUpdatedAt: session.updatedAt },
       })
 
+      if (queued) {
+        // Show the edit straight away; it is sent once the connection is back
+        mutate({ ...session, ...updatedSession }, false)
+        setIsEditing(false)
+        setHasUnsavedChanges(false)
+        setToast({ message: "You're offline. Changes will sync when you reconnect.", type: 'success' })
+        return
+      }
+
+      if (response.status === 409) {
+        const { workout } = await response.json()
+        mutate(workout, false)
+        setToast({ message: 'This session was changed on another device. Save again to overwrite those changes.', type: 'error' })
+        return
+      }
+
       if (!response.ok) {
         throw new Error('Failed to update session')
       }
@@ -195,6 +214,7 @@ export default function SessionPage({ params }) {
               session={session}
               onEdit={handleEdit}
               onBack={handleBack}
+              onCardioChanged={() => mutate()}
             />
           )}
         </div>
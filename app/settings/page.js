@@ -0,0 +1,353 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import { mutate } from 'swr'
+import Header from '@/components/Header'
+import Toast from '@/components/Toast'
+import ActiveSessions from '@/components/ActiveSessions'
+import ApiTokens from '@/components/ApiTokens'
+import EquipmentSettings from '@/components/EquipmentSettings'
+import RecoveryCodes from '@/components/RecoveryCodes'
+import TwoFactorSettings from '@/components/TwoFactorSettings'
+import { useAuth } from '@/contexts/AuthContext'
+import { WEIGHT_UNITS } from '@/lib/units'
+import { WEEK_DAYS, getSupportedTimeZones } from '@/lib/dateUtils'
+import { ArrowLeftIcon, UserCogIcon, KeyRoundIcon } from 'lucide-react'
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:border-accent min-h-[44px]'
+
+/**
+ * Form values for the signed-in user's profile and preferences
+ */
+const toProfileForm = ({ user, weightUnit, defaultRestSeconds, weekStartDay, timeZone }) => ({
+  name: user?.name || '',
+  weightUnit,
+  defaultRestSeconds: String(defaultRestSeconds),
+  weekStartDay: String(weekStartDay),
+  timeZone: timeZone || '',
+})
+
+export default function SettingsPage() {
+  const router = useRouter()
+  const {
+    user,
+    isLoading,
+    updatePreferences,
+    weightUnit,
+    defaultRestSeconds,
+    weekStartDay,
+    timeZone,
+  } = useAuth()
+  const settings = { user, weightUnit, defaultRestSeconds, weekStartDay, timeZone }
+
+  const [profile, setProfile] = useState(() => toProfileForm(settings))
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  })
+  const [isSaving, setIsSaving] = useState(false)
+  const [toast, setToast] = useState(null)
+  const [timeZones] = useState(() => getSupportedTimeZones())
+
+  // Fill the form once the signed-in user has loaded, and again after saving
+  useEffect(() => {
+    if (user) {
+      setProfile(toProfileForm({ user, weightUnit, defaultRestSeconds, weekStartDay, timeZone }))
+    }
+  }, [user, weightUnit, defaultRestSeconds, weekStartDay, timeZone])
+
+  const showToast = (message, type = 'success') => {
+    setToast({ message, type })
+  }
+
+  const handleProfileChange = (field, value) => {
+    setProfile((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const handlePasswordChange = (field, value) => {
+    setPasswords((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const save = async (changes, message) => {
+    setIsSaving(true)
+    const result = await updatePreferences(changes)
+    setIsSaving(false)
+
+    if (!result?.success) {
+      showToast(result?.error || 'Failed to save settings', 'error')
+      return false
+    }
+    // Refetch everything so unit and week changes show up straight away
+    mutate(() => true)
+    showToast(message)
+    return true
+  }
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+
+    const saved = toProfileForm(settings)
+    const changes = {}
+    if (profile.name.trim() !== saved.name) changes.name = profile.name.trim()
+    if (profile.weightUnit !== saved.weightUnit) changes.weightUnit = profile.weightUnit
+    if (profile.defaultRestSeconds !== saved.defaultRestSeconds) {
+      changes.defaultRestSeconds = parseInt(profile.defaultRestSeconds)
+    }
+    if (profile.weekStartDay !== saved.weekStartDay) {
+      changes.weekStartDay = parseInt(profile.weekStartDay)
+    }
+    if (profile.timeZone !== saved.timeZone) changes.timeZone = profile.timeZone || null
+
+    if (Object.keys(changes).length === 0) {
+      showToast('Nothing to save')
+      return
+    }
+    await save(changes, 'Settings saved')
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      showToast('New passwords do not match', 'error')
+      return
+    }
+
+    const saved = await save(
+      {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      },
+      'Password changed. Other devices have been signed out.'
+    )
+    if (saved) {
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+        <Header />
+        <main className="flex-1 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-accent"></div>
+        </main>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
+      <Header />
+      <main className="flex-1 p-4 md:p-6">
+        <div className="container mx-auto max-w-2xl">
+          {/* Header */}
+          <div className="flex items-center gap-4 mb-6">
+            <button
+              onClick={() => router.push('/')}
+              className="p-2 text-gray-400 hover:text-white transition-colors"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <div>
+              <div className="flex items-center gap-2">
+                <UserCogIcon className="h-6 w-6 text-accent" />
+                <h1 className="text-3xl font-bold text-white">Settings</h1>
+              </div>
+              <p className="text-gray-400 mt-1">
+                Your profile and training preferences
+              </p>
+            </div>
+          </div>
+
+          {/* Profile & preferences */}
+          <form
+            onSubmit={handleProfileSubmit}
+            className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4"
+          >
+            <h2 className="text-lg font-semibold text-text-primary">Profile</h2>
+
+            <label className="block text-sm text-text-secondary">
+              Display name
+              <input
+                type="text"
+                value={profile.name}
+                onChange={(e) => handleProfileChange('name', e.target.value)}
+                className={`${inputClass} mt-1`}
+                required
+              />
+            </label>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <label className="block text-sm text-text-secondary">
+                Units
+                <select
+                  value={profile.weightUnit}
+                  onChange={(e) => handleProfileChange('weightUnit', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                >
+                  {WEIGHT_UNITS.map((unit) => (
+                    <option key={unit} value={unit}>
+                      {unit}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="block text-sm text-text-secondary">
+                Default rest time (seconds)
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min="1"
+                  max="600"
+                  value={profile.defaultRestSeconds}
+                  onChange={(e) => handleProfileChange('defaultRestSeconds', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                  required
+                />
+              </label>
+
+              <label className="block text-sm text-text-secondary">
+                Week starts on
+                <select
+                  value={profile.weekStartDay}
+                  onChange={(e) => handleProfileChange('weekStartDay', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                >
+                  {WEEK_DAYS.map((day, index) => (
+                    <option key={day} value={String(index)}>
+                      {day}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="block text-sm text-text-secondary">
+                Time zone
+                <select
+                  value={profile.timeZone}
+                  onChange={(e) => handleProfileChange('timeZone', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                >
+                  <option value="">Use this device&apos;s time zone</option>
+                  {profile.timeZone && !timeZones.includes(profile.timeZone) && (
+                    <option value={profile.timeZone}>{profile.timeZone}</option>
+                  )}
+                  {timeZones.map((zone) => (
+                    <option key={zone} value={zone}>
+                      {zone}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+            >
+              {isSaving ? 'Saving...' : 'Save settings'}
+            </button>
+          </form>
+
+          <EquipmentSettings
+            onError={(message) => showToast(message, 'error')}
+            onChange={(message) => showToast(message)}
+          />
+
+          {/* Password */}
+          <form
+            onSubmit={handlePasswordSubmit}
+            className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4"
+          >
+            <div>
+              <div className="flex items-center gap-2">
+                <KeyRoundIcon className="h-5 w-5 text-text-muted" />
+                <h2 className="text-lg font-semibold text-text-primary">Change password</h2>
+              </div>
+              <p className="text-sm text-text-muted mt-1">
+                Signs you out on every other device.
+              </p>
+            </div>
+
+            <label className="block text-sm text-text-secondary">
+              Current password
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={passwords.currentPassword}
+                onChange={(e) => handlePasswordChange('currentPassword', e.target.value)}
+                className={`${inputClass} mt-1`}
+                required
+              />
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <label className="block text-sm text-text-secondary">
+                New password
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={6}
+                  value={passwords.newPassword}
+                  onChange={(e) => handlePasswordChange('newPassword', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                  required
+                />
+              </label>
+              <label className="block text-sm text-text-secondary">
+                Confirm new password
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={6}
+                  value={passwords.confirmPassword}
+                  onChange={(e) => handlePasswordChange('confirmPassword', e.target.value)}
+                  className={`${inputClass} mt-1`}
+                  required
+                />
+              </label>
+            </div>
+
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+            >
+              Change password
+            </button>
+          </form>
+
+          <TwoFactorSettings
+            onError={(message) => showToast(message, 'error')}
+            onChange={(message) => showToast(message)}
+          />
+
+          <RecoveryCodes onError={(message) => showToast(message, 'error')} />
+
+          <ActiveSessions
+            timeZone={timeZone || undefined}
+            onError={(message) => showToast(message, 'error')}
+          />
+
+          <ApiTokens
+            timeZone={timeZone || undefined}
+            onError={(message) => showToast(message, 'error')}
+          />
+        </div>
+      </main>
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          type={toast.type}
+          onClose={() => setToast(null)}
+        />
+      )}
+    </div>
+  )
+}
@@ -43,19 +43,45 @@ export default function TemplatesPage() {
       })
 
       if (!response.ok) {
-        throw new Error('Failed to delete template')
+        const errorData = await response.json()
+        throw new Error(errorData.error || 'Failed to delete template')
       }
 
       // Refresh the templates list
       mutate()
     } catch (error) {
       console.error('Error deleting template:', error)
-      alert('Failed to delete template. Please try again.')
+      alert(error.message || 'Failed to delete template. Please try again.')
     } finally {
       setDeletingTemplate(null)
     }
   }
 
+  const handleShare = async (template) => {
+    const username = window.prompt(`Share a copy of "${template.name}" with which username?`)
+    if (!username || !username.trim()) return
+
+    try {
+      const response = await fetch(`/api/templates/${template.id}/share`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username: username.trim() }),
+      })
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to share template')
+      }
+
+      alert(result.message)
+    } catch (error) {
+      console.error('Error sharing template:', error)
+      alert(error.message || 'Failed to share template. Please try again.')
+    }
+  }
+
   if (error) {
     return (
       <div className="flex flex-col min-h-screen bg-gray-900 text-gray-100">
@@ -123,6 +149,7 @@ export default function TemplatesPage() {
                   template={template}
                   onEdit={() => handleEdit(template)}
                   onDelete={() => handleDelete(template)}
+                  onShare={() => handleShare(template)}
                   isDeleting={deletingTemplate === template.id}
                 />
               ))}
@@ -0,0 +1,114 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { MonitorSmartphoneIcon, LogOutIcon } from 'lucide-react'
+import { describeUserAgent } from '@/lib/user-agent'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+const formatDateTime = (value, timeZone) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    ...(timeZone && { timeZone }),
+  })
+
+/**
+ * ActiveSessions Component
+ *
+ * Lists every device the user is logged in on, with when each login was
+ * created and last used, and lets the user log out of the others.
+ */
+const ActiveSessions = ({ timeZone, onError }) => {
+  const { data, mutate } = useSWR('/api/auth/sessions', fetcher)
+  const [revokingId, setRevokingId] = useState(null)
+
+  const sessions = data?.sessions || []
+  const otherCount = sessions.filter((session) => !session.current).length
+
+  const revoke = async (url, id) => {
+    setRevokingId(id)
+    try {
+      const response = await fetch(url, { method: 'DELETE' })
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}))
+        throw new Error(result.error || 'Failed to log out session')
+      }
+      await mutate()
+    } catch (error) {
+      onError?.(error.message)
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  return (
+    <div className="bg-surface border border-border rounded-xl p-4 mb-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <MonitorSmartphoneIcon className="h-5 w-5 text-text-muted" />
+            <h2 className="text-lg font-semibold text-text-primary">Where you&apos;re logged in</h2>
+          </div>
+          <p className="text-sm text-text-muted mt-1">
+            Logins expire after 30 days without use.
+          </p>
+        </div>
+        {otherCount > 0 && (
+          <button
+            onClick={() => revoke('/api/auth/sessions', 'all')}
+            disabled={revokingId !== null}
+            className="px-3 py-2 text-sm bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px] whitespace-nowrap"
+          >
+            Log out all others
+          </button>
+        )}
+      </div>
+
+      {!data ? (
+        <p className="text-sm text-text-muted">Loading sessions...</p>
+      ) : (
+        <ul className="divide-y divide-border">
+          {sessions.map((session) => (
+            <li key={session.id} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className="text-sm text-text-primary truncate">
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 text-xs text-accent">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-text-muted">
+                  Last used {formatDateTime(session.lastUsedAt, timeZone)} · Logged in{' '}
+                  {formatDateTime(session.createdAt, timeZone)}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => revoke(`/api/auth/sessions/${session.id}`, session.id)}
+                  disabled={revokingId !== null}
+                  className="p-2 text-text-muted hover:text-red-400 transition-colors disabled:opacity-50"
+                  title="Log out this device"
+                >
+                  <LogOutIcon className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+ActiveSessions.propTypes = {
+  timeZone: PropTypes.string,
+  onError: PropTypes.func,
+}
+
+export default ActiveSessions
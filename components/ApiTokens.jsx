@@ -0,0 +1,221 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { KeySquareIcon, TrashIcon, CopyIcon, CheckIcon } from 'lucide-react'
+import { API_TOKEN_SCOPES, API_TOKEN_EXPIRY_DAYS } from '@/lib/api-token-scopes'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:border-accent min-h-[44px]'
+
+const buttonClass =
+  'px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]'
+
+const EMPTY_FORM = { name: '', scopes: ['workouts:read'], expiresInDays: 90 }
+
+const formatDate = (value, timeZone) =>
+  new Date(value).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    ...(timeZone && { timeZone }),
+  })
+
+/**
+ * ApiTokens Component
+ *
+ * Lists the user's personal API tokens with their scopes and expiry, creates
+ * new ones (shown once, for copying into a script) and revokes them.
+ */
+const ApiTokens = ({ timeZone, onError }) => {
+  const { data, mutate } = useSWR('/api/auth/tokens', fetcher)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [createdToken, setCreatedToken] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [isWorking, setIsWorking] = useState(false)
+
+  const tokens = data?.tokens || []
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((s) => s !== scope)
+        : [...prev.scopes, scope],
+    }))
+  }
+
+  const create = async (e) => {
+    e.preventDefault()
+    setIsWorking(true)
+    try {
+      const response = await fetch('/api/auth/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      })
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(result.details?.join('. ') || result.error || 'Failed to create API token')
+      }
+      setCreatedToken(result.token)
+      setCopied(false)
+      setForm(EMPTY_FORM)
+      await mutate()
+    } catch (error) {
+      onError?.(error.message)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const revoke = async (id) => {
+    setIsWorking(true)
+    try {
+      const response = await fetch(`/api/auth/tokens/${id}`, { method: 'DELETE' })
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}))
+        throw new Error(result.error || 'Failed to revoke API token')
+      }
+      await mutate()
+    } catch (error) {
+      onError?.(error.message)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken)
+      setCopied(true)
+    } catch {
+      setCopied(false)
+    }
+  }
+
+  return (
+    <div className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4">
+      <div>
+        <div className="flex items-center gap-2">
+          <KeySquareIcon className="h-5 w-5 text-text-muted" />
+          <h2 className="text-lg font-semibold text-text-primary">API tokens</h2>
+        </div>
+        <p className="text-sm text-text-muted mt-1">
+          Let scripts and integrations read or log your workouts with an{' '}
+          <code className="font-mono">Authorization: Bearer</code> header.
+        </p>
+      </div>
+
+      {createdToken && (
+        <div className="space-y-2">
+          <p className="text-sm text-text-secondary">
+            Copy your new token now. It won&apos;t be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 font-mono text-sm text-text-primary bg-surface-elevated border border-border rounded-lg p-3 break-all">
+              {createdToken}
+            </code>
+            <button type="button" onClick={copy} className={buttonClass} title="Copy token">
+              {copied ? <CheckIcon className="h-4 w-4" /> : <CopyIcon className="h-4 w-4" />}
+            </button>
+          </div>
+          <button type="button" onClick={() => setCreatedToken(null)} className={buttonClass}>
+            Done
+          </button>
+        </div>
+      )}
+
+      {!data ? (
+        <p className="text-sm text-text-muted">Loading tokens...</p>
+      ) : tokens.length > 0 && (
+        <ul className="divide-y divide-border">
+          {tokens.map((token) => {
+            const expired = new Date(token.expiresAt) < new Date()
+            return (
+              <li key={token.id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <p className="text-sm text-text-primary truncate">{token.name}</p>
+                  <p className="text-xs text-text-muted">{token.scopes.join(', ')}</p>
+                  <p className="text-xs text-text-muted">
+                    {token.lastUsedAt ? `Last used ${formatDate(token.lastUsedAt, timeZone)}` : 'Never used'} ·{' '}
+                    <span className={expired ? 'text-red-400' : undefined}>
+                      {expired ? 'Expired' : 'Expires'} {formatDate(token.expiresAt, timeZone)}
+                    </span>
+                  </p>
+                </div>
+                <button
+                  onClick={() => revoke(token.id)}
+                  disabled={isWorking}
+                  className="p-2 text-text-muted hover:text-red-400 transition-colors disabled:opacity-50"
+                  title="Revoke this token"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={create} className="space-y-4">
+        <label className="block text-sm text-text-secondary">
+          Token name
+          <input
+            type="text"
+            maxLength={100}
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            className={`${inputClass} mt-1`}
+            placeholder="e.g. Spreadsheet sync"
+            required
+          />
+        </label>
+        <fieldset className="space-y-2">
+          <legend className="text-sm text-text-secondary mb-1">Scopes</legend>
+          {Object.entries(API_TOKEN_SCOPES).map(([scope, description]) => (
+            <label key={scope} className="flex items-start gap-2 text-sm text-text-primary">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-mono">{scope}</span>
+                <span className="block text-xs text-text-muted">{description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+        <label className="block text-sm text-text-secondary">
+          Expires after
+          <select
+            value={form.expiresInDays}
+            onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: Number(e.target.value) }))}
+            className={`${inputClass} mt-1`}
+          >
+            {API_TOKEN_EXPIRY_DAYS.map((days) => (
+              <option key={days} value={days}>
+                {days} days
+              </option>
+            ))}
+          </select>
+        </label>
+        <button type="submit" disabled={isWorking || form.scopes.length === 0} className={buttonClass}>
+          Create token
+        </button>
+      </form>
+    </div>
+  )
+}
+
+ApiTokens.propTypes = {
+  timeZone: PropTypes.string,
+  onError: PropTypes.func,
+}
+
+export default ApiTokens
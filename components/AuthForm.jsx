@@ -1,18 +1,52 @@
 'use client'
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
+import RecoveryCodesList from './RecoveryCodesList'
+
+const EMPTY_FORM = {
+  username: '',
+  password: '',
+  name: '',
+  recoveryCode: '',
+  code: ''
+}
+
+const TITLES = {
+  login: 'Sign in to your account',
+  register: 'Create your account',
+  reset: 'Reset your password',
+  'two-factor': 'Two-factor authentication'
+}
+
+const SUBMIT_LABELS = {
+  login: 'Sign In',
+  register: 'Sign Up',
+  reset: 'Reset Password',
+  'two-factor': 'Verify'
+}
 
 export default function AuthForm({ onAuthSuccess }) {
-  const [isLogin, setIsLogin] = useState(true)
-  const [formData, setFormData] = useState({
-    username: '',
-    password: '',
-    name: ''
-  })
+  // 'login', 'register', 'reset' (with a recovery code) or 'two-factor'
+  const [mode, setMode] = useState('login')
+  // Token for the second login step when the account has two-factor on
+  const [challenge, setChallenge] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_FORM)
   const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  // Codes from a new account, shown until the user confirms they saved them
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
+  // Seconds until the server accepts another login attempt after a 429
+  const [retryAfter, setRetryAfter] = useState(0)
   const router = useRouter()
+  const isLogin = mode === 'login'
+
+  useEffect(() => {
+    if (retryAfter <= 0) return
+    const timer = setTimeout(() => setRetryAfter(retryAfter - 1), 1000)
+    return () => clearTimeout(timer)
+  }, [retryAfter])
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
@@ -23,16 +57,28 @@ export default function AuthForm({ onAuthSuccess }) {
     if (error) setError('')
   }
 
+  const switchMode = (nextMode) => {
+    setMode(nextMode)
+    setChallenge(null)
+    setError('')
+    setNotice('')
+    setFormData(EMPTY_FORM)
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setIsLoading(true)
     setError('')
+    setNotice('')
 
     try {
-      const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register'
-      const body = isLogin 
-        ? { username: formData.username, password: formData.password }
-        : formData
+      const { username, password, name, recoveryCode, code } = formData
+      const [endpoint, body] = {
+        login: ['/api/auth/login', { username, password }],
+        register: ['/api/auth/register', { username, password, name }],
+        reset: ['/api/auth/reset-password', { username, recoveryCode, newPassword: password }],
+        'two-factor': ['/api/auth/two-factor/verify', { challenge, code }]
+      }[mode]
 
       const response = await fetch(endpoint, {
         method: 'POST',
@@ -45,9 +91,31 @@ export default function AuthForm({ onAuthSuccess }) {
       const data = await response.json()
 
       if (!response.ok) {
+        if (response.status === 429 && data.retryAfter) {
+          setRetryAfter(data.retryAfter)
+        }
         throw new Error(data.error || 'Authentication failed')
       }
 
+      if (data.twoFactorRequired) {
+        setMode('two-factor')
+        setChallenge(data.challenge)
+        return
+      }
+
+      if (mode === 'reset') {
+        switchMode('login')
+        setNotice(
+          `Password reset. Sign in with your new password. You have ${data.remainingCodes} recovery code${data.remainingCodes === 1 ? '' : 's'} left.`
+        )
+        return
+      }
+
+      if (data.recoveryCodes) {
+        setRecoveryCodes(data.recoveryCodes)
+        return
+      }
+
       // Force a page refresh to ensure the auth context picks up the new session
       window.location.reload()
     } catch (err) {
@@ -57,14 +125,24 @@ export default function AuthForm({ onAuthSuccess }) {
     }
   }
 
-  const toggleMode = () => {
-    setIsLogin(!isLogin)
-    setError('')
-    setFormData({
-      username: '',
-      password: '',
-      name: ''
-    })
+  if (recoveryCodes) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-background py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6">
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-text-primary">
+            Your recovery codes
+          </h2>
+          <RecoveryCodesList codes={recoveryCodes} />
+          <button
+            type="button"
+            onClick={() => window.location.reload()}
+            className="w-full flex justify-center py-2 px-4 text-sm font-medium rounded-lg text-white bg-accent hover:bg-accent-hover transition-colors min-h-[44px]"
+          >
+            I&apos;ve saved my codes
+          </button>
+        </div>
+      </div>
+    )
   }
 
   return (
@@ -72,13 +150,13 @@ export default function AuthForm({ onAuthSuccess }) {
       <div className="max-w-md w-full space-y-8">
         <div>
           <h2 className="mt-6 text-center text-3xl font-extrabold text-text-primary">
-            {isLogin ? 'Sign in to your account' : 'Create your account'}
+            {TITLES[mode]}
           </h2>
           <p className="mt-2 text-center text-sm text-text-muted">
             {isLogin ? "Don't have an account? " : 'Already have an account? '}
             <button
               type="button"
-              onClick={toggleMode}
+              onClick={() => switchMode(isLogin ? 'register' : 'login')}
               className="font-medium text-accent hover:text-accent-hover transition-colors"
             >
               {isLogin ? 'Sign up' : 'Sign in'}
@@ -88,23 +166,46 @@ export default function AuthForm({ onAuthSuccess }) {
 
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div className="space-y-4">
-            <div>
-              <label htmlFor="username" className="block text-sm font-medium text-text-secondary">
-                Username
-              </label>
-              <input
-                id="username"
-                name="username"
-                type="text"
-                required
-                value={formData.username}
-                onChange={handleInputChange}
-                className="mt-1 block w-full px-3 py-2 border border-border rounded-lg bg-surface-elevated text-text-primary placeholder-text-muted focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
-                placeholder="Enter your username"
-              />
-            </div>
+            {mode === 'two-factor' ? (
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-text-secondary">
+                  Authentication Code
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  value={formData.code}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full px-3 py-2 border border-border rounded-lg bg-surface-elevated text-text-primary placeholder-text-muted font-mono focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
+                  placeholder="123456"
+                />
+                <p className="mt-2 text-sm text-text-muted">
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </p>
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-text-secondary">
+                  Username
+                </label>
+                <input
+                  id="username"
+                  name="username"
+                  type="text"
+                  required
+                  value={formData.username}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full px-3 py-2 border border-border rounded-lg bg-surface-elevated text-text-primary placeholder-text-muted focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
+                  placeholder="Enter your username"
+                />
+              </div>
+            )}
 
-            {!isLogin && (
+            {mode === 'register' && (
               <div>
                 <label htmlFor="name" className="block text-sm font-medium text-text-secondary">
                   Full Name
@@ -122,23 +223,59 @@ export default function AuthForm({ onAuthSuccess }) {
               </div>
             )}
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-text-secondary">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                required
-                value={formData.password}
-                onChange={handleInputChange}
-                className="mt-1 block w-full px-3 py-2 border border-border rounded-lg bg-surface-elevated text-text-primary placeholder-text-muted focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
-                placeholder="Enter your password"
-              />
-            </div>
+            {mode === 'reset' && (
+              <div>
+                <label htmlFor="recoveryCode" className="block text-sm font-medium text-text-secondary">
+                  Recovery Code
+                </label>
+                <input
+                  id="recoveryCode"
+                  name="recoveryCode"
+                  type="text"
+                  required
+                  autoComplete="off"
+                  value={formData.recoveryCode}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full px-3 py-2 border border-border rounded-lg bg-surface-elevated text-text-primary placeholder-text-muted font-mono focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
+                  placeholder="XXXX-XXXX-XXXX-XXXX"
+                />
+              </div>
+            )}
+
+            {mode !== 'two-factor' && (
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-text-secondary">
+                  {mode === 'reset' ? 'New Password' : 'Password'}
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  required
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full px-3 py-2 border border-border rounded-lg bg-surface-elevated text-text-primary placeholder-text-muted focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
+                  placeholder={mode === 'reset' ? 'Choose a new password' : 'Enter your password'}
+                />
+                {isLogin && (
+                  <button
+                    type="button"
+                    onClick={() => switchMode('reset')}
+                    className="mt-2 text-sm text-accent hover:text-accent-hover transition-colors"
+                  >
+                    Forgot password?
+                  </button>
+                )}
+              </div>
+            )}
           </div>
 
+          {notice && (
+            <div className="bg-green-900/50 border border-green-700 text-green-200 px-4 py-3 rounded-lg">
+              {notice}
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-900/50 border border-red-700 text-red-200 px-4 py-3 rounded-lg">
               {error}
@@ -147,10 +284,14 @@ export default function AuthForm({ onAuthSuccess }) {
 
           <button
             type="submit"
-            disabled={isLoading}
+            disabled={isLoading || retryAfter > 0}
             className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-accent hover:bg-accent-hover focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-accent disabled:opacity-50 disabled:cursor-not-allowed transition-colors min-h-[44px]"
           >
-            {isLoading ? 'Please wait...' : (isLogin ? 'Sign In' : 'Sign Up')}
+            {isLoading
+              ? 'Please wait...'
+              : retryAfter > 0
+                ? `Try again in ${retryAfter}s`
+                : SUBMIT_LABELS[mode]}
           </button>
         </form>
       </div>
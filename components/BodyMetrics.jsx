@@ -0,0 +1,354 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts'
+import { Scale, Ruler, Plus, ChevronDown, ChevronUp } from 'lucide-react'
+import { formatVolume, combineWeeklyTrends } from '@/lib/volume-analytics'
+import { MEASUREMENT_SITES, formatMeasurementSite } from '@/lib/body-metrics'
+import { getTodayLocal } from '@/lib/dateUtils'
+import { DEFAULT_WEIGHT_UNIT, formatWeight, toKg } from '@/lib/units'
+import { useAuth } from '@/contexts/AuthContext'
+
+/**
+ * Weekly training volume (bars) with average bodyweight (line)
+ */
+function BodyweightTrainingChart({ data, weightUnit }) {
+  if (!data.some((week) => week.weight !== null && week.weight !== undefined)) {
+    return (
+      <div className="h-48 flex items-center justify-center text-gray-500">
+        Log your bodyweight to chart it against your training
+      </div>
+    )
+  }
+
+  return (
+    <div className="h-48">
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={data} margin={{ top: 10, right: 0, bottom: 0, left: 0 }}>
+          <XAxis
+            dataKey="label"
+            tick={{ fill: '#9ca3af', fontSize: 12 }}
+            axisLine={{ stroke: '#374151' }}
+            tickLine={false}
+          />
+          <YAxis
+            yAxisId="volume"
+            tick={{ fill: '#9ca3af', fontSize: 12 }}
+            axisLine={false}
+            tickLine={false}
+            tickFormatter={(value) => formatVolume(value)}
+            width={50}
+          />
+          <YAxis
+            yAxisId="weight"
+            orientation="right"
+            domain={['dataMin - 2', 'dataMax + 2']}
+            tick={{ fill: '#9ca3af', fontSize: 12 }}
+            axisLine={false}
+            tickLine={false}
+            tickFormatter={(value) => Math.round(value)}
+            width={40}
+          />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: '#1a1a1a',
+              borderColor: '#374151',
+              borderRadius: '0.5rem',
+              color: '#F9FAFB'
+            }}
+            formatter={(value, name) =>
+              name === 'volume'
+                ? [formatWeight(value, weightUnit), 'Volume']
+                : [formatWeight(value, weightUnit), 'Bodyweight']
+            }
+            labelFormatter={(label) => `Week ${label}`}
+          />
+          <Bar yAxisId="volume" dataKey="volume" fill="#3B82F6" fillOpacity={0.4} radius={[4, 4, 0, 0]} />
+          <Line
+            yAxisId="weight"
+            type="monotone"
+            dataKey="weight"
+            stroke="#10B981"
+            strokeWidth={2}
+            dot={{ r: 3, fill: '#10B981' }}
+            connectNulls
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+BodyweightTrainingChart.propTypes = {
+  data: PropTypes.array.isRequired,
+  weightUnit: PropTypes.string
+}
+
+/**
+ * Latest tape measurements with their change over the charted weeks
+ */
+function MeasurementList({ measurements }) {
+  if (!measurements || measurements.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">No measurements logged yet.</p>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+      {measurements.map(({ site, value, change }) => (
+        <div key={site} className="bg-gray-800/50 rounded-lg px-3 py-2">
+          <p className="text-xs text-gray-400">{formatMeasurementSite(site)}</p>
+          <p className="text-white font-medium tabular-nums">
+            {value} cm
+            {change !== null && change !== 0 && (
+              <span className={`ml-2 text-xs ${change < 0 ? 'text-emerald-400' : 'text-orange-400'}`}>
+                {change > 0 ? '+' : ''}{change}
+              </span>
+            )}
+          </p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+MeasurementList.propTypes = {
+  measurements: PropTypes.array
+}
+
+/**
+ * Form for logging a day's bodyweight, body fat and measurements
+ */
+function BodyMetricsForm({ weightUnit, onLogged }) {
+  const { timeZone } = useAuth()
+  const [date, setDate] = useState(getTodayLocal(timeZone))
+  const [weight, setWeight] = useState('')
+  const [bodyFat, setBodyFat] = useState('')
+  const [measurements, setMeasurements] = useState({})
+  const [showMeasurements, setShowMeasurements] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const filledMeasurements = Object.fromEntries(
+    Object.entries(measurements)
+      .filter(([, value]) => value !== '')
+      .map(([site, value]) => [site, parseFloat(value)])
+  )
+  const canSave = weight !== '' || Object.keys(filledMeasurements).length > 0
+
+  const post = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    })
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.details?.[0] || data.error || 'Failed to save')
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canSave) return
+
+    setIsSaving(true)
+    setError(null)
+    try {
+      if (weight !== '') {
+        await post('/api/weight', {
+          date,
+          weight: toKg(parseFloat(weight), weightUnit),
+          bodyFat: bodyFat === '' ? null : parseFloat(bodyFat),
+        })
+      }
+      if (Object.keys(filledMeasurements).length > 0) {
+        await post('/api/measurements', { date, measurements: filledMeasurements })
+      }
+
+      setWeight('')
+      setBodyFat('')
+      setMeasurements({})
+      onLogged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-blue-500'
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-3 gap-3">
+        <label className="text-xs text-gray-400">
+          Date
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className={`${inputClass} mt-1`}
+            required
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Bodyweight ({weightUnit})
+          <input
+            type="number"
+            inputMode="decimal"
+            step="0.1"
+            min="0"
+            value={weight}
+            onChange={(e) => setWeight(e.target.value)}
+            className={`${inputClass} mt-1`}
+            placeholder={weightUnit === 'lb' ? 'e.g. 180' : 'e.g. 80.5'}
+          />
+        </label>
+        <label className="text-xs text-gray-400">
+          Body fat (%)
+          <input
+            type="number"
+            inputMode="decimal"
+            step="0.1"
+            min="0"
+            max="100"
+            value={bodyFat}
+            onChange={(e) => setBodyFat(e.target.value)}
+            className={`${inputClass} mt-1`}
+            placeholder="Optional"
+            disabled={weight === ''}
+          />
+        </label>
+      </div>
+
+      <button
+        type="button"
+        onClick={() => setShowMeasurements(!showMeasurements)}
+        className="flex items-center text-sm text-gray-400 hover:text-white transition-colors"
+      >
+        {showMeasurements ? <ChevronUp className="h-4 w-4 mr-1" /> : <ChevronDown className="h-4 w-4 mr-1" />}
+        Tape measurements (cm)
+      </button>
+
+      {showMeasurements && (
+        <div className="grid grid-cols-3 gap-3">
+          {MEASUREMENT_SITES.map((site) => (
+            <label key={site} className="text-xs text-gray-400">
+              {formatMeasurementSite(site)}
+              <input
+                type="number"
+                inputMode="decimal"
+                step="0.1"
+                min="0"
+                value={measurements[site] ?? ''}
+                onChange={(e) => setMeasurements({ ...measurements, [site]: e.target.value })}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={!canSave || isSaving}
+        className="flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        {isSaving ? 'Saving...' : 'Log'}
+      </button>
+    </form>
+  )
+}
+
+BodyMetricsForm.propTypes = {
+  weightUnit: PropTypes.string,
+  onLogged: PropTypes.func
+}
+
+/**
+ * BodyMetrics Component
+ *
+ * Charts bodyweight against weekly training volume, lists the latest tape
+ * measurements and lets the user log new ones. Bodyweight is shown and entered
+ * in the user's unit and sent to the API in kg.
+ */
+function BodyMetrics({ bodyData, weeklyVolume, weightUnit = DEFAULT_WEIGHT_UNIT, onLogged }) {
+  const latest = bodyData?.latest
+  const chartData = combineWeeklyTrends(weeklyVolume, bodyData?.weeklyTrend)
+
+  return (
+    <div className="space-y-4">
+      {/* Section Header */}
+      <div className="flex items-center gap-2">
+        <Scale className="h-5 w-5 text-emerald-400" />
+        <h2 className="text-lg font-semibold text-white">Body Metrics</h2>
+        {latest && (
+          <span className="ml-auto text-sm text-gray-400">
+            Latest: <span className="text-white font-medium">{formatWeight(latest.weight, weightUnit)}</span>
+            {latest.bodyFat !== null && (
+              <span className="text-gray-500"> ({latest.bodyFat}% body fat)</span>
+            )}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {/* Bodyweight vs Training */}
+        <div className="bg-[#1a1a1a] border border-gray-700 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-4">
+            <Scale className="h-4 w-4 text-emerald-400" />
+            <h3 className="font-medium text-white">Bodyweight vs Volume</h3>
+          </div>
+          <BodyweightTrainingChart data={chartData} weightUnit={weightUnit} />
+        </div>
+
+        {/* Measurements */}
+        <div className="bg-[#1a1a1a] border border-gray-700 rounded-xl p-4">
+          <div className="flex items-center gap-2 mb-4">
+            <Ruler className="h-4 w-4 text-amber-400" />
+            <h3 className="font-medium text-white">Measurements</h3>
+          </div>
+          <MeasurementList measurements={bodyData?.measurements} />
+        </div>
+
+        {/* Log form - Full width */}
+        <div className="bg-[#1a1a1a] border border-gray-700 rounded-xl p-4 lg:col-span-2">
+          <BodyMetricsForm weightUnit={weightUnit} onLogged={onLogged} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+BodyMetrics.propTypes = {
+  bodyData: PropTypes.shape({
+    latest: PropTypes.shape({
+      date: PropTypes.string,
+      weight: PropTypes.number,
+      bodyFat: PropTypes.number
+    }),
+    weeklyTrend: PropTypes.array,
+    measurements: PropTypes.array
+  }),
+  weeklyVolume: PropTypes.array,
+  weightUnit: PropTypes.string,
+  onLogged: PropTypes.func
+}
+
+export default BodyMetrics
@@ -4,10 +4,12 @@ import { DayPicker } from 'react-day-picker'
 import { useRouter } from 'next/navigation'
 import { ChevronLeftIcon, ChevronRightIcon } from 'lucide-react'
 import { getLocalDateKey } from '@/lib/dateUtils'
+import { useAuth } from '@/contexts/AuthContext'
 import 'react-day-picker/dist/style.css'
 
 const CalendarView = ({ onClose }) => {
   const router = useRouter()
+  const { weekStartDay } = useAuth()
   const [currentMonth, setCurrentMonth] = useState(new Date())
   const [workoutData, setWorkoutData] = useState({})
   const [isLoading, setIsLoading] = useState(true)
@@ -112,6 +114,7 @@ const CalendarView = ({ onClose }) => {
             onMonthChange={handleMonthChange}
             onDayClick={handleDayClick}
             showOutsideDays
+            weekStartsOn={weekStartDay}
             modifiers={{
               hasWorkout: (date) => {
                 const dateKey = getLocalDateKey(date)
@@ -0,0 +1,384 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { HeartPulse, Plus, TrashIcon, ChevronDown, ChevronUp } from 'lucide-react'
+import { useAuth } from '@/contexts/AuthContext'
+import { getTodayLocal } from '@/lib/dateUtils'
+import { formatDistance, formatDuration, parseSetDuration } from '@/lib/tracking-modes'
+import {
+  CARDIO_ACTIVITIES,
+  CARDIO_ACTIVITY_LABELS,
+  formatCardioEntry,
+} from '@/lib/cardio'
+
+const emptyInterval = { durationSeconds: '', distanceMeters: '', restSeconds: '' }
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums placeholder-text-muted focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]'
+
+const optionalNumber = (value, parse = parseFloat) => (value === '' ? null : parse(value))
+
+/**
+ * One logged entry with its measures and intervals
+ */
+function CardioEntryRow({ entry, onDelete, isDeleting }) {
+  const details = [
+    entry.avgHeartRate && `${entry.avgHeartRate} bpm`,
+    entry.calories && `${entry.calories} kcal`,
+    entry.intervals?.length > 0 && `${entry.intervals.length} intervals`,
+  ].filter(Boolean)
+
+  return (
+    <div className="py-3 flex items-start justify-between gap-4">
+      <div className="min-w-0">
+        <p className="text-text-primary font-medium tabular-nums">{formatCardioEntry(entry)}</p>
+        {details.length > 0 && (
+          <p className="text-sm text-text-muted tabular-nums">{details.join(' · ')}</p>
+        )}
+        {entry.intervals?.length > 0 && (
+          <p className="text-xs text-text-muted tabular-nums mt-1">
+            {entry.intervals
+              .map((interval) =>
+                interval.distanceMeters
+                  ? `${formatDistance(interval.distanceMeters)} in ${formatDuration(interval.durationSeconds)}`
+                  : formatDuration(interval.durationSeconds)
+              )
+              .join(', ')}
+          </p>
+        )}
+        {entry.notes && <p className="text-sm text-text-secondary mt-1">{entry.notes}</p>}
+      </div>
+      <button
+        type="button"
+        onClick={() => onDelete(entry.id)}
+        disabled={isDeleting}
+        className="p-2 text-text-muted hover:text-red-400 transition-colors disabled:opacity-50 min-h-[44px]"
+        aria-label="Delete cardio entry"
+      >
+        <TrashIcon className="h-4 w-4" />
+      </button>
+    </div>
+  )
+}
+
+CardioEntryRow.propTypes = {
+  entry: PropTypes.object.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  isDeleting: PropTypes.bool,
+}
+
+/**
+ * Form for logging an entry. Entries logged against a workout take its date.
+ */
+function CardioForm({ workoutId, onLogged }) {
+  const { timeZone } = useAuth()
+  const [date, setDate] = useState(getTodayLocal(timeZone))
+  const [activityType, setActivityType] = useState('RUN')
+  const [duration, setDuration] = useState('')
+  const [distanceKm, setDistanceKm] = useState('')
+  const [avgHeartRate, setAvgHeartRate] = useState('')
+  const [calories, setCalories] = useState('')
+  const [notes, setNotes] = useState('')
+  const [intervals, setIntervals] = useState([])
+  const [showIntervals, setShowIntervals] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const durationSeconds = parseSetDuration(duration)
+
+  const updateInterval = (index, field, value) => {
+    setIntervals(intervals.map((interval, i) => (i === index ? { ...interval, [field]: value } : interval)))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!durationSeconds) return
+
+    setIsSaving(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/cardio', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          activityType,
+          ...(workoutId ? { workoutId } : { date }),
+          durationSeconds,
+          distanceMeters: distanceKm === '' ? null : Math.round(parseFloat(distanceKm) * 1000),
+          avgHeartRate: optionalNumber(avgHeartRate, parseInt),
+          calories: optionalNumber(calories, parseInt),
+          notes: notes.trim() || null,
+          intervals: intervals
+            .filter((interval) => parseSetDuration(interval.durationSeconds))
+            .map((interval) => ({
+              durationSeconds: parseSetDuration(interval.durationSeconds),
+              distanceMeters: optionalNumber(interval.distanceMeters),
+              restSeconds: parseSetDuration(interval.restSeconds),
+            })),
+        }),
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.details?.[0] || data.error || 'Failed to log cardio')
+      }
+
+      setDuration('')
+      setDistanceKm('')
+      setAvgHeartRate('')
+      setCalories('')
+      setNotes('')
+      setIntervals([])
+      onLogged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        <label className="text-xs text-text-muted">
+          Activity
+          <select
+            value={activityType}
+            onChange={(e) => setActivityType(e.target.value)}
+            className={`${inputClass} mt-1`}
+          >
+            {CARDIO_ACTIVITIES.map((activity) => (
+              <option key={activity} value={activity}>
+                {CARDIO_ACTIVITY_LABELS[activity]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {!workoutId && (
+          <label className="text-xs text-text-muted">
+            Date
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className={`${inputClass} mt-1`}
+              required
+            />
+          </label>
+        )}
+        <label className="text-xs text-text-muted">
+          Time (m:ss)
+          <input
+            type="text"
+            inputMode="numeric"
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+            className={`${inputClass} mt-1`}
+            placeholder="e.g. 25:00"
+            required
+          />
+        </label>
+        <label className="text-xs text-text-muted">
+          Distance (km)
+          <input
+            type="number"
+            inputMode="decimal"
+            step="0.01"
+            min="0"
+            value={distanceKm}
+            onChange={(e) => setDistanceKm(e.target.value)}
+            className={`${inputClass} mt-1`}
+            placeholder="Optional"
+          />
+        </label>
+        <label className="text-xs text-text-muted">
+          Avg heart rate
+          <input
+            type="number"
+            inputMode="numeric"
+            min="30"
+            max="250"
+            value={avgHeartRate}
+            onChange={(e) => setAvgHeartRate(e.target.value)}
+            className={`${inputClass} mt-1`}
+            placeholder="bpm"
+          />
+        </label>
+        <label className="text-xs text-text-muted">
+          Calories
+          <input
+            type="number"
+            inputMode="numeric"
+            min="0"
+            value={calories}
+            onChange={(e) => setCalories(e.target.value)}
+            className={`${inputClass} mt-1`}
+            placeholder="kcal"
+          />
+        </label>
+      </div>
+
+      <input
+        type="text"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        className={inputClass}
+        placeholder="Notes"
+        aria-label="Notes"
+      />
+
+      <button
+        type="button"
+        onClick={() => setShowIntervals(!showIntervals)}
+        className="flex items-center text-sm text-text-muted hover:text-text-primary transition-colors"
+      >
+        {showIntervals ? <ChevronUp className="h-4 w-4 mr-1" /> : <ChevronDown className="h-4 w-4 mr-1" />}
+        Intervals{intervals.length > 0 && ` (${intervals.length})`}
+      </button>
+
+      {showIntervals && (
+        <div className="space-y-2">
+          {intervals.map((interval, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="w-6 text-xs text-text-muted tabular-nums">{index + 1}</span>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={interval.durationSeconds}
+                onChange={(e) => updateInterval(index, 'durationSeconds', e.target.value)}
+                className={inputClass}
+                placeholder="Time (m:ss)"
+                aria-label="Interval time"
+              />
+              <input
+                type="number"
+                min="0"
+                value={interval.distanceMeters}
+                onChange={(e) => updateInterval(index, 'distanceMeters', e.target.value)}
+                className={inputClass}
+                placeholder="Distance (m)"
+                aria-label="Interval distance"
+              />
+              <input
+                type="text"
+                inputMode="numeric"
+                value={interval.restSeconds}
+                onChange={(e) => updateInterval(index, 'restSeconds', e.target.value)}
+                className={inputClass}
+                placeholder="Rest (m:ss)"
+                aria-label="Interval rest"
+              />
+              <button
+                type="button"
+                onClick={() => setIntervals(intervals.filter((_, i) => i !== index))}
+                className="p-2 text-text-muted hover:text-red-400 transition-colors min-h-[44px]"
+                aria-label="Remove interval"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setIntervals([...intervals, emptyInterval])}
+            className="flex items-center text-sm text-accent hover:text-accent-hover transition-colors"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add interval
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={!durationSeconds || isSaving}
+        className="flex items-center px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+      >
+        <Plus className="h-4 w-4 mr-2" />
+        {isSaving ? 'Saving...' : 'Log cardio'}
+      </button>
+    </form>
+  )
+}
+
+CardioForm.propTypes = {
+  workoutId: PropTypes.number,
+  onLogged: PropTypes.func,
+}
+
+/**
+ * CardioLog Component
+ *
+ * Lists cardio entries and lets the user log or delete them. Given a
+ * workoutId, new entries are attached to that workout; otherwise they are
+ * logged on their own for the chosen date.
+ */
+function CardioLog({ entries = [], workoutId, onChanged }) {
+  const [deletingId, setDeletingId] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleDelete = async (id) => {
+    setDeletingId(id)
+    setError(null)
+    try {
+      const response = await fetch(`/api/cardio/${id}`, { method: 'DELETE' })
+      if (!response.ok) {
+        throw new Error('Failed to delete cardio entry')
+      }
+      onChanged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setDeletingId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      {entries.length > 0 ? (
+        <div className="divide-y divide-border">
+          {entries.map((entry) => (
+            <CardioEntryRow
+              key={entry.id}
+              entry={entry}
+              onDelete={handleDelete}
+              isDeleting={deletingId === entry.id}
+            />
+          ))}
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 text-sm text-text-muted">
+          <HeartPulse className="h-4 w-4" />
+          No cardio logged yet.
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <CardioForm workoutId={workoutId} onLogged={onChanged} />
+    </div>
+  )
+}
+
+CardioLog.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      activityType: PropTypes.oneOf(CARDIO_ACTIVITIES).isRequired,
+      durationSeconds: PropTypes.number.isRequired,
+      distanceMeters: PropTypes.number,
+      avgHeartRate: PropTypes.number,
+      calories: PropTypes.number,
+      notes: PropTypes.string,
+      intervals: PropTypes.array,
+    })
+  ),
+  workoutId: PropTypes.number,
+  onChanged: PropTypes.func,
+}
+
+export default CardioLog
@@ -1,84 +1,155 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef, useCallback } from 'react'
 import PropTypes from 'prop-types'
 import { useRouter } from 'next/navigation'
+import useSWR from 'swr'
+import useSWRInfinite from 'swr/infinite'
 import SessionCard from './SessionCard'
+import WorkoutFilters, { EMPTY_WORKOUT_FILTERS } from './WorkoutFilters'
 import TemplateSelector from './TemplateSelector'
-import { PlusCircleIcon, DumbbellIcon } from 'lucide-react'
+import NextProgramSession from './NextProgramSession'
+import { PlusCircleIcon, DumbbellIcon, PlayIcon } from 'lucide-react'
+import { isSameLocalDay } from '@/lib/dateUtils'
+import { useAuth } from '@/contexts/AuthContext'
+
+const PAGE_SIZE = 20
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300
+
+const fetcher = (url) => fetch(url, { credentials: 'include' }).then((res) => {
+  if (!res.ok) {
+    throw new Error('Failed to fetch')
+  }
+  return res.json()
+})
+
+/**
+ * Builds the workout list URL for a page of filtered results
+ * @param {Object} filters - Filter values from WorkoutFilters
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @returns {string} API URL
+ */
+const getWorkoutsUrl = (filters, cursor) => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) })
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value.trim()) params.set(key, value.trim())
+  })
+  if (cursor) params.set('cursor', cursor)
+  return `/api/workouts?${params}`
+}
 
 /**
- * Groups workouts by year and month
+ * Splits workouts, already newest first, into runs from the same month
  * @param {Array} workouts - Array of workout sessions
- * @returns {Object} Grouped workouts by year and month
+ * @param {string} [timeZone] - IANA time zone to read dates in
+ * @returns {Array} [{ key, year, month, workouts }] in the same order
  */
-const groupWorkoutsByDate = (workouts) => {
-  const grouped = {}
+const splitWorkoutsByMonth = (workouts, timeZone) => {
+  const sections = []
 
   workouts.forEach((workout) => {
     const date = new Date(workout.date)
-    const year = date.getFullYear()
-    const month = date.toLocaleString('default', { month: 'long' })
-
-    if (!grouped[year]) {
-      grouped[year] = {}
-    }
-    if (!grouped[year][month]) {
-      grouped[year][month] = []
+    const options = timeZone ? { timeZone } : {}
+    const year = date.toLocaleString('en-US', { ...options, year: 'numeric' })
+    const month = date.toLocaleString('en-US', { ...options, month: 'long' })
+    const key = `${year}-${month}`
+
+    const last = sections[sections.length - 1]
+    if (last?.key === key) {
+      last.workouts.push(workout)
+    } else {
+      sections.push({ key, year, month, workouts: [workout] })
     }
-
-    grouped[year][month].push(workout)
-  })
-
-  // Sort months within each year chronologically
-  Object.keys(grouped).forEach((year) => {
-    const months = Object.keys(grouped[year])
-    const sortedMonths = {}
-
-    // Create array of month objects with date for sorting
-    const monthsWithDates = months.map((month) => ({
-      name: month,
-      date: new Date(`${month} 1, ${year}`),
-    }))
-
-    // Sort by date and rebuild object
-    monthsWithDates
-      .sort((a, b) => b.date - a.date) // Most recent first
-      .forEach(({ name }) => {
-        sortedMonths[name] = grouped[year][name]
-      })
-
-    grouped[year] = sortedMonths
   })
 
-  return grouped
+  return sections
 }
 
 /**
- * Dashboard component displaying workout sessions
+ * Dashboard component displaying workout sessions, filterable and loaded a
+ * page at a time as the list is scrolled
  * @param {Object} props
- * @param {Array} props.workouts - Array of workout sessions
- * @param {boolean} props.isLoading - Loading state
  * @param {Function} props.openHistoryModal - Function to open exercise history modal
  */
-const Dashboard = ({ workouts = [], isLoading, openHistoryModal }) => {
+const Dashboard = ({ openHistoryModal }) => {
   const router = useRouter()
+  const { timeZone } = useAuth()
   const [isTemplateSelectorOpen, setIsTemplateSelectorOpen] = useState(false)
+  const [filters, setFilters] = useState(EMPTY_WORKOUT_FILTERS)
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_WORKOUT_FILTERS)
+  const loadMoreRef = useRef(null)
+
+  // Search once typing pauses rather than on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setAppliedFilters(filters), SEARCH_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [filters])
+
+  const { data: pages, error, isLoading, isValidating, size, setSize } = useSWRInfinite(
+    (pageIndex, previousPage) => {
+      if (previousPage && !previousPage.nextCursor) return null
+      return getWorkoutsUrl(appliedFilters, previousPage?.nextCursor)
+    },
+    fetcher
+  )
+
+  // Drafts are fetched apart from the list so filters never hide one
+  const { data: drafts } = useSWR('/api/workouts?status=DRAFT&limit=5', fetcher)
+
+  const workouts = pages ? pages.flatMap((page) => page.workouts) : []
+  const hasMore = Boolean(pages?.[pages.length - 1]?.nextCursor)
+  const isLoadingMore = isValidating && size > (pages?.length || 0)
+  const isFiltered = Object.values(appliedFilters).some(Boolean)
+
+  const loadMore = useCallback(() => {
+    if (hasMore && !isLoadingMore) setSize(size + 1)
+  }, [hasMore, isLoadingMore, setSize, size])
+
+  // Load the next page once the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [loadMore])
 
   const handleNewSession = () => {
     setIsTemplateSelectorOpen(true)
   }
-  if (isLoading) {
-    return (
-      <div className="container mx-auto">
-        <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold text-text-primary">Your Workouts</h2>
-          <button
-            onClick={handleNewSession}
-            className="flex items-center px-5 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-lg transition-colors min-h-[44px] shadow-lg shadow-blue-500/25"
-          >
-            <PlusCircleIcon className="h-5 w-5 mr-2" />
-            New Session
-          </button>
+
+  // A draft dated today is most likely a live workout that was interrupted
+  const activeWorkout = drafts?.workouts?.find(
+    (workout) => isSameLocalDay(workout.date, new Date(), timeZone)
+  )
+
+  const header = (
+    <div className="flex justify-between items-center mb-6">
+      <h2 className="text-2xl font-bold text-text-primary">Your Workouts</h2>
+      <button
+        onClick={handleNewSession}
+        className="flex items-center px-5 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-lg transition-colors min-h-[44px] shadow-lg shadow-blue-500/25"
+      >
+        <PlusCircleIcon className="h-5 w-5 mr-2" />
+        New Session
+      </button>
+    </div>
+  )
+
+  const renderWorkouts = () => {
+    if (error) {
+      return (
+        <div className="text-center text-red-400">
+          Error loading workouts. Please try again.
         </div>
+      )
+    }
+
+    if (isLoading) {
+      return (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {/* Loading skeletons */}
           {[1, 2, 3].map((i) => (
@@ -92,60 +163,80 @@ const Dashboard = ({ workouts = [], isLoading, openHistoryModal }) => {
             </div>
           ))}
         </div>
+      )
+    }
+
+    if (workouts.length === 0) {
+      return (
+        <div className="text-center text-text-muted py-12">
+          <DumbbellIcon className="h-12 w-12 mx-auto mb-4 text-text-muted" />
+          <p>{isFiltered ? 'No workouts match these filters.' : 'No workouts yet. Create your first session!'}</p>
+        </div>
+      )
+    }
+
+    const sections = splitWorkoutsByMonth(workouts, timeZone)
+
+    return (
+      <div className="space-y-8">
+        {sections.map((section, index) => (
+          <div key={section.key} className="space-y-4">
+            {section.year !== sections[index - 1]?.year && (
+              <h3 className="text-lg font-semibold text-text-secondary">{section.year}</h3>
+            )}
+            <h4 className="text-md font-medium text-text-muted">{section.month}</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {section.workouts.map((session) => (
+                <SessionCard
+                  key={session.id}
+                  session={session}
+                  openHistoryModal={openHistoryModal}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {hasMore && (
+          <div ref={loadMoreRef} className="flex justify-center">
+            <button
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+            >
+              {isLoadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
     )
   }
 
   return (
     <div className="container mx-auto">
-      <div className="flex justify-between items-center mb-6">
-        <h2 className="text-2xl font-bold text-text-primary">Your Workouts</h2>
-        <button
-          onClick={handleNewSession}
-          className="flex items-center px-5 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-lg transition-colors min-h-[44px] shadow-lg shadow-blue-500/25"
-        >
-          <PlusCircleIcon className="h-5 w-5 mr-2" />
-          New Session
-        </button>
-      </div>
+      {header}
 
-      <div className="space-y-8">
-        {workouts.length === 0 ? (
-          <div className="text-center text-text-muted py-12">
-            <DumbbellIcon className="h-12 w-12 mx-auto mb-4 text-text-muted" />
-            <p>No workouts yet. Create your first session!</p>
+      {!activeWorkout && <NextProgramSession />}
+
+      {activeWorkout && (
+        <div className="flex items-center justify-between gap-4 mb-6 p-4 bg-surface rounded-2xl border border-accent/40">
+          <div>
+            <p className="text-sm text-text-muted">Workout in progress</p>
+            <p className="text-lg font-semibold text-text-primary">{activeWorkout.title}</p>
           </div>
-        ) : (
-          (() => {
-            const groupedWorkouts = groupWorkoutsByDate(workouts)
-            const years = Object.keys(groupedWorkouts).sort((a, b) => b - a) // Most recent year first
-
-            return years.map((year) => (
-              <div key={year} className="space-y-6">
-                <h3 className="text-lg font-semibold text-text-secondary">{year}</h3>
-                {Object.entries(groupedWorkouts[year]).map(
-                  ([month, monthWorkouts]) => (
-                    <div key={`${year}-${month}`} className="space-y-4">
-                      <h4 className="text-md font-medium text-text-muted">
-                        {month}
-                      </h4>
-                      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                        {monthWorkouts.map((session) => (
-                          <SessionCard
-                            key={session.id}
-                            session={session}
-                            openHistoryModal={openHistoryModal}
-                          />
-                        ))}
-                      </div>
-                    </div>
-                  )
-                )}
-              </div>
-            ))
-          })()
-        )}
-      </div>
+          <button
+            onClick={() => router.push(`/live/${activeWorkout.id}`)}
+            className="flex items-center px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors min-h-[44px]"
+          >
+            <PlayIcon className="h-4 w-4 mr-2" />
+            Resume
+          </button>
+        </div>
+      )}
+
+      <WorkoutFilters filters={filters} onChange={setFilters} />
+
+      {renderWorkouts()}
 
       {/* Template Selector Modal */}
       <TemplateSelector
@@ -157,15 +248,6 @@ const Dashboard = ({ workouts = [], isLoading, openHistoryModal }) => {
 }
 
 Dashboard.propTypes = {
-  workouts: PropTypes.arrayOf(
-    PropTypes.shape({
-      id: PropTypes.number.isRequired,
-      title: PropTypes.string.isRequired,
-      date: PropTypes.string.isRequired,
-      exercises: PropTypes.arrayOf(PropTypes.object),
-    })
-  ),
-  isLoading: PropTypes.bool,
   openHistoryModal: PropTypes.func.isRequired,
 }
 
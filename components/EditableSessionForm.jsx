@@ -1,13 +1,43 @@
 import React, { useState, useEffect } from 'react'
 import PropTypes from 'prop-types'
+import useSWR from 'swr'
 import {
   PlusIcon,
   TrashIcon,
   SaveIcon,
   XIcon,
   ArrowLeftIcon,
+  Link2Icon,
+  Unlink2Icon,
 } from 'lucide-react'
 import TemplateGuidance from './TemplateGuidance'
+import ExercisePicker from './ExercisePicker'
+import ExerciseGroupHeader from './ExerciseGroupHeader'
+import SetTypeSelect from './SetTypeSelect'
+import SetMeasureInputs from './SetMeasureInputs'
+import TrackingModeSelect from './TrackingModeSelect'
+import PlateCalculator from './PlateCalculator'
+import { useAuth } from '@/contexts/AuthContext'
+import { normalizeWeightUnit } from '@/lib/units'
+import { getSetType } from '@/lib/set-types'
+import { getEquipmentProfile, getEquipmentType } from '@/lib/equipment'
+import {
+  DEFAULT_TRACKING_MODE,
+  getSetRequirement,
+  getTrackingMode,
+  isSetMeasured,
+  toSetMeasures,
+  tracksField,
+} from '@/lib/tracking-modes'
+import {
+  getExerciseBlocks,
+  groupWithNext,
+  normalizeExerciseGroups,
+  ungroupExercise,
+  updateExerciseGroup,
+} from '@/lib/exercise-groups'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
 
 const EditableSessionForm = ({
   session,
@@ -25,6 +55,11 @@ const EditableSessionForm = ({
   })
 
   const [errors, setErrors] = useState({})
+  const { weightUnit: userWeightUnit, defaultRestSeconds } = useAuth()
+  const weightUnit = normalizeWeightUnit(userWeightUnit)
+  // Standard equipment until the user's own has loaded, or when offline
+  const { data: equipmentData } = useSWR('/api/equipment', fetcher)
+  const equipment = getEquipmentProfile(equipmentData?.equipment, weightUnit)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [templateGuidance, setTemplateGuidance] = useState(null)
 
@@ -42,14 +77,18 @@ const EditableSessionForm = ({
           ? session.exercises.map((exercise) => ({
               id: exercise.id,
               name: exercise.name || '',
+              exerciseTemplateId: exercise.exerciseTemplateId || null,
+              trackingMode: getTrackingMode(exercise),
               sets: exercise.sets || [{ reps: '', weight: '', rpe: null }],
               notes: exercise.notes || '',
-              restSeconds: exercise.restSeconds || 60,
+              restSeconds: exercise.restSeconds || defaultRestSeconds,
+              groupNumber: exercise.groupNumber ?? null,
+              groupType: exercise.groupType ?? null,
             }))
           : [],
       })
     }
-  }, [session])
+  }, [session, defaultRestSeconds])
 
   // Fetch template guidance data if session was created from a template
   useEffect(() => {
@@ -75,6 +114,7 @@ const EditableSessionForm = ({
                 latestSets: templateExercise.latestSets,
                 lastPerformed: templateExercise.lastPerformed,
                 exerciseHistory: templateExercise.exerciseHistory,
+                equipmentType: templateExercise.equipmentType ?? null,
               }
             })
 
@@ -113,15 +153,19 @@ const EditableSessionForm = ({
             ? session.exercises.map((exercise) => ({
                 id: exercise.id,
                 name: exercise.name || '',
+                exerciseTemplateId: exercise.exerciseTemplateId || null,
+                trackingMode: getTrackingMode(exercise),
                 sets: exercise.sets || [{ reps: '', weight: '' }],
                 notes: exercise.notes || '',
-                restSeconds: exercise.restSeconds || 60,
+                restSeconds: exercise.restSeconds || defaultRestSeconds,
+                groupNumber: exercise.groupNumber ?? null,
+                groupType: exercise.groupType ?? null,
               }))
             : []
         )
 
     onUnsavedChanges(hasChanges)
-  }, [workoutData, session, onUnsavedChanges])
+  }, [workoutData, session, onUnsavedChanges, defaultRestSeconds])
 
   const handleWorkoutChange = (field, value) => {
     setWorkoutData((prev) => ({
@@ -142,9 +186,13 @@ const EditableSessionForm = ({
     const newExercise = {
       id: Date.now(), // Temporary ID for UI
       name: '',
+      exerciseTemplateId: null,
+      trackingMode: DEFAULT_TRACKING_MODE,
       sets: [{ reps: '', weight: '', rpe: null }],
       notes: '',
-      restSeconds: 60,
+      restSeconds: defaultRestSeconds,
+      groupNumber: null,
+      groupType: null,
     }
 
     setWorkoutData((prev) => ({
@@ -156,7 +204,30 @@ const EditableSessionForm = ({
   const removeExercise = (exerciseId) => {
     setWorkoutData((prev) => ({
       ...prev,
-      exercises: prev.exercises.filter((ex) => ex.id !== exerciseId),
+      exercises: normalizeExerciseGroups(
+        prev.exercises.filter((ex) => ex.id !== exerciseId)
+      ),
+    }))
+  }
+
+  const groupExerciseWithNext = (exerciseIndex) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: groupWithNext(prev.exercises, exerciseIndex),
+    }))
+  }
+
+  const ungroup = (exerciseIndex) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: ungroupExercise(prev.exercises, exerciseIndex),
+    }))
+  }
+
+  const updateGroup = (groupNumber, changes) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: updateExerciseGroup(prev.exercises, groupNumber, changes),
     }))
   }
 
@@ -169,6 +240,30 @@ const EditableSessionForm = ({
     }))
   }
 
+  // Picking a library entry switches to the tracking mode it is logged in
+  // and the equipment its weights are loaded on
+  const selectExercise = (
+    exerciseId,
+    { name, exerciseTemplateId, exerciseTemplate }
+  ) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: prev.exercises.map((ex) =>
+        ex.id === exerciseId
+          ? {
+              ...ex,
+              name,
+              exerciseTemplateId,
+              ...(exerciseTemplate && {
+                trackingMode: getTrackingMode(exerciseTemplate),
+                equipmentType: getEquipmentType(exerciseTemplate.category),
+              }),
+            }
+          : ex
+      ),
+    }))
+  }
+
   const addSet = (exerciseId) => {
     setWorkoutData((prev) => ({
       ...prev,
@@ -233,9 +328,9 @@ const EditableSessionForm = ({
       }
 
       exercise.sets.forEach((set, setIndex) => {
-        if (!set.reps || set.reps <= 0) {
-          newErrors[`exercise_${index}_set_${setIndex}_reps`] =
-            'Reps must be a positive number'
+        if (!isSetMeasured(set, exercise.trackingMode)) {
+          newErrors[`exercise_${index}_set_${setIndex}_measures`] =
+            getSetRequirement(exercise.trackingMode)
         }
       })
     })
@@ -253,22 +348,31 @@ const EditableSessionForm = ({
 
     setIsSubmitting(true)
 
+    // Group fields must be consistent before they are saved
+    const exercises = normalizeExerciseGroups(workoutData.exercises)
+
     // Format data for API
     const formattedData = {
       title: workoutData.title.trim(),
       date: workoutData.date,
       notes: workoutData.notes.trim() || null,
       status: workoutData.status,
-      exercises: workoutData.exercises.map((exercise, index) => ({
+      exercises: exercises.map((exercise, index) => ({
         name: exercise.name.trim(),
+        exerciseTemplateId: exercise.exerciseTemplateId || null,
+        trackingMode: getTrackingMode(exercise),
         sets: exercise.sets.map((set) => ({
-          reps: parseInt(set.reps),
-          weight: set.weight ? parseFloat(set.weight) : null,
+          ...toSetMeasures(set, exercise.trackingMode),
           rpe: set.rpe ? parseInt(set.rpe) : null,
+          setType: getSetType(set),
+          // Existing sets keep the unit they were logged in
+          ...(set.weightUnit && { weightUnit: set.weightUnit }),
         })),
         notes: exercise.notes.trim() || null,
         restSeconds: exercise.restSeconds || null,
         orderIndex: index,
+        groupNumber: exercise.groupNumber,
+        groupType: exercise.groupType,
       })),
     }
 
@@ -287,6 +391,15 @@ const EditableSessionForm = ({
     }
   }
 
+  // Group, letter and label (A1, A2...) of each grouped exercise by position
+  const exerciseGroups = {}
+  getExerciseBlocks(workoutData.exercises).forEach((block) => {
+    if (!block.groupNumber) return
+    block.members.forEach(({ index, label }, position) => {
+      exerciseGroups[index] = { block, label, isFirst: position === 0 }
+    })
+  })
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -399,26 +512,86 @@ const EditableSessionForm = ({
 
           <div className="space-y-4">
             {workoutData.exercises.map((exercise, exerciseIndex) => (
-              <div key={exercise.id} className="bg-surface-elevated rounded-xl p-4">
+              <div
+                key={exercise.id}
+                className={`bg-surface-elevated rounded-xl p-4 ${
+                  exerciseGroups[exerciseIndex]
+                    ? 'border-l-4 border-accent'
+                    : ''
+                }`}
+              >
+                {exerciseGroups[exerciseIndex]?.isFirst && (
+                  <ExerciseGroupHeader
+                    letter={exerciseGroups[exerciseIndex].block.letter}
+                    groupType={exerciseGroups[exerciseIndex].block.groupType}
+                    restSeconds={exercise.restSeconds}
+                    onChange={(changes) =>
+                      updateGroup(
+                        exerciseGroups[exerciseIndex].block.groupNumber,
+                        changes
+                      )
+                    }
+                  />
+                )}
                 <div className="flex justify-between items-start mb-3">
+                  {exerciseGroups[exerciseIndex] && (
+                    <span className="mr-2 mt-3 text-sm font-semibold text-accent tabular-nums">
+                      {exerciseGroups[exerciseIndex].label}
+                    </span>
+                  )}
                   <div className="flex-1 mr-4">
-                    <input
-                      type="text"
+                    <ExercisePicker
                       value={exercise.name}
-                      onChange={(e) =>
-                        updateExercise(exercise.id, 'name', e.target.value)
+                      exerciseTemplateId={exercise.exerciseTemplateId}
+                      onChange={(selection) =>
+                        selectExercise(exercise.id, selection)
                       }
-                      onKeyDown={handleKeyDown}
-                      className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
-                      placeholder="Exercise name"
                       disabled={isSubmitting}
                     />
+                    <div className="mt-2">
+                      <TrackingModeSelect
+                        value={exercise.trackingMode}
+                        onChange={(trackingMode) =>
+                          updateExercise(
+                            exercise.id,
+                            'trackingMode',
+                            trackingMode
+                          )
+                        }
+                        disabled={isSubmitting}
+                      />
+                    </div>
                     {errors[`exercise_${exerciseIndex}_name`] && (
                       <p className="text-red-400 text-sm mt-1">
                         {errors[`exercise_${exerciseIndex}_name`]}
                       </p>
                     )}
                   </div>
+                  {exerciseGroups[exerciseIndex] ? (
+                    <button
+                      type="button"
+                      onClick={() => ungroup(exerciseIndex)}
+                      className="p-2 text-text-muted hover:text-text-primary transition-colors disabled:opacity-50"
+                      disabled={isSubmitting}
+                      aria-label="Ungroup"
+                      title="Ungroup"
+                    >
+                      <Unlink2Icon className="h-4 w-4" />
+                    </button>
+                  ) : (
+                    exerciseIndex < workoutData.exercises.length - 1 && (
+                      <button
+                        type="button"
+                        onClick={() => groupExerciseWithNext(exerciseIndex)}
+                        className="p-2 text-text-muted hover:text-text-primary transition-colors disabled:opacity-50"
+                        disabled={isSubmitting}
+                        aria-label="Group with next exercise"
+                        title="Group with next exercise"
+                      >
+                        <Link2Icon className="h-4 w-4" />
+                      </button>
+                    )
+                  )}
                   <button
                     type="button"
                     onClick={() => removeExercise(exercise.id)}
@@ -461,63 +634,59 @@ const EditableSessionForm = ({
 
                   <div className="space-y-2">
                     {exercise.sets.map((set, setIndex) => {
-                      const hasWeightAndReps = set.weight && set.reps;
+                      // Weight × reps sets need a weight too before RPE is asked for
+                      const showRpe =
+                        isSetMeasured(set, exercise.trackingMode) &&
+                        (getTrackingMode(exercise) !== 'WEIGHT_REPS' ||
+                          set.weight);
+                      // Assistance is taken off bodyweight, not loaded
+                      const showPlateCalculator =
+                        tracksField(getTrackingMode(exercise), 'weight') &&
+                        getTrackingMode(exercise) !== 'ASSISTED';
                       return (
                         <div key={setIndex} className="space-y-2">
                           <div className="flex items-center gap-2">
                             <span className="text-sm text-text-muted w-8">
                               #{setIndex + 1}
                             </span>
-                            <div className="flex-1">
-                              <input
-                                type="number"
-                                value={set.weight}
-                                onChange={(e) =>
-                                  updateSet(
-                                    exercise.id,
-                                    setIndex,
-                                    'weight',
-                                    e.target.value
-                                  )
+                            <SetTypeSelect
+                              value={set.setType}
+                              onChange={(setType) =>
+                                updateSet(
+                                  exercise.id,
+                                  setIndex,
+                                  'setType',
+                                  setType
+                                )
+                              }
+                              disabled={isSubmitting}
+                            />
+                            <SetMeasureInputs
+                              set={set}
+                              trackingMode={exercise.trackingMode}
+                              weightUnit={set.weightUnit || weightUnit}
+                              onChange={(field, value) =>
+                                updateSet(exercise.id, setIndex, field, value)
+                              }
+                              onKeyDown={handleKeyDown}
+                              disabled={isSubmitting}
+                            />
+                            {showPlateCalculator && (
+                              <PlateCalculator
+                                weight={set.weight}
+                                weightUnit={set.weightUnit || weightUnit}
+                                equipment={equipment}
+                                equipmentType={
+                                  exercise.equipmentType ??
+                                  templateGuidance?.[exercise.name.toLowerCase()]
+                                    ?.equipmentType
                                 }
-                                onKeyDown={handleKeyDown}
-                                className="w-full px-2 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                                placeholder="Weight (kg)"
-                                step="0.5"
-                                min="0"
-                                disabled={isSubmitting}
-                              />
-                            </div>
-                            <div className="flex-1">
-                              <input
-                                type="number"
-                                value={set.reps}
-                                onChange={(e) =>
-                                  updateSet(
-                                    exercise.id,
-                                    setIndex,
-                                    'reps',
-                                    e.target.value
-                                  )
+                                onApply={(weight) =>
+                                  updateSet(exercise.id, setIndex, 'weight', weight)
                                 }
-                                onKeyDown={handleKeyDown}
-                                className="w-full px-2 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                                placeholder="Reps"
-                                min="1"
                                 disabled={isSubmitting}
                               />
-                              {errors[
-                                `exercise_${exerciseIndex}_set_${setIndex}_reps`
-                              ] && (
-                                <p className="text-red-400 text-xs mt-1">
-                                  {
-                                    errors[
-                                      `exercise_${exerciseIndex}_set_${setIndex}_reps`
-                                    ]
-                                  }
-                                </p>
-                              )}
-                            </div>
+                            )}
                             {exercise.sets.length > 1 && (
                               <button
                                 type="button"
@@ -530,8 +699,20 @@ const EditableSessionForm = ({
                             )}
                           </div>
 
-                          {/* RPE Input - only show when weight and reps are filled */}
-                          {hasWeightAndReps && (
+                          {errors[
+                            `exercise_${exerciseIndex}_set_${setIndex}_measures`
+                          ] && (
+                            <p className="ml-10 text-red-400 text-xs">
+                              {
+                                errors[
+                                  `exercise_${exerciseIndex}_set_${setIndex}_measures`
+                                ]
+                              }
+                            </p>
+                          )}
+
+                          {/* RPE Input - only show once the set is filled in */}
+                          {showRpe && (
                             <div className="ml-10 flex items-center gap-3">
                               <span className="text-xs text-text-muted w-8">RPE:</span>
                               <div className="flex items-center gap-2">
@@ -637,10 +818,15 @@ EditableSessionForm.propTypes = {
         name: PropTypes.string.isRequired,
         notes: PropTypes.string,
         restSeconds: PropTypes.number,
+        groupNumber: PropTypes.number,
+        groupType: PropTypes.string,
+        trackingMode: PropTypes.string,
         sets: PropTypes.arrayOf(
           PropTypes.shape({
             weight: PropTypes.number,
-            reps: PropTypes.number.isRequired,
+            reps: PropTypes.number,
+            durationSeconds: PropTypes.number,
+            distanceMeters: PropTypes.number,
           })
         ),
       })
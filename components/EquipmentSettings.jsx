@@ -0,0 +1,192 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { DumbbellIcon } from 'lucide-react'
+import { useAuth } from '@/contexts/AuthContext'
+import { normalizeWeightUnit } from '@/lib/units'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary tabular-nums focus:outline-none focus:border-accent min-h-[44px]'
+
+const buttonClass =
+  'px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]'
+
+const toForm = (equipment) => ({
+  barWeight: String(equipment.barWeight),
+  plates: equipment.plates.join(', '),
+  dumbbellIncrement: String(equipment.dumbbellIncrement),
+  machineIncrement: String(equipment.machineIncrement),
+})
+
+/**
+ * EquipmentSettings Component
+ *
+ * Edits the equipment the user trains with: the bar, the plates they have
+ * pairs of, and the steps of their dumbbells and machine stacks. Suggested
+ * and template weights are rounded to what this equipment can load. Weights
+ * are entered in the user's unit.
+ */
+const EquipmentSettings = ({ onError, onChange }) => {
+  const { weightUnit: userWeightUnit } = useAuth()
+  const weightUnit = normalizeWeightUnit(userWeightUnit)
+  const { data, mutate } = useSWR('/api/equipment', fetcher)
+  const [form, setForm] = useState(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  useEffect(() => {
+    if (data?.equipment) setForm(toForm(data.equipment))
+  }, [data])
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const save = async (e) => {
+    e.preventDefault()
+    setIsWorking(true)
+    try {
+      const response = await fetch('/api/equipment', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          weightUnit,
+          barWeight: parseFloat(form.barWeight),
+          plates: form.plates
+            .split(',')
+            .map((plate) => parseFloat(plate))
+            .filter((plate) => !isNaN(plate)),
+          dumbbellIncrement: parseFloat(form.dumbbellIncrement),
+          machineIncrement: parseFloat(form.machineIncrement),
+        }),
+      })
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(result.details?.join('. ') || result.error || 'Failed to save equipment')
+      }
+      await mutate()
+      onChange?.('Equipment saved')
+    } catch (error) {
+      onError?.(error.message)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const reset = async () => {
+    setIsWorking(true)
+    try {
+      const response = await fetch('/api/equipment', { method: 'DELETE' })
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to reset equipment')
+      }
+      await mutate()
+      onChange?.('Equipment reset to a standard gym')
+    } catch (error) {
+      onError?.(error.message)
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  return (
+    <div className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4">
+      <div>
+        <div className="flex items-center gap-2">
+          <DumbbellIcon className="h-5 w-5 text-text-muted" />
+          <h2 className="text-lg font-semibold text-text-primary">Equipment</h2>
+        </div>
+        <p className="text-sm text-text-muted mt-1">
+          Suggested weights are rounded to what you can load. The plate
+          calculator next to each set uses these plates.
+        </p>
+      </div>
+
+      {!form ? (
+        <p className="text-sm text-text-muted">Loading equipment...</p>
+      ) : (
+        <form onSubmit={save} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block text-sm text-text-secondary">
+              Bar weight ({weightUnit})
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step="any"
+                value={form.barWeight}
+                onChange={(e) => handleChange('barWeight', e.target.value)}
+                className={`${inputClass} mt-1`}
+                required
+              />
+            </label>
+            <label className="block text-sm text-text-secondary">
+              Plate pairs ({weightUnit}, comma separated)
+              <input
+                type="text"
+                inputMode="decimal"
+                value={form.plates}
+                onChange={(e) => handleChange('plates', e.target.value)}
+                className={`${inputClass} mt-1`}
+                placeholder="e.g. 20, 10, 5, 2.5"
+                required
+              />
+            </label>
+            <label className="block text-sm text-text-secondary">
+              Dumbbell increment ({weightUnit})
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step="any"
+                value={form.dumbbellIncrement}
+                onChange={(e) => handleChange('dumbbellIncrement', e.target.value)}
+                className={`${inputClass} mt-1`}
+                required
+              />
+            </label>
+            <label className="block text-sm text-text-secondary">
+              Machine stack step ({weightUnit})
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step="any"
+                value={form.machineIncrement}
+                onChange={(e) => handleChange('machineIncrement', e.target.value)}
+                className={`${inputClass} mt-1`}
+                required
+              />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="submit"
+              disabled={isWorking}
+              className="px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+            >
+              Save equipment
+            </button>
+            {data && !data.isDefault && (
+              <button type="button" onClick={reset} disabled={isWorking} className={buttonClass}>
+                Use a standard gym
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+EquipmentSettings.propTypes = {
+  onError: PropTypes.func,
+  onChange: PropTypes.func,
+}
+
+export default EquipmentSettings
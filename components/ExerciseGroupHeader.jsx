@@ -0,0 +1,54 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { LayersIcon } from 'lucide-react'
+import { EXERCISE_GROUP_TYPES, EXERCISE_GROUP_TYPE_LABELS } from '@/lib/exercise-groups'
+
+/**
+ * ExerciseGroupHeader component heading a superset, circuit or giant set
+ * in the session and template forms, with the group's type and the rest
+ * its exercises share after each round
+ * @param {Object} props
+ * @param {string} props.letter - Group letter (A, B, ...)
+ * @param {string} props.groupType - SUPERSET, CIRCUIT or GIANT_SET
+ * @param {number|string} props.restSeconds - Rest after each round
+ * @param {Function} props.onChange - Called with { groupType } or { restSeconds }
+ */
+const ExerciseGroupHeader = ({ letter, groupType, restSeconds, onChange }) => (
+  <div className="flex flex-wrap items-center gap-3 mb-3">
+    <div className="flex items-center gap-2">
+      <LayersIcon className="h-4 w-4 text-accent" />
+      <span className="text-sm font-semibold text-accent">{letter}</span>
+    </div>
+    <select
+      value={groupType}
+      onChange={(e) => onChange({ groupType: e.target.value })}
+      aria-label={`Group ${letter} type`}
+      className="px-2 py-1 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent"
+    >
+      {EXERCISE_GROUP_TYPES.map((type) => (
+        <option key={type} value={type}>
+          {EXERCISE_GROUP_TYPE_LABELS[type]}
+        </option>
+      ))}
+    </select>
+    <label className="flex items-center gap-2 text-xs text-text-muted">
+      Rest after each round (s)
+      <input
+        type="number"
+        min="0"
+        value={restSeconds ?? ''}
+        onChange={(e) => onChange({ restSeconds: e.target.value === '' ? '' : parseInt(e.target.value) })}
+        className="w-20 px-2 py-1 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent"
+      />
+    </label>
+  </div>
+)
+
+ExerciseGroupHeader.propTypes = {
+  letter: PropTypes.string.isRequired,
+  groupType: PropTypes.oneOf(EXERCISE_GROUP_TYPES).isRequired,
+  restSeconds: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  onChange: PropTypes.func.isRequired,
+}
+
+export default ExerciseGroupHeader
@@ -1,14 +1,17 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import { ChevronRightIcon } from 'lucide-react'
+import { DEFAULT_WEIGHT_UNIT, getSetWeight } from '@/lib/units'
+import { formatSetMeasures, getTrackingMode } from '@/lib/tracking-modes'
 
 /**
  * ExerciseItem component displaying individual exercise information
  * @param {Object} props
  * @param {Object} props.exercise - Exercise data
+ * @param {string} props.weightUnit - Unit to show set weights in
  * @param {Function} props.onClick - Function to call when exercise is clicked
  */
-const ExerciseItem = ({ exercise, onClick }) => {
+const ExerciseItem = ({ exercise, weightUnit = DEFAULT_WEIGHT_UNIT, onClick }) => {
   // Helper function to format sets display
   const formatSetsDisplay = (sets) => {
     if (!Array.isArray(sets) || sets.length === 0) {
@@ -16,7 +19,21 @@ const ExerciseItem = ({ exercise, onClick }) => {
     }
 
     const totalSets = sets.length
-    const weights = sets.map((set) => set.weight || 0)
+
+    // Timed, distance and assisted sets: "3 sets: 1:00, 1:15, 0:50"
+    if (getTrackingMode(exercise) !== 'WEIGHT_REPS') {
+      const setDetails = sets
+        .map((set) =>
+          formatSetMeasures(
+            { ...set, weight: getSetWeight(set, weightUnit), weightUnit },
+            exercise.trackingMode
+          )
+        )
+        .join(', ')
+      return `${totalSets} sets: ${setDetails}`
+    }
+
+    const weights = sets.map((set) => getSetWeight(set, weightUnit) || 0)
     const reps = sets.map((set) => set.reps || 0)
     const rpes = sets.map((set) => set.rpe).filter(Boolean)
 
@@ -31,14 +48,14 @@ const ExerciseItem = ({ exercise, onClick }) => {
 
     if (sameWeight && sameReps) {
       // All sets identical: "4 sets × 8 reps · 185 kg · RPE 7.5"
-      const weightDisplay = weights[0] > 0 ? ` · ${weights[0]} kg` : ''
+      const weightDisplay = weights[0] > 0 ? ` · ${weights[0]} ${weightUnit}` : ''
       const rpeDisplay = avgRPE ? ` · RPE ${avgRPE}` : ''
       return `${totalSets} sets × ${reps[0]} reps${weightDisplay}${rpeDisplay}`
     } else {
       // Sets vary: "4 sets: 185×8@7, 185×7@8, 185×6@9"
       const setDetails = sets
-        .map((set) => {
-          const weight = set.weight || 0
+        .map((set, index) => {
+          const weight = weights[index]
           const rep = set.reps || 0
           const rpe = set.rpe
           const rpeDisplay = rpe ? `@${rpe}` : ''
@@ -69,13 +86,18 @@ ExerciseItem.propTypes = {
   exercise: PropTypes.shape({
     id: PropTypes.number.isRequired,
     name: PropTypes.string.isRequired,
+    trackingMode: PropTypes.string,
     sets: PropTypes.arrayOf(
       PropTypes.shape({
         weight: PropTypes.number,
-        reps: PropTypes.number.isRequired,
+        weightUnit: PropTypes.string,
+        reps: PropTypes.number,
+        durationSeconds: PropTypes.number,
+        distanceMeters: PropTypes.number,
       })
     ).isRequired,
   }).isRequired,
+  weightUnit: PropTypes.string,
   onClick: PropTypes.func,
 }
 
@@ -0,0 +1,214 @@
+'use client'
+
+import React, { useState, useId } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { BookOpenIcon, PlusIcon } from 'lucide-react'
+import {
+  matchesExerciseSearch,
+  normalizeExerciseName,
+} from '@/lib/exercise-library'
+
+const fetcher = (url) =>
+  fetch(url).then((res) => {
+    if (!res.ok) throw new Error('Failed to load exercise library')
+    return res.json()
+  })
+
+const MAX_SUGGESTIONS = 8
+
+/**
+ * ExercisePicker component: an exercise name input that suggests entries
+ * from the exercise library by name or alias, and can add new entries
+ * @param {Object} props
+ * @param {string} props.value - Current exercise name
+ * @param {number} props.exerciseTemplateId - Linked library entry, if picked
+ * @param {Function} props.onChange - Called with { name, exerciseTemplateId, exerciseTemplate }
+ */
+const ExercisePicker = ({
+  value,
+  exerciseTemplateId,
+  onChange,
+  placeholder = 'Exercise name',
+  disabled,
+  className,
+}) => {
+  const { data: library, mutate } = useSWR('/api/exercise-templates', fetcher)
+  const [isOpen, setIsOpen] = useState(false)
+  const [highlighted, setHighlighted] = useState(0)
+  const [isAdding, setIsAdding] = useState(false)
+  const listId = useId()
+
+  const entries = Array.isArray(library) ? library : []
+  const suggestions = entries
+    .filter((entry) => matchesExerciseSearch(entry, value))
+    .slice(0, MAX_SUGGESTIONS)
+  const typedKey = normalizeExerciseName(value)
+  const hasExactMatch = entries.some((entry) =>
+    [entry.name, ...(entry.aliases || [])].some(
+      (name) => normalizeExerciseName(name) === typedKey
+    )
+  )
+  const canAdd = typedKey.length > 0 && !hasExactMatch
+  const optionCount = suggestions.length + (canAdd ? 1 : 0)
+  const linkedEntry = entries.find((entry) => entry.id === exerciseTemplateId)
+
+  const selectEntry = (entry) => {
+    onChange({
+      name: entry.name,
+      exerciseTemplateId: entry.id,
+      exerciseTemplate: entry,
+    })
+    setIsOpen(false)
+  }
+
+  const addToLibrary = async () => {
+    setIsAdding(true)
+    try {
+      const response = await fetch('/api/exercise-templates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: value.trim() }),
+      })
+      const entry = await response.json()
+      if (!response.ok) {
+        throw new Error(entry.error || 'Failed to add exercise')
+      }
+      mutate([...entries, entry], { revalidate: false })
+      selectEntry(entry)
+    } catch (error) {
+      alert(error.message)
+    } finally {
+      setIsAdding(false)
+    }
+  }
+
+  const chooseOption = (index) => {
+    if (index < suggestions.length) {
+      selectEntry(suggestions[index])
+    } else if (canAdd) {
+      addToLibrary()
+    }
+  }
+
+  const handleInputChange = (e) => {
+    // Free text unlinks the exercise; the server matches it by name or alias
+    onChange({ name: e.target.value, exerciseTemplateId: null, exerciseTemplate: null })
+    setHighlighted(0)
+    setIsOpen(true)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setIsOpen(true)
+      setHighlighted((prev) => Math.min(prev + 1, optionCount - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setHighlighted((prev) => Math.max(prev - 1, 0))
+    } else if (e.key === 'Enter') {
+      // Never submit the surrounding form from the picker
+      e.preventDefault()
+      if (isOpen && optionCount > 0) chooseOption(highlighted)
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <div className={`relative ${className || ''}`}>
+      <input
+        type="text"
+        value={value}
+        onChange={handleInputChange}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
+        placeholder={placeholder}
+        disabled={disabled}
+        role="combobox"
+        aria-controls={listId}
+        aria-expanded={isOpen && optionCount > 0}
+        aria-autocomplete="list"
+      />
+      {linkedEntry && normalizeExerciseName(linkedEntry.name) !== typedKey && (
+        <p className="text-xs text-text-muted mt-1">
+          Logged as {linkedEntry.name}
+        </p>
+      )}
+
+      {isOpen && !disabled && optionCount > 0 && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-surface-elevated border border-border rounded-lg shadow-lg max-h-72 overflow-y-auto"
+        >
+          {suggestions.map((entry, index) => {
+            const matchedAlias =
+              typedKey &&
+              !normalizeExerciseName(entry.name).includes(typedKey) &&
+              (entry.aliases || []).find((alias) =>
+                normalizeExerciseName(alias).includes(typedKey)
+              )
+
+            return (
+              <li
+                key={entry.id}
+                role="option"
+                aria-selected={index === highlighted}
+                // Select before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  selectEntry(entry)
+                }}
+                onMouseEnter={() => setHighlighted(index)}
+                className={`flex items-center gap-2 px-3 py-2 cursor-pointer min-h-[44px] ${
+                  index === highlighted ? 'bg-surface-highlight' : ''
+                }`}
+              >
+                <BookOpenIcon className="h-4 w-4 text-text-muted flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm text-text-primary truncate">{entry.name}</p>
+                  {(matchedAlias || entry.muscleGroups) && (
+                    <p className="text-xs text-text-muted truncate">
+                      {matchedAlias ? `Also called ${matchedAlias}` : entry.muscleGroups}
+                    </p>
+                  )}
+                </div>
+              </li>
+            )
+          })}
+          {canAdd && (
+            <li
+              role="option"
+              aria-selected={highlighted === suggestions.length}
+              onMouseDown={(e) => {
+                e.preventDefault()
+                addToLibrary()
+              }}
+              onMouseEnter={() => setHighlighted(suggestions.length)}
+              className={`flex items-center gap-2 px-3 py-2 cursor-pointer min-h-[44px] text-sm text-accent ${
+                highlighted === suggestions.length ? 'bg-surface-highlight' : ''
+              }`}
+            >
+              <PlusIcon className="h-4 w-4 flex-shrink-0" />
+              {isAdding ? 'Adding...' : `Add "${value.trim()}" to library`}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+ExercisePicker.propTypes = {
+  value: PropTypes.string.isRequired,
+  exerciseTemplateId: PropTypes.number,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string,
+  disabled: PropTypes.bool,
+  className: PropTypes.string,
+}
+
+export default ExercisePicker
@@ -1,16 +1,18 @@
 import React, { useState, useRef, useEffect } from 'react'
 import PropTypes from 'prop-types'
 import { useRouter } from 'next/navigation'
+import { mutate } from 'swr'
 import { useAuth } from '@/contexts/AuthContext'
-import { DumbbellIcon, CalendarIcon, UserIcon, SettingsIcon, LogOutIcon, TrendingUp } from 'lucide-react'
+import { DumbbellIcon, CalendarIcon, UserIcon, SettingsIcon, LogOutIcon, TrendingUp, UploadIcon, CalendarRangeIcon, ScaleIcon, UserCogIcon } from 'lucide-react'
 import CalendarModal from './CalendarModal'
+import { WEIGHT_UNITS } from '@/lib/units'
 
 /**
  * Header component with navigation and branding
  */
 const Header = () => {
   const router = useRouter()
-  const { user, logout } = useAuth()
+  const { user, logout, weightUnit, updatePreferences } = useAuth()
   const [showUserMenu, setShowUserMenu] = useState(false)
   const [showCalendar, setShowCalendar] = useState(false)
   const menuRef = useRef(null)
@@ -23,10 +25,31 @@ const Header = () => {
     router.push('/templates')
   }
 
+  const handleProgramsClick = () => {
+    router.push('/programs')
+  }
+
   const handleInsightsClick = () => {
     router.push('/insights')
   }
 
+  const handleImportClick = () => {
+    setShowUserMenu(false)
+    router.push('/import')
+  }
+
+  const handleSettingsClick = () => {
+    setShowUserMenu(false)
+    router.push('/settings')
+  }
+
+  const handleWeightUnitClick = async (unit) => {
+    if (unit === weightUnit) return
+    const result = await updatePreferences({ weightUnit: unit })
+    // Refetch everything so server-converted weights switch unit too
+    if (result?.success) mutate(() => true)
+  }
+
   const handleCalendarClick = () => {
     setShowCalendar(true)
   }
@@ -72,6 +95,13 @@ const Header = () => {
           >
             <SettingsIcon className="h-4 w-4 text-text-secondary" />
           </button>
+          <button
+            onClick={handleProgramsClick}
+            className="p-1.5 rounded-md hover:bg-surface-elevated transition-colors"
+            title="Training Programs"
+          >
+            <CalendarRangeIcon className="h-4 w-4 text-text-secondary" />
+          </button>
           <button
             onClick={handleInsightsClick}
             className="p-1.5 rounded-md hover:bg-surface-elevated transition-colors"
@@ -112,6 +142,42 @@ const Header = () => {
                     Signed in as<br />
                     <span className="font-medium">{user?.username}</span>
                   </div>
+                  <div className="px-4 py-2 text-sm text-text-secondary flex items-center justify-between">
+                    <span className="flex items-center space-x-2">
+                      <ScaleIcon className="h-4 w-4" />
+                      <span>Units</span>
+                    </span>
+                    <div className="flex rounded-md border border-border overflow-hidden">
+                      {WEIGHT_UNITS.map((unit) => (
+                        <button
+                          key={unit}
+                          onClick={() => handleWeightUnitClick(unit)}
+                          className={`px-2 py-0.5 text-xs transition-colors ${
+                            unit === weightUnit
+                              ? 'bg-accent text-white'
+                              : 'hover:bg-surface-elevated'
+                          }`}
+                          aria-pressed={unit === weightUnit}
+                        >
+                          {unit}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <button
+                    onClick={handleSettingsClick}
+                    className="w-full text-left px-4 py-2 text-sm text-text-secondary hover:bg-surface-elevated transition-colors flex items-center space-x-2"
+                  >
+                    <UserCogIcon className="h-4 w-4" />
+                    <span>Settings</span>
+                  </button>
+                  <button
+                    onClick={handleImportClick}
+                    className="w-full text-left px-4 py-2 text-sm text-text-secondary hover:bg-surface-elevated transition-colors flex items-center space-x-2"
+                  >
+                    <UploadIcon className="h-4 w-4" />
+                    <span>Import &amp; export</span>
+                  </button>
                   <button
                     onClick={handleLogout}
                     className="w-full text-left px-4 py-2 text-sm text-text-secondary hover:bg-surface-elevated transition-colors flex items-center space-x-2"
@@ -4,11 +4,21 @@ import useSWR from 'swr'
 import { XIcon, Trophy } from 'lucide-react'
 import ProgressChart from './ProgressChart'
 import PRBadge from './PRBadge'
+import { useAuth } from '@/contexts/AuthContext'
+import { formatWeight } from '@/lib/units'
 import {
-  calculatePRsFromHistory,
-  getEntryPRInfo,
+  formatPRValue,
+  getPRTypeLabel,
+  MODE_PR_TYPES,
+  summarizePersonalRecords,
   TRACKED_REP_COUNTS
 } from '@/lib/pr-calculations'
+import {
+  formatDistance,
+  formatDuration,
+  formatSetMeasures,
+  getTrackingMode
+} from '@/lib/tracking-modes'
 
 // Fetcher function for SWR
 const fetcher = (url) => fetch(url).then((res) => res.json())
@@ -20,21 +30,33 @@ const fetcher = (url) => fetch(url).then((res) => res.json())
  * @param {Function} props.onClose - Function to close the modal
  */
 const HistoryModal = ({ exercise, onClose }) => {
+  // History and records come back in the user's unit
+  const { weightUnit } = useAuth()
   const { data: history, error, isLoading } = useSWR(
     exercise ? `/api/exercises/history/${encodeURIComponent(exercise)}` : null,
     fetcher
   )
 
-  // Calculate PRs from history
-  const prs = useMemo(() => {
-    if (!history || history.length === 0) return null
-    return calculatePRsFromHistory(history)
-  }, [history])
+  const { data: records } = useSWR(
+    exercise ? `/api/prs?exercise=${encodeURIComponent(exercise)}` : null,
+    fetcher
+  )
 
-  // Get PR info for each entry
+  // Best of each PR type from the stored PR timeline
+  const prs = useMemo(
+    () => summarizePersonalRecords(Array.isArray(records) ? records : []),
+    [records]
+  )
+
+  // Longest time, fastest pace... for exercises not tracked by weight × reps
+  const modePRTypes = prs ? MODE_PR_TYPES.filter((type) => prs[`${type}PR`]) : []
+
+  // PRs set in each entry's workout
   const getEntryPRs = (entry) => {
-    if (!prs) return { hasPR: false, prTypes: [] }
-    return getEntryPRInfo(entry, prs)
+    const prTypes = (Array.isArray(records) ? records : [])
+      .filter((record) => record.workoutId === entry.workoutId)
+      .map((record) => record.type)
+    return { hasPR: prTypes.length > 0, prTypes }
   }
 
   return (
@@ -75,11 +97,11 @@ const HistoryModal = ({ exercise, onClose }) => {
           {history && history.length > 0 && (
             <>
               <div className="h-64 mb-6">
-                <ProgressChart history={history} />
+                <ProgressChart history={history} weightUnit={weightUnit} />
               </div>
 
               {/* PR Summary Section */}
-              {prs && prs.e1rm && (
+              {prs && (prs.e1rm || modePRTypes.length > 0) && (
                 <div className="bg-yellow-400/10 border border-yellow-400/30 rounded-xl p-4 mb-6">
                   <div className="flex items-center gap-2 mb-3">
                     <Trophy className="h-5 w-5 text-yellow-400" />
@@ -87,12 +109,23 @@ const HistoryModal = ({ exercise, onClose }) => {
                   </div>
                   <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
                     {/* Best e1RM */}
-                    <div className="col-span-2 flex justify-between items-center pb-2 border-b border-yellow-400/20">
-                      <span className="text-text-muted">Best e1RM</span>
-                      <span className="text-yellow-400 font-semibold tabular-nums">
-                        {prs.e1rm.value} kg
-                      </span>
-                    </div>
+                    {prs.e1rm && (
+                      <div className="col-span-2 flex justify-between items-center pb-2 border-b border-yellow-400/20">
+                        <span className="text-text-muted">Best e1RM</span>
+                        <span className="text-yellow-400 font-semibold tabular-nums">
+                          {formatWeight(prs.e1rm.value, weightUnit)}
+                        </span>
+                      </div>
+                    )}
+                    {/* Time, distance, pace and assistance records */}
+                    {modePRTypes.map((type) => (
+                      <div key={type} className="col-span-2 flex justify-between items-center">
+                        <span className="text-text-muted">{getPRTypeLabel(type)}</span>
+                        <span className="text-yellow-400 font-semibold tabular-nums">
+                          {formatPRValue(type, prs[`${type}PR`].value, weightUnit)}
+                        </span>
+                      </div>
+                    ))}
                     {/* Rep Maxes */}
                     {TRACKED_REP_COUNTS.map((reps) => {
                       const repMax = prs.repMaxes[reps]
@@ -101,7 +134,7 @@ const HistoryModal = ({ exercise, onClose }) => {
                         <div key={reps} className="flex justify-between items-center">
                           <span className="text-text-muted">{reps}RM</span>
                           <span className="text-text-primary font-medium tabular-nums">
-                            {repMax.weight} kg
+                            {formatWeight(repMax.weight, weightUnit)}
                           </span>
                         </div>
                       )
@@ -111,7 +144,7 @@ const HistoryModal = ({ exercise, onClose }) => {
                       <div className="col-span-2 flex justify-between items-center pt-2 border-t border-yellow-400/20 mt-1">
                         <span className="text-text-muted">Best Set Volume</span>
                         <span className="text-emerald-400 font-medium tabular-nums">
-                          {prs.volumePR.value.toLocaleString()} kg
+                          {formatWeight(prs.volumePR.value, weightUnit)}
                         </span>
                       </div>
                     )}
@@ -149,7 +182,7 @@ const HistoryModal = ({ exercise, onClose }) => {
                       </div>
                       {entry.maxWeight && entry.maxWeight > 0 && (
                         <span className="text-sm bg-accent/20 text-blue-300 px-2 py-1 rounded tabular-nums">
-                          Max: {entry.maxWeight} kg
+                          Max: {formatWeight(entry.maxWeight, weightUnit)}
                         </span>
                       )}
                     </div>
@@ -161,8 +194,14 @@ const HistoryModal = ({ exercise, onClose }) => {
                           <div key={setIndex} className="bg-surface-highlight rounded px-2 py-1 text-xs">
                             <span className="text-text-secondary">Set {setIndex + 1}: </span>
                             <span className="text-text-primary tabular-nums">
-                              {set.weight && set.weight > 0 ? `${set.weight}kg × ` : ''}
-                              {set.reps} reps
+                              {getTrackingMode(entry) === 'WEIGHT_REPS' ? (
+                                <>
+                                  {set.weight && set.weight > 0 ? `${formatWeight(set.weight, set.weightUnit)} × ` : ''}
+                                  {set.reps} reps
+                                </>
+                              ) : (
+                                formatSetMeasures(set, entry.trackingMode)
+                              )}
                             </span>
                           </div>
                         ))}
@@ -177,7 +216,13 @@ const HistoryModal = ({ exercise, onClose }) => {
                     {/* Summary info */}
                     <div className="text-xs text-text-muted pt-2 border-t border-border tabular-nums">
                       {entry.totalVolume ? (
-                        <span>Total Volume: {entry.totalVolume.toLocaleString()} kg</span>
+                        <span>Total Volume: {formatWeight(entry.totalVolume, weightUnit)}</span>
+                      ) : null}
+                      {entry.totalDuration ? (
+                        <span className="mr-3">Total Time: {formatDuration(entry.totalDuration)}</span>
+                      ) : null}
+                      {entry.totalDistance ? (
+                        <span>Total Distance: {formatDistance(entry.totalDistance)}</span>
                       ) : null}
                     </div>
                   </div>
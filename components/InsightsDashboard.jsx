@@ -1,10 +1,13 @@
 'use client'
 
 import PropTypes from 'prop-types'
-import { TrendingUp, Check, AlertCircle, HelpCircle, ChevronRight } from 'lucide-react'
+import { TrendingUp, Check, AlertCircle, HelpCircle, ChevronRight, HeartPulse } from 'lucide-react'
 import ProgressionBadge from './ProgressionBadge'
 import VolumeCharts from './VolumeCharts'
+import BodyMetrics from './BodyMetrics'
+import CardioLog from './CardioLog'
 import { PROGRESSION_STATUS, formatSuggestionText } from '@/lib/progression-suggestions'
+import { formatWeight } from '@/lib/units'
 
 /**
  * Section component for each category
@@ -45,7 +48,7 @@ CategorySection.propTypes = {
  * Individual exercise row
  */
 function ExerciseRow({ exercise }) {
-  const { name, status, shortMessage, lastSession, weightChange, suggestedWeight } = exercise
+  const { name, status, shortMessage, lastSession, weightChange, suggestedWeight, weightUnit } = exercise
 
   return (
     <div className="px-4 py-3 hover:bg-gray-800/50 transition-colors">
@@ -57,7 +60,7 @@ function ExerciseRow({ exercise }) {
           </div>
           {lastSession && (
             <p className="text-sm text-gray-400 mt-1">
-              Last: {lastSession.maxWeight}kg × {lastSession.avgReps} reps
+              Last: {formatWeight(lastSession.maxWeight, weightUnit)} × {lastSession.avgReps} reps
               {lastSession.avgRPE && ` @ RPE ${lastSession.avgRPE}`}
             </p>
           )}
@@ -65,7 +68,7 @@ function ExerciseRow({ exercise }) {
         <div className="flex items-center gap-2 ml-4">
           {status === PROGRESSION_STATUS.READY && suggestedWeight && (
             <span className="text-sm font-medium text-emerald-400 tabular-nums">
-              → {suggestedWeight}kg
+              → {formatWeight(suggestedWeight, weightUnit)}
             </span>
           )}
           {status === PROGRESSION_STATUS.ATTENTION && (
@@ -87,7 +90,8 @@ ExerciseRow.propTypes = {
     shortMessage: PropTypes.string,
     lastSession: PropTypes.object,
     weightChange: PropTypes.number,
-    suggestedWeight: PropTypes.number
+    suggestedWeight: PropTypes.number,
+    weightUnit: PropTypes.string
   }).isRequired
 }
 
@@ -129,24 +133,56 @@ SummaryStats.propTypes = {
 /**
  * InsightsDashboard Component
  *
- * Displays training insights with exercises categorized by progression status.
+ * Displays training insights with exercises categorized by progression status,
+ * body metrics charted against training volume, and recent cardio.
  */
-function InsightsDashboard({ data }) {
-  const { summary, categories, volume } = data
+function InsightsDashboard({ data, onBodyMetricsLogged, onCardioLogged }) {
+  const { summary, categories, volume, body, cardio, weightUnit } = data
 
   const isEmpty =
     categories.readyToProgress.length === 0 &&
     categories.maintain.length === 0 &&
     categories.needsAttention.length === 0
 
+  const bodyMetrics = (
+    <BodyMetrics
+      bodyData={body}
+      weeklyVolume={volume?.weeklyTrend}
+      weightUnit={weightUnit}
+      onLogged={onBodyMetricsLogged}
+    />
+  )
+
+  // Cardio attached to a workout is logged from its session page
+  const cardioLog = (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2">
+        <HeartPulse className="h-5 w-5 text-rose-400" />
+        <h2 className="text-lg font-semibold text-white">Cardio</h2>
+      </div>
+      <div className="bg-[#1a1a1a] border border-gray-700 rounded-xl p-4">
+        <CardioLog
+          entries={(cardio || []).filter((entry) => !entry.workoutId)}
+          onChanged={onCardioLogged}
+        />
+      </div>
+    </div>
+  )
+
   if (isEmpty && categories.noData.length === 0) {
     return (
-      <div className="text-center py-12">
-        <HelpCircle className="h-12 w-12 text-gray-500 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-white mb-2">No Training Data</h3>
-        <p className="text-gray-400">
-          Complete some workouts with RPE tracking to see insights.
-        </p>
+      <div className="space-y-6">
+        <div className="text-center py-12">
+          <HelpCircle className="h-12 w-12 text-gray-500 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-white mb-2">No Training Data</h3>
+          <p className="text-gray-400">
+            Complete some workouts with RPE tracking to see insights.
+          </p>
+        </div>
+
+        {bodyMetrics}
+
+        {cardioLog}
       </div>
     )
   }
@@ -155,7 +191,11 @@ function InsightsDashboard({ data }) {
     <div className="space-y-6">
       <SummaryStats summary={summary} />
 
-      <VolumeCharts volumeData={volume} />
+      <VolumeCharts volumeData={volume} weightUnit={weightUnit} />
+
+      {bodyMetrics}
+
+      {cardioLog}
 
       <div className="space-y-4">
         <CategorySection
@@ -209,8 +249,13 @@ InsightsDashboard.propTypes = {
       needsAttention: PropTypes.array.isRequired,
       noData: PropTypes.array.isRequired
     }).isRequired,
-    volume: PropTypes.object
-  }).isRequired
+    volume: PropTypes.object,
+    body: PropTypes.object,
+    cardio: PropTypes.array,
+    weightUnit: PropTypes.string
+  }).isRequired,
+  onBodyMetricsLogged: PropTypes.func,
+  onCardioLogged: PropTypes.func
 }
 
 export default InsightsDashboard
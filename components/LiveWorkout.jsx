@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  CheckIcon,
+  ClockIcon,
+  FlagIcon,
+  TrashIcon,
+  CloudIcon,
+  CloudOffIcon,
+} from 'lucide-react'
+import RestTimer from './RestTimer'
+import SetTypeSelect from './SetTypeSelect'
+import SetMeasureInputs from './SetMeasureInputs'
+import { useAuth } from '@/contexts/AuthContext'
+import { normalizeWeightUnit } from '@/lib/units'
+import { isSetMeasured } from '@/lib/tracking-modes'
+import {
+  getElapsedSeconds,
+  formatTimer,
+  getRestSeconds,
+  getRestAfterSet,
+} from '@/lib/live-workout'
+import { getExerciseBlocks, EXERCISE_GROUP_TYPE_LABELS } from '@/lib/exercise-groups'
+
+/**
+ * LiveWorkout component for logging a workout set-by-set while training
+ * @param {Object} props
+ * @param {Object} props.workout - DRAFT workout with parsed exercise sets
+ * @param {Function} props.onSaveProgress - Persists the current exercises, returns a promise
+ * @param {Function} props.onFinish - Called with (exercises, durationSeconds) to complete the workout
+ * @param {Function} props.onDiscard - Called to throw the session away
+ * @param {boolean} props.isFinishing - Whether the finish request is in flight
+ */
+const LiveWorkout = ({ workout, onSaveProgress, onFinish, onDiscard, isFinishing }) => {
+  const [exercises, setExercises] = useState(() =>
+    (workout.exercises || []).map((exercise) => ({
+      name: exercise.name,
+      sets: (exercise.sets || []).map((set) => ({ ...set, completed: !!set.completed })),
+      restSeconds: exercise.restSeconds,
+      notes: exercise.notes || '',
+      groupNumber: exercise.groupNumber ?? null,
+      groupType: exercise.groupType ?? null,
+    }))
+  )
+  const [elapsed, setElapsed] = useState(getElapsedSeconds(workout.createdAt))
+  const [restTimer, setRestTimer] = useState(null)
+  const [saveState, setSaveState] = useState('saved')
+  const { weightUnit: userWeightUnit, defaultRestSeconds } = useAuth()
+  const weightUnit = normalizeWeightUnit(userWeightUnit)
+
+  // Elapsed time is derived from when the draft was created so it survives reloads
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setElapsed(getElapsedSeconds(workout.createdAt))
+    }, 1000)
+    return () => clearInterval(interval)
+  }, [workout.createdAt])
+
+  const persist = async (updatedExercises) => {
+    setSaveState('saving')
+    try {
+      await onSaveProgress(updatedExercises)
+      setSaveState('saved')
+    } catch (error) {
+      console.error('Error saving workout progress:', error)
+      setSaveState('error')
+    }
+  }
+
+  const updateSet = (exerciseIndex, setIndex, field, value) => {
+    setExercises((prev) =>
+      prev.map((exercise, i) =>
+        i === exerciseIndex
+          ? {
+              ...exercise,
+              sets: exercise.sets.map((set, j) =>
+                j === setIndex ? { ...set, [field]: value } : set
+              ),
+            }
+          : exercise
+      )
+    )
+  }
+
+  const toggleSetCompleted = (exerciseIndex, setIndex) => {
+    const exercise = exercises[exerciseIndex]
+    const set = exercise.sets[setIndex]
+    if (!set.completed && !isSetMeasured(set, exercise.trackingMode)) return
+
+    const completed = !set.completed
+    const updatedExercises = exercises.map((exercise, i) =>
+      i === exerciseIndex
+        ? {
+            ...exercise,
+            sets: exercise.sets.map((s, j) =>
+              j === setIndex ? { ...s, completed } : s
+            ),
+          }
+        : exercise
+    )
+
+    setExercises(updatedExercises)
+    persist(updatedExercises)
+
+    // Within a superset or circuit the next exercise follows without rest
+    const restSeconds = completed
+      ? getRestAfterSet(exercises, exerciseIndex, setIndex, defaultRestSeconds)
+      : 0
+    if (restSeconds > 0) {
+      setRestTimer({
+        endsAt: Date.now() + restSeconds * 1000,
+        totalSeconds: restSeconds,
+      })
+    }
+  }
+
+  const addSet = (exerciseIndex) => {
+    setExercises((prev) =>
+      prev.map((exercise, i) => {
+        if (i !== exerciseIndex) return exercise
+        const lastSet = exercise.sets[exercise.sets.length - 1]
+        return {
+          ...exercise,
+          sets: [
+            ...exercise.sets,
+            {
+              reps: lastSet?.reps || '',
+              weight: lastSet?.weight ?? '',
+              durationSeconds: lastSet?.durationSeconds ?? '',
+              distanceMeters: lastSet?.distanceMeters ?? '',
+              ...(lastSet?.weightUnit && { weightUnit: lastSet.weightUnit }),
+              rpe: null,
+              completed: false,
+            },
+          ],
+        }
+      })
+    )
+  }
+
+  const groupLabels = {}
+  getExerciseBlocks(exercises).forEach((block) => {
+    block.members.forEach(({ index, label }, position) => {
+      if (label) {
+        groupLabels[index] = {
+          label,
+          heading: position === 0 ? EXERCISE_GROUP_TYPE_LABELS[block.groupType] : null,
+          isLast: position === block.members.length - 1,
+          // The group rests for as long as its first exercise says
+          restExercise: block.members[0].exercise,
+        }
+      }
+    })
+  })
+
+  const completedSets = exercises.reduce(
+    (total, exercise) => total + exercise.sets.filter((set) => set.completed).length,
+    0
+  )
+  const totalSets = exercises.reduce((total, exercise) => total + exercise.sets.length, 0)
+
+  const handleFinish = () => {
+    if (completedSets === 0) {
+      alert('Complete at least one set before finishing the workout')
+      return
+    }
+    onFinish(exercises, Math.max(1, elapsed))
+  }
+
+  return (
+    <div className="space-y-6 pb-28">
+      {/* Session header */}
+      <div className="bg-surface rounded-2xl p-6">
+        <div className="flex justify-between items-start gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-text-primary">{workout.title}</h1>
+            <p className="text-sm text-text-muted mt-1">
+              {completedSets} of {totalSets} sets done
+            </p>
+          </div>
+          <div className="text-right">
+            <div className="flex items-center gap-2 text-text-primary">
+              <ClockIcon className="h-5 w-5 text-accent" />
+              <span className="text-2xl font-bold tabular-nums">{formatTimer(elapsed)}</span>
+            </div>
+            <div className="flex items-center justify-end gap-1 mt-1 text-xs text-text-muted">
+              {saveState === 'error' ? (
+                <>
+                  <CloudOffIcon className="h-3 w-3 text-red-400" />
+                  <span className="text-red-400">Not saved</span>
+                </>
+              ) : (
+                <>
+                  <CloudIcon className="h-3 w-3" />
+                  <span>{saveState === 'saving' ? 'Saving...' : 'Saved'}</span>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Exercises */}
+      {exercises.map((exercise, exerciseIndex) => {
+        const group = groupLabels[exerciseIndex]
+        return (
+          <div
+            key={exerciseIndex}
+            className={`bg-surface rounded-2xl p-4 ${group ? 'border-l-4 border-accent' : ''}`}
+          >
+            {group?.heading && (
+              <p className="text-xs font-medium uppercase tracking-wide text-accent mb-2">
+                {group.heading} · one set of each, then rest
+              </p>
+            )}
+            <div className="flex justify-between items-center mb-3">
+              <h2 className="text-lg font-semibold text-text-primary">
+                {group && <span className="text-accent mr-2">{group.label}</span>}
+                {exercise.name}
+              </h2>
+              <span className="text-xs text-text-muted">
+                {group && !group.isLast
+                  ? 'No rest'
+                  : `Rest ${formatTimer(getRestSeconds(group?.restExercise || exercise, defaultRestSeconds))}`}
+              </span>
+            </div>
+
+            <div className="space-y-2">
+              {exercise.sets.map((set, setIndex) => (
+                <div
+                  key={setIndex}
+                  className={`flex items-center gap-2 p-2 rounded-lg ${
+                    set.completed ? 'bg-emerald-500/10' : 'bg-surface-elevated'
+                  }`}
+                >
+                  <span className="text-sm text-text-muted w-8">#{setIndex + 1}</span>
+                  <SetTypeSelect
+                    value={set.setType}
+                    onChange={(setType) => updateSet(exerciseIndex, setIndex, 'setType', setType)}
+                    disabled={set.completed}
+                  />
+                  <SetMeasureInputs
+                    set={set}
+                    trackingMode={exercise.trackingMode}
+                    weightUnit={set.weightUnit || weightUnit}
+                    onChange={(field, value) => updateSet(exerciseIndex, setIndex, field, value)}
+                    disabled={set.completed}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => toggleSetCompleted(exerciseIndex, setIndex)}
+                    aria-label={set.completed ? 'Mark set not done' : 'Mark set done'}
+                    className={`flex items-center justify-center w-11 h-11 rounded-lg border transition-colors ${
+                      set.completed
+                        ? 'bg-emerald-500 border-emerald-400 text-white'
+                        : 'bg-surface-highlight border-border text-text-muted hover:text-text-primary'
+                    }`}
+                  >
+                    <CheckIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => addSet(exerciseIndex)}
+              className="mt-3 text-sm text-accent hover:text-accent-hover"
+            >
+              + Add Set
+            </button>
+          </div>
+        )
+      })}
+
+      {/* Actions */}
+      <div className="flex justify-between gap-4">
+        <button
+          type="button"
+          onClick={onDiscard}
+          disabled={isFinishing}
+          className="flex items-center px-4 py-2 text-red-400 hover:text-red-300 transition-colors min-h-[44px] disabled:opacity-50"
+        >
+          <TrashIcon className="h-4 w-4 mr-2" />
+          Discard
+        </button>
+        <button
+          type="button"
+          onClick={handleFinish}
+          disabled={isFinishing}
+          className="flex items-center px-6 py-2 bg-accent hover:bg-accent-hover disabled:opacity-50 text-white rounded-lg transition-colors min-h-[44px]"
+        >
+          <FlagIcon className="h-4 w-4 mr-2" />
+          {isFinishing ? 'Finishing...' : 'Finish Workout'}
+        </button>
+      </div>
+
+      {restTimer && (
+        <RestTimer
+          endsAt={restTimer.endsAt}
+          totalSeconds={restTimer.totalSeconds}
+          onDismiss={() => setRestTimer(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+LiveWorkout.propTypes = {
+  workout: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    createdAt: PropTypes.string,
+    exercises: PropTypes.arrayOf(
+      PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        sets: PropTypes.array,
+        restSeconds: PropTypes.number,
+        notes: PropTypes.string,
+        groupNumber: PropTypes.number,
+        groupType: PropTypes.string,
+        trackingMode: PropTypes.string,
+      })
+    ),
+  }).isRequired,
+  onSaveProgress: PropTypes.func.isRequired,
+  onFinish: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  isFinishing: PropTypes.bool,
+}
+
+export default LiveWorkout
@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import useSWR from 'swr'
+import { CalendarRangeIcon, PlayIcon } from 'lucide-react'
+import { buildLiveExercises } from '@/lib/live-workout'
+import { applyProgramTargets } from '@/lib/programs'
+import { getTodayLocal } from '@/lib/dateUtils'
+import { useAuth } from '@/contexts/AuthContext'
+import { normalizeWeightUnit } from '@/lib/units'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+/**
+ * Formats a program target for display, e.g. "4 × 6 @ 80% (100 kg)"
+ * @param {Object} target - Target from GET /api/programs/next
+ * @param {string} weightUnit - Unit the target weight is in
+ * @returns {string} Target summary
+ */
+const formatTarget = (target, weightUnit) => {
+  const parts = []
+  if (target.sets || target.reps) {
+    parts.push([target.sets, target.reps].filter(Boolean).join(' × '))
+  }
+  if (target.percentE1RM) {
+    parts.push(
+      `@ ${target.percentE1RM}%${target.weight ? ` (${target.weight} ${weightUnit})` : ''}`
+    )
+  }
+  return parts.join(' ')
+}
+
+/**
+ * Dashboard card for the next session of the user's active program
+ */
+const NextProgramSession = () => {
+  const router = useRouter()
+  const [isStarting, setIsStarting] = useState(false)
+  const { weightUnit: userWeightUnit, timeZone } = useAuth()
+  const weightUnit = normalizeWeightUnit(userWeightUnit)
+  const { data } = useSWR('/api/programs/next', fetcher)
+
+  if (!data?.program) return null
+
+  const { program, next } = data
+
+  const handleStart = async () => {
+    setIsStarting(true)
+
+    try {
+      const templateResponse = await fetch(`/api/templates/${next.templateId}/latest-data`)
+      if (!templateResponse.ok) {
+        throw new Error('Failed to load template')
+      }
+      const templateData = await templateResponse.json()
+
+      const response = await fetch('/api/workouts/from-template', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          templateId: next.templateId,
+          title: next.title,
+          date: getTodayLocal(timeZone),
+          status: 'DRAFT',
+          programId: program.id,
+          programWeek: next.week,
+          programDay: next.day,
+          exercises: applyProgramTargets(
+            buildLiveExercises(templateData.templateExercises),
+            next.targets
+          ),
+        }),
+      })
+
+      if (!response.ok) {
+        throw new Error('Failed to start program session')
+      }
+
+      const workout = await response.json()
+      router.push(`/live/${workout.id}`)
+    } catch (error) {
+      console.error('Error starting program session:', error)
+      alert('Failed to start program session. Please try again.')
+      setIsStarting(false)
+    }
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-surface rounded-2xl border border-border">
+      <div className="flex items-center justify-between gap-4">
+        <div className="min-w-0">
+          <p className="flex items-center gap-1.5 text-sm text-text-muted">
+            <CalendarRangeIcon className="h-4 w-4" />
+            {program.name}
+          </p>
+          <p className="text-lg font-semibold text-text-primary">
+            {next ? next.title : `All ${program.weeks} weeks complete`}
+          </p>
+        </div>
+        {next && (
+          <button
+            onClick={handleStart}
+            disabled={isStarting}
+            className="flex items-center px-4 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50 min-h-[44px] flex-shrink-0"
+          >
+            <PlayIcon className="h-4 w-4 mr-2" />
+            {isStarting ? 'Starting...' : 'Start'}
+          </button>
+        )}
+      </div>
+      {next?.targets.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {next.targets.map((target) => (
+            <li
+              key={target.exerciseName}
+              className="flex justify-between gap-4 text-sm"
+            >
+              <span className="text-text-secondary truncate">{target.exerciseName}</span>
+              <span className="text-text-muted flex-shrink-0">{formatTarget(target, weightUnit)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default NextProgramSession
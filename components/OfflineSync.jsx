@@ -0,0 +1,171 @@
+'use client'
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { mutate } from 'swr'
+import { CloudOffIcon, RefreshCwIcon, AlertTriangleIcon } from 'lucide-react'
+import { useAuth } from '@/contexts/AuthContext'
+import {
+  QUEUE_CHANGE_EVENT,
+  isOfflineQueueSupported,
+  getQueuedWrites,
+  replayQueuedWrites,
+  removeQueuedWrite,
+  overwriteConflict,
+} from '@/lib/offline-queue'
+
+/**
+ * OfflineSync component that registers the service worker, replays workout
+ * writes queued while offline, and shows what is still waiting to sync
+ */
+const OfflineSync = () => {
+  const { user } = useAuth()
+  const [isOnline, setIsOnline] = useState(true)
+  const [queuedWrites, setQueuedWrites] = useState([])
+  const [isSyncing, setIsSyncing] = useState(false)
+
+  const refreshQueue = useCallback(async () => {
+    if (!user || !isOfflineQueueSupported()) {
+      setQueuedWrites([])
+      return
+    }
+    try {
+      setQueuedWrites(await getQueuedWrites(user.id))
+    } catch (error) {
+      console.error('Error reading offline queue:', error)
+    }
+  }, [user])
+
+  const syncNow = useCallback(async () => {
+    if (!user || !isOfflineQueueSupported() || navigator.onLine === false) return
+
+    setIsSyncing(true)
+    try {
+      const result = await replayQueuedWrites(user.id)
+      if (result.synced > 0) {
+        // Refresh any workout data already on screen, including the
+        // paged dashboard list, which SWR keys with an $inf$ prefix
+        mutate((key) => typeof key === 'string' && /^(\$inf\$)?\/api\/workouts/.test(key))
+      }
+    } catch (error) {
+      console.error('Error syncing offline workouts:', error)
+    } finally {
+      setIsSyncing(false)
+      refreshQueue()
+    }
+  }, [user, refreshQueue])
+
+  // Register the service worker in production builds only, so it never
+  // serves stale assets during development
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Service worker registration failed:', error)
+    })
+
+    const handleMessage = (event) => {
+      if (event.data?.type === 'SYNC_WORKOUTS') syncNow()
+    }
+    navigator.serviceWorker.addEventListener('message', handleMessage)
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage)
+  }, [syncNow])
+
+  useEffect(() => {
+    setIsOnline(navigator.onLine)
+
+    const handleOnline = () => {
+      setIsOnline(true)
+      syncNow()
+    }
+    const handleOffline = () => setIsOnline(false)
+    const handleQueueChange = () => {
+      refreshQueue()
+      // Ask the browser to wake us when connectivity returns, where supported
+      navigator.serviceWorker?.ready
+        .then((registration) => registration.sync?.register('sync-workouts'))
+        .catch(() => {})
+    }
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    window.addEventListener(QUEUE_CHANGE_EVENT, handleQueueChange)
+
+    // Pick up anything left over from a previous visit
+    syncNow()
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+      window.removeEventListener(QUEUE_CHANGE_EVENT, handleQueueChange)
+    }
+  }, [syncNow, refreshQueue])
+
+  const handleKeepMine = async (write) => {
+    await overwriteConflict(write)
+    syncNow()
+  }
+
+  const handleDiscard = async (write) => {
+    const confirmed = window.confirm('Discard these offline changes? This cannot be undone.')
+    if (!confirmed) return
+    await removeQueuedWrite(write.id)
+  }
+
+  const pendingCount = queuedWrites.filter((write) => write.status === 'pending').length
+  const problemWrites = queuedWrites.filter((write) => write.status !== 'pending')
+
+  if (isOnline && pendingCount === 0 && problemWrites.length === 0) return null
+
+  return (
+    <div className="fixed top-2 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-md space-y-2">
+      {(!isOnline || pendingCount > 0) && (
+        <div className="flex items-center gap-3 px-4 py-3 bg-surface-elevated border border-border rounded-xl shadow-lg text-sm">
+          {isOnline ? (
+            <RefreshCwIcon className={`h-4 w-4 text-accent ${isSyncing ? 'animate-spin' : ''}`} />
+          ) : (
+            <CloudOffIcon className="h-4 w-4 text-yellow-400" />
+          )}
+          <span className="text-text-primary">
+            {!isOnline && pendingCount === 0
+              ? "You're offline. Workouts you save will sync when you reconnect."
+              : `${pendingCount} workout ${pendingCount === 1 ? 'change' : 'changes'} waiting to sync`}
+          </span>
+        </div>
+      )}
+
+      {problemWrites.map((write) => (
+        <div
+          key={write.id}
+          className="px-4 py-3 bg-surface-elevated border border-red-500/50 rounded-xl shadow-lg text-sm"
+        >
+          <div className="flex items-start gap-3">
+            <AlertTriangleIcon className="h-4 w-4 text-red-400 mt-0.5 flex-shrink-0" />
+            <p className="text-text-primary">
+              {write.status === 'conflict'
+                ? `"${write.body.title}" was changed on another device while you were offline.`
+                : `"${write.body.title}" could not be saved.`}
+            </p>
+          </div>
+          <div className="flex justify-end gap-2 mt-2">
+            <button
+              onClick={() => handleDiscard(write)}
+              className="px-3 py-2 text-text-muted hover:text-text-primary transition-colors min-h-[44px]"
+            >
+              Discard mine
+            </button>
+            {write.status === 'conflict' && (
+              <button
+                onClick={() => handleKeepMine(write)}
+                className="px-3 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors min-h-[44px]"
+              >
+                Keep mine
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default OfflineSync
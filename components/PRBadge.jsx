@@ -1,7 +1,7 @@
 'use client'
 
 import PropTypes from 'prop-types'
-import { Trophy, Star, Zap } from 'lucide-react'
+import { Trophy, Star, Zap, Timer, Route, Gauge } from 'lucide-react'
 
 /**
  * PR Badge configuration by type
@@ -42,6 +42,31 @@ const PR_CONFIG = {
     label: 'Volume PR',
     className: 'text-emerald-400 bg-emerald-400/20 border-emerald-400/30'
   },
+  duration: {
+    icon: Timer,
+    label: 'Time PR',
+    className: 'text-sky-400 bg-sky-400/20 border-sky-400/30'
+  },
+  distance: {
+    icon: Route,
+    label: 'Distance PR',
+    className: 'text-teal-400 bg-teal-400/20 border-teal-400/30'
+  },
+  pace: {
+    icon: Gauge,
+    label: 'Pace PR',
+    className: 'text-rose-400 bg-rose-400/20 border-rose-400/30'
+  },
+  assistance: {
+    icon: Star,
+    label: 'Assistance PR',
+    className: 'text-indigo-400 bg-indigo-400/20 border-indigo-400/30'
+  },
+  reps: {
+    icon: Star,
+    label: 'Reps PR',
+    className: 'text-lime-400 bg-lime-400/20 border-lime-400/30'
+  },
   first: {
     icon: Star,
     label: 'First!',
@@ -97,6 +122,11 @@ PRBadge.propTypes = {
     '8rm',
     '10rm',
     'volume',
+    'duration',
+    'distance',
+    'pace',
+    'assistance',
+    'reps',
     'first'
   ]).isRequired,
   size: PropTypes.oneOf(['xs', 'sm', 'md']),
@@ -3,15 +3,21 @@
 import { useEffect, useState, useCallback } from 'react'
 import PropTypes from 'prop-types'
 import { Trophy, X } from 'lucide-react'
-import { getPRTypeLabel } from '@/lib/pr-calculations'
+import {
+  formatPRValue,
+  getPRTypeLabel,
+  MODE_PR_TYPES,
+} from '@/lib/pr-calculations'
+import { DEFAULT_WEIGHT_UNIT, formatWeight } from '@/lib/units'
 
 /**
  * PR Celebration Modal
  *
  * Displays an animated celebration when the user achieves new Personal Records.
- * Auto-closes after 5 seconds or when user dismisses.
+ * Auto-closes after 5 seconds or when user dismisses. PR values are in
+ * `weightUnit`, the unit the workout was logged in.
  */
-function PRCelebration({ prs, onClose }) {
+function PRCelebration({ prs, weightUnit = DEFAULT_WEIGHT_UNIT, onClose }) {
   const [isVisible, setIsVisible] = useState(false)
 
   const handleClose = useCallback(() => {
@@ -56,26 +62,29 @@ function PRCelebration({ prs, onClose }) {
   }, {})
 
   // Format the improvement delta
-  const formatDelta = (value, previousValue) => {
+  const formatDelta = (pr) => {
+    const { value, previousValue } = pr
     if (!previousValue || previousValue === 0) return null
     const delta = value - previousValue
+    // Faster paces and less assistance show no delta
     if (delta <= 0) return null
+    if (MODE_PR_TYPES.includes(pr.prType)) {
+      return `+${formatPRValue(pr.prType, delta, weightUnit)}`
+    }
     return `+${delta % 1 === 0 ? delta : delta.toFixed(1)}`
   }
 
   // Format PR value based on type
   const formatValue = (pr) => {
     if (pr.prType === 'first') {
-      return `${pr.weight}kg x ${pr.reps}`
-    }
-    if (pr.prType === 'volume') {
-      return `${pr.value.toLocaleString()} kg`
+      return `${pr.weight}${weightUnit} x ${pr.reps}`
     }
-    if (pr.prType === 'e1rm') {
-      return `${pr.value} kg`
+    // Times, distances, paces, assistance and most reps
+    if (MODE_PR_TYPES.includes(pr.prType)) {
+      return formatPRValue(pr.prType, pr.value, weightUnit)
     }
-    // Rep maxes
-    return `${pr.value} kg`
+    // Volume, e1RM and rep maxes
+    return formatWeight(pr.value, weightUnit)
   }
 
   return (
@@ -122,7 +131,7 @@ function PRCelebration({ prs, onClose }) {
               </h3>
               <div className="space-y-2">
                 {exercisePRs.map((pr, index) => {
-                  const delta = formatDelta(pr.value, pr.previousValue)
+                  const delta = formatDelta(pr)
                   return (
                     <div
                       key={index}
@@ -172,6 +181,7 @@ PRCelebration.propTypes = {
       reps: PropTypes.number
     })
   ).isRequired,
+  weightUnit: PropTypes.string,
   onClose: PropTypes.func.isRequired
 }
 
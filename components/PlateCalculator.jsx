@@ -0,0 +1,147 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import { CalculatorIcon } from 'lucide-react'
+import {
+  EQUIPMENT_TYPES,
+  EQUIPMENT_TYPE_LABELS,
+  calculatePlates,
+  getEquipmentProfile,
+  roundToLoadable,
+} from '@/lib/equipment'
+
+/**
+ * PlateCalculator component for working out how to load a set's weight on
+ * the user's equipment: the plates for each side of the bar, or the nearest
+ * dumbbell or machine stack weight. A weight the equipment can't make can be
+ * replaced with the nearest one it can.
+ * @param {Object} props
+ * @param {number|string} props.weight - Set weight as typed or loaded
+ * @param {string} props.weightUnit - Unit of the weight
+ * @param {Object} props.equipment - User's equipment, from getEquipmentProfile
+ * @param {string} props.equipmentType - Equipment the exercise is done with; barbell when unknown
+ * @param {Function} props.onApply - Called with the loadable weight to use instead
+ * @param {boolean} props.disabled - Whether the calculator is disabled
+ */
+const PlateCalculator = ({
+  weight,
+  weightUnit,
+  equipment,
+  equipmentType,
+  onApply,
+  disabled,
+}) => {
+  const [isOpen, setIsOpen] = useState(false)
+  // The type picked in the calculator wins over the exercise's own
+  const [pickedType, setType] = useState(null)
+  const type = pickedType || equipmentType || 'barbell'
+
+  const unitEquipment = getEquipmentProfile(equipment, weightUnit)
+  const target = parseFloat(weight)
+  const hasWeight = target > 0
+  const plates =
+    hasWeight && type === 'barbell'
+      ? calculatePlates(target, unitEquipment)
+      : null
+  const loadable = plates
+    ? plates.weight
+    : hasWeight && roundToLoadable(target, unitEquipment, type)
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className={`p-2 transition-colors disabled:opacity-50 min-h-[44px] ${
+          isOpen ? 'text-accent' : 'text-text-muted hover:text-text-primary'
+        }`}
+        aria-label="Plate calculator"
+        aria-expanded={isOpen}
+        title="Plate calculator"
+      >
+        <CalculatorIcon className="h-4 w-4" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full z-20 mt-1 w-64 p-3 space-y-3 bg-surface-elevated border border-border rounded-lg shadow-lg">
+          <div className="flex gap-1">
+            {EQUIPMENT_TYPES.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setType(option)}
+                className={`flex-1 px-2 py-1 text-xs rounded transition-colors ${
+                  type === option
+                    ? 'bg-accent text-white'
+                    : 'bg-surface-highlight text-text-muted hover:text-text-primary'
+                }`}
+              >
+                {EQUIPMENT_TYPE_LABELS[option]}
+              </button>
+            ))}
+          </div>
+
+          {!hasWeight ? (
+            <p className="text-xs text-text-muted">
+              Enter a weight to see how to load it.
+            </p>
+          ) : (
+            <div className="space-y-1 text-sm tabular-nums">
+              {plates && (
+                <>
+                  <p className="text-text-secondary">
+                    Bar: {plates.barWeight} {weightUnit}
+                  </p>
+                  <p className="text-text-primary">
+                    Each side:{' '}
+                    {plates.perSide.length > 0
+                      ? plates.perSide.join(' + ')
+                      : 'no plates'}
+                  </p>
+                </>
+              )}
+              {loadable === target ? (
+                <p className="text-xs text-emerald-400">
+                  {target} {weightUnit} can be loaded exactly.
+                </p>
+              ) : (
+                <div className="flex items-center justify-between gap-2">
+                  <p className="text-xs text-text-muted">
+                    Nearest: {loadable} {weightUnit}
+                  </p>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      onApply(loadable)
+                      setIsOpen(false)
+                    }}
+                    className="px-2 py-1 text-xs text-accent hover:text-accent-hover transition-colors"
+                  >
+                    Use {loadable} {weightUnit}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+PlateCalculator.propTypes = {
+  weight: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  weightUnit: PropTypes.string.isRequired,
+  equipment: PropTypes.shape({
+    weightUnit: PropTypes.string,
+    barWeight: PropTypes.number,
+    plates: PropTypes.arrayOf(PropTypes.number),
+    dumbbellIncrement: PropTypes.number,
+    machineIncrement: PropTypes.number,
+  }),
+  equipmentType: PropTypes.oneOf([...EQUIPMENT_TYPES, null, undefined]),
+  onApply: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+}
+
+export default PlateCalculator
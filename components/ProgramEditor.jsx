@@ -0,0 +1,499 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { PlusIcon, TrashIcon, SaveIcon, ArrowLeftIcon } from 'lucide-react'
+import { MAX_PROGRAM_WEEKS } from '@/lib/programs'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+/**
+ * Converts an optional number input to a number or null
+ * @param {string|number} value - Input value
+ * @param {Function} parse - parseInt or parseFloat
+ * @returns {number|null} Parsed value
+ */
+const toOptionalNumber = (value, parse) => {
+  if (value === '' || value === null || value === undefined) return null
+  const parsed = parse(value)
+  return isNaN(parsed) ? null : parsed
+}
+
+const ProgramEditor = ({ program, onSave, onCancel, isSubmitting }) => {
+  const [programData, setProgramData] = useState({
+    name: '',
+    description: '',
+    weeks: 4,
+    days: [],
+  })
+  const [errors, setErrors] = useState({})
+
+  const { data: templates } = useSWR('/api/templates', fetcher)
+
+  // Initialize form data from program
+  useEffect(() => {
+    if (program) {
+      setProgramData({
+        name: program.name || '',
+        description: program.description || '',
+        weeks: program.weeks || 4,
+        days: (program.days || []).map((day) => ({
+          id: day.id,
+          templateId: day.templateId,
+          label: day.label || '',
+          overrides: (day.overrides || []).map((override) => ({
+            id: override.id,
+            week: override.week,
+            exerciseName: override.exerciseName || '',
+            sets: override.sets ?? '',
+            reps: override.reps ?? '',
+            percentE1RM: override.percentE1RM ?? '',
+          })),
+        })),
+      })
+    }
+  }, [program])
+
+  const handleProgramChange = (field, value) => {
+    setProgramData((prev) => ({ ...prev, [field]: value }))
+
+    // Clear error when user starts typing
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: '' }))
+    }
+  }
+
+  const addDay = () => {
+    setProgramData((prev) => ({
+      ...prev,
+      days: [
+        ...prev.days,
+        {
+          id: Date.now(), // Temporary ID for UI
+          templateId: templates?.[0]?.id || '',
+          label: '',
+          overrides: [],
+        },
+      ],
+    }))
+  }
+
+  const removeDay = (dayId) => {
+    setProgramData((prev) => ({
+      ...prev,
+      days: prev.days.filter((day) => day.id !== dayId),
+    }))
+  }
+
+  const updateDay = (dayId, field, value) => {
+    setProgramData((prev) => ({
+      ...prev,
+      days: prev.days.map((day) =>
+        day.id === dayId ? { ...day, [field]: value } : day
+      ),
+    }))
+  }
+
+  const addOverride = (dayId) => {
+    const day = programData.days.find((d) => d.id === dayId)
+    updateDay(dayId, 'overrides', [
+      ...day.overrides,
+      {
+        id: Date.now(),
+        week: 1,
+        exerciseName: '',
+        sets: '',
+        reps: '',
+        percentE1RM: '',
+      },
+    ])
+  }
+
+  const updateOverride = (dayId, overrideId, field, value) => {
+    const day = programData.days.find((d) => d.id === dayId)
+    updateDay(
+      dayId,
+      'overrides',
+      day.overrides.map((override) =>
+        override.id === overrideId ? { ...override, [field]: value } : override
+      )
+    )
+  }
+
+  const removeOverride = (dayId, overrideId) => {
+    const day = programData.days.find((d) => d.id === dayId)
+    updateDay(
+      dayId,
+      'overrides',
+      day.overrides.filter((override) => override.id !== overrideId)
+    )
+  }
+
+  const getTemplateExercises = (templateId) =>
+    templates?.find((template) => template.id === parseInt(templateId))
+      ?.templateExercises || []
+
+  const validateForm = () => {
+    const newErrors = {}
+    const weeks = parseInt(programData.weeks)
+
+    if (!programData.name.trim()) {
+      newErrors.name = 'Program name is required'
+    }
+
+    if (!weeks || weeks < 1 || weeks > MAX_PROGRAM_WEEKS) {
+      newErrors.weeks = `Weeks must be between 1 and ${MAX_PROGRAM_WEEKS}`
+    }
+
+    if (programData.days.length === 0) {
+      newErrors.days = 'At least one day is required'
+    }
+
+    programData.days.forEach((day, index) => {
+      if (!day.templateId) {
+        newErrors[`day_${index}_template`] = 'Choose a template'
+      }
+      day.overrides.forEach((override) => {
+        if (!override.sets && !override.reps && !override.percentE1RM) {
+          newErrors[`day_${index}_overrides`] =
+            'Each override needs sets, reps or %e1RM'
+        }
+      })
+    })
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validateForm()) {
+      return
+    }
+
+    // Format data for API
+    const formattedData = {
+      name: programData.name.trim(),
+      description: programData.description.trim() || null,
+      weeks: parseInt(programData.weeks),
+      days: programData.days.map((day) => ({
+        templateId: parseInt(day.templateId),
+        label: day.label.trim() || null,
+        overrides: day.overrides.map((override) => ({
+          week: parseInt(override.week),
+          exerciseName: override.exerciseName || null,
+          sets: toOptionalNumber(override.sets, parseInt),
+          reps: toOptionalNumber(override.reps, parseInt),
+          percentE1RM: toOptionalNumber(override.percentE1RM, parseFloat),
+        })),
+      })),
+    }
+
+    await onSave(formattedData)
+  }
+
+  const inputClassName =
+    'w-full px-3 py-2 bg-surface-elevated border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]'
+  const smallInputClassName =
+    'w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center gap-4">
+        <button
+          onClick={onCancel}
+          className="p-2 text-text-muted hover:text-text-primary transition-colors"
+          disabled={isSubmitting}
+        >
+          <ArrowLeftIcon className="h-5 w-5" />
+        </button>
+        <h1 className="text-3xl font-bold text-text-primary">
+          {program?.id ? 'Edit Program' : 'Create Program'}
+        </h1>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Program Details */}
+        <div className="bg-surface rounded-2xl p-6">
+          <h2 className="text-xl font-semibold text-text-primary mb-4">
+            Program Details
+          </h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-text-secondary mb-2">
+                Program Name *
+              </label>
+              <input
+                type="text"
+                value={programData.name}
+                onChange={(e) => handleProgramChange('name', e.target.value)}
+                className={inputClassName}
+                placeholder="e.g., 4-Week Hypertrophy Block"
+                disabled={isSubmitting}
+              />
+              {errors.name && (
+                <p className="text-red-400 text-sm mt-1">{errors.name}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-text-secondary mb-2">
+                Description
+              </label>
+              <input
+                type="text"
+                value={programData.description}
+                onChange={(e) =>
+                  handleProgramChange('description', e.target.value)
+                }
+                className={inputClassName}
+                placeholder="Brief description of this program"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-text-secondary mb-2">
+                Weeks *
+              </label>
+              <input
+                type="number"
+                value={programData.weeks}
+                onChange={(e) => handleProgramChange('weeks', e.target.value)}
+                className={inputClassName}
+                min="1"
+                max={MAX_PROGRAM_WEEKS}
+                disabled={isSubmitting}
+              />
+              {errors.weeks && (
+                <p className="text-red-400 text-sm mt-1">{errors.weeks}</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Days */}
+        <div className="bg-surface rounded-2xl p-6">
+          <div className="flex justify-between items-center mb-1">
+            <h2 className="text-xl font-semibold text-text-primary">
+              Days each week
+            </h2>
+            <button
+              type="button"
+              onClick={addDay}
+              className="flex items-center px-3 py-2 bg-accent hover:bg-accent-hover text-white rounded-lg transition-colors disabled:opacity-50"
+              disabled={isSubmitting || !templates}
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add Day
+            </button>
+          </div>
+          <p className="text-sm text-text-muted mb-4">
+            Overrides change a day&apos;s sets, reps or load in one week, e.g.
+            fewer sets for a deload.
+          </p>
+
+          {errors.days && (
+            <p className="text-red-400 text-sm mb-4">{errors.days}</p>
+          )}
+
+          <div className="space-y-4">
+            {programData.days.map((day, dayIndex) => (
+              <div key={day.id} className="bg-surface-elevated rounded-xl p-4">
+                <div className="flex items-start gap-3 mb-3">
+                  <span className="text-sm font-semibold text-text-secondary pt-3 w-12 flex-shrink-0">
+                    Day {dayIndex + 1}
+                  </span>
+                  <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <div>
+                      <select
+                        value={day.templateId}
+                        onChange={(e) =>
+                          updateDay(day.id, 'templateId', parseInt(e.target.value))
+                        }
+                        className={smallInputClassName}
+                        aria-label={`Day ${dayIndex + 1} template`}
+                        disabled={isSubmitting}
+                      >
+                        <option value="">Choose a template</option>
+                        {(templates || []).map((template) => (
+                          <option key={template.id} value={template.id}>
+                            {template.name}
+                          </option>
+                        ))}
+                      </select>
+                      {errors[`day_${dayIndex}_template`] && (
+                        <p className="text-red-400 text-xs mt-1">
+                          {errors[`day_${dayIndex}_template`]}
+                        </p>
+                      )}
+                    </div>
+                    <input
+                      type="text"
+                      value={day.label}
+                      onChange={(e) => updateDay(day.id, 'label', e.target.value)}
+                      className={smallInputClassName}
+                      placeholder="Label (defaults to the template name)"
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeDay(day.id)}
+                    className="p-2 text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
+                    disabled={isSubmitting}
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+
+                {/* Overrides */}
+                {day.overrides.length > 0 && (
+                  <div className="space-y-2 mb-3">
+                    <div className="hidden md:grid grid-cols-[5rem_1fr_5rem_5rem_6rem_2.5rem] gap-2 text-xs font-medium text-text-muted">
+                      <span>Week</span>
+                      <span>Exercise</span>
+                      <span>Sets</span>
+                      <span>Reps</span>
+                      <span>%e1RM</span>
+                      <span></span>
+                    </div>
+                    {day.overrides.map((override) => (
+                      <div
+                        key={override.id}
+                        className="grid grid-cols-2 md:grid-cols-[5rem_1fr_5rem_5rem_6rem_2.5rem] gap-2"
+                      >
+                        <input
+                          type="number"
+                          value={override.week}
+                          onChange={(e) =>
+                            updateOverride(day.id, override.id, 'week', e.target.value)
+                          }
+                          className={smallInputClassName}
+                          aria-label="Week"
+                          min="1"
+                          max={programData.weeks}
+                          disabled={isSubmitting}
+                        />
+                        <select
+                          value={override.exerciseName}
+                          onChange={(e) =>
+                            updateOverride(day.id, override.id, 'exerciseName', e.target.value)
+                          }
+                          className={smallInputClassName}
+                          aria-label="Exercise"
+                          disabled={isSubmitting}
+                        >
+                          <option value="">All exercises</option>
+                          {getTemplateExercises(day.templateId).map((exercise) => (
+                            <option key={exercise.id} value={exercise.exerciseName}>
+                              {exercise.exerciseName}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          value={override.sets}
+                          onChange={(e) =>
+                            updateOverride(day.id, override.id, 'sets', e.target.value)
+                          }
+                          className={smallInputClassName}
+                          aria-label="Sets"
+                          min="1"
+                          disabled={isSubmitting}
+                        />
+                        <input
+                          type="number"
+                          value={override.reps}
+                          onChange={(e) =>
+                            updateOverride(day.id, override.id, 'reps', e.target.value)
+                          }
+                          className={smallInputClassName}
+                          aria-label="Reps"
+                          min="1"
+                          disabled={isSubmitting}
+                        />
+                        <input
+                          type="number"
+                          value={override.percentE1RM}
+                          onChange={(e) =>
+                            updateOverride(day.id, override.id, 'percentE1RM', e.target.value)
+                          }
+                          className={smallInputClassName}
+                          aria-label="%e1RM"
+                          min="1"
+                          max="150"
+                          step="0.5"
+                          disabled={isSubmitting}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeOverride(day.id, override.id)}
+                          className="p-2 text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
+                          disabled={isSubmitting}
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {errors[`day_${dayIndex}_overrides`] && (
+                  <p className="text-red-400 text-xs mb-2">
+                    {errors[`day_${dayIndex}_overrides`]}
+                  </p>
+                )}
+                <button
+                  type="button"
+                  onClick={() => addOverride(day.id)}
+                  className="flex items-center text-sm text-accent hover:text-accent-hover transition-colors disabled:opacity-50"
+                  disabled={isSubmitting}
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Add week override
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex justify-end gap-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-6 py-2 bg-surface-elevated hover:bg-surface-highlight text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+            disabled={isSubmitting}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="flex items-center px-6 py-2 bg-accent hover:bg-accent-hover disabled:opacity-50 text-white rounded-lg transition-colors min-h-[44px]"
+          >
+            <SaveIcon className="h-4 w-4 mr-2" />
+            {isSubmitting ? 'Saving...' : 'Save Program'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+ProgramEditor.propTypes = {
+  program: PropTypes.shape({
+    id: PropTypes.number,
+    name: PropTypes.string,
+    description: PropTypes.string,
+    weeks: PropTypes.number,
+    days: PropTypes.array,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  isSubmitting: PropTypes.bool,
+}
+
+export default ProgramEditor
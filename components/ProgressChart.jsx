@@ -8,23 +8,62 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from 'recharts'
+import { DEFAULT_WEIGHT_UNIT, getSetWeight, formatWeight } from '@/lib/units'
+import {
+  formatDistance,
+  formatDuration,
+  formatPace,
+  getSessionBest,
+  getTrackingMode,
+} from '@/lib/tracking-modes'
+
+// Tooltip name and value format of each mode's session best
+const MODE_SERIES = {
+  DURATION: { name: 'Time', format: (value) => formatDuration(value) },
+  DISTANCE: { name: 'Distance', format: (value) => formatDistance(value) },
+  DISTANCE_DURATION: { name: 'Pace', format: (value) => formatPace(value) },
+  ASSISTED: { name: 'Assistance', format: (value, unit) => formatWeight(value, unit) },
+}
 
 /**
  * ProgressChart component displaying exercise progress over time
  * @param {Object} props
  * @param {Array} props.history - Array of exercise history entries
+ * @param {string} props.weightUnit - Unit to chart weights in
  */
-const ProgressChart = ({ history }) => {
+const ProgressChart = ({ history, weightUnit = DEFAULT_WEIGHT_UNIT }) => {
+  // Chart the latest session's mode, leaving out sessions logged another way
+  const trackingMode = getTrackingMode(history[0])
+  const series = MODE_SERIES[trackingMode]
+
   // Format data for chart
   const chartData = history
+    .filter((entry) => getTrackingMode(entry) === trackingMode)
     .map((entry) => {
+      if (series) {
+        // Weights converted so assistance is charted in one unit
+        const sets = (entry.sets || []).map((set) => ({
+          ...set,
+          weight: getSetWeight(set, weightUnit),
+        }))
+
+        return {
+          date: entry.date,
+          maxWeight: getSessionBest(sets, trackingMode),
+          displayDate: new Date(entry.date).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+          }),
+        }
+      }
+
       // Handle new format with sets array
       let maxWeight, totalVolume;
       
       if (entry.sets && Array.isArray(entry.sets)) {
         // New format: extract max weight and calculate volume
-        maxWeight = Math.max(...entry.sets.map(set => set.weight || 0));
-        totalVolume = entry.sets.reduce((sum, set) => sum + ((set.weight || 0) * (set.reps || 0)), 0);
+        maxWeight = Math.max(...entry.sets.map(set => getSetWeight(set, weightUnit) || 0));
+        totalVolume = entry.sets.reduce((sum, set) => sum + ((getSetWeight(set, weightUnit) || 0) * (set.reps || 0)), 0);
       } else {
         // Fallback for old format or API summary data
         maxWeight = entry.maxWeight || entry.weight || 0;
@@ -66,7 +105,10 @@ const ProgressChart = ({ history }) => {
             fill: '#9ca3af',
             fontSize: 12,
           }}
-          domain={['dataMin - 10', 'dataMax + 10']}
+          domain={series ? ['auto', 'auto'] : ['dataMin - 10', 'dataMax + 10']}
+          // Faster paces and less assistance plot higher
+          reversed={trackingMode === 'DISTANCE_DURATION' || trackingMode === 'ASSISTED'}
+          tickFormatter={series ? (value) => series.format(value, weightUnit) : undefined}
         />
         <Tooltip
           contentStyle={{
@@ -79,7 +121,11 @@ const ProgressChart = ({ history }) => {
             color: '#9CA3AF',
             fontWeight: 'bold',
           }}
-          formatter={(value, name) => [`${value} kg`, 'Weight']}
+          formatter={(value) =>
+            series
+              ? [series.format(value, weightUnit), series.name]
+              : [formatWeight(value, weightUnit), 'Weight']
+          }
         />
         <Line
           type="monotone"
@@ -108,10 +154,14 @@ ProgressChart.propTypes = {
   history: PropTypes.arrayOf(
     PropTypes.shape({
       date: PropTypes.string.isRequired,
+      trackingMode: PropTypes.string,
       sets: PropTypes.arrayOf(
         PropTypes.shape({
           weight: PropTypes.number,
-          reps: PropTypes.number.isRequired,
+          weightUnit: PropTypes.string,
+          reps: PropTypes.number,
+          durationSeconds: PropTypes.number,
+          distanceMeters: PropTypes.number,
         })
       ),
       // Fallback properties for backwards compatibility
@@ -120,6 +170,7 @@ ProgressChart.propTypes = {
       totalVolume: PropTypes.number,
     })
   ).isRequired,
+  weightUnit: PropTypes.string,
 }
 
 export default ProgressChart
\ No newline at end of file
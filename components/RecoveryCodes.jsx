@@ -0,0 +1,107 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { LifeBuoyIcon } from 'lucide-react'
+import RecoveryCodesList from './RecoveryCodesList'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:border-accent min-h-[44px]'
+
+/**
+ * RecoveryCodes Component
+ *
+ * Shows how many password recovery codes the user has left and lets them
+ * generate a new set, which replaces the old one and is shown only once.
+ */
+const RecoveryCodes = ({ onError }) => {
+  const { data, mutate } = useSWR('/api/auth/recovery-codes', fetcher)
+  const [password, setPassword] = useState('')
+  const [codes, setCodes] = useState(null)
+  const [isGenerating, setIsGenerating] = useState(false)
+
+  const remaining = data?.remaining
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsGenerating(true)
+    try {
+      const response = await fetch('/api/auth/recovery-codes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+      })
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to generate recovery codes')
+      }
+      setCodes(result.recoveryCodes)
+      setPassword('')
+      await mutate()
+    } catch (error) {
+      onError?.(error.message)
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  return (
+    <div className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4">
+      <div>
+        <div className="flex items-center gap-2">
+          <LifeBuoyIcon className="h-5 w-5 text-text-muted" />
+          <h2 className="text-lg font-semibold text-text-primary">Recovery codes</h2>
+        </div>
+        <p className="text-sm text-text-muted mt-1">
+          {remaining === undefined
+            ? 'Loading recovery codes...'
+            : `You have ${remaining} unused code${remaining === 1 ? '' : 's'} for resetting a forgotten password.`}
+        </p>
+      </div>
+
+      {codes ? (
+        <>
+          <RecoveryCodesList codes={codes} />
+          <button
+            type="button"
+            onClick={() => setCodes(null)}
+            className="px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors min-h-[44px]"
+          >
+            Done
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <label className="block text-sm text-text-secondary">
+            Password
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={`${inputClass} mt-1`}
+              required
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={isGenerating}
+            className="px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]"
+          >
+            Generate new codes
+          </button>
+          <p className="text-xs text-text-muted">Generating new codes stops the old ones from working.</p>
+        </form>
+      )}
+    </div>
+  )
+}
+
+RecoveryCodes.propTypes = {
+  onError: PropTypes.func,
+}
+
+export default RecoveryCodes
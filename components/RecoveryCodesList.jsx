@@ -0,0 +1,56 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { CopyIcon, CheckIcon } from 'lucide-react'
+
+const DEFAULT_DESCRIPTION =
+  "Save these recovery codes somewhere safe. Each one can reset your password once, and they won't be shown again."
+
+/**
+ * RecoveryCodesList Component
+ *
+ * Shows a freshly generated set of one-time codes (password recovery or
+ * two-factor backup codes) with a button to copy them all. The codes can't be
+ * fetched again, so the user is told to save them now.
+ */
+const RecoveryCodesList = ({ codes, description = DEFAULT_DESCRIPTION }) => {
+  const [copied, setCopied] = useState(false)
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'))
+      setCopied(true)
+    } catch {
+      setCopied(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-text-secondary">{description}</p>
+      <ul className="grid grid-cols-2 gap-2 bg-surface-elevated border border-border rounded-lg p-3">
+        {codes.map((code) => (
+          <li key={code} className="font-mono text-sm text-text-primary text-center">
+            {code}
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        onClick={copy}
+        className="flex items-center gap-2 px-3 py-2 text-sm bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors min-h-[44px]"
+      >
+        {copied ? <CheckIcon className="h-4 w-4" /> : <CopyIcon className="h-4 w-4" />}
+        {copied ? 'Copied' : 'Copy codes'}
+      </button>
+    </div>
+  )
+}
+
+RecoveryCodesList.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  description: PropTypes.string,
+}
+
+export default RecoveryCodesList
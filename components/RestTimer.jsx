@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { TimerIcon, XIcon } from 'lucide-react'
+import { formatTimer } from '@/lib/live-workout'
+
+/**
+ * RestTimer component counting down the rest period between sets
+ * @param {Object} props
+ * @param {number} props.endsAt - Timestamp (ms) when the rest period ends
+ * @param {number} props.totalSeconds - Full length of the rest period
+ * @param {Function} props.onDismiss - Called when the user skips or closes the timer
+ */
+const RestTimer = ({ endsAt, totalSeconds, onDismiss }) => {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    setNow(Date.now())
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [endsAt])
+
+  const remaining = Math.max(0, Math.ceil((endsAt - now) / 1000))
+  const isDone = remaining === 0
+
+  // Buzz once when rest is over
+  useEffect(() => {
+    if (isDone && typeof navigator !== 'undefined' && navigator.vibrate) {
+      navigator.vibrate([200, 100, 200])
+    }
+  }, [isDone])
+
+  const progress = totalSeconds > 0 ? (remaining / totalSeconds) * 100 : 0
+
+  return (
+    <div
+      className={`fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-md rounded-2xl border shadow-lg overflow-hidden ${
+        isDone ? 'bg-emerald-600 border-emerald-400' : 'bg-surface-elevated border-border'
+      }`}
+    >
+      <div className="flex items-center justify-between px-4 py-3">
+        <div className="flex items-center gap-3">
+          <TimerIcon className="h-5 w-5 text-white" />
+          <div>
+            <p className="text-xs text-text-muted">{isDone ? 'Rest over' : 'Rest'}</p>
+            <p className="text-2xl font-bold text-text-primary tabular-nums">
+              {isDone ? 'Go!' : formatTimer(remaining)}
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="flex items-center px-3 py-2 text-sm text-text-primary bg-surface-highlight hover:bg-surface rounded-lg transition-colors min-h-[44px]"
+        >
+          {isDone ? <XIcon className="h-4 w-4" /> : 'Skip'}
+        </button>
+      </div>
+      {!isDone && (
+        <div className="h-1 bg-surface-highlight">
+          <div
+            className="h-full bg-accent transition-all duration-1000"
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+RestTimer.propTypes = {
+  endsAt: PropTypes.number.isRequired,
+  totalSeconds: PropTypes.number.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+}
+
+export default RestTimer
@@ -3,6 +3,10 @@ import PropTypes from 'prop-types'
 import { useRouter } from 'next/navigation'
 import { CalendarIcon, WeightIcon, ChevronDownIcon, ChevronRightIcon } from 'lucide-react'
 import ExerciseItem from './ExerciseItem'
+import { useAuth } from '@/contexts/AuthContext'
+import { getSetWeight, normalizeWeightUnit } from '@/lib/units'
+import { isVolumeSet } from '@/lib/set-types'
+import { getSetVolume } from '@/lib/tracking-modes'
 
 /**
  * Get badge styling for workout status
@@ -28,6 +32,7 @@ const SessionCard = ({ session, openHistoryModal }) => {
   const router = useRouter()
   const [isExpanded, setIsExpanded] = useState(false)
   const statusBadge = getStatusBadge(session.status)
+  const weightUnit = normalizeWeightUnit(useAuth().weightUnit)
 
   const handleViewDetails = () => {
     router.push(`/session/${session.id}`)
@@ -46,21 +51,22 @@ const SessionCard = ({ session, openHistoryModal }) => {
     })
   }
 
-  // Calculate total load (weight * reps) for all sets in the session
+  // Calculate total load (weight * reps) for all sets but warm-ups, in the
+  // user's unit. Timed and distance sets carry no load.
   const calculateTotalLoad = () => {
     if (!session.exercises || session.exercises.length === 0) return 0
     
-    return session.exercises.reduce((sessionTotal, exercise) => {
+    const total = session.exercises.reduce((sessionTotal, exercise) => {
       if (!Array.isArray(exercise.sets)) return sessionTotal
       
-      const exerciseLoad = exercise.sets.reduce((exerciseTotal, set) => {
-        const weight = set.weight || 0
-        const reps = set.reps || 0
-        return exerciseTotal + (weight * reps)
+      const exerciseLoad = exercise.sets.filter(isVolumeSet).reduce((exerciseTotal, set) => {
+        const weight = getSetWeight(set, weightUnit) || 0
+        return exerciseTotal + getSetVolume({ ...set, weight }, exercise.trackingMode)
       }, 0)
       
       return sessionTotal + exerciseLoad
     }, 0)
+    return Math.round(total * 10) / 10
   }
 
   return (
@@ -102,6 +108,7 @@ const SessionCard = ({ session, openHistoryModal }) => {
                 <ExerciseItem
                   key={exercise.id}
                   exercise={exercise}
+                  weightUnit={weightUnit}
                   onClick={() => openHistoryModal(exercise.name)}
                 />
               ))}
@@ -110,7 +117,7 @@ const SessionCard = ({ session, openHistoryModal }) => {
           <div className="px-5 py-3 bg-background border-t border-border flex justify-between items-center">
             <div className="flex items-center text-text-muted text-sm">
               <WeightIcon className="h-4 w-4 mr-1" />
-              <span className="tabular-nums">{calculateTotalLoad()} kg total</span>
+              <span className="tabular-nums">{calculateTotalLoad()} {weightUnit} total</span>
             </div>
             <button
               onClick={handleViewDetails}
@@ -139,6 +146,7 @@ SessionCard.propTypes = {
         sets: PropTypes.number.isRequired,
         reps: PropTypes.number.isRequired,
         weight: PropTypes.number,
+        weightUnit: PropTypes.string,
       })
     ),
   }).isRequired,
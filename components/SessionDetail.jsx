@@ -1,6 +1,20 @@
 import React from 'react'
 import PropTypes from 'prop-types'
-import { CalendarIcon, EditIcon, ArrowLeftIcon, StickyNoteIcon } from 'lucide-react'
+import { CalendarIcon, EditIcon, ArrowLeftIcon, StickyNoteIcon, HeartPulse } from 'lucide-react'
+import CardioLog from './CardioLog'
+import { useAuth } from '@/contexts/AuthContext'
+import { getSetWeight, normalizeWeightUnit } from '@/lib/units'
+import { getExerciseLabels } from '@/lib/exercise-groups'
+import { getSetType, isVolumeSet, SET_TYPE_LABELS, SET_TYPE_TAGS } from '@/lib/set-types'
+import {
+  formatDistance,
+  formatDuration,
+  formatSetMeasures,
+  getSetVolume,
+  getTrackingMode,
+  tracksField,
+} from '@/lib/tracking-modes'
+import { summarizeCardio } from '@/lib/cardio'
 
 const getStatusBadge = (status) => {
   switch (status) {
@@ -13,8 +27,12 @@ const getStatusBadge = (status) => {
   }
 }
 
-const SessionDetail = ({ session, onEdit, onBack }) => {
+const SessionDetail = ({ session, onEdit, onBack, onCardioChanged }) => {
   const statusBadge = getStatusBadge(session.status)
+  const cardio = summarizeCardio(session.cardioEntries)
+  const weightUnit = normalizeWeightUnit(useAuth().weightUnit)
+  // Superset and circuit exercises show A1, A2... instead of their position
+  const exerciseLabels = getExerciseLabels(session.exercises)
   const formatDate = (dateString) => {
     const date = new Date(dateString)
     return date.toLocaleDateString('en-US', {
@@ -25,11 +43,23 @@ const SessionDetail = ({ session, onEdit, onBack }) => {
     })
   }
 
-  const formatWeight = (weight) => {
-    if (!weight) return 'BW' // Body weight
-    return `${weight} kg`
+  // Sets keep the unit they were logged in; show them in the user's unit
+  const setWeight = (set) => getSetWeight(set, weightUnit) || 0
+  // Warm-up sets don't count towards volume, and neither do timed or distance sets
+  const setVolume = (set, exercise) =>
+    isVolumeSet(set)
+      ? getSetVolume({ ...set, weight: setWeight(set) }, exercise.trackingMode)
+      : 0
+  const sumSets = (exercise, field) =>
+    exercise.sets.reduce((sum, set) => sum + (set[field] || 0), 0)
+
+  const formatWeight = (set) => {
+    if (!set.weight) return 'BW' // Body weight
+    return `${setWeight(set)} ${weightUnit}`
   }
 
+  const formatVolume = (volume) => `${Math.round(volume * 10) / 10} ${weightUnit}`
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -92,24 +122,50 @@ const SessionDetail = ({ session, onEdit, onBack }) => {
                       <p className="text-sm text-text-muted mt-1">{exercise.notes}</p>
                     )}
                   </div>
-                  <span className="text-sm text-text-muted">#{index + 1}</span>
+                  <span className="text-sm text-text-muted">
+                    {exerciseLabels[index] || `#${index + 1}`}
+                  </span>
                 </div>
 
                 {/* Sets Table */}
                 <div className="bg-surface-elevated rounded-lg overflow-hidden">
                   <div className="grid grid-cols-4 gap-4 p-3 bg-surface-highlight text-sm font-medium text-text-secondary">
                     <div>Set</div>
-                    <div>Weight</div>
-                    <div>Reps</div>
+                    {getTrackingMode(exercise) === 'WEIGHT_REPS' ? (
+                      <>
+                        <div>Weight</div>
+                        <div>Reps</div>
+                      </>
+                    ) : (
+                      <div className="col-span-2">Result</div>
+                    )}
                     <div>RPE</div>
                   </div>
 
                   <div className="divide-y divide-border">
                     {exercise.sets && exercise.sets.map((set, setIndex) => (
                       <div key={setIndex} className="grid grid-cols-4 gap-4 p-3 text-sm">
-                        <div className="text-text-muted">#{setIndex + 1}</div>
-                        <div className="text-text-primary tabular-nums">{formatWeight(set.weight)}</div>
-                        <div className="text-text-primary tabular-nums">{set.reps}</div>
+                        <div className="text-text-muted">
+                          #{setIndex + 1}
+                          {SET_TYPE_TAGS[getSetType(set)] && (
+                            <span className="ml-2 text-xs font-medium text-accent" title={SET_TYPE_LABELS[getSetType(set)]}>
+                              {SET_TYPE_TAGS[getSetType(set)]}
+                            </span>
+                          )}
+                        </div>
+                        {getTrackingMode(exercise) === 'WEIGHT_REPS' ? (
+                          <>
+                            <div className="text-text-primary tabular-nums">{formatWeight(set)}</div>
+                            <div className="text-text-primary tabular-nums">{set.reps}</div>
+                          </>
+                        ) : (
+                          <div className="col-span-2 text-text-primary tabular-nums">
+                            {formatSetMeasures(
+                              { ...set, weight: setWeight(set), weightUnit },
+                              exercise.trackingMode
+                            )}
+                          </div>
+                        )}
                         <div className="text-text-primary">
                           {set.rpe ? (
                             <span className={`font-medium tabular-nums ${
@@ -136,12 +192,24 @@ const SessionDetail = ({ session, onEdit, onBack }) => {
                     <span className="mr-4">
                       Total Sets: {exercise.sets.length}
                     </span>
-                    <span className="mr-4">
-                      Total Reps: {exercise.sets.reduce((sum, set) => sum + (set.reps || 0), 0)}
-                    </span>
-                    {exercise.sets.some(set => set.weight) && (
+                    {tracksField(exercise.trackingMode, 'reps') && (
+                      <span className="mr-4">
+                        Total Reps: {sumSets(exercise, 'reps')}
+                      </span>
+                    )}
+                    {tracksField(exercise.trackingMode, 'durationSeconds') && (
+                      <span className="mr-4">
+                        Total Time: {formatDuration(sumSets(exercise, 'durationSeconds'))}
+                      </span>
+                    )}
+                    {tracksField(exercise.trackingMode, 'distanceMeters') && (
+                      <span className="mr-4">
+                        Total Distance: {formatDistance(sumSets(exercise, 'distanceMeters'))}
+                      </span>
+                    )}
+                    {getTrackingMode(exercise) === 'WEIGHT_REPS' && exercise.sets.some(set => set.weight) && (
                       <span>
-                        Total Weight: {exercise.sets.reduce((sum, set) => sum + ((set.weight || 0) * (set.reps || 0)), 0)} kg
+                        Total Weight: {formatVolume(exercise.sets.reduce((sum, set) => sum + setVolume(set, exercise), 0))}
                       </span>
                     )}
                   </div>
@@ -156,6 +224,26 @@ const SessionDetail = ({ session, onEdit, onBack }) => {
         )}
       </div>
 
+      {/* Cardio */}
+      <div className="bg-surface rounded-2xl p-6">
+        <div className="flex items-center gap-2 mb-4">
+          <HeartPulse className="h-5 w-5 text-rose-400" />
+          <h2 className="text-xl font-semibold text-text-primary">Cardio</h2>
+          {cardio.sessions > 0 && (
+            <span className="ml-auto text-sm text-text-muted tabular-nums">
+              {formatDuration(cardio.durationSeconds)}
+              {cardio.distanceMeters > 0 && ` · ${formatDistance(cardio.distanceMeters)}`}
+              {cardio.calories > 0 && ` · ${cardio.calories} kcal`}
+            </span>
+          )}
+        </div>
+        <CardioLog
+          entries={session.cardioEntries}
+          workoutId={session.id}
+          onChanged={onCardioChanged}
+        />
+      </div>
+
       {/* Session Summary */}
       <div className="bg-surface rounded-2xl p-6">
         <h2 className="text-xl font-semibold text-text-primary mb-4">Session Summary</h2>
@@ -191,14 +279,14 @@ const SessionDetail = ({ session, onEdit, onBack }) => {
 
           <div className="bg-surface-elevated rounded-xl p-4">
             <div className="text-2xl font-bold text-accent tabular-nums">
-              {session.exercises && session.exercises.length > 0
+              {formatVolume(session.exercises && session.exercises.length > 0
                 ? session.exercises.reduce((totalVolume, ex) =>
                     totalVolume + (ex.sets ? ex.sets.reduce((exVolume, set) =>
-                      exVolume + ((set.weight || 0) * (set.reps || 0)), 0
+                      exVolume + setVolume(set, ex), 0
                     ) : 0), 0
                   )
                 : 0
-              } kg
+              )}
             </div>
             <div className="text-sm text-text-muted">Total Weight</div>
           </div>
@@ -220,17 +308,31 @@ SessionDetail.propTypes = {
         id: PropTypes.number.isRequired,
         name: PropTypes.string.isRequired,
         notes: PropTypes.string,
+        trackingMode: PropTypes.string,
         sets: PropTypes.arrayOf(
           PropTypes.shape({
             weight: PropTypes.number,
-            reps: PropTypes.number.isRequired,
+            weightUnit: PropTypes.string,
+            reps: PropTypes.number,
+            durationSeconds: PropTypes.number,
+            distanceMeters: PropTypes.number,
           })
         ),
       })
     ),
+    cardioEntries: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        activityType: PropTypes.string.isRequired,
+        durationSeconds: PropTypes.number.isRequired,
+        distanceMeters: PropTypes.number,
+        calories: PropTypes.number,
+      })
+    ),
   }).isRequired,
   onEdit: PropTypes.func.isRequired,
   onBack: PropTypes.func.isRequired,
+  onCardioChanged: PropTypes.func,
 }
 
 export default SessionDetail
\ No newline at end of file
@@ -1,18 +1,57 @@
 import React, { useState, useEffect } from 'react'
 import PropTypes from 'prop-types'
-import { PlusIcon, TrashIcon, SaveIcon, XIcon, Lightbulb } from 'lucide-react'
+import useSWR from 'swr'
+import {
+  PlusIcon,
+  TrashIcon,
+  SaveIcon,
+  XIcon,
+  Lightbulb,
+  Link2Icon,
+  Unlink2Icon,
+} from 'lucide-react'
 import TemplateGuidance from './TemplateGuidance'
 import ProgressionBadge from './ProgressionBadge'
+import ExercisePicker from './ExercisePicker'
+import ExerciseGroupHeader from './ExerciseGroupHeader'
+import SetTypeSelect from './SetTypeSelect'
+import SetMeasureInputs from './SetMeasureInputs'
+import TrackingModeSelect from './TrackingModeSelect'
+import PlateCalculator from './PlateCalculator'
+import { useAuth } from '@/contexts/AuthContext'
+import { normalizeWeightUnit } from '@/lib/units'
+import { getTodayLocal } from '@/lib/dateUtils'
+import { getSetType } from '@/lib/set-types'
+import { getEquipmentProfile, getEquipmentType } from '@/lib/equipment'
+import {
+  DEFAULT_TRACKING_MODE,
+  getSetRequirement,
+  getTrackingMode,
+  isSetMeasured,
+  toSetMeasures,
+  tracksField,
+} from '@/lib/tracking-modes'
 import {
   getProgressionSuggestion,
   formatSuggestionText,
   PROGRESSION_STATUS,
 } from '@/lib/progression-suggestions'
+import {
+  getExerciseBlocks,
+  getGroupRounds,
+  groupWithNext,
+  normalizeExerciseGroups,
+  ungroupExercise,
+  updateExerciseGroup,
+} from '@/lib/exercise-groups'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
 
 const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
+  const { weightUnit: userWeightUnit, defaultRestSeconds, timeZone } = useAuth()
   const [workoutData, setWorkoutData] = useState({
     title: '',
-    date: new Date().toISOString().split('T')[0], // Today's date
+    date: getTodayLocal(timeZone), // Today's date
     notes: '',
     status: 'COMPLETED',
     exercises: [],
@@ -26,6 +65,10 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
   }, [initialData])
 
   const [errors, setErrors] = useState({})
+  const weightUnit = normalizeWeightUnit(userWeightUnit)
+  // Standard equipment until the user's own has loaded, or when offline
+  const { data: equipmentData } = useSWR('/api/equipment', fetcher)
+  const equipment = getEquipmentProfile(equipmentData?.equipment, weightUnit)
 
   const handleWorkoutChange = (field, value) => {
     setWorkoutData((prev) => ({
@@ -46,9 +89,14 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
     const newExercise = {
       id: Date.now(), // Temporary ID for UI
       name: '',
+      exerciseTemplateId: null,
+      trackingMode: DEFAULT_TRACKING_MODE,
+      equipmentType: null,
       sets: [{ reps: '', weight: '', rpe: null }],
       notes: '',
-      restSeconds: 60,
+      restSeconds: defaultRestSeconds,
+      groupNumber: null,
+      groupType: null,
     }
 
     setWorkoutData((prev) => ({
@@ -60,7 +108,9 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
   const removeExercise = (exerciseId) => {
     setWorkoutData((prev) => ({
       ...prev,
-      exercises: prev.exercises.filter((ex) => ex.id !== exerciseId),
+      exercises: normalizeExerciseGroups(
+        prev.exercises.filter((ex) => ex.id !== exerciseId)
+      ),
     }))
   }
 
@@ -73,6 +123,30 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
     }))
   }
 
+  // Picking a library entry switches to the tracking mode it is logged in
+  // and the equipment its weights are loaded on
+  const selectExercise = (
+    exerciseId,
+    { name, exerciseTemplateId, exerciseTemplate }
+  ) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: prev.exercises.map((ex) =>
+        ex.id === exerciseId
+          ? {
+              ...ex,
+              name,
+              exerciseTemplateId,
+              ...(exerciseTemplate && {
+                trackingMode: getTrackingMode(exerciseTemplate),
+                equipmentType: getEquipmentType(exerciseTemplate.category),
+              }),
+            }
+          : ex
+      ),
+    }))
+  }
+
   const addSet = (exerciseId) => {
     setWorkoutData((prev) => ({
       ...prev,
@@ -84,6 +158,39 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
     }))
   }
 
+  // Supersets, circuits and giant sets log one set of each exercise per round
+  const addRound = (groupNumber) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: prev.exercises.map((ex) =>
+        ex.groupNumber === groupNumber
+          ? { ...ex, sets: [...ex.sets, { reps: '', weight: '', rpe: null }] }
+          : ex
+      ),
+    }))
+  }
+
+  const groupExerciseWithNext = (exerciseIndex) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: groupWithNext(prev.exercises, exerciseIndex),
+    }))
+  }
+
+  const ungroup = (exerciseIndex) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: ungroupExercise(prev.exercises, exerciseIndex),
+    }))
+  }
+
+  const updateGroup = (groupNumber, changes) => {
+    setWorkoutData((prev) => ({
+      ...prev,
+      exercises: updateExerciseGroup(prev.exercises, groupNumber, changes),
+    }))
+  }
+
   const removeSet = (exerciseId, setIndex) => {
     setWorkoutData((prev) => ({
       ...prev,
@@ -137,9 +244,9 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
       }
 
       exercise.sets.forEach((set, setIndex) => {
-        if (!set.reps || set.reps <= 0) {
-          newErrors[`exercise_${index}_set_${setIndex}_reps`] =
-            'Reps must be a positive number'
+        if (!isSetMeasured(set, exercise.trackingMode)) {
+          newErrors[`exercise_${index}_set_${setIndex}_measures`] =
+            getSetRequirement(exercise.trackingMode)
         }
       })
     })
@@ -155,22 +262,29 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
       return
     }
 
+    // Group fields must be consistent before they are saved
+    const exercises = normalizeExerciseGroups(workoutData.exercises)
+
     // Format data for API
     const formattedData = {
       title: workoutData.title.trim(),
       date: workoutData.date,
       notes: workoutData.notes.trim() || null,
       status: workoutData.status,
-      exercises: workoutData.exercises.map((exercise, index) => ({
+      exercises: exercises.map((exercise, index) => ({
         name: exercise.name.trim(),
+        exerciseTemplateId: exercise.exerciseTemplateId || null,
+        trackingMode: getTrackingMode(exercise),
         sets: exercise.sets.map((set) => ({
-          reps: parseInt(set.reps),
-          weight: set.weight ? parseFloat(set.weight) : null,
+          ...toSetMeasures(set, exercise.trackingMode),
           rpe: set.rpe ? parseInt(set.rpe) : null,
+          setType: getSetType(set),
         })),
         notes: exercise.notes.trim() || null,
         restSeconds: exercise.restSeconds || null,
         orderIndex: index,
+        groupNumber: exercise.groupNumber,
+        groupType: exercise.groupType,
       })),
     }
 
@@ -183,6 +297,229 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
     }
   }
 
+  const renderExerciseHeader = (exercise, exerciseIndex, label) => {
+    // Calculate progression suggestion if template guidance exists
+    const suggestion = exercise.templateGuidance?.exerciseHistory
+      ? getProgressionSuggestion(
+          exercise.templateGuidance.exerciseHistory,
+          exercise.templateGuidance.targetRepRange,
+          0,
+          weightUnit,
+          equipment,
+          exercise.equipmentType
+        )
+      : null
+    const showSuggestion =
+      suggestion &&
+      suggestion.status !== PROGRESSION_STATUS.NO_DATA &&
+      getTrackingMode(exercise) === 'WEIGHT_REPS'
+    const hasNext = exerciseIndex < workoutData.exercises.length - 1
+
+    return (
+      <div className="flex justify-between items-start mb-3">
+        <div className="flex-1 mr-4">
+          <div className="flex items-center gap-2 mb-1">
+            {label && (
+              <span className="text-sm font-semibold text-accent tabular-nums">
+                {label}
+              </span>
+            )}
+            <ExercisePicker
+              value={exercise.name}
+              exerciseTemplateId={exercise.exerciseTemplateId}
+              onChange={(selection) => selectExercise(exercise.id, selection)}
+              className="flex-1"
+            />
+            <TrackingModeSelect
+              value={exercise.trackingMode}
+              onChange={(trackingMode) =>
+                updateExercise(exercise.id, 'trackingMode', trackingMode)
+              }
+            />
+            {showSuggestion && (
+              <ProgressionBadge
+                status={suggestion.status}
+                size="sm"
+                showLabel
+                shortMessage={suggestion.shortMessage}
+              />
+            )}
+          </div>
+          {errors[`exercise_${exerciseIndex}_name`] && (
+            <p className="text-red-400 text-sm mt-1">
+              {errors[`exercise_${exerciseIndex}_name`]}
+            </p>
+          )}
+          {/* Progression Suggestion Tip */}
+          {showSuggestion && suggestion.status === PROGRESSION_STATUS.READY && (
+            <div className="flex items-start gap-2 mt-2 p-2 bg-emerald-400/10 border border-emerald-400/20 rounded-lg">
+              <Lightbulb className="h-4 w-4 text-emerald-400 mt-0.5 flex-shrink-0" />
+              <span className="text-xs text-emerald-300">
+                {formatSuggestionText(suggestion)}
+              </span>
+            </div>
+          )}
+          {showSuggestion &&
+            suggestion.status === PROGRESSION_STATUS.ATTENTION && (
+              <div className="flex items-start gap-2 mt-2 p-2 bg-orange-400/10 border border-orange-400/20 rounded-lg">
+                <Lightbulb className="h-4 w-4 text-orange-400 mt-0.5 flex-shrink-0" />
+                <span className="text-xs text-orange-300">
+                  {formatSuggestionText(suggestion)}
+                </span>
+              </div>
+            )}
+        </div>
+        <div className="flex items-center">
+          {label ? (
+            <button
+              type="button"
+              onClick={() => ungroup(exerciseIndex)}
+              className="p-2 text-text-muted hover:text-text-primary transition-colors"
+              aria-label="Ungroup"
+              title="Ungroup"
+            >
+              <Unlink2Icon className="h-4 w-4" />
+            </button>
+          ) : (
+            hasNext && (
+              <button
+                type="button"
+                onClick={() => groupExerciseWithNext(exerciseIndex)}
+                className="p-2 text-text-muted hover:text-text-primary transition-colors"
+                aria-label="Group with next exercise"
+                title="Group with next exercise"
+              >
+                <Link2Icon className="h-4 w-4" />
+              </button>
+            )
+          )}
+          <button
+            type="button"
+            onClick={() => removeExercise(exercise.id)}
+            className="p-2 text-red-400 hover:text-red-300 transition-colors"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  // Assistance is taken off bodyweight, not loaded
+  const showPlateCalculator = (exercise) => {
+    const mode = getTrackingMode(exercise)
+    return tracksField(mode, 'weight') && mode !== 'ASSISTED'
+  }
+
+  const renderSet = (exercise, exerciseIndex, set, setIndex, setLabel) => {
+    // Weight × reps sets need a weight too before RPE is asked for
+    const showRpe =
+      isSetMeasured(set, exercise.trackingMode) &&
+      (getTrackingMode(exercise) !== 'WEIGHT_REPS' || set.weight)
+    return (
+      <div key={`${exercise.id}-${setIndex}`} className="space-y-2">
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-text-muted w-8">{setLabel}</span>
+          <SetTypeSelect
+            value={set.setType}
+            onChange={(setType) =>
+              updateSet(exercise.id, setIndex, 'setType', setType)
+            }
+          />
+          <SetMeasureInputs
+            set={set}
+            trackingMode={exercise.trackingMode}
+            weightUnit={weightUnit}
+            onChange={(field, value) =>
+              updateSet(exercise.id, setIndex, field, value)
+            }
+            onKeyDown={handleKeyDown}
+          />
+          {showPlateCalculator(exercise) && (
+            <PlateCalculator
+              weight={set.weight}
+              weightUnit={weightUnit}
+              equipment={equipment}
+              equipmentType={exercise.equipmentType}
+              onApply={(weight) =>
+                updateSet(exercise.id, setIndex, 'weight', weight)
+              }
+            />
+          )}
+          {exercise.sets.length > 1 && (
+            <button
+              type="button"
+              onClick={() => removeSet(exercise.id, setIndex)}
+              className="p-1 text-red-400 hover:text-red-300"
+            >
+              <XIcon className="h-3 w-3" />
+            </button>
+          )}
+        </div>
+
+        {errors[`exercise_${exerciseIndex}_set_${setIndex}_measures`] && (
+          <p className="ml-10 text-red-400 text-xs">
+            {errors[`exercise_${exerciseIndex}_set_${setIndex}_measures`]}
+          </p>
+        )}
+
+        {/* RPE Input - only show once the set is filled in */}
+        {showRpe && (
+          <div className="ml-10 flex items-center gap-3">
+            <span className="text-xs text-text-muted w-8">RPE:</span>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                min="1"
+                max="10"
+                step="1"
+                value={set.rpe || ''}
+                placeholder="7"
+                onChange={(e) =>
+                  updateSet(
+                    exercise.id,
+                    setIndex,
+                    'rpe',
+                    parseInt(e.target.value)
+                  )
+                }
+                onKeyDown={handleKeyDown}
+                className="w-12 px-2 py-1 bg-surface-highlight border border-border rounded text-text-primary text-xs tabular-nums focus:outline-none focus:ring-1 focus:ring-accent"
+              />
+              <span className="text-xs text-text-muted">
+                {!set.rpe
+                  ? 'Not set'
+                  : set.rpe <= 6
+                  ? 'Easy'
+                  : set.rpe <= 8
+                  ? 'Moderate'
+                  : 'Hard'}
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  const renderExerciseNotes = (exercise) => (
+    <input
+      type="text"
+      value={exercise.notes}
+      onChange={(e) => updateExercise(exercise.id, 'notes', e.target.value)}
+      onKeyDown={handleKeyDown}
+      className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+      placeholder="Exercise notes (optional)"
+    />
+  )
+
+  const renderSetsError = (exerciseIndex) =>
+    errors[`exercise_${exerciseIndex}_sets`] && (
+      <p className="text-red-400 text-sm mb-2">
+        {errors[`exercise_${exerciseIndex}_sets`]}
+      </p>
+    )
+
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
       {/* Workout Details */}
@@ -274,227 +611,118 @@ const SessionForm = ({ onSubmit, onCancel, isSubmitting, initialData }) => {
         )}
 
         <div className="space-y-4">
-          {workoutData.exercises.map((exercise, exerciseIndex) => {
-            // Calculate progression suggestion if template guidance exists
-            const suggestion = exercise.templateGuidance?.exerciseHistory
-              ? getProgressionSuggestion(
-                  exercise.templateGuidance.exerciseHistory,
-                  exercise.templateGuidance.targetRepRange
-                )
-              : null
-            const showSuggestion =
-              suggestion && suggestion.status !== PROGRESSION_STATUS.NO_DATA
+          {getExerciseBlocks(workoutData.exercises).map((block) => {
+            if (!block.groupNumber) {
+              const [{ exercise, index: exerciseIndex }] = block.members
+              return (
+                <div
+                  key={exercise.id}
+                  className="bg-surface-elevated rounded-xl p-4"
+                >
+                  {renderExerciseHeader(exercise, exerciseIndex, null)}
+
+                  {/* Template Guidance */}
+                  {exercise.templateGuidance && (
+                    <TemplateGuidance exercise={exercise.templateGuidance} />
+                  )}
+
+                  {/* Sets */}
+                  <div className="mb-3">
+                    <div className="flex justify-between items-center mb-2">
+                      <span className="text-sm font-medium text-text-secondary">
+                        Sets
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => addSet(exercise.id)}
+                        className="text-sm text-accent hover:text-accent-hover"
+                      >
+                        + Add Set
+                      </button>
+                    </div>
 
+                    {renderSetsError(exerciseIndex)}
+
+                    <div className="space-y-2">
+                      {exercise.sets.map((set, setIndex) =>
+                        renderSet(
+                          exercise,
+                          exerciseIndex,
+                          set,
+                          setIndex,
+                          `#${setIndex + 1}`
+                        )
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Exercise Notes */}
+                  <div>{renderExerciseNotes(exercise)}</div>
+                </div>
+              )
+            }
+
+            // A group's sets are logged in rounds: one set of each exercise
             return (
               <div
-                key={exercise.id}
-                className="bg-surface-elevated rounded-xl p-4"
+                key={block.members[0].exercise.id}
+                className="bg-surface-elevated rounded-xl p-4 border-l-4 border-accent"
               >
-                <div className="flex justify-between items-start mb-3">
-                  <div className="flex-1 mr-4">
-                    <div className="flex items-center gap-2 mb-1">
-                      <input
-                        type="text"
-                        value={exercise.name}
-                        onChange={(e) =>
-                          updateExercise(exercise.id, 'name', e.target.value)
-                        }
-                        onKeyDown={handleKeyDown}
-                        className="flex-1 px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
-                        placeholder="Exercise name"
-                      />
-                      {showSuggestion && (
-                        <ProgressionBadge
-                          status={suggestion.status}
-                          size="sm"
-                          showLabel
-                          shortMessage={suggestion.shortMessage}
-                        />
-                      )}
-                    </div>
-                    {errors[`exercise_${exerciseIndex}_name`] && (
-                      <p className="text-red-400 text-sm mt-1">
-                        {errors[`exercise_${exerciseIndex}_name`]}
-                      </p>
+                <ExerciseGroupHeader
+                  letter={block.letter}
+                  groupType={block.groupType}
+                  restSeconds={block.members[0].exercise.restSeconds}
+                  onChange={(changes) =>
+                    updateGroup(block.groupNumber, changes)
+                  }
+                />
+
+                {block.members.map(({ exercise, index, label }) => (
+                  <div key={exercise.id} className="mb-3">
+                    {renderExerciseHeader(exercise, index, label)}
+                    {exercise.templateGuidance && (
+                      <TemplateGuidance exercise={exercise.templateGuidance} />
                     )}
-                    {/* Progression Suggestion Tip */}
-                    {showSuggestion &&
-                      suggestion.status === PROGRESSION_STATUS.READY && (
-                        <div className="flex items-start gap-2 mt-2 p-2 bg-emerald-400/10 border border-emerald-400/20 rounded-lg">
-                          <Lightbulb className="h-4 w-4 text-emerald-400 mt-0.5 flex-shrink-0" />
-                          <span className="text-xs text-emerald-300">
-                            {formatSuggestionText(suggestion)}
-                          </span>
-                        </div>
-                      )}
-                    {showSuggestion &&
-                      suggestion.status === PROGRESSION_STATUS.ATTENTION && (
-                        <div className="flex items-start gap-2 mt-2 p-2 bg-orange-400/10 border border-orange-400/20 rounded-lg">
-                          <Lightbulb className="h-4 w-4 text-orange-400 mt-0.5 flex-shrink-0" />
-                          <span className="text-xs text-orange-300">
-                            {formatSuggestionText(suggestion)}
-                          </span>
-                        </div>
-                      )}
+                    {renderSetsError(index)}
+                    {renderExerciseNotes(exercise)}
                   </div>
+                ))}
+
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-sm font-medium text-text-secondary">
+                    Rounds
+                  </span>
                   <button
                     type="button"
-                    onClick={() => removeExercise(exercise.id)}
-                    className="p-2 text-red-400 hover:text-red-300 transition-colors"
+                    onClick={() => addRound(block.groupNumber)}
+                    className="text-sm text-accent hover:text-accent-hover"
                   >
-                    <TrashIcon className="h-4 w-4" />
+                    + Add Round
                   </button>
                 </div>
 
-                {/* Template Guidance */}
-                {exercise.templateGuidance && (
-                  <TemplateGuidance exercise={exercise.templateGuidance} />
-                )}
-
-                {/* Sets */}
-                <div className="mb-3">
-                  <div className="flex justify-between items-center mb-2">
-                    <span className="text-sm font-medium text-text-secondary">
-                      Sets
-                    </span>
-                    <button
-                      type="button"
-                      onClick={() => addSet(exercise.id)}
-                      className="text-sm text-accent hover:text-accent-hover"
-                    >
-                      + Add Set
-                    </button>
-                  </div>
-
-                  {errors[`exercise_${exerciseIndex}_sets`] && (
-                    <p className="text-red-400 text-sm mb-2">
-                      {errors[`exercise_${exerciseIndex}_sets`]}
-                    </p>
+                <div className="space-y-3">
+                  {Array.from(
+                    { length: getGroupRounds(block.members) },
+                    (_, round) => (
+                      <div key={round} className="space-y-2">
+                        <p className="text-xs font-medium text-text-muted">
+                          Round {round + 1}
+                        </p>
+                        {block.members.map(
+                          ({ exercise, index, label }) =>
+                            exercise.sets[round] &&
+                            renderSet(
+                              exercise,
+                              index,
+                              exercise.sets[round],
+                              round,
+                              label
+                            )
+                        )}
+                      </div>
+                    )
                   )}
-
-                  <div className="space-y-2">
-                    {exercise.sets.map((set, setIndex) => {
-                      const hasWeightAndReps = set.weight && set.reps
-                      return (
-                        <div key={setIndex} className="space-y-2">
-                          <div className="flex items-center gap-2">
-                            <span className="text-sm text-text-muted w-8">
-                              #{setIndex + 1}
-                            </span>
-                            <div className="flex-1">
-                              <input
-                                type="number"
-                                value={set.weight}
-                                onChange={(e) =>
-                                  updateSet(
-                                    exercise.id,
-                                    setIndex,
-                                    'weight',
-                                    e.target.value
-                                  )
-                                }
-                                onKeyDown={handleKeyDown}
-                                className="w-full px-2 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                                placeholder="Weight (kg)"
-                                step="0.5"
-                                min="0"
-                              />
-                            </div>
-                            <div className="flex-1">
-                              <input
-                                type="number"
-                                value={set.reps}
-                                onChange={(e) =>
-                                  updateSet(
-                                    exercise.id,
-                                    setIndex,
-                                    'reps',
-                                    e.target.value
-                                  )
-                                }
-                                onKeyDown={handleKeyDown}
-                                className="w-full px-2 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                                placeholder="Reps"
-                                min="1"
-                              />
-                              {errors[
-                                `exercise_${exerciseIndex}_set_${setIndex}_reps`
-                              ] && (
-                                <p className="text-red-400 text-xs mt-1">
-                                  {
-                                    errors[
-                                      `exercise_${exerciseIndex}_set_${setIndex}_reps`
-                                    ]
-                                  }
-                                </p>
-                              )}
-                            </div>
-                            {exercise.sets.length > 1 && (
-                              <button
-                                type="button"
-                                onClick={() => removeSet(exercise.id, setIndex)}
-                                className="p-1 text-red-400 hover:text-red-300"
-                              >
-                                <XIcon className="h-3 w-3" />
-                              </button>
-                            )}
-                          </div>
-
-                          {/* RPE Input - only show when weight and reps are filled */}
-                          {hasWeightAndReps && (
-                            <div className="ml-10 flex items-center gap-3">
-                              <span className="text-xs text-text-muted w-8">
-                                RPE:
-                              </span>
-                              <div className="flex items-center gap-2">
-                                <input
-                                  type="number"
-                                  min="1"
-                                  max="10"
-                                  step="1"
-                                  value={set.rpe || ''}
-                                  placeholder="7"
-                                  onChange={(e) =>
-                                    updateSet(
-                                      exercise.id,
-                                      setIndex,
-                                      'rpe',
-                                      parseInt(e.target.value)
-                                    )
-                                  }
-                                  onKeyDown={handleKeyDown}
-                                  className="w-12 px-2 py-1 bg-surface-highlight border border-border rounded text-text-primary text-xs tabular-nums focus:outline-none focus:ring-1 focus:ring-accent"
-                                />
-                                <span className="text-xs text-text-muted">
-                                  {!set.rpe
-                                    ? 'Not set'
-                                    : set.rpe <= 6
-                                    ? 'Easy'
-                                    : set.rpe <= 8
-                                    ? 'Moderate'
-                                    : 'Hard'}
-                                </span>
-                              </div>
-                            </div>
-                          )}
-                        </div>
-                      )
-                    })}
-                  </div>
-                </div>
-
-                {/* Exercise Notes */}
-                <div>
-                  <input
-                    type="text"
-                    value={exercise.notes}
-                    onChange={(e) =>
-                      updateExercise(exercise.id, 'notes', e.target.value)
-                    }
-                    onKeyDown={handleKeyDown}
-                    className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                    placeholder="Exercise notes (optional)"
-                  />
                 </div>
               </div>
             )
@@ -0,0 +1,108 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  TRACKING_MODES,
+  formatDuration,
+  getTrackedFields,
+  getTrackingMode,
+  tracksField,
+} from '@/lib/tracking-modes'
+
+/**
+ * SetMeasureInputs component for the inputs of one set in its exercise's
+ * tracking mode: weight and reps, a time typed as "m:ss", a distance in
+ * meters, or the assistance taken off bodyweight
+ * @param {Object} props
+ * @param {Object} props.set - Set being edited, values as typed or loaded
+ * @param {string} props.trackingMode - The exercise's tracking mode
+ * @param {string} props.weightUnit - Unit the weight is entered in
+ * @param {Function} props.onChange - Called with (field, value)
+ * @param {Function} props.onKeyDown - Key handler for every input
+ * @param {boolean} props.disabled - Whether the inputs are disabled
+ */
+const SetMeasureInputs = ({
+  set,
+  trackingMode,
+  weightUnit,
+  onChange,
+  onKeyDown,
+  disabled,
+}) => {
+  const mode = getTrackingMode({ trackingMode })
+  // Weight comes first when it is counted in reps, after the time or distance otherwise
+  const fields = tracksField(mode, 'reps')
+    ? ['weight', 'reps']
+    : getTrackedFields(mode)
+
+  const weightLabel =
+    mode === 'ASSISTED'
+      ? 'Assistance'
+      : mode === 'WEIGHT_REPS'
+        ? 'Weight'
+        : '+ Weight'
+
+  const inputs = {
+    weight: {
+      type: 'number',
+      value: set.weight ?? '',
+      placeholder: `${weightLabel} (${weightUnit})`,
+      step: '0.5',
+      min: '0',
+    },
+    reps: {
+      type: 'number',
+      value: set.reps ?? '',
+      placeholder: 'Reps',
+      min: '1',
+    },
+    durationSeconds: {
+      type: 'text',
+      inputMode: 'numeric',
+      // Saved times are whole seconds; typed ones stay as typed
+      value:
+        typeof set.durationSeconds === 'number'
+          ? formatDuration(set.durationSeconds)
+          : (set.durationSeconds ?? ''),
+      placeholder: 'Time (m:ss)',
+    },
+    distanceMeters: {
+      type: 'number',
+      value: set.distanceMeters ?? '',
+      placeholder: 'Distance (m)',
+      step: '1',
+      min: '0',
+    },
+  }
+
+  return (
+    <>
+      {fields.map((field) => (
+        <input
+          key={field}
+          {...inputs[field]}
+          onChange={(e) => onChange(field, e.target.value)}
+          onKeyDown={onKeyDown}
+          disabled={disabled}
+          aria-label={inputs[field].placeholder}
+          className="flex-1 min-w-0 px-2 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px] disabled:opacity-60"
+        />
+      ))}
+    </>
+  )
+}
+
+SetMeasureInputs.propTypes = {
+  set: PropTypes.shape({
+    reps: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    weight: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    durationSeconds: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    distanceMeters: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  }).isRequired,
+  trackingMode: PropTypes.oneOf([...TRACKING_MODES, null, undefined]),
+  weightUnit: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onKeyDown: PropTypes.func,
+  disabled: PropTypes.bool,
+}
+
+export default SetMeasureInputs
@@ -0,0 +1,41 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { SET_TYPES, SET_TYPE_LABELS, getSetType } from '@/lib/set-types'
+
+/**
+ * SetTypeSelect component for picking a set's type (warm-up, working,
+ * drop set...) next to its weight and reps
+ * @param {Object} props
+ * @param {string} props.value - Current set type; missing means working
+ * @param {Function} props.onChange - Called with the chosen set type
+ * @param {boolean} props.disabled - Whether the select is disabled
+ */
+const SetTypeSelect = ({ value, onChange, disabled }) => {
+  const setType = getSetType({ setType: value })
+
+  return (
+    <select
+      value={setType}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label="Set type"
+      className={`w-24 px-1 py-2 bg-surface-highlight border border-border rounded-lg text-xs focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px] disabled:opacity-60 ${
+        setType === 'WORKING' ? 'text-text-muted' : 'text-accent'
+      }`}
+    >
+      {SET_TYPES.map((type) => (
+        <option key={type} value={type}>
+          {SET_TYPE_LABELS[type]}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+SetTypeSelect.propTypes = {
+  value: PropTypes.oneOf([...SET_TYPES, null, undefined]),
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+}
+
+export default SetTypeSelect
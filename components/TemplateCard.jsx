@@ -6,10 +6,11 @@ import {
   DumbbellIcon, 
   ClockIcon, 
   FileTextIcon,
-  LoaderIcon 
+  LoaderIcon,
+  Share2Icon
 } from 'lucide-react'
 
-const TemplateCard = ({ template, onEdit, onDelete, isDeleting }) => {
+const TemplateCard = ({ template, onEdit, onDelete, onShare, isDeleting }) => {
   return (
     <div className="bg-surface rounded-2xl border border-border hover:border-accent/50 transition-all shadow-lg overflow-hidden">
       <div className="p-6">
@@ -31,6 +32,9 @@ const TemplateCard = ({ template, onEdit, onDelete, isDeleting }) => {
               {template.description && (
                 <p className="text-sm text-text-muted mt-1">{template.description}</p>
               )}
+              {template.sharedBy && (
+                <p className="text-xs text-text-muted mt-1">Shared by {template.sharedBy}</p>
+              )}
             </div>
           </div>
         </div>
@@ -74,13 +78,28 @@ const TemplateCard = ({ template, onEdit, onDelete, isDeleting }) => {
         <div className="flex gap-2 pt-4 border-t border-border">
           <button
             onClick={onEdit}
-            className="flex-1 flex items-center justify-center px-3 py-2 bg-surface-elevated hover:bg-surface-highlight text-text-primary rounded-lg transition-colors min-h-[44px]"
-            disabled={isDeleting}
+            className={`flex-1 flex items-center justify-center px-3 py-2 rounded-lg transition-colors min-h-[44px] ${
+              template.isDefault
+                ? 'bg-surface-highlight text-text-muted cursor-not-allowed'
+                : 'bg-surface-elevated hover:bg-surface-highlight text-text-primary'
+            }`}
+            disabled={template.isDefault || isDeleting}
           >
             <EditIcon className="h-4 w-4 mr-2" />
             Edit
           </button>
 
+          {onShare && !template.isDefault && (
+            <button
+              onClick={onShare}
+              className="flex-1 flex items-center justify-center px-3 py-2 bg-surface-elevated hover:bg-surface-highlight text-text-primary rounded-lg transition-colors min-h-[44px]"
+              disabled={isDeleting}
+            >
+              <Share2Icon className="h-4 w-4 mr-2" />
+              Share
+            </button>
+          )}
+
           <button
             onClick={onDelete}
             disabled={template.isDefault || isDeleting}
@@ -114,6 +133,7 @@ TemplateCard.propTypes = {
     name: PropTypes.string.isRequired,
     description: PropTypes.string,
     isDefault: PropTypes.bool,
+    sharedBy: PropTypes.string,
     templateExercises: PropTypes.arrayOf(
       PropTypes.shape({
         id: PropTypes.number.isRequired,
@@ -124,6 +144,7 @@ TemplateCard.propTypes = {
   }).isRequired,
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
+  onShare: PropTypes.func,
   isDeleting: PropTypes.bool,
 }
 
@@ -6,8 +6,22 @@ import {
   SaveIcon,
   ArrowLeftIcon,
   GripVerticalIcon,
+  Link2Icon,
+  Unlink2Icon,
 } from 'lucide-react'
 import { MUSCLE_GROUPS } from '@/lib/volume-analytics'
+import {
+  getExerciseBlocks,
+  groupWithNext,
+  moveGroupedExercise,
+  normalizeExerciseGroups,
+  ungroupExercise,
+  updateExerciseGroup,
+} from '@/lib/exercise-groups'
+import ExercisePicker from './ExercisePicker'
+import ExerciseGroupHeader from './ExerciseGroupHeader'
+import { useAuth } from '@/contexts/AuthContext'
+import { normalizeWeightUnit, fromKg, toKg } from '@/lib/units'
 
 const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
   const [templateData, setTemplateData] = useState({
@@ -17,6 +31,9 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
   })
 
   const [errors, setErrors] = useState({})
+  // Default weights are stored in kg and edited in the user's unit
+  const { weightUnit: userWeightUnit, defaultRestSeconds } = useAuth()
+  const weightUnit = normalizeWeightUnit(userWeightUnit)
 
   // Initialize form data from template
   useEffect(() => {
@@ -31,10 +48,19 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
               defaultSets: exercise.defaultSets || 3,
               defaultReps: exercise.defaultReps || 8,
               targetRepRange: exercise.targetRepRange || '',
-              defaultWeight: exercise.defaultWeight || '',
+              defaultWeight: fromKg(exercise.defaultWeight, weightUnit) || '',
+              loadTargetType: exercise.targetPercentE1RM
+                ? 'percent'
+                : exercise.targetRpe
+                  ? 'rpe'
+                  : '',
+              loadTargetValue:
+                exercise.targetPercentE1RM || exercise.targetRpe || '',
               notes: exercise.notes || '',
-              restSeconds: exercise.restSeconds || 60,
+              restSeconds: exercise.restSeconds || defaultRestSeconds,
               orderIndex: exercise.orderIndex,
+              groupNumber: exercise.groupNumber ?? null,
+              groupType: exercise.groupType ?? null,
               muscleGroups: exercise.muscleGroups
                 ? exercise.muscleGroups.split(',').map((m) => m.trim())
                 : [],
@@ -42,7 +68,7 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
           : [],
       })
     }
-  }, [template])
+  }, [template, weightUnit, defaultRestSeconds])
 
   const handleTemplateChange = (field, value) => {
     setTemplateData((prev) => ({
@@ -67,9 +93,13 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
       defaultReps: 8,
       targetRepRange: '',
       defaultWeight: '',
+      loadTargetType: '',
+      loadTargetValue: '',
       notes: '',
-      restSeconds: 60,
+      restSeconds: defaultRestSeconds,
       orderIndex: templateData.exercises.length,
+      groupNumber: null,
+      groupType: null,
       muscleGroups: [],
     }
 
@@ -82,7 +112,9 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
   const removeExercise = (exerciseId) => {
     setTemplateData((prev) => ({
       ...prev,
-      exercises: prev.exercises.filter((ex) => ex.id !== exerciseId),
+      exercises: normalizeExerciseGroups(
+        prev.exercises.filter((ex) => ex.id !== exerciseId)
+      ),
     }))
   }
 
@@ -95,6 +127,23 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
     }))
   }
 
+  const selectExercise = (exerciseId, { name, exerciseTemplate }) => {
+    setTemplateData((prev) => ({
+      ...prev,
+      exercises: prev.exercises.map((ex) => {
+        if (ex.id !== exerciseId) return ex
+        // Pre-fill muscle groups from the library unless already chosen
+        const libraryMuscles = (exerciseTemplate?.muscleGroups || '')
+          .split(',')
+          .map((m) => m.trim())
+          .filter((m) => MUSCLE_GROUPS.includes(m))
+        const muscleGroups =
+          ex.muscleGroups?.length > 0 ? ex.muscleGroups : libraryMuscles
+        return { ...ex, name, muscleGroups }
+      }),
+    }))
+  }
+
   const toggleMuscleGroup = (exerciseId, muscle) => {
     setTemplateData((prev) => ({
       ...prev,
@@ -111,30 +160,43 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
 
   const moveExercise = (exerciseId, direction) => {
     setTemplateData((prev) => {
-      const exercises = [...prev.exercises]
-      const currentIndex = exercises.findIndex((ex) => ex.id === exerciseId)
-
-      if (direction === 'up' && currentIndex > 0) {
-        ;[exercises[currentIndex], exercises[currentIndex - 1]] = [
-          exercises[currentIndex - 1],
-          exercises[currentIndex],
-        ]
-      } else if (direction === 'down' && currentIndex < exercises.length - 1) {
-        ;[exercises[currentIndex], exercises[currentIndex + 1]] = [
-          exercises[currentIndex + 1],
-          exercises[currentIndex],
-        ]
-      }
-
-      // Update order indices
-      exercises.forEach((exercise, index) => {
-        exercise.orderIndex = index
-      })
+      const currentIndex = prev.exercises.findIndex(
+        (ex) => ex.id === exerciseId
+      )
+      const exercises = moveGroupedExercise(
+        prev.exercises,
+        currentIndex,
+        direction
+      ).map((exercise, index) => ({ ...exercise, orderIndex: index }))
 
       return { ...prev, exercises }
     })
   }
 
+  // Supersets, circuits and giant sets: consecutive exercises sharing a group
+  const toggleGroupWithNext = (exerciseId) => {
+    setTemplateData((prev) => {
+      const index = prev.exercises.findIndex((ex) => ex.id === exerciseId)
+      const exercise = prev.exercises[index]
+      const next = prev.exercises[index + 1]
+      const grouped =
+        exercise.groupNumber && exercise.groupNumber === next?.groupNumber
+      return {
+        ...prev,
+        exercises: grouped
+          ? ungroupExercise(prev.exercises, index + 1)
+          : groupWithNext(prev.exercises, index),
+      }
+    })
+  }
+
+  const updateGroup = (groupNumber, changes) => {
+    setTemplateData((prev) => ({
+      ...prev,
+      exercises: updateExerciseGroup(prev.exercises, groupNumber, changes),
+    }))
+  }
+
   const validateForm = () => {
     const newErrors = {}
 
@@ -161,6 +223,20 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
         newErrors[`exercise_${index}_reps`] =
           'Default reps must be a positive number'
       }
+
+      const loadTarget = parseFloat(exercise.loadTargetValue)
+      if (
+        exercise.loadTargetType === 'percent' &&
+        !(loadTarget > 0 && loadTarget <= 150)
+      ) {
+        newErrors[`exercise_${index}_load`] = '%e1RM must be between 0 and 150'
+      }
+      if (
+        exercise.loadTargetType === 'rpe' &&
+        !(Number.isInteger(loadTarget) && loadTarget >= 1 && loadTarget <= 10)
+      ) {
+        newErrors[`exercise_${index}_load`] = 'RPE must be a whole number from 1 to 10'
+      }
     })
 
     setErrors(newErrors)
@@ -174,23 +250,36 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
       return
     }
 
+    // Group fields must be consistent before they are saved
+    const exercises = normalizeExerciseGroups(templateData.exercises)
+
     // Format data for API
     const formattedData = {
       name: templateData.name.trim(),
       description: templateData.description.trim() || null,
-      exercises: templateData.exercises.map((exercise, index) => ({
+      exercises: exercises.map((exercise, index) => ({
         name: exercise.name.trim(),
         defaultSets: parseInt(exercise.defaultSets),
         defaultReps: parseInt(exercise.defaultReps),
         targetRepRange: exercise.targetRepRange.trim() || null,
         defaultWeight: exercise.defaultWeight
-          ? parseFloat(exercise.defaultWeight)
+          ? toKg(parseFloat(exercise.defaultWeight), weightUnit)
           : null,
+        targetPercentE1RM:
+          exercise.loadTargetType === 'percent'
+            ? parseFloat(exercise.loadTargetValue)
+            : null,
+        targetRpe:
+          exercise.loadTargetType === 'rpe'
+            ? parseInt(exercise.loadTargetValue)
+            : null,
         notes: exercise.notes.trim() || null,
         restSeconds: exercise.restSeconds
           ? parseInt(exercise.restSeconds)
           : null,
         orderIndex: index,
+        groupNumber: exercise.groupNumber,
+        groupType: exercise.groupType,
         muscleGroups:
           exercise.muscleGroups?.length > 0
             ? exercise.muscleGroups.join(', ')
@@ -201,6 +290,15 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
     await onSave(formattedData)
   }
 
+  // Group, letter and label (A1, A2...) of each grouped exercise by position
+  const exerciseGroups = {}
+  getExerciseBlocks(templateData.exercises).forEach((block) => {
+    if (!block.groupNumber) return
+    block.members.forEach(({ index, label }, position) => {
+      exerciseGroups[index] = { block, label, isFirst: position === 0 }
+    })
+  })
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -284,220 +382,322 @@ const TemplateEditor = ({ template, onSave, onCancel, isSubmitting }) => {
           )}
 
           <div className="space-y-4">
-            {templateData.exercises.map((exercise, exerciseIndex) => (
-              <div
-                key={exercise.id}
-                className="bg-surface-elevated rounded-xl p-4"
-              >
-                <div className="flex items-center gap-2 mb-3">
-                  {/* Drag handle and order controls */}
-                  <div className="flex flex-col gap-1">
-                    <button
-                      type="button"
-                      onClick={() => moveExercise(exercise.id, 'up')}
-                      disabled={exerciseIndex === 0 || isSubmitting}
-                      className="p-1 text-text-muted hover:text-text-primary disabled:opacity-30 transition-colors"
-                    >
-                      ▲
-                    </button>
-                    <GripVerticalIcon className="h-4 w-4 text-text-muted" />
-                    <button
-                      type="button"
-                      onClick={() => moveExercise(exercise.id, 'down')}
-                      disabled={
-                        exerciseIndex === templateData.exercises.length - 1 ||
-                        isSubmitting
-                      }
-                      className="p-1 text-text-muted hover:text-text-primary disabled:opacity-30 transition-colors"
-                    >
-                      ▼
-                    </button>
-                  </div>
-
-                  <div className="flex-1">
-                    <input
-                      type="text"
-                      value={exercise.name}
-                      onChange={(e) =>
-                        updateExercise(exercise.id, 'name', e.target.value)
+            {templateData.exercises.map((exercise, exerciseIndex) => {
+              const group = exerciseGroups[exerciseIndex]
+              const next = templateData.exercises[exerciseIndex + 1]
+              const groupedWithNext =
+                group &&
+                exerciseGroups[exerciseIndex + 1]?.block === group.block
+
+              return (
+                <React.Fragment key={exercise.id}>
+                  {group?.isFirst && (
+                    <ExerciseGroupHeader
+                      letter={group.block.letter}
+                      groupType={group.block.groupType}
+                      restSeconds={exercise.restSeconds}
+                      onChange={(changes) =>
+                        updateGroup(group.block.groupNumber, changes)
                       }
-                      className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:ring-2 focus:ring-accent min-h-[44px]"
-                      placeholder="Exercise name"
-                      disabled={isSubmitting}
                     />
-                    {errors[`exercise_${exerciseIndex}_name`] && (
-                      <p className="text-red-400 text-sm mt-1">
-                        {errors[`exercise_${exerciseIndex}_name`]}
-                      </p>
-                    )}
-                  </div>
-
-                  <button
-                    type="button"
-                    onClick={() => removeExercise(exercise.id)}
-                    className="p-2 text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
-                    disabled={isSubmitting}
+                  )}
+                  <div
+                    className={`bg-surface-elevated rounded-xl p-4 ${
+                      group ? 'border-l-4 border-accent' : ''
+                    }`}
                   >
-                    <TrashIcon className="h-4 w-4" />
-                  </button>
-                </div>
-
-                {/* Exercise defaults */}
-                <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
-                  <div>
-                    <label className="block text-xs font-medium text-text-muted mb-1">
-                      Default Sets *
-                    </label>
-                    <input
-                      type="number"
-                      value={exercise.defaultSets}
-                      onChange={(e) =>
-                        updateExercise(
-                          exercise.id,
-                          'defaultSets',
-                          e.target.value
-                        )
-                      }
-                      className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                      min="1"
-                      disabled={isSubmitting}
-                    />
-                    {errors[`exercise_${exerciseIndex}_sets`] && (
-                      <p className="text-red-400 text-xs mt-1">
-                        {errors[`exercise_${exerciseIndex}_sets`]}
-                      </p>
-                    )}
-                  </div>
-
-                  <div>
-                    <label className="block text-xs font-medium text-text-muted mb-1">
-                      Default Reps *
-                    </label>
-                    <input
-                      type="number"
-                      value={exercise.defaultReps}
-                      onChange={(e) =>
-                        updateExercise(
-                          exercise.id,
-                          'defaultReps',
-                          e.target.value
-                        )
-                      }
-                      className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                      min="1"
-                      disabled={isSubmitting}
-                    />
-                    {errors[`exercise_${exerciseIndex}_reps`] && (
-                      <p className="text-red-400 text-xs mt-1">
-                        {errors[`exercise_${exerciseIndex}_reps`]}
-                      </p>
-                    )}
-                  </div>
-
-                  <div>
-                    <label className="block text-xs font-medium text-text-muted mb-1">
-                      Target Rep Range
-                    </label>
-                    <input
-                      type="text"
-                      value={exercise.targetRepRange}
-                      onChange={(e) =>
-                        updateExercise(
-                          exercise.id,
-                          'targetRepRange',
-                          e.target.value
-                        )
-                      }
-                      className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                      placeholder="8-12, AMRAP, etc."
-                      disabled={isSubmitting}
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-xs font-medium text-text-muted mb-1">
-                      Default Weight (kg)
-                    </label>
-                    <input
-                      type="number"
-                      value={exercise.defaultWeight}
-                      onChange={(e) =>
-                        updateExercise(
-                          exercise.id,
-                          'defaultWeight',
-                          e.target.value
-                        )
-                      }
-                      className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                      step="0.5"
-                      min="0"
-                      disabled={isSubmitting}
-                    />
-                  </div>
-
-                  <div>
-                    <label className="block text-xs font-medium text-text-muted mb-1">
-                      Rest (seconds)
-                    </label>
-                    <input
-                      type="number"
-                      value={exercise.restSeconds}
-                      onChange={(e) =>
-                        updateExercise(
-                          exercise.id,
-                          'restSeconds',
-                          e.target.value
-                        )
-                      }
-                      className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                      min="0"
-                      disabled={isSubmitting}
-                    />
-                  </div>
-                </div>
-
-                {/* Exercise notes */}
-                <div>
-                  <input
-                    type="text"
-                    value={exercise.notes}
-                    onChange={(e) =>
-                      updateExercise(exercise.id, 'notes', e.target.value)
-                    }
-                    className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
-                    placeholder="Exercise notes (optional)"
-                    disabled={isSubmitting}
-                  />
-                </div>
-
-                {/* Muscle Groups */}
-                <div className="mt-3">
-                  <label className="block text-xs font-medium text-gray-400 mb-2">
-                    Muscle Groups (for volume tracking)
-                  </label>
-                  <div className="flex flex-wrap gap-1.5">
-                    {MUSCLE_GROUPS.map((muscle) => {
-                      const isSelected = exercise.muscleGroups?.includes(muscle)
-                      return (
+                    <div className="flex items-center gap-2 mb-3">
+                      {/* Drag handle and order controls */}
+                      <div className="flex flex-col gap-1">
                         <button
-                          key={muscle}
                           type="button"
-                          onClick={() => toggleMuscleGroup(exercise.id, muscle)}
-                          disabled={isSubmitting}
-                          className={`px-2.5 py-1 text-xs rounded-full border transition-colors ${
-                            isSelected
-                              ? 'bg-blue-500/20 border-blue-500 text-blue-400'
-                              : 'bg-gray-800 border-gray-600 text-gray-400 hover:border-gray-500'
-                          }`}
+                          onClick={() => moveExercise(exercise.id, 'up')}
+                          disabled={exerciseIndex === 0 || isSubmitting}
+                          className="p-1 text-text-muted hover:text-text-primary disabled:opacity-30 transition-colors"
+                        >
+                          ▲
+                        </button>
+                        <GripVerticalIcon className="h-4 w-4 text-text-muted" />
+                        <button
+                          type="button"
+                          onClick={() => moveExercise(exercise.id, 'down')}
+                          disabled={
+                            exerciseIndex ===
+                              templateData.exercises.length - 1 || isSubmitting
+                          }
+                          className="p-1 text-text-muted hover:text-text-primary disabled:opacity-30 transition-colors"
                         >
-                          {muscle}
+                          ▼
                         </button>
-                      )
-                    })}
+                      </div>
+
+                      {group && (
+                        <span className="text-sm font-semibold text-accent tabular-nums">
+                          {group.label}
+                        </span>
+                      )}
+
+                      <div className="flex-1">
+                        <ExercisePicker
+                          value={exercise.name}
+                          onChange={(selection) =>
+                            selectExercise(exercise.id, selection)
+                          }
+                          disabled={isSubmitting}
+                        />
+                        {errors[`exercise_${exerciseIndex}_name`] && (
+                          <p className="text-red-400 text-sm mt-1">
+                            {errors[`exercise_${exerciseIndex}_name`]}
+                          </p>
+                        )}
+                      </div>
+
+                      <button
+                        type="button"
+                        onClick={() => removeExercise(exercise.id)}
+                        className="p-2 text-red-400 hover:text-red-300 transition-colors disabled:opacity-50"
+                        disabled={isSubmitting}
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+
+                    {/* Exercise defaults */}
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-3">
+                      <div>
+                        <label className="block text-xs font-medium text-text-muted mb-1">
+                          Default Sets *
+                        </label>
+                        <input
+                          type="number"
+                          value={exercise.defaultSets}
+                          onChange={(e) =>
+                            updateExercise(
+                              exercise.id,
+                              'defaultSets',
+                              e.target.value
+                            )
+                          }
+                          className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                          min="1"
+                          disabled={isSubmitting}
+                        />
+                        {errors[`exercise_${exerciseIndex}_sets`] && (
+                          <p className="text-red-400 text-xs mt-1">
+                            {errors[`exercise_${exerciseIndex}_sets`]}
+                          </p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-xs font-medium text-text-muted mb-1">
+                          Default Reps *
+                        </label>
+                        <input
+                          type="number"
+                          value={exercise.defaultReps}
+                          onChange={(e) =>
+                            updateExercise(
+                              exercise.id,
+                              'defaultReps',
+                              e.target.value
+                            )
+                          }
+                          className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                          min="1"
+                          disabled={isSubmitting}
+                        />
+                        {errors[`exercise_${exerciseIndex}_reps`] && (
+                          <p className="text-red-400 text-xs mt-1">
+                            {errors[`exercise_${exerciseIndex}_reps`]}
+                          </p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-xs font-medium text-text-muted mb-1">
+                          Target Rep Range
+                        </label>
+                        <input
+                          type="text"
+                          value={exercise.targetRepRange}
+                          onChange={(e) =>
+                            updateExercise(
+                              exercise.id,
+                              'targetRepRange',
+                              e.target.value
+                            )
+                          }
+                          className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                          placeholder="8-12, AMRAP, etc."
+                          disabled={isSubmitting}
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-xs font-medium text-text-muted mb-1">
+                          Default Weight ({weightUnit})
+                        </label>
+                        <input
+                          type="number"
+                          value={exercise.defaultWeight}
+                          onChange={(e) =>
+                            updateExercise(
+                              exercise.id,
+                              'defaultWeight',
+                              e.target.value
+                            )
+                          }
+                          className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                          step="0.5"
+                          min="0"
+                          disabled={isSubmitting}
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-xs font-medium text-text-muted mb-1">
+                          Load Target
+                        </label>
+                        <div className="flex gap-1">
+                          <select
+                            value={exercise.loadTargetType}
+                            onChange={(e) =>
+                              updateExercise(
+                                exercise.id,
+                                'loadTargetType',
+                                e.target.value
+                              )
+                            }
+                            className="w-full px-1 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                            aria-label="Load target type"
+                            disabled={isSubmitting}
+                          >
+                            <option value="">None</option>
+                            <option value="percent">% e1RM</option>
+                            <option value="rpe">RPE</option>
+                          </select>
+                          {exercise.loadTargetType && (
+                            <input
+                              type="number"
+                              value={exercise.loadTargetValue}
+                              onChange={(e) =>
+                                updateExercise(
+                                  exercise.id,
+                                  'loadTargetValue',
+                                  e.target.value
+                                )
+                              }
+                              className="w-16 px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                              placeholder={
+                                exercise.loadTargetType === 'rpe' ? '8' : '80'
+                              }
+                              aria-label="Load target value"
+                              step={
+                                exercise.loadTargetType === 'rpe' ? '1' : '0.5'
+                              }
+                              min="1"
+                              disabled={isSubmitting}
+                            />
+                          )}
+                        </div>
+                        {errors[`exercise_${exerciseIndex}_load`] && (
+                          <p className="text-red-400 text-xs mt-1">
+                            {errors[`exercise_${exerciseIndex}_load`]}
+                          </p>
+                        )}
+                      </div>
+
+                      {!group && (
+                        <div>
+                          <label className="block text-xs font-medium text-text-muted mb-1">
+                            Rest (seconds)
+                          </label>
+                          <input
+                            type="number"
+                            value={exercise.restSeconds}
+                            onChange={(e) =>
+                              updateExercise(
+                                exercise.id,
+                                'restSeconds',
+                                e.target.value
+                              )
+                            }
+                            className="w-full px-2 py-2 bg-surface-highlight border border-border rounded text-text-primary text-sm tabular-nums focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                            min="0"
+                            disabled={isSubmitting}
+                          />
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Exercise notes */}
+                    <div>
+                      <input
+                        type="text"
+                        value={exercise.notes}
+                        onChange={(e) =>
+                          updateExercise(exercise.id, 'notes', e.target.value)
+                        }
+                        className="w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary text-sm focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px]"
+                        placeholder="Exercise notes (optional)"
+                        disabled={isSubmitting}
+                      />
+                    </div>
+
+                    {/* Muscle Groups */}
+                    <div className="mt-3">
+                      <label className="block text-xs font-medium text-gray-400 mb-2">
+                        Muscle Groups (for volume tracking)
+                      </label>
+                      <div className="flex flex-wrap gap-1.5">
+                        {MUSCLE_GROUPS.map((muscle) => {
+                          const isSelected =
+                            exercise.muscleGroups?.includes(muscle)
+                          return (
+                            <button
+                              key={muscle}
+                              type="button"
+                              onClick={() =>
+                                toggleMuscleGroup(exercise.id, muscle)
+                              }
+                              disabled={isSubmitting}
+                              className={`px-2.5 py-1 text-xs rounded-full border transition-colors ${
+                                isSelected
+                                  ? 'bg-blue-500/20 border-blue-500 text-blue-400'
+                                  : 'bg-gray-800 border-gray-600 text-gray-400 hover:border-gray-500'
+                              }`}
+                            >
+                              {muscle}
+                            </button>
+                          )
+                        })}
+                      </div>
+                    </div>
                   </div>
-                </div>
-              </div>
-            ))}
+                  {next && (
+                    <button
+                      type="button"
+                      onClick={() => toggleGroupWithNext(exercise.id)}
+                      disabled={isSubmitting}
+                      className="flex items-center mx-auto text-xs text-text-muted hover:text-text-primary transition-colors disabled:opacity-50"
+                    >
+                      {groupedWithNext ? (
+                        <>
+                          <Unlink2Icon className="h-4 w-4 mr-1" />
+                          Ungroup
+                        </>
+                      ) : (
+                        <>
+                          <Link2Icon className="h-4 w-4 mr-1" />
+                          Group with next
+                        </>
+                      )}
+                    </button>
+                  )}
+                </React.Fragment>
+              )
+            })}
           </div>
         </div>
 
@@ -10,13 +10,18 @@ import {
   AlertCircleIcon,
 } from 'lucide-react'
 import { analyzeRPEData } from '@/lib/migrate-sets'
+import { useAuth } from '@/contexts/AuthContext'
+import { convertWeightChange, normalizeWeightUnit } from '@/lib/units'
 
 const TemplateGuidance = ({ exercise }) => {
   const [isExpanded, setIsExpanded] = useState(false)
+  // Template data comes back in the user's unit
+  const weightUnit = normalizeWeightUnit(useAuth().weightUnit)
 
   // Don't render if there's no guidance information
   if (
     !exercise.targetRepRange &&
+    !exercise.loadTarget &&
     !exercise.restSeconds &&
     !exercise.exerciseHistory?.length &&
     !exercise.notes
@@ -102,6 +107,25 @@ const TemplateGuidance = ({ exercise }) => {
             </div>
           )}
 
+          {/* Load Target */}
+          {exercise.loadTarget && (
+            <div className="flex items-center space-x-2 text-sm">
+              <TrendingUpIcon className="h-3 w-3 text-blue-400 flex-shrink-0" />
+              <span className="text-text-secondary">Load:</span>
+              <span className="text-blue-200 font-medium tabular-nums">
+                {exercise.loadTarget}
+                {exercise.targetWeight
+                  ? ` → ${exercise.targetWeight}${weightUnit}`
+                  : ' (log this exercise to get a weight)'}
+              </span>
+              {exercise.e1rm && (
+                <span className="text-xs text-text-muted tabular-nums">
+                  e1RM {exercise.e1rm}{weightUnit}
+                </span>
+              )}
+            </div>
+          )}
+
           {/* Rest Time */}
           {exercise.restSeconds && (
             <div className="flex items-center space-x-2 text-sm">
@@ -180,7 +204,7 @@ const TemplateGuidance = ({ exercise }) => {
                             {rpeAnalysis.recommendation.weightChange !== 0 && (
                               <div className="text-blue-300">
                                 Weight: {rpeAnalysis.recommendation.weightChange > 0 ? '+' : ''}
-                                {rpeAnalysis.recommendation.weightChange}kg
+                                {convertWeightChange(rpeAnalysis.recommendation.weightChange, weightUnit)}{weightUnit}
                               </div>
                             )}
                             {rpeAnalysis.recommendation.repChange !== 0 && (
@@ -220,6 +244,9 @@ const TemplateGuidance = ({ exercise }) => {
 TemplateGuidance.propTypes = {
   exercise: PropTypes.shape({
     targetRepRange: PropTypes.string,
+    loadTarget: PropTypes.string,
+    targetWeight: PropTypes.number,
+    e1rm: PropTypes.number,
     restSeconds: PropTypes.number,
     notes: PropTypes.string,
     latestSets: PropTypes.array,
@@ -9,13 +9,19 @@ import {
   ClockIcon,
   FileTextIcon,
   ChevronRightIcon,
+  PlayIcon,
 } from 'lucide-react'
+import { buildLiveExercises } from '@/lib/live-workout'
+import { getTodayLocal } from '@/lib/dateUtils'
+import { useAuth } from '@/contexts/AuthContext'
 
 const fetcher = (url) => fetch(url).then((res) => res.json())
 
 const TemplateSelector = ({ isOpen, onClose }) => {
   const router = useRouter()
+  const { timeZone } = useAuth()
   const [selectedTemplate, setSelectedTemplate] = useState(null)
+  const [startingTemplateId, setStartingTemplateId] = useState(null)
 
   const {
     data: templates,
@@ -34,6 +40,48 @@ const TemplateSelector = ({ isOpen, onClose }) => {
     onClose()
   }
 
+  const handleStartLive = async (event, template) => {
+    // Don't also trigger the card's regular template selection
+    event.stopPropagation()
+    setStartingTemplateId(template.id)
+
+    try {
+      const templateResponse = await fetch(`/api/templates/${template.id}/latest-data`)
+      if (!templateResponse.ok) {
+        throw new Error('Failed to load template')
+      }
+      const templateData = await templateResponse.json()
+
+      // Create a DRAFT workout up front so every ticked set can be saved to it
+      const response = await fetch('/api/workouts/from-template', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          templateId: template.id,
+          title: template.name,
+          date: getTodayLocal(timeZone),
+          status: 'DRAFT',
+          exercises: buildLiveExercises(templateData.templateExercises),
+        }),
+      })
+
+      if (!response.ok) {
+        throw new Error('Failed to start live workout')
+      }
+
+      const workout = await response.json()
+      router.push(`/live/${workout.id}`)
+      onClose()
+    } catch (error) {
+      console.error('Error starting live workout:', error)
+      alert('Failed to start live workout. Please try again.')
+    } finally {
+      setStartingTemplateId(null)
+    }
+  }
+
   const handleCreateTemplate = () => {
     router.push('/templates/new')
     onClose()
@@ -149,7 +197,18 @@ const TemplateSelector = ({ isOpen, onClose }) => {
                           </div>
                         </div>
                       </div>
-                      <ChevronRightIcon className="h-5 w-5 text-text-muted group-hover:text-accent" />
+                      <div className="flex items-center gap-2">
+                        <button
+                          type="button"
+                          onClick={(e) => handleStartLive(e, template)}
+                          disabled={startingTemplateId !== null}
+                          className="flex items-center px-3 py-2 text-sm bg-accent hover:bg-accent-hover disabled:opacity-50 text-white rounded-lg transition-colors min-h-[44px]"
+                        >
+                          <PlayIcon className="h-4 w-4 mr-1" />
+                          {startingTemplateId === template.id ? 'Starting...' : 'Start Live'}
+                        </button>
+                        <ChevronRightIcon className="h-5 w-5 text-text-muted group-hover:text-accent" />
+                      </div>
                     </div>
 
                     {/* Exercise Preview */}
@@ -0,0 +1,45 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  TRACKING_MODES,
+  TRACKING_MODE_LABELS,
+  getTrackingMode,
+} from '@/lib/tracking-modes'
+
+/**
+ * TrackingModeSelect component for picking what an exercise's sets record:
+ * weight and reps, a time, a distance, both, or assistance
+ * @param {Object} props
+ * @param {string} props.value - Current tracking mode; missing means weight × reps
+ * @param {Function} props.onChange - Called with the chosen tracking mode
+ * @param {boolean} props.disabled - Whether the select is disabled
+ */
+const TrackingModeSelect = ({ value, onChange, disabled }) => {
+  const trackingMode = getTrackingMode({ trackingMode: value })
+
+  return (
+    <select
+      value={trackingMode}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label="Tracking mode"
+      className={`px-2 py-2 bg-surface-highlight border border-border rounded-lg text-xs focus:outline-none focus:ring-1 focus:ring-accent min-h-[44px] disabled:opacity-60 ${
+        trackingMode === 'WEIGHT_REPS' ? 'text-text-muted' : 'text-accent'
+      }`}
+    >
+      {TRACKING_MODES.map((mode) => (
+        <option key={mode} value={mode}>
+          {TRACKING_MODE_LABELS[mode]}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+TrackingModeSelect.propTypes = {
+  value: PropTypes.oneOf([...TRACKING_MODES, null, undefined]),
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+}
+
+export default TrackingModeSelect
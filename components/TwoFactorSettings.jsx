@@ -0,0 +1,221 @@
+'use client'
+
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { ShieldCheckIcon } from 'lucide-react'
+import RecoveryCodesList from './RecoveryCodesList'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface-highlight border border-border rounded-lg text-text-primary focus:outline-none focus:border-accent min-h-[44px]'
+
+const buttonClass =
+  'px-4 py-2 bg-surface-highlight hover:bg-surface-elevated border border-border text-text-primary rounded-lg transition-colors disabled:opacity-50 min-h-[44px]'
+
+const BACKUP_CODES_DESCRIPTION =
+  "Save these backup codes somewhere safe. Each one signs you in once without your authenticator app, and they won't be shown again."
+
+// Secrets are typed by hand when the app can't open the link, so group them
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ')
+
+/**
+ * TwoFactorSettings Component
+ *
+ * Turns TOTP two-factor authentication on (password, then a first code from
+ * the authenticator app) and off, and replaces the backup codes. Backup codes
+ * are shown once, right after they're generated.
+ */
+const TwoFactorSettings = ({ onError, onChange }) => {
+  const { data, mutate } = useSWR('/api/auth/two-factor', fetcher)
+  const [password, setPassword] = useState('')
+  const [code, setCode] = useState('')
+  const [setup, setSetup] = useState(null)
+  const [backupCodes, setBackupCodes] = useState(null)
+  const [isWorking, setIsWorking] = useState(false)
+
+  const request = async (url, method, body) => {
+    setIsWorking(true)
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update two-factor authentication')
+      }
+      return result
+    } catch (error) {
+      onError?.(error.message)
+      return null
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const startSetup = async (e) => {
+    e.preventDefault()
+    const result = await request('/api/auth/two-factor/setup', 'POST', { password })
+    if (result) {
+      setSetup(result)
+      setPassword('')
+    }
+  }
+
+  const enable = async (e) => {
+    e.preventDefault()
+    const result = await request('/api/auth/two-factor', 'POST', { code })
+    if (result) {
+      setSetup(null)
+      setCode('')
+      setBackupCodes(result.backupCodes)
+      await mutate()
+      onChange?.('Two-factor authentication turned on')
+    }
+  }
+
+  const regenerate = async () => {
+    const result = await request('/api/auth/two-factor/backup-codes', 'POST', { password })
+    if (result) {
+      setPassword('')
+      setBackupCodes(result.backupCodes)
+      await mutate()
+    }
+  }
+
+  const disable = async () => {
+    const result = await request('/api/auth/two-factor', 'DELETE', { password })
+    if (result) {
+      setPassword('')
+      await mutate()
+      onChange?.('Two-factor authentication turned off')
+    }
+  }
+
+  const renderBody = () => {
+    if (backupCodes) {
+      return (
+        <>
+          <RecoveryCodesList codes={backupCodes} description={BACKUP_CODES_DESCRIPTION} />
+          <button type="button" onClick={() => setBackupCodes(null)} className={buttonClass}>
+            Done
+          </button>
+        </>
+      )
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={enable} className="space-y-4">
+          <p className="text-sm text-text-secondary">
+            Add Gym Pad to your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <a
+            href={setup.otpauthUri}
+            className="inline-block text-sm text-accent hover:text-accent-hover transition-colors"
+          >
+            Open in authenticator app
+          </a>
+          <p className="text-sm text-text-muted">
+            Or enter this key by hand:{' '}
+            <span className="font-mono text-text-primary break-all">{formatSecret(setup.secret)}</span>
+          </p>
+          <label className="block text-sm text-text-secondary">
+            Code from the app
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={`${inputClass} mt-1 font-mono`}
+              required
+            />
+          </label>
+          <div className="flex gap-2">
+            <button type="submit" disabled={isWorking} className={buttonClass}>
+              Turn on
+            </button>
+            <button type="button" onClick={() => setSetup(null)} className={buttonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )
+    }
+
+    const passwordField = (
+      <label className="block text-sm text-text-secondary">
+        Password
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className={`${inputClass} mt-1`}
+          required
+        />
+      </label>
+    )
+
+    if (data?.enabled) {
+      return (
+        <div className="space-y-4">
+          {passwordField}
+          <div className="flex flex-wrap gap-2">
+            <button type="button" onClick={regenerate} disabled={isWorking || !password} className={buttonClass}>
+              New backup codes
+            </button>
+            <button
+              type="button"
+              onClick={disable}
+              disabled={isWorking || !password}
+              className={`${buttonClass} hover:text-red-400`}
+            >
+              Turn off
+            </button>
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <form onSubmit={startSetup} className="space-y-4">
+        {passwordField}
+        <button type="submit" disabled={isWorking} className={buttonClass}>
+          Set up two-factor
+        </button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="bg-surface border border-border rounded-xl p-4 mb-6 space-y-4">
+      <div>
+        <div className="flex items-center gap-2">
+          <ShieldCheckIcon className="h-5 w-5 text-text-muted" />
+          <h2 className="text-lg font-semibold text-text-primary">Two-factor authentication</h2>
+        </div>
+        <p className="text-sm text-text-muted mt-1">
+          {!data
+            ? 'Loading...'
+            : data.enabled
+              ? `On. You have ${data.backupCodesRemaining} backup code${data.backupCodesRemaining === 1 ? '' : 's'} left.`
+              : 'Off. Turn it on to ask for a code from an authenticator app when you sign in.'}
+        </p>
+      </div>
+
+      {data && renderBody()}
+    </div>
+  )
+}
+
+TwoFactorSettings.propTypes = {
+  onError: PropTypes.func,
+  onChange: PropTypes.func,
+}
+
+export default TwoFactorSettings
@@ -12,8 +12,10 @@ import {
   ResponsiveContainer,
   Cell
 } from 'recharts'
-import { TrendingUp, Activity, Scale } from 'lucide-react'
+import { TrendingUp, Activity, Scale, HeartPulse } from 'lucide-react'
 import { formatVolume, getBalanceStatus } from '@/lib/volume-analytics'
+import { formatDistance, formatDuration } from '@/lib/tracking-modes'
+import { DEFAULT_WEIGHT_UNIT, formatWeight } from '@/lib/units'
 
 /**
  * Color palette for muscle groups
@@ -35,7 +37,7 @@ const MUSCLE_COLORS = {
 /**
  * Weekly Volume Trend Chart
  */
-function WeeklyTrendChart({ data }) {
+function WeeklyTrendChart({ data, weightUnit }) {
   if (!data || data.length === 0) {
     return (
       <div className="h-48 flex items-center justify-center text-gray-500">
@@ -74,7 +76,7 @@ function WeeklyTrendChart({ data }) {
               borderRadius: '0.5rem',
               color: '#F9FAFB'
             }}
-            formatter={(value) => [`${value.toLocaleString()} kg`, 'Volume']}
+            formatter={(value) => [formatWeight(value, weightUnit), 'Volume']}
             labelFormatter={(label) => `Week ${label}`}
           />
           <Area
@@ -91,13 +93,66 @@ function WeeklyTrendChart({ data }) {
 }
 
 WeeklyTrendChart.propTypes = {
+  data: PropTypes.array,
+  weightUnit: PropTypes.string
+}
+
+/**
+ * Weekly cardio minutes, counted in the training load next to volume
+ */
+function WeeklyCardioChart({ data }) {
+  const chartData = (data || []).map((week) => ({
+    label: week.label,
+    minutes: Math.round((week.cardio?.durationSeconds || 0) / 60),
+    cardio: week.cardio
+  }))
+
+  return (
+    <div className="h-48">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={chartData} margin={{ top: 10, right: 0, bottom: 0, left: 0 }}>
+          <XAxis
+            dataKey="label"
+            tick={{ fill: '#9ca3af', fontSize: 12 }}
+            axisLine={{ stroke: '#374151' }}
+            tickLine={false}
+          />
+          <YAxis
+            tick={{ fill: '#9ca3af', fontSize: 12 }}
+            axisLine={false}
+            tickLine={false}
+            width={50}
+          />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: '#1a1a1a',
+              borderColor: '#374151',
+              borderRadius: '0.5rem',
+              color: '#F9FAFB'
+            }}
+            formatter={(value, name, { payload }) => [
+              payload.cardio?.distanceMeters > 0
+                ? `${formatDuration(payload.cardio.durationSeconds)} · ${formatDistance(payload.cardio.distanceMeters)}`
+                : formatDuration(payload.cardio?.durationSeconds),
+              'Cardio'
+            ]}
+            labelFormatter={(label) => `Week ${label}`}
+          />
+          <Bar dataKey="minutes" fill="#F43F5E" radius={[4, 4, 0, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+WeeklyCardioChart.propTypes = {
   data: PropTypes.array
 }
 
 /**
  * Volume by Muscle Group Chart
  */
-function MuscleBreakdownChart({ data }) {
+function MuscleBreakdownChart({ data, weightUnit }) {
   if (!data || Object.keys(data).length === 0) {
     return (
       <div className="h-48 flex items-center justify-center text-gray-500">
@@ -133,7 +188,7 @@ function MuscleBreakdownChart({ data }) {
               />
             </div>
             <span className="w-20 text-sm text-gray-300 text-right tabular-nums">
-              {volume.toLocaleString()} kg
+              {formatWeight(volume, weightUnit)}
             </span>
           </div>
         )
@@ -143,7 +198,8 @@ function MuscleBreakdownChart({ data }) {
 }
 
 MuscleBreakdownChart.propTypes = {
-  data: PropTypes.object
+  data: PropTypes.object,
+  weightUnit: PropTypes.string
 }
 
 /**
@@ -251,11 +307,13 @@ BalanceIndicator.propTypes = {
 /**
  * Main VolumeCharts Component
  */
-function VolumeCharts({ volumeData }) {
+function VolumeCharts({ volumeData, weightUnit = DEFAULT_WEIGHT_UNIT }) {
   if (!volumeData) return null
 
   const { weeklyTrend, thisWeek, balance } = volumeData
   const hasData = weeklyTrend?.length > 0 || Object.keys(thisWeek?.byMuscle || {}).length > 0
+  // Weeks with only cardio are in weeklyTrend too, with no volume
+  const hasCardio = weeklyTrend?.some((week) => week.cardio?.sessions > 0)
 
   return (
     <div className="space-y-4">
@@ -265,10 +323,15 @@ function VolumeCharts({ volumeData }) {
         <h2 className="text-lg font-semibold text-white">Volume Analytics</h2>
         {thisWeek && (
           <span className="ml-auto text-sm text-gray-400">
-            This week: <span className="text-white font-medium">{thisWeek.total.toLocaleString()} kg</span>
+            This week: <span className="text-white font-medium">{formatWeight(thisWeek.total, weightUnit)}</span>
             {thisWeek.workoutCount > 0 && (
               <span className="text-gray-500"> ({thisWeek.workoutCount} workouts)</span>
             )}
+            {thisWeek.cardio?.sessions > 0 && (
+              <span className="text-gray-500">
+                {' '}+ <span className="text-white font-medium">{formatDuration(thisWeek.cardio.durationSeconds)}</span> cardio
+              </span>
+            )}
           </span>
         )}
       </div>
@@ -289,7 +352,7 @@ function VolumeCharts({ volumeData }) {
               <TrendingUp className="h-4 w-4 text-blue-400" />
               <h3 className="font-medium text-white">Weekly Volume Trend</h3>
             </div>
-            <WeeklyTrendChart data={weeklyTrend} />
+            <WeeklyTrendChart data={weeklyTrend} weightUnit={weightUnit} />
           </div>
 
           {/* Muscle Breakdown */}
@@ -298,9 +361,20 @@ function VolumeCharts({ volumeData }) {
               <Activity className="h-4 w-4 text-emerald-400" />
               <h3 className="font-medium text-white">This Week by Muscle</h3>
             </div>
-            <MuscleBreakdownChart data={thisWeek?.byMuscle} />
+            <MuscleBreakdownChart data={thisWeek?.byMuscle} weightUnit={weightUnit} />
           </div>
 
+          {/* Weekly Cardio - Full width */}
+          {hasCardio && (
+            <div className="bg-[#1a1a1a] border border-gray-700 rounded-xl p-4 lg:col-span-2">
+              <div className="flex items-center gap-2 mb-4">
+                <HeartPulse className="h-4 w-4 text-rose-400" />
+                <h3 className="font-medium text-white">Weekly Cardio (minutes)</h3>
+              </div>
+              <WeeklyCardioChart data={weeklyTrend} />
+            </div>
+          )}
+
           {/* Balance Indicator - Full width on mobile */}
           <div className="bg-[#1a1a1a] border border-gray-700 rounded-xl p-4 lg:col-span-2">
             <div className="flex items-center gap-2 mb-4">
@@ -321,10 +395,17 @@ VolumeCharts.propTypes = {
     thisWeek: PropTypes.shape({
       total: PropTypes.number,
       byMuscle: PropTypes.object,
-      workoutCount: PropTypes.number
+      workoutCount: PropTypes.number,
+      cardio: PropTypes.shape({
+        sessions: PropTypes.number,
+        durationSeconds: PropTypes.number,
+        distanceMeters: PropTypes.number,
+        calories: PropTypes.number
+      })
     }),
     balance: PropTypes.object
-  })
+  }),
+  weightUnit: PropTypes.string
 }
 
 export default VolumeCharts
@@ -0,0 +1,126 @@
+'use client'
+
+import PropTypes from 'prop-types'
+import useSWR from 'swr'
+import { SearchIcon, XIcon } from 'lucide-react'
+
+const fetcher = (url) => fetch(url).then((res) => res.json())
+
+const inputClass =
+  'w-full px-3 py-2 bg-surface border border-border rounded-lg text-text-primary placeholder-text-muted focus:outline-none focus:border-accent min-h-[44px]'
+
+const labelClass = 'block text-xs text-text-muted'
+
+export const EMPTY_WORKOUT_FILTERS = {
+  q: '',
+  exercise: '',
+  status: '',
+  templateId: '',
+  from: '',
+  to: '',
+}
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Any status' },
+  { value: 'COMPLETED', label: 'Completed' },
+  { value: 'DRAFT', label: 'Draft' },
+  { value: 'CANCELLED', label: 'Cancelled' },
+]
+
+/**
+ * WorkoutFilters Component
+ *
+ * Search box and filters for the workout list: text in the title or notes,
+ * an exercise name, status, template and date range.
+ */
+const WorkoutFilters = ({ filters, onChange }) => {
+  const { data: templates } = useSWR('/api/templates', fetcher)
+
+  const isFiltered = Object.values(filters).some(Boolean)
+
+  const update = (key) => (e) => onChange({ ...filters, [key]: e.target.value })
+
+  return (
+    <div className="space-y-3 mb-6">
+      <div className="relative">
+        <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-text-muted" />
+        <input
+          type="search"
+          value={filters.q}
+          onChange={update('q')}
+          placeholder="Search titles and notes"
+          aria-label="Search workouts"
+          className={`${inputClass} pl-9`}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <label className={labelClass}>
+          Exercise
+          <input
+            type="text"
+            value={filters.exercise}
+            onChange={update('exercise')}
+            placeholder="e.g. Squat"
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className={labelClass}>
+          Status
+          <select value={filters.status} onChange={update('status')} className={`${inputClass} mt-1`}>
+            {STATUS_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={labelClass}>
+          Template
+          <select value={filters.templateId} onChange={update('templateId')} className={`${inputClass} mt-1`}>
+            <option value="">Any template</option>
+            {Array.isArray(templates) &&
+              templates.map((template) => (
+                <option key={template.id} value={template.id}>
+                  {template.name}
+                </option>
+              ))}
+          </select>
+        </label>
+        <label className={labelClass}>
+          From
+          <input type="date" value={filters.from} onChange={update('from')} className={`${inputClass} mt-1`} />
+        </label>
+        <label className={labelClass}>
+          To
+          <input type="date" value={filters.to} onChange={update('to')} className={`${inputClass} mt-1`} />
+        </label>
+      </div>
+
+      {isFiltered && (
+        <button
+          type="button"
+          onClick={() => onChange(EMPTY_WORKOUT_FILTERS)}
+          className="flex items-center text-sm text-text-muted hover:text-text-primary transition-colors"
+        >
+          <XIcon className="h-4 w-4 mr-1" />
+          Clear filters
+        </button>
+      )}
+    </div>
+  )
+}
+
+WorkoutFilters.propTypes = {
+  filters: PropTypes.shape({
+    q: PropTypes.string,
+    exercise: PropTypes.string,
+    status: PropTypes.string,
+    templateId: PropTypes.string,
+    from: PropTypes.string,
+    to: PropTypes.string,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+}
+
+export default WorkoutFilters
@@ -2,6 +2,10 @@
 
 import { createContext, useContext, useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
+import { API_CACHE_NAME } from '@/lib/offline-queue'
+import { normalizeWeightUnit } from '@/lib/units'
+import { DEFAULT_REST_SECONDS } from '@/lib/live-workout'
+import { DEFAULT_WEEK_START_DAY } from '@/lib/dateUtils'
 
 const AuthContext = createContext({})
 
@@ -82,6 +86,30 @@ export function AuthProvider({ children }) {
     }
   }
 
+  const updatePreferences = async (changes) => {
+    try {
+      const response = await fetch('/api/auth/me', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+        credentials: 'include'
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.details?.[0] || data.error || 'Failed to update preferences')
+      }
+
+      setUser(data.user)
+      return { success: true, user: data.user }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
   const logout = async () => {
     try {
       await fetch('/api/auth/logout', {
@@ -91,6 +119,10 @@ export function AuthProvider({ children }) {
     } catch (error) {
       console.error('Logout error:', error)
     } finally {
+      // Don't leave this user's cached API responses behind for the next one
+      if (typeof caches !== 'undefined') {
+        caches.delete(API_CACHE_NAME).catch(() => {})
+      }
       setUser(null)
       router.push('/')
       router.refresh()
@@ -105,9 +137,14 @@ export function AuthProvider({ children }) {
     user,
     isLoading,
     isAuthenticated: !!user,
+    weightUnit: normalizeWeightUnit(user?.weightUnit),
+    defaultRestSeconds: user?.defaultRestSeconds || DEFAULT_REST_SECONDS,
+    weekStartDay: user?.weekStartDay ?? DEFAULT_WEEK_START_DAY,
+    timeZone: user?.timeZone || null,
     login,
     register,
     logout,
+    updatePreferences,
     refreshAuth: checkAuth
   }
 
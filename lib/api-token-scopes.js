@@ -0,0 +1,18 @@
+/**
+ * API Token Scopes
+ *
+ * What a personal access token may do, shared by the server and the settings
+ * page. Endpoints name the scope they need when calling requireAuth; those
+ * that don't (account and settings endpoints) only accept a session.
+ */
+
+export const API_TOKEN_SCOPES = {
+  'workouts:read': 'Read workouts, exercises and history',
+  'workouts:write': 'Create, edit, import and delete workouts',
+  'insights:read': 'Read insights and personal records'
+}
+
+// Lifetimes offered when creating a token
+export const API_TOKEN_EXPIRY_DAYS = [7, 30, 90, 365]
+
+export const MAX_API_TOKEN_EXPIRY_DAYS = 365
@@ -0,0 +1,125 @@
+/**
+ * Personal API Tokens
+ *
+ * Named, scoped and expiring tokens for scripting against your own data,
+ * sent as "Authorization: Bearer gp_...". Like session tokens they are 256
+ * random bits and only their SHA-256 hash is stored, so a token is shown once
+ * when created and can't be recovered.
+ */
+
+import { randomBytes } from 'crypto'
+import { hashSessionToken, USER_PROFILE_SELECT } from './auth.js'
+
+// Marks the string as a Gym Pad token, e.g. for secret scanners
+export const API_TOKEN_PREFIX = 'gp_'
+
+// Last-used time is only written once this much time has passed
+const API_TOKEN_TOUCH_INTERVAL_MS = 5 * 60 * 1000
+
+// Token fields shown in settings; never the hash
+const API_TOKEN_SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true
+}
+
+/**
+ * Generate a new token
+ * @returns {string} gp_ followed by 43 URL-safe characters
+ */
+export function generateApiToken() {
+  return `${API_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`
+}
+
+/**
+ * The token in an Authorization header
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Bearer token, or null when there isn't one
+ */
+export function getBearerToken(request) {
+  const header = request.headers.get('authorization')
+  const match = header?.match(/^Bearer\s+(\S+)\s*$/i)
+  return match ? match[1] : null
+}
+
+/**
+ * Create a token
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the token
+ * @param {Object} options - { name, scopes, expiresInDays }, already validated
+ * @returns {Promise<Object>} Token summary plus `token`, which can't be shown again
+ */
+export async function createApiToken(db, userId, { name, scopes, expiresInDays }) {
+  const token = generateApiToken()
+
+  const apiToken = await db.apiToken.create({
+    data: {
+      userId,
+      name: name.trim(),
+      tokenHash: hashSessionToken(token),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    },
+    select: API_TOKEN_SUMMARY_SELECT
+  })
+
+  return { ...apiToken, token }
+}
+
+/**
+ * A user's tokens, newest first, including expired ones until revoked
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the tokens
+ * @returns {Promise<Array>} Token summaries
+ */
+export async function listApiTokens(db, userId) {
+  return db.apiToken.findMany({
+    where: { userId },
+    select: API_TOKEN_SUMMARY_SELECT,
+    orderBy: { createdAt: 'desc' }
+  })
+}
+
+/**
+ * Delete one of a user's tokens
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the token
+ * @param {number} id - Token to delete
+ * @returns {Promise<boolean>} false when the user has no such token
+ */
+export async function revokeApiToken(db, userId, id) {
+  const { count } = await db.apiToken.deleteMany({ where: { id, userId } })
+  return count > 0
+}
+
+/**
+ * Look up the user a token belongs to
+ * @param {Object} db - Prisma client
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object|null>} { apiToken, user }, or null when unknown or expired
+ */
+export async function authenticateApiToken(db, token) {
+  if (!token?.startsWith(API_TOKEN_PREFIX)) return null
+
+  const apiToken = await db.apiToken.findUnique({
+    where: { tokenHash: hashSessionToken(token) },
+    include: { user: { select: USER_PROFILE_SELECT } }
+  })
+  if (!apiToken) return null
+
+  const now = Date.now()
+  if (apiToken.expiresAt.getTime() < now) return null
+
+  if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt.getTime() >= API_TOKEN_TOUCH_INTERVAL_MS) {
+    await db.apiToken.update({
+      where: { id: apiToken.id },
+      data: { lastUsedAt: new Date(now) }
+    })
+  }
+
+  const { user, ...rest } = apiToken
+  return { apiToken: rest, user }
+}
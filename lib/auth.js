@@ -1,6 +1,43 @@
 import bcrypt from 'bcryptjs';
+import { createHash, randomBytes } from 'crypto';
 import { prisma } from './prisma.js';
 
+// User fields the app sees: the profile and the user's settings
+export const USER_PROFILE_SELECT = {
+  id: true,
+  username: true,
+  name: true,
+  weightUnit: true,
+  defaultRestSeconds: true,
+  weekStartDay: true,
+  timeZone: true
+};
+
+// Sessions slide: each use pushes expiry out again, so only idle logins expire
+export const SESSION_MAX_AGE_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// A session's token is swapped for a new one when used after this long
+const SESSION_ROTATE_AFTER_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// The replaced token keeps working briefly for requests already in flight
+const SESSION_ROTATION_GRACE_MS = 60 * 1000; // 1 minute
+
+// Last-used time and expiry are only written once this much time has passed
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Session fields shown in the list of active logins; never the token
+const SESSION_SUMMARY_SELECT = {
+  id: true,
+  userAgent: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+export function toUserProfile(user) {
+  return Object.fromEntries(Object.keys(USER_PROFILE_SELECT).map((key) => [key, user[key]]));
+}
+
 export async function hashPassword(password) {
   return await bcrypt.hash(password, 10);
 }
@@ -9,20 +46,39 @@ export async function verifyPassword(password, hashedPassword) {
   return await bcrypt.compare(password, hashedPassword);
 }
 
-export async function createSession(userId) {
+export function getSessionCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: SESSION_MAX_AGE_SECONDS,
+    path: '/'
+  };
+}
+
+function getSessionExpiry(now = Date.now()) {
+  return new Date(now + SESSION_MAX_AGE_SECONDS * 1000);
+}
+
+/**
+ * Start a session. Only a hash of the token is stored; the returned session
+ * carries the token itself for the cookie, and it can't be recovered later.
+ */
+export async function createSession(userId, { userAgent = null } = {}) {
   try {
     const token = generateSessionToken();
-    const expiresAt = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000); // 1 year
+    const expiresAt = getSessionExpiry();
     
     const session = await prisma.session.create({
       data: {
         userId,
-        token,
-        expiresAt
+        tokenHash: hashSessionToken(token),
+        expiresAt,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null
       }
     });
     
-    return session;
+    return { ...session, token };
   } catch (error) {
     console.error('Database error in createSession:', error);
     if (error.code === 'P1001' || error.message.includes('connect')) {
@@ -32,33 +88,96 @@ export async function createSession(userId) {
   }
 }
 
+/**
+ * Look up the session for a token, sliding its expiry and rotating its token
+ * when due. Returns { session, user }, plus `token` when the token was
+ * rotated and the caller must send the new one back to the client.
+ */
 export async function validateSession(token) {
   if (!token) return null;
   
   try {
-    const session = await prisma.session.findUnique({
-      where: { token },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            name: true
-          }
-        }
+    const include = {
+      user: {
+        select: USER_PROFILE_SELECT
       }
+    };
+    const now = Date.now();
+    const tokenHash = hashSessionToken(token);
+
+    let session = await prisma.session.findUnique({
+      where: { tokenHash },
+      include
     });
-    
-    if (!session || session.expiresAt < new Date()) {
-      if (session) {
-        await prisma.session.delete({ where: { id: session.id } });
+    let isPreviousToken = false;
+
+    if (!session) {
+      // A request sent just before the token was rotated
+      session = await prisma.session.findUnique({
+        where: { previousTokenHash: tokenHash },
+        include
+      });
+      if (!session || now - session.rotatedAt.getTime() > SESSION_ROTATION_GRACE_MS) {
+        return null;
       }
+      isPreviousToken = true;
+    }
+    
+    if (session.expiresAt.getTime() < now) {
+      await prisma.session.delete({ where: { id: session.id } });
       return null;
     }
+
+    if (isPreviousToken || now - session.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL_MS) {
+      return {
+        session,
+        user: session.user
+      };
+    }
+
+    const data = {
+      lastUsedAt: new Date(now),
+      expiresAt: getSessionExpiry(now)
+    };
+
+    if (now - session.rotatedAt.getTime() >= SESSION_ROTATE_AFTER_MS) {
+      const rotatedToken = generateSessionToken();
+
+      // Parallel requests all try to rotate; only the one that still finds
+      // the old token stored hands out a new one
+      const { count } = await prisma.session.updateMany({
+        where: { id: session.id, tokenHash: session.tokenHash },
+        data: {
+          ...data,
+          tokenHash: hashSessionToken(rotatedToken),
+          previousTokenHash: session.tokenHash,
+          rotatedAt: new Date(now)
+        }
+      });
+
+      // The others carry on with the old token, now inside its grace period
+      const current = await prisma.session.findUnique({
+        where: { id: session.id },
+        include
+      });
+      if (!current) return null;
+
+      return {
+        session: current,
+        user: current.user,
+        ...(count === 1 && { token: rotatedToken })
+      };
+    }
+
+    const updated = await prisma.session.update({
+      where: { id: session.id },
+      data,
+      include
+    });
     
     return {
-      session,
-      user: session.user
+      session: updated,
+      user: updated.user
     };
   } catch (error) {
     console.error('Database error in validateSession:', error);
@@ -74,7 +193,7 @@ export async function deleteSession(token) {
   
   try {
     await prisma.session.deleteMany({
-      where: { token }
+      where: { tokenHash: hashSessionToken(token) }
     });
   } catch (error) {
     console.error('Database error in deleteSession:', error);
@@ -85,6 +204,80 @@ export async function deleteSession(token) {
   }
 }
 
+export async function listSessions(userId) {
+  try {
+    return await prisma.session.findMany({
+      where: {
+        userId,
+        expiresAt: { gt: new Date() }
+      },
+      select: SESSION_SUMMARY_SELECT,
+      orderBy: { lastUsedAt: 'desc' }
+    });
+  } catch (error) {
+    console.error('Database error in listSessions:', error);
+    if (error.code === 'P1001' || error.message.includes('connect')) {
+      throw new Error('Database connection failed');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} false when the user has no session with that id
+ */
+export async function revokeSession(userId, sessionId) {
+  try {
+    const { count } = await prisma.session.deleteMany({
+      where: { id: sessionId, userId }
+    });
+    return count > 0;
+  } catch (error) {
+    console.error('Database error in revokeSession:', error);
+    if (error.code === 'P1001' || error.message.includes('connect')) {
+      throw new Error('Database connection failed');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke every session of a user except the one making the request
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeOtherSessions(userId, currentSessionId) {
+  try {
+    const { count } = await prisma.session.deleteMany({
+      where: {
+        userId,
+        id: { not: currentSessionId }
+      }
+    });
+    return count;
+  } catch (error) {
+    console.error('Database error in revokeOtherSessions:', error);
+    if (error.code === 'P1001' || error.message.includes('connect')) {
+      throw new Error('Database connection failed');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Re-check a signed-in user's password before a sensitive change
+ */
+export async function verifyUserPassword(userId, password) {
+  if (!password) return false;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { password: true }
+  });
+
+  return Boolean(user) && await verifyPassword(password, user.password);
+}
+
 export async function authenticateUser(username, password) {
   try {
     const user = await prisma.user.findUnique({
@@ -97,9 +290,8 @@ export async function authenticateUser(username, password) {
     if (!isValid) return null;
     
     return {
-      id: user.id,
-      username: user.username,
-      name: user.name
+      ...toUserProfile(user),
+      twoFactorEnabled: Boolean(user.totpEnabledAt)
     };
   } catch (error) {
     console.error('Database error in authenticateUser:', error);
@@ -110,11 +302,12 @@ export async function authenticateUser(username, password) {
   }
 }
 
+// 256 bits from the OS CSPRNG, URL-safe for the cookie
 function generateSessionToken() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < 32; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
+  return randomBytes(32).toString('base64url');
+}
+
+// Tokens are random and high-entropy, so a fast unsalted hash is enough
+export function hashSessionToken(token) {
+  return createHash('sha256').update(token).digest('hex');
 }
\ No newline at end of file
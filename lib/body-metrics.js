@@ -0,0 +1,167 @@
+/**
+ * Body Metrics
+ *
+ * Users log their bodyweight (with an optional body-fat percentage) at most
+ * once a day, and tape measurements once a day per site. Weights are stored in kg
+ * and measurements in cm. Bodyweight also counts towards the volume of
+ * bodyweight exercises, using the weight logged closest before the workout.
+ */
+
+import { findExerciseTemplate } from './exercise-library.js'
+
+/**
+ * Body sites a tape measurement can be logged for
+ */
+export const MEASUREMENT_SITES = [
+  'neck',
+  'shoulders',
+  'chest',
+  'arms',
+  'forearms',
+  'waist',
+  'hips',
+  'thighs',
+  'calves'
+]
+
+/**
+ * Library category of exercises that move the lifter's own bodyweight
+ */
+export const BODYWEIGHT_CATEGORY = 'Bodyweight'
+
+/**
+ * Display name of a measurement site
+ * @param {string} site - One of MEASUREMENT_SITES
+ * @returns {string} Capitalized site name
+ */
+export function formatMeasurementSite(site) {
+  if (!site) return ''
+  return site.charAt(0).toUpperCase() + site.slice(1)
+}
+
+/**
+ * Turn a request date into the day it is logged under
+ * @param {string|Date} value - 'YYYY-MM-DD' string, ISO string or Date
+ * @returns {Date|null} Midnight UTC of that day, or null if the date is invalid
+ */
+export function toMetricDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  if (isNaN(date)) return null
+  return new Date(`${date.toISOString().slice(0, 10)}T00:00:00.000Z`)
+}
+
+/**
+ * Find the bodyweight that applies on a date: the latest entry on or before
+ * it, or the first entry ever logged for workouts before that
+ * @param {Array} entries - WeightEntry records, oldest first
+ * @param {Date|string} date - Workout date
+ * @returns {number|null} Bodyweight in the entries' unit, or null without any entries
+ */
+export function getBodyweightOn(entries, date) {
+  if (!entries || entries.length === 0) return null
+
+  const target = new Date(date).getTime()
+  let weight = entries[0].weight
+  for (const entry of entries) {
+    if (new Date(entry.date).getTime() > target) break
+    weight = entry.weight
+  }
+  return weight
+}
+
+/**
+ * Check whether a logged exercise is a bodyweight exercise: assisted, or in
+ * the library's Bodyweight category
+ * @param {Object} exercise - Exercise ({ name, exerciseTemplateId, trackingMode })
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {boolean} true for assisted exercises and exercises in the Bodyweight category
+ */
+export function isBodyweightExercise(exercise, library) {
+  if (exercise?.trackingMode === 'ASSISTED') return true
+
+  const entry = library?.byId.get(exercise?.exerciseTemplateId) || findExerciseTemplate(library, exercise?.name)
+  return entry?.category?.toLowerCase() === BODYWEIGHT_CATEGORY.toLowerCase()
+}
+
+/**
+ * Attach the lifter's bodyweight to the bodyweight exercises of each workout
+ * so volume calculations count it
+ * @param {Array} workouts - Workouts with exercises
+ * @param {Array} weightEntries - WeightEntry records, oldest first
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {Array} Workouts whose bodyweight exercises have a bodyweight field
+ */
+export function applyBodyweight(workouts, weightEntries, library) {
+  if (!workouts || !weightEntries || weightEntries.length === 0) return workouts || []
+
+  return workouts.map((workout) => ({
+    ...workout,
+    exercises: (workout.exercises || []).map((exercise) =>
+      isBodyweightExercise(exercise, library)
+        ? { ...exercise, bodyweight: getBodyweightOn(weightEntries, workout.date) }
+        : exercise
+    )
+  }))
+}
+
+/**
+ * Round a metric to one decimal place
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundMetric(value) {
+  return Math.round(value * 10) / 10
+}
+
+/**
+ * Latest value of each measurement site and its change over the period
+ * @param {Array} measurements - BodyMeasurement records, oldest first
+ * @param {Date} since - Start of the period the change is measured over
+ * @returns {Array} [{ site, value, date, change }] in MEASUREMENT_SITES order
+ */
+export function summarizeMeasurements(measurements, since) {
+  const bySite = new Map()
+  const start = new Date(since).getTime()
+
+  ;(measurements || []).forEach((measurement) => {
+    const summary = bySite.get(measurement.site) || { site: measurement.site, first: null }
+    if (summary.first === null && new Date(measurement.date).getTime() >= start) {
+      summary.first = measurement.value
+    }
+    summary.value = measurement.value
+    summary.date = measurement.date
+    bySite.set(measurement.site, summary)
+  })
+
+  return MEASUREMENT_SITES
+    .filter((site) => bySite.has(site))
+    .map((site) => {
+      const { value, date, first } = bySite.get(site)
+      return {
+        site,
+        value,
+        date,
+        change: first === null ? null : roundMetric(value - first)
+      }
+    })
+}
+
+/**
+ * Summarize body metrics for the insights page
+ * @param {Array} weightEntries - WeightEntry records, oldest first
+ * @param {Array} measurements - BodyMeasurement records, oldest first
+ * @param {Date} since - Start of the period measurement changes are measured over
+ * @returns {Object} { latest, measurements }
+ */
+export function summarizeBodyMetrics(weightEntries, measurements, since) {
+  const entries = weightEntries || []
+  const latest = entries[entries.length - 1]
+
+  return {
+    latest: latest
+      ? { date: latest.date, weight: latest.weight, bodyFat: latest.bodyFat ?? null }
+      : null,
+    measurements: summarizeMeasurements(measurements, since)
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Cardio
+ *
+ * Conditioning work (runs, rows, bike sessions, intervals) is logged as
+ * cardio entries, either on their own or attached to a workout. An entry
+ * records its activity and duration, and optionally a distance, average heart
+ * rate, calories and the intervals it was done in. Cardio counts towards the
+ * weekly training load as time, distance and calories next to lifting volume.
+ */
+
+import { formatDistance, formatDuration } from './tracking-modes.js'
+
+/**
+ * Valid activity types, matching the CardioActivity enum in prisma/schema.prisma
+ */
+export const CARDIO_ACTIVITIES = [
+  'RUN',
+  'WALK',
+  'CYCLE',
+  'ROW',
+  'SWIM',
+  'ELLIPTICAL',
+  'STAIR_CLIMBER',
+  'JUMP_ROPE',
+  'SKI_ERG',
+  'HIIT',
+  'OTHER'
+]
+
+export const CARDIO_ACTIVITY_LABELS = {
+  RUN: 'Run',
+  WALK: 'Walk',
+  CYCLE: 'Cycle',
+  ROW: 'Row',
+  SWIM: 'Swim',
+  ELLIPTICAL: 'Elliptical',
+  STAIR_CLIMBER: 'Stair climber',
+  JUMP_ROPE: 'Jump rope',
+  SKI_ERG: 'Ski erg',
+  HIIT: 'HIIT',
+  OTHER: 'Other'
+}
+
+/**
+ * Prisma include for an entry's intervals in order
+ */
+export const CARDIO_INTERVALS_INCLUDE = {
+  intervals: {
+    orderBy: {
+      orderIndex: 'asc'
+    }
+  }
+}
+
+/**
+ * Prisma include for the cardio entries attached to a workout
+ */
+export const WORKOUT_CARDIO_INCLUDE = {
+  cardioEntries: {
+    orderBy: {
+      date: 'asc'
+    },
+    include: CARDIO_INTERVALS_INCLUDE
+  }
+}
+
+/**
+ * Convert intervals from a request into CardioInterval rows
+ * @param {Array} intervals - Intervals as sent by the client ({ durationSeconds, distanceMeters, restSeconds, avgHeartRate })
+ * @returns {Array} CardioInterval create data in order
+ */
+export function buildCardioIntervalsCreateData(intervals) {
+  return (intervals || []).map((interval, index) => ({
+    orderIndex: index,
+    durationSeconds: interval.durationSeconds,
+    distanceMeters: interval.distanceMeters ?? null,
+    restSeconds: interval.restSeconds ?? null,
+    avgHeartRate: interval.avgHeartRate ?? null
+  }))
+}
+
+/**
+ * Fields of a cardio entry from a request, without its owner, date or intervals
+ * @param {Object} data - Entry as sent by the client
+ * @returns {Object} CardioEntry data
+ */
+export function buildCardioData(data) {
+  return {
+    activityType: data.activityType,
+    durationSeconds: data.durationSeconds,
+    distanceMeters: data.distanceMeters ?? null,
+    avgHeartRate: data.avgHeartRate ?? null,
+    calories: data.calories ?? null,
+    notes: data.notes || null
+  }
+}
+
+/**
+ * Build the Prisma create data for a cardio entry and its intervals
+ * @param {Object} data - Entry as sent by the client
+ * @param {Object} options
+ * @param {number} options.userId - Owner of the entry
+ * @param {Date} options.date - When the cardio was done
+ * @param {number} [options.workoutId] - Workout the entry is attached to; leave it out
+ *   for standalone entries and entries created through their workout
+ * @returns {Object} CardioEntry create data
+ */
+export function buildCardioCreateData(data, { userId, date, workoutId = null }) {
+  return {
+    userId,
+    ...(workoutId && { workoutId }),
+    date,
+    ...buildCardioData(data),
+    intervals: {
+      create: buildCardioIntervalsCreateData(data.intervals)
+    }
+  }
+}
+
+/**
+ * Total time, distance and calories of some cardio entries
+ * @param {Array} entries - Cardio entries
+ * @returns {Object} { sessions, durationSeconds, distanceMeters, calories }
+ */
+export function summarizeCardio(entries) {
+  return (entries || []).reduce(
+    (summary, entry) => ({
+      sessions: summary.sessions + 1,
+      durationSeconds: summary.durationSeconds + (entry.durationSeconds || 0),
+      distanceMeters: summary.distanceMeters + (entry.distanceMeters || 0),
+      calories: summary.calories + (entry.calories || 0)
+    }),
+    { sessions: 0, durationSeconds: 0, distanceMeters: 0, calories: 0 }
+  )
+}
+
+/**
+ * Describe a cardio entry, e.g. "Run · 5 km in 25:00" or "HIIT · 20:00"
+ * @param {Object} entry - Cardio entry
+ * @returns {string} Entry description
+ */
+export function formatCardioEntry(entry) {
+  const label = CARDIO_ACTIVITY_LABELS[entry?.activityType] || CARDIO_ACTIVITY_LABELS.OTHER
+  const duration = formatDuration(entry?.durationSeconds)
+
+  return entry?.distanceMeters > 0
+    ? `${label} · ${formatDistance(entry.distanceMeters)} in ${duration}`
+    : `${label} · ${duration}`
+}
@@ -0,0 +1,772 @@
+/**
+ * Account Data Export
+ *
+ * Serializes everything a user has logged — workouts with their exercises,
+ * sets, swaps and cardio, plus their own session templates, training
+ * programs, exercise library entries, body metrics, standalone cardio,
+ * preferences and equipment — as a versioned JSON document or a flat
+ * one-row-per-set CSV.
+ * Workouts are read in batches and streamed so large histories never sit in
+ * memory. The JSON document contains no database ids: templates, programs
+ * and library entries are referenced by name, so it restores losslessly into
+ * any account on any instance through restoreExportDocument.
+ */
+
+import {
+  buildExerciseLookup,
+  findExerciseTemplate,
+  visibleExerciseTemplatesWhere
+} from './exercise-library.js'
+import { buildExerciseCreateData } from './exercise-sets.js'
+import { toExerciseGroupFields } from './exercise-groups.js'
+import { markDuplicates } from './workout-import.js'
+import { visibleTemplatesWhere } from './template-access.js'
+import { PROGRAM_INCLUDE, buildProgramDaysCreateData } from './programs.js'
+import { toMetricDate } from './body-metrics.js'
+import { toKg } from './units.js'
+import { getTrackingMode } from './tracking-modes.js'
+import {
+  CARDIO_INTERVALS_INCLUDE,
+  WORKOUT_CARDIO_INCLUDE,
+  buildCardioCreateData
+} from './cardio.js'
+
+export const EXPORT_FORMAT = 'gym-pad-export'
+
+/**
+ * Current JSON export version. Bump it when the document shape changes and
+ * teach restoreExportDocument to read the older versions.
+ *
+ * 2 - Adds programs. Version 1 documents have none and restore without them.
+ */
+export const EXPORT_VERSION = 2
+
+/**
+ * User settings carried in the JSON export
+ */
+export const PREFERENCE_FIELDS = ['weightUnit', 'defaultRestSeconds', 'weekStartDay', 'timeZone']
+
+export const EXPORT_BATCH_SIZE = 100
+
+/**
+ * Columns of the one-row-per-set CSV export
+ */
+export const SET_CSV_COLUMNS = [
+  'workout_date',
+  'workout_title',
+  'workout_status',
+  'workout_duration_seconds',
+  'workout_notes',
+  'template',
+  'exercise_order',
+  'exercise',
+  'library_exercise',
+  'exercise_notes',
+  'rest_seconds',
+  'tracking_mode',
+  'set_order',
+  'set_type',
+  'reps',
+  'weight_kg',
+  'duration_seconds',
+  'distance_meters',
+  'rpe',
+  'completed'
+]
+
+/**
+ * Prisma include for everything exported with a workout
+ */
+export const EXPORT_WORKOUT_INCLUDE = {
+  exercises: {
+    orderBy: {
+      orderIndex: 'asc'
+    },
+    include: {
+      sets: {
+        orderBy: {
+          orderIndex: 'asc'
+        }
+      },
+      exerciseTemplate: {
+        select: {
+          name: true
+        }
+      }
+    }
+  },
+  exerciseSwaps: {
+    orderBy: {
+      createdAt: 'asc'
+    }
+  },
+  ...WORKOUT_CARDIO_INCLUDE
+}
+
+/**
+ * Serialize a workout for the JSON export
+ * @param {Object} workout - Workout record including EXPORT_WORKOUT_INCLUDE
+ * @param {Map} templateNames - Session template names by id
+ * @param {Map} [programNames] - Program names by id
+ * @returns {Object} Workout without database ids
+ */
+export function serializeWorkout(workout, templateNames, programNames = new Map()) {
+  return {
+    title: workout.title,
+    date: new Date(workout.date).toISOString(),
+    duration: workout.duration,
+    notes: workout.notes,
+    status: workout.status,
+    template: (workout.templateId && templateNames.get(workout.templateId)) || null,
+    program: workout.programId && programNames.has(workout.programId)
+      ? {
+          name: programNames.get(workout.programId),
+          week: workout.programWeek,
+          day: workout.programDay
+        }
+      : null,
+    createdAt: new Date(workout.createdAt).toISOString(),
+    exercises: (workout.exercises || []).map((exercise) => ({
+      name: exercise.name,
+      libraryExercise: exercise.exerciseTemplate?.name || null,
+      restSeconds: exercise.restSeconds,
+      notes: exercise.notes,
+      orderIndex: exercise.orderIndex,
+      groupNumber: exercise.groupNumber,
+      groupType: exercise.groupType,
+      trackingMode: exercise.trackingMode,
+      sets: (exercise.sets || []).map((set) => ({
+        reps: set.reps,
+        weight: set.weight,
+        weightUnit: set.weightUnit,
+        durationSeconds: set.durationSeconds,
+        distanceMeters: set.distanceMeters,
+        rpe: set.rpe,
+        setType: set.setType,
+        completed: set.completed
+      }))
+    })),
+    swaps: (workout.exerciseSwaps || []).map((swap) => ({
+      originalExerciseName: swap.originalExerciseName,
+      swappedExerciseName: swap.swappedExerciseName,
+      reason: swap.reason,
+      createdAt: new Date(swap.createdAt).toISOString()
+    })),
+    cardio: (workout.cardioEntries || []).map(serializeCardioEntry)
+  }
+}
+
+/**
+ * Serialize a session template for the JSON export
+ * @param {Object} template - SessionTemplate record including templateExercises
+ * @returns {Object} Template without database ids
+ */
+export function serializeTemplate(template) {
+  return {
+    name: template.name,
+    description: template.description,
+    sharedBy: template.sharedBy,
+    exercises: (template.templateExercises || []).map((exercise) => ({
+      exerciseName: exercise.exerciseName,
+      defaultSets: exercise.defaultSets,
+      defaultReps: exercise.defaultReps,
+      defaultWeight: exercise.defaultWeight,
+      orderIndex: exercise.orderIndex,
+      notes: exercise.notes,
+      restSeconds: exercise.restSeconds,
+      groupNumber: exercise.groupNumber,
+      groupType: exercise.groupType,
+      targetRepRange: exercise.targetRepRange,
+      targetPercentE1RM: exercise.targetPercentE1RM,
+      targetRpe: exercise.targetRpe,
+      muscleGroups: exercise.muscleGroups
+    }))
+  }
+}
+
+/**
+ * Serialize a training program for the JSON export
+ * @param {Object} program - Program record including PROGRAM_INCLUDE
+ * @returns {Object} Program with its days' templates referenced by name
+ */
+export function serializeProgram(program) {
+  return {
+    name: program.name,
+    description: program.description,
+    weeks: program.weeks,
+    days: (program.days || []).map((day) => ({
+      template: day.template?.name || null,
+      label: day.label,
+      overrides: (day.overrides || []).map((override) => ({
+        week: override.week,
+        exerciseName: override.exerciseName,
+        sets: override.sets,
+        reps: override.reps,
+        percentE1RM: override.percentE1RM
+      }))
+    }))
+  }
+}
+
+/**
+ * Serialize one of the user's own exercise library entries
+ * @param {Object} exerciseTemplate - ExerciseTemplate record
+ * @returns {Object} Library entry without database ids
+ */
+export function serializeExerciseTemplate(exerciseTemplate) {
+  return {
+    name: exerciseTemplate.name,
+    aliases: exerciseTemplate.aliases || [],
+    category: exerciseTemplate.category,
+    muscleGroups: exerciseTemplate.muscleGroups,
+    instructions: exerciseTemplate.instructions,
+    trackingMode: exerciseTemplate.trackingMode
+  }
+}
+
+/**
+ * Serialize a bodyweight entry for the JSON export
+ * @param {Object} entry - WeightEntry record
+ * @returns {Object} Entry keyed by its day
+ */
+export function serializeWeightEntry(entry) {
+  return {
+    date: new Date(entry.date).toISOString().slice(0, 10),
+    weight: entry.weight,
+    bodyFat: entry.bodyFat
+  }
+}
+
+/**
+ * Serialize a tape measurement for the JSON export
+ * @param {Object} measurement - BodyMeasurement record
+ * @returns {Object} Measurement keyed by its day and site
+ */
+export function serializeBodyMeasurement(measurement) {
+  return {
+    date: new Date(measurement.date).toISOString().slice(0, 10),
+    site: measurement.site,
+    value: measurement.value
+  }
+}
+
+/**
+ * Serialize a cardio entry and its intervals for the JSON export
+ * @param {Object} entry - CardioEntry record including CARDIO_INTERVALS_INCLUDE
+ * @returns {Object} Entry without database ids
+ */
+export function serializeCardioEntry(entry) {
+  return {
+    activityType: entry.activityType,
+    date: new Date(entry.date).toISOString(),
+    durationSeconds: entry.durationSeconds,
+    distanceMeters: entry.distanceMeters,
+    avgHeartRate: entry.avgHeartRate,
+    calories: entry.calories,
+    notes: entry.notes,
+    intervals: (entry.intervals || []).map((interval) => ({
+      durationSeconds: interval.durationSeconds,
+      distanceMeters: interval.distanceMeters,
+      restSeconds: interval.restSeconds,
+      avgHeartRate: interval.avgHeartRate
+    }))
+  }
+}
+
+/**
+ * Serialize the user's preferences for the JSON export
+ * @param {Object} user - User including the PREFERENCE_FIELDS
+ * @returns {Object} { weightUnit, defaultRestSeconds, weekStartDay, timeZone }
+ */
+export function serializePreferences(user) {
+  return Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, user[field]]))
+}
+
+/**
+ * Serialize an equipment profile for the JSON export
+ * @param {Object|null} profile - EquipmentProfile record, or null without one
+ * @returns {Object|null} Profile in its own unit, or null for the standard equipment
+ */
+export function serializeEquipmentProfile(profile) {
+  if (!profile) return null
+  return {
+    weightUnit: profile.weightUnit,
+    barWeight: profile.barWeight,
+    plates: profile.plates,
+    dumbbellIncrement: profile.dumbbellIncrement,
+    machineIncrement: profile.machineIncrement
+  }
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break. Text
+ * a spreadsheet would run as a formula, or that starts with a tab or
+ * carriage return, gets a leading ' so it stays text; numbers, negative
+ * ones included, are left as they are.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+export function escapeCsvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value)
+    ? `'${value}`
+    : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Flatten a serialized workout into CSV lines, one per set
+ * @param {Object} workout - Workout from serializeWorkout
+ * @returns {Array<string>} CSV lines without trailing newlines
+ */
+export function workoutToCsvRows(workout) {
+  const rows = []
+
+  workout.exercises.forEach((exercise) => {
+    exercise.sets.forEach((set, setIndex) => {
+      rows.push([
+        workout.date,
+        workout.title,
+        workout.status,
+        workout.duration,
+        workout.notes,
+        workout.template,
+        exercise.orderIndex + 1,
+        exercise.name,
+        exercise.libraryExercise,
+        exercise.notes,
+        exercise.restSeconds,
+        exercise.trackingMode,
+        setIndex + 1,
+        set.setType,
+        set.reps,
+        toKg(set.weight, set.weightUnit),
+        set.durationSeconds,
+        set.distanceMeters,
+        set.rpe,
+        set.completed
+      ].map(escapeCsvField).join(','))
+    })
+  })
+
+  return rows
+}
+
+/**
+ * Read a user's workouts oldest first, a batch at a time
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Authenticated user id
+ * @param {number} [batchSize] - Workouts per query
+ * @yields {Object} Workout records including EXPORT_WORKOUT_INCLUDE
+ */
+export async function* findWorkoutsInBatches(db, userId, batchSize = EXPORT_BATCH_SIZE) {
+  let cursor = null
+
+  while (true) {
+    const batch = await db.workout.findMany({
+      where: { userId },
+      include: EXPORT_WORKOUT_INCLUDE,
+      orderBy: [{ date: 'asc' }, { id: 'asc' }],
+      take: batchSize,
+      ...(cursor !== null && { cursor: { id: cursor }, skip: 1 })
+    })
+
+    yield* batch
+    if (batch.length < batchSize) return
+    cursor = batch[batch.length - 1].id
+  }
+}
+
+/**
+ * Load the session template names a user's workouts can refer to
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<Map>} Template names by id
+ */
+export async function loadTemplateNames(db, userId) {
+  const templates = await db.sessionTemplate.findMany({
+    where: visibleTemplatesWhere(userId),
+    select: { id: true, name: true }
+  })
+  return new Map(templates.map((template) => [template.id, template.name]))
+}
+
+/**
+ * Produce the JSON export document piece by piece
+ * @param {Object} db - Prisma client
+ * @param {Object} user - Authenticated user ({ id, username, name } and the PREFERENCE_FIELDS)
+ * @param {Object} options
+ * @param {Date} [options.exportedAt] - Export timestamp
+ * @yields {string} JSON text chunks that concatenate to one document
+ */
+export async function* jsonExportChunks(db, user, { exportedAt = new Date() } = {}) {
+  const [templates, exerciseTemplates, programs, weightEntries, measurements, cardioEntries, equipment, templateNames] = await Promise.all([
+    db.sessionTemplate.findMany({
+      where: { userId: user.id, isDefault: false },
+      include: { templateExercises: { orderBy: { orderIndex: 'asc' } } },
+      orderBy: { name: 'asc' }
+    }),
+    db.exerciseTemplate.findMany({
+      where: { userId: user.id },
+      orderBy: { name: 'asc' }
+    }),
+    db.program.findMany({
+      where: { userId: user.id },
+      include: PROGRAM_INCLUDE,
+      orderBy: { name: 'asc' }
+    }),
+    db.weightEntry.findMany({
+      where: { userId: user.id },
+      orderBy: { date: 'asc' }
+    }),
+    db.bodyMeasurement.findMany({
+      where: { userId: user.id },
+      orderBy: [{ date: 'asc' }, { site: 'asc' }]
+    }),
+    // Entries attached to a workout are exported with it
+    db.cardioEntry.findMany({
+      where: { userId: user.id, workoutId: null },
+      include: CARDIO_INTERVALS_INCLUDE,
+      orderBy: { date: 'asc' }
+    }),
+    db.equipmentProfile.findUnique({ where: { userId: user.id } }),
+    loadTemplateNames(db, user.id)
+  ])
+  const programNames = new Map(programs.map((program) => [program.id, program.name]))
+
+  const header = JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    user: { username: user.username, name: user.name },
+    preferences: serializePreferences(user),
+    equipment: serializeEquipmentProfile(equipment),
+    exerciseLibrary: exerciseTemplates.map(serializeExerciseTemplate),
+    templates: templates.map(serializeTemplate),
+    programs: programs.map(serializeProgram),
+    bodyweight: weightEntries.map(serializeWeightEntry),
+    measurements: measurements.map(serializeBodyMeasurement),
+    cardio: cardioEntries.map(serializeCardioEntry)
+  })
+
+  // Open the workouts array inside the header object and stream into it
+  yield `${header.slice(0, -1)},"workouts":[`
+  let first = true
+  for await (const workout of findWorkoutsInBatches(db, user.id)) {
+    yield `${first ? '' : ','}${JSON.stringify(serializeWorkout(workout, templateNames, programNames))}`
+    first = false
+  }
+  yield ']}'
+}
+
+/**
+ * Produce the one-row-per-set CSV export piece by piece
+ * @param {Object} db - Prisma client
+ * @param {Object} user - Authenticated user ({ id })
+ * @yields {string} CSV text chunks, each ending in a newline
+ */
+export async function* csvExportChunks(db, user) {
+  const templateNames = await loadTemplateNames(db, user.id)
+
+  yield `${SET_CSV_COLUMNS.join(',')}\n`
+  for await (const workout of findWorkoutsInBatches(db, user.id)) {
+    const rows = workoutToCsvRows(serializeWorkout(workout, templateNames))
+    if (rows.length > 0) yield `${rows.join('\n')}\n`
+  }
+}
+
+/**
+ * Wrap text chunks in a byte stream for a Response body
+ * @param {AsyncIterable<string>} chunks - Text chunks
+ * @returns {ReadableStream} Stream that reads the next chunk on demand
+ */
+export function createExportStream(chunks) {
+  const encoder = new TextEncoder()
+  const iterator = chunks[Symbol.asyncIterator]()
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next()
+        if (done) {
+          controller.close()
+        } else {
+          controller.enqueue(encoder.encode(value))
+        }
+      } catch (error) {
+        console.error('Error streaming export:', error)
+        controller.error(error)
+      }
+    },
+    async cancel() {
+      await iterator.return?.()
+    }
+  })
+}
+
+/**
+ * Restore a JSON export into a user's account. Library entries, templates and
+ * programs that already exist by name are kept as they are; restored programs
+ * start inactive. Body metrics are added for days (and sites) that have none
+ * yet, and standalone cardio unless the same activity is logged at the same
+ * time. Workouts are added with their cardio, except ones already logged with
+ * the same title on the same day when skipDuplicates is set. The document's
+ * preferences replace the user's only when applyPreferences is set, since
+ * restoring into an account shouldn't change its unit or time zone unasked.
+ * Its equipment is added unless the user already has their own.
+ * @param {Object} db - Prisma transaction client
+ * @param {number} userId - Authenticated user id
+ * @param {Object} document - Export document that passed validateExportDocument
+ * @param {Object} options
+ * @param {boolean} [options.skipDuplicates=true] - Leave out workouts that are already logged
+ * @param {boolean} [options.applyPreferences=false] - Replace the user's preferences with the document's
+ * @returns {Promise<Object>} Counts of restored and skipped records, and
+ *   whether the preferences were applied and the equipment added
+ */
+export async function restoreExportDocument(db, userId, document, { skipDuplicates = true, applyPreferences = false } = {}) {
+  const exerciseLibrary = document.exerciseLibrary || []
+  const templates = document.templates || []
+  const programs = document.programs || []
+  const workouts = document.workouts || []
+  const bodyweight = document.bodyweight || []
+  const measurements = document.measurements || []
+  const cardio = document.cardio || []
+  const preferences = Object.fromEntries(
+    PREFERENCE_FIELDS
+      .filter((field) => document.preferences?.[field] !== undefined)
+      .map((field) => [field, document.preferences[field]])
+  )
+
+  const restoredPreferences = applyPreferences && Object.keys(preferences).length > 0
+  if (restoredPreferences) {
+    await db.user.update({ where: { id: userId }, data: preferences })
+  }
+
+  // Equipment, keeping a profile the user already set up
+  const restoredEquipment = document.equipment
+    ? (await db.equipmentProfile.createMany({
+        data: [{
+          userId,
+          ...(document.equipment.weightUnit && { weightUnit: document.equipment.weightUnit }),
+          barWeight: document.equipment.barWeight,
+          plates: [...new Set(document.equipment.plates)].sort((a, b) => b - a),
+          dumbbellIncrement: document.equipment.dumbbellIncrement,
+          machineIncrement: document.equipment.machineIncrement
+        }],
+        skipDuplicates: true
+      })).count > 0
+    : false
+
+  // Exercise library entries, so exercises can link to them below
+  const visibleEntries = await db.exerciseTemplate.findMany({
+    where: visibleExerciseTemplatesWhere(userId)
+  })
+  const ownedEntryNames = new Set(
+    visibleEntries.filter((entry) => entry.userId === userId).map((entry) => entry.name)
+  )
+  let restoredEntries = 0
+  for (const entry of exerciseLibrary) {
+    if (ownedEntryNames.has(entry.name)) continue
+    visibleEntries.push(await db.exerciseTemplate.create({
+      data: {
+        userId,
+        name: entry.name,
+        aliases: entry.aliases || [],
+        category: entry.category || null,
+        muscleGroups: entry.muscleGroups || null,
+        instructions: entry.instructions || null,
+        trackingMode: getTrackingMode(entry)
+      }
+    }))
+    ownedEntryNames.add(entry.name)
+    restoredEntries++
+  }
+  const library = buildExerciseLookup(visibleEntries)
+
+  // Session templates, so workouts can refer to them below
+  const visibleTemplates = await db.sessionTemplate.findMany({
+    where: visibleTemplatesWhere(userId),
+    select: { id: true, name: true, userId: true }
+  })
+  const ownedTemplateNames = new Set(
+    visibleTemplates.filter((template) => template.userId === userId).map((template) => template.name)
+  )
+  let restoredTemplates = 0
+  for (const template of templates) {
+    if (ownedTemplateNames.has(template.name)) continue
+    visibleTemplates.push(await db.sessionTemplate.create({
+      data: {
+        userId,
+        name: template.name,
+        description: template.description || null,
+        sharedBy: template.sharedBy || null,
+        isDefault: false,
+        templateExercises: {
+          create: (template.exercises || []).map((exercise, index) => ({
+            exerciseName: exercise.exerciseName,
+            defaultSets: exercise.defaultSets ?? null,
+            defaultReps: exercise.defaultReps ?? null,
+            defaultWeight: exercise.defaultWeight ?? null,
+            orderIndex: exercise.orderIndex ?? index,
+            notes: exercise.notes || null,
+            restSeconds: exercise.restSeconds ?? null,
+            ...toExerciseGroupFields(exercise),
+            targetRepRange: exercise.targetRepRange || null,
+            targetPercentE1RM: exercise.targetPercentE1RM ?? null,
+            targetRpe: exercise.targetRpe ?? null,
+            muscleGroups: exercise.muscleGroups || null
+          }))
+        }
+      },
+      select: { id: true, name: true, userId: true }
+    }))
+    ownedTemplateNames.add(template.name)
+    restoredTemplates++
+  }
+  // The user's own template wins over a default template with the same name
+  const templateIds = new Map()
+  visibleTemplates
+    .sort((a, b) => (a.userId === null ? 0 : 1) - (b.userId === null ? 0 : 1))
+    .forEach((template) => templateIds.set(template.name, template.id))
+
+  // Programs, so workouts can remember their week and day below
+  const ownedPrograms = await db.program.findMany({
+    where: { userId },
+    select: { id: true, name: true }
+  })
+  const programIds = new Map(ownedPrograms.map((program) => [program.name, program.id]))
+  let restoredPrograms = 0
+  for (const program of programs) {
+    const days = program.days.map((day) => ({ ...day, templateId: templateIds.get(day.template) }))
+    // A program can't run without every day's template
+    if (programIds.has(program.name) || days.some((day) => !day.templateId)) continue
+    const created = await db.program.create({
+      data: {
+        userId,
+        name: program.name,
+        description: program.description || null,
+        weeks: program.weeks,
+        isActive: false,
+        days: {
+          create: buildProgramDaysCreateData(days)
+        }
+      },
+      select: { id: true }
+    })
+    programIds.set(program.name, created.id)
+    restoredPrograms++
+  }
+
+  // Body metrics, keeping whatever is already logged for a day
+  const restoredWeights = bodyweight.length > 0
+    ? (await db.weightEntry.createMany({
+        data: bodyweight.map((entry) => ({
+          userId,
+          date: toMetricDate(entry.date),
+          weight: entry.weight,
+          bodyFat: entry.bodyFat ?? null
+        })),
+        skipDuplicates: true
+      })).count
+    : 0
+  const restoredMeasurements = measurements.length > 0
+    ? (await db.bodyMeasurement.createMany({
+        data: measurements.map((measurement) => ({
+          userId,
+          date: toMetricDate(measurement.date),
+          site: measurement.site,
+          value: measurement.value
+        })),
+        skipDuplicates: true
+      })).count
+    : 0
+
+  // Standalone cardio, skipping entries of an activity already logged at that time
+  const existingCardio = cardio.length > 0
+    ? await db.cardioEntry.findMany({
+        where: { userId, workoutId: null },
+        select: { activityType: true, date: true }
+      })
+    : []
+  const cardioKey = (entry) => `${entry.activityType}|${new Date(entry.date).toISOString()}`
+  const loggedCardio = new Set(existingCardio.map(cardioKey))
+  let restoredCardio = 0
+  for (const entry of cardio) {
+    if (loggedCardio.has(cardioKey(entry))) continue
+    await db.cardioEntry.create({
+      data: buildCardioCreateData(entry, { userId, date: new Date(entry.date) })
+    })
+    loggedCardio.add(cardioKey(entry))
+    restoredCardio++
+  }
+
+  const existingWorkouts = skipDuplicates
+    ? await db.workout.findMany({
+        where: { userId },
+        select: { title: true, date: true }
+      })
+    : []
+  const toRestore = markDuplicates(workouts, existingWorkouts)
+    .filter((workout) => !skipDuplicates || !workout.duplicate)
+
+  for (const workout of toRestore) {
+    await db.workout.create({
+      data: {
+        userId,
+        title: workout.title,
+        date: new Date(workout.date),
+        duration: workout.duration ?? null,
+        notes: workout.notes || null,
+        status: workout.status || 'COMPLETED',
+        templateId: (workout.template && templateIds.get(workout.template)) || null,
+        ...(workout.program && programIds.has(workout.program.name) && {
+          programId: programIds.get(workout.program.name),
+          programWeek: workout.program.week,
+          programDay: workout.program.day
+        }),
+        ...(workout.createdAt && { createdAt: new Date(workout.createdAt) }),
+        exercises: {
+          create: (workout.exercises || []).map((exercise, index) =>
+            buildExerciseCreateData(
+              {
+                ...exercise,
+                exerciseTemplateId: findExerciseTemplate(library, exercise.libraryExercise)?.id
+              },
+              index,
+              library
+            )
+          )
+        },
+        exerciseSwaps: {
+          create: (workout.swaps || []).map((swap) => ({
+            originalExerciseName: swap.originalExerciseName,
+            swappedExerciseName: swap.swappedExerciseName,
+            reason: swap.reason || null,
+            ...(swap.createdAt && { createdAt: new Date(swap.createdAt) })
+          }))
+        },
+        cardioEntries: {
+          create: (workout.cardio || []).map((entry) =>
+            buildCardioCreateData(entry, {
+              userId,
+              date: new Date(entry.date || workout.date)
+            })
+          )
+        }
+      }
+    })
+  }
+
+  return {
+    workouts: toRestore.length,
+    skippedDuplicates: workouts.length - toRestore.length,
+    templates: restoredTemplates,
+    programs: restoredPrograms,
+    exerciseLibrary: restoredEntries,
+    bodyweight: restoredWeights,
+    measurements: restoredMeasurements,
+    cardio: restoredCardio,
+    preferences: restoredPreferences,
+    equipment: restoredEquipment
+  }
+}
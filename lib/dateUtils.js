@@ -1,18 +1,64 @@
 /**
  * Date utilities for consistent date handling across the application
- * Ensures dates are formatted in local timezone to prevent off-by-one issues
+ * Ensures dates are formatted in local timezone to prevent off-by-one issues.
+ * Every helper takes an optional IANA time zone (the user's setting); without
+ * one the runtime's own time zone is used.
  */
 
+/**
+ * Day names indexed by JavaScript day number (0 = Sunday)
+ */
+export const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+/**
+ * Day weeks start on unless the user picks another, Monday as in ISO weeks
+ */
+export const DEFAULT_WEEK_START_DAY = 1
+
+/**
+ * Checks whether a string is an IANA time zone the runtime knows, e.g. "Europe/London"
+ * @param {string} timeZone - Time zone to check
+ * @returns {boolean} - True if dates can be formatted in the time zone
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Lists the time zones the runtime supports, for pickers
+ * @returns {string[]} - IANA time zone names
+ */
+export function getSupportedTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+}
+
 /**
  * Formats a Date object to YYYY-MM-DD string in local timezone
  * @param {Date} date - The date to format
+ * @param {string} [timeZone] - IANA time zone to read the date in
  * @returns {string} - Date in YYYY-MM-DD format (local timezone)
  */
-export function formatDateToLocal(date) {
+export function formatDateToLocal(date, timeZone) {
   if (!date) return null
   
   // Ensure we have a Date object
   const d = new Date(date)
+
+  if (isValidTimeZone(timeZone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(d)
+  }
   
   // Get local date components
   const year = d.getFullYear()
@@ -24,28 +70,31 @@ export function formatDateToLocal(date) {
 
 /**
  * Gets today's date as YYYY-MM-DD string in local timezone
+ * @param {string} [timeZone] - IANA time zone to take today from
  * @returns {string} - Today's date in YYYY-MM-DD format (local timezone)
  */
-export function getTodayLocal() {
-  return formatDateToLocal(new Date())
+export function getTodayLocal(timeZone) {
+  return formatDateToLocal(new Date(), timeZone)
 }
 
 /**
  * Converts a date string or Date object to local date key for consistent comparisons
  * @param {string|Date} date - The date to convert
+ * @param {string} [timeZone] - IANA time zone to read the date in
  * @returns {string} - Date key in YYYY-MM-DD format (local timezone)
  */
-export function getLocalDateKey(date) {
+export function getLocalDateKey(date, timeZone) {
   if (!date) return null
-  return formatDateToLocal(new Date(date))
+  return formatDateToLocal(new Date(date), timeZone)
 }
 
 /**
  * Checks if two dates are the same day in local timezone
  * @param {string|Date} date1 - First date
  * @param {string|Date} date2 - Second date  
+ * @param {string} [timeZone] - IANA time zone to compare the days in
  * @returns {boolean} - True if dates are the same day
  */
-export function isSameLocalDay(date1, date2) {
-  return getLocalDateKey(date1) === getLocalDateKey(date2)
+export function isSameLocalDay(date1, date2, timeZone) {
+  return getLocalDateKey(date1, timeZone) === getLocalDateKey(date2, timeZone)
 }
\ No newline at end of file
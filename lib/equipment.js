@@ -0,0 +1,263 @@
+/**
+ * Equipment
+ *
+ * Each user can describe the equipment they train with: the bar, the plates
+ * they have pairs of, how far apart their dumbbells go and the steps of the
+ * machine stacks they use. Suggested and template weights are rounded to the
+ * nearest load that equipment can make, and the plate calculator shows which
+ * plates go on each side of the bar. A profile is stored in the unit its
+ * equipment is marked in; users without one get a standard gym for their unit.
+ */
+
+import { WEIGHT_INCREMENTS, convertWeight, normalizeWeightUnit } from './units.js'
+import { findExerciseTemplate } from './exercise-library.js'
+
+/**
+ * Standard equipment by unit, for users without a profile
+ */
+export const DEFAULT_EQUIPMENT = {
+  kg: {
+    barWeight: 20,
+    plates: [25, 20, 15, 10, 5, 2.5, 1.25],
+    dumbbellIncrement: 2,
+    machineIncrement: 5
+  },
+  lb: {
+    barWeight: 45,
+    plates: [45, 35, 25, 10, 5, 2.5],
+    dumbbellIncrement: 5,
+    machineIncrement: 10
+  }
+}
+
+/**
+ * Kinds of equipment a load is rounded for
+ */
+export const EQUIPMENT_TYPES = ['barbell', 'dumbbell', 'machine']
+
+export const EQUIPMENT_TYPE_LABELS = {
+  barbell: 'Barbell',
+  dumbbell: 'Dumbbell',
+  machine: 'Machine'
+}
+
+/**
+ * Equipment type of each exercise library category
+ */
+const CATEGORY_EQUIPMENT = {
+  barbell: 'barbell',
+  dumbbell: 'dumbbell',
+  kettlebell: 'dumbbell',
+  machine: 'machine',
+  cable: 'machine'
+}
+
+// Loads are worked out in hundredths so plates like 1.25 stay exact
+const SCALE = 100
+
+const toHundredths = (weight) => Math.round((weight || 0) * SCALE)
+const fromHundredths = (hundredths) => hundredths / SCALE
+const gcd = (a, b) => (b ? gcd(b, a % b) : a)
+
+/**
+ * Equipment type of an exercise library category
+ * @param {string} category - Library category, e.g. "Barbell" or "Cable"
+ * @returns {string|null} One of EQUIPMENT_TYPES, or null for bodyweight and unknown categories
+ */
+export function getEquipmentType(category) {
+  return CATEGORY_EQUIPMENT[category?.toLowerCase()] || null
+}
+
+/**
+ * A user's equipment in a unit, falling back to the standard equipment
+ * @param {Object|null} profile - EquipmentProfile record, or null without one
+ * @param {string} unit - Unit to express the equipment in
+ * @returns {Object} { weightUnit, barWeight, plates, dumbbellIncrement, machineIncrement }
+ */
+export function getEquipmentProfile(profile, unit) {
+  const weightUnit = normalizeWeightUnit(unit)
+  if (!profile) {
+    return { weightUnit, ...DEFAULT_EQUIPMENT[weightUnit], plates: [...DEFAULT_EQUIPMENT[weightUnit].plates] }
+  }
+
+  const convert = (weight) => convertWeight(weight, profile.weightUnit, weightUnit)
+  return {
+    weightUnit,
+    barWeight: convert(profile.barWeight),
+    plates: (profile.plates || []).map(convert).sort((a, b) => b - a),
+    dumbbellIncrement: convert(profile.dumbbellIncrement),
+    machineIncrement: convert(profile.machineIncrement)
+  }
+}
+
+/**
+ * Load a user's equipment in a unit
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Authenticated user id
+ * @param {string} unit - Unit to express the equipment in, usually the user's
+ * @returns {Promise<Object>} Result of getEquipmentProfile
+ */
+export async function loadEquipmentProfile(db, userId, unit) {
+  const profile = await db.equipmentProfile.findUnique({ where: { userId } })
+  return getEquipmentProfile(profile, unit)
+}
+
+/**
+ * Plate sizes in hundredths, heaviest first, with the step every per-side
+ * load is a multiple of
+ */
+function getPlateSizes(plates) {
+  const sizes = [...new Set((plates || []).map(toHundredths).filter((size) => size > 0))]
+    .sort((a, b) => b - a)
+  return { sizes, step: sizes.reduce(gcd, 0) }
+}
+
+/**
+ * Fewest plates making each per-side load, in steps, up to a limit. Plates
+ * the user has pairs of are assumed to be available as often as needed.
+ * @returns {Array} For each load in steps, { count, plate } of its fewest-plate
+ *   combination, or null when the plates can't make it
+ */
+function getPlateLoads(sizes, step, limit) {
+  const loads = [{ count: 0, plate: null }]
+  for (let load = 1; load <= limit; load++) {
+    loads[load] = null
+    for (const size of sizes) {
+      const rest = loads[load - size / step]
+      if (rest && (!loads[load] || rest.count + 1 < loads[load].count)) {
+        loads[load] = { count: rest.count + 1, plate: size }
+      }
+    }
+  }
+  return loads
+}
+
+/**
+ * Loads a bar can make around a weight, in steps per side
+ */
+function getBarbellLoads(weight, equipment) {
+  const { sizes, step } = getPlateSizes(equipment.plates)
+  const bar = toHundredths(equipment.barWeight)
+  const perSide = Math.max(0, (toHundredths(weight) - bar) / 2)
+  // Look one heaviest plate past the weight so there is always a load above it
+  const limit = step ? Math.ceil(perSide / step) + sizes[0] / step : 0
+
+  return { sizes, step, bar, perSide, loads: getPlateLoads(sizes, step, limit) }
+}
+
+/**
+ * Work out the plates to load on each side of the bar for a weight
+ * @param {number} weight - Total weight wanted, bar included
+ * @param {Object} equipment - Result of getEquipmentProfile
+ * @returns {Object} { weight, barWeight, perSide, exact } where weight is the
+ *   nearest load the plates can make (never less than the bar), perSide the
+ *   plates for each side heaviest first, and exact whether it is the weight asked for
+ */
+export function calculatePlates(weight, equipment) {
+  const { step, bar, perSide, loads } = getBarbellLoads(weight, equipment)
+
+  let best = 0
+  loads.forEach((load, steps) => {
+    // Ties go to the heavier load, as with roundToIncrement
+    if (load && Math.abs(steps * step - perSide) <= Math.abs(best * step - perSide)) best = steps
+  })
+
+  const plates = []
+  for (let steps = best; steps > 0; steps -= loads[steps].plate / step) {
+    plates.push(fromHundredths(loads[steps].plate))
+  }
+
+  const loaded = fromHundredths(bar + 2 * best * step)
+  return {
+    weight: loaded,
+    barWeight: equipment.barWeight,
+    perSide: plates.sort((a, b) => b - a),
+    exact: toHundredths(loaded) === toHundredths(weight)
+  }
+}
+
+/**
+ * Smallest weight step of dumbbells, machines and anything else
+ */
+function getIncrement(equipment, equipmentType) {
+  if (equipmentType === 'dumbbell' && equipment.dumbbellIncrement > 0) return equipment.dumbbellIncrement
+  if (equipmentType === 'machine' && equipment.machineIncrement > 0) return equipment.machineIncrement
+  return WEIGHT_INCREMENTS[normalizeWeightUnit(equipment.weightUnit)]
+}
+
+/**
+ * Round a weight to the nearest load the user's equipment can make
+ * @param {number} weight - Weight in the equipment's unit
+ * @param {Object} equipment - Result of getEquipmentProfile
+ * @param {string|null} equipmentType - One of EQUIPMENT_TYPES; anything else
+ *   rounds to the unit's increment
+ * @returns {number} Loadable weight, or the weight unchanged when it is blank or not positive
+ */
+export function roundToLoadable(weight, equipment, equipmentType) {
+  if (!weight || weight <= 0) return weight
+  if (equipmentType === 'barbell') return calculatePlates(weight, equipment).weight
+
+  const increment = toHundredths(getIncrement(equipment, equipmentType))
+  return fromHundredths(Math.round(toHundredths(weight) / increment) * increment)
+}
+
+/**
+ * The next load above or below a weight the user's equipment can make
+ * @param {number} weight - Weight in the equipment's unit
+ * @param {Object} equipment - Result of getEquipmentProfile
+ * @param {string|null} equipmentType - One of EQUIPMENT_TYPES
+ * @param {number} direction - 1 for the next heavier load, -1 for the next lighter one
+ * @returns {number} Loadable weight; a bar can't go lighter than the bar itself
+ */
+export function getNextLoadable(weight, equipment, equipmentType, direction) {
+  const target = toHundredths(weight)
+
+  if (equipmentType === 'barbell') {
+    const { step, bar, loads } = getBarbellLoads(weight, equipment)
+    const totals = loads
+      .map((load, steps) => (load ? bar + 2 * steps * step : null))
+      .filter((total) => total !== null)
+    const next = direction > 0
+      ? totals.find((total) => total > target)
+      : totals.filter((total) => total < target).pop()
+    return fromHundredths(next ?? (direction > 0 ? totals[totals.length - 1] : bar))
+  }
+
+  const increment = toHundredths(getIncrement(equipment, equipmentType))
+  const steps = direction > 0
+    ? Math.floor(target / increment) + 1
+    : Math.max(0, Math.ceil(target / increment) - 1)
+  return fromHundredths(steps * increment)
+}
+
+/**
+ * Turn a suggested weight change into one the user's equipment can make. The
+ * change is rounded to the nearest loadable weight, but never to nothing: a
+ * change too small to load becomes the next load in its direction.
+ * @param {number} weight - Current weight in the equipment's unit
+ * @param {number} change - Suggested change
+ * @param {Object} equipment - Result of getEquipmentProfile
+ * @param {string|null} equipmentType - One of EQUIPMENT_TYPES
+ * @returns {number} Loadable change
+ */
+export function getLoadableChange(weight, change, equipment, equipmentType) {
+  if (!change || !weight || weight <= 0) return change || 0
+
+  let target = roundToLoadable(weight + change, equipment, equipmentType)
+  if (Math.sign(target - weight) !== Math.sign(change)) {
+    target = getNextLoadable(weight, equipment, equipmentType, Math.sign(change))
+  }
+  return fromHundredths(toHundredths(target) - toHundredths(weight))
+}
+
+/**
+ * Build a function rounding exercises' weights to the user's equipment, by
+ * the equipment type of each exercise's library category
+ * @param {Object} equipment - Result of getEquipmentProfile
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {Function} (weight, exerciseName) => loadable weight
+ */
+export function createLoadRounder(equipment, library) {
+  return (weight, exerciseName) =>
+    roundToLoadable(weight, equipment, getEquipmentType(findExerciseTemplate(library, exerciseName)?.category))
+}
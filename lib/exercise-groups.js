@@ -0,0 +1,237 @@
+/**
+ * Exercise Groups
+ *
+ * Exercises in a workout or template can be grouped into supersets, circuits
+ * and giant sets. Consecutive exercises sharing a groupNumber form a group:
+ * they are done back to back, one set of each per round, resting only once
+ * the round is done. A group's type and rest time are its first exercise's,
+ * and normalizeExerciseGroups copies them onto every member.
+ *
+ * Groups are lettered A, B, C... in workout order and their exercises
+ * numbered within the group, giving labels like A1 and A2.
+ */
+
+/**
+ * Valid group types, matching the ExerciseGroupType enum in prisma/schema.prisma
+ */
+export const EXERCISE_GROUP_TYPES = ['SUPERSET', 'CIRCUIT', 'GIANT_SET']
+
+export const DEFAULT_EXERCISE_GROUP_TYPE = 'SUPERSET'
+
+export const EXERCISE_GROUP_TYPE_LABELS = {
+  SUPERSET: 'Superset',
+  CIRCUIT: 'Circuit',
+  GIANT_SET: 'Giant set'
+}
+
+/**
+ * The group columns to store for an exercise from a request
+ * @param {Object} exercise - Exercise or template exercise with optional groupNumber and groupType
+ * @returns {Object} { groupNumber, groupType }, both null for an ungrouped exercise
+ */
+export function toExerciseGroupFields(exercise) {
+  if (!Number.isInteger(exercise?.groupNumber) || exercise.groupNumber < 1) {
+    return { groupNumber: null, groupType: null }
+  }
+
+  return {
+    groupNumber: exercise.groupNumber,
+    groupType: EXERCISE_GROUP_TYPES.includes(exercise.groupType)
+      ? exercise.groupType
+      : DEFAULT_EXERCISE_GROUP_TYPE
+  }
+}
+
+/**
+ * Letter of the nth group: A to Z, then AA, AB...
+ * @param {number} position - Zero-based position of the group among the groups
+ * @returns {string} Group letter
+ */
+export function getGroupLetter(position) {
+  const letter = String.fromCharCode(65 + (position % 26))
+  return position < 26 ? letter : `${getGroupLetter(Math.floor(position / 26) - 1)}${letter}`
+}
+
+/**
+ * Split exercises into the blocks they are done in: each group, and each
+ * ungrouped exercise on its own. A lone exercise with a groupNumber counts
+ * as ungrouped.
+ * @param {Array} exercises - Exercises in workout order
+ * @returns {Array} [{ groupNumber, groupType, letter, members: [{ exercise, index, label }] }],
+ *   with groupNumber, groupType, letter and label null for ungrouped exercises
+ */
+export function getExerciseBlocks(exercises) {
+  const runs = []
+  const list = exercises || []
+
+  list.forEach((exercise, index) => {
+    const groupNumber = exercise.groupNumber || null
+    const last = runs[runs.length - 1]
+    if (groupNumber && last?.groupNumber === groupNumber) {
+      last.members.push({ exercise, index })
+    } else {
+      runs.push({ groupNumber, members: [{ exercise, index }] })
+    }
+  })
+
+  let groups = 0
+  return runs.flatMap((run) => {
+    if (!run.groupNumber || run.members.length < 2) {
+      return run.members.map((member) => ({
+        groupNumber: null,
+        groupType: null,
+        letter: null,
+        members: [{ ...member, label: null }]
+      }))
+    }
+
+    const letter = getGroupLetter(groups++)
+    const first = run.members[0].exercise
+    return [{
+      groupNumber: run.groupNumber,
+      groupType: EXERCISE_GROUP_TYPES.includes(first.groupType) ? first.groupType : DEFAULT_EXERCISE_GROUP_TYPE,
+      letter,
+      members: run.members.map((member, position) => ({ ...member, label: `${letter}${position + 1}` }))
+    }]
+  })
+}
+
+/**
+ * Labels such as A1 and A2 for each exercise, in workout order
+ * @param {Array} exercises - Exercises in workout order
+ * @returns {Array} Label per exercise, null for ungrouped exercises
+ */
+export function getExerciseLabels(exercises) {
+  const labels = []
+  getExerciseBlocks(exercises).forEach((block) => {
+    block.members.forEach(({ index, label }) => {
+      labels[index] = label
+    })
+  })
+  return labels
+}
+
+/**
+ * Number groups 1, 2, 3... in order, ungroup lone exercises, and copy each
+ * group's type and rest time from its first exercise onto the others
+ * @param {Array} exercises - Exercises in workout order
+ * @returns {Array} New exercises with consistent groupNumber, groupType and restSeconds
+ */
+export function normalizeExerciseGroups(exercises) {
+  let groups = 0
+  return getExerciseBlocks(exercises).flatMap((block) => {
+    if (!block.groupNumber) {
+      return block.members.map(({ exercise }) => ({ ...exercise, groupNumber: null, groupType: null }))
+    }
+
+    const groupNumber = ++groups
+    const { restSeconds } = block.members[0].exercise
+    return block.members.map(({ exercise }) => ({
+      ...exercise,
+      groupNumber,
+      groupType: block.groupType,
+      restSeconds
+    }))
+  })
+}
+
+/**
+ * Group an exercise with the one after it, joining whichever groups either is in
+ * @param {Array} exercises - Exercises in workout order
+ * @param {number} index - Position of the exercise to group
+ * @returns {Array} New, normalized exercises
+ */
+export function groupWithNext(exercises, index) {
+  const normalized = normalizeExerciseGroups(exercises)
+  const current = normalized[index]
+  const next = normalized[index + 1]
+  if (!current || !next) return normalized
+
+  const joined = [current.groupNumber, next.groupNumber].filter(Boolean)
+  const groupNumber = joined[0] || normalized.length + 1
+  const groupType = current.groupType || next.groupType || DEFAULT_EXERCISE_GROUP_TYPE
+
+  return normalizeExerciseGroups(
+    normalized.map((exercise, i) =>
+      i === index || i === index + 1 || joined.includes(exercise.groupNumber)
+        ? { ...exercise, groupNumber, groupType }
+        : exercise
+    )
+  )
+}
+
+/**
+ * Take an exercise out of its group. Taking out a middle exercise splits the
+ * group in two, and a group left with one exercise is dissolved.
+ * @param {Array} exercises - Exercises in workout order
+ * @param {number} index - Position of the exercise to ungroup
+ * @returns {Array} New, normalized exercises
+ */
+export function ungroupExercise(exercises, index) {
+  return normalizeExerciseGroups(
+    exercises.map((exercise, i) => (i === index ? { ...exercise, groupNumber: null } : exercise))
+  )
+}
+
+/**
+ * Move an exercise one place up or down without breaking groups apart. It
+ * swaps places with a neighbour in its own group, steps out of its group
+ * when at the group's edge, and jumps over a whole neighbouring group.
+ * @param {Array} exercises - Exercises in workout order
+ * @param {number} index - Position of the exercise to move
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Array} New, normalized exercises
+ */
+export function moveGroupedExercise(exercises, index, direction) {
+  const normalized = normalizeExerciseGroups(exercises)
+  const step = direction === 'up' ? -1 : 1
+  const current = normalized[index]
+  const neighbour = normalized[index + step]
+  if (!current || !neighbour) return normalized
+
+  if (current.groupNumber && current.groupNumber === neighbour.groupNumber) {
+    const moved = [...normalized]
+    moved[index] = neighbour
+    moved[index + step] = current
+    return normalizeExerciseGroups(moved)
+  }
+
+  if (current.groupNumber) {
+    return ungroupExercise(normalized, index)
+  }
+
+  // Skip past every exercise of the neighbouring group, or just the neighbour
+  let target = index + step
+  while (
+    neighbour.groupNumber &&
+    normalized[target + step]?.groupNumber === neighbour.groupNumber
+  ) {
+    target += step
+  }
+
+  const moved = normalized.filter((_, i) => i !== index)
+  moved.splice(target, 0, current)
+  return normalizeExerciseGroups(moved)
+}
+
+/**
+ * Change the type or shared rest time of every exercise in a group
+ * @param {Array} exercises - Normalized exercises in workout order
+ * @param {number} groupNumber - Group to change
+ * @param {Object} changes - { groupType } and/or { restSeconds }
+ * @returns {Array} New exercises
+ */
+export function updateExerciseGroup(exercises, groupNumber, changes) {
+  return exercises.map((exercise) =>
+    exercise.groupNumber === groupNumber ? { ...exercise, ...changes } : exercise
+  )
+}
+
+/**
+ * Rounds a group takes: one per set of its exercise with the most sets
+ * @param {Array} members - Members of a block from getExerciseBlocks
+ * @returns {number} Number of rounds
+ */
+export function getGroupRounds(members) {
+  return Math.max(0, ...members.map(({ exercise }) => exercise.sets?.length || 0))
+}
@@ -0,0 +1,191 @@
+/**
+ * Exercise Library
+ *
+ * ExerciseTemplate rows form a canonical exercise library. System entries
+ * seeded by lib/seed-exercise-library.js have no owner and are visible to
+ * everyone; users can add their own entries on top. Each entry has a list of
+ * aliases so "Squats", "Back Squat" and "BB Squat" all resolve to the same
+ * exercise, and logged Exercise rows link to their entry by id.
+ */
+
+/**
+ * Normalize an exercise name or alias for matching
+ * @param {string} name - Name as typed by the user
+ * @returns {string} Lowercased name with collapsed whitespace
+ */
+export function normalizeExerciseName(name) {
+  if (typeof name !== 'string') return ''
+  return name.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+/**
+ * Clean up a list of aliases from a request
+ * @param {Array|string} aliases - Array of aliases or a comma-separated string
+ * @param {string} name - Canonical name, which is never repeated as an alias
+ * @returns {Array<string>} Trimmed aliases without blanks or duplicates
+ */
+export function normalizeAliases(aliases, name = '') {
+  const list = Array.isArray(aliases)
+    ? aliases
+    : typeof aliases === 'string'
+    ? aliases.split(',')
+    : []
+
+  const seen = new Set([normalizeExerciseName(name)])
+  const result = []
+
+  list.forEach((alias) => {
+    if (typeof alias !== 'string') return
+    const trimmed = alias.trim().replace(/\s+/g, ' ')
+    const key = normalizeExerciseName(trimmed)
+    if (!key || seen.has(key)) return
+    seen.add(key)
+    result.push(trimmed)
+  })
+
+  return result
+}
+
+/**
+ * Prisma where clause for library entries a user is allowed to see
+ * @param {number} userId - Authenticated user id
+ * @returns {Object} Prisma where fragment
+ */
+export function visibleExerciseTemplatesWhere(userId) {
+  return {
+    OR: [{ userId }, { userId: null }]
+  }
+}
+
+/**
+ * Check if a user can view a library entry
+ * @param {Object} exerciseTemplate - ExerciseTemplate record
+ * @param {number} userId - Authenticated user id
+ * @returns {boolean} true if the entry is a system entry or owned by the user
+ */
+export function canViewExerciseTemplate(exerciseTemplate, userId) {
+  if (!exerciseTemplate) return false
+  return exerciseTemplate.userId === null || exerciseTemplate.userId === userId
+}
+
+/**
+ * Check if a user can modify or delete a library entry
+ * @param {Object} exerciseTemplate - ExerciseTemplate record
+ * @param {number} userId - Authenticated user id
+ * @returns {boolean} true only for entries owned by the user
+ */
+export function canEditExerciseTemplate(exerciseTemplate, userId) {
+  if (!exerciseTemplate) return false
+  return exerciseTemplate.userId !== null && exerciseTemplate.userId === userId
+}
+
+/**
+ * Check if a library entry matches a search query by name or alias
+ * @param {Object} exerciseTemplate - ExerciseTemplate record
+ * @param {string} query - Search text
+ * @returns {boolean} true if the name or any alias contains the query
+ */
+export function matchesExerciseSearch(exerciseTemplate, query) {
+  const needle = normalizeExerciseName(query)
+  if (!needle) return true
+
+  return [exerciseTemplate.name, ...(exerciseTemplate.aliases || [])].some(
+    (name) => normalizeExerciseName(name).includes(needle)
+  )
+}
+
+/**
+ * Build a lookup of library entries by id and by every name and alias.
+ * Canonical names win over aliases, and the user's own entries win over
+ * system entries with the same name.
+ * @param {Array} exerciseTemplates - ExerciseTemplate records visible to the user
+ * @returns {Object} { byId: Map, byName: Map }
+ */
+export function buildExerciseLookup(exerciseTemplates) {
+  const templates = [...(exerciseTemplates || [])].sort(
+    (a, b) => (a.userId === null ? 0 : 1) - (b.userId === null ? 0 : 1)
+  )
+  const byId = new Map()
+  const byName = new Map()
+
+  templates.forEach((template) => {
+    byId.set(template.id, template)
+    ;(template.aliases || []).forEach((alias) => {
+      byName.set(normalizeExerciseName(alias), template)
+    })
+  })
+  templates.forEach((template) => {
+    byName.set(normalizeExerciseName(template.name), template)
+  })
+
+  return { byId, byName }
+}
+
+/**
+ * Find the library entry for an exercise name
+ * @param {Object} lookup - Lookup from buildExerciseLookup
+ * @param {string} name - Exercise name or alias
+ * @returns {Object|null} Matching ExerciseTemplate or null
+ */
+export function findExerciseTemplate(lookup, name) {
+  if (!lookup) return null
+  return lookup.byName.get(normalizeExerciseName(name)) || null
+}
+
+/**
+ * Work out which library entry a logged exercise belongs to. An explicit
+ * exerciseTemplateId from the picker is used when the user can see that
+ * entry; otherwise the name is matched against names and aliases.
+ * @param {Object} lookup - Lookup from buildExerciseLookup
+ * @param {Object} exercise - Exercise from the request body
+ * @returns {number|null} ExerciseTemplate id or null for unlinked exercises
+ */
+export function resolveExerciseTemplateId(lookup, exercise) {
+  if (!lookup) return null
+
+  const requestedId = parseInt(exercise.exerciseTemplateId)
+  if (lookup.byId.has(requestedId)) return requestedId
+
+  return findExerciseTemplate(lookup, exercise.name)?.id || null
+}
+
+/**
+ * All lowercase names an entry is logged under, for matching unlinked rows
+ * @param {Object} exerciseTemplate - ExerciseTemplate record
+ * @returns {Array<string>} Lowercased canonical name and aliases
+ */
+export function getExerciseNameKeys(exerciseTemplate) {
+  return [exerciseTemplate.name, ...(exerciseTemplate.aliases || [])]
+    .map(normalizeExerciseName)
+    .filter(Boolean)
+}
+
+/**
+ * Prisma where clause for logged exercises that are not linked to the
+ * library yet but are named after the given entry or one of its aliases
+ * @param {Object} exerciseTemplate - ExerciseTemplate record
+ * @param {number} [userId] - Only match this user's workouts (all users when omitted)
+ * @returns {Object} Prisma where fragment for prisma.exercise
+ */
+export function unlinkedExercisesWhere(exerciseTemplate, userId) {
+  return {
+    exerciseTemplateId: null,
+    ...(userId !== undefined && { workout: { userId } }),
+    OR: [exerciseTemplate.name, ...(exerciseTemplate.aliases || [])].map((name) => ({
+      name: { equals: name.trim(), mode: 'insensitive' }
+    }))
+  }
+}
+
+/**
+ * Load the library entries visible to a user and build a lookup from them
+ * @param {Object} db - Prisma client or transaction client
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<Object>} Lookup from buildExerciseLookup
+ */
+export async function loadExerciseLookup(db, userId) {
+  const exerciseTemplates = await db.exerciseTemplate.findMany({
+    where: visibleExerciseTemplatesWhere(userId)
+  })
+  return buildExerciseLookup(exerciseTemplates)
+}
@@ -0,0 +1,138 @@
+/**
+ * Exercise Set Storage
+ *
+ * Sets are stored one row per set in the exercise_sets table. The API keeps
+ * exposing them as a `sets` array on each exercise, so these helpers convert
+ * between request/response sets and ExerciseSet rows.
+ */
+
+import { resolveExerciseTemplateId } from './exercise-library.js'
+import { WEIGHT_UNITS, DEFAULT_WEIGHT_UNIT } from './units.js'
+import { toExerciseGroupFields } from './exercise-groups.js'
+import { getSetType } from './set-types.js'
+import { getTrackingMode, toSetMeasures } from './tracking-modes.js'
+
+/**
+ * Prisma include for an exercise's sets in logged order
+ */
+export const ORDERED_SETS_INCLUDE = {
+  sets: {
+    orderBy: {
+      orderIndex: 'asc'
+    }
+  }
+}
+
+/**
+ * Prisma include for a workout's exercises and their sets in order
+ */
+export const EXERCISES_WITH_SETS_INCLUDE = {
+  exercises: {
+    orderBy: {
+      orderIndex: 'asc'
+    },
+    include: ORDERED_SETS_INCLUDE
+  }
+}
+
+/**
+ * Convert sets from a request into ExerciseSet rows. Only the fields the
+ * exercise's tracking mode records are kept.
+ * @param {Array} sets - Sets as sent by the client ({ reps, weight, weightUnit, rpe, ... })
+ * @param {string} [weightUnit] - Unit of sets that don't name one, usually the user's
+ * @param {string} [trackingMode] - The exercise's tracking mode, weight × reps by default
+ * @returns {Array} Row data for prisma.exerciseSet, without exerciseId
+ */
+export function toExerciseSetRows(sets, weightUnit = DEFAULT_WEIGHT_UNIT, trackingMode) {
+  if (!Array.isArray(sets)) return []
+
+  return sets.map((set, index) => ({
+    orderIndex: index,
+    ...toSetMeasures(set, trackingMode),
+    weightUnit: WEIGHT_UNITS.includes(set.weightUnit) ? set.weightUnit : weightUnit,
+    rpe: set.rpe ? parseInt(set.rpe) : null,
+    setType: getSetType(set),
+    completed: set.completed !== false
+  }))
+}
+
+/**
+ * Convert an ExerciseSet row into the set shape returned by the API
+ * @param {Object} row - ExerciseSet record
+ * @returns {Object} { reps, weight, weightUnit, durationSeconds, distanceMeters, rpe, setType, completed }
+ */
+export function toApiSet(row) {
+  return {
+    reps: row.reps,
+    weight: row.weight,
+    weightUnit: row.weightUnit,
+    durationSeconds: row.durationSeconds ?? null,
+    distanceMeters: row.distanceMeters ?? null,
+    rpe: row.rpe,
+    setType: row.setType,
+    completed: row.completed
+  }
+}
+
+/**
+ * Replace an exercise's ExerciseSet rows with API sets
+ * @param {Object} exercise - Exercise record including its sets relation
+ * @returns {Object} Exercise with a plain `sets` array
+ */
+export function withApiSets(exercise) {
+  return {
+    ...exercise,
+    sets: (exercise.sets || []).map(toApiSet)
+  }
+}
+
+/**
+ * Replace the ExerciseSet rows on every exercise of a workout with API sets
+ * @param {Object} workout - Workout record including exercises and their sets
+ * @returns {Object} Workout ready to be returned from the API
+ */
+export function workoutWithApiSets(workout) {
+  return {
+    ...workout,
+    exercises: (workout.exercises || []).map(withApiSets)
+  }
+}
+
+/**
+ * Tracking mode to store for an exercise: the one requested, or else the
+ * mode of the library entry it belongs to
+ * @param {Object} exercise - Exercise from the request body
+ * @param {Object} [library] - Exercise library lookup from buildExerciseLookup
+ * @returns {string} One of TRACKING_MODES
+ */
+export function resolveTrackingMode(exercise, library) {
+  if (exercise?.trackingMode) return getTrackingMode(exercise)
+
+  const exerciseTemplateId = resolveExerciseTemplateId(library, exercise)
+  return getTrackingMode(library?.byId.get(exerciseTemplateId))
+}
+
+/**
+ * Build the Prisma create data for an exercise and its sets
+ * @param {Object} exercise - Exercise from the request body
+ * @param {number} index - Position of the exercise in the workout
+ * @param {Object} [library] - Exercise library lookup from buildExerciseLookup
+ * @param {string} [weightUnit] - Unit of sets that don't name one, usually the user's
+ * @returns {Object} Data for prisma.exercise.create (workout relation not included)
+ */
+export function buildExerciseCreateData(exercise, index, library, weightUnit) {
+  const trackingMode = resolveTrackingMode(exercise, library)
+
+  return {
+    name: exercise.name,
+    exerciseTemplateId: resolveExerciseTemplateId(library, exercise),
+    restSeconds: exercise.restSeconds || null,
+    notes: exercise.notes?.trim() || null,
+    orderIndex: exercise.orderIndex !== undefined ? exercise.orderIndex : index,
+    ...toExerciseGroupFields(exercise),
+    trackingMode,
+    sets: {
+      create: toExerciseSetRows(exercise.sets, weightUnit, trackingMode)
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Live Workout Utilities
+ *
+ * Helpers for the in-gym "active workout" mode: building a draft session from a
+ * template, tracking elapsed and rest time, and finalizing the logged sets.
+ */
+
+import { getExerciseBlocks, normalizeExerciseGroups } from './exercise-groups.js'
+import { getSetType } from './set-types.js'
+import { getTrackingMode, isSetMeasured, toSetMeasures } from './tracking-modes.js'
+
+/**
+ * Rest time used when neither the exercise nor its template specify one
+ */
+export const DEFAULT_REST_SECONDS = 90
+
+/**
+ * Build the exercises for a live session from template exercises
+ * @param {Array} templateExercises - Exercises from /api/templates/[id]/latest-data
+ * @returns {Array} Exercises in API format with every set marked not completed.
+ *   Exercises with a resolved load target are planned from the template's
+ *   sets and reps at the target weight instead of the latest logged sets.
+ */
+export function buildLiveExercises(templateExercises) {
+  if (!Array.isArray(templateExercises)) return []
+
+  return templateExercises.map((templateExercise, index) => {
+    const trackingMode = getTrackingMode(templateExercise)
+    const latestSets = templateExercise.targetWeight != null ? [] : templateExercise.latestSets || []
+    const plannedSets = latestSets.length > 0
+      ? latestSets.map((set) => ({
+          reps: set.reps || templateExercise.defaultReps || 1,
+          weight: set.weight ?? templateExercise.defaultWeight ?? null,
+          durationSeconds: set.durationSeconds ?? null,
+          distanceMeters: set.distanceMeters ?? null
+        }))
+      : Array.from({ length: templateExercise.defaultSets || 3 }, () => ({
+          reps: templateExercise.defaultReps || 1,
+          weight: templateExercise.defaultWeight ?? null,
+          durationSeconds: null,
+          distanceMeters: null
+        }))
+
+    return {
+      name: templateExercise.name || templateExercise.exerciseName,
+      sets: plannedSets.map((set) => ({ ...set, rpe: null, completed: false })),
+      restSeconds: templateExercise.restSeconds || null,
+      notes: templateExercise.notes || null,
+      groupNumber: templateExercise.groupNumber ?? null,
+      groupType: templateExercise.groupType ?? null,
+      trackingMode,
+      orderIndex: index
+    }
+  })
+}
+
+/**
+ * Get seconds elapsed since a live session started
+ * @param {Date|string} startedAt - When the session started
+ * @param {number} now - Current timestamp in ms (defaults to Date.now())
+ * @returns {number} Whole seconds elapsed, never negative
+ */
+export function getElapsedSeconds(startedAt, now = Date.now()) {
+  if (!startedAt) return 0
+  const start = new Date(startedAt).getTime()
+  if (isNaN(start)) return 0
+  return Math.max(0, Math.floor((now - start) / 1000))
+}
+
+/**
+ * Format a number of seconds as a timer string
+ * @param {number} totalSeconds - Seconds to format
+ * @returns {string} "m:ss", or "h:mm:ss" for an hour or more
+ */
+export function formatTimer(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0))
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = String(seconds % 60).padStart(2, '0')
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+  }
+  return `${minutes}:${secs}`
+}
+
+/**
+ * Get the rest period to count down after completing a set
+ * @param {Object} exercise - Exercise with optional restSeconds
+ * @param {number} defaultRestSeconds - The user's default rest time, for exercises without one
+ * @returns {number} Rest time in seconds
+ */
+export function getRestSeconds(exercise, defaultRestSeconds = DEFAULT_REST_SECONDS) {
+  return exercise?.restSeconds > 0 ? exercise.restSeconds : defaultRestSeconds
+}
+
+/**
+ * Get the rest period after completing a set, taking groups into account:
+ * inside a superset or circuit the next exercise follows without rest, and
+ * the group's rest starts once the round's last set is done
+ * @param {Array} exercises - Exercises of the live session, in order
+ * @param {number} exerciseIndex - Exercise whose set was completed
+ * @param {number} setIndex - Set that was completed, which is also the round
+ * @param {number} defaultRestSeconds - The user's default rest time
+ * @returns {number} Rest time in seconds, 0 when the next exercise of the round follows
+ */
+export function getRestAfterSet(exercises, exerciseIndex, setIndex, defaultRestSeconds = DEFAULT_REST_SECONDS) {
+  const block = getExerciseBlocks(exercises).find((candidate) =>
+    candidate.members.some(({ index }) => index === exerciseIndex)
+  )
+  if (!block) return getRestSeconds(exercises?.[exerciseIndex], defaultRestSeconds)
+
+  const position = block.members.findIndex(({ index }) => index === exerciseIndex)
+  const roundContinues = block.members
+    .slice(position + 1)
+    .some(({ exercise }) => (exercise.sets?.length || 0) > setIndex)
+
+  return roundContinues ? 0 : getRestSeconds(block.members[0].exercise, defaultRestSeconds)
+}
+
+/**
+ * Convert live session state (input strings) into exercises the workouts API accepts
+ * Sets missing what their exercise's tracking mode records are dropped, as are
+ * exercises left with no sets.
+ * @param {Array} exercises - Exercises from the live session
+ * @returns {Array} Exercises with numeric sets and their completed flags
+ */
+export function serializeLiveExercises(exercises) {
+  if (!Array.isArray(exercises)) return []
+
+  const kept = exercises
+    .map((exercise) => ({
+      name: exercise.name,
+      restSeconds: exercise.restSeconds || null,
+      notes: exercise.notes || null,
+      groupNumber: exercise.groupNumber ?? null,
+      groupType: exercise.groupType ?? null,
+      trackingMode: getTrackingMode(exercise),
+      sets: (exercise.sets || [])
+        .filter((set) => isSetMeasured(set, exercise.trackingMode))
+        .map((set) => ({
+          ...toSetMeasures(set, exercise.trackingMode),
+          rpe: set.rpe ? parseInt(set.rpe) : null,
+          setType: getSetType(set),
+          completed: !!set.completed,
+          // Sets logged before a unit switch keep their unit
+          ...(set.weightUnit && { weightUnit: set.weightUnit })
+        }))
+        .filter((set) => set.weight === null || set.weight >= 0)
+    }))
+    .filter((exercise) => exercise.sets.length > 0)
+    .map((exercise, index) => ({ ...exercise, orderIndex: index }))
+
+  // Dropping an exercise can leave a group with one exercise
+  return normalizeExerciseGroups(kept)
+}
+
+/**
+ * Keep only the sets that were ticked off, dropping exercises with none
+ * @param {Array} exercises - Serialized exercises from the live session
+ * @returns {Array} Exercises containing completed sets only, without the completed flag
+ */
+export function finalizeLiveExercises(exercises) {
+  if (!Array.isArray(exercises)) return []
+
+  const kept = exercises
+    .map((exercise) => ({
+      ...exercise,
+      sets: (exercise.sets || [])
+        .filter((set) => set.completed)
+        .map(({ completed, ...set }) => set)
+    }))
+    .filter((exercise) => exercise.sets.length > 0)
+    .map((exercise, index) => ({ ...exercise, orderIndex: index }))
+
+  // Dropping an exercise can leave a group with one exercise
+  return normalizeExerciseGroups(kept)
+}
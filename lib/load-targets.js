@@ -0,0 +1,191 @@
+/**
+ * Load Targets
+ *
+ * Templates and programs can prescribe load relative to what a lifter can
+ * currently do instead of as a fixed weight: "5x5 @ 80% e1RM" or "3x8 @ RPE 8".
+ * These helpers estimate the user's current e1RM for an exercise from their
+ * recent sets and turn a target into a concrete weight rounded to what can be
+ * loaded, either to the unit's increment or, given a load rounder from
+ * createLoadRounder, to the user's equipment. e1RMs are estimated in kg and
+ * targets resolved in the user's unit.
+ */
+
+import { findExerciseTemplate, unlinkedExercisesWhere } from './exercise-library.js'
+import { calculateE1RM } from './pr-calculations.js'
+import { DEFAULT_WEIGHT_UNIT, WEIGHT_INCREMENTS, normalizeWeightUnit, toKg, fromKg } from './units.js'
+import { PR_SET_TYPES } from './set-types.js'
+
+/**
+ * Smallest weight change a target is rounded to, in kg
+ */
+export const DEFAULT_LOAD_INCREMENT = WEIGHT_INCREMENTS[DEFAULT_WEIGHT_UNIT]
+
+/**
+ * How many recent sets of an exercise its e1RM is estimated from
+ */
+export const E1RM_LOOKBACK_SETS = 50
+
+/**
+ * Round a weight to the nearest loadable increment
+ * @param {number} weight - Weight in the increment's unit
+ * @param {number} [increment] - Smallest loadable step
+ * @returns {number} Rounded weight
+ */
+export function roundToIncrement(weight, increment = DEFAULT_LOAD_INCREMENT) {
+  if (!weight || weight <= 0) return 0
+  return Math.round(Math.round(weight / increment) * increment * 100) / 100
+}
+
+/**
+ * Fraction of e1RM a target asks for. An RPE target counts the reps left in
+ * reserve as extra reps and inverts the Epley formula used by calculateE1RM,
+ * so RPE 8 for 5 reps is the weight that could be lifted for 7.
+ * @param {Object} target
+ * @param {number} [target.percentE1RM] - Percentage of e1RM
+ * @param {number} [target.rpe] - Target RPE (1-10)
+ * @param {number} [target.reps] - Reps per set, needed for RPE targets
+ * @returns {number|null} Fraction of e1RM, or null without a target
+ */
+export function getLoadFraction({ percentE1RM, rpe, reps } = {}) {
+  if (percentE1RM) return percentE1RM / 100
+  if (!rpe) return null
+
+  const repsToFailure = (reps || 1) + (10 - rpe)
+  return repsToFailure <= 1 ? 1 : 1 / (1 + repsToFailure / 30)
+}
+
+/**
+ * Weight for a target given the user's e1RM
+ * @param {number} e1rm - Estimated 1RM in the increment's unit
+ * @param {Object} target - { percentE1RM, rpe, reps }
+ * @param {number|Function} [increment] - Smallest loadable step, or a function
+ *   rounding a weight to a loadable one
+ * @returns {number|null} Rounded weight, or null without history or a target
+ */
+export function resolveTargetWeight(e1rm, target, increment = DEFAULT_LOAD_INCREMENT) {
+  const fraction = getLoadFraction(target)
+  if (!e1rm || e1rm <= 0 || !fraction) return null
+  return typeof increment === 'function'
+    ? increment(e1rm * fraction)
+    : roundToIncrement(e1rm * fraction, increment)
+}
+
+/**
+ * Short label for a template exercise's load target, e.g. "80% e1RM" or "RPE 8"
+ * @param {Object} templateExercise - { targetPercentE1RM, targetRpe }
+ * @returns {string} Label, or an empty string without a target
+ */
+export function formatLoadTarget(templateExercise) {
+  if (templateExercise?.targetPercentE1RM) return `${templateExercise.targetPercentE1RM}% e1RM`
+  if (templateExercise?.targetRpe) return `RPE ${templateExercise.targetRpe}`
+  return ''
+}
+
+/**
+ * Estimate a user's current 1RM for an exercise from their recent sets.
+ * Like PRs, only sets that can set one count, so warm-ups and drop sets are
+ * left out, as are exercises not logged by weight × reps. Exercises linked to
+ * the library entry count, and so do unlinked ones named after any of its
+ * aliases.
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Authenticated user id
+ * @param {string} exerciseName - Exercise name or alias
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {Promise<number>} Best e1RM in kg among the last E1RM_LOOKBACK_SETS completed sets, or 0
+ */
+export async function loadRecentE1RM(db, userId, exerciseName, library) {
+  const entry = findExerciseTemplate(library, exerciseName)
+  const exerciseWhere = entry
+    ? { OR: [{ exerciseTemplateId: entry.id }, unlinkedExercisesWhere(entry, userId)] }
+    : { name: { equals: exerciseName, mode: 'insensitive' } }
+
+  const sets = await db.exerciseSet.findMany({
+    where: {
+      reps: { gt: 0 },
+      weight: { gt: 0 },
+      setType: { in: PR_SET_TYPES },
+      exercise: {
+        ...exerciseWhere,
+        trackingMode: 'WEIGHT_REPS',
+        workout: { userId, status: 'COMPLETED' }
+      }
+    },
+    select: { reps: true, weight: true, weightUnit: true },
+    orderBy: { exercise: { workout: { date: 'desc' } } },
+    take: E1RM_LOOKBACK_SETS
+  })
+
+  return Math.max(0, ...sets.map((set) => calculateE1RM(toKg(set.weight, set.weightUnit), set.reps)))
+}
+
+/**
+ * Resolve the load targets of a template's exercises into weights
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Authenticated user id
+ * @param {Array} templateExercises - TemplateExercise records
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @param {string} [unit] - Unit to resolve weights in, usually the user's
+ * @param {Function} [roundLoad] - (weight, exerciseName) => loadable weight, from
+ *   createLoadRounder; weights are rounded to the unit's increment without one
+ * @returns {Promise<Map>} { e1rm, weight } by template exercise id, for exercises with a target
+ */
+export async function resolveTemplateLoadTargets(
+  db,
+  userId,
+  templateExercises,
+  library,
+  unit = DEFAULT_WEIGHT_UNIT,
+  roundLoad = null
+) {
+  const resolved = new Map()
+  const weightUnit = normalizeWeightUnit(unit)
+
+  for (const templateExercise of templateExercises || []) {
+    if (!templateExercise.targetPercentE1RM && !templateExercise.targetRpe) continue
+
+    const e1rm = fromKg(await loadRecentE1RM(db, userId, templateExercise.exerciseName, library), weightUnit)
+    resolved.set(templateExercise.id, {
+      e1rm: e1rm > 0 ? Math.round(e1rm * 10) / 10 : null,
+      weight: resolveTargetWeight(e1rm, {
+        percentE1RM: templateExercise.targetPercentE1RM,
+        rpe: templateExercise.targetRpe,
+        reps: templateExercise.defaultReps
+      }, roundLoad
+        ? (weight) => roundLoad(weight, templateExercise.exerciseName)
+        : WEIGHT_INCREMENTS[weightUnit])
+    })
+  }
+
+  return resolved
+}
+
+/**
+ * Plan a session's exercises from a template, using resolved load targets
+ * where there are any and the template's default weight otherwise
+ * @param {Array} templateExercises - TemplateExercise records in order
+ * @param {Map} loadTargets - Result of resolveTemplateLoadTargets
+ * @param {string} [unit] - Unit the load targets were resolved in; default
+ *   weights (stored in kg) are converted to it
+ * @param {Function} [roundLoad] - (weight, exerciseName) => loadable weight, from
+ *   createLoadRounder; converted default weights are rounded with it
+ * @returns {Array} Exercises in API format ({ name, sets, restSeconds, notes })
+ */
+export function planTemplateExercises(templateExercises, loadTargets, unit = DEFAULT_WEIGHT_UNIT, roundLoad = null) {
+  return (templateExercises || []).map((templateExercise) => {
+    const defaultWeight = fromKg(templateExercise.defaultWeight ?? null, unit)
+    const weight = loadTargets?.get(templateExercise.id)?.weight ??
+      (roundLoad ? roundLoad(defaultWeight, templateExercise.exerciseName) : defaultWeight)
+
+    return {
+      name: templateExercise.exerciseName,
+      sets: Array.from({ length: templateExercise.defaultSets || 3 }, () => ({
+        reps: templateExercise.defaultReps || 1,
+        weight
+      })),
+      restSeconds: templateExercise.restSeconds || null,
+      notes: templateExercise.notes || null,
+      groupNumber: templateExercise.groupNumber ?? null,
+      groupType: templateExercise.groupType ?? null
+    }
+  })
+}
@@ -1,22 +1,75 @@
-import { validateSession } from './auth.js';
+import { validateSession, getSessionCookieOptions } from './auth.js';
+import { authenticateApiToken, getBearerToken } from './api-tokens.js';
+import { prisma } from './prisma.js';
 import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+
+// Send a rotated session token back with whatever response the route returns
+async function storeRotatedToken(auth) {
+  if (auth?.token) {
+    const cookieStore = await cookies();
+    cookieStore.set('session-token', auth.token, getSessionCookieOptions());
+  }
+}
+
+// Authenticate a personal API token. Tokens only reach endpoints that name
+// a scope, and only when the token was granted it.
+async function requireApiToken(token, scope) {
+  const auth = await authenticateApiToken(prisma, token);
+
+  if (!auth) {
+    return NextResponse.json(
+      { error: 'Invalid or expired API token' },
+      { status: 401 }
+    );
+  }
+
+  if (!scope) {
+    return NextResponse.json(
+      { error: 'API tokens cannot access this endpoint' },
+      { status: 403 }
+    );
+  }
+
+  if (!auth.apiToken.scopes.includes(scope)) {
+    return NextResponse.json(
+      { error: `API token is missing the ${scope} scope` },
+      { status: 403 }
+    );
+  }
+
+  return auth;
+}
+
+/**
+ * Authenticate a request by its session cookie or, on endpoints that name
+ * the scope they need, by an "Authorization: Bearer" API token. Returns
+ * { user, session } or { user, apiToken }, or an error response.
+ */
+export async function requireAuth(request, { scope } = {}) {
+  const bearerToken = getBearerToken(request);
+  if (bearerToken) {
+    return requireApiToken(bearerToken, scope);
+  }
 
-export async function requireAuth(request) {
   const token = request.cookies.get('session-token')?.value;
-  
+
   const auth = await validateSession(token);
-  
+
   if (!auth) {
     return NextResponse.json(
       { error: 'Authentication required' },
       { status: 401 }
     );
   }
-  
+
+  await storeRotatedToken(auth);
   return auth;
 }
 
 export async function getOptionalAuth(request) {
   const token = request.cookies.get('session-token')?.value;
-  return await validateSession(token);
-}
\ No newline at end of file
+  const auth = await validateSession(token);
+  await storeRotatedToken(auth);
+  return auth;
+}
@@ -1,4 +1,6 @@
 import { PrismaClient } from '@prisma/client';
+import { isProgressionSet, isVolumeSet } from './set-types.js';
+import { getSetVolume, getSessionBest } from './tracking-modes.js';
 
 const prisma = new PrismaClient();
 
@@ -152,15 +154,24 @@ export function parseSetsData(setsDataJson) {
 /**
  * Utility function to calculate exercise summary from sets array
  * @param {Array} sets - Array of set objects with optional RPE
- * @returns {Object} Summary with totalSets, totalReps, maxWeight, totalVolume, averageRPE
+ * @param {string} [trackingMode] - The exercise's tracking mode, weight × reps by default
+ * @returns {Object} Summary with totalSets, totalReps, maxWeight, totalVolume (without warm-ups),
+ *   totalDuration, longestDuration, totalDistance, longestDistance, bestPace (per 500m over sets
+ *   of at least 500m), leastAssistance (assisted exercises only), averageRPE, maxRPE
  */
-export function calculateExerciseSummary(sets) {
+export function calculateExerciseSummary(sets, trackingMode) {
   if (!Array.isArray(sets) || sets.length === 0) {
     return {
       totalSets: 0,
       totalReps: 0,
       maxWeight: 0,
       totalVolume: 0,
+      totalDuration: 0,
+      longestDuration: 0,
+      totalDistance: 0,
+      longestDistance: 0,
+      bestPace: null,
+      leastAssistance: null,
       averageRPE: null,
       maxRPE: null
     };
@@ -169,7 +180,15 @@ export function calculateExerciseSummary(sets) {
   const totalSets = sets.length;
   const totalReps = sets.reduce((sum, set) => sum + (set.reps || 0), 0);
   const maxWeight = Math.max(...sets.map(set => set.weight || 0));
-  const totalVolume = sets.reduce((sum, set) => sum + ((set.weight || 0) * (set.reps || 0)), 0);
+  const totalVolume = sets
+    .filter(isVolumeSet)
+    .reduce((sum, set) => sum + getSetVolume(set, trackingMode), 0);
+  const totalDuration = sets.reduce((sum, set) => sum + (set.durationSeconds || 0), 0);
+  const longestDuration = Math.max(...sets.map(set => set.durationSeconds || 0));
+  const totalDistance = sets.reduce((sum, set) => sum + (set.distanceMeters || 0), 0);
+  const longestDistance = Math.max(...sets.map(set => set.distanceMeters || 0));
+  const bestPace = getSessionBest(sets, 'DISTANCE_DURATION');
+  const leastAssistance = trackingMode === 'ASSISTED' ? getSessionBest(sets, 'ASSISTED') : null;
   
   // Calculate RPE metrics
   const setsWithRPE = sets.filter(set => set.rpe && set.rpe > 0);
@@ -185,13 +204,20 @@ export function calculateExerciseSummary(sets) {
     totalReps,
     maxWeight,
     totalVolume,
+    totalDuration,
+    longestDuration,
+    totalDistance,
+    longestDistance,
+    bestPace,
+    leastAssistance,
     averageRPE: averageRPE ? Number(averageRPE.toFixed(1)) : null,
     maxRPE
   };
 }
 
 /**
- * Analyze RPE data for auto-regulation insights
+ * Analyze RPE data for auto-regulation insights. Only working sets are read:
+ * warm-ups, drop, failure, AMRAP, rest-pause and back-off sets are skipped.
  * @param {Array} exerciseHistory - Array of exercise sessions with sets data
  * @param {string} targetRepRange - Target rep range (e.g., "8-12")
  * @returns {Object} RPE analysis and recommendations
@@ -207,7 +233,8 @@ export function analyzeRPEData(exerciseHistory, targetRepRange) {
 
   // Get the most recent session with RPE data
   const recentSessionsWithRPE = exerciseHistory
-    .filter(session => session.sets && session.sets.some(set => set.rpe))
+    .map(session => ({ ...session, sets: (session.sets || []).filter(isProgressionSet) }))
+    .filter(session => session.sets.some(set => set.rpe))
     .slice(0, 3); // Last 3 sessions
 
   if (recentSessionsWithRPE.length === 0) {
@@ -0,0 +1,239 @@
+/**
+ * Offline Workout Queue
+ *
+ * Workout writes made without a connection are stored in IndexedDB and
+ * replayed against the workouts API once the browser is back online. Each
+ * queued write remembers the user who made it so a different account signing
+ * in on the same device never replays someone else's changes.
+ */
+
+const DB_NAME = 'gym-pad-offline'
+const DB_VERSION = 1
+const STORE_NAME = 'pendingWrites'
+
+/**
+ * Cache used by the service worker for API responses. Must match public/sw.js.
+ */
+export const API_CACHE_NAME = 'gym-pad-api'
+
+/**
+ * Window event fired whenever the queue contents change
+ */
+export const QUEUE_CHANGE_EVENT = 'gym-pad:offline-queue-change'
+
+/**
+ * Check if IndexedDB is available in the current environment
+ * @returns {boolean} true in browsers with IndexedDB support
+ */
+export function isOfflineQueueSupported() {
+  return typeof window !== 'undefined' && 'indexedDB' in window
+}
+
+/**
+ * Open (and create if needed) the offline queue database
+ * @returns {Promise<IDBDatabase>} Open database handle
+ */
+function openQueueDb() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Run a single request against the queue store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<any>} Result of the request
+ */
+async function withStore(mode, operation) {
+  const db = await openQueueDb()
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = operation(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+function notifyQueueChange() {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new Event(QUEUE_CHANGE_EVENT))
+  }
+}
+
+/**
+ * Add a write to the queue
+ * @param {Object} write - { userId, method, url, body }
+ * @returns {Promise<number>} Id of the queued write
+ */
+export async function enqueueWrite({ userId, method, url, body }) {
+  const id = await withStore('readwrite', (store) =>
+    store.add({
+      userId,
+      method,
+      url,
+      body,
+      status: 'pending',
+      serverWorkout: null,
+      createdAt: new Date().toISOString()
+    })
+  )
+  notifyQueueChange()
+  return id
+}
+
+/**
+ * Get queued writes for a user, oldest first
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<Array>} Queued writes
+ */
+export async function getQueuedWrites(userId) {
+  if (!isOfflineQueueSupported()) return []
+
+  const writes = await withStore('readonly', (store) => store.getAll())
+  return writes
+    .filter((write) => write.userId === userId)
+    .sort((a, b) => a.id - b.id)
+}
+
+/**
+ * Replace a queued write
+ * @param {Object} write - Queued write including its id
+ */
+export async function updateQueuedWrite(write) {
+  await withStore('readwrite', (store) => store.put(write))
+  notifyQueueChange()
+}
+
+/**
+ * Remove a write from the queue
+ * @param {number} id - Queued write id
+ */
+export async function removeQueuedWrite(id) {
+  await withStore('readwrite', (store) => store.delete(id))
+  notifyQueueChange()
+}
+
+/**
+ * Check if an error from fetch means the network is unavailable
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} true for network failures
+ */
+export function isNetworkError(error) {
+  return error instanceof TypeError
+}
+
+/**
+ * Decide what to do with a queued write based on the replay response status
+ * @param {number} status - HTTP status returned by the API
+ * @returns {string} 'synced', 'conflict', 'failed' (will never succeed) or 'retry'
+ */
+export function getReplayOutcome(status) {
+  if (status >= 200 && status < 300) return 'synced'
+  if (status === 409) return 'conflict'
+  // Signed out or server trouble: leave it queued and try again later
+  if (status === 401 || status >= 500) return 'retry'
+  return 'failed'
+}
+
+/**
+ * Send a workout write, queueing it when the device is offline
+ * @param {Object} write - { userId, method, url, body }
+ * @returns {Promise<Object>} { queued: true } or { queued: false, response }
+ */
+export async function sendWorkoutWrite(write) {
+  const canQueue = isOfflineQueueSupported() && write.userId
+
+  if (canQueue && typeof navigator !== 'undefined' && navigator.onLine === false) {
+    await enqueueWrite(write)
+    return { queued: true }
+  }
+
+  try {
+    const response = await fetch(write.url, {
+      method: write.method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(write.body),
+    })
+    return { queued: false, response }
+  } catch (error) {
+    if (!canQueue || !isNetworkError(error)) throw error
+
+    await enqueueWrite(write)
+    return { queued: true }
+  }
+}
+
+/**
+ * Replay a user's queued writes in order
+ * Stops at the first network failure so writes are never applied out of order.
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<Object>} { synced, conflicts, failed } counts
+ */
+export async function replayQueuedWrites(userId) {
+  const result = { synced: 0, conflicts: 0, failed: 0 }
+  const writes = await getQueuedWrites(userId)
+
+  for (const write of writes) {
+    // Conflicts and failures wait for the user to resolve them
+    if (write.status !== 'pending') continue
+
+    let response
+    try {
+      response = await fetch(write.url, {
+        method: write.method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(write.body),
+      })
+    } catch (error) {
+      if (isNetworkError(error)) break
+      throw error
+    }
+
+    const outcome = getReplayOutcome(response.status)
+
+    if (outcome === 'synced') {
+      await removeQueuedWrite(write.id)
+      result.synced++
+    } else if (outcome === 'conflict') {
+      const data = await response.json().catch(() => ({}))
+      await updateQueuedWrite({ ...write, status: 'conflict', serverWorkout: data.workout || null })
+      result.conflicts++
+    } else if (outcome === 'failed') {
+      await updateQueuedWrite({ ...write, status: 'failed' })
+      result.failed++
+    } else {
+      break
+    }
+  }
+
+  return result
+}
+
+/**
+ * Keep the local changes of a conflicting write by retrying it without the
+ * updatedAt check
+ * @param {Object} write - Queued write in conflict
+ */
+export async function overwriteConflict(write) {
+  const { expectedUpdatedAt, ...body } = write.body
+  await updateQueuedWrite({ ...write, body, status: 'pending', serverWorkout: null })
+}
@@ -0,0 +1,186 @@
+/**
+ * Personal Records
+ *
+ * PRs are stored in the personal_records table as a timeline: a row for
+ * every workout that beat the best e1RM, rep max, set volume, time, distance,
+ * pace or assistance logged before it. Saving, editing or deleting a workout
+ * rebuilds the timeline of each exercise it touches from that exercise's full
+ * history, so a corrected or deleted PR set takes its records with it. Weights
+ * are stored in kg, whatever unit their sets were logged in.
+ */
+
+import { buildPRTimeline, WEIGHT_PR_TYPES } from './pr-calculations.js'
+import { toKg, fromKg } from './units.js'
+import { findExerciseTemplate, normalizeExerciseName, unlinkedExercisesWhere } from './exercise-library.js'
+
+/**
+ * Work out which exercise a logged exercise's records belong to. Exercises
+ * linked to the library, or named after a library entry, share that entry's
+ * records; anything else is keyed by name.
+ * @param {Object} exercise - { name, exerciseTemplateId }
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {Object|null} { key, exerciseTemplateId, exerciseName, exerciseWhere, recordWhere }
+ */
+export function resolveRecordExercise(exercise, library) {
+  const entry = library?.byId.get(exercise?.exerciseTemplateId) || findExerciseTemplate(library, exercise?.name)
+
+  if (entry) {
+    return {
+      key: `id:${entry.id}`,
+      exerciseTemplateId: entry.id,
+      exerciseName: entry.name,
+      exerciseWhere: { OR: [{ exerciseTemplateId: entry.id }, unlinkedExercisesWhere(entry)] },
+      recordWhere: { exerciseTemplateId: entry.id }
+    }
+  }
+
+  const name = exercise?.name?.trim()
+  if (!name) return null
+
+  return {
+    key: `name:${normalizeExerciseName(name)}`,
+    exerciseTemplateId: null,
+    exerciseName: name,
+    exerciseWhere: { exerciseTemplateId: null, name: { equals: name, mode: 'insensitive' } },
+    recordWhere: { exerciseTemplateId: null, exerciseName: { equals: name, mode: 'insensitive' } }
+  }
+}
+
+/**
+ * Rebuild the stored PR timelines of the given exercises from the user's
+ * completed workouts
+ * @param {Object} db - Prisma client or transaction client
+ * @param {number} userId - Authenticated user id
+ * @param {Array} exercises - Exercises whose records may have changed ({ name, exerciseTemplateId })
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {Promise<number>} Number of records stored
+ */
+export async function recomputePersonalRecords(db, userId, exercises, library) {
+  const targets = new Map()
+  ;(exercises || []).forEach((exercise) => {
+    const target = resolveRecordExercise(exercise, library)
+    if (target) targets.set(target.key, target)
+  })
+
+  let stored = 0
+  for (const target of targets.values()) {
+    // Each set is read in the tracking mode of the exercise it was logged in
+    const sets = await db.exerciseSet.findMany({
+      where: {
+        completed: true,
+        exercise: {
+          ...target.exerciseWhere,
+          workout: { userId, status: 'COMPLETED' }
+        }
+      },
+      select: {
+        reps: true,
+        weight: true,
+        weightUnit: true,
+        durationSeconds: true,
+        distanceMeters: true,
+        setType: true,
+        exercise: {
+          select: { workoutId: true, trackingMode: true, workout: { select: { date: true } } }
+        }
+      },
+      orderBy: [
+        { exercise: { workout: { date: 'asc' } } },
+        { exercise: { workoutId: 'asc' } },
+        { orderIndex: 'asc' }
+      ]
+    })
+
+    const timeline = buildPRTimeline(sets.map((set) => ({
+      workoutId: set.exercise.workoutId,
+      date: set.exercise.workout.date,
+      weight: toKg(set.weight, set.weightUnit),
+      reps: set.reps,
+      durationSeconds: set.durationSeconds,
+      distanceMeters: set.distanceMeters,
+      setType: set.setType,
+      trackingMode: set.exercise.trackingMode
+    })))
+
+    await db.personalRecord.deleteMany({
+      where: { userId, ...target.recordWhere }
+    })
+
+    if (timeline.length > 0) {
+      await db.personalRecord.createMany({
+        data: timeline.map((record) => ({
+          userId,
+          workoutId: record.workoutId,
+          exerciseTemplateId: target.exerciseTemplateId,
+          exerciseName: target.exerciseName,
+          type: record.type,
+          value: record.value,
+          previousValue: record.previousValue,
+          weight: record.weight,
+          reps: record.reps,
+          durationSeconds: record.durationSeconds,
+          distanceMeters: record.distanceMeters,
+          achievedAt: record.date
+        }))
+      })
+    }
+    stored += timeline.length
+  }
+
+  return stored
+}
+
+/**
+ * Rebuild every stored PR of a user, e.g. after importing or restoring history
+ * @param {Object} db - Prisma client or transaction client
+ * @param {number} userId - Authenticated user id
+ * @param {Object} library - Lookup from buildExerciseLookup
+ * @returns {Promise<number>} Number of records stored
+ */
+export async function rebuildPersonalRecords(db, userId, library) {
+  const exercises = await db.exercise.findMany({
+    where: { workout: { userId } },
+    select: { name: true, exerciseTemplateId: true },
+    distinct: ['name', 'exerciseTemplateId']
+  })
+
+  await db.personalRecord.deleteMany({ where: { userId } })
+  return recomputePersonalRecords(db, userId, exercises, library)
+}
+
+/**
+ * Keep only the latest record of each type for each exercise
+ * @param {Array} records - PersonalRecord rows, newest first
+ * @returns {Array} Current PRs, newest first
+ */
+export function getCurrentRecords(records) {
+  const seen = new Set()
+  return (records || []).filter((record) => {
+    const exerciseKey = record.exerciseTemplateId
+      ? `id:${record.exerciseTemplateId}`
+      : `name:${normalizeExerciseName(record.exerciseName)}`
+    const key = `${exerciseKey}:${record.type}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * Convert stored records from kg to the unit they are displayed in. Times,
+ * distances, paces and rep counts are left as they are.
+ * @param {Array} records - PersonalRecord rows
+ * @param {string} unit - Unit to convert to
+ * @returns {Array} Records with weight, and value and previousValue of weight PRs, in `unit`
+ */
+export function convertRecordUnits(records, unit) {
+  return (records || []).map((record) => {
+    const isWeight = WEIGHT_PR_TYPES.includes(record.type)
+    return {
+      ...record,
+      value: isWeight ? fromKg(record.value, unit) : record.value,
+      previousValue: isWeight ? fromKg(record.previousValue, unit) : record.previousValue,
+      weight: fromKg(record.weight, unit)
+    }
+  })
+}
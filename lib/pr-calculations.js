@@ -2,9 +2,27 @@
  * PR (Personal Record) Calculation Utilities
  *
  * Provides functions for calculating and detecting Personal Records from exercise history.
- * PRs are calculated on-the-fly from existing data - no database storage required.
+ * The PR timeline built here is stored server-side by lib/personal-records.js;
+ * the remaining helpers work on history fetched by the client. Only set types
+ * that can set a PR are considered (see isPRSet), so warm-ups never do.
+ *
+ * Which PRs an exercise has depends on its tracking mode: e1RM, rep maxes and
+ * set volume for weight × reps, the longest time or distance, the fastest pace
+ * over 500m, and the least assistance and most reps for assisted exercises.
  */
 
+import { DEFAULT_WEIGHT_UNIT, normalizeWeightUnit, formatWeight } from './units.js';
+import { isPRSet } from './set-types.js';
+import {
+  DEFAULT_TRACKING_MODE,
+  PACE_DISTANCE_METERS,
+  getTrackingMode,
+  calculatePace,
+  formatDuration,
+  formatDistance,
+  formatPace
+} from './tracking-modes.js';
+
 /**
  * Calculate Estimated 1RM using Epley formula
  * @param {number} weight - Weight lifted
@@ -23,74 +41,235 @@ export function calculateE1RM(weight, reps) {
  */
 export const TRACKED_REP_COUNTS = [1, 3, 5, 8, 10];
 
+/**
+ * PR types of exercises tracked by time, distance or assistance
+ */
+export const MODE_PR_TYPES = ['duration', 'distance', 'pace', 'assistance', 'reps'];
+
+/**
+ * PR types stored for exercises: e1RM, tracked rep maxes and best set volume,
+ * then the types of the other tracking modes
+ */
+export const PR_TYPES = ['e1rm', ...TRACKED_REP_COUNTS.map(reps => `${reps}rm`), 'volume', ...MODE_PR_TYPES];
+
+/**
+ * PR types whose value is a weight, and so is converted between units
+ */
+export const WEIGHT_PR_TYPES = ['e1rm', ...TRACKED_REP_COUNTS.map(reps => `${reps}rm`), 'volume', 'assistance'];
+
+/**
+ * PR types where the lower value is the better one
+ */
+const LOWER_IS_BETTER_PR_TYPES = ['pace', 'assistance'];
+
+/**
+ * Whether a value beats the previous best of a PR type
+ * @param {string} type - One of PR_TYPES
+ * @param {number} value - New value
+ * @param {number|null} previousValue - Best so far, null if none
+ * @returns {boolean}
+ */
+export function isBetterPR(type, value, previousValue) {
+  if (previousValue === null || previousValue === undefined) return true;
+  return LOWER_IS_BETTER_PR_TYPES.includes(type) ? value < previousValue : value > previousValue;
+}
+
+/**
+ * The values a set could set a PR with, by PR type
+ * @param {Object} set - Set { weight, reps, durationSeconds, distanceMeters, setType }
+ * @param {string} [trackingMode] - The exercise's tracking mode, weight × reps by default
+ * @returns {Object} e.g. { e1rm: 116.7, '5rm': 100, volume: 500 } or { duration: 90 },
+ *   empty when the set can't set a PR
+ */
+export function getSetPRValues(set, trackingMode) {
+  if (!set || !isPRSet(set)) return {};
+  const { weight, reps, durationSeconds, distanceMeters } = set;
+
+  switch (getTrackingMode({ trackingMode })) {
+    case 'DURATION':
+      return durationSeconds > 0 ? { duration: durationSeconds } : {};
+    case 'DISTANCE':
+      return distanceMeters > 0 ? { distance: distanceMeters } : {};
+    case 'DISTANCE_DURATION':
+      if (!(distanceMeters > 0) || !(durationSeconds > 0)) return {};
+      // A short sprint's pace says nothing about a 500m pace
+      return distanceMeters >= PACE_DISTANCE_METERS
+        ? { distance: distanceMeters, pace: calculatePace(set) }
+        : { distance: distanceMeters };
+    case 'ASSISTED':
+      return reps > 0 ? { assistance: weight > 0 ? weight : 0, reps } : {};
+    default: {
+      if (!weight || !reps || weight <= 0 || reps <= 0) return {};
+      const values = { e1rm: calculateE1RM(weight, reps), volume: weight * reps };
+      if (TRACKED_REP_COUNTS.includes(reps)) {
+        values[`${reps}rm`] = weight;
+      }
+      return values;
+    }
+  }
+}
+
+/**
+ * Best records of the tracking mode PR types, keyed durationPR, distancePR...
+ * @param {Object} bests - Best record by PR type
+ * @param {Function} [toPR] - Shapes a best record, which may be undefined
+ * @returns {Object} { durationPR, distancePR, pacePR, assistancePR, repsPR }, null where missing
+ */
+function toModePRs(bests, toPR = record => record || null) {
+  return Object.fromEntries(MODE_PR_TYPES.map(type => [`${type}PR`, toPR(bests[type])]));
+}
+
+/**
+ * Build the timeline of PRs for one exercise. A workout sets a PR for a type
+ * when its best set beats the best of every workout before it, so each PR is
+ * recorded once per workout even if several sets improved on it.
+ * @param {Array} sets - Sets in date order ({ workoutId, date, weight, reps, durationSeconds,
+ *   distanceMeters, setType, trackingMode }), each read in its exercise's tracking mode
+ * @returns {Array} PRs in date order { type, value, previousValue, weight, reps, durationSeconds,
+ *   distanceMeters, workoutId, date }
+ */
+export function buildPRTimeline(sets) {
+  const records = [];
+  const bests = {};
+  let workoutBests = {};
+  let currentWorkoutId = null;
+
+  const closeWorkout = () => {
+    PR_TYPES.forEach(type => {
+      const candidate = workoutBests[type];
+      if (!candidate) return;
+
+      const previous = bests[type];
+      if (!previous || isBetterPR(type, candidate.value, previous.value)) {
+        records.push({ type, ...candidate, previousValue: previous ? previous.value : null });
+        bests[type] = candidate;
+      }
+    });
+    workoutBests = {};
+  };
+
+  (sets || []).forEach(set => {
+    if (set.workoutId !== currentWorkoutId) {
+      closeWorkout();
+      currentWorkoutId = set.workoutId;
+    }
+
+    Object.entries(getSetPRValues(set, set.trackingMode)).forEach(([type, value]) => {
+      if (!workoutBests[type] || isBetterPR(type, value, workoutBests[type].value)) {
+        workoutBests[type] = {
+          value,
+          weight: set.weight ?? null,
+          reps: set.reps ?? null,
+          durationSeconds: set.durationSeconds ?? null,
+          distanceMeters: set.distanceMeters ?? null,
+          workoutId: set.workoutId,
+          date: set.date
+        };
+      }
+    });
+  });
+  closeWorkout();
+
+  return records;
+}
+
+/**
+ * Summarize stored PRs for one exercise in the shape calculatePRsFromHistory returns
+ * @param {Array} records - PersonalRecord rows from /api/prs
+ * @returns {Object|null} { e1rm, repMaxes, volumePR, durationPR, distancePR, pacePR, assistancePR,
+ *   repsPR, hasData }, or null without records
+ */
+export function summarizePersonalRecords(records) {
+  if (!Array.isArray(records) || records.length === 0) return null;
+
+  const best = {};
+  records.forEach(record => {
+    if (!best[record.type] || isBetterPR(record.type, record.value, best[record.type].value)) {
+      best[record.type] = record;
+    }
+  });
+
+  const toPR = (record) => record
+    ? { value: record.value, date: record.achievedAt, weight: record.weight, reps: record.reps }
+    : null;
+
+  const repMaxes = {};
+  TRACKED_REP_COUNTS.forEach(reps => {
+    if (best[`${reps}rm`]) {
+      repMaxes[reps] = { weight: best[`${reps}rm`].weight, date: best[`${reps}rm`].achievedAt };
+    }
+  });
+
+  return {
+    e1rm: toPR(best.e1rm),
+    repMaxes,
+    volumePR: toPR(best.volume),
+    ...toModePRs(best, toPR),
+    hasData: true
+  };
+}
+
 /**
  * Calculate all PRs from exercise history
  * @param {Array} history - Exercise history from /api/exercises/history/[name]
- * @returns {Object} PR data with e1rm, repMaxes, volumePR
+ * @param {string} [trackingMode] - The exercise's tracking mode, weight × reps by default
+ * @returns {Object} PR data with e1rm, repMaxes, volumePR, durationPR, distancePR, pacePR,
+ *   assistancePR and repsPR
  */
-export function calculatePRsFromHistory(history) {
+export function calculatePRsFromHistory(history, trackingMode) {
   if (!Array.isArray(history) || history.length === 0) {
     return {
       e1rm: null,
       repMaxes: {},
       volumePR: null,
+      ...toModePRs({}),
       hasData: false
     };
   }
 
-  let bestE1RM = { value: 0, date: null, weight: 0, reps: 0 };
-  const repMaxes = {}; // { 1: { weight, date }, 3: {...}, ... }
-  let bestVolume = { value: 0, date: null, weight: 0, reps: 0 };
+  const bests = {}; // { e1rm: { value, date, weight, reps }, '5rm': {...}, duration: {...}, ... }
 
   history.forEach(entry => {
     const { date, sets } = entry;
     if (!Array.isArray(sets)) return;
 
     sets.forEach(set => {
-      const { weight, reps } = set;
-      if (!weight || !reps || weight <= 0 || reps <= 0) return;
-
-      // Track e1RM
-      const e1rm = calculateE1RM(weight, reps);
-      if (e1rm > bestE1RM.value) {
-        bestE1RM = { value: e1rm, date, weight, reps };
-      }
-
-      // Track rep maxes for specific rep counts
-      TRACKED_REP_COUNTS.forEach(targetReps => {
-        if (reps === targetReps) {
-          if (!repMaxes[targetReps] || weight > repMaxes[targetReps].weight) {
-            repMaxes[targetReps] = { weight, date };
-          }
+      Object.entries(getSetPRValues(set, trackingMode)).forEach(([type, value]) => {
+        if (!bests[type] || isBetterPR(type, value, bests[type].value)) {
+          bests[type] = { value, date, weight: set.weight, reps: set.reps };
         }
       });
-
-      // Track volume PR (single set)
-      const volume = weight * reps;
-      if (volume > bestVolume.value) {
-        bestVolume = { value: volume, date, weight, reps };
-      }
     });
   });
 
+  // Rep maxes for specific rep counts
+  const repMaxes = {}; // { 1: { weight, date }, 3: {...}, ... }
+  TRACKED_REP_COUNTS.forEach(reps => {
+    const best = bests[`${reps}rm`];
+    if (best) {
+      repMaxes[reps] = { weight: best.weight, date: best.date };
+    }
+  });
+
   return {
-    e1rm: bestE1RM.value > 0 ? bestE1RM : null,
+    e1rm: bests.e1rm || null,
     repMaxes,
-    volumePR: bestVolume.value > 0 ? bestVolume : null,
+    volumePR: bests.volume || null,
+    ...toModePRs(bests),
     hasData: true
   };
 }
 
 /**
  * Check if a set is a PR compared to existing PRs
- * @param {Object} set - Current set { weight, reps }
+ * @param {Object} set - Current set { weight, reps, setType }
  * @param {Object} existingPRs - Existing PRs from calculatePRsFromHistory
  * @returns {Object} { isE1RMPR, isRepMaxPR, isVolumePR, repMaxType }
  */
 export function checkSetForPRs(set, existingPRs) {
   const { weight, reps } = set;
 
-  if (!weight || !reps || weight <= 0 || reps <= 0) {
+  if (!weight || !reps || weight <= 0 || reps <= 0 || !isPRSet(set)) {
     return { isE1RMPR: false, isRepMaxPR: false, isVolumePR: false, repMaxType: null };
   }
 
@@ -140,13 +319,19 @@ export function detectNewPRs(workoutExercises, exerciseHistories) {
     const history = exerciseHistories[exercise.name];
     const sets = exercise.sets || [];
 
+    const trackingMode = getTrackingMode(exercise);
+    if (trackingMode !== DEFAULT_TRACKING_MODE) {
+      newPRs.push(...detectModePRs(exercise, history, trackingMode));
+      return;
+    }
+
     if (!history || history.length === 0) {
       // First time doing this exercise - mark best set as "first" PR
       let bestSet = null;
       let bestE1RM = 0;
 
       sets.forEach(set => {
-        if (set.weight && set.reps) {
+        if (set.weight && set.reps && isPRSet(set)) {
           const e1rm = calculateE1RM(set.weight, set.reps);
           if (e1rm > bestE1RM) {
             bestE1RM = e1rm;
@@ -261,64 +446,54 @@ export function detectNewPRs(workoutExercises, exerciseHistories) {
 }
 
 /**
- * Check if a history entry contains any PR sets
- * @param {Object} entry - History entry with date and sets
- * @param {Object} allPRs - All PRs from calculatePRsFromHistory
- * @returns {Object} { hasPR, prTypes } - PR info for the entry
+ * Detect new PRs of an exercise tracked by time, distance or assistance. A
+ * first session sets a PR of every type it has a value for.
+ * @param {Object} exercise - Exercise from the new workout
+ * @param {Array} history - The exercise's history, may be empty
+ * @param {string} trackingMode - The exercise's tracking mode
+ * @returns {Array} New PRs { exerciseName, prType, value, previousValue, weight, reps }
  */
-export function getEntryPRInfo(entry, allPRs) {
-  if (!entry || !entry.sets || !allPRs) {
-    return { hasPR: false, prTypes: [] };
-  }
-
-  const prTypes = [];
-  const { date, sets } = entry;
-
-  sets.forEach(set => {
-    if (!set.weight || !set.reps) return;
-
-    // Check if this set matches the e1RM PR
-    if (allPRs.e1rm && allPRs.e1rm.date === date) {
-      const e1rm = calculateE1RM(set.weight, set.reps);
-      if (e1rm === allPRs.e1rm.value && !prTypes.includes('e1rm')) {
-        prTypes.push('e1rm');
-      }
-    }
-
-    // Check rep maxes
-    TRACKED_REP_COUNTS.forEach(repCount => {
-      const repMax = allPRs.repMaxes?.[repCount];
-      if (repMax && repMax.date === date && set.reps === repCount && set.weight === repMax.weight) {
-        const prType = `${repCount}rm`;
-        if (!prTypes.includes(prType)) {
-          prTypes.push(prType);
-        }
+function detectModePRs(exercise, history, trackingMode) {
+  const existingPRs = calculatePRsFromHistory(history, trackingMode);
+
+  const workoutBests = {};
+  (exercise.sets || []).forEach(set => {
+    Object.entries(getSetPRValues(set, trackingMode)).forEach(([type, value]) => {
+      if (!workoutBests[type] || isBetterPR(type, value, workoutBests[type].value)) {
+        workoutBests[type] = { value, set };
       }
     });
-
-    // Check volume PR
-    if (allPRs.volumePR && allPRs.volumePR.date === date) {
-      const volume = set.weight * set.reps;
-      if (volume === allPRs.volumePR.value && !prTypes.includes('volume')) {
-        prTypes.push('volume');
-      }
-    }
   });
 
-  return { hasPR: prTypes.length > 0, prTypes };
+  return MODE_PR_TYPES
+    .filter(type => workoutBests[type])
+    .filter(type => isBetterPR(type, workoutBests[type].value, existingPRs[`${type}PR`]?.value))
+    .map(type => ({
+      exerciseName: exercise.name,
+      prType: type,
+      value: workoutBests[type].value,
+      previousValue: existingPRs[`${type}PR`]?.value ?? null,
+      weight: workoutBests[type].set.weight ?? null,
+      reps: workoutBests[type].set.reps ?? null
+    }));
 }
 
 /**
  * Format PR value for display
  * @param {string} prType - Type of PR (e1rm, 5rm, volume, etc.)
  * @param {number} value - PR value
+ * @param {string} [unit] - Weight unit of the value
  * @returns {string} Formatted string
  */
-export function formatPRValue(prType, value) {
+export function formatPRValue(prType, value, unit = DEFAULT_WEIGHT_UNIT) {
+  if (prType === 'duration') return formatDuration(value);
+  if (prType === 'distance') return formatDistance(value);
+  if (prType === 'pace') return formatPace(value);
+  if (prType === 'reps') return `${value} reps`;
   if (prType === 'volume') {
-    return `${value.toLocaleString()} kg`;
+    return formatWeight(value, unit);
   }
-  return `${value} kg`;
+  return `${value} ${normalizeWeightUnit(unit)}`;
 }
 
 /**
@@ -330,6 +505,11 @@ export function getPRTypeLabel(prType) {
   if (prType === 'e1rm') return 'Estimated 1RM';
   if (prType === 'volume') return 'Volume PR';
   if (prType === 'first') return 'First Time';
+  if (prType === 'duration') return 'Longest Time';
+  if (prType === 'distance') return 'Longest Distance';
+  if (prType === 'pace') return `Fastest ${PACE_DISTANCE_METERS}m`;
+  if (prType === 'assistance') return 'Least Assistance';
+  if (prType === 'reps') return 'Most Reps';
   if (prType.endsWith('rm')) {
     const reps = prType.replace('rm', '');
     return `${reps} Rep Max`;
@@ -0,0 +1,186 @@
+/**
+ * Training Programs
+ *
+ * A Program orders session templates into a weekly cycle of days and repeats
+ * it for a number of weeks (e.g. a 4-week hypertrophy block). Per-week
+ * overrides change a day's sets, reps or load (as a percentage of estimated
+ * 1RM) so the same templates can ramp up and deload. Workouts logged for a
+ * program remember their week and day, which is how the next session is found.
+ */
+
+import { normalizeExerciseName } from './exercise-library.js'
+import { visibleTemplatesWhere } from './template-access.js'
+
+/**
+ * Longest program that can be created
+ */
+export const MAX_PROGRAM_WEEKS = 52
+
+/**
+ * Prisma include for a program's days, their templates and overrides
+ */
+export const PROGRAM_INCLUDE = {
+  days: {
+    orderBy: {
+      dayNumber: 'asc'
+    },
+    include: {
+      template: {
+        select: {
+          id: true,
+          name: true
+        }
+      },
+      overrides: {
+        orderBy: [{ week: 'asc' }, { id: 'asc' }]
+      }
+    }
+  }
+}
+
+/**
+ * Build the nested Prisma create data for a program's days and overrides.
+ * Days are numbered by their position in the request.
+ * @param {Array} days - Days from the request body ({ templateId, label, overrides })
+ * @returns {Array} Data for the program's days relation
+ */
+export function buildProgramDaysCreateData(days) {
+  return (days || []).map((day, index) => ({
+    dayNumber: index + 1,
+    templateId: day.templateId,
+    label: day.label?.trim() || null,
+    overrides: {
+      create: (day.overrides || []).map((override) => ({
+        week: override.week,
+        exerciseName: override.exerciseName?.trim() || null,
+        sets: override.sets ?? null,
+        reps: override.reps ?? null,
+        percentE1RM: override.percentE1RM ?? null
+      }))
+    }
+  }))
+}
+
+/**
+ * Name shown for a program day
+ * @param {Object} programDay - ProgramDay including its template
+ * @returns {string} The day's label, or its template's name
+ */
+export function getProgramDayLabel(programDay) {
+  return programDay?.label?.trim() || programDay?.template?.name || 'Workout'
+}
+
+/**
+ * Title for a program session, e.g. "Week 2, Day 3 — Push"
+ * @param {number} week - 1-based week
+ * @param {number} day - 1-based day within the week
+ * @param {string} label - Day label
+ * @returns {string} Session title
+ */
+export function formatProgramSessionTitle(week, day, label) {
+  return `Week ${week}, Day ${day} — ${label}`
+}
+
+/**
+ * Work out the next session of a program from the last one logged for it
+ * @param {Object} program - Program including its days
+ * @param {Object|null} lastWorkout - Latest completed workout logged for the program ({ programWeek, programDay })
+ * @returns {Object|null} { week, day, programDay } or null once the program is finished
+ */
+export function getNextProgramSession(program, lastWorkout) {
+  const days = [...(program?.days || [])].sort((a, b) => a.dayNumber - b.dayNumber)
+  if (days.length === 0) return null
+
+  let week = 1
+  let index = 0
+
+  if (lastWorkout?.programWeek) {
+    // The first day after the last one logged. Going by number rather than
+    // finding the day itself keeps the place when that day was removed since.
+    const nextIndex = days.findIndex((day) => day.dayNumber > lastWorkout.programDay)
+    week = lastWorkout.programWeek
+    index = nextIndex === -1 ? days.length : nextIndex
+    if (index >= days.length) {
+      week++
+      index = 0
+    }
+  }
+
+  if (week > program.weeks) return null
+
+  return { week, day: days[index].dayNumber, programDay: days[index] }
+}
+
+/**
+ * Combine the overrides that apply to one exercise in one week. Overrides for
+ * every exercise (no exercise name) apply first, then ones for this exercise.
+ * @param {Array} overrides - ProgramOverride records for the day
+ * @param {number} week - 1-based week
+ * @param {string} exerciseName - Template exercise name
+ * @returns {Object|null} { sets, reps, percentE1RM } with only overridden values, or null
+ */
+export function resolveExerciseOverride(overrides, week, exerciseName) {
+  const key = normalizeExerciseName(exerciseName)
+  const matching = (overrides || [])
+    .filter((override) => override.week === week)
+    .filter((override) => !override.exerciseName || normalizeExerciseName(override.exerciseName) === key)
+    .sort((a, b) => (a.exerciseName ? 1 : 0) - (b.exerciseName ? 1 : 0))
+
+  if (matching.length === 0) return null
+
+  return matching.reduce((result, override) => {
+    ;['sets', 'reps', 'percentE1RM'].forEach((field) => {
+      if (override[field] !== null && override[field] !== undefined) {
+        result[field] = override[field]
+      }
+    })
+    return result
+  }, {})
+}
+
+/**
+ * Apply resolved program targets to a session's planned exercises
+ * @param {Array} exercises - Exercises in API format (e.g. from buildLiveExercises)
+ * @param {Array} targets - Targets from GET /api/programs/next
+ *   ([{ exerciseName, sets, reps, weight }])
+ * @returns {Array} Exercises with set count, reps and weight replaced where targeted
+ */
+export function applyProgramTargets(exercises, targets) {
+  const byName = new Map(
+    (targets || []).map((target) => [normalizeExerciseName(target.exerciseName), target])
+  )
+
+  return (exercises || []).map((exercise) => {
+    const target = byName.get(normalizeExerciseName(exercise.name))
+    if (!target) return exercise
+
+    const template = exercise.sets?.[exercise.sets.length - 1] || { reps: 1, weight: null }
+    const count = target.sets || exercise.sets?.length || 1
+    const sets = Array.from({ length: count }, (_, index) => {
+      const set = exercise.sets?.[index] || { ...template }
+      return {
+        ...set,
+        ...(target.reps && { reps: target.reps }),
+        ...(target.weight && { weight: target.weight })
+      }
+    })
+
+    return { ...exercise, sets }
+  })
+}
+
+/**
+ * Check that every template a program's days use is visible to the user
+ * @param {Object} db - Prisma client
+ * @param {Array} days - Days from the request body ({ templateId })
+ * @param {number} userId - Authenticated user id
+ * @returns {Promise<boolean>} true if all templates exist and are visible
+ */
+export async function canUseProgramTemplates(db, days, userId) {
+  const templateIds = [...new Set(days.map((day) => day.templateId))]
+  const templates = await db.sessionTemplate.findMany({
+    where: { id: { in: templateIds }, ...visibleTemplatesWhere(userId) },
+    select: { id: true }
+  })
+  return templates.length === templateIds.length
+}
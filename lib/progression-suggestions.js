@@ -2,10 +2,15 @@
  * Progressive Overload Suggestions
  *
  * Provides utilities for generating and categorizing progression suggestions
- * based on RPE trends and workout history.
+ * based on RPE trends and workout history. Histories are expected in a single
+ * weight unit, and suggested changes are rounded to that unit's increment, or,
+ * given the user's equipment, to the nearest load it can make.
  */
 
 import { analyzeRPEData, calculateExerciseSummary } from './migrate-sets.js'
+import { DEFAULT_WEIGHT_UNIT, normalizeWeightUnit, convertWeightChange } from './units.js'
+import { isVolumeSet } from './set-types.js'
+import { getLoadableChange } from './equipment.js'
 
 /**
  * Progression status types
@@ -27,9 +32,21 @@ const MIN_SESSIONS_FOR_SUGGESTION = 2
  * @param {Array} exerciseHistory - History from /api/exercises/history/[name]
  * @param {string} targetRepRange - Target rep range (e.g., "8-12")
  * @param {number} currentWeight - Current weight being used
+ * @param {string} [unit] - Weight unit of the history
+ * @param {Object} [equipment] - User's equipment in the same unit, from getEquipmentProfile
+ * @param {string|null} [equipmentType] - Equipment the exercise is done with, one of EQUIPMENT_TYPES
  * @returns {Object} Suggestion with status, message, and recommended changes
  */
-export function getProgressionSuggestion(exerciseHistory, targetRepRange, currentWeight = 0) {
+export function getProgressionSuggestion(
+  exerciseHistory,
+  targetRepRange,
+  currentWeight = 0,
+  unit = DEFAULT_WEIGHT_UNIT,
+  equipment = null,
+  equipmentType = null
+) {
+  const weightUnit = normalizeWeightUnit(unit)
+
   // Not enough data
   if (!exerciseHistory || exerciseHistory.length < MIN_SESSIONS_FOR_SUGGESTION) {
     return {
@@ -40,6 +57,7 @@ export function getProgressionSuggestion(exerciseHistory, targetRepRange, curren
       suggestedReps: null,
       weightChange: 0,
       repChange: 0,
+      weightUnit,
       sessionsAnalyzed: exerciseHistory?.length || 0,
       lastSession: null
     }
@@ -58,6 +76,7 @@ export function getProgressionSuggestion(exerciseHistory, targetRepRange, curren
       suggestedReps: null,
       weightChange: 0,
       repChange: 0,
+      weightUnit,
       sessionsAnalyzed: exerciseHistory.length,
       lastSession: getLastSessionSummary(exerciseHistory)
     }
@@ -66,6 +85,10 @@ export function getProgressionSuggestion(exerciseHistory, targetRepRange, curren
   const { recommendation, lastSessionRPE, rpeTrend, analysis } = rpeAnalysis
   const lastSession = getLastSessionSummary(exerciseHistory)
   const lastWeight = lastSession?.maxWeight || currentWeight
+  const unitChange = convertWeightChange(recommendation.weightChange, weightUnit)
+  const weightChange = equipment
+    ? getLoadableChange(lastWeight, unitChange, equipment, equipmentType)
+    : unitChange
 
   // Determine status based on recommendation type
   let status
@@ -74,7 +97,7 @@ export function getProgressionSuggestion(exerciseHistory, targetRepRange, curren
   switch (recommendation.type) {
     case 'increase_weight':
       status = PROGRESSION_STATUS.READY
-      shortMessage = `+${recommendation.weightChange}kg`
+      shortMessage = `+${weightChange}${weightUnit}`
       break
     case 'increase_reps':
       status = PROGRESSION_STATUS.READY
@@ -103,10 +126,11 @@ export function getProgressionSuggestion(exerciseHistory, targetRepRange, curren
     status,
     message: recommendation.message,
     shortMessage,
-    suggestedWeight: lastWeight + recommendation.weightChange,
+    suggestedWeight: Math.round((lastWeight + weightChange) * 100) / 100,
     suggestedReps: lastSession?.avgReps ? Math.round(lastSession.avgReps + recommendation.repChange) : null,
-    weightChange: recommendation.weightChange,
+    weightChange,
     repChange: recommendation.repChange,
+    weightUnit,
     lastSessionRPE,
     rpeTrend,
     fatigue: analysis.fatigue,
@@ -116,6 +140,13 @@ export function getProgressionSuggestion(exerciseHistory, targetRepRange, curren
   }
 }
 
+/**
+ * Summarize a session's sets, leaving out warm-ups
+ */
+function summarizeSession(session) {
+  return calculateExerciseSummary((session.sets || []).filter(isVolumeSet))
+}
+
 /**
  * Get summary of last session
  */
@@ -123,7 +154,7 @@ function getLastSessionSummary(history) {
   if (!history || history.length === 0) return null
 
   const lastEntry = history[0]
-  const summary = calculateExerciseSummary(lastEntry.sets || [])
+  const summary = summarizeSession(lastEntry)
 
   return {
     date: lastEntry.date,
@@ -143,10 +174,7 @@ function isStalled(history) {
   if (!history || history.length < 4) return false
 
   const recentSessions = history.slice(0, 4)
-  const weights = recentSessions.map(s => {
-    const summary = calculateExerciseSummary(s.sets || [])
-    return summary.maxWeight
-  })
+  const weights = recentSessions.map(s => summarizeSession(s).maxWeight)
 
   // Check if all weights are the same
   const allSameWeight = weights.every(w => w === weights[0])
@@ -154,7 +182,7 @@ function isStalled(history) {
 
   // Check if average RPE is high
   const rpes = recentSessions
-    .map(s => calculateExerciseSummary(s.sets || []).averageRPE)
+    .map(s => summarizeSession(s).averageRPE)
     .filter(Boolean)
 
   if (rpes.length === 0) return false
@@ -165,7 +193,7 @@ function isStalled(history) {
 
 /**
  * Categorize multiple exercises by progression status
- * @param {Array} exercises - Array of { name, history, targetRepRange }
+ * @param {Array} exercises - Array of { name, history, targetRepRange, currentWeight, weightUnit }
  * @returns {Object} Categorized exercises
  */
 export function categorizeExercises(exercises) {
@@ -180,7 +208,10 @@ export function categorizeExercises(exercises) {
     const suggestion = getProgressionSuggestion(
       exercise.history,
       exercise.targetRepRange,
-      exercise.currentWeight
+      exercise.currentWeight,
+      exercise.weightUnit,
+      exercise.equipment,
+      exercise.equipmentType
     )
 
     const exerciseWithSuggestion = {
@@ -258,20 +289,21 @@ export function formatSuggestionText(suggestion) {
   }
 
   const { lastSession, weightChange, repChange, lastSessionRPE } = suggestion
+  const unit = normalizeWeightUnit(suggestion.weightUnit)
 
   if (!lastSession) return suggestion.message
 
-  let text = `Last: ${lastSession.maxWeight}kg × ${lastSession.avgReps} `
+  let text = `Last: ${lastSession.maxWeight}${unit} × ${lastSession.avgReps} `
   if (lastSessionRPE) {
     text += `@ RPE ${lastSessionRPE}`
   }
 
   if (weightChange > 0) {
-    text += ` → Try ${lastSession.maxWeight + weightChange}kg`
+    text += ` → Try ${lastSession.maxWeight + weightChange}${unit}`
   } else if (repChange > 0) {
     text += ` → Aim for ${lastSession.avgReps + repChange} reps`
   } else if (weightChange < 0) {
-    text += ` → Consider ${lastSession.maxWeight + weightChange}kg (deload)`
+    text += ` → Consider ${lastSession.maxWeight + weightChange}${unit} (deload)`
   }
 
   return text
@@ -0,0 +1,223 @@
+/**
+ * Login Rate Limiting
+ *
+ * Failed logins are counted per username and per client IP. After a few free
+ * attempts each further failure locks the key for twice as long as the last
+ * (30s, 1m, 2m, ...), and enough failures lock it for 15 minutes. Counts are
+ * forgotten an hour after the last failure, and a successful login clears the
+ * username's count.
+ *
+ * Counts live in a store: in memory for tests, and in the login_attempts
+ * table otherwise so every server instance shares them.
+ */
+
+import { NextResponse } from 'next/server'
+import { prisma } from './prisma.js'
+
+/**
+ * Failures allowed before backoff starts, and the count that locks a key out
+ */
+export const LOGIN_RATE_LIMITS = {
+  username: { freeAttempts: 5, lockoutAfter: 10 },
+  ip: { freeAttempts: 20, lockoutAfter: 50 }
+}
+
+export const BACKOFF_BASE_SECONDS = 30
+
+export const LOCKOUT_SECONDS = 15 * 60
+
+// Failure counts reset once a key has had no failures for this long
+const FAILURE_WINDOW_MS = 60 * 60 * 1000
+
+/**
+ * In-memory store, for tests and single-process development
+ * @returns {Object} Store with get, increment, lock, delete and clear
+ */
+export function createMemoryStore() {
+  const records = new Map()
+
+  return {
+    async get(key) {
+      return records.get(key) || null
+    },
+
+    async increment(key, { now, windowMs }) {
+      const record = records.get(key)
+      const stale = !record || now - record.lastFailureAt.getTime() > windowMs
+      const next = {
+        failures: stale ? 1 : record.failures + 1,
+        lastFailureAt: new Date(now),
+        lockedUntil: stale ? null : record.lockedUntil
+      }
+      records.set(key, next)
+      return next
+    },
+
+    async lock(key, lockedUntil) {
+      const record = records.get(key)
+      if (record) records.set(key, { ...record, lockedUntil })
+    },
+
+    async delete(key) {
+      records.delete(key)
+    },
+
+    clear() {
+      records.clear()
+    }
+  }
+}
+
+/**
+ * Store backed by the login_attempts table
+ * @param {Object} db - Prisma client
+ * @returns {Object} Store with get, increment, lock and delete
+ */
+export function createPrismaStore(db) {
+  return {
+    async get(key) {
+      return db.loginAttempt.findUnique({ where: { key } })
+    },
+
+    async increment(key, { now, windowMs }) {
+      // Forget a stale count first so the increment starts again from one
+      await db.loginAttempt.deleteMany({
+        where: { key, lastFailureAt: { lt: new Date(now - windowMs) } }
+      })
+      return db.loginAttempt.upsert({
+        where: { key },
+        create: { key, failures: 1, lastFailureAt: new Date(now) },
+        update: { failures: { increment: 1 }, lastFailureAt: new Date(now) }
+      })
+    },
+
+    async lock(key, lockedUntil) {
+      await db.loginAttempt.update({ where: { key }, data: { lockedUntil } })
+    },
+
+    async delete(key) {
+      await db.loginAttempt.deleteMany({ where: { key } })
+    }
+  }
+}
+
+/**
+ * How long a key is locked after its latest failure
+ * @param {number} failures - Failures counted so far, including the latest
+ * @param {Object} limits - { freeAttempts, lockoutAfter }
+ * @returns {number} Seconds until the next attempt is allowed
+ */
+export function getBackoffSeconds(failures, limits) {
+  if (failures <= limits.freeAttempts) return 0
+  if (failures >= limits.lockoutAfter) return LOCKOUT_SECONDS
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - limits.freeAttempts - 1), LOCKOUT_SECONDS)
+}
+
+/**
+ * Rate limiter over a store
+ * @param {Object} store - Store from createMemoryStore or createPrismaStore
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} { store, check, recordFailure, reset }
+ */
+export function createRateLimiter(store, { now = () => Date.now() } = {}) {
+  const secondsUntil = (date, time) =>
+    date ? Math.max(0, Math.ceil((new Date(date).getTime() - time) / 1000)) : 0
+
+  return {
+    store,
+
+    /**
+     * Check whether any of the keys is locked
+     * @param {Array} keys - [{ key, limits }]
+     * @returns {Promise<Object>} { allowed, retryAfterSeconds }
+     */
+    async check(keys) {
+      const time = now()
+      const records = await Promise.all(keys.map(({ key }) => store.get(key)))
+      const retryAfterSeconds = Math.max(0, ...records.map((record) => secondsUntil(record?.lockedUntil, time)))
+      return { allowed: retryAfterSeconds === 0, retryAfterSeconds }
+    },
+
+    /**
+     * Count a failed attempt against every key, locking those past their free attempts
+     * @param {Array} keys - [{ key, limits }]
+     * @returns {Promise<Object>} { retryAfterSeconds } before the next attempt is allowed
+     */
+    async recordFailure(keys) {
+      const time = now()
+      const delays = await Promise.all(keys.map(async ({ key, limits }) => {
+        const record = await store.increment(key, { now: time, windowMs: FAILURE_WINDOW_MS })
+        const seconds = getBackoffSeconds(record.failures, limits)
+        if (seconds > 0) await store.lock(key, new Date(time + seconds * 1000))
+        return seconds
+      }))
+      return { retryAfterSeconds: Math.max(0, ...delays) }
+    },
+
+    /**
+     * Forget a key's failures
+     * @param {string} key - Key to reset
+     */
+    async reset(key) {
+      await store.delete(key)
+    }
+  }
+}
+
+/**
+ * The client IP of a request, as reported by the proxy in front of the app
+ * @param {Request} request - Incoming request
+ * @returns {string} IP address, or 'unknown'
+ */
+export function getClientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for')
+  if (forwarded) return forwarded.split(',')[0].trim()
+  return request.headers.get('x-real-ip') || 'unknown'
+}
+
+/**
+ * Rate-limit keys of a login attempt
+ * @param {string} username - Username tried
+ * @param {string} ip - Client IP
+ * @returns {Array} [{ key, limits }] for the username and the IP
+ */
+export function getLoginKeys(username, ip) {
+  return [
+    { key: `user:${username.toLowerCase()}`, limits: LOGIN_RATE_LIMITS.username },
+    { key: `ip:${ip}`, limits: LOGIN_RATE_LIMITS.ip }
+  ]
+}
+
+/**
+ * Describe a wait for the login form, e.g. "30 seconds" or "15 minutes"
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} Rounded-up wait
+ */
+export function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+/**
+ * 429 response for a locked login, password reset or two-factor attempt
+ * @param {number} retryAfterSeconds - Seconds until the next attempt is allowed
+ * @returns {NextResponse} Response with a Retry-After header
+ */
+export function tooManyAttemptsResponse(retryAfterSeconds) {
+  return NextResponse.json(
+    {
+      error: `Too many failed login attempts. Try again in ${formatRetryAfter(retryAfterSeconds)}.`,
+      retryAfter: retryAfterSeconds
+    },
+    {
+      status: 429,
+      headers: { 'Retry-After': String(retryAfterSeconds) }
+    }
+  )
+}
+
+export const loginRateLimiter = createRateLimiter(
+  process.env.NODE_ENV === 'test' ? createMemoryStore() : createPrismaStore(prisma)
+)
@@ -0,0 +1,109 @@
+/**
+ * Recovery Codes
+ *
+ * Accounts have no email address, so a forgotten password is reset with one
+ * of ten one-time recovery codes, shown once when they are generated (at
+ * registration or from settings). Codes carry 80 random bits and only their
+ * SHA-256 hash is stored, like session tokens.
+ */
+
+import { createHash, randomBytes } from 'crypto'
+
+export const RECOVERY_CODE_COUNT = 10
+
+// 32 characters, so each random byte maps onto one evenly; no 0/O or 1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+const CODE_LENGTH = 16
+
+const CODE_GROUP_LENGTH = 4
+
+/**
+ * Generate a set of recovery codes
+ * @param {number} [count] - Number of codes
+ * @returns {Array<string>} Codes such as "K7QM-3XPD-WN2R-HT8B"
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+    const groups = []
+    for (let i = 0; i < CODE_LENGTH; i += CODE_GROUP_LENGTH) {
+      groups.push(chars.slice(i, i + CODE_GROUP_LENGTH).join(''))
+    }
+    return groups.join('-')
+  })
+}
+
+/**
+ * Strip the dashes, spaces and case a user may type a code with
+ * @param {string} code - Code as entered
+ * @returns {string} Upper-case code without separators
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+/**
+ * Hash a recovery code for storage or lookup
+ * @param {string} code - Code as entered or generated
+ * @returns {string} SHA-256 hex digest of the normalized code
+ */
+export function hashRecoveryCode(code) {
+  return createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+}
+
+/**
+ * RecoveryCode rows for a set of codes
+ * @param {Array<string>} codes - Codes from generateRecoveryCodes
+ * @returns {Array<Object>} [{ codeHash }]
+ */
+export function toRecoveryCodeRows(codes) {
+  return codes.map((code) => ({ codeHash: hashRecoveryCode(code) }))
+}
+
+/**
+ * Replace all of a user's recovery codes with a new set
+ * @param {Object} db - Prisma client
+ * @param {number} userId - User to generate codes for
+ * @returns {Promise<Array<string>>} The new codes, which can't be shown again
+ */
+export async function replaceRecoveryCodes(db, userId) {
+  const codes = generateRecoveryCodes()
+
+  await db.$transaction([
+    db.recoveryCode.deleteMany({ where: { userId } }),
+    db.recoveryCode.createMany({
+      data: toRecoveryCodeRows(codes).map((row) => ({ ...row, userId }))
+    })
+  ])
+
+  return codes
+}
+
+/**
+ * Mark a user's recovery code as used
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the code
+ * @param {string} code - Code as entered
+ * @returns {Promise<boolean>} false when the code is wrong or already used
+ */
+export async function consumeRecoveryCode(db, userId, code) {
+  if (!normalizeRecoveryCode(code)) return false
+
+  // A conditional update, so two resets racing with one code can't both win
+  const { count } = await db.recoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() }
+  })
+  return count > 0
+}
+
+/**
+ * Count a user's unused recovery codes
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the codes
+ * @returns {Promise<number>} Codes left
+ */
+export async function countRecoveryCodes(db, userId) {
+  return db.recoveryCode.count({ where: { userId, usedAt: null } })
+}
@@ -0,0 +1,92 @@
+import { prisma } from './prisma.js'
+import { unlinkedExercisesWhere } from './exercise-library.js'
+
+const defaultExercises = [
+  { name: 'Back Squat', category: 'Barbell', muscleGroups: 'Quads, Glutes', aliases: ['Squat', 'Squats', 'BB Squat', 'Barbell Squat'] },
+  { name: 'Front Squat', category: 'Barbell', muscleGroups: 'Quads, Core', aliases: ['Front Squats'] },
+  { name: 'Bulgarian Split Squat', category: 'Dumbbell', muscleGroups: 'Quads, Glutes', aliases: ['Bulgarian Split Squats', 'BSS'] },
+  { name: 'Leg Press', category: 'Machine', muscleGroups: 'Quads, Glutes', aliases: [] },
+  { name: 'Leg Extension', category: 'Machine', muscleGroups: 'Quads', aliases: ['Leg Extensions'] },
+  { name: 'Walking Lunge', category: 'Dumbbell', muscleGroups: 'Quads, Glutes', aliases: ['Walking Lunges', 'Lunges'] },
+  { name: 'Deadlift', category: 'Barbell', muscleGroups: 'Hamstrings, Glutes, Back', aliases: ['Deadlifts', 'Conventional Deadlift'] },
+  { name: 'Romanian Deadlift', category: 'Barbell', muscleGroups: 'Hamstrings, Glutes', aliases: ['Romanian Deadlifts', 'RDL'] },
+  { name: 'Single Leg Deadlift', category: 'Dumbbell', muscleGroups: 'Hamstrings, Glutes', aliases: ['Single Leg Deadlifts', 'Single Leg RDL'] },
+  { name: 'Hip Thrust', category: 'Barbell', muscleGroups: 'Glutes, Hamstrings', aliases: ['Hip Thrusts', 'Barbell Hip Thrust'] },
+  { name: 'Leg Curl', category: 'Machine', muscleGroups: 'Hamstrings', aliases: ['Leg Curls', 'Hamstring Curl'] },
+  { name: 'Calf Raise', category: 'Machine', muscleGroups: 'Calves', aliases: ['Calf Raises', 'Standing Calf Raise'] },
+  { name: 'Bench Press', category: 'Barbell', muscleGroups: 'Chest, Triceps, Shoulders', aliases: ['BB Bench', 'Barbell Bench Press', 'Flat Bench'] },
+  { name: 'Incline Dumbbell Press', category: 'Dumbbell', muscleGroups: 'Chest, Shoulders', aliases: ['Incline DB Press'] },
+  { name: 'Dumbbell Fly', category: 'Dumbbell', muscleGroups: 'Chest', aliases: ['Dumbbell Flyes', 'DB Fly', 'Chest Fly'] },
+  { name: 'Push-up', category: 'Bodyweight', muscleGroups: 'Chest, Triceps', aliases: ['Push-ups', 'Pushups', 'Push Up'] },
+  { name: 'Dip', category: 'Bodyweight', muscleGroups: 'Triceps, Chest', aliases: ['Dips', 'Tricep Dips'] },
+  { name: 'Overhead Press', category: 'Barbell', muscleGroups: 'Shoulders, Triceps', aliases: ['OHP', 'Military Press', 'Shoulder Press'] },
+  { name: 'Lateral Raise', category: 'Dumbbell', muscleGroups: 'Shoulders', aliases: ['Lateral Raises', 'Side Lateral Raise'] },
+  { name: 'Face Pull', category: 'Cable', muscleGroups: 'Shoulders, Back', aliases: ['Face Pulls'] },
+  { name: 'Tricep Pushdown', category: 'Cable', muscleGroups: 'Triceps', aliases: ['Tricep Pushdowns', 'Triceps Pushdown', 'Cable Pushdown'] },
+  { name: 'Tricep Extension', category: 'Dumbbell', muscleGroups: 'Triceps', aliases: ['Tricep Extensions', 'Overhead Tricep Extension'] },
+  { name: 'Pull-up', category: 'Bodyweight', muscleGroups: 'Back, Biceps', aliases: ['Pull-ups', 'Pullups', 'Pull Up'] },
+  { name: 'Chin-up', category: 'Bodyweight', muscleGroups: 'Back, Biceps', aliases: ['Chin-ups', 'Chinups'] },
+  { name: 'Lat Pulldown', category: 'Cable', muscleGroups: 'Back, Biceps', aliases: ['Lat Pulldowns', 'Pulldown'] },
+  { name: 'Barbell Row', category: 'Barbell', muscleGroups: 'Back, Biceps', aliases: ['Barbell Rows', 'BB Row', 'Bent Over Row'] },
+  { name: 'Seated Cable Row', category: 'Cable', muscleGroups: 'Back, Biceps', aliases: ['Cable Rows', 'Cable Row', 'Seated Row'] },
+  { name: 'Bicep Curl', category: 'Dumbbell', muscleGroups: 'Biceps', aliases: ['Bicep Curls', 'Biceps Curl', 'DB Curl'] },
+  { name: 'Hammer Curl', category: 'Dumbbell', muscleGroups: 'Biceps', aliases: ['Hammer Curls'] },
+  { name: 'Plank', category: 'Bodyweight', muscleGroups: 'Core', aliases: ['Planks'] },
+  { name: 'Russian Twist', category: 'Bodyweight', muscleGroups: 'Core', aliases: ['Russian Twists'] }
+]
+
+export async function seedExerciseLibrary() {
+  console.log('🌱 Seeding exercise library...')
+
+  try {
+    for (const exerciseData of defaultExercises) {
+      // System entries have no owner; refresh them in place if they already exist
+      const existing = await prisma.exerciseTemplate.findFirst({
+        where: { name: exerciseData.name, userId: null }
+      })
+
+      const entry = existing
+        ? await prisma.exerciseTemplate.update({
+            where: { id: existing.id },
+            data: {
+              aliases: exerciseData.aliases,
+              category: exerciseData.category,
+              muscleGroups: exerciseData.muscleGroups
+            }
+          })
+        : await prisma.exerciseTemplate.create({
+            data: { ...exerciseData, userId: null }
+          })
+
+      // Link previously logged exercises that use this name or an alias
+      const { count } = await prisma.exercise.updateMany({
+        where: unlinkedExercisesWhere(entry),
+        data: { exerciseTemplateId: entry.id }
+      })
+
+      console.log(`✅ ${existing ? 'Updated' : 'Created'} "${entry.name}"${count > 0 ? `, linked ${count} logged exercises` : ''}`)
+    }
+
+    console.log('🎉 Exercise library seeded successfully!')
+  } catch (error) {
+    console.error('❌ Error seeding exercise library:', error)
+    throw error
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  seedExerciseLibrary()
+    .then(() => {
+      console.log('✅ Seeding completed')
+      process.exit(0)
+    })
+    .catch((error) => {
+      console.error('❌ Seeding failed:', error)
+      process.exit(1)
+    })
+    .finally(() => {
+      // Ensure prisma connection is closed
+      prisma.$disconnect()
+    })
+}
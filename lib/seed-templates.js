@@ -78,9 +78,9 @@ export async function seedDefaultTemplates() {
   
   try {
     for (const templateData of defaultTemplates) {
-      // Check if template already exists
-      const existingTemplate = await prisma.sessionTemplate.findUnique({
-        where: { name: templateData.name }
+      // Check if system template already exists
+      const existingTemplate = await prisma.sessionTemplate.findFirst({
+        where: { name: templateData.name, isDefault: true, userId: null }
       })
 
       if (existingTemplate) {
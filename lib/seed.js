@@ -1,4 +1,5 @@
 import { prisma } from './prisma.js'
+import { toExerciseSetRows } from './exercise-sets.js'
 
 // Mock data with new sets array format
 const mockWorkoutData = [
@@ -164,8 +165,10 @@ export async function seedDatabase() {
           data: {
             workoutId: workout.id,
             name: exerciseData.name,
-            setsData: JSON.stringify(exerciseData.sets),
             orderIndex: exerciseData.orderIndex,
+            sets: {
+              create: toExerciseSetRows(exerciseData.sets),
+            },
           },
         })
       }
@@ -0,0 +1,91 @@
+/**
+ * Set Types
+ *
+ * Every logged set has a type. Warm-ups prepare for the work and count for
+ * nothing else. Drop and rest-pause sets add volume but chain several efforts
+ * at changing loads, so they can't set PRs. Progression suggestions read RPE
+ * from working sets only, since failure, AMRAP and drop sets are meant to be
+ * all-out and back-off sets are meant to be easier. Sets without a type are
+ * working sets.
+ */
+
+/**
+ * Valid set types, matching the SetType enum in prisma/schema.prisma
+ */
+export const SET_TYPES = [
+  'WARMUP',
+  'WORKING',
+  'DROP',
+  'FAILURE',
+  'AMRAP',
+  'REST_PAUSE',
+  'BACKOFF'
+]
+
+export const DEFAULT_SET_TYPE = 'WORKING'
+
+export const SET_TYPE_LABELS = {
+  WARMUP: 'Warm-up',
+  WORKING: 'Working',
+  DROP: 'Drop set',
+  FAILURE: 'To failure',
+  AMRAP: 'AMRAP',
+  REST_PAUSE: 'Rest-pause',
+  BACKOFF: 'Back-off'
+}
+
+/**
+ * Short tags shown next to a set's number; working sets have none
+ */
+export const SET_TYPE_TAGS = {
+  WARMUP: 'W',
+  WORKING: null,
+  DROP: 'D',
+  FAILURE: 'F',
+  AMRAP: 'A',
+  REST_PAUSE: 'RP',
+  BACKOFF: 'B'
+}
+
+/**
+ * Set types that can set a PR or feed an e1RM estimate
+ */
+export const PR_SET_TYPES = ['WORKING', 'FAILURE', 'AMRAP', 'BACKOFF']
+
+const PROGRESSION_SET_TYPES = ['WORKING']
+
+/**
+ * Type of a set, treating a missing or unknown type as a working set
+ * @param {Object} set - Set with optional setType
+ * @returns {string} One of SET_TYPES
+ */
+export function getSetType(set) {
+  return SET_TYPES.includes(set?.setType) ? set.setType : DEFAULT_SET_TYPE
+}
+
+/**
+ * Whether a set's load counts towards training volume
+ * @param {Object} set - Set with optional setType
+ * @returns {boolean} False for warm-ups
+ */
+export function isVolumeSet(set) {
+  return getSetType(set) !== 'WARMUP'
+}
+
+/**
+ * Whether a set can set an e1RM, rep max or volume PR
+ * @param {Object} set - Set with optional setType
+ * @returns {boolean} True for working, failure, AMRAP and back-off sets
+ */
+export function isPRSet(set) {
+  return PR_SET_TYPES.includes(getSetType(set))
+}
+
+/**
+ * Whether a set's reps and RPE feed progression suggestions
+ * @param {Object} set - Set with optional setType
+ * @returns {boolean} True for working sets
+ */
+export function isProgressionSet(set) {
+  return PROGRESSION_SET_TYPES.includes(getSetType(set))
+}
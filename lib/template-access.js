@@ -0,0 +1,40 @@
+/**
+ * Session Template Access Rules
+ *
+ * Templates belong to the user who created them. Default templates seeded by
+ * lib/seed-templates.js have no owner and are visible to everyone as
+ * read-only system templates.
+ */
+
+/**
+ * Prisma where clause for templates a user is allowed to see
+ * @param {number} userId - Authenticated user id
+ * @returns {Object} Prisma where fragment
+ */
+export function visibleTemplatesWhere(userId) {
+  return {
+    OR: [{ userId }, { isDefault: true }]
+  }
+}
+
+/**
+ * Check if a user can view a template
+ * @param {Object} template - SessionTemplate record
+ * @param {number} userId - Authenticated user id
+ * @returns {boolean} true if the template is a system template or owned by the user
+ */
+export function canViewTemplate(template, userId) {
+  if (!template) return false
+  return template.isDefault || template.userId === userId
+}
+
+/**
+ * Check if a user can modify or delete a template
+ * @param {Object} template - SessionTemplate record
+ * @param {number} userId - Authenticated user id
+ * @returns {boolean} true only for non-default templates owned by the user
+ */
+export function canEditTemplate(template, userId) {
+  if (!template) return false
+  return !template.isDefault && template.userId === userId
+}
@@ -0,0 +1,164 @@
+/**
+ * TOTP
+ *
+ * Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+ * an HMAC of the number of 30-second steps since the epoch, truncated to six
+ * digits (RFC 4226). Secrets are exchanged in base32 through an otpauth URI.
+ */
+
+import { createHmac, randomBytes } from 'crypto'
+
+export const TOTP_STEP_SECONDS = 30
+
+export const TOTP_DIGITS = 6
+
+// Codes from one step either side are accepted to allow for clock drift
+export const TOTP_WINDOW = 1
+
+const TOTP_ISSUER = 'Gym Pad'
+
+// 160 bits, the HMAC-SHA1 block the authenticator apps expect
+const SECRET_BYTES = 20
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export function base32Decode(input) {
+  const chars = input.toUpperCase().replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of chars) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`)
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string} Secret for the otpauth URI
+ */
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(SECRET_BYTES))
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {Buffer} key - Secret key bytes
+ * @param {number} counter - Moving factor
+ * @param {Object} [options]
+ * @param {number} [options.digits] - Code length
+ * @param {string} [options.algorithm] - HMAC hash: 'sha1', 'sha256' or 'sha512'
+ * @returns {string} Zero-padded code
+ */
+export function generateHotp(key, counter, { digits = TOTP_DIGITS, algorithm = 'sha1' } = {}) {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = createHmac(algorithm, key).update(message).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** digits).padStart(digits, '0')
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {number} Steps since the epoch
+ */
+export function getTotpStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS)
+}
+
+/**
+ * TOTP code for a moment (RFC 6238)
+ * @param {Buffer} key - Secret key bytes
+ * @param {Object} [options]
+ * @param {number} [options.time] - Milliseconds since the epoch
+ * @param {number} [options.digits] - Code length
+ * @param {string} [options.algorithm] - HMAC hash
+ * @returns {string} Zero-padded code
+ */
+export function generateTotp(key, { time = Date.now(), ...options } = {}) {
+  return generateHotp(key, getTotpStep(time), options)
+}
+
+/**
+ * Check a code against the current step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as entered
+ * @param {Object} [options]
+ * @param {number} [options.time] - Milliseconds since the epoch
+ * @param {number} [options.afterStep] - Only accept steps after this one, so a used code can't be replayed
+ * @returns {number|null} Step the code matched, or null
+ */
+export function verifyTotp(secret, code, { time = Date.now(), afterStep = null } = {}) {
+  const digits = String(code || '').replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) return null
+
+  const key = base32Decode(secret)
+  const current = getTotpStep(time)
+
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (afterStep !== null && step <= afterStep) continue
+    if (generateHotp(key, step) === digits) return step
+  }
+  return null
+}
+
+/**
+ * otpauth URI that authenticator apps import, as a link or a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} username - Account shown in the app
+ * @returns {string} otpauth://totp/... URI
+ */
+export function getOtpauthUri(secret, username) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  })
+  return `otpauth://totp/${label}?${params}`
+}
@@ -0,0 +1,288 @@
+/**
+ * Tracking Modes
+ *
+ * Every exercise is logged in a tracking mode that decides what its sets
+ * record. Weight × reps is the default. Timed holds such as planks record a
+ * duration, carries record a distance, and rowing or running intervals record
+ * both, giving a pace per 500m. Assisted exercises record reps and the
+ * assistance taken off bodyweight as the set's weight, so less is better.
+ * Library entries carry the mode their exercises are logged in by default.
+ */
+
+import { formatWeight } from './units.js'
+
+/**
+ * Valid tracking modes, matching the TrackingMode enum in prisma/schema.prisma
+ */
+export const TRACKING_MODES = [
+  'WEIGHT_REPS',
+  'DURATION',
+  'DISTANCE',
+  'DISTANCE_DURATION',
+  'ASSISTED'
+]
+
+export const DEFAULT_TRACKING_MODE = 'WEIGHT_REPS'
+
+export const TRACKING_MODE_LABELS = {
+  WEIGHT_REPS: 'Weight × reps',
+  DURATION: 'Time',
+  DISTANCE: 'Distance',
+  DISTANCE_DURATION: 'Distance + time',
+  ASSISTED: 'Assisted'
+}
+
+/**
+ * Set fields each mode records: required ones must be positive, the weight
+ * is always optional
+ */
+const TRACKED_FIELDS = {
+  WEIGHT_REPS: { required: ['reps'], optional: ['weight'] },
+  DURATION: { required: ['durationSeconds'], optional: ['weight'] },
+  DISTANCE: { required: ['distanceMeters'], optional: ['weight'] },
+  DISTANCE_DURATION: { required: ['distanceMeters', 'durationSeconds'], optional: [] },
+  ASSISTED: { required: ['reps'], optional: ['weight'] }
+}
+
+/**
+ * Distance paces are given over
+ */
+export const PACE_DISTANCE_METERS = 500
+
+/**
+ * Tracking mode of an exercise, treating a missing or unknown mode as weight × reps
+ * @param {Object} exercise - Exercise, template exercise or library entry with optional trackingMode
+ * @returns {string} One of TRACKING_MODES
+ */
+export function getTrackingMode(exercise) {
+  return TRACKING_MODES.includes(exercise?.trackingMode) ? exercise.trackingMode : DEFAULT_TRACKING_MODE
+}
+
+/**
+ * Set fields a mode requires
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {Array<string>} Field names, e.g. ['distanceMeters', 'durationSeconds']
+ */
+export function getRequiredFields(trackingMode) {
+  return TRACKED_FIELDS[getTrackingMode({ trackingMode })].required
+}
+
+/**
+ * Every set field a mode records, required ones first
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {Array<string>} Field names
+ */
+export function getTrackedFields(trackingMode) {
+  const { required, optional } = TRACKED_FIELDS[getTrackingMode({ trackingMode })]
+  return [...required, ...optional]
+}
+
+/**
+ * Whether a mode records a field
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @param {string} field - 'reps', 'weight', 'durationSeconds' or 'distanceMeters'
+ * @returns {boolean}
+ */
+export function tracksField(trackingMode, field) {
+  return getTrackedFields(trackingMode).includes(field)
+}
+
+/**
+ * Parse a duration typed as seconds ("90"), minutes and seconds ("1:30")
+ * or hours, minutes and seconds ("1:02:30")
+ * @param {number|string} value - Duration
+ * @returns {number|null} Whole seconds, or null when blank, invalid or zero
+ */
+export function parseSetDuration(value) {
+  if (typeof value === 'number') {
+    return value > 0 ? Math.round(value) : null
+  }
+
+  const text = String(value ?? '').trim()
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(text)) return null
+
+  const seconds = text.split(':').reduce((total, part) => total * 60 + parseInt(part), 0)
+  return seconds > 0 ? seconds : null
+}
+
+/**
+ * Format seconds as "m:ss", or "h:mm:ss" from an hour up
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds || 0))
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = String(seconds % 60).padStart(2, '0')
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`
+}
+
+/**
+ * Format a distance in meters, switching to km from 1000 m
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "400 m" or "2.5 km"
+ */
+export function formatDistance(meters) {
+  const distance = meters || 0
+  if (distance < 1000) return `${Math.round(distance * 10) / 10} m`
+  return `${Math.round(distance / 10) / 100} km`
+}
+
+/**
+ * Time a set took per 500m
+ * @param {Object} set - Set with { distanceMeters, durationSeconds }
+ * @returns {number|null} Seconds per 500m, to 0.1s, or null without both
+ */
+export function calculatePace(set) {
+  if (!(set?.distanceMeters > 0) || !(set?.durationSeconds > 0)) return null
+  return Math.round((set.durationSeconds / set.distanceMeters) * PACE_DISTANCE_METERS * 10) / 10
+}
+
+/**
+ * Format a pace per 500m
+ * @param {number} seconds - Seconds per 500m
+ * @returns {string} e.g. "1:52 /500m"
+ */
+export function formatPace(seconds) {
+  return `${formatDuration(seconds)} /${PACE_DISTANCE_METERS}m`
+}
+
+/**
+ * Read the fields a mode records from a set as typed in a form or sent to the
+ * API, clearing the ones it doesn't
+ * @param {Object} set - Set with reps, weight, durationSeconds and/or distanceMeters as numbers or text
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {Object} { reps, weight, durationSeconds, distanceMeters }, null where not recorded
+ */
+export function toSetMeasures(set, trackingMode) {
+  const tracks = (field) => tracksField(trackingMode, field)
+  const weight = set?.weight === undefined || set?.weight === null || set?.weight === ''
+    ? null
+    : parseFloat(set.weight)
+  const distance = parseFloat(set?.distanceMeters)
+
+  return {
+    reps: tracks('reps') ? parseInt(set?.reps) || 0 : null,
+    weight: tracks('weight') && !isNaN(weight) ? weight : null,
+    durationSeconds: tracks('durationSeconds') ? parseSetDuration(set?.durationSeconds) : null,
+    distanceMeters: tracks('distanceMeters') && distance > 0 ? distance : null
+  }
+}
+
+/**
+ * Whether a set has every field its mode requires
+ * @param {Object} set - Set as typed in a form or sent to the API
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {boolean}
+ */
+export function isSetMeasured(set, trackingMode) {
+  const measures = toSetMeasures(set, trackingMode)
+  return getRequiredFields(trackingMode).every((field) => measures[field] > 0)
+}
+
+/**
+ * What a set is missing, for form errors
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {string} Error message
+ */
+export function getSetRequirement(trackingMode) {
+  switch (getTrackingMode({ trackingMode })) {
+    case 'DURATION':
+      return 'Time is required'
+    case 'DISTANCE':
+      return 'Distance is required'
+    case 'DISTANCE_DURATION':
+      return 'Distance and time are required'
+    default:
+      return 'Reps must be a positive number'
+  }
+}
+
+/**
+ * Volume of one set: weight × reps, with bodyweight added for bodyweight
+ * exercises. Assisted sets count bodyweight minus the assistance; timed and
+ * distance sets have no volume.
+ * @param {Object} set - Set with { reps, weight }
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @param {number} [bodyweight=0] - Lifter's bodyweight, in the set's unit
+ * @returns {number} Volume in the set's unit
+ */
+export function getSetVolume(set, trackingMode, bodyweight = 0) {
+  const reps = parseInt(set?.reps) || 0
+  const weight = parseFloat(set?.weight) || 0
+  const load = parseFloat(bodyweight) || 0
+
+  switch (getTrackingMode({ trackingMode })) {
+    case 'WEIGHT_REPS':
+      return (weight + load) * reps
+    case 'ASSISTED':
+      return Math.max(load - weight, 0) * reps
+    default:
+      return 0
+  }
+}
+
+/**
+ * Describe a set, e.g. "60 kg × 8", "1:30 + 20 kg", "2 km in 7:30" or "−20 kg × 8"
+ * @param {Object} set - Set with its mode's fields and weightUnit
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {string} Set description
+ */
+export function formatSetMeasures(set, trackingMode) {
+  const weight = set?.weight > 0 ? formatWeight(set.weight, set.weightUnit) : null
+
+  switch (getTrackingMode({ trackingMode })) {
+    case 'DURATION':
+      return [formatDuration(set?.durationSeconds), weight].filter(Boolean).join(' + ')
+    case 'DISTANCE':
+      return [formatDistance(set?.distanceMeters), weight].filter(Boolean).join(' + ')
+    case 'DISTANCE_DURATION':
+      return `${formatDistance(set?.distanceMeters)} in ${formatDuration(set?.durationSeconds)}`
+    case 'ASSISTED':
+      return weight ? `−${weight} × ${set?.reps}` : `${set?.reps} reps`
+    default:
+      return weight ? `${weight} × ${set?.reps}` : `${set?.reps} reps`
+  }
+}
+
+/**
+ * The number a session is charted by in each mode: heaviest weight, longest
+ * time, longest distance, fastest pace or least assistance
+ * @param {Array} sets - Sets of one session, weights in one unit
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {number|null} Best value, or null when no set has one
+ */
+export function getSessionBest(sets, trackingMode) {
+  const values = (sets || [])
+    .map((set) => {
+      switch (getTrackingMode({ trackingMode })) {
+        case 'DURATION':
+          return set.durationSeconds || null
+        case 'DISTANCE':
+          return set.distanceMeters || null
+        case 'DISTANCE_DURATION':
+          return set.distanceMeters >= PACE_DISTANCE_METERS ? calculatePace(set) : null
+        case 'ASSISTED':
+          return set.reps > 0 ? set.weight || 0 : null
+        default:
+          return set.weight || null
+      }
+    })
+    .filter((value) => value !== null)
+
+  if (values.length === 0) return null
+  return isLowerBetter(trackingMode) ? Math.min(...values) : Math.max(...values)
+}
+
+/**
+ * Whether a smaller session best is an improvement in a mode
+ * @param {string} trackingMode - One of TRACKING_MODES
+ * @returns {boolean} True for paces and assistance
+ */
+export function isLowerBetter(trackingMode) {
+  return ['DISTANCE_DURATION', 'ASSISTED'].includes(getTrackingMode({ trackingMode }))
+}
@@ -0,0 +1,211 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Optional TOTP second step after the password. Enrollment stores a secret
+ * and waits for a first valid code before turning it on, which also issues
+ * one-time backup codes for signing in without the authenticator. A login
+ * whose password was right gets a short-lived challenge instead of a
+ * session, and the challenge is exchanged for a session with a code.
+ */
+
+import { randomBytes } from 'crypto'
+import { hashSessionToken, USER_PROFILE_SELECT } from './auth.js'
+import { generateRecoveryCodes, hashRecoveryCode, normalizeRecoveryCode, toRecoveryCodeRows } from './recovery-codes.js'
+import { generateTotpSecret, getOtpauthUri, verifyTotp } from './totp.js'
+
+export const TWO_FACTOR_CHALLENGE_SECONDS = 5 * 60
+
+// User fields needed to check a code, alongside the profile for the session
+const TWO_FACTOR_USER_SELECT = {
+  ...USER_PROFILE_SELECT,
+  totpSecret: true,
+  totpEnabledAt: true,
+  totpLastUsedStep: true
+}
+
+/**
+ * Start enrolling: store a new secret that isn't used until confirmed
+ * @param {Object} db - Prisma client
+ * @param {Object} user - { id, username }
+ * @returns {Promise<Object>} { secret, otpauthUri } for the authenticator app
+ */
+export async function startTwoFactorSetup(db, user) {
+  const secret = generateTotpSecret()
+
+  await db.user.update({
+    where: { id: user.id },
+    data: { totpSecret: secret, totpEnabledAt: null, totpLastUsedStep: null }
+  })
+
+  return { secret, otpauthUri: getOtpauthUri(secret, user.username) }
+}
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {Object} db - Prisma client
+ * @param {Object} user - User with totpSecret, from getTwoFactorUser
+ * @param {string} code - Six-digit code
+ * @returns {Promise<Array<string>|null>} Backup codes, or null when the code is wrong
+ */
+export async function enableTwoFactor(db, user, code) {
+  const step = verifyTotp(user.totpSecret, code)
+  if (step === null) return null
+
+  const backupCodes = generateRecoveryCodes()
+
+  await db.$transaction([
+    db.user.update({
+      where: { id: user.id },
+      data: { totpEnabledAt: new Date(), totpLastUsedStep: step }
+    }),
+    ...backupCodeWrites(db, user.id, backupCodes)
+  ])
+
+  return backupCodes
+}
+
+/**
+ * Turn two-factor authentication off, dropping the secret and backup codes
+ * @param {Object} db - Prisma client
+ * @param {number} userId - User to turn it off for
+ */
+export async function disableTwoFactor(db, userId) {
+  await db.$transaction([
+    db.user.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null }
+    }),
+    db.backupCode.deleteMany({ where: { userId } }),
+    db.twoFactorChallenge.deleteMany({ where: { userId } })
+  ])
+}
+
+/**
+ * Replace a user's backup codes with a new set
+ * @param {Object} db - Prisma client
+ * @param {number} userId - User to generate codes for
+ * @returns {Promise<Array<string>>} The new codes, which can't be shown again
+ */
+export async function replaceBackupCodes(db, userId) {
+  const codes = generateRecoveryCodes()
+  await db.$transaction(backupCodeWrites(db, userId, codes))
+  return codes
+}
+
+function backupCodeWrites(db, userId, codes) {
+  return [
+    db.backupCode.deleteMany({ where: { userId } }),
+    db.backupCode.createMany({
+      data: toRecoveryCodeRows(codes).map((row) => ({ ...row, userId }))
+    })
+  ]
+}
+
+/**
+ * Count a user's unused backup codes
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the codes
+ * @returns {Promise<number>} Codes left
+ */
+export async function countBackupCodes(db, userId) {
+  return db.backupCode.count({ where: { userId, usedAt: null } })
+}
+
+/**
+ * The user with the fields two-factor checks need
+ * @param {Object} db - Prisma client
+ * @param {number} userId - User to load
+ * @returns {Promise<Object|null>} Profile plus totpSecret, totpEnabledAt and totpLastUsedStep
+ */
+export async function getTwoFactorUser(db, userId) {
+  return db.user.findUnique({ where: { id: userId }, select: TWO_FACTOR_USER_SELECT })
+}
+
+/**
+ * Check a second-factor code: a TOTP code, or else an unused backup code
+ * @param {Object} db - Prisma client
+ * @param {Object} user - User from getTwoFactorUser
+ * @param {string} code - Code as entered
+ * @returns {Promise<boolean>} Whether the code was accepted (and used up)
+ */
+export async function verifySecondFactor(db, user, code) {
+  const step = verifyTotp(user.totpSecret, code, { afterStep: user.totpLastUsedStep })
+  if (step !== null) {
+    // Claim the step so the same code can't be used twice, even concurrently
+    const { count } = await db.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+      },
+      data: { totpLastUsedStep: step }
+    })
+    return count > 0
+  }
+
+  if (!normalizeRecoveryCode(code)) return false
+
+  const { count } = await db.backupCode.updateMany({
+    where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() }
+  })
+  return count > 0
+}
+
+/**
+ * Hold a login whose password was right until the second factor is given
+ * @param {Object} db - Prisma client
+ * @param {number} userId - User logging in
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - User-Agent for the session it becomes
+ * @returns {Promise<string>} Challenge token for the client; only its hash is stored
+ */
+export async function createTwoFactorChallenge(db, userId, { userAgent = null } = {}) {
+  const token = randomBytes(32).toString('base64url')
+
+  await db.twoFactorChallenge.create({
+    data: {
+      userId,
+      tokenHash: hashSessionToken(token),
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      expiresAt: new Date(Date.now() + TWO_FACTOR_CHALLENGE_SECONDS * 1000)
+    }
+  })
+
+  return token
+}
+
+/**
+ * Look up a pending login
+ * @param {Object} db - Prisma client
+ * @param {string} token - Challenge token from the login response
+ * @returns {Promise<Object|null>} Challenge with its user, or null when unknown or expired
+ */
+export async function findTwoFactorChallenge(db, token) {
+  if (!token) return null
+
+  const challenge = await db.twoFactorChallenge.findUnique({
+    where: { tokenHash: hashSessionToken(token) },
+    include: { user: { select: TWO_FACTOR_USER_SELECT } }
+  })
+  if (!challenge) return null
+
+  if (challenge.expiresAt.getTime() < Date.now()) {
+    await db.twoFactorChallenge.deleteMany({ where: { id: challenge.id } })
+    return null
+  }
+  return challenge
+}
+
+/**
+ * Use up a challenge once its second factor is verified. Claiming it is a
+ * single delete, so concurrent requests can't both turn it into a session.
+ * @param {Object} db - Prisma client
+ * @param {string} challengeId - Challenge from findTwoFactorChallenge
+ * @returns {Promise<boolean>} True if this request claimed the challenge before it expired
+ */
+export async function consumeTwoFactorChallenge(db, challengeId) {
+  const { count } = await db.twoFactorChallenge.deleteMany({
+    where: { id: challengeId, expiresAt: { gt: new Date() } }
+  })
+  return count === 1
+}
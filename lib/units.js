@@ -0,0 +1,144 @@
+/**
+ * Weight Units
+ *
+ * Each user picks kilograms or pounds, and every logged set stores the unit it
+ * was entered in so a history that mixes both stays correct. Anything derived
+ * from several sets (volume, PRs, e1RM, suggestions) converts them to one unit
+ * first. Personal records, template default weights and bodyweight entries
+ * are stored in kilograms and converted for display.
+ */
+
+/**
+ * Valid weight units, matching the WeightUnit enum in prisma/schema.prisma
+ */
+export const WEIGHT_UNITS = ['kg', 'lb']
+
+export const DEFAULT_WEIGHT_UNIT = 'kg'
+
+/**
+ * Kilograms in one pound
+ */
+export const KG_PER_LB = 0.45359237
+
+/**
+ * Smallest weight change suggestions and load targets are rounded to, by unit
+ */
+export const WEIGHT_INCREMENTS = {
+  kg: 2.5,
+  lb: 5
+}
+
+/**
+ * Fall back to kilograms for a missing or unknown unit
+ * @param {string} unit - Unit to check
+ * @returns {string} 'kg' or 'lb'
+ */
+export function normalizeWeightUnit(unit) {
+  return WEIGHT_UNITS.includes(unit) ? unit : DEFAULT_WEIGHT_UNIT
+}
+
+/**
+ * Convert a weight between units
+ * @param {number|null} weight - Weight in the `from` unit
+ * @param {string} from - Unit the weight is in
+ * @param {string} to - Unit to convert to
+ * @returns {number|null} Converted weight, or the weight unchanged when it is
+ *   blank or already in the `to` unit. Kilograms are rounded to 0.01 and
+ *   pounds to 0.1, so whole pounds survive a round trip through kg.
+ */
+export function convertWeight(weight, from, to) {
+  if (weight === null || weight === undefined || weight === '') return weight ?? null
+
+  const fromUnit = normalizeWeightUnit(from)
+  const toUnit = normalizeWeightUnit(to)
+  if (fromUnit === toUnit) return weight
+
+  if (toUnit === 'lb') return Math.round(weight / KG_PER_LB * 10) / 10
+  return Math.round(weight * KG_PER_LB * 100) / 100
+}
+
+/**
+ * Convert a weight to kilograms
+ * @param {number|null} weight - Weight in `unit`
+ * @param {string} unit - Unit the weight is in
+ * @returns {number|null} Weight in kg
+ */
+export function toKg(weight, unit) {
+  return convertWeight(weight, unit, 'kg')
+}
+
+/**
+ * Convert a weight in kilograms to another unit
+ * @param {number|null} weight - Weight in kg
+ * @param {string} unit - Unit to convert to
+ * @returns {number|null} Weight in `unit`
+ */
+export function fromKg(weight, unit) {
+  return convertWeight(weight, 'kg', unit)
+}
+
+/**
+ * Convert a set's weight to a unit
+ * @param {Object} set - Set with { weight, weightUnit }
+ * @param {string} unit - Unit to convert to
+ * @returns {number|null} The set's weight in `unit`
+ */
+export function getSetWeight(set, unit) {
+  return convertWeight(set?.weight ?? null, set?.weightUnit, unit)
+}
+
+/**
+ * Convert sets to one unit
+ * @param {Array} sets - Sets with { weight, weightUnit }
+ * @param {string} unit - Unit to convert to
+ * @returns {Array} Sets with their weight converted and weightUnit set to `unit`
+ */
+export function convertSets(sets, unit) {
+  const toUnit = normalizeWeightUnit(unit)
+  return (sets || []).map((set) => ({
+    ...set,
+    weight: getSetWeight(set, toUnit),
+    weightUnit: toUnit
+  }))
+}
+
+/**
+ * Convert the sets of every exercise of a workout to one unit
+ * @param {Object} workout - Workout with exercises and their sets
+ * @param {string} unit - Unit to convert to
+ * @returns {Object} Workout whose sets are all in `unit`
+ */
+export function convertWorkoutSets(workout, unit) {
+  return {
+    ...workout,
+    exercises: (workout.exercises || []).map((exercise) => ({
+      ...exercise,
+      sets: convertSets(exercise.sets, unit)
+    }))
+  }
+}
+
+/**
+ * Round a weight change to the unit's increment, e.g. +2.5 kg becomes +5 lb
+ * @param {number} change - Weight change in kg
+ * @param {string} unit - Unit to express the change in
+ * @returns {number} Change in `unit`, a multiple of its increment
+ */
+export function convertWeightChange(change, unit) {
+  const toUnit = normalizeWeightUnit(unit)
+  if (!change || toUnit === 'kg') return change || 0
+
+  const increment = WEIGHT_INCREMENTS[toUnit]
+  const steps = Math.max(1, Math.round(Math.abs(fromKg(change, toUnit)) / increment))
+  return Math.sign(change) * steps * increment
+}
+
+/**
+ * Format a weight with its unit, e.g. "100 kg" or "12,500 lb"
+ * @param {number} weight - Weight to format
+ * @param {string} unit - Unit of the weight
+ * @returns {string} Formatted weight
+ */
+export function formatWeight(weight, unit) {
+  return `${(weight ?? 0).toLocaleString()} ${normalizeWeightUnit(unit)}`
+}
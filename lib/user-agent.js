@@ -0,0 +1,39 @@
+/**
+ * User Agents
+ *
+ * Turns the user agent a session was created from into a short device
+ * description for the list of active logins, e.g. "Chrome on macOS".
+ */
+
+// Checked in order: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+]
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+]
+
+/**
+ * Describe the browser and operating system of a user agent
+ * @param {string|null} userAgent - User-Agent header the session was created with
+ * @returns {string} e.g. "Firefox on Windows", or "Unknown device"
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device'
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+  if (browser && os) return `${browser} on ${os}`
+  return browser || os || 'Unknown device'
+}
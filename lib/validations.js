@@ -1,8 +1,58 @@
+import { EXPORT_FORMAT, EXPORT_VERSION, PREFERENCE_FIELDS } from './data-export.js';
+import { MAX_PROGRAM_WEEKS } from './programs.js';
+import { MEASUREMENT_SITES } from './body-metrics.js';
+import { WEIGHT_UNITS } from './units.js';
+import { isValidTimeZone } from './dateUtils.js';
+import { API_TOKEN_SCOPES, MAX_API_TOKEN_EXPIRY_DAYS } from './api-token-scopes.js';
+import { MAX_WORKOUT_PAGE_SIZE, decodeWorkoutCursor } from './workout-search.js';
+import { EXERCISE_GROUP_TYPES } from './exercise-groups.js';
+import { SET_TYPES } from './set-types.js';
+import { TRACKING_MODES, getTrackingMode, tracksField } from './tracking-modes.js';
+import { CARDIO_ACTIVITIES } from './cardio.js';
+
 /**
  * Valid workout status values
  */
 const VALID_STATUSES = ['COMPLETED', 'CANCELLED', 'DRAFT'];
 
+/**
+ * Largest value an Int column holds. Prisma throws on anything bigger, so
+ * IDs and numbers stored as Int are checked against it up front.
+ */
+export const MAX_INT = 2147483647;
+
+/**
+ * Whether a value can be the ID of a stored row: a whole number from 1 to MAX_INT
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isValidId = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_INT;
+
+/**
+ * Shortest password accepted when registering or changing a password
+ */
+export const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Longest default rest time a user can set, in seconds
+ */
+const MAX_REST_SECONDS = 600;
+
+/**
+ * Longest cardio entry or interval, in seconds
+ */
+const MAX_CARDIO_SECONDS = 24 * 60 * 60;
+
+/**
+ * Heaviest bar, plate or equipment step an equipment profile can list
+ */
+const MAX_EQUIPMENT_WEIGHT = 100;
+
+/**
+ * Most plate sizes an equipment profile can list
+ */
+const MAX_PLATE_SIZES = 20;
+
 /**
  * Validates workout data
  * @param {Object} data - The workout data to validate
@@ -31,7 +81,9 @@ export const validateWorkout = (data) => {
 };
 
 /**
- * Validates exercise data with new sets array format
+ * Validates exercise data with new sets array format. Each set needs the
+ * fields the exercise's tracking mode records: reps, a duration in seconds,
+ * a distance in meters, or a distance and a duration.
  * @param {Object} data - The exercise data to validate
  * @returns {Object} - { isValid: boolean, errors: string[] }
  */
@@ -41,6 +93,11 @@ export const validateExercise = (data) => {
   if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
     errors.push('Exercise name is required and must be a non-empty string');
   }
+
+  if (data.trackingMode !== undefined && data.trackingMode !== null && !TRACKING_MODES.includes(data.trackingMode)) {
+    errors.push(`Tracking mode must be one of ${TRACKING_MODES.join(', ')}`);
+  }
+  const trackingMode = getTrackingMode(data);
   
   // Validate sets array
   if (!data.sets || !Array.isArray(data.sets) || data.sets.length === 0) {
@@ -53,13 +110,34 @@ export const validateExercise = (data) => {
         return;
       }
       
-      if (!Number.isInteger(set.reps) || set.reps <= 0) {
+      if (tracksField(trackingMode, 'reps') && (!Number.isInteger(set.reps) || set.reps <= 0)) {
         errors.push(`Set ${index + 1}: reps must be a positive integer`);
       }
+
+      // Durations and distances the mode doesn't record may still be sent, but must be valid
+      const hasDuration = set.durationSeconds !== undefined && set.durationSeconds !== null;
+      if ((hasDuration || tracksField(trackingMode, 'durationSeconds')) &&
+        (!Number.isInteger(set.durationSeconds) || set.durationSeconds <= 0)) {
+        errors.push(`Set ${index + 1}: duration must be a positive whole number of seconds`);
+      }
+
+      const hasDistance = set.distanceMeters !== undefined && set.distanceMeters !== null;
+      if ((hasDistance || tracksField(trackingMode, 'distanceMeters')) &&
+        (typeof set.distanceMeters !== 'number' || set.distanceMeters <= 0)) {
+        errors.push(`Set ${index + 1}: distance must be a positive number of meters`);
+      }
       
       if (set.weight !== undefined && set.weight !== null && (typeof set.weight !== 'number' || set.weight < 0)) {
         errors.push(`Set ${index + 1}: weight must be a non-negative number`);
       }
+
+      if (set.weightUnit !== undefined && set.weightUnit !== null && !WEIGHT_UNITS.includes(set.weightUnit)) {
+        errors.push(`Set ${index + 1}: weight unit must be ${WEIGHT_UNITS.join(' or ')}`);
+      }
+
+      if (set.setType !== undefined && set.setType !== null && !SET_TYPES.includes(set.setType)) {
+        errors.push(`Set ${index + 1}: set type must be one of ${SET_TYPES.join(', ')}`);
+      }
       
       // Validate RPE if provided (optional field)
       if (set.rpe !== undefined && set.rpe !== null && (!Number.isInteger(set.rpe) || set.rpe < 1 || set.rpe > 10)) {
@@ -92,9 +170,585 @@ export const validateExerciseTemplate = (data) => {
   }
   
   if (data.muscleGroups && typeof data.muscleGroups !== 'string') {
-    errors.push('Muscle groups must be a JSON string');
+    errors.push('Muscle groups must be a comma-separated string');
   }
   
+  if (data.aliases !== undefined && data.aliases !== null && (
+    !Array.isArray(data.aliases) || data.aliases.some(alias => typeof alias !== 'string')
+  )) {
+    errors.push('Aliases must be an array of strings');
+  }
+
+  if (data.trackingMode !== undefined && data.trackingMode !== null && !TRACKING_MODES.includes(data.trackingMode)) {
+    errors.push(`Tracking mode must be one of ${TRACKING_MODES.join(', ')}`);
+  }
+  
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates the %e1RM and RPE load targets of template exercises
+ * @param {Array} exercises - Template exercises ({ targetPercentE1RM, targetRpe })
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateTemplateLoadTargets = (exercises) => {
+  const errors = [];
+
+  (Array.isArray(exercises) ? exercises : []).forEach((exercise, index) => {
+    const label = `Exercise ${index + 1}`;
+    const hasPercent = exercise?.targetPercentE1RM !== undefined && exercise.targetPercentE1RM !== null;
+    const hasRpe = exercise?.targetRpe !== undefined && exercise.targetRpe !== null;
+
+    if (hasPercent && (typeof exercise.targetPercentE1RM !== 'number' ||
+      exercise.targetPercentE1RM <= 0 || exercise.targetPercentE1RM > 150)) {
+      errors.push(`${label}: %e1RM must be a number between 0 and 150`);
+    }
+    if (hasRpe && (!Number.isInteger(exercise.targetRpe) || exercise.targetRpe < 1 || exercise.targetRpe > 10)) {
+      errors.push(`${label}: RPE must be a whole number between 1 and 10`);
+    }
+    if (hasPercent && hasRpe) {
+      errors.push(`${label}: use either %e1RM or RPE, not both`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates how a workout's or template's exercises are grouped into
+ * supersets, circuits and giant sets
+ * @param {Array} exercises - Exercises in order ({ groupNumber, groupType })
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateExerciseGroups = (exercises) => {
+  const errors = [];
+  if (!Array.isArray(exercises)) return { isValid: true, errors };
+
+  const groups = new Map();
+  exercises.forEach((exercise, index) => {
+    const groupNumber = exercise?.groupNumber;
+    if (groupNumber === undefined || groupNumber === null) return;
+
+    if (!Number.isInteger(groupNumber) || groupNumber < 1 || groupNumber > MAX_INT) {
+      errors.push(`Exercise ${index + 1}: group number must be a positive integer`);
+      return;
+    }
+
+    if (exercise.groupType !== undefined && exercise.groupType !== null && !EXERCISE_GROUP_TYPES.includes(exercise.groupType)) {
+      errors.push(`Exercise ${index + 1}: group type must be SUPERSET, CIRCUIT, or GIANT_SET`);
+    }
+
+    if (!groups.has(groupNumber)) groups.set(groupNumber, []);
+    groups.get(groupNumber).push({ index, groupType: exercise.groupType ?? null });
+  });
+
+  groups.forEach((members, groupNumber) => {
+    if (members.length < 2) {
+      errors.push(`Group ${groupNumber} needs at least two exercises`);
+    } else if (members.some((member, i) => i > 0 && member.index !== members[i - 1].index + 1)) {
+      errors.push(`Exercises in group ${groupNumber} must be next to each other`);
+    } else if (members.some((member) => member.groupType !== members[0].groupType)) {
+      errors.push(`Exercises in group ${groupNumber} must share one group type`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates program data
+ * @param {Object} data - The program data to validate
+ * @param {Object} options
+ * @param {boolean} [options.requireDays=true] - Whether days must be provided (false for partial updates)
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateProgram = (data, { requireDays = true } = {}) => {
+  const errors = [];
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('Program name is required and must be a non-empty string');
+  }
+
+  if (!Number.isInteger(data.weeks) || data.weeks < 1 || data.weeks > MAX_PROGRAM_WEEKS) {
+    errors.push(`Weeks must be an integer between 1 and ${MAX_PROGRAM_WEEKS}`);
+  }
+
+  if (data.days === undefined && !requireDays) {
+    return { isValid: errors.length === 0, errors };
+  }
+
+  if (!Array.isArray(data.days) || data.days.length === 0) {
+    errors.push('Days must be a non-empty array');
+    return { isValid: false, errors };
+  }
+
+  data.days.forEach((day, index) => {
+    const label = `Day ${index + 1}`;
+
+    if (!Number.isInteger(day?.templateId) || day.templateId < 1 || day.templateId > MAX_INT) {
+      errors.push(`${label}: a template is required`);
+    }
+
+    if (day?.overrides !== undefined && !Array.isArray(day.overrides)) {
+      errors.push(`${label}: overrides must be an array`);
+      return;
+    }
+
+    (day?.overrides || []).forEach((override, overrideIndex) => {
+      const overrideLabel = `${label}, override ${overrideIndex + 1}`;
+
+      if (!Number.isInteger(override?.week) || override.week < 1 || override.week > data.weeks) {
+        errors.push(`${overrideLabel}: week must be between 1 and the number of weeks`);
+      }
+      ['sets', 'reps'].forEach(field => {
+        if (override?.[field] !== undefined && override[field] !== null &&
+          (!Number.isInteger(override[field]) || override[field] <= 0 || override[field] > MAX_INT)) {
+          errors.push(`${overrideLabel}: ${field} must be a positive integer`);
+        }
+      });
+      if (override?.percentE1RM !== undefined && override.percentE1RM !== null &&
+        (typeof override.percentE1RM !== 'number' || override.percentE1RM <= 0 || override.percentE1RM > 150)) {
+        errors.push(`${overrideLabel}: %e1RM must be a number between 0 and 150`);
+      }
+      if ([override?.sets, override?.reps, override?.percentE1RM].every(value => value === undefined || value === null)) {
+        errors.push(`${overrideLabel}: set at least one of sets, reps or %e1RM`);
+      }
+    });
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates a bodyweight log entry
+ * @param {Object} data - The entry to validate ({ date, weight, bodyFat })
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateWeightEntry = (data) => {
+  const errors = [];
+
+  if (!data?.date || !isValidDate(data.date)) {
+    errors.push('Valid date is required');
+  }
+
+  if (typeof data?.weight !== 'number' || !(data.weight > 0) || data.weight > 500) {
+    errors.push('Weight must be a number between 0 and 500 kg');
+  }
+
+  if (data?.bodyFat !== undefined && data.bodyFat !== null &&
+    (typeof data.bodyFat !== 'number' || !(data.bodyFat > 0) || data.bodyFat >= 100)) {
+    errors.push('Body fat must be a percentage between 0 and 100');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates a day's tape measurements
+ * @param {Object} data - The measurements to validate ({ date, measurements: { site: cm } })
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateBodyMeasurements = (data) => {
+  const errors = [];
+
+  if (!data?.date || !isValidDate(data.date)) {
+    errors.push('Valid date is required');
+  }
+
+  const measurements = data?.measurements;
+  if (!measurements || typeof measurements !== 'object' || Array.isArray(measurements) ||
+    Object.keys(measurements).length === 0) {
+    errors.push('Measurements must be an object with at least one site');
+    return { isValid: false, errors };
+  }
+
+  Object.entries(measurements).forEach(([site, value]) => {
+    if (!MEASUREMENT_SITES.includes(site)) {
+      errors.push(`Site must be one of: ${MEASUREMENT_SITES.join(', ')}`);
+    } else if (typeof value !== 'number' || !(value > 0) || value > 300) {
+      errors.push(`${site} must be a number between 0 and 300 cm`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Checks an optional average heart rate
+ * @param {*} value - Heart rate in beats per minute
+ * @returns {boolean} true when missing or between 30 and 250
+ */
+const isValidHeartRate = (value) =>
+  value === undefined || value === null || (Number.isInteger(value) && value >= 30 && value <= 250);
+
+/**
+ * Validates a cardio entry and its intervals
+ * @param {Object} data - The entry to validate ({ activityType, date, workoutId, durationSeconds,
+ *   distanceMeters, avgHeartRate, calories, notes, intervals })
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateCardioEntry = (data) => {
+  const errors = [];
+
+  if (!CARDIO_ACTIVITIES.includes(data?.activityType)) {
+    errors.push(`Activity type must be one of: ${CARDIO_ACTIVITIES.join(', ')}`);
+  }
+
+  if (data?.date !== undefined && data.date !== null && !isValidDate(data.date)) {
+    errors.push('Date must be a valid date');
+  }
+
+  if (data?.workoutId !== undefined && data.workoutId !== null &&
+    (!Number.isInteger(data.workoutId) || data.workoutId <= 0 || data.workoutId > MAX_INT)) {
+    errors.push('Workout ID must be a positive integer');
+  }
+
+  if (!Number.isInteger(data?.durationSeconds) || data.durationSeconds <= 0 || data.durationSeconds > MAX_CARDIO_SECONDS) {
+    errors.push('Duration must be a whole number of seconds, up to 24 hours');
+  }
+
+  if (data?.distanceMeters !== undefined && data.distanceMeters !== null &&
+    (typeof data.distanceMeters !== 'number' || !(data.distanceMeters > 0))) {
+    errors.push('Distance must be a positive number of meters');
+  }
+
+  if (!isValidHeartRate(data?.avgHeartRate)) {
+    errors.push('Average heart rate must be a whole number between 30 and 250');
+  }
+
+  if (data?.calories !== undefined && data.calories !== null &&
+    (!Number.isInteger(data.calories) || data.calories < 0 || data.calories > 10000)) {
+    errors.push('Calories must be a whole number between 0 and 10000');
+  }
+
+  if (data?.notes !== undefined && data.notes !== null && typeof data.notes !== 'string') {
+    errors.push('Notes must be a string');
+  }
+
+  if (data?.intervals !== undefined && data.intervals !== null) {
+    if (!Array.isArray(data.intervals)) {
+      errors.push('Intervals must be an array');
+    } else {
+      data.intervals.forEach((interval, index) => {
+        const label = `Interval ${index + 1}`;
+        if (!Number.isInteger(interval?.durationSeconds) || interval.durationSeconds <= 0 ||
+          interval.durationSeconds > MAX_CARDIO_SECONDS) {
+          errors.push(`${label}: duration must be a positive whole number of seconds`);
+        }
+        if (interval?.distanceMeters !== undefined && interval.distanceMeters !== null &&
+          (typeof interval.distanceMeters !== 'number' || !(interval.distanceMeters > 0))) {
+          errors.push(`${label}: distance must be a positive number of meters`);
+        }
+        if (interval?.restSeconds !== undefined && interval.restSeconds !== null &&
+          (!Number.isInteger(interval.restSeconds) || interval.restSeconds < 0 || interval.restSeconds > MAX_CARDIO_SECONDS)) {
+          errors.push(`${label}: rest must be a whole number of seconds`);
+        }
+        if (!isValidHeartRate(interval?.avgHeartRate)) {
+          errors.push(`${label}: average heart rate must be a whole number between 30 and 250`);
+        }
+      });
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates a JSON export document before it is restored
+ * @param {Object} data - The export document to validate
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateExportDocument = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+    return { isValid: false, errors: ['File is not a Gym Pad export'] };
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_VERSION) {
+    errors.push(`Export version ${data.version} is not supported (latest is ${EXPORT_VERSION})`);
+  }
+
+  if (data.preferences !== undefined) {
+    if (!data.preferences || typeof data.preferences !== 'object' || Array.isArray(data.preferences)) {
+      errors.push('preferences must be an object');
+    } else {
+      // Only the settings are restored; anything else in it is ignored
+      const preferences = Object.fromEntries(
+        PREFERENCE_FIELDS.filter(field => data.preferences[field] !== undefined).map(field => [field, data.preferences[field]])
+      );
+      if (Object.keys(preferences).length > 0) {
+        validateUserPreferences(preferences).errors.forEach(error => {
+          errors.push(`Preferences: ${error}`);
+        });
+      }
+    }
+  }
+
+  if (data.equipment !== undefined && data.equipment !== null) {
+    validateEquipmentProfile(data.equipment).errors.forEach(error => {
+      errors.push(`Equipment: ${error}`);
+    });
+  }
+
+  ['workouts', 'templates', 'programs', 'exerciseLibrary', 'bodyweight', 'measurements', 'cardio'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      errors.push(`${key} must be an array`);
+    }
+  });
+
+  (Array.isArray(data.exerciseLibrary) ? data.exerciseLibrary : []).forEach((entry, index) => {
+    validateExerciseTemplate(entry || {}).errors.forEach(error => {
+      errors.push(`Library exercise ${index + 1}: ${error}`);
+    });
+  });
+
+  (Array.isArray(data.templates) ? data.templates : []).forEach((template, index) => {
+    if (!template?.name || typeof template.name !== 'string') {
+      errors.push(`Template ${index + 1}: name is required`);
+    }
+    if (template?.exercises !== undefined && !Array.isArray(template.exercises)) {
+      errors.push(`Template ${index + 1}: exercises must be an array`);
+    }
+    validateTemplateLoadTargets(template?.exercises).errors.forEach(error => {
+      errors.push(`Template ${index + 1}, ${error.charAt(0).toLowerCase()}${error.slice(1)}`);
+    });
+  });
+
+  (Array.isArray(data.programs) ? data.programs : []).forEach((program, index) => {
+    // Days name their template; restore resolves the name to an id
+    const days = Array.isArray(program?.days)
+      ? program.days.map(day => ({ ...day, templateId: typeof day?.template === 'string' ? 1 : null }))
+      : program?.days;
+    validateProgram({ ...program, days }).errors.forEach(error => {
+      errors.push(`Program ${index + 1}: ${error}`);
+    });
+  });
+
+  (Array.isArray(data.bodyweight) ? data.bodyweight : []).forEach((entry, index) => {
+    validateWeightEntry(entry).errors.forEach(error => {
+      errors.push(`Bodyweight entry ${index + 1}: ${error}`);
+    });
+  });
+
+  (Array.isArray(data.measurements) ? data.measurements : []).forEach((measurement, index) => {
+    const site = typeof measurement?.site === 'string' ? measurement.site : '';
+    validateBodyMeasurements({ date: measurement?.date, measurements: { [site]: measurement?.value } }).errors.forEach(error => {
+      errors.push(`Measurement ${index + 1}: ${error}`);
+    });
+  });
+
+  (Array.isArray(data.cardio) ? data.cardio : []).forEach((entry, index) => {
+    // Entries not attached to a workout have nothing else to take a date from
+    if (!entry?.date) {
+      errors.push(`Cardio entry ${index + 1}: valid date is required`);
+    }
+    validateCardioEntry(entry).errors.forEach(error => {
+      errors.push(`Cardio entry ${index + 1}: ${error}`);
+    });
+  });
+
+  (Array.isArray(data.workouts) ? data.workouts : []).forEach((workout, index) => {
+    const label = `Workout ${index + 1}`;
+
+    if (!workout?.title || typeof workout.title !== 'string') {
+      errors.push(`${label}: title is required`);
+    }
+    if (!workout?.date || !isValidDate(workout.date)) {
+      errors.push(`${label}: valid date is required`);
+    }
+    if (workout?.status && !VALID_STATUSES.includes(workout.status)) {
+      errors.push(`${label}: status must be COMPLETED, CANCELLED, or DRAFT`);
+    }
+    if (workout?.cardio !== undefined && !Array.isArray(workout.cardio)) {
+      errors.push(`${label}: cardio must be an array`);
+    }
+    (Array.isArray(workout?.cardio) ? workout.cardio : []).forEach((entry, entryIndex) => {
+      validateCardioEntry(entry).errors.forEach(error => {
+        errors.push(`${label}, cardio entry ${entryIndex + 1}: ${error}`);
+      });
+    });
+    if (!Array.isArray(workout?.exercises)) {
+      errors.push(`${label}: exercises must be an array`);
+      return;
+    }
+
+    workout.exercises.forEach((exercise, exerciseIndex) => {
+      if (!exercise?.name || typeof exercise.name !== 'string') {
+        errors.push(`${label}, exercise ${exerciseIndex + 1}: name is required`);
+      }
+      // Timed and distance sets have no reps
+      if (!Array.isArray(exercise?.sets) || exercise.sets.some(set => set?.reps !== null && (!Number.isInteger(set?.reps) || set.reps < 0))) {
+        errors.push(`${label}, exercise ${exerciseIndex + 1}: sets must have whole-number reps`);
+      }
+    });
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates changes to the user's own profile and preferences
+ * @param {Object} data - The changes to validate ({ name, currentPassword, newPassword,
+ *   weightUnit, defaultRestSeconds, weekStartDay, timeZone })
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateUserPreferences = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+    errors.push('At least one preference is required');
+    return { isValid: false, errors };
+  }
+
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+    errors.push('Name is required and must be a non-empty string');
+  }
+
+  if (data.newPassword !== undefined) {
+    if (typeof data.newPassword !== 'string' || data.newPassword.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+    if (!data.currentPassword || typeof data.currentPassword !== 'string') {
+      errors.push('Current password is required to change your password');
+    }
+  }
+
+  if (data.weightUnit !== undefined && !WEIGHT_UNITS.includes(data.weightUnit)) {
+    errors.push(`Weight unit must be ${WEIGHT_UNITS.join(' or ')}`);
+  }
+
+  if (data.defaultRestSeconds !== undefined &&
+    (!Number.isInteger(data.defaultRestSeconds) || data.defaultRestSeconds <= 0 || data.defaultRestSeconds > MAX_REST_SECONDS)) {
+    errors.push(`Default rest time must be a whole number of seconds between 1 and ${MAX_REST_SECONDS}`);
+  }
+
+  if (data.weekStartDay !== undefined &&
+    (!Number.isInteger(data.weekStartDay) || data.weekStartDay < 0 || data.weekStartDay > 6)) {
+    errors.push('Week start day must be 0 (Sunday) to 6 (Saturday)');
+  }
+
+  if (data.timeZone !== undefined && data.timeZone !== null && !isValidTimeZone(data.timeZone)) {
+    errors.push('Time zone must be an IANA time zone such as Europe/London');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates an equipment profile. Weights are in the profile's unit.
+ * @param {Object} data - { weightUnit, barWeight, plates, dumbbellIncrement, machineIncrement }
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateEquipmentProfile = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    errors.push('Equipment profile is required');
+    return { isValid: false, errors };
+  }
+
+  const isEquipmentWeight = (weight, allowZero = false) =>
+    typeof weight === 'number' && (allowZero ? weight >= 0 : weight > 0) && weight <= MAX_EQUIPMENT_WEIGHT;
+
+  if (data.weightUnit !== undefined && !WEIGHT_UNITS.includes(data.weightUnit)) {
+    errors.push(`Weight unit must be ${WEIGHT_UNITS.join(' or ')}`);
+  }
+
+  // Plate-loaded machines and landmines can start from no bar
+  if (!isEquipmentWeight(data.barWeight, true)) {
+    errors.push(`Bar weight must be a number between 0 and ${MAX_EQUIPMENT_WEIGHT}`);
+  }
+
+  if (!Array.isArray(data.plates) || data.plates.length === 0 || data.plates.length > MAX_PLATE_SIZES) {
+    errors.push(`Plates must be a list of 1 to ${MAX_PLATE_SIZES} plate weights`);
+  } else if (!data.plates.every((plate) => isEquipmentWeight(plate))) {
+    errors.push(`Each plate must weigh more than 0 and at most ${MAX_EQUIPMENT_WEIGHT}`);
+  }
+
+  if (!isEquipmentWeight(data.dumbbellIncrement)) {
+    errors.push(`Dumbbell increment must be more than 0 and at most ${MAX_EQUIPMENT_WEIGHT}`);
+  }
+
+  if (!isEquipmentWeight(data.machineIncrement)) {
+    errors.push(`Machine increment must be more than 0 and at most ${MAX_EQUIPMENT_WEIGHT}`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates a new personal API token
+ * @param {Object} data - { name, scopes, expiresInDays }
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateApiToken = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    errors.push('Token data is required');
+    return { isValid: false, errors };
+  }
+
+  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push('Name is required and must be a non-empty string');
+  } else if (data.name.trim().length > 100) {
+    errors.push('Name must be at most 100 characters');
+  }
+
+  if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+    errors.push('At least one scope is required');
+  } else {
+    const unknown = data.scopes.filter((scope) => !Object.hasOwn(API_TOKEN_SCOPES, scope));
+    if (unknown.length > 0) {
+      errors.push(`Unknown scopes: ${unknown.join(', ')}. Scopes must be ${Object.keys(API_TOKEN_SCOPES).join(', ')}`);
+    }
+  }
+
+  if (!Number.isInteger(data.expiresInDays) || data.expiresInDays < 1 || data.expiresInDays > MAX_API_TOKEN_EXPIRY_DAYS) {
+    errors.push(`Expiry must be a whole number of days between 1 and ${MAX_API_TOKEN_EXPIRY_DAYS}`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validates the filters and page of a workout list request
+ * @param {Object} search - Query parameters from readWorkoutSearch
+ * @returns {Object} - { isValid: boolean, errors: string[] }
+ */
+export const validateWorkoutSearch = (search) => {
+  const errors = [];
+
+  if (search.from && !isValidDate(search.from)) {
+    errors.push('from must be a valid date');
+  }
+
+  if (search.to && !isValidDate(search.to)) {
+    errors.push('to must be a valid date');
+  }
+
+  if (search.from && search.to && isValidDate(search.from) && isValidDate(search.to) &&
+      new Date(search.from) > new Date(search.to)) {
+    errors.push('from must be on or before to');
+  }
+
+  if (search.status && !VALID_STATUSES.includes(search.status)) {
+    errors.push('Status must be COMPLETED, CANCELLED, or DRAFT');
+  }
+
+  if (search.templateId && (!/^[1-9]\d*$/.test(search.templateId) || Number(search.templateId) > MAX_INT)) {
+    errors.push('templateId must be a positive integer');
+  }
+
+  if (search.limit && (!/^\d+$/.test(search.limit) || Number(search.limit) < 1 || Number(search.limit) > MAX_WORKOUT_PAGE_SIZE)) {
+    errors.push(`limit must be a whole number between 1 and ${MAX_WORKOUT_PAGE_SIZE}`);
+  }
+
+  if (search.cursor && !decodeWorkoutCursor(search.cursor)) {
+    errors.push('Invalid cursor');
+  }
+
   return { isValid: errors.length === 0, errors };
 };
 
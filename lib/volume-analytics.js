@@ -6,6 +6,10 @@
  */
 
 import { parseSetsData, calculateExerciseSummary } from './migrate-sets.js'
+import { formatDateToLocal, DEFAULT_WEEK_START_DAY } from './dateUtils.js'
+import { isVolumeSet } from './set-types.js'
+import { getSetVolume } from './tracking-modes.js'
+import { summarizeCardio } from './cardio.js'
 
 /**
  * Predefined muscle groups for user selection
@@ -34,24 +38,29 @@ export const LOWER_MUSCLES = ['Quads', 'Hamstrings', 'Glutes', 'Calves']
 
 /**
  * Calculate total volume for a single exercise
- * Volume = weight × reps (summed across all sets)
+ * Volume = weight × reps (summed across all sets except warm-ups)
+ * For bodyweight exercises the lifter's bodyweight is added to each set, so
+ * a set's weight counts as added load (e.g. weighted pull-ups). Assisted
+ * exercises count bodyweight minus the assistance, and timed and distance
+ * exercises have no volume (see getSetVolume).
  * @param {string|Array} setsData - JSON string or array of sets
- * @returns {number} Total volume in kg
+ * @param {number} [bodyweight=0] - Bodyweight for bodyweight exercises, in the sets' unit
+ * @param {string} [trackingMode] - The exercise's tracking mode, weight × reps by default
+ * @returns {number} Total volume in the sets' unit
  */
-export function calculateExerciseVolume(setsData) {
+export function calculateExerciseVolume(setsData, bodyweight = 0, trackingMode) {
   const sets = typeof setsData === 'string' ? parseSetsData(setsData) : setsData
   if (!sets || !Array.isArray(sets)) return 0
 
-  return sets.reduce((total, set) => {
-    const weight = parseFloat(set.weight) || 0
-    const reps = parseInt(set.reps) || 0
-    return total + (weight * reps)
-  }, 0)
+  return sets
+    .filter(isVolumeSet)
+    .reduce((total, set) => total + getSetVolume(set, trackingMode, bodyweight), 0)
 }
 
 /**
  * Calculate total volume for a workout
- * @param {Object} workout - Workout with exercises array
+ * @param {Object} workout - Workout with exercises array (bodyweight
+ *   exercises may carry a bodyweight, see applyBodyweight in body-metrics.js)
  * @returns {Object} { total, byExercise: { name: volume } }
  */
 export function calculateWorkoutVolume(workout) {
@@ -63,7 +72,7 @@ export function calculateWorkoutVolume(workout) {
   let total = 0
 
   workout.exercises.forEach((exercise) => {
-    const volume = calculateExerciseVolume(exercise.setsData || exercise.sets_data)
+    const volume = calculateExerciseVolume(exercise.sets, exercise.bodyweight, exercise.trackingMode)
     byExercise[exercise.name] = volume
     total += volume
   })
@@ -74,15 +83,20 @@ export function calculateWorkoutVolume(workout) {
 /**
  * Get ISO week number from date
  * @param {Date|string} date - Date to get week from
+ * @param {Object} options - The user's week settings
+ * @param {number} options.weekStartDay - Day weeks start on, 0 (Sunday) to 6 (Saturday); defaults to Monday as in ISO weeks
+ * @param {string} options.timeZone - IANA time zone to read the date in; defaults to the runtime's
  * @returns {string} Week string in format 'YYYY-Www'
  */
-export function getISOWeek(date) {
-  const d = new Date(date)
-  d.setHours(0, 0, 0, 0)
-  d.setDate(d.getDate() + 4 - (d.getDay() || 7))
-  const yearStart = new Date(d.getFullYear(), 0, 1)
+export function getISOWeek(date, { weekStartDay = DEFAULT_WEEK_START_DAY, timeZone } = {}) {
+  // Count on the calendar day at UTC midnight so daylight saving can't shift it
+  const d = new Date(`${formatDateToLocal(date, timeZone)}T00:00:00Z`)
+  // Move the chosen first day onto Monday, then number the week as ISO does
+  d.setUTCDate(d.getUTCDate() + (8 - weekStartDay) % 7)
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7))
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1))
   const weekNo = Math.ceil((((d - yearStart) / 86400000) + 1) / 7)
-  return `${d.getFullYear()}-W${String(weekNo).padStart(2, '0')}`
+  return `${d.getUTCFullYear()}-W${String(weekNo).padStart(2, '0')}`
 }
 
 /**
@@ -100,15 +114,16 @@ export function getWeekLabel(weekString) {
  * @param {Array} workouts - Array of workouts with exercises
  * @param {Object} muscleGroupMap - Map of exercise name to muscle groups array
  * @param {number} weeksToInclude - Number of weeks to include (default 8)
+ * @param {Object} weekOptions - { weekStartDay, timeZone } passed to getISOWeek
  * @returns {Array} Weekly volume data sorted oldest to newest
  */
-export function aggregateVolumeByWeek(workouts, muscleGroupMap = {}, weeksToInclude = 8) {
+export function aggregateVolumeByWeek(workouts, muscleGroupMap = {}, weeksToInclude = 8, weekOptions = {}) {
   if (!workouts || !Array.isArray(workouts)) return []
 
   const weeklyData = {}
 
   workouts.forEach((workout) => {
-    const weekKey = getISOWeek(workout.date)
+    const weekKey = getISOWeek(workout.date, weekOptions)
 
     if (!weeklyData[weekKey]) {
       weeklyData[weekKey] = {
@@ -120,7 +135,7 @@ export function aggregateVolumeByWeek(workouts, muscleGroupMap = {}, weeksToIncl
     }
 
     workout.exercises?.forEach((exercise) => {
-      const volume = calculateExerciseVolume(exercise.setsData || exercise.sets_data)
+      const volume = calculateExerciseVolume(exercise.sets, exercise.bodyweight, exercise.trackingMode)
       weeklyData[weekKey].total += volume
 
       // Distribute volume to muscle groups
@@ -142,6 +157,107 @@ export function aggregateVolumeByWeek(workouts, muscleGroupMap = {}, weeksToIncl
   return sortedWeeks
 }
 
+/**
+ * Total cardio time, distance and calories by week, counted towards the
+ * training load next to lifting volume
+ * @param {Array} cardioEntries - CardioEntry records
+ * @param {Object} weekOptions - { weekStartDay, timeZone } passed to getISOWeek
+ * @returns {Array} [{ week, label, sessions, durationSeconds, distanceMeters, calories }] oldest first
+ */
+export function aggregateCardioByWeek(cardioEntries, weekOptions = {}) {
+  const weeks = {}
+
+  ;(cardioEntries || []).forEach((entry) => {
+    const week = getISOWeek(entry.date, weekOptions)
+    if (!weeks[week]) weeks[week] = []
+    weeks[week].push(entry)
+  })
+
+  return Object.entries(weeks)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week, entries]) => ({
+      week,
+      label: getWeekLabel(week),
+      ...summarizeCardio(entries)
+    }))
+}
+
+/**
+ * Add each week's cardio to the weekly volume trend, keeping weeks that only
+ * had cardio
+ * @param {Array} volumeTrend - Weekly volume from aggregateVolumeByWeek
+ * @param {Array} cardioTrend - Weekly cardio from aggregateCardioByWeek
+ * @param {number} weeksToInclude - Number of weeks to include (default 8)
+ * @returns {Array} [{ week, label, total, byMuscle, cardio }] oldest first
+ */
+export function combineTrainingLoad(volumeTrend, cardioTrend, weeksToInclude = 8) {
+  const weeks = new Map()
+
+  ;(volumeTrend || []).forEach((week) => {
+    weeks.set(week.week, { ...week, cardio: summarizeCardio([]) })
+  })
+  ;(cardioTrend || []).forEach(({ week, label, ...cardio }) => {
+    const existing = weeks.get(week) || { week, label, total: 0, byMuscle: {} }
+    weeks.set(week, { ...existing, cardio })
+  })
+
+  return Array.from(weeks.values())
+    .sort((a, b) => a.week.localeCompare(b.week))
+    .slice(-weeksToInclude)
+}
+
+/**
+ * Average bodyweight and body fat by week, to chart alongside volume
+ * @param {Array} weightEntries - WeightEntry records
+ * @param {Object} weekOptions - { weekStartDay, timeZone } passed to getISOWeek
+ * @returns {Array} [{ week, label, weight, bodyFat }] oldest first
+ */
+export function aggregateBodyweightByWeek(weightEntries, weekOptions = {}) {
+  const weeks = {}
+
+  ;(weightEntries || []).forEach((entry) => {
+    const week = getISOWeek(entry.date, weekOptions)
+    if (!weeks[week]) weeks[week] = { week, weights: [], bodyFats: [] }
+    weeks[week].weights.push(entry.weight)
+    if (entry.bodyFat !== null && entry.bodyFat !== undefined) {
+      weeks[week].bodyFats.push(entry.bodyFat)
+    }
+  })
+
+  // Averages to one decimal place
+  const average = (values) =>
+    Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+
+  return Object.values(weeks)
+    .sort((a, b) => a.week.localeCompare(b.week))
+    .map(({ week, weights, bodyFats }) => ({
+      week,
+      label: getWeekLabel(week),
+      weight: average(weights),
+      bodyFat: bodyFats.length > 0 ? average(bodyFats) : null
+    }))
+}
+
+/**
+ * Line up weekly training volume and bodyweight for one chart
+ * @param {Array} volumeTrend - Weekly volume from aggregateVolumeByWeek
+ * @param {Array} bodyweightTrend - Weekly bodyweight from aggregateBodyweightByWeek
+ * @returns {Array} [{ week, label, volume, weight, bodyFat }] oldest first
+ */
+export function combineWeeklyTrends(volumeTrend, bodyweightTrend) {
+  const weeks = new Map()
+
+  ;(volumeTrend || []).forEach((week) => {
+    weeks.set(week.week, { week: week.week, label: week.label, volume: week.total, weight: null, bodyFat: null })
+  })
+  ;(bodyweightTrend || []).forEach((week) => {
+    const existing = weeks.get(week.week) || { week: week.week, label: week.label, volume: 0 }
+    weeks.set(week.week, { ...existing, weight: week.weight, bodyFat: week.bodyFat })
+  })
+
+  return Array.from(weeks.values()).sort((a, b) => a.week.localeCompare(b.week))
+}
+
 /**
  * Calculate volume by muscle group for a set of workouts
  * @param {Array} workouts - Array of workouts with exercises
@@ -155,7 +271,7 @@ export function calculateVolumeByMuscleGroup(workouts, muscleGroupMap = {}) {
 
   workouts.forEach((workout) => {
     workout.exercises?.forEach((exercise) => {
-      const volume = calculateExerciseVolume(exercise.setsData || exercise.sets_data)
+      const volume = calculateExerciseVolume(exercise.sets, exercise.bodyweight, exercise.trackingMode)
       const muscleGroups = muscleGroupMap[exercise.name] || ['Uncategorized']
       const volumePerMuscle = volume / muscleGroups.length
 
@@ -215,19 +331,21 @@ export function getBalanceStatus(percentage) {
 /**
  * Get workouts from the current week
  * @param {Array} workouts - Array of workouts
+ * @param {Object} weekOptions - { weekStartDay, timeZone } from the user's settings
  * @returns {Array} Workouts from current week only
  */
-export function getThisWeekWorkouts(workouts) {
+export function getThisWeekWorkouts(workouts, { weekStartDay, timeZone } = {}) {
   if (!workouts || !Array.isArray(workouts)) return []
 
-  const currentWeek = getISOWeek(new Date())
-  return workouts.filter((workout) => getISOWeek(workout.date) === currentWeek)
+  // Workout dates are calendar days; the time zone only decides what today is
+  const currentWeek = getISOWeek(new Date(), { weekStartDay, timeZone })
+  return workouts.filter((workout) => getISOWeek(workout.date, { weekStartDay }) === currentWeek)
 }
 
 /**
  * Format volume for display
- * @param {number} volume - Volume in kg
- * @returns {string} Formatted string
+ * @param {number} volume - Volume in any weight unit
+ * @returns {string} Formatted string without the unit
  */
 export function formatVolume(volume) {
   if (volume >= 1000) {
@@ -261,11 +379,16 @@ export function buildMuscleGroupMap(templateExercises) {
  * Calculate complete volume analytics for insights page
  * @param {Array} workouts - All user workouts with exercises
  * @param {Object} muscleGroupMap - Map of exercise name to muscle groups
+ * @param {Object} weekOptions - { weekStartDay, timeZone } from the user's settings
+ * @param {Array} [cardioEntries] - Cardio entries over the same weeks
  * @returns {Object} Complete volume analytics data
  */
-export function calculateVolumeAnalytics(workouts, muscleGroupMap = {}) {
-  const weeklyTrend = aggregateVolumeByWeek(workouts, muscleGroupMap, 8)
-  const thisWeekWorkouts = getThisWeekWorkouts(workouts)
+export function calculateVolumeAnalytics(workouts, muscleGroupMap = {}, weekOptions = {}, cardioEntries = []) {
+  const weeklyTrend = combineTrainingLoad(
+    aggregateVolumeByWeek(workouts, muscleGroupMap, 8, { weekStartDay: weekOptions.weekStartDay }),
+    aggregateCardioByWeek(cardioEntries, { weekStartDay: weekOptions.weekStartDay })
+  )
+  const thisWeekWorkouts = getThisWeekWorkouts(workouts, weekOptions)
   const thisWeekByMuscle = calculateVolumeByMuscleGroup(thisWeekWorkouts, muscleGroupMap)
   const thisWeekTotal = Object.values(thisWeekByMuscle).reduce((sum, v) => sum + v, 0)
   const balance = calculateTrainingBalance(thisWeekByMuscle)
@@ -277,7 +400,8 @@ export function calculateVolumeAnalytics(workouts, muscleGroupMap = {}) {
       byMuscle: Object.fromEntries(
         Object.entries(thisWeekByMuscle).map(([k, v]) => [k, Math.round(v)])
       ),
-      workoutCount: thisWeekWorkouts.length
+      workoutCount: thisWeekWorkouts.length,
+      cardio: summarizeCardio(getThisWeekWorkouts(cardioEntries, weekOptions))
     },
     balance
   }
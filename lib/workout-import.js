@@ -0,0 +1,438 @@
+/**
+ * Workout Import
+ *
+ * Parses workout history exported from Strong or Hevy as CSV and groups the
+ * one-row-per-set exports into workouts, exercises and sets in the same shape
+ * POST /api/workouts accepts. Wall-clock times from the exports are stored as
+ * UTC, the same way date-only workouts logged in Gym Pad are. Timed and
+ * distance sets are imported in the tracking mode their columns fill in.
+ */
+
+import { findExerciseTemplate } from './exercise-library.js'
+import { toKg } from './units.js'
+import { isSetMeasured, toSetMeasures } from './tracking-modes.js'
+
+export const IMPORT_FORMATS = {
+  STRONG: 'strong',
+  HEVY: 'hevy'
+}
+
+const STRONG_SET_TYPES = {
+  W: 'WARMUP',
+  D: 'DROP',
+  F: 'FAILURE'
+}
+
+const HEVY_SET_TYPES = {
+  normal: 'WORKING',
+  warmup: 'WARMUP',
+  dropset: 'DROP',
+  failure: 'FAILURE'
+}
+
+const METERS_PER_DISTANCE_UNIT = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields, escaped quotes,
+ * CRLF line endings and the semicolon delimiter some Strong locales use.
+ * @param {string} text - Raw CSV file contents
+ * @returns {Array<Array<string>>} Rows of trimmed fields, blank lines removed
+ */
+export function parseCsv(text) {
+  if (typeof text !== 'string') return []
+
+  const source = text.replace(/^\uFEFF/, '')
+  const firstLine = source.split(/\r?\n/, 1)[0]
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+    ? ';'
+    : ','
+
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(field.trim())
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      row.push(field.trim())
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field.trim())
+    rows.push(row)
+  }
+
+  return rows.filter((fields) => fields.some((value) => value !== ''))
+}
+
+/**
+ * Work out which app produced an export from its header row
+ * @param {Array<string>} headers - First CSV row
+ * @returns {string|null} One of IMPORT_FORMATS, or null if unrecognized
+ */
+export function detectImportFormat(headers) {
+  const names = (headers || []).map((header) => header.toLowerCase())
+
+  if (names.includes('exercise_title') && names.includes('start_time')) {
+    return IMPORT_FORMATS.HEVY
+  }
+  if (names.includes('exercise name') && names.includes('workout name')) {
+    return IMPORT_FORMATS.STRONG
+  }
+  return null
+}
+
+/**
+ * Parse "2023-01-15 08:30:00" (Strong) or "15 Jan 2023, 08:30" (Hevy)
+ * @param {string} value - Date text from the export
+ * @returns {Date|null} Wall-clock time as a UTC date, or null if unparseable
+ */
+export function parseImportDate(value) {
+  if (!value) return null
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/)
+  if (iso) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = iso
+    return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second))
+  }
+
+  const written = value.match(/^(\d{1,2}) ([A-Za-z]{3})[A-Za-z]* (\d{4}),? (\d{1,2}):(\d{2})/)
+  if (written) {
+    const [, day, monthName, year, hour, minute] = written
+    const month = MONTHS.indexOf(monthName.toLowerCase())
+    if (month === -1) return null
+    return new Date(Date.UTC(+year, month, +day, +hour, +minute))
+  }
+
+  return null
+}
+
+/**
+ * Parse a Strong duration such as "1h 5m", "45m" or "3600"
+ * @param {string} value - Duration text
+ * @returns {number|null} Duration in seconds
+ */
+export function parseDuration(value) {
+  if (!value) return null
+  if (/^\d+$/.test(value)) return parseInt(value) || null
+
+  const hours = parseInt(value.match(/(\d+)\s*h/)?.[1] || 0)
+  const minutes = parseInt(value.match(/(\d+)\s*m/)?.[1] || 0)
+  const seconds = parseInt(value.match(/(\d+)\s*s/)?.[1] || 0)
+  const total = hours * 3600 + minutes * 60 + seconds
+  return total > 0 ? total : null
+}
+
+/**
+ * Convert an exported weight to kg
+ * @param {string} value - Weight text
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number|null} Weight in kg rounded to 0.01, or null when blank
+ */
+export function toKilograms(value, unit) {
+  const weight = parseFloat(value)
+  if (isNaN(weight)) return null
+  return Math.round(toKg(weight, unit) * 100) / 100
+}
+
+/**
+ * Convert an exported distance to meters
+ * @param {string} value - Distance text
+ * @param {string} unit - 'm', 'km' or 'mi'
+ * @returns {number|null} Distance in meters rounded to 0.1, or null when blank or zero
+ */
+export function toMeters(value, unit) {
+  const distance = parseFloat(value)
+  if (!(distance > 0)) return null
+  return Math.round(distance * METERS_PER_DISTANCE_UNIT[unit] * 10) / 10
+}
+
+/**
+ * Tracking mode a row's filled-in columns fit, preferring reps
+ * @param {Object} row - Set row with reps, durationSeconds and distanceMeters
+ * @returns {string|null} Tracking mode, or null when the row records nothing
+ */
+function inferTrackingMode(row) {
+  if (row.reps > 0) return 'WEIGHT_REPS'
+  if (row.distanceMeters && row.durationSeconds) return 'DISTANCE_DURATION'
+  if (row.distanceMeters) return 'DISTANCE'
+  if (row.durationSeconds) return 'DURATION'
+  return null
+}
+
+/**
+ * Convert an exported RPE (which may be fractional, e.g. 8.5) to 1-10
+ * @param {string} value - RPE text
+ * @returns {number|null} Whole RPE, or null when blank or out of range
+ */
+function toRpe(value) {
+  const rpe = Math.round(parseFloat(value))
+  return rpe >= 1 && rpe <= 10 ? rpe : null
+}
+
+/**
+ * Read one Strong row as a normalized set row
+ * @param {Function} get - Returns the value of a lowercase column name
+ * @param {string} weightUnit - Unit to assume when the export has no Weight Unit column
+ * @returns {Object|null} Set row, or null for rest timer rows
+ */
+function readStrongRow(get, weightUnit) {
+  const setOrder = get('set order')
+  if (/rest timer/i.test(setOrder)) return null
+
+  const rowUnit = /lb/i.test(get('weight unit')) ? 'lb' : /kg/i.test(get('weight unit')) ? 'kg' : weightUnit
+  const distanceUnit = /mi/i.test(get('distance unit')) ? 'mi' : /^m$/i.test(get('distance unit')) ? 'm' : 'km'
+
+  return {
+    workoutKey: `${get('date')}|${get('workout name')}`,
+    title: get('workout name'),
+    date: parseImportDate(get('date')),
+    duration: parseDuration(get('duration')),
+    workoutNotes: get('workout notes'),
+    exerciseName: get('exercise name'),
+    exerciseNotes: get('notes'),
+    reps: parseInt(get('reps')),
+    weight: toKilograms(get('weight'), rowUnit),
+    durationSeconds: parseInt(get('seconds')) || null,
+    distanceMeters: toMeters(get('distance'), distanceUnit),
+    rpe: toRpe(get('rpe')),
+    setType: STRONG_SET_TYPES[setOrder.toUpperCase()] || 'WORKING'
+  }
+}
+
+/**
+ * Read one Hevy row as a normalized set row
+ * @param {Function} get - Returns the value of a lowercase column name
+ * @returns {Object} Set row
+ */
+function readHevyRow(get) {
+  const start = parseImportDate(get('start_time'))
+  const end = parseImportDate(get('end_time'))
+  const hasLbs = get('weight_lbs') !== ''
+
+  return {
+    workoutKey: `${get('start_time')}|${get('title')}`,
+    title: get('title'),
+    date: start,
+    duration: start && end && end > start ? Math.round((end - start) / 1000) : null,
+    workoutNotes: get('description'),
+    exerciseName: get('exercise_title'),
+    exerciseNotes: get('exercise_notes'),
+    reps: parseInt(get('reps')),
+    weight: hasLbs ? toKilograms(get('weight_lbs'), 'lb') : toKilograms(get('weight_kg'), 'kg'),
+    durationSeconds: parseInt(get('duration_seconds')) || null,
+    distanceMeters: get('distance_miles') !== ''
+      ? toMeters(get('distance_miles'), 'mi')
+      : toMeters(get('distance_km'), 'km'),
+    rpe: toRpe(get('rpe')),
+    setType: HEVY_SET_TYPES[get('set_type').toLowerCase()] || 'WORKING'
+  }
+}
+
+/**
+ * Parse a Strong or Hevy CSV export into workouts
+ * @param {string} text - Raw CSV file contents
+ * @param {Object} options
+ * @param {string} options.weightUnit - Unit of Strong's Weight column, 'kg' (default) or 'lb'
+ * @returns {Object} { format, workouts, skippedSets } where skippedSets counts
+ *   rows with no reps, time or distance, or without what their exercise's
+ *   tracking mode records
+ */
+export function parseWorkoutCsv(text, { weightUnit = 'kg' } = {}) {
+  const [headers, ...rows] = parseCsv(text)
+  const format = detectImportFormat(headers)
+  if (!format) return { format: null, workouts: [], skippedSets: 0 }
+
+  const columns = headers.map((header) => header.toLowerCase())
+  const workouts = new Map()
+  let skippedSets = 0
+
+  rows.forEach((fields) => {
+    const get = (column) => {
+      const index = columns.indexOf(column)
+      return index === -1 ? '' : fields[index] || ''
+    }
+
+    const row = format === IMPORT_FORMATS.HEVY ? readHevyRow(get) : readStrongRow(get, weightUnit)
+    if (!row) return
+    const trackingMode = inferTrackingMode(row)
+    if (!row.date || !row.exerciseName || !trackingMode) {
+      skippedSets++
+      return
+    }
+
+    if (!workouts.has(row.workoutKey)) {
+      workouts.set(row.workoutKey, {
+        title: row.title || 'Imported Workout',
+        date: row.date.toISOString(),
+        duration: row.duration,
+        notes: row.workoutNotes || null,
+        exercises: []
+      })
+    }
+    const workout = workouts.get(row.workoutKey)
+
+    // Consecutive rows for the same exercise form one exercise block, tracked
+    // the way its first row is
+    let exercise = workout.exercises[workout.exercises.length - 1]
+    if (!exercise || exercise.sourceName !== row.exerciseName) {
+      exercise = {
+        sourceName: row.exerciseName,
+        name: row.exerciseName,
+        notes: null,
+        trackingMode,
+        sets: []
+      }
+      workout.exercises.push(exercise)
+    }
+    if (row.exerciseNotes && !exercise.notes) exercise.notes = row.exerciseNotes
+    if (!isSetMeasured(row, exercise.trackingMode)) {
+      skippedSets++
+      return
+    }
+
+    exercise.sets.push({
+      ...toSetMeasures(row, exercise.trackingMode),
+      rpe: row.rpe,
+      setType: row.setType
+    })
+  })
+
+  return {
+    format,
+    workouts: Array.from(workouts.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    skippedSets
+  }
+}
+
+/**
+ * Suggest a library entry for an exported exercise name. Strong and Hevy
+ * name exercises like "Squat (Barbell)", so the equipment suffix is also
+ * tried on its own and as a prefix ("Barbell Squat").
+ * @param {string} sourceName - Exercise name from the export
+ * @param {Object} lookup - Lookup from buildExerciseLookup
+ * @returns {Object|null} Matching ExerciseTemplate or null
+ */
+export function suggestExerciseTemplate(sourceName, lookup) {
+  const match = sourceName.match(/^(.*?)\s*\(([^)]+)\)\s*$/)
+  const candidates = match
+    ? [sourceName, `${match[2]} ${match[1]}`, match[1]]
+    : [sourceName]
+
+  for (const candidate of candidates) {
+    const entry = findExerciseTemplate(lookup, candidate)
+    if (entry) return entry
+  }
+  return null
+}
+
+/**
+ * Decide what each exported exercise name is saved as
+ * @param {Array} workouts - Workouts from parseWorkoutCsv
+ * @param {Object} lookup - Lookup from buildExerciseLookup
+ * @param {Object} overrides - { [sourceName]: name } chosen by the user
+ * @returns {Array} [{ sourceName, name, exerciseTemplateId, setCount }] sorted by sourceName
+ */
+export function buildExerciseMappings(workouts, lookup, overrides = {}) {
+  const mappings = new Map()
+
+  workouts.forEach((workout) => {
+    workout.exercises.forEach((exercise) => {
+      if (!mappings.has(exercise.sourceName)) {
+        const override = overrides[exercise.sourceName]?.trim()
+        const entry = override
+          ? findExerciseTemplate(lookup, override)
+          : suggestExerciseTemplate(exercise.sourceName, lookup)
+
+        mappings.set(exercise.sourceName, {
+          sourceName: exercise.sourceName,
+          name: override || entry?.name || exercise.sourceName,
+          exerciseTemplateId: entry?.id || null,
+          setCount: 0
+        })
+      }
+      mappings.get(exercise.sourceName).setCount += exercise.sets.length
+    })
+  })
+
+  return Array.from(mappings.values()).sort((a, b) => a.sourceName.localeCompare(b.sourceName))
+}
+
+/**
+ * Rename exported exercises to their mapped names
+ * @param {Array} workouts - Workouts from parseWorkoutCsv
+ * @param {Array} mappings - Mappings from buildExerciseMappings
+ * @returns {Array} Workouts ready for prisma, with name and exerciseTemplateId set
+ */
+export function applyExerciseMappings(workouts, mappings) {
+  const bySource = new Map(mappings.map((mapping) => [mapping.sourceName, mapping]))
+
+  return workouts.map((workout) => ({
+    ...workout,
+    exercises: workout.exercises.map((exercise) => {
+      const mapping = bySource.get(exercise.sourceName)
+      return {
+        ...exercise,
+        name: mapping ? mapping.name : exercise.name,
+        exerciseTemplateId: mapping ? mapping.exerciseTemplateId : null
+      }
+    })
+  }))
+}
+
+/**
+ * Key used to spot a workout that was already logged or imported
+ * @param {string} title - Workout title
+ * @param {Date|string} date - Workout date
+ * @returns {string} UTC calendar day plus lowercased title
+ */
+export function getWorkoutImportKey(title, date) {
+  const day = new Date(date).toISOString().slice(0, 10)
+  return `${day}|${(title || '').trim().toLowerCase()}`
+}
+
+/**
+ * Flag imported workouts that match an existing workout by date and title
+ * @param {Array} workouts - Workouts from parseWorkoutCsv
+ * @param {Array} existingWorkouts - The user's workouts ({ title, date })
+ * @returns {Array} Workouts with a `duplicate` boolean
+ */
+export function markDuplicates(workouts, existingWorkouts) {
+  const existingKeys = new Set(
+    (existingWorkouts || []).map((workout) => getWorkoutImportKey(workout.title, workout.date))
+  )
+
+  return workouts.map((workout) => ({
+    ...workout,
+    duplicate: existingKeys.has(getWorkoutImportKey(workout.title, workout.date))
+  }))
+}
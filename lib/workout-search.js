@@ -0,0 +1,135 @@
+/**
+ * Workout Search
+ *
+ * Filters and cursor pagination for the workout list. Workouts are listed
+ * newest first, ties broken by id, and a page's cursor encodes the date and
+ * id of its last workout so the next page starts right after it even if
+ * workouts are logged or deleted in between.
+ */
+
+import { toMetricDate } from './body-metrics.js'
+import { EXERCISES_WITH_SETS_INCLUDE } from './exercise-sets.js'
+
+export const WORKOUT_PAGE_SIZE = 20
+
+export const MAX_WORKOUT_PAGE_SIZE = 100
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Query parameters the workout list accepts
+ */
+export const WORKOUT_SEARCH_PARAMS = ['from', 'to', 'status', 'templateId', 'exercise', 'q', 'cursor', 'limit']
+
+/**
+ * Read the search from a request's query string, dropping blank parameters
+ * @param {URLSearchParams} searchParams - Query string of the request
+ * @returns {Object} Search with a trimmed string for each parameter given
+ */
+export function readWorkoutSearch(searchParams) {
+  const search = {}
+  for (const param of WORKOUT_SEARCH_PARAMS) {
+    const value = searchParams.get(param)?.trim()
+    if (value) search[param] = value
+  }
+  return search
+}
+
+/**
+ * Cursor for the page after a workout
+ * @param {Object} workout - Last workout of a page, with date and id
+ * @returns {string} Opaque URL-safe cursor
+ */
+export function encodeWorkoutCursor(workout) {
+  return Buffer.from(`${new Date(workout.date).toISOString()}_${workout.id}`).toString('base64url')
+}
+
+/**
+ * Read a cursor made by encodeWorkoutCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { date, id }, or null if the cursor is malformed
+ */
+export function decodeWorkoutCursor(cursor) {
+  if (typeof cursor !== 'string') return null
+  const [iso, id] = Buffer.from(cursor, 'base64url').toString().split('_')
+  const date = new Date(iso)
+  const workoutId = Number(id)
+  if (!iso || isNaN(date) || !Number.isInteger(workoutId) || workoutId <= 0) return null
+  return { date, id: workoutId }
+}
+
+/**
+ * Prisma where clause for a user's workouts matching a search. Dates are
+ * whole days: `to` includes every workout logged that day.
+ * @param {number} userId - Owner of the workouts
+ * @param {Object} search - Validated search from readWorkoutSearch
+ * @returns {Object} Where clause
+ */
+export function buildWorkoutSearchWhere(userId, search) {
+  const conditions = []
+
+  if (search.from) {
+    conditions.push({ date: { gte: toMetricDate(search.from) } })
+  }
+  if (search.to) {
+    conditions.push({ date: { lt: new Date(toMetricDate(search.to).getTime() + DAY_MS) } })
+  }
+  if (search.status) {
+    conditions.push({ status: search.status })
+  }
+  if (search.templateId) {
+    conditions.push({ templateId: Number(search.templateId) })
+  }
+  if (search.exercise) {
+    conditions.push({
+      exercises: { some: { name: { contains: search.exercise, mode: 'insensitive' } } }
+    })
+  }
+  if (search.q) {
+    conditions.push({
+      OR: [
+        { title: { contains: search.q, mode: 'insensitive' } },
+        { notes: { contains: search.q, mode: 'insensitive' } }
+      ]
+    })
+  }
+  if (search.cursor) {
+    const cursor = decodeWorkoutCursor(search.cursor)
+    conditions.push({
+      OR: [
+        { date: { lt: cursor.date } },
+        { date: cursor.date, id: { lt: cursor.id } }
+      ]
+    })
+  }
+
+  return {
+    userId,
+    ...(conditions.length > 0 && { AND: conditions })
+  }
+}
+
+/**
+ * Load one page of a user's workouts, with their exercises and sets
+ * @param {Object} db - Prisma client
+ * @param {number} userId - Owner of the workouts
+ * @param {Object} search - Validated search from readWorkoutSearch
+ * @returns {Promise<Object>} { workouts, nextCursor }, nextCursor null on the last page
+ */
+export async function searchWorkouts(db, userId, search) {
+  const limit = search.limit ? Number(search.limit) : WORKOUT_PAGE_SIZE
+
+  // Fetch one extra workout to learn whether another page follows
+  const workouts = await db.workout.findMany({
+    where: buildWorkoutSearchWhere(userId, search),
+    include: EXERCISES_WITH_SETS_INCLUDE,
+    orderBy: [{ date: 'desc' }, { id: 'desc' }],
+    take: limit + 1
+  })
+
+  const page = workouts.slice(0, limit)
+  return {
+    workouts: page,
+    nextCursor: workouts.length > limit ? encodeWorkoutCursor(page[page.length - 1]) : null
+  }
+}
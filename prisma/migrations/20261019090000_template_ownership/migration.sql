@@ -0,0 +1,36 @@
+-- Scope session templates to their owner; default templates stay global (user_id NULL)
+ALTER TABLE "session_templates" ADD COLUMN IF NOT EXISTS "user_id" INTEGER;
+ALTER TABLE "session_templates" ADD COLUMN IF NOT EXISTS "shared_by" TEXT;
+
+-- Assign existing custom templates to the user who most recently trained with them
+UPDATE "session_templates" st
+SET "user_id" = (
+    SELECT w."user_id"
+    FROM "workouts" w
+    WHERE w."template_id" = st."id"
+    ORDER BY w."date" DESC
+    LIMIT 1
+)
+WHERE st."is_default" = false AND st."user_id" IS NULL;
+
+-- Templates nobody has used yet have no known owner; keep them visible to
+-- everyone, as before, by making them read-only defaults
+UPDATE "session_templates"
+SET "is_default" = true
+WHERE "is_default" = false AND "user_id" IS NULL;
+
+-- Template names are now unique per owner instead of globally
+DROP INDEX IF EXISTS "session_templates_name_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "session_templates_user_id_name_key" ON "session_templates"("user_id", "name");
+
+-- Deleting a user removes their templates
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'session_templates_user_id_fkey'
+    ) THEN
+        ALTER TABLE "session_templates" ADD CONSTRAINT "session_templates_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,72 @@
+-- Store each set as its own row instead of a JSON string on the exercise
+DO $$
+BEGIN
+    CREATE TYPE "SetType" AS ENUM ('WARMUP', 'WORKING', 'DROP', 'FAILURE', 'AMRAP', 'REST_PAUSE', 'BACKOFF');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "exercise_sets" (
+    "id" SERIAL NOT NULL,
+    "exercise_id" INTEGER NOT NULL,
+    "order_index" INTEGER NOT NULL,
+    "reps" INTEGER NOT NULL,
+    "weight" DOUBLE PRECISION,
+    "rpe" INTEGER,
+    "set_type" "SetType" NOT NULL DEFAULT 'WORKING',
+    "completed" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "exercise_sets_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "exercise_sets_exercise_id_order_index_idx" ON "exercise_sets"("exercise_id", "order_index");
+
+-- Deleting an exercise removes its sets
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'exercise_sets_exercise_id_fkey'
+    ) THEN
+        ALTER TABLE "exercise_sets" ADD CONSTRAINT "exercise_sets_exercise_id_fkey"
+            FOREIGN KEY ("exercise_id") REFERENCES "exercises"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Copy every set out of exercises.sets_data, one exercise at a time so a
+-- malformed JSON value only skips that exercise instead of failing the migration
+DO $$
+DECLARE
+    ex RECORD;
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'exercises' AND column_name = 'sets_data'
+    ) THEN
+        FOR ex IN SELECT "id", "sets_data", "created_at" FROM "exercises" WHERE "sets_data" IS NOT NULL LOOP
+            BEGIN
+                INSERT INTO "exercise_sets" ("exercise_id", "order_index", "reps", "weight", "rpe", "completed", "created_at")
+                SELECT
+                    ex."id",
+                    (s.ordinality - 1)::INTEGER,
+                    COALESCE(NULLIF(s.value->>'reps', '')::NUMERIC::INTEGER, 0),
+                    NULLIF(s.value->>'weight', '')::DOUBLE PRECISION,
+                    NULLIF(s.value->>'rpe', '')::NUMERIC::INTEGER,
+                    COALESCE((s.value->>'completed')::BOOLEAN, true),
+                    ex."created_at"
+                FROM jsonb_array_elements(ex."sets_data"::jsonb) WITH ORDINALITY AS s(value, ordinality);
+            EXCEPTION
+                WHEN others THEN
+                    RAISE NOTICE 'Skipping sets for exercise %: %', ex."id", SQLERRM;
+            END;
+        END LOOP;
+    END IF;
+END $$;
+
+ALTER TABLE "exercises" DROP COLUMN IF EXISTS "sets_data";
+
+-- Indexes for history, PR and volume queries
+CREATE INDEX IF NOT EXISTS "exercises_workout_id_idx" ON "exercises"("workout_id");
+CREATE INDEX IF NOT EXISTS "exercises_name_idx" ON "exercises"("name");
+CREATE INDEX IF NOT EXISTS "workouts_user_id_date_idx" ON "workouts"("user_id", "date");
@@ -0,0 +1,46 @@
+-- Exercise library: entries can be owned by a user (NULL = system entry) and carry aliases
+ALTER TABLE "exercise_templates" ADD COLUMN IF NOT EXISTS "user_id" INTEGER;
+ALTER TABLE "exercise_templates" ADD COLUMN IF NOT EXISTS "aliases" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "exercise_templates" ADD COLUMN IF NOT EXISTS "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Library names are now unique per owner instead of globally
+DROP INDEX IF EXISTS "exercise_templates_name_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "exercise_templates_user_id_name_key" ON "exercise_templates"("user_id", "name");
+
+-- Deleting a user removes their library entries
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'exercise_templates_user_id_fkey'
+    ) THEN
+        ALTER TABLE "exercise_templates" ADD CONSTRAINT "exercise_templates_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Logged exercises link to their library entry; deleting an entry unlinks them
+ALTER TABLE "exercises" ADD COLUMN IF NOT EXISTS "exercise_template_id" INTEGER;
+CREATE INDEX IF NOT EXISTS "exercises_exercise_template_id_idx" ON "exercises"("exercise_template_id");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'exercises_exercise_template_id_fkey'
+    ) THEN
+        ALTER TABLE "exercises" ADD CONSTRAINT "exercises_exercise_template_id_fkey" 
+        FOREIGN KEY ("exercise_template_id") REFERENCES "exercise_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Link existing exercises to any library entry with the same name
+UPDATE "exercises" e
+SET "exercise_template_id" = (
+    SELECT et."id"
+    FROM "exercise_templates" et
+    WHERE LOWER(TRIM(et."name")) = LOWER(TRIM(e."name"))
+    ORDER BY et."id"
+    LIMIT 1
+)
+WHERE e."exercise_template_id" IS NULL;
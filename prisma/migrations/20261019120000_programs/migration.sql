@@ -0,0 +1,94 @@
+-- Programs order session templates across weeks and days
+CREATE TABLE IF NOT EXISTS "programs" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "weeks" INTEGER NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "programs_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "programs_user_id_name_key" ON "programs"("user_id", "name");
+
+CREATE TABLE IF NOT EXISTS "program_days" (
+    "id" SERIAL NOT NULL,
+    "program_id" INTEGER NOT NULL,
+    "day_number" INTEGER NOT NULL,
+    "template_id" INTEGER NOT NULL,
+    "label" TEXT,
+
+    CONSTRAINT "program_days_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "program_days_program_id_day_number_key" ON "program_days"("program_id", "day_number");
+CREATE INDEX IF NOT EXISTS "program_days_template_id_idx" ON "program_days"("template_id");
+
+-- Per-week changes to a day's sets, reps and load; a NULL exercise name applies to every exercise
+CREATE TABLE IF NOT EXISTS "program_overrides" (
+    "id" SERIAL NOT NULL,
+    "program_day_id" INTEGER NOT NULL,
+    "week" INTEGER NOT NULL,
+    "exercise_name" TEXT,
+    "sets" INTEGER,
+    "reps" INTEGER,
+    "percent_e1rm" DOUBLE PRECISION,
+
+    CONSTRAINT "program_overrides_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "program_overrides_program_day_id_week_idx" ON "program_overrides"("program_day_id", "week");
+
+-- Workouts remember which program week and day they were logged for
+ALTER TABLE "workouts" ADD COLUMN IF NOT EXISTS "program_id" INTEGER;
+ALTER TABLE "workouts" ADD COLUMN IF NOT EXISTS "program_week" INTEGER;
+ALTER TABLE "workouts" ADD COLUMN IF NOT EXISTS "program_day" INTEGER;
+CREATE INDEX IF NOT EXISTS "workouts_program_id_program_week_program_day_idx" ON "workouts"("program_id", "program_week", "program_day");
+
+-- Deleting a user removes their programs; deleting a program keeps its workouts
+-- but unlinks them; templates used by a program can't be deleted
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'programs_user_id_fkey'
+    ) THEN
+        ALTER TABLE "programs" ADD CONSTRAINT "programs_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'program_days_program_id_fkey'
+    ) THEN
+        ALTER TABLE "program_days" ADD CONSTRAINT "program_days_program_id_fkey" 
+        FOREIGN KEY ("program_id") REFERENCES "programs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'program_days_template_id_fkey'
+    ) THEN
+        ALTER TABLE "program_days" ADD CONSTRAINT "program_days_template_id_fkey" 
+        FOREIGN KEY ("template_id") REFERENCES "session_templates"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'program_overrides_program_day_id_fkey'
+    ) THEN
+        ALTER TABLE "program_overrides" ADD CONSTRAINT "program_overrides_program_day_id_fkey" 
+        FOREIGN KEY ("program_day_id") REFERENCES "program_days"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'workouts_program_id_fkey'
+    ) THEN
+        ALTER TABLE "workouts" ADD CONSTRAINT "workouts_program_id_fkey" 
+        FOREIGN KEY ("program_id") REFERENCES "programs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,3 @@
+-- Template exercises can prescribe load as a percentage of estimated 1RM or as a target RPE
+ALTER TABLE "template_exercises" ADD COLUMN IF NOT EXISTS "target_percent_e1rm" DOUBLE PRECISION;
+ALTER TABLE "template_exercises" ADD COLUMN IF NOT EXISTS "target_rpe" INTEGER;
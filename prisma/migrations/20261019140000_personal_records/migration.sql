@@ -0,0 +1,99 @@
+-- Personal records: one row per workout that beat an exercise's best e1RM,
+-- tracked rep max (1, 3, 5, 8, 10) or single-set volume
+CREATE TABLE IF NOT EXISTS "personal_records" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "workout_id" INTEGER NOT NULL,
+    "exercise_template_id" INTEGER,
+    "exercise_name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "previous_value" DOUBLE PRECISION,
+    "weight" DOUBLE PRECISION NOT NULL,
+    "reps" INTEGER NOT NULL,
+    "achieved_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "personal_records_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "personal_records_user_id_achieved_at_idx" ON "personal_records"("user_id", "achieved_at");
+CREATE INDEX IF NOT EXISTS "personal_records_user_id_exercise_template_id_type_idx" ON "personal_records"("user_id", "exercise_template_id", "type");
+CREATE INDEX IF NOT EXISTS "personal_records_workout_id_idx" ON "personal_records"("workout_id");
+
+-- Deleting a user or workout removes its records; deleting a library
+-- exercise keeps them but unlinks them
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'personal_records_user_id_fkey'
+    ) THEN
+        ALTER TABLE "personal_records" ADD CONSTRAINT "personal_records_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'personal_records_workout_id_fkey'
+    ) THEN
+        ALTER TABLE "personal_records" ADD CONSTRAINT "personal_records_workout_id_fkey" 
+        FOREIGN KEY ("workout_id") REFERENCES "workouts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'personal_records_exercise_template_id_fkey'
+    ) THEN
+        ALTER TABLE "personal_records" ADD CONSTRAINT "personal_records_exercise_template_id_fkey" 
+        FOREIGN KEY ("exercise_template_id") REFERENCES "exercise_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Backfill the timeline from existing completed workouts. Linked exercises are
+-- grouped by library entry and unlinked ones by name; the app regroups
+-- unlinked rows named after a library alias the next time they are saved.
+INSERT INTO "personal_records" (
+    "user_id", "workout_id", "exercise_template_id", "exercise_name", "type",
+    "value", "previous_value", "weight", "reps", "achieved_at"
+)
+WITH set_values AS (
+    SELECT w.user_id, w.id AS workout_id, w.date, e.exercise_template_id,
+        COALESCE(t.name, TRIM(e.name)) AS exercise_name,
+        CASE WHEN e.exercise_template_id IS NULL THEN LOWER(TRIM(e.name)) END AS name_key,
+        s.weight, s.reps, s.order_index, e.order_index AS exercise_order
+    FROM "exercise_sets" s
+    JOIN "exercises" e ON s.exercise_id = e.id
+    JOIN "workouts" w ON e.workout_id = w.id
+    LEFT JOIN "exercise_templates" t ON e.exercise_template_id = t.id
+    WHERE w.status = 'COMPLETED' AND s.completed AND s.weight > 0 AND s.reps > 0
+),
+candidates AS (
+    SELECT *, 'e1rm' AS type,
+        CASE WHEN reps = 1 THEN weight ELSE ROUND((weight * (1 + reps / 30.0))::numeric, 1)::double precision END AS value
+    FROM set_values
+    UNION ALL
+    SELECT *, reps || 'rm' AS type, weight AS value
+    FROM set_values WHERE reps IN (1, 3, 5, 8, 10)
+    UNION ALL
+    SELECT *, 'volume' AS type, weight * reps AS value
+    FROM set_values
+),
+workout_bests AS (
+    SELECT DISTINCT ON (user_id, exercise_template_id, name_key, type, workout_id) *
+    FROM candidates
+    ORDER BY user_id, exercise_template_id, name_key, type, workout_id, value DESC, exercise_order, order_index
+),
+timeline AS (
+    SELECT *, MAX(value) OVER (
+        PARTITION BY user_id, exercise_template_id, name_key, type
+        ORDER BY date, workout_id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+    ) AS previous_value
+    FROM workout_bests
+)
+SELECT user_id, workout_id, exercise_template_id, exercise_name, type,
+    value, previous_value, weight, reps, date
+FROM timeline
+WHERE (previous_value IS NULL OR value > previous_value)
+    AND NOT EXISTS (SELECT 1 FROM "personal_records");
@@ -0,0 +1,64 @@
+-- Bodyweight log: one entry per user per day with an optional body-fat
+-- percentage. Databases migrated from 20250731224000 already have the table.
+CREATE TABLE IF NOT EXISTS "weight_entries" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "weight_entries_pkey" PRIMARY KEY ("id")
+);
+
+ALTER TABLE "weight_entries" ADD COLUMN IF NOT EXISTS "body_fat" DOUBLE PRECISION;
+
+-- Older entries carry a time of day: move them to the start of their day and
+-- keep the latest entry of each day
+UPDATE "weight_entries" SET "date" = date_trunc('day', "date") WHERE "date" <> date_trunc('day', "date");
+
+DELETE FROM "weight_entries" older
+USING "weight_entries" newer
+WHERE older."user_id" = newer."user_id"
+  AND older."date" = newer."date"
+  AND older."id" < newer."id";
+
+CREATE UNIQUE INDEX IF NOT EXISTS "weight_entries_user_id_date_key" ON "weight_entries"("user_id", "date");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'weight_entries_user_id_fkey'
+    ) THEN
+        ALTER TABLE "weight_entries" ADD CONSTRAINT "weight_entries_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+-- Tape measurements in centimetres, one per user, day and site
+CREATE TABLE IF NOT EXISTS "body_measurements" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "site" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "body_measurements_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "body_measurements_user_id_date_site_key" ON "body_measurements"("user_id", "date", "site");
+CREATE INDEX IF NOT EXISTS "body_measurements_user_id_site_date_idx" ON "body_measurements"("user_id", "site", "date");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'body_measurements_user_id_fkey'
+    ) THEN
+        ALTER TABLE "body_measurements" ADD CONSTRAINT "body_measurements_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
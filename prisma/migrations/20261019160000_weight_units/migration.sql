@@ -0,0 +1,12 @@
+-- Per-user weight unit preference, and the unit each set was logged in.
+-- Everything logged so far was in kilograms.
+DO $$
+BEGIN
+    CREATE TYPE "WeightUnit" AS ENUM ('kg', 'lb');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "weight_unit" "WeightUnit" NOT NULL DEFAULT 'kg';
+
+ALTER TABLE "exercise_sets" ADD COLUMN IF NOT EXISTS "weight_unit" "WeightUnit" NOT NULL DEFAULT 'kg';
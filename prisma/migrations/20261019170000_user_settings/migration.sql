@@ -0,0 +1,7 @@
+-- Per-user settings: default rest time, the day weeks start on (0 = Sunday,
+-- 1 = Monday) and an IANA time zone (NULL follows the device).
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "default_rest_seconds" INTEGER NOT NULL DEFAULT 90;
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "week_start_day" INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "time_zone" TEXT;
@@ -0,0 +1,15 @@
+-- Session management: the device a session was created on, when it was last
+-- used, and token rotation (the replaced token is kept briefly for requests
+-- already in flight).
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "previous_token" TEXT;
+
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "user_agent" TEXT;
+
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE "sessions" ADD COLUMN IF NOT EXISTS "rotated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing sessions were last used no later than they were created
+UPDATE "sessions" SET "last_used_at" = "created_at", "rotated_at" = "created_at";
+
+CREATE UNIQUE INDEX IF NOT EXISTS "sessions_previous_token_key" ON "sessions"("previous_token");
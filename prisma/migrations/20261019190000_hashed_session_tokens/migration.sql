@@ -0,0 +1,20 @@
+-- Sessions store a SHA-256 hash of their token instead of the token itself.
+-- Existing tokens were generated with Math.random() and stored in plaintext,
+-- so every session is ended and users log in again.
+DELETE FROM "sessions";
+
+DROP INDEX IF EXISTS "sessions_token_key";
+
+DROP INDEX IF EXISTS "sessions_previous_token_key";
+
+ALTER TABLE "sessions" DROP COLUMN IF EXISTS "token";
+
+ALTER TABLE "sessions" DROP COLUMN IF EXISTS "previous_token";
+
+ALTER TABLE "sessions" ADD COLUMN "token_hash" TEXT NOT NULL;
+
+ALTER TABLE "sessions" ADD COLUMN "previous_token_hash" TEXT;
+
+CREATE UNIQUE INDEX "sessions_token_hash_key" ON "sessions"("token_hash");
+
+CREATE UNIQUE INDEX "sessions_previous_token_hash_key" ON "sessions"("previous_token_hash");
@@ -0,0 +1,10 @@
+-- Failed login counts per username ("user:<name>") and client IP ("ip:<addr>")
+-- for login rate limiting and lockout.
+CREATE TABLE IF NOT EXISTS "login_attempts" (
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "last_failure_at" TIMESTAMP(3) NOT NULL,
+    "locked_until" TIMESTAMP(3),
+
+    CONSTRAINT "login_attempts_pkey" PRIMARY KEY ("key")
+);
@@ -0,0 +1,24 @@
+-- One-time recovery codes for resetting a forgotten password, stored as
+-- SHA-256 hashes. Existing users have none until they generate them in settings.
+CREATE TABLE IF NOT EXISTS "recovery_codes" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "recovery_codes_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "recovery_codes_user_id_code_hash_key" ON "recovery_codes"("user_id", "code_hash");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'recovery_codes_user_id_fkey'
+    ) THEN
+        ALTER TABLE "recovery_codes" ADD CONSTRAINT "recovery_codes_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
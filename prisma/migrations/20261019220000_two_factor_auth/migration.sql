@@ -0,0 +1,57 @@
+-- Optional TOTP two-factor authentication. A secret without an enabled time is
+-- an enrollment still waiting for its first code; the last used time step
+-- stops a code being replayed within its window.
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "totp_secret" TEXT;
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "totp_enabled_at" TIMESTAMP(3);
+
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "totp_last_used_step" INTEGER;
+
+-- One-time backup codes for signing in without the authenticator, stored as
+-- SHA-256 hashes
+CREATE TABLE IF NOT EXISTS "backup_codes" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "backup_codes_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "backup_codes_user_id_code_hash_key" ON "backup_codes"("user_id", "code_hash");
+
+-- Logins whose password was right, waiting for the second factor
+CREATE TABLE IF NOT EXISTS "two_factor_challenges" (
+    "id" TEXT NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "user_agent" TEXT,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "two_factor_challenges_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "two_factor_challenges_token_hash_key" ON "two_factor_challenges"("token_hash");
+
+CREATE INDEX IF NOT EXISTS "two_factor_challenges_user_id_idx" ON "two_factor_challenges"("user_id");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'backup_codes_user_id_fkey'
+    ) THEN
+        ALTER TABLE "backup_codes" ADD CONSTRAINT "backup_codes_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'two_factor_challenges_user_id_fkey'
+    ) THEN
+        ALTER TABLE "two_factor_challenges" ADD CONSTRAINT "two_factor_challenges_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,14 @@
+-- Group exercises into supersets, circuits and giant sets. Consecutive
+-- exercises with the same group_number in a workout or template form a group.
+DO $$
+BEGIN
+    CREATE TYPE "ExerciseGroupType" AS ENUM ('SUPERSET', 'CIRCUIT', 'GIANT_SET');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE "exercises" ADD COLUMN IF NOT EXISTS "group_number" INTEGER;
+ALTER TABLE "exercises" ADD COLUMN IF NOT EXISTS "group_type" "ExerciseGroupType";
+
+ALTER TABLE "template_exercises" ADD COLUMN IF NOT EXISTS "group_number" INTEGER;
+ALTER TABLE "template_exercises" ADD COLUMN IF NOT EXISTS "group_type" "ExerciseGroupType";
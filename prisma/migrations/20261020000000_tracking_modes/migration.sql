@@ -0,0 +1,21 @@
+-- Track exercises by time, distance, distance and time, or assistance as well
+-- as by weight and reps. Sets that aren't counted in reps leave reps empty.
+DO $$
+BEGIN
+    CREATE TYPE "TrackingMode" AS ENUM ('WEIGHT_REPS', 'DURATION', 'DISTANCE', 'DISTANCE_DURATION', 'ASSISTED');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE "exercises" ADD COLUMN IF NOT EXISTS "tracking_mode" "TrackingMode" NOT NULL DEFAULT 'WEIGHT_REPS';
+ALTER TABLE "exercise_templates" ADD COLUMN IF NOT EXISTS "tracking_mode" "TrackingMode" NOT NULL DEFAULT 'WEIGHT_REPS';
+
+ALTER TABLE "exercise_sets" ALTER COLUMN "reps" DROP NOT NULL;
+ALTER TABLE "exercise_sets" ADD COLUMN IF NOT EXISTS "duration_seconds" INTEGER;
+ALTER TABLE "exercise_sets" ADD COLUMN IF NOT EXISTS "distance_meters" DOUBLE PRECISION;
+
+-- Time, distance and pace records have no weight or reps
+ALTER TABLE "personal_records" ALTER COLUMN "weight" DROP NOT NULL;
+ALTER TABLE "personal_records" ALTER COLUMN "reps" DROP NOT NULL;
+ALTER TABLE "personal_records" ADD COLUMN IF NOT EXISTS "duration_seconds" INTEGER;
+ALTER TABLE "personal_records" ADD COLUMN IF NOT EXISTS "distance_meters" DOUBLE PRECISION;
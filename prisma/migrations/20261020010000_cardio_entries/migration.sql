@@ -0,0 +1,70 @@
+-- Cardio and conditioning work, logged on its own or attached to a workout,
+-- with optional intervals for interval sessions.
+DO $$
+BEGIN
+    CREATE TYPE "CardioActivity" AS ENUM ('RUN', 'WALK', 'CYCLE', 'ROW', 'SWIM', 'ELLIPTICAL', 'STAIR_CLIMBER', 'JUMP_ROPE', 'SKI_ERG', 'HIIT', 'OTHER');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "cardio_entries" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "workout_id" INTEGER,
+    "activity_type" "CardioActivity" NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "duration_seconds" INTEGER NOT NULL,
+    "distance_meters" DOUBLE PRECISION,
+    "avg_heart_rate" INTEGER,
+    "calories" INTEGER,
+    "notes" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cardio_entries_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "cardio_entries_user_id_date_idx" ON "cardio_entries"("user_id", "date");
+
+CREATE INDEX IF NOT EXISTS "cardio_entries_workout_id_idx" ON "cardio_entries"("workout_id");
+
+CREATE TABLE IF NOT EXISTS "cardio_intervals" (
+    "id" SERIAL NOT NULL,
+    "cardio_entry_id" INTEGER NOT NULL,
+    "order_index" INTEGER NOT NULL,
+    "duration_seconds" INTEGER NOT NULL,
+    "distance_meters" DOUBLE PRECISION,
+    "rest_seconds" INTEGER,
+    "avg_heart_rate" INTEGER,
+
+    CONSTRAINT "cardio_intervals_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "cardio_intervals_cardio_entry_id_order_index_idx" ON "cardio_intervals"("cardio_entry_id", "order_index");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'cardio_entries_user_id_fkey'
+    ) THEN
+        ALTER TABLE "cardio_entries" ADD CONSTRAINT "cardio_entries_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'cardio_entries_workout_id_fkey'
+    ) THEN
+        ALTER TABLE "cardio_entries" ADD CONSTRAINT "cardio_entries_workout_id_fkey" 
+        FOREIGN KEY ("workout_id") REFERENCES "workouts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'cardio_intervals_cardio_entry_id_fkey'
+    ) THEN
+        ALTER TABLE "cardio_intervals" ADD CONSTRAINT "cardio_intervals_cardio_entry_id_fkey" 
+        FOREIGN KEY ("cardio_entry_id") REFERENCES "cardio_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,29 @@
+-- Each user's bar, plate pairs, dumbbell steps and machine stack steps, used
+-- to round suggested weights to loads that can actually be made. Users
+-- without a profile get standard equipment for their unit.
+CREATE TABLE IF NOT EXISTS "equipment_profiles" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "weight_unit" "WeightUnit" NOT NULL DEFAULT 'kg',
+    "bar_weight" DOUBLE PRECISION NOT NULL,
+    "plates" DOUBLE PRECISION[] NOT NULL DEFAULT ARRAY[]::DOUBLE PRECISION[],
+    "dumbbell_increment" DOUBLE PRECISION NOT NULL,
+    "machine_increment" DOUBLE PRECISION NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "equipment_profiles_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "equipment_profiles_user_id_key" ON "equipment_profiles"("user_id");
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints 
+        WHERE constraint_name = 'equipment_profiles_user_id_fkey'
+    ) THEN
+        ALTER TABLE "equipment_profiles" ADD CONSTRAINT "equipment_profiles_user_id_fkey" 
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
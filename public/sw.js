@@ -0,0 +1,152 @@
+/**
+ * Gym Pad Service Worker
+ *
+ * Keeps the app usable without a connection:
+ * - Next.js build assets are served cache-first (their URLs are content hashed)
+ * - Pages and the API reads the offline pages need are network-first, falling
+ *   back to the last cached copy. Other API reads (exports, tokens, sessions)
+ *   are never stored.
+ * - Workout writes are NOT handled here; they are queued in IndexedDB by
+ *   lib/offline-queue.js and replayed by the page. A background sync event
+ *   just asks open pages to replay the queue.
+ */
+
+const VERSION = 'v1'
+const STATIC_CACHE = `gym-pad-static-${VERSION}`
+const PAGE_CACHE = `gym-pad-pages-${VERSION}`
+// Must match API_CACHE_NAME in lib/offline-queue.js
+const API_CACHE = 'gym-pad-api'
+
+const PRECACHE_URLS = ['/', '/new-session', '/manifest.webmanifest']
+
+// API reads kept for offline use, with everything under them: the dashboard,
+// session and new-session pages, the exercise picker and PR detection
+const CACHED_API_PATHS = [
+  '/api/auth/me',
+  '/api/workouts',
+  '/api/templates',
+  '/api/exercise-templates',
+  '/api/exercises',
+  '/api/equipment',
+  '/api/programs/next'
+]
+const CURRENT_CACHES = [STATIC_CACHE, PAGE_CACHE, API_CACHE]
+
+/**
+ * Whether an API read is kept for offline use
+ */
+function isCachedApiPath(pathname) {
+  return CACHED_API_PATHS.some((path) => pathname === path || pathname.startsWith(`${path}/`))
+}
+
+/**
+ * Drop API responses cached before the allowlist, such as full exports
+ */
+async function pruneApiCache() {
+  const cache = await caches.open(API_CACHE)
+  const requests = await cache.keys()
+  await Promise.all(
+    requests
+      .filter((request) => !isCachedApiPath(new URL(request.url).pathname))
+      .map((request) => cache.delete(request))
+  )
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(PAGE_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('gym-pad-') && !CURRENT_CACHES.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(pruneApiCache)
+      .then(() => self.clients.claim())
+  )
+})
+
+
+/**
+ * Try the network first and keep a copy, falling back to the cache when offline
+ */
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      cache.put(request, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+    if (fallbackUrl) {
+      const fallback = await cache.match(fallbackUrl)
+      if (fallback) return fallback
+    }
+    throw error
+  }
+}
+
+/**
+ * Serve from the cache, only going to the network for assets not seen before
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(STATIC_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Writes go straight to the network; the page queues them when offline
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Only allowlisted API reads are cached; the rest (exports, tokens, auth)
+  // go straight to the network
+  if (url.pathname.startsWith('/api/') && !isCachedApiPath(url.pathname)) return
+
+  if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(cacheFirst(request))
+  } else if (url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(request, API_CACHE))
+  } else if (request.mode === 'navigate') {
+    // Dynamic pages like /session/12 fall back to the cached dashboard shell
+    event.respondWith(networkFirst(request, PAGE_CACHE, '/'))
+  } else {
+    event.respondWith(networkFirst(request, STATIC_CACHE))
+  }
+})
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === 'sync-workouts') {
+    event.waitUntil(
+      self.clients
+        .matchAll({ type: 'window' })
+        .then((clients) =>
+          clients.forEach((client) => client.postMessage({ type: 'SYNC_WORKOUTS' }))
+        )
+    )
+  }
+})
@@ -8,6 +8,10 @@ export const createMockUser = (overrides = {}) => ({
   username: 'testuser',
   name: 'Test User',
   password: '$2b$10$mockedhashedpassword123',
+  weightUnit: 'kg',
+  defaultRestSeconds: 90,
+  weekStartDay: 1,
+  timeZone: null,
   createdAt: new Date('2025-01-01T00:00:00Z'),
   ...overrides
 });
@@ -15,9 +19,13 @@ export const createMockUser = (overrides = {}) => ({
 export const createMockSession = (userId = 1, overrides = {}) => ({
   id: 'session_test_123',
   userId,
-  token: 'test_session_token_123456',
-  expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1 year from now
+  tokenHash: 'b4f5d2c8a1e9f0c3d6b7a8e2f1c4d5b6a9e8f7c2d1b0a3e4f5c6d7b8a9e0f1c2',
+  previousTokenHash: null,
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36',
+  expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
   createdAt: new Date(),
+  lastUsedAt: new Date(),
+  rotatedAt: new Date(),
   user: createMockUser({ id: userId }),
   ...overrides
 });
@@ -17,11 +17,31 @@ export const createMockWorkout = (userId = 1, overrides = {}) => ({
   ...overrides
 });
 
+export const createMockExerciseSet = (exerciseId = 1, overrides = {}) => ({
+  id: 1,
+  exerciseId,
+  orderIndex: 0,
+  reps: 10,
+  weight: 135,
+  weightUnit: 'kg',
+  rpe: null,
+  setType: 'WORKING',
+  completed: true,
+  createdAt: new Date('2025-01-01T10:00:00Z'),
+  ...overrides
+});
+
+// Builds ExerciseSet rows from plain { reps, weight, ... } sets
+export const createMockExerciseSets = (exerciseId, sets) =>
+  sets.map((set, index) =>
+    createMockExerciseSet(exerciseId, { id: exerciseId * 100 + index, orderIndex: index, ...set })
+  );
+
 export const createMockExercise = (workoutId = 1, overrides = {}) => ({
   id: 1,
   workoutId,
   name: 'Bench Press',
-  setsData: JSON.stringify([
+  sets: createMockExerciseSets(overrides.id || 1, [
     { reps: 10, weight: 135, completed: true },
     { reps: 8, weight: 140, completed: true },
     { reps: 6, weight: 145, completed: false }
@@ -46,7 +66,7 @@ export const createMockWorkoutWithExercises = (userId = 1, overrides = {}) => {
       id: 2,
       name: 'Incline Dumbbell Press',
       orderIndex: 1,
-      setsData: JSON.stringify([
+      sets: createMockExerciseSets(2, [
         { reps: 12, weight: 60, completed: true },
         { reps: 10, weight: 65, completed: true }
       ])
@@ -55,7 +75,7 @@ export const createMockWorkoutWithExercises = (userId = 1, overrides = {}) => {
       id: 3,
       name: 'Push-ups',
       orderIndex: 2,
-      setsData: JSON.stringify([
+      sets: createMockExerciseSets(3, [
         { reps: 20, weight: null, completed: true },
         { reps: 18, weight: null, completed: true }
       ])
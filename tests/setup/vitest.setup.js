@@ -36,6 +36,7 @@ vi.mock('@/lib/prisma', () => {
         findMany: vi.fn(),
         create: vi.fn(),
         update: vi.fn(),
+        updateMany: vi.fn(),
         delete: vi.fn(),
         deleteMany: vi.fn()
       },
@@ -44,8 +45,10 @@ vi.mock('@/lib/prisma', () => {
       workout: {
         findMany: vi.fn(),
         findUnique: vi.fn(),
+        findFirst: vi.fn(),
         create: vi.fn(),
         update: vi.fn(),
+        updateMany: vi.fn(),
         delete: vi.fn(),
         deleteMany: vi.fn()
       },
@@ -57,16 +60,33 @@ vi.mock('@/lib/prisma', () => {
         create: vi.fn(),
         createMany: vi.fn(),
         update: vi.fn(),
+        updateMany: vi.fn(),
         delete: vi.fn(),
         deleteMany: vi.fn()
       },
       
+      // Exercise set methods
+      exerciseSet: {
+        findMany: vi.fn()
+      },
+      
+      // Exercise library methods
+      exerciseTemplate: {
+        findMany: vi.fn(),
+        findUnique: vi.fn(),
+        findFirst: vi.fn(),
+        create: vi.fn(),
+        update: vi.fn(),
+        delete: vi.fn()
+      },
+      
       // Session model methods
       session: {
         findUnique: vi.fn(),
         findMany: vi.fn(),
         create: vi.fn(),
         update: vi.fn(),
+        updateMany: vi.fn(),
         delete: vi.fn(),
         deleteMany: vi.fn()
       },
@@ -88,12 +108,36 @@ vi.mock('@/lib/prisma', () => {
         deleteMany: vi.fn()
       },
       
+      // Program methods
+      program: {
+        findMany: vi.fn(),
+        findUnique: vi.fn(),
+        findFirst: vi.fn(),
+        create: vi.fn(),
+        update: vi.fn(),
+        updateMany: vi.fn(),
+        delete: vi.fn()
+      },
+      
+      programDay: {
+        deleteMany: vi.fn()
+      },
+      
+      // Personal record methods
+      personalRecord: {
+        findMany: vi.fn(),
+        createMany: vi.fn(),
+        deleteMany: vi.fn()
+      },
+      
       // Weight tracking methods
       weightEntry: {
         findMany: vi.fn(),
         findUnique: vi.fn(),
         create: vi.fn(),
+        createMany: vi.fn(),
         update: vi.fn(),
+        upsert: vi.fn(),
         delete: vi.fn()
       },
       
@@ -105,6 +149,59 @@ vi.mock('@/lib/prisma', () => {
         delete: vi.fn()
       },
       
+      // Body measurement methods
+      bodyMeasurement: {
+        findMany: vi.fn(),
+        findUnique: vi.fn(),
+        createMany: vi.fn(),
+        upsert: vi.fn(),
+        delete: vi.fn()
+      },
+      
+      // Cardio methods
+      cardioEntry: {
+        findMany: vi.fn(),
+        findUnique: vi.fn(),
+        create: vi.fn(),
+        update: vi.fn(),
+        delete: vi.fn()
+      },
+      
+      backupCode: {
+        count: vi.fn(),
+        createMany: vi.fn(),
+        updateMany: vi.fn(),
+        deleteMany: vi.fn()
+      },
+      
+      twoFactorChallenge: {
+        findUnique: vi.fn(),
+        create: vi.fn(),
+        deleteMany: vi.fn()
+      },
+      
+      apiToken: {
+        findUnique: vi.fn(),
+        findMany: vi.fn(),
+        create: vi.fn(),
+        update: vi.fn(),
+        deleteMany: vi.fn()
+      },
+      
+      equipmentProfile: {
+        findUnique: vi.fn(),
+        createMany: vi.fn(),
+        upsert: vi.fn(),
+        deleteMany: vi.fn()
+      },
+      
+      recoveryCode: {
+        count: vi.fn(),
+        createMany: vi.fn(),
+        updateMany: vi.fn(),
+        deleteMany: vi.fn()
+      },
+      
       // Transaction method
       $transaction: vi.fn(),
       
@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { POST } from '@/app/api/auth/login/route';
 import { prisma } from '@/lib/prisma';
+import { hashSessionToken } from '@/lib/auth';
+import { loginRateLimiter } from '@/lib/rate-limit';
 import { createMockUser, createMockSession } from '../../../fixtures/user.js';
 import bcrypt from 'bcryptjs';
 
@@ -14,6 +16,7 @@ vi.mock('bcryptjs', () => ({
 describe('/api/auth/login', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    loginRateLimiter.store.clear();
   });
 
   it('should return 400 for missing username', async () => {
@@ -50,6 +53,20 @@ describe('/api/auth/login', () => {
     expect(data.error).toBe('Username and password are required');
   });
 
+  it('should return 400 when the credentials are not strings', async () => {
+    const request = createMockRequestWithBody('http://localhost:3000/api/auth/login', {
+      username: ['testuser'],
+      password: 'password123'
+    });
+
+    const response = await POST(request);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Username and password must be strings');
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+
   it('should return 401 for non-existent user', async () => {
     // Mock user not found
     prisma.user.findUnique.mockResolvedValue(null);
@@ -117,15 +134,20 @@ describe('/api/auth/login', () => {
     expect(data.user).toEqual({
       id: mockUser.id,
       username: mockUser.username,
-      name: mockUser.name
+      name: mockUser.name,
+      weightUnit: 'kg',
+      defaultRestSeconds: 90,
+      weekStartDay: 1,
+      timeZone: null
     });
 
     // Verify session was created
     expect(prisma.session.create).toHaveBeenCalledWith({
       data: {
         userId: mockUser.id,
-        token: expect.any(String),
-        expiresAt: expect.any(Date)
+        tokenHash: expect.stringMatching(/^[a-f0-9]{64}$/),
+        expiresAt: expect.any(Date),
+        userAgent: null
       }
     });
 
@@ -134,6 +156,110 @@ describe('/api/auth/login', () => {
     expect(setCookieHeader).toContain('session-token=');
     expect(setCookieHeader).toContain('HttpOnly');
     expect(setCookieHeader).toContain('SameSite=lax');
+    expect(setCookieHeader).toContain(`Max-Age=${30 * 24 * 60 * 60}`);
+
+    // The cookie carries the token; only its hash is stored
+    const token = setCookieHeader.match(/session-token=([^;]+)/)[1];
+    expect(prisma.session.create.mock.calls[0][0].data.tokenHash).toBe(hashSessionToken(token));
+  });
+
+  it('should record the user agent the session was created from', async () => {
+    const mockUser = createMockUser();
+    prisma.user.findUnique.mockResolvedValue(mockUser);
+    bcrypt.compare.mockResolvedValue(true);
+    prisma.session.create.mockResolvedValue(createMockSession(mockUser.id));
+
+    const request = createMockRequestWithCookies('http://localhost:3000/api/auth/login', {}, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) Safari/604.1'
+      },
+      body: JSON.stringify({ username: 'testuser', password: 'correctpassword' })
+    });
+
+    const response = await POST(request);
+
+    expect(response.status).toBe(200);
+    expect(prisma.session.create.mock.calls[0][0].data.userAgent).toBe(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) Safari/604.1'
+    );
+  });
+
+  it('should hold the session back for the second factor when two-factor is on', async () => {
+    const mockUser = createMockUser({ totpEnabledAt: new Date('2026-10-01T00:00:00Z') });
+    prisma.user.findUnique.mockResolvedValue(mockUser);
+    bcrypt.compare.mockResolvedValue(true);
+    prisma.twoFactorChallenge.create.mockResolvedValue({});
+
+    const request = createMockRequestWithBody('http://localhost:3000/api/auth/login', {
+      username: 'testuser',
+      password: 'correctpassword'
+    });
+
+    const response = await POST(request);
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.twoFactorRequired).toBe(true);
+    expect(data.user).toBeUndefined();
+    expect(response.headers.get('Set-Cookie')).toBeNull();
+    expect(prisma.session.create).not.toHaveBeenCalled();
+
+    // Only the challenge's hash is stored, and it expires in minutes
+    const { data: challenge } = prisma.twoFactorChallenge.create.mock.calls[0][0];
+    expect(challenge.userId).toBe(mockUser.id);
+    expect(challenge.tokenHash).toBe(hashSessionToken(data.challenge));
+    expect(challenge.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(5 * 60 * 1000);
+  });
+
+  it('should return 429 once a username has used its free attempts', async () => {
+    prisma.user.findUnique.mockResolvedValue(createMockUser());
+    bcrypt.compare.mockResolvedValue(false);
+
+    const attempt = () => POST(createMockRequestWithBody('http://localhost:3000/api/auth/login', {
+      username: 'testuser',
+      password: 'wrongpassword'
+    }));
+
+    for (let i = 0; i < 5; i++) {
+      expect((await attempt()).status).toBe(401);
+    }
+
+    const response = await attempt();
+    const data = await response.json();
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('30');
+    expect(data.retryAfter).toBe(30);
+    expect(data.error).toBe('Too many failed login attempts. Try again in 30 seconds.');
+
+    // Locked out: the password isn't checked, even a correct one
+    bcrypt.compare.mockClear();
+    bcrypt.compare.mockResolvedValue(true);
+    expect((await attempt()).status).toBe(429);
+    expect(bcrypt.compare).not.toHaveBeenCalled();
+  });
+
+  it('should reset the username\'s failures after a successful login', async () => {
+    prisma.user.findUnique.mockResolvedValue(createMockUser());
+    prisma.session.create.mockResolvedValue(createMockSession());
+
+    const attempt = (password) => POST(createMockRequestWithBody('http://localhost:3000/api/auth/login', {
+      username: 'testuser',
+      password
+    }));
+
+    bcrypt.compare.mockResolvedValue(false);
+    for (let i = 0; i < 4; i++) {
+      await attempt('wrongpassword');
+    }
+    bcrypt.compare.mockResolvedValue(true);
+    expect((await attempt('correctpassword')).status).toBe(200);
+
+    bcrypt.compare.mockResolvedValue(false);
+    expect((await attempt('wrongpassword')).status).toBe(401);
+    expect(await loginRateLimiter.store.get('user:testuser')).toMatchObject({ failures: 1 });
   });
 
   it('should handle database connection errors gracefully', async () => {
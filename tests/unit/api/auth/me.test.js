@@ -1,10 +1,23 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { GET } from '@/app/api/auth/me/route';
+import { NextResponse } from 'next/server';
+import { GET, PATCH } from '@/app/api/auth/me/route';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
 import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import bcrypt from 'bcryptjs';
+
+// Mock bcrypt for password changes
+vi.mock('bcryptjs', () => ({
+  default: {
+    compare: vi.fn(),
+    hash: vi.fn()
+  }
+}));
 
 // Mock the middleware
 vi.mock('@/lib/middleware', () => ({
-  getOptionalAuth: vi.fn()
+  getOptionalAuth: vi.fn(),
+  requireAuth: vi.fn()
 }));
 
 describe('/api/auth/me', () => {
@@ -186,4 +199,114 @@ describe('/api/auth/me', () => {
     };
     expect(data.user).toEqual(expectedUser);
   });
-});
\ No newline at end of file
+
+  describe('PATCH /api/auth/me', () => {
+    const url = 'http://localhost:3000/api/auth/me';
+
+    beforeEach(() => {
+      requireAuth.mockResolvedValue(createMockAuthResult());
+    });
+
+    it('should update the weight unit and return the user', async () => {
+      const updated = { id: 1, username: 'testuser', name: 'Test User', weightUnit: 'lb' };
+      prisma.user.update.mockResolvedValue(updated);
+
+      const response = await PATCH(createMockRequestWithBody(url, { weightUnit: 'lb' }, 'PATCH'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.user).toEqual(updated);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { weightUnit: 'lb' },
+        select: {
+          id: true,
+          username: true,
+          name: true,
+          weightUnit: true,
+          defaultRestSeconds: true,
+          weekStartDay: true,
+          timeZone: true
+        }
+      });
+    });
+
+    it('should update the name and settings', async () => {
+      prisma.user.update.mockResolvedValue(createMockUser());
+
+      const response = await PATCH(createMockRequestWithBody(url, {
+        name: '  New Name ',
+        defaultRestSeconds: 120,
+        weekStartDay: 0,
+        timeZone: 'America/New_York'
+      }, 'PATCH'));
+
+      expect(response.status).toBe(200);
+      expect(prisma.user.update.mock.calls[0][0].data).toEqual({
+        name: 'New Name',
+        defaultRestSeconds: 120,
+        weekStartDay: 0,
+        timeZone: 'America/New_York'
+      });
+      expect(prisma.session.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should change the password and sign out other sessions', async () => {
+      prisma.user.findUnique.mockResolvedValue({ password: '$2b$10$oldhash' });
+      prisma.session.deleteMany.mockResolvedValue({ count: 2 });
+      bcrypt.compare.mockResolvedValue(true);
+      bcrypt.hash.mockResolvedValue('$2b$10$newhash');
+      prisma.user.update.mockResolvedValue(createMockUser());
+
+      const response = await PATCH(createMockRequestWithBody(url, {
+        currentPassword: 'oldpassword',
+        newPassword: 'newpassword'
+      }, 'PATCH'));
+
+      expect(response.status).toBe(200);
+      expect(bcrypt.compare).toHaveBeenCalledWith('oldpassword', '$2b$10$oldhash');
+      expect(prisma.user.update.mock.calls[0][0].data).toEqual({ password: '$2b$10$newhash' });
+      expect(prisma.session.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1, id: { not: 'session_test_123' } }
+      });
+    });
+
+    it('should reject a wrong current password', async () => {
+      prisma.user.findUnique.mockResolvedValue({ password: '$2b$10$oldhash' });
+      bcrypt.compare.mockResolvedValue(false);
+
+      const response = await PATCH(createMockRequestWithBody(url, {
+        currentPassword: 'wrong',
+        newPassword: 'newpassword'
+      }, 'PATCH'));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Current password is incorrect');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown weight unit', async () => {
+      const response = await PATCH(createMockRequestWithBody(url, { weightUnit: 'stone' }, 'PATCH'));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details).toContain('Weight unit must be kg or lb');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty update', async () => {
+      const response = await PATCH(createMockRequestWithBody(url, {}, 'PATCH'));
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await PATCH(createMockRequestWithBody(url, { weightUnit: 'lb' }, 'PATCH'));
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
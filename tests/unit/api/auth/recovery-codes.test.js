@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST } from '@/app/api/auth/recovery-codes/route';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { RECOVERY_CODE_COUNT } from '@/lib/recovery-codes';
+import { createMockAuthResult } from '../../../fixtures/user.js';
+import bcrypt from 'bcryptjs';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+// Mock bcrypt for password verification
+vi.mock('bcryptjs', () => ({
+  default: {
+    compare: vi.fn()
+  }
+}));
+
+describe('/api/auth/recovery-codes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    requireAuth.mockResolvedValue(createMockAuthResult());
+  });
+
+  describe('GET', () => {
+    it('should return how many unused codes are left', async () => {
+      prisma.recoveryCode.count.mockResolvedValue(4);
+
+      const response = await GET(createMockRequest('http://localhost:3000/api/auth/recovery-codes'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ remaining: 4 });
+      expect(prisma.recoveryCode.count).toHaveBeenCalledWith({ where: { userId: 1, usedAt: null } });
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const { NextResponse } = await import('next/server');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await GET(createMockRequest('http://localhost:3000/api/auth/recovery-codes'));
+
+      expect(response.status).toBe(401);
+      expect(prisma.recoveryCode.count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST', () => {
+    const regenerate = (body) =>
+      POST(createMockRequestWithBody('http://localhost:3000/api/auth/recovery-codes', body));
+
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ password: '$2b$10$hash' });
+      prisma.$transaction.mockResolvedValue([]);
+    });
+
+    it('should replace the codes and return the new set once', async () => {
+      bcrypt.compare.mockResolvedValue(true);
+
+      const response = await regenerate({ password: 'password123' });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.recoveryCodes).toHaveLength(RECOVERY_CODE_COUNT);
+      expect(bcrypt.compare).toHaveBeenCalledWith('password123', '$2b$10$hash');
+      expect(prisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+      expect(prisma.recoveryCode.createMany.mock.calls[0][0].data).toHaveLength(RECOVERY_CODE_COUNT);
+    });
+
+    it('should require the password', async () => {
+      const response = await regenerate({});
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Password is required');
+    });
+
+    it('should reject a wrong password', async () => {
+      bcrypt.compare.mockResolvedValue(false);
+
+      const response = await regenerate({ password: 'wrong' });
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Password is incorrect');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
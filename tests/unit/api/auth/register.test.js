@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { POST } from '@/app/api/auth/register/route';
 import { prisma } from '@/lib/prisma';
+import { hashRecoveryCode, RECOVERY_CODE_COUNT } from '@/lib/recovery-codes';
 import { createMockUser, createMockSession } from '../../../fixtures/user.js';
 import bcrypt from 'bcryptjs';
 
@@ -122,27 +123,41 @@ describe('/api/auth/register', () => {
     expect(data.user).toEqual({
       id: mockUser.id,
       username: mockUser.username,
-      name: mockUser.name
+      name: mockUser.name,
+      weightUnit: 'kg',
+      defaultRestSeconds: 90,
+      weekStartDay: 1,
+      timeZone: null
     });
 
     // Verify password was hashed
     expect(bcrypt.hash).toHaveBeenCalledWith('password123', 10);
 
-    // Verify user was created with hashed password
+    // Verify user was created with hashed password and recovery codes
     expect(prisma.user.create).toHaveBeenCalledWith({
       data: {
         username: 'newuser',
         password: hashedPassword,
-        name: 'New User'
+        name: 'New User',
+        recoveryCodes: {
+          create: expect.any(Array)
+        }
       }
     });
 
+    // Recovery codes are returned once; only their hashes are stored
+    expect(data.recoveryCodes).toHaveLength(RECOVERY_CODE_COUNT);
+    expect(prisma.user.create.mock.calls[0][0].data.recoveryCodes.create).toEqual(
+      data.recoveryCodes.map((code) => ({ codeHash: hashRecoveryCode(code) }))
+    );
+
     // Verify session was created
     expect(prisma.session.create).toHaveBeenCalledWith({
       data: {
         userId: mockUser.id,
-        token: expect.any(String),
-        expiresAt: expect.any(Date)
+        tokenHash: expect.stringMatching(/^[a-f0-9]{64}$/),
+        expiresAt: expect.any(Date),
+        userAgent: null
       }
     });
 
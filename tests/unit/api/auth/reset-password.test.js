@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from '@/app/api/auth/reset-password/route';
+import { prisma } from '@/lib/prisma';
+import { hashRecoveryCode } from '@/lib/recovery-codes';
+import { loginRateLimiter } from '@/lib/rate-limit';
+import bcrypt from 'bcryptjs';
+
+// Mock bcrypt for password hashing
+vi.mock('bcryptjs', () => ({
+  default: {
+    hash: vi.fn()
+  }
+}));
+
+const resetRequest = (body) =>
+  createMockRequestWithBody('http://localhost:3000/api/auth/reset-password', {
+    username: 'testuser',
+    recoveryCode: 'AAAA-BBBB-CCCC-DDDD',
+    newPassword: 'newpassword123',
+    ...body
+  });
+
+describe('/api/auth/reset-password', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    loginRateLimiter.store.clear();
+    prisma.user.findUnique.mockResolvedValue({ id: 1 });
+    prisma.recoveryCode.updateMany.mockResolvedValue({ count: 1 });
+    prisma.recoveryCode.count.mockResolvedValue(9);
+    prisma.user.update.mockResolvedValue({ id: 1 });
+    prisma.session.deleteMany.mockResolvedValue({ count: 2 });
+    prisma.twoFactorChallenge.deleteMany.mockResolvedValue({ count: 1 });
+    prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+    bcrypt.hash.mockResolvedValue('$2b$10$newhash');
+  });
+
+  it('should return 400 when a field is missing', async () => {
+    const response = await POST(resetRequest({ recoveryCode: '' }));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Username, recovery code, and new password are required');
+  });
+
+  it('should return 400 when a field is not a string', async () => {
+    const response = await POST(resetRequest({ username: { equals: 'testuser' } }));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Username, recovery code, and new password must be strings');
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for a short new password', async () => {
+    const response = await POST(resetRequest({ newPassword: '123' }));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Password must be at least 6 characters long');
+    expect(prisma.recoveryCode.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should use up the code, set the password and log out every session', async () => {
+    const response = await POST(resetRequest({ recoveryCode: 'aaaa bbbb cccc dddd' }));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data).toEqual({ success: true, remainingCodes: 9 });
+
+    expect(prisma.recoveryCode.updateMany).toHaveBeenCalledWith({
+      where: { userId: 1, codeHash: hashRecoveryCode('AAAA-BBBB-CCCC-DDDD'), usedAt: null },
+      data: { usedAt: expect.any(Date) }
+    });
+    expect(bcrypt.hash).toHaveBeenCalledWith('newpassword123', 10);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { password: '$2b$10$newhash' }
+    });
+    expect(prisma.session.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    expect(prisma.twoFactorChallenge.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use up the code in the same transaction as the password change', async () => {
+    const tx = {
+      recoveryCode: { updateMany: vi.fn().mockResolvedValue({ count: 1 }) },
+      user: { update: vi.fn().mockRejectedValue(new Error('Database error')) },
+      session: { deleteMany: vi.fn() },
+      twoFactorChallenge: { deleteMany: vi.fn() }
+    };
+    prisma.$transaction.mockImplementation(async (callback) => await callback(tx));
+
+    const response = await POST(resetRequest());
+
+    // The failed update rolls the transaction back, taking the used code with it
+    expect(response.status).toBe(500);
+    expect(tx.recoveryCode.updateMany).toHaveBeenCalled();
+    expect(prisma.recoveryCode.updateMany).not.toHaveBeenCalled();
+    expect(tx.session.deleteMany).not.toHaveBeenCalled();
+    expect(tx.twoFactorChallenge.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should reject a wrong or already used code', async () => {
+    prisma.recoveryCode.updateMany.mockResolvedValue({ count: 0 });
+
+    const response = await POST(resetRequest());
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Invalid username or recovery code');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+    expect(prisma.session.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should give the same error for an unknown username', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    const response = await POST(resetRequest({ username: 'nobody' }));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Invalid username or recovery code');
+    expect(prisma.recoveryCode.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should rate limit guesses like logins', async () => {
+    prisma.recoveryCode.updateMany.mockResolvedValue({ count: 0 });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await POST(resetRequest())).status).toBe(400);
+    }
+
+    const response = await POST(resetRequest());
+    const data = await response.json();
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('30');
+    expect(data.retryAfter).toBe(30);
+
+    // Locked out: the code isn't checked, even a correct one
+    prisma.recoveryCode.updateMany.mockClear();
+    expect((await POST(resetRequest())).status).toBe(429);
+    expect(prisma.recoveryCode.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should handle database errors', async () => {
+    prisma.user.findUnique.mockRejectedValue(new Error('Database error'));
+
+    const response = await POST(resetRequest());
+    const data = await response.json();
+
+    expect(response.status).toBe(500);
+    expect(data.error).toBe('Failed to reset password');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, DELETE as DELETE_ALL } from '@/app/api/auth/sessions/route';
+import { DELETE } from '@/app/api/auth/sessions/[id]/route';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { createMockAuthResult, createMockSession } from '../../../fixtures/user.js';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+describe('/api/auth/sessions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    requireAuth.mockResolvedValue(createMockAuthResult());
+  });
+
+  describe('GET', () => {
+    it('should list the user\'s sessions and mark the current one', async () => {
+      const current = createMockSession(1);
+      const other = createMockSession(1, { id: 'session_phone', userAgent: 'Mozilla/5.0 (iPhone)' });
+      prisma.session.findMany.mockResolvedValue([
+        { id: current.id, userAgent: current.userAgent, createdAt: current.createdAt, lastUsedAt: current.lastUsedAt, expiresAt: current.expiresAt },
+        { id: other.id, userAgent: other.userAgent, createdAt: other.createdAt, lastUsedAt: other.lastUsedAt, expiresAt: other.expiresAt }
+      ]);
+
+      const request = createMockRequest('http://localhost:3000/api/auth/sessions');
+      const response = await GET(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.sessions.map((session) => [session.id, session.current])).toEqual([
+        ['session_test_123', true],
+        ['session_phone', false]
+      ]);
+      expect(data.sessions[0].tokenHash).toBeUndefined();
+      expect(prisma.session.findMany.mock.calls[0][0].where.userId).toBe(1);
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const { NextResponse } = await import('next/server');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await GET(createMockRequest('http://localhost:3000/api/auth/sessions'));
+
+      expect(response.status).toBe(401);
+      expect(prisma.session.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE', () => {
+    it('should revoke every other session', async () => {
+      prisma.session.deleteMany.mockResolvedValue({ count: 2 });
+
+      const request = createMockRequest('http://localhost:3000/api/auth/sessions', { method: 'DELETE' });
+      const response = await DELETE_ALL(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.revoked).toBe(2);
+      expect(prisma.session.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1, id: { not: 'session_test_123' } }
+      });
+    });
+  });
+
+  describe('DELETE /[id]', () => {
+    const revoke = (id) => DELETE(
+      createMockRequest(`http://localhost:3000/api/auth/sessions/${id}`, { method: 'DELETE' }),
+      { params: Promise.resolve({ id }) }
+    );
+
+    it('should revoke another session', async () => {
+      prisma.session.deleteMany.mockResolvedValue({ count: 1 });
+
+      const response = await revoke('session_phone');
+
+      expect(response.status).toBe(200);
+      expect(prisma.session.deleteMany).toHaveBeenCalledWith({
+        where: { id: 'session_phone', userId: 1 }
+      });
+    });
+
+    it('should return 404 for another user\'s or an unknown session', async () => {
+      prisma.session.deleteMany.mockResolvedValue({ count: 0 });
+
+      const response = await revoke('session_unknown');
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Session not found');
+    });
+
+    it('should not revoke the current session', async () => {
+      const response = await revoke('session_test_123');
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Use sign out to end the current session');
+      expect(prisma.session.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
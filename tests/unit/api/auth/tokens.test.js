@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST } from '@/app/api/auth/tokens/route';
+import { DELETE } from '@/app/api/auth/tokens/[id]/route';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { createMockAuthResult } from '../../../fixtures/user.js';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+describe('/api/auth/tokens', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    requireAuth.mockResolvedValue(createMockAuthResult());
+  });
+
+  describe('GET', () => {
+    it('should list the user\'s tokens without their hashes', async () => {
+      const tokens = [
+        { id: 2, name: 'Sync', scopes: ['workouts:read'], expiresAt: '2027-01-01T00:00:00.000Z', lastUsedAt: null, createdAt: '2026-10-01T00:00:00.000Z' }
+      ];
+      prisma.apiToken.findMany.mockResolvedValue(tokens);
+
+      const response = await GET(createMockRequest('http://localhost:3000/api/auth/tokens'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.tokens).toEqual(tokens);
+
+      const query = prisma.apiToken.findMany.mock.calls[0][0];
+      expect(query.where).toEqual({ userId: 1 });
+      expect(query.select.tokenHash).toBeUndefined();
+    });
+
+    it('should only be reachable with a session', async () => {
+      await GET(createMockRequest('http://localhost:3000/api/auth/tokens'));
+
+      // No scope, so the middleware turns API tokens away
+      expect(requireAuth.mock.calls[0]).toHaveLength(1);
+    });
+  });
+
+  describe('POST', () => {
+    it('should create a token and return it once', async () => {
+      prisma.apiToken.create.mockImplementation(({ data }) =>
+        Promise.resolve({ id: 5, name: data.name, scopes: data.scopes, expiresAt: data.expiresAt, lastUsedAt: null, createdAt: new Date() })
+      );
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/auth/tokens', {
+        name: 'Spreadsheet sync',
+        scopes: ['workouts:read', 'insights:read'],
+        expiresInDays: 90
+      }));
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data).toMatchObject({ id: 5, name: 'Spreadsheet sync', scopes: ['workouts:read', 'insights:read'] });
+      expect(data.token).toMatch(/^gp_/);
+      expect(prisma.apiToken.create.mock.calls[0][0].data.userId).toBe(1);
+    });
+
+    it('should return 400 for invalid token data', async () => {
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/auth/tokens', {
+        name: 'Everything',
+        scopes: ['admin'],
+        expiresInDays: 30
+      }));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Validation failed');
+      expect(prisma.apiToken.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /[id]', () => {
+    const revoke = (id) =>
+      DELETE(createMockRequest(`http://localhost:3000/api/auth/tokens/${id}`, { method: 'DELETE' }), {
+        params: Promise.resolve({ id })
+      });
+
+    it('should revoke the user\'s token', async () => {
+      prisma.apiToken.deleteMany.mockResolvedValue({ count: 1 });
+
+      const response = await revoke('5');
+
+      expect(response.status).toBe(200);
+      expect(prisma.apiToken.deleteMany).toHaveBeenCalledWith({ where: { id: 5, userId: 1 } });
+    });
+
+    it('should return 404 for another user\'s or an unknown token', async () => {
+      prisma.apiToken.deleteMany.mockResolvedValue({ count: 0 });
+
+      const response = await revoke('99');
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('API token not found');
+    });
+
+    it('should return 400 for an invalid id', async () => {
+      const response = await revoke('abc');
+
+      expect(response.status).toBe(400);
+      expect(prisma.apiToken.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
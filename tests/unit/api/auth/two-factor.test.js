@@ -0,0 +1,370 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST, DELETE } from '@/app/api/auth/two-factor/route';
+import { POST as SETUP } from '@/app/api/auth/two-factor/setup/route';
+import { POST as REGENERATE } from '@/app/api/auth/two-factor/backup-codes/route';
+import { POST as VERIFY } from '@/app/api/auth/two-factor/verify/route';
+import { prisma } from '@/lib/prisma';
+import { requireAuth } from '@/lib/middleware';
+import { hashSessionToken } from '@/lib/auth';
+import { hashRecoveryCode, RECOVERY_CODE_COUNT } from '@/lib/recovery-codes';
+import { base32Decode, generateTotp, getTotpStep } from '@/lib/totp';
+import { loginRateLimiter } from '@/lib/rate-limit';
+import { createMockAuthResult, createMockSession } from '../../../fixtures/user.js';
+import bcrypt from 'bcryptjs';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+// Mock bcrypt for password verification
+vi.mock('bcryptjs', () => ({
+  default: {
+    compare: vi.fn()
+  }
+}));
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const currentCode = () => generateTotp(base32Decode(SECRET));
+
+const createTwoFactorUser = (overrides = {}) => ({
+  id: 1,
+  username: 'testuser',
+  name: 'Test User',
+  weightUnit: 'kg',
+  defaultRestSeconds: 90,
+  weekStartDay: 1,
+  timeZone: null,
+  totpSecret: SECRET,
+  totpEnabledAt: new Date('2026-10-01T00:00:00Z'),
+  totpLastUsedStep: null,
+  ...overrides
+});
+
+describe('/api/auth/two-factor', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    loginRateLimiter.store.clear();
+    requireAuth.mockResolvedValue(createMockAuthResult());
+    prisma.$transaction.mockResolvedValue([]);
+  });
+
+  describe('GET', () => {
+    it('should report whether two-factor is on and the backup codes left', async () => {
+      prisma.user.findUnique.mockResolvedValue(createTwoFactorUser());
+      prisma.backupCode.count.mockResolvedValue(8);
+
+      const response = await GET(createMockRequest('http://localhost:3000/api/auth/two-factor'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ enabled: true, backupCodesRemaining: 8 });
+    });
+
+    it('should report a pending setup as off', async () => {
+      prisma.user.findUnique.mockResolvedValue(createTwoFactorUser({ totpEnabledAt: null }));
+
+      const response = await GET(createMockRequest('http://localhost:3000/api/auth/two-factor'));
+      const data = await response.json();
+
+      expect(data).toEqual({ enabled: false, backupCodesRemaining: 0 });
+      expect(prisma.backupCode.count).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /setup', () => {
+    const setup = (body) =>
+      SETUP(createMockRequestWithBody('http://localhost:3000/api/auth/two-factor/setup', body));
+
+    it('should store a pending secret and return the otpauth URI', async () => {
+      bcrypt.compare.mockResolvedValue(true);
+      prisma.user.findUnique
+        .mockResolvedValueOnce({ password: '$2b$10$hash' })
+        .mockResolvedValueOnce(createTwoFactorUser({ totpSecret: null, totpEnabledAt: null }));
+
+      const response = await setup({ password: 'password123' });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(data.otpauthUri).toBe(
+        `otpauth://totp/Gym%20Pad%3Atestuser?secret=${data.secret}&issuer=Gym+Pad&algorithm=SHA1&digits=6&period=30`
+      );
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { totpSecret: data.secret, totpEnabledAt: null, totpLastUsedStep: null }
+      });
+    });
+
+    it('should require the password', async () => {
+      bcrypt.compare.mockResolvedValue(false);
+      prisma.user.findUnique.mockResolvedValue({ password: '$2b$10$hash' });
+
+      const response = await setup({ password: 'wrong' });
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Password is incorrect');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when already enabled', async () => {
+      bcrypt.compare.mockResolvedValue(true);
+      prisma.user.findUnique
+        .mockResolvedValueOnce({ password: '$2b$10$hash' })
+        .mockResolvedValueOnce(createTwoFactorUser());
+
+      const response = await setup({ password: 'password123' });
+
+      expect(response.status).toBe(409);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST', () => {
+    const enable = (body) =>
+      POST(createMockRequestWithBody('http://localhost:3000/api/auth/two-factor', body));
+
+    it('should turn two-factor on with a valid code and return backup codes', async () => {
+      prisma.user.findUnique.mockResolvedValue(createTwoFactorUser({ totpEnabledAt: null }));
+
+      const response = await enable({ code: currentCode() });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.enabled).toBe(true);
+      expect(data.backupCodes).toHaveLength(RECOVERY_CODE_COUNT);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { totpEnabledAt: expect.any(Date), totpLastUsedStep: expect.any(Number) }
+      });
+      expect(prisma.backupCode.createMany).toHaveBeenCalledWith({
+        data: data.backupCodes.map((code) => ({ codeHash: hashRecoveryCode(code), userId: 1 }))
+      });
+      expect(prisma.$transaction).toHaveBeenCalled();
+    });
+
+    it('should reject a wrong code', async () => {
+      prisma.user.findUnique.mockResolvedValue(createTwoFactorUser({ totpEnabledAt: null }));
+
+      const response = await enable({ code: '000000' === currentCode() ? '111111' : '000000' });
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Invalid authentication code');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should need setup to have been started', async () => {
+      prisma.user.findUnique.mockResolvedValue(createTwoFactorUser({ totpSecret: null, totpEnabledAt: null }));
+
+      const response = await enable({ code: '123456' });
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Start two-factor setup first');
+    });
+  });
+
+  describe('DELETE', () => {
+    const disable = (body) =>
+      DELETE(createMockRequestWithBody('http://localhost:3000/api/auth/two-factor', body, 'DELETE'));
+
+    it('should turn two-factor off after re-checking the password', async () => {
+      bcrypt.compare.mockResolvedValue(true);
+      prisma.user.findUnique.mockResolvedValue({ password: '$2b$10$hash' });
+
+      const response = await disable({ password: 'password123' });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ enabled: false });
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null }
+      });
+      expect(prisma.backupCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+      expect(prisma.twoFactorChallenge.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+
+    it('should reject a wrong password', async () => {
+      bcrypt.compare.mockResolvedValue(false);
+      prisma.user.findUnique.mockResolvedValue({ password: '$2b$10$hash' });
+
+      const response = await disable({ password: 'wrong' });
+
+      expect(response.status).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /backup-codes', () => {
+    it('should replace the backup codes', async () => {
+      bcrypt.compare.mockResolvedValue(true);
+      prisma.user.findUnique
+        .mockResolvedValueOnce({ password: '$2b$10$hash' })
+        .mockResolvedValueOnce(createTwoFactorUser());
+
+      const response = await REGENERATE(
+        createMockRequestWithBody('http://localhost:3000/api/auth/two-factor/backup-codes', { password: 'password123' })
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.backupCodes).toHaveLength(RECOVERY_CODE_COUNT);
+      expect(prisma.backupCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+  });
+
+  describe('POST /verify', () => {
+    const verify = (body) =>
+      VERIFY(createMockRequestWithBody('http://localhost:3000/api/auth/two-factor/verify', {
+        challenge: 'challenge-token',
+        ...body
+      }));
+
+    const mockChallenge = (user = createTwoFactorUser()) => {
+      prisma.twoFactorChallenge.findUnique.mockResolvedValue({
+        id: 'challenge_1',
+        userId: user.id,
+        userAgent: 'Mozilla/5.0 (iPhone)',
+        expiresAt: new Date(Date.now() + 60000),
+        user
+      });
+    };
+
+    beforeEach(() => {
+      prisma.session.create.mockResolvedValue(createMockSession(1));
+      prisma.twoFactorChallenge.deleteMany.mockResolvedValue({ count: 1 });
+      prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+    });
+
+    it('should exchange the challenge and a TOTP code for a session', async () => {
+      mockChallenge();
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+      const response = await verify({ code: currentCode() });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.success).toBe(true);
+      expect(data.user).toEqual({
+        id: 1,
+        username: 'testuser',
+        name: 'Test User',
+        weightUnit: 'kg',
+        defaultRestSeconds: 90,
+        weekStartDay: 1,
+        timeZone: null
+      });
+      expect(prisma.twoFactorChallenge.findUnique.mock.calls[0][0].where).toEqual({
+        tokenHash: hashSessionToken('challenge-token')
+      });
+      expect(prisma.user.updateMany.mock.calls[0][0].data.totpLastUsedStep).toBeGreaterThanOrEqual(getTotpStep() - 1);
+      expect(prisma.twoFactorChallenge.deleteMany).toHaveBeenCalledWith({
+        where: { id: 'challenge_1', expiresAt: { gt: expect.any(Date) } }
+      });
+      expect(prisma.session.create.mock.calls[0][0].data.userAgent).toBe('Mozilla/5.0 (iPhone)');
+      expect(response.headers.get('Set-Cookie')).toContain('session-token=');
+    });
+
+    it('should not create a second session from a challenge already redeemed', async () => {
+      mockChallenge();
+      prisma.backupCode.updateMany.mockResolvedValue({ count: 1 });
+      prisma.twoFactorChallenge.deleteMany.mockResolvedValue({ count: 0 });
+
+      const response = await verify({ code: 'aaaa-bbbb-cccc-dddd' });
+      const data = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(data.error).toBe('Sign-in expired. Please sign in again.');
+      expect(prisma.backupCode.updateMany).not.toHaveBeenCalled();
+      expect(prisma.session.create).not.toHaveBeenCalled();
+    });
+
+    it('should not accept a code whose step was already used', async () => {
+      mockChallenge(createTwoFactorUser({ totpLastUsedStep: getTotpStep() + 1 }));
+      prisma.backupCode.updateMany.mockResolvedValue({ count: 0 });
+
+      const response = await verify({ code: currentCode() });
+
+      expect(response.status).toBe(400);
+      expect(prisma.user.updateMany).not.toHaveBeenCalled();
+      expect(prisma.session.create).not.toHaveBeenCalled();
+    });
+
+    it('should accept an unused backup code', async () => {
+      mockChallenge();
+      prisma.backupCode.updateMany.mockResolvedValue({ count: 1 });
+
+      const response = await verify({ code: 'aaaa-bbbb-cccc-dddd' });
+
+      expect(response.status).toBe(200);
+      expect(prisma.backupCode.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, codeHash: hashRecoveryCode('AAAA-BBBB-CCCC-DDDD'), usedAt: null },
+        data: { usedAt: expect.any(Date) }
+      });
+    });
+
+    it('should reject a wrong code', async () => {
+      mockChallenge();
+      prisma.backupCode.updateMany.mockResolvedValue({ count: 0 });
+
+      const response = await verify({ code: 'AAAA-BBBB-CCCC-DDDD' });
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Invalid authentication code');
+      expect(prisma.session.create).not.toHaveBeenCalled();
+    });
+
+    it('should roll back the challenge claim when the code is wrong', async () => {
+      mockChallenge();
+      prisma.backupCode.updateMany.mockResolvedValue({ count: 0 });
+      const rolledBack = vi.fn();
+      prisma.$transaction.mockImplementation(async (callback) => {
+        try {
+          return await callback(prisma);
+        } catch (error) {
+          rolledBack();
+          throw error;
+        }
+      });
+
+      const response = await verify({ code: 'AAAA-BBBB-CCCC-DDDD' });
+
+      expect(response.status).toBe(400);
+      expect(prisma.twoFactorChallenge.deleteMany).toHaveBeenCalled();
+      expect(rolledBack).toHaveBeenCalled();
+    });
+
+    it('should return 401 for an unknown or expired challenge', async () => {
+      prisma.twoFactorChallenge.findUnique.mockResolvedValue({
+        id: 'challenge_1',
+        expiresAt: new Date(Date.now() - 1000),
+        user: createTwoFactorUser()
+      });
+
+      const response = await verify({ code: currentCode() });
+      const data = await response.json();
+
+      expect(response.status).toBe(401);
+      expect(data.error).toBe('Sign-in expired. Please sign in again.');
+      expect(prisma.twoFactorChallenge.deleteMany).toHaveBeenCalledWith({ where: { id: 'challenge_1' } });
+    });
+
+    it('should rate limit wrong codes like logins', async () => {
+      mockChallenge();
+      prisma.backupCode.updateMany.mockResolvedValue({ count: 0 });
+
+      for (let i = 0; i < 5; i++) {
+        expect((await verify({ code: 'AAAA-BBBB-CCCC-DDDD' })).status).toBe(400);
+      }
+
+      const response = await verify({ code: 'AAAA-BBBB-CCCC-DDDD' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers.get('Retry-After')).toBe('30');
+    });
+  });
+});
@@ -0,0 +1,279 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET, POST } from '@/app/api/cardio/route';
+import { PUT, DELETE } from '@/app/api/cardio/[id]/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const entry = {
+  id: 9,
+  userId: 1,
+  workoutId: null,
+  activityType: 'ROW',
+  date: '2025-01-06T18:00:00.000Z',
+  durationSeconds: 900,
+  distanceMeters: 3000,
+  avgHeartRate: 148,
+  calories: 210,
+  notes: null,
+  intervals: []
+};
+
+const intervalsInclude = { intervals: { orderBy: { orderIndex: 'asc' } } };
+
+describe('/api/cardio', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.cardioEntry.findMany.mockResolvedValue([entry]);
+    prisma.cardioEntry.create.mockResolvedValue(entry);
+  });
+
+  describe('GET /api/cardio', () => {
+    it('should list the user\'s entries with their intervals, newest first', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/cardio', {}));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual([entry]);
+      expect(prisma.cardioEntry.findMany).toHaveBeenCalledWith({
+        where: { userId: 1 },
+        include: intervalsInclude,
+        orderBy: { date: 'desc' }
+      });
+    });
+
+    it('should filter by date range, covering the whole last day', async () => {
+      await GET(createMockRequestWithCookies('http://localhost:3000/api/cardio?from=2025-01-01&to=2025-01-31', {}));
+
+      expect(prisma.cardioEntry.findMany.mock.calls[0][0].where).toEqual({
+        userId: 1,
+        date: {
+          gte: new Date('2025-01-01T00:00:00.000Z'),
+          lt: new Date('2025-02-01T00:00:00.000Z')
+        }
+      });
+    });
+
+    it('should filter by workout or to standalone entries', async () => {
+      await GET(createMockRequestWithCookies('http://localhost:3000/api/cardio?workoutId=7', {}));
+      await GET(createMockRequestWithCookies('http://localhost:3000/api/cardio?standalone=true', {}));
+
+      expect(prisma.cardioEntry.findMany.mock.calls[0][0].where).toEqual({ userId: 1, workoutId: 7 });
+      expect(prisma.cardioEntry.findMany.mock.calls[1][0].where).toEqual({ userId: 1, workoutId: null });
+    });
+
+    it('should return 400 for a workout ID that is not a stored ID', async () => {
+      for (const workoutId of ['abc', '7abc', '0', '2147483648']) {
+        const response = await GET(createMockRequestWithCookies(`http://localhost:3000/api/cardio?workoutId=${workoutId}`, {}));
+        const data = await response.json();
+
+        expect(response.status).toBe(400);
+        expect(data.error).toBe('Invalid workout ID');
+      }
+      expect(prisma.cardioEntry.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid date', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/cardio?from=soon', {}));
+
+      expect(response.status).toBe(400);
+      expect(prisma.cardioEntry.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return the auth response when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/cardio', {}));
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/cardio', () => {
+    it('should log a standalone entry with its intervals', async () => {
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/cardio', {
+        activityType: 'RUN',
+        date: '2025-01-07T07:00:00.000Z',
+        durationSeconds: 1500,
+        distanceMeters: 5000,
+        intervals: [
+          { durationSeconds: 240, distanceMeters: 1000, restSeconds: 90 },
+          { durationSeconds: 235, distanceMeters: 1000 }
+        ]
+      }));
+
+      expect(response.status).toBe(201);
+      expect(prisma.workout.findUnique).not.toHaveBeenCalled();
+      expect(prisma.cardioEntry.create).toHaveBeenCalledWith({
+        data: {
+          userId: 1,
+          date: new Date('2025-01-07T07:00:00.000Z'),
+          activityType: 'RUN',
+          durationSeconds: 1500,
+          distanceMeters: 5000,
+          avgHeartRate: null,
+          calories: null,
+          notes: null,
+          intervals: {
+            create: [
+              { orderIndex: 0, durationSeconds: 240, distanceMeters: 1000, restSeconds: 90, avgHeartRate: null },
+              { orderIndex: 1, durationSeconds: 235, distanceMeters: 1000, restSeconds: null, avgHeartRate: null }
+            ]
+          }
+        },
+        include: intervalsInclude
+      });
+    });
+
+    it('should attach an entry to the user\'s workout on the workout\'s date', async () => {
+      prisma.workout.findUnique.mockResolvedValue({ id: 7, date: new Date('2025-01-06T00:00:00.000Z') });
+
+      await POST(createMockRequestWithBody('http://localhost:3000/api/cardio', {
+        activityType: 'CYCLE',
+        workoutId: 7,
+        durationSeconds: 600
+      }));
+
+      expect(prisma.workout.findUnique).toHaveBeenCalledWith({
+        where: { id: 7, userId: 1 },
+        select: { id: true, date: true }
+      });
+      expect(prisma.cardioEntry.create.mock.calls[0][0].data).toMatchObject({
+        workoutId: 7,
+        date: new Date('2025-01-06T00:00:00.000Z')
+      });
+    });
+
+    it('should return 404 for another user\'s workout', async () => {
+      prisma.workout.findUnique.mockResolvedValue(null);
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/cardio', {
+        activityType: 'CYCLE',
+        workoutId: 7,
+        durationSeconds: 600
+      }));
+
+      expect(response.status).toBe(404);
+      expect(prisma.cardioEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for invalid data', async () => {
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/cardio', {
+        activityType: 'SKATE',
+        durationSeconds: 0
+      }));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Validation failed');
+      expect(data.details).toHaveLength(2);
+      expect(prisma.cardioEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the database fails', async () => {
+      prisma.cardioEntry.create.mockRejectedValue(new Error('Database error'));
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/cardio', {
+        activityType: 'RUN',
+        durationSeconds: 1200
+      }));
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('PUT /api/cardio/[id]', () => {
+    it('should replace the entry and its intervals, keeping its date', async () => {
+      prisma.cardioEntry.findUnique.mockResolvedValue(entry);
+      prisma.cardioEntry.update.mockResolvedValue(entry);
+
+      const response = await PUT(
+        createMockRequestWithBody('http://localhost:3000/api/cardio/9', {
+          activityType: 'ROW',
+          durationSeconds: 960,
+          intervals: [{ durationSeconds: 120 }]
+        }, 'PUT'),
+        { params: Promise.resolve({ id: '9' }) }
+      );
+
+      expect(response.status).toBe(200);
+      expect(prisma.cardioEntry.findUnique).toHaveBeenCalledWith({
+        where: { id: 9, userId: 1 },
+        include: intervalsInclude
+      });
+      const { data } = prisma.cardioEntry.update.mock.calls[0][0];
+      expect(data).not.toHaveProperty('date');
+      expect(data).not.toHaveProperty('workoutId');
+      expect(data).toMatchObject({
+        durationSeconds: 960,
+        distanceMeters: null,
+        intervals: {
+          deleteMany: {},
+          create: [{ orderIndex: 0, durationSeconds: 120, distanceMeters: null, restSeconds: null, avgHeartRate: null }]
+        }
+      });
+    });
+
+    it('should detach the entry from its workout when workoutId is null', async () => {
+      prisma.cardioEntry.findUnique.mockResolvedValue({ ...entry, workoutId: 7 });
+      prisma.cardioEntry.update.mockResolvedValue(entry);
+
+      await PUT(
+        createMockRequestWithBody('http://localhost:3000/api/cardio/9', {
+          activityType: 'ROW',
+          durationSeconds: 900,
+          workoutId: null
+        }, 'PUT'),
+        { params: Promise.resolve({ id: '9' }) }
+      );
+
+      expect(prisma.cardioEntry.update.mock.calls[0][0].data.workoutId).toBeNull();
+    });
+
+    it('should return 404 for another user\'s entry', async () => {
+      prisma.cardioEntry.findUnique.mockResolvedValue(null);
+
+      const response = await PUT(
+        createMockRequestWithBody('http://localhost:3000/api/cardio/9', { activityType: 'ROW', durationSeconds: 900 }, 'PUT'),
+        { params: Promise.resolve({ id: '9' }) }
+      );
+
+      expect(response.status).toBe(404);
+      expect(prisma.cardioEntry.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/cardio/[id]', () => {
+    it('should delete the user\'s entry', async () => {
+      prisma.cardioEntry.findUnique.mockResolvedValue(entry);
+      prisma.cardioEntry.delete.mockResolvedValue(entry);
+
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/cardio/9', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: '9' }) }
+      );
+
+      expect(response.status).toBe(200);
+      expect(prisma.cardioEntry.delete).toHaveBeenCalledWith({ where: { id: 9 } });
+    });
+
+    it('should return 400 for an invalid ID', async () => {
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/cardio/abc', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: 'abc' }) }
+      );
+
+      expect(response.status).toBe(400);
+      expect(prisma.cardioEntry.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET, PUT, DELETE } from '@/app/api/equipment/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const profile = {
+  id: 3,
+  userId: 1,
+  weightUnit: 'lb',
+  barWeight: 45,
+  plates: [45, 25, 10, 5],
+  dumbbellIncrement: 5,
+  machineIncrement: 10
+};
+
+const body = {
+  barWeight: 15,
+  plates: [10, 20, 5, 20],
+  dumbbellIncrement: 1,
+  machineIncrement: 2.5
+};
+
+describe('/api/equipment', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1, weightUnit: 'kg' })));
+  });
+
+  describe('GET /api/equipment', () => {
+    it('should return a standard gym without a profile', async () => {
+      prisma.equipmentProfile.findUnique.mockResolvedValue(null);
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/equipment', {}));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({
+        equipment: {
+          weightUnit: 'kg',
+          barWeight: 20,
+          plates: [25, 20, 15, 10, 5, 2.5, 1.25],
+          dumbbellIncrement: 2,
+          machineIncrement: 5
+        },
+        isDefault: true
+      });
+    });
+
+    it('should return the user\'s profile in their unit', async () => {
+      prisma.equipmentProfile.findUnique.mockResolvedValue(profile);
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/equipment', {}));
+      const data = await response.json();
+
+      expect(data.isDefault).toBe(false);
+      expect(data.equipment).toMatchObject({ weightUnit: 'kg', barWeight: 20.41, machineIncrement: 4.54 });
+      expect(prisma.equipmentProfile.findUnique).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+
+    it('should return the auth response when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/equipment', {}));
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PUT /api/equipment', () => {
+    it('should save the profile in the user\'s unit with plates sorted once each', async () => {
+      prisma.equipmentProfile.upsert.mockImplementation(({ create }) => Promise.resolve({ id: 3, ...create }));
+
+      const response = await PUT(createMockRequestWithBody('http://localhost:3000/api/equipment', body, 'PUT'));
+      const data = await response.json();
+
+      const saved = {
+        weightUnit: 'kg',
+        barWeight: 15,
+        plates: [20, 10, 5],
+        dumbbellIncrement: 1,
+        machineIncrement: 2.5
+      };
+      expect(response.status).toBe(200);
+      expect(prisma.equipmentProfile.upsert).toHaveBeenCalledWith({
+        where: { userId: 1 },
+        create: { userId: 1, ...saved },
+        update: saved
+      });
+      expect(data).toEqual({ equipment: saved, isDefault: false });
+    });
+
+    it('should keep the unit the equipment is marked in', async () => {
+      prisma.equipmentProfile.upsert.mockImplementation(({ create }) => Promise.resolve({ id: 3, ...create }));
+
+      await PUT(createMockRequestWithBody('http://localhost:3000/api/equipment', { ...body, weightUnit: 'lb' }, 'PUT'));
+
+      expect(prisma.equipmentProfile.upsert.mock.calls[0][0].update.weightUnit).toBe('lb');
+    });
+
+    it('should return 400 for an invalid profile', async () => {
+      const response = await PUT(createMockRequestWithBody('http://localhost:3000/api/equipment', { ...body, plates: [] }, 'PUT'));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details).toContain('Plates must be a list of 1 to 20 plate weights');
+      expect(prisma.equipmentProfile.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/equipment', () => {
+    it('should go back to a standard gym', async () => {
+      prisma.equipmentProfile.deleteMany.mockResolvedValue({ count: 1 });
+
+      const response = await DELETE(createMockRequestWithCookies('http://localhost:3000/api/equipment', {}, { method: 'DELETE' }));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.isDefault).toBe(true);
+      expect(data.equipment.barWeight).toBe(20);
+      expect(prisma.equipmentProfile.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+  });
+});
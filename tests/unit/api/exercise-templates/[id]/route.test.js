@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, PUT, DELETE } from '@/app/api/exercise-templates/[id]/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const ownEntry = { id: 1, userId: 1, name: 'Goblet Squat', aliases: [] };
+const otherUsersEntry = { id: 2, userId: 2, name: 'Zercher Squat', aliases: [] };
+const systemEntry = { id: 3, userId: null, name: 'Back Squat', aliases: ['Squats'] };
+
+describe('/api/exercise-templates/[id]', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+  });
+
+  describe('GET /api/exercise-templates/[id]', () => {
+    it('should return system entries to any user', async () => {
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(systemEntry);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates/3');
+      const response = await GET(request, { params: Promise.resolve({ id: '3' }) });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return 404 for another user\'s entry', async () => {
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(otherUsersEntry);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates/2');
+      const response = await GET(request, { params: Promise.resolve({ id: '2' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Exercise not found');
+    });
+  });
+
+  describe('PUT /api/exercise-templates/[id]', () => {
+    it('should update the user\'s own entry and link exercises under new aliases', async () => {
+      const updated = { ...ownEntry, aliases: ['Goblet Squats'] };
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(ownEntry);
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.exerciseTemplate.update.mockResolvedValue(updated);
+        prisma.exercise.updateMany.mockResolvedValue({ count: 1 });
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/exercise-templates/1',
+        { name: 'Goblet Squat', aliases: ['Goblet Squats'] },
+        'PUT'
+      );
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.exerciseTemplate.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: expect.objectContaining({ name: 'Goblet Squat', aliases: ['Goblet Squats'] })
+      });
+      expect(prisma.exercise.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { exerciseTemplateId: 1 } })
+      );
+    });
+
+    it('should return 403 for system entries', async () => {
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(systemEntry);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/exercise-templates/3',
+        { name: 'Squat' },
+        'PUT'
+      );
+      const response = await PUT(request, { params: Promise.resolve({ id: '3' }) });
+
+      expect(response.status).toBe(403);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for another user\'s entry', async () => {
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(otherUsersEntry);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/exercise-templates/2',
+        { name: 'Mine Now' },
+        'PUT'
+      );
+      const response = await PUT(request, { params: Promise.resolve({ id: '2' }) });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/exercise-templates/[id]', () => {
+    it('should delete the user\'s own entry', async () => {
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(ownEntry);
+      prisma.exerciseTemplate.delete.mockResolvedValue(ownEntry);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates/1');
+      const response = await DELETE(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.exerciseTemplate.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+    });
+
+    it('should return 403 for system entries', async () => {
+      prisma.exerciseTemplate.findUnique.mockResolvedValue(systemEntry);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates/3');
+      const response = await DELETE(request, { params: Promise.resolve({ id: '3' }) });
+
+      expect(response.status).toBe(403);
+      expect(prisma.exerciseTemplate.delete).not.toHaveBeenCalled();
+    });
+  });
+});
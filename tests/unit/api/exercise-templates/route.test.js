@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET, POST } from '@/app/api/exercise-templates/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const backSquat = { id: 1, userId: null, name: 'Back Squat', aliases: ['Squats', 'BB Squat'] };
+const benchPress = { id: 2, userId: null, name: 'Bench Press', aliases: ['Flat Bench'] };
+
+describe('/api/exercise-templates', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+  });
+
+  describe('GET /api/exercise-templates', () => {
+    it('should return system entries and the user\'s own entries', async () => {
+      prisma.exerciseTemplate.findMany.mockResolvedValue([backSquat, benchPress]);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates');
+      const response = await GET(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveLength(2);
+      expect(prisma.exerciseTemplate.findMany).toHaveBeenCalledWith({
+        where: { OR: [{ userId: 1 }, { userId: null }] },
+        orderBy: { name: 'asc' }
+      });
+    });
+
+    it('should filter by name or alias', async () => {
+      prisma.exerciseTemplate.findMany.mockResolvedValue([backSquat, benchPress]);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates?q=bb%20squat');
+      const response = await GET(request);
+      const data = await response.json();
+
+      expect(data).toEqual([backSquat]);
+    });
+
+    it('should return 401 for unauthenticated user', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/exercise-templates');
+      const response = await GET(request);
+
+      expect(response.status).toBe(401);
+      expect(prisma.exerciseTemplate.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/exercise-templates', () => {
+    it('should create an entry owned by the user and link matching exercises', async () => {
+      const created = { id: 5, userId: 1, name: 'Goblet Squat', aliases: ['DB Goblet Squat'] };
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.exerciseTemplate.create.mockResolvedValue(created);
+        prisma.exercise.updateMany.mockResolvedValue({ count: 3 });
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/exercise-templates', {
+        name: ' Goblet Squat ',
+        aliases: ['DB Goblet Squat', 'goblet squat', ''],
+        muscleGroups: 'Quads, Glutes'
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data).toEqual(created);
+      expect(prisma.exerciseTemplate.create).toHaveBeenCalledWith({
+        data: {
+          userId: 1,
+          name: 'Goblet Squat',
+          aliases: ['DB Goblet Squat'],
+          category: null,
+          muscleGroups: 'Quads, Glutes',
+          instructions: null,
+          trackingMode: 'WEIGHT_REPS'
+        }
+      });
+      expect(prisma.exercise.updateMany).toHaveBeenCalledWith({
+        where: {
+          exerciseTemplateId: null,
+          workout: { userId: 1 },
+          OR: [
+            { name: { equals: 'Goblet Squat', mode: 'insensitive' } },
+            { name: { equals: 'DB Goblet Squat', mode: 'insensitive' } }
+          ]
+        },
+        data: { exerciseTemplateId: 5 }
+      });
+    });
+
+    it('should return 400 when the name is missing', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/exercise-templates', {
+        aliases: ['Squats']
+      });
+
+      const response = await POST(request);
+
+      expect(response.status).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the user already has an entry with that name', async () => {
+      const duplicateError = new Error('Unique constraint failed');
+      duplicateError.code = 'P2002';
+      prisma.$transaction.mockRejectedValue(duplicateError);
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/exercise-templates', {
+        name: 'Goblet Squat'
+      });
+
+      const response = await POST(request);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
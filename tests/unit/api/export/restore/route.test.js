@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { POST } from '@/app/api/export/restore/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const exportDocument = {
+  format: 'gym-pad-export',
+  version: 1,
+  exportedAt: '2025-02-01T00:00:00.000Z',
+  user: { username: 'lifter', name: 'Lifter' },
+  exerciseLibrary: [],
+  templates: [],
+  workouts: [
+    {
+      title: 'Pull Day',
+      date: '2025-01-07T00:00:00.000Z',
+      duration: null,
+      notes: null,
+      status: 'COMPLETED',
+      template: null,
+      createdAt: '2025-01-07T18:00:00.000Z',
+      exercises: [
+        {
+          name: 'Barbell Row',
+          libraryExercise: null,
+          restSeconds: null,
+          notes: null,
+          orderIndex: 0,
+          sets: [{ reps: 8, weight: 70, rpe: 7, setType: 'WORKING', completed: true }]
+        }
+      ],
+      swaps: []
+    }
+  ]
+};
+
+describe('/api/export/restore', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.exerciseTemplate.findMany.mockResolvedValue([]);
+    prisma.sessionTemplate.findMany.mockResolvedValue([]);
+    prisma.program.findMany.mockResolvedValue([]);
+    prisma.workout.findMany.mockResolvedValue([]);
+    prisma.exercise.findMany.mockResolvedValue([]);
+    prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+  });
+
+  describe('POST /api/export/restore', () => {
+    it('should restore an export in one transaction', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/export/restore', exportDocument);
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data.restored).toEqual({
+        workouts: 1,
+        skippedDuplicates: 0,
+        templates: 0,
+        programs: 0,
+        exerciseLibrary: 0,
+        bodyweight: 0,
+        measurements: 0,
+        cardio: 0,
+        preferences: false,
+        equipment: false
+      });
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(prisma.workout.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 1, title: 'Pull Day', date: new Date('2025-01-07T00:00:00.000Z') })
+      });
+      // Personal records are rebuilt from the restored history
+      expect(prisma.personalRecord.deleteMany).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+
+    it('should skip duplicate workouts unless skipDuplicates=false', async () => {
+      prisma.workout.findMany.mockResolvedValue([
+        { title: 'Pull Day', date: new Date('2025-01-07T00:00:00.000Z') }
+      ]);
+
+      const skipped = await POST(createMockRequestWithBody('http://localhost:3000/api/export/restore', exportDocument));
+      expect((await skipped.json()).restored).toMatchObject({ workouts: 0, skippedDuplicates: 1 });
+
+      const restored = await POST(createMockRequestWithBody('http://localhost:3000/api/export/restore?skipDuplicates=false', exportDocument));
+      expect((await restored.json()).restored).toMatchObject({ workouts: 1, skippedDuplicates: 0 });
+    });
+
+    it('should apply the file\'s preferences only when asked', async () => {
+      const withPreferences = { ...exportDocument, preferences: { weightUnit: 'lb', timeZone: 'Europe/London' } };
+
+      await POST(createMockRequestWithBody('http://localhost:3000/api/export/restore', withPreferences));
+      expect(prisma.user.update).not.toHaveBeenCalled();
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/export/restore?applyPreferences=true', withPreferences));
+
+      expect((await response.json()).restored.preferences).toBe(true);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { weightUnit: 'lb', timeZone: 'Europe/London' }
+      });
+    });
+
+    it('should return 400 for a file that is not an export', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/export/restore', { workouts: [] });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Validation failed');
+      expect(data.details).toContain('File is not a Gym Pad export');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a newer export version', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/export/restore', {
+        ...exportDocument,
+        version: 3
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details[0]).toMatch(/version 3 is not supported/);
+    });
+
+    it('should return 500 when the restore fails', async () => {
+      prisma.$transaction.mockRejectedValue(new Error('Database error'));
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/export/restore', exportDocument);
+      const response = await POST(request);
+
+      expect(response.status).toBe(500);
+      expect((await response.json()).error).toBe('Failed to restore export');
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(
+        NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+      );
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/export/restore', exportDocument));
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
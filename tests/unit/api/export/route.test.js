@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET } from '@/app/api/export/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const workout = {
+  id: 1,
+  userId: 1,
+  templateId: null,
+  title: 'Pull Day',
+  date: new Date('2025-01-07T00:00:00.000Z'),
+  duration: null,
+  notes: null,
+  status: 'COMPLETED',
+  createdAt: new Date('2025-01-07T18:00:00.000Z'),
+  exercises: [
+    {
+      name: 'Barbell Row',
+      exerciseTemplate: null,
+      restSeconds: null,
+      notes: null,
+      orderIndex: 0,
+      sets: [
+        { reps: 8, weight: 70, rpe: 7, setType: 'WORKING', completed: true },
+        { reps: 8, weight: 70, rpe: 8, setType: 'WORKING', completed: true }
+      ]
+    }
+  ],
+  exerciseSwaps: []
+};
+
+describe('/api/export', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1, username: 'lifter', name: 'Lifter' })));
+
+    prisma.sessionTemplate.findMany.mockResolvedValue([]);
+    prisma.program.findMany.mockResolvedValue([]);
+    prisma.exerciseTemplate.findMany.mockResolvedValue([]);
+    prisma.workout.findMany.mockResolvedValue([workout]);
+    prisma.weightEntry.findMany.mockResolvedValue([]);
+    prisma.bodyMeasurement.findMany.mockResolvedValue([]);
+    prisma.cardioEntry.findMany.mockResolvedValue([]);
+  });
+
+  describe('GET /api/export', () => {
+    it('should stream a JSON export as a download by default', async () => {
+      const request = createMockRequestWithCookies('http://localhost:3000/api/export');
+
+      const response = await GET(request);
+      const data = JSON.parse(await response.text());
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/json; charset=utf-8');
+      expect(response.headers.get('Content-Disposition')).toMatch(/^attachment; filename="gym-pad-export-\d{4}-\d{2}-\d{2}\.json"$/);
+      expect(data).toMatchObject({
+        format: 'gym-pad-export',
+        version: 2,
+        user: { username: 'lifter', name: 'Lifter' },
+        templates: [],
+        exerciseLibrary: []
+      });
+      expect(data.workouts).toHaveLength(1);
+      expect(data.workouts[0].exercises[0].sets).toHaveLength(2);
+
+      // Only the user's own workouts are exported
+      expect(prisma.workout.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 1 }
+      }));
+    });
+
+    it('should stream a CSV with one row per set', async () => {
+      const request = createMockRequestWithCookies('http://localhost:3000/api/export?format=csv');
+
+      const response = await GET(request);
+      const lines = (await response.text()).trim().split('\n');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^workout_date,workout_title,/);
+      expect(lines[1]).toBe('2025-01-07T00:00:00.000Z,Pull Day,COMPLETED,,,,1,Barbell Row,,,,,1,WORKING,8,70,,,7,true');
+    });
+
+    it('should return 400 for an unknown format', async () => {
+      const request = createMockRequestWithCookies('http://localhost:3000/api/export?format=xml');
+
+      const response = await GET(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Format must be json or csv');
+      expect(prisma.workout.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(
+        NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+      );
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/export'));
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST } from '@/app/api/measurements/route';
+import { DELETE } from '@/app/api/measurements/[id]/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const date = new Date('2025-01-06T00:00:00.000Z');
+
+describe('/api/measurements', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.bodyMeasurement.findMany.mockResolvedValue([]);
+    prisma.bodyMeasurement.upsert.mockImplementation(async ({ create }) => ({ id: 1, ...create }));
+    prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+  });
+
+  describe('GET /api/measurements', () => {
+    it('should filter by site and date', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/measurements?site=waist&from=2025-01-01', {}));
+
+      expect(response.status).toBe(200);
+      expect(prisma.bodyMeasurement.findMany).toHaveBeenCalledWith({
+        where: { userId: 1, site: 'waist', date: { gte: new Date('2025-01-01T00:00:00.000Z') } },
+        orderBy: [{ date: 'desc' }, { site: 'asc' }]
+      });
+    });
+
+    it('should return 400 for an unknown site', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/measurements?site=ankle', {}));
+
+      expect(response.status).toBe(400);
+      expect(prisma.bodyMeasurement.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/measurements', () => {
+    it('should save each site for the day in one transaction', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/measurements', {
+        date: '2025-01-06',
+        measurements: { waist: 84, chest: 104 }
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.map(measurement => measurement.site)).toEqual(['waist', 'chest']);
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(prisma.bodyMeasurement.upsert).toHaveBeenCalledWith({
+        where: { userId_date_site: { userId: 1, date, site: 'waist' } },
+        create: { userId: 1, date, site: 'waist', value: 84 },
+        update: { value: 84 }
+      });
+    });
+
+    it('should return 400 for invalid measurements', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/measurements', {
+        date: '2025-01-06',
+        measurements: { ankle: 20 }
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Validation failed');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/measurements/[id]', () => {
+    it('should delete the user\'s measurement', async () => {
+      prisma.bodyMeasurement.findUnique.mockResolvedValue({ id: 3, userId: 1 });
+      prisma.bodyMeasurement.delete.mockResolvedValue({ id: 3 });
+
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/measurements/3', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: '3' }) }
+      );
+
+      expect(response.status).toBe(200);
+      expect(prisma.bodyMeasurement.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+    });
+
+    it('should return 404 when the measurement is not found', async () => {
+      prisma.bodyMeasurement.findUnique.mockResolvedValue(null);
+
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/measurements/3', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: '3' }) }
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, PUT, DELETE } from '@/app/api/programs/[id]/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const ownProgram = { id: 1, userId: 1, name: 'Block', weeks: 4, isActive: false, days: [] };
+const otherUsersProgram = { id: 2, userId: 2, name: 'Their Block', weeks: 4, isActive: true, days: [] };
+
+describe('/api/programs/[id]', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+    prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+  });
+
+  describe('GET /api/programs/[id]', () => {
+    it('should return the user\'s own program', async () => {
+      prisma.program.findUnique.mockResolvedValue(ownProgram);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs/1');
+      const response = await GET(request, { params: Promise.resolve({ id: '1' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveProperty('name', 'Block');
+    });
+
+    it('should return 404 for another user\'s program', async () => {
+      prisma.program.findUnique.mockResolvedValue(otherUsersProgram);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs/2');
+      const response = await GET(request, { params: Promise.resolve({ id: '2' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Program not found');
+    });
+
+    it('should return 400 for an invalid id', async () => {
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs/abc');
+      const response = await GET(request, { params: Promise.resolve({ id: 'abc' }) });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/programs/[id]', () => {
+    it('should activate a program without touching its days', async () => {
+      prisma.program.findUnique.mockResolvedValue(ownProgram);
+      prisma.program.update.mockResolvedValue({ ...ownProgram, isActive: true });
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/programs/1',
+        { name: 'Block', weeks: 4, isActive: true },
+        'PUT'
+      );
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.program.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, isActive: true, NOT: { id: 1 } },
+        data: { isActive: false }
+      });
+      expect(prisma.programDay.deleteMany).not.toHaveBeenCalled();
+      expect(prisma.program.update.mock.calls[0][0].data).toEqual({
+        name: 'Block',
+        description: null,
+        weeks: 4,
+        isActive: true
+      });
+    });
+
+    it('should replace days when they are provided', async () => {
+      prisma.program.findUnique.mockResolvedValue(ownProgram);
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 3 }]);
+      prisma.program.update.mockResolvedValue(ownProgram);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/programs/1',
+        { name: 'Block', weeks: 4, days: [{ templateId: 3 }] },
+        'PUT'
+      );
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.programDay.deleteMany).toHaveBeenCalledWith({ where: { programId: 1 } });
+      expect(prisma.program.update.mock.calls[0][0].data.days.create).toEqual([
+        { dayNumber: 1, templateId: 3, label: null, overrides: { create: [] } }
+      ]);
+      expect(prisma.program.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating another user\'s program', async () => {
+      prisma.program.findUnique.mockResolvedValue(otherUsersProgram);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/programs/2',
+        { name: 'Mine now', weeks: 4 },
+        'PUT'
+      );
+      const response = await PUT(request, { params: Promise.resolve({ id: '2' }) });
+
+      expect(response.status).toBe(404);
+      expect(prisma.program.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/programs/[id]', () => {
+    it('should delete the user\'s own program', async () => {
+      prisma.program.findUnique.mockResolvedValue(ownProgram);
+      prisma.program.delete.mockResolvedValue(ownProgram);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs/1', {}, { method: 'DELETE' });
+      const response = await DELETE(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.program.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+    });
+
+    it('should return 404 when deleting another user\'s program', async () => {
+      prisma.program.findUnique.mockResolvedValue(otherUsersProgram);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs/2', {}, { method: 'DELETE' });
+      const response = await DELETE(request, { params: Promise.resolve({ id: '2' }) });
+
+      expect(response.status).toBe(404);
+      expect(prisma.program.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/programs/next/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const activeProgram = {
+  id: 1,
+  userId: 1,
+  name: 'Strength Block',
+  weeks: 2,
+  isActive: true,
+  days: [
+    {
+      id: 10,
+      dayNumber: 1,
+      templateId: 5,
+      label: 'Push',
+      template: { id: 5, name: 'Push Day' },
+      overrides: [
+        { week: 1, exerciseName: null, sets: 4 },
+        { week: 1, exerciseName: 'Bench Press', reps: 5, percentE1RM: 80 }
+      ]
+    },
+    { id: 11, dayNumber: 2, templateId: 6, label: null, template: { id: 6, name: 'Leg Day' }, overrides: [] }
+  ]
+};
+
+describe('/api/programs/next', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+    prisma.exerciseTemplate.findMany.mockResolvedValue([]);
+  });
+
+  it('should return nothing without an active program', async () => {
+    prisma.program.findFirst.mockResolvedValue(null);
+
+    const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/programs/next'));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data).toEqual({ program: null, next: null, completed: false });
+  });
+
+  it('should resolve the first session\'s targets from recent e1RM', async () => {
+    prisma.program.findFirst.mockResolvedValue(activeProgram);
+    prisma.workout.findFirst.mockResolvedValue(null);
+    prisma.templateExercise.findMany.mockResolvedValue([
+      { exerciseName: 'Bench Press', orderIndex: 0 },
+      { exerciseName: 'Dips', orderIndex: 1 }
+    ]);
+    prisma.exerciseSet.findMany.mockResolvedValue([{ reps: 1, weight: 100 }]);
+
+    const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/programs/next'));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.program).toEqual({ id: 1, name: 'Strength Block', weeks: 2 });
+    expect(data.next).toMatchObject({
+      week: 1,
+      day: 1,
+      label: 'Push',
+      templateId: 5,
+      title: 'Week 1, Day 1 — Push'
+    });
+    expect(data.next.targets).toEqual([
+      { exerciseName: 'Bench Press', sets: 4, reps: 5, percentE1RM: 80, e1rm: 100, weight: 80 },
+      { exerciseName: 'Dips', sets: 4, reps: null, percentE1RM: null, e1rm: null, weight: null }
+    ]);
+    expect(prisma.exerciseSet.findMany).toHaveBeenCalledTimes(1);
+    // Warm-ups and sets of timed, distance or assisted exercises don't count
+    expect(prisma.exerciseSet.findMany.mock.calls[0][0].where).toMatchObject({
+      setType: { in: ['WORKING', 'FAILURE', 'AMRAP', 'BACKOFF'] },
+      exercise: { trackingMode: 'WEIGHT_REPS' }
+    });
+  });
+
+  it('should continue after the last logged session', async () => {
+    prisma.program.findFirst.mockResolvedValue(activeProgram);
+    prisma.workout.findFirst.mockResolvedValue({ programWeek: 1, programDay: 1 });
+    prisma.templateExercise.findMany.mockResolvedValue([{ exerciseName: 'Squat', orderIndex: 0 }]);
+
+    const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/programs/next'));
+    const data = await response.json();
+
+    expect(data.next).toMatchObject({ week: 1, day: 2, title: 'Week 1, Day 2 — Leg Day', targets: [] });
+    expect(prisma.workout.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 1, programId: 1, status: 'COMPLETED' },
+      orderBy: [{ programWeek: 'desc' }, { programDay: 'desc' }]
+    }));
+    expect(prisma.exerciseSet.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should offer a cancelled day again', async () => {
+    const workouts = [
+      { programWeek: 1, programDay: 1, status: 'COMPLETED' },
+      { programWeek: 1, programDay: 2, status: 'CANCELLED' }
+    ];
+    prisma.program.findFirst.mockResolvedValue(activeProgram);
+    // Return the latest workout matching the status filter
+    prisma.workout.findFirst.mockImplementation(({ where }) => Promise.resolve(
+      workouts.filter((workout) => !where.status || workout.status === where.status).pop() || null
+    ));
+    prisma.templateExercise.findMany.mockResolvedValue([]);
+
+    const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/programs/next'));
+    const data = await response.json();
+
+    expect(data.next).toMatchObject({ week: 1, day: 2 });
+  });
+
+  it('should report a finished program as completed', async () => {
+    prisma.program.findFirst.mockResolvedValue(activeProgram);
+    prisma.workout.findFirst.mockResolvedValue({ programWeek: 2, programDay: 2 });
+
+    const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/programs/next'));
+    const data = await response.json();
+
+    expect(data).toMatchObject({ next: null, completed: true });
+    expect(prisma.templateExercise.findMany).not.toHaveBeenCalled();
+  });
+});
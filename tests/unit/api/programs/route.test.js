@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET, POST } from '@/app/api/programs/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const programBody = {
+  name: ' Hypertrophy Block ',
+  weeks: 4,
+  isActive: true,
+  days: [
+    { templateId: 1, label: 'Push', overrides: [{ week: 4, sets: 2 }] },
+    { templateId: 2 }
+  ]
+};
+
+describe('/api/programs', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+    prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+  });
+
+  describe('GET /api/programs', () => {
+    it('should return the user\'s programs with the active one first', async () => {
+      prisma.program.findMany.mockResolvedValue([{ id: 1, name: 'Block', days: [] }]);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs');
+      const response = await GET(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveLength(1);
+      expect(prisma.program.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 1 },
+        orderBy: [{ isActive: 'desc' }, { name: 'asc' }]
+      }));
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/programs');
+      const response = await GET(request);
+
+      expect(response.status).toBe(401);
+      expect(prisma.program.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/programs', () => {
+    it('should create a program with its days and deactivate other programs', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      prisma.program.create.mockResolvedValue({ id: 5, name: 'Hypertrophy Block', days: [] });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/programs', programBody);
+      const response = await POST(request);
+
+      expect(response.status).toBe(201);
+      expect(prisma.program.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, isActive: true },
+        data: { isActive: false }
+      });
+      const { data } = prisma.program.create.mock.calls[0][0];
+      expect(data).toMatchObject({ userId: 1, name: 'Hypertrophy Block', weeks: 4, isActive: true });
+      expect(data.days.create).toHaveLength(2);
+      expect(data.days.create[0]).toMatchObject({
+        dayNumber: 1,
+        templateId: 1,
+        label: 'Push',
+        overrides: { create: [expect.objectContaining({ week: 4, sets: 2 })] }
+      });
+    });
+
+    it('should return 400 with details for an invalid program', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/programs', { name: 'Block', weeks: 0, days: [] });
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Validation failed');
+      expect(prisma.program.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when a template is not visible to the user', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 1 }]);
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/programs', programBody);
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Template not found');
+      expect(prisma.program.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a duplicate program name', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      prisma.program.create.mockRejectedValue({ code: 'P2002' });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/programs', programBody);
+      const response = await POST(request);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET } from '@/app/api/prs/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const records = [
+  { id: 3, userId: 1, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: 'e1rm', value: 150, achievedAt: '2025-02-01' },
+  { id: 2, userId: 1, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: 'e1rm', value: 140, achievedAt: '2025-01-01' },
+  { id: 1, userId: 1, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: '5rm', value: 120, achievedAt: '2025-01-01' }
+];
+
+describe('/api/prs', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.exerciseTemplate.findMany.mockResolvedValue([
+      { id: 4, userId: null, name: 'Back Squat', aliases: ['Squat'] }
+    ]);
+    prisma.personalRecord.findMany.mockResolvedValue(records);
+  });
+
+  describe('GET /api/prs', () => {
+    it('should list the user\'s records newest first', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/prs', {}));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveLength(3);
+      expect(prisma.personalRecord.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 1 },
+        orderBy: [{ achievedAt: 'desc' }, { id: 'desc' }]
+      }));
+      expect(prisma.exerciseTemplate.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should filter by exercise alias and type', async () => {
+      await GET(createMockRequestWithCookies('http://localhost:3000/api/prs?exercise=squat&type=e1rm', {}));
+
+      expect(prisma.personalRecord.findMany.mock.calls[0][0].where).toEqual({
+        userId: 1,
+        exerciseTemplateId: 4,
+        type: 'e1rm'
+      });
+    });
+
+    it('should keep only standing records with current=true', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/prs?current=true', {}));
+      const data = await response.json();
+
+      expect(data.map(record => record.id)).toEqual([3, 1]);
+    });
+
+    it('should return values in the user\'s weight unit', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1, weightUnit: 'lb' })));
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/prs', {}));
+      const data = await response.json();
+
+      expect(data.map(record => record.value)).toEqual([330.7, 308.6, 264.6]);
+    });
+
+    it('should return 400 for an unknown type', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/prs?type=2rm', {}));
+
+      expect(response.status).toBe(400);
+      expect(prisma.personalRecord.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for unauthenticated user', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/prs', {}));
+
+      expect(response.status).toBe(401);
+      expect(prisma.personalRecord.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, PUT, DELETE } from '@/app/api/templates/[id]/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const ownTemplate = { id: 1, userId: 1, name: 'My Push', isDefault: false, templateExercises: [] };
+const otherUsersTemplate = { id: 2, userId: 2, name: 'Their Push', isDefault: false, templateExercises: [] };
+const defaultTemplate = { id: 3, userId: null, name: 'Push', isDefault: true, templateExercises: [] };
+
+describe('/api/templates/[id]', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+  });
+
+  describe('GET /api/templates/[id]', () => {
+    it('should return the user\'s own template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/1');
+      const response = await GET(request, { params: Promise.resolve({ id: '1' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveProperty('name', 'My Push');
+    });
+
+    it('should return default templates to any user', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(defaultTemplate);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/3');
+      const response = await GET(request, { params: Promise.resolve({ id: '3' }) });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return 404 for another user\'s template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(otherUsersTemplate);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/2');
+      const response = await GET(request, { params: Promise.resolve({ id: '2' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Template not found');
+    });
+  });
+
+  describe('PUT /api/templates/[id]', () => {
+    it('should update the user\'s own template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.sessionTemplate.update.mockResolvedValue({ ...ownTemplate, name: 'Renamed' });
+        prisma.sessionTemplate.findUnique.mockResolvedValue({ ...ownTemplate, name: 'Renamed' });
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates/1', { name: 'Renamed' }, 'PUT');
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveProperty('name', 'Renamed');
+      expect(prisma.sessionTemplate.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { name: 'Renamed', description: null }
+      });
+    });
+
+    it('should return 403 when modifying a default template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(defaultTemplate);
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates/3', { name: 'Hacked' }, 'PUT');
+      const response = await PUT(request, { params: Promise.resolve({ id: '3' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(data.error).toBe('Cannot modify default templates');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when modifying another user\'s template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(otherUsersTemplate);
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates/2', { name: 'Hacked' }, 'PUT');
+      const response = await PUT(request, { params: Promise.resolve({ id: '2' }) });
+
+      expect(response.status).toBe(404);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/templates/[id]', () => {
+    it('should delete the user\'s own template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+      prisma.sessionTemplate.delete.mockResolvedValue(ownTemplate);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/1', {}, { method: 'DELETE' });
+      const response = await DELETE(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.sessionTemplate.delete).toHaveBeenCalledWith({ where: { id: 1 } });
+    });
+
+    it('should return 404 when deleting another user\'s template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(otherUsersTemplate);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/2', {}, { method: 'DELETE' });
+      const response = await DELETE(request, { params: Promise.resolve({ id: '2' }) });
+
+      expect(response.status).toBe(404);
+      expect(prisma.sessionTemplate.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when deleting a default template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(defaultTemplate);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/3', {}, { method: 'DELETE' });
+      const response = await DELETE(request, { params: Promise.resolve({ id: '3' }) });
+
+      expect(response.status).toBe(403);
+      expect(prisma.sessionTemplate.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when a program uses the template', async () => {
+      prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+      prisma.sessionTemplate.delete.mockRejectedValue({ code: 'P2003' });
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates/1', {}, { method: 'DELETE' });
+      const response = await DELETE(request, { params: Promise.resolve({ id: '1' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(data.error).toBe('Template is used by a program');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from '@/app/api/templates/[id]/share/route';
+import { createMockUser, createMockAuthResult } from '../../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const ownTemplate = {
+  id: 1,
+  userId: 1,
+  name: 'My Push',
+  description: 'Heavy push day',
+  isDefault: false,
+  templateExercises: [
+    { id: 10, exerciseName: 'Bench Press', defaultSets: 4, defaultReps: 6, orderIndex: 0, restSeconds: 120 }
+  ]
+};
+
+const shareRequest = (username) =>
+  createMockRequestWithBody('http://localhost:3000/api/templates/1/share', { username });
+
+describe('/api/templates/[id]/share', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1, username: 'testuser1' })));
+  });
+
+  it('should copy the template and its exercises to the recipient', async () => {
+    prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+    prisma.user.findUnique.mockResolvedValue(createMockUser({ id: 2, username: 'testuser2' }));
+    prisma.$transaction.mockImplementation(async (callback) => {
+      prisma.sessionTemplate.create.mockResolvedValue({ id: 20 });
+      return await callback(prisma);
+    });
+
+    const response = await POST(shareRequest('testuser2'), { params: Promise.resolve({ id: '1' }) });
+    const data = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(data.message).toBe('Template shared with testuser2');
+    expect(prisma.sessionTemplate.create).toHaveBeenCalledWith({
+      data: {
+        userId: 2,
+        name: 'My Push',
+        description: 'Heavy push day',
+        isDefault: false,
+        sharedBy: 'testuser1'
+      }
+    });
+    expect(prisma.templateExercise.createMany).toHaveBeenCalledWith({
+      data: [expect.objectContaining({ templateId: 20, exerciseName: 'Bench Press', defaultSets: 4 })]
+    });
+  });
+
+  it('should return 404 when the recipient does not exist', async () => {
+    prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    const response = await POST(shareRequest('nobody'), { params: Promise.resolve({ id: '1' }) });
+    const data = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(data.error).toBe('User not found');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 when sharing a template the user does not own', async () => {
+    prisma.sessionTemplate.findUnique.mockResolvedValue({ ...ownTemplate, userId: 3 });
+
+    const response = await POST(shareRequest('testuser2'), { params: Promise.resolve({ id: '1' }) });
+
+    expect(response.status).toBe(404);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 when sharing with yourself', async () => {
+    const response = await POST(shareRequest('testuser1'), { params: Promise.resolve({ id: '1' }) });
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('Cannot share a template with yourself');
+  });
+
+  it('should return 409 when the recipient already has a template with that name', async () => {
+    prisma.sessionTemplate.findUnique.mockResolvedValue(ownTemplate);
+    prisma.user.findUnique.mockResolvedValue(createMockUser({ id: 2, username: 'testuser2' }));
+    const duplicateError = new Error('Unique constraint failed');
+    duplicateError.code = 'P2002';
+    prisma.$transaction.mockRejectedValue(duplicateError);
+
+    const response = await POST(shareRequest('testuser2'), { params: Promise.resolve({ id: '1' }) });
+
+    expect(response.status).toBe(409);
+  });
+});
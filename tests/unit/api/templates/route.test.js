@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET, POST } from '@/app/api/templates/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+describe('/api/templates', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('GET /api/templates', () => {
+    it('should return only the user\'s templates and default templates', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      prisma.sessionTemplate.findMany.mockResolvedValue([
+        { id: 1, name: 'Push', isDefault: true, userId: null, templateExercises: [] },
+        { id: 2, name: 'My Push', isDefault: false, userId: 1, templateExercises: [] }
+      ]);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates', {
+        'session-token': 'valid_token'
+      });
+
+      const response = await GET(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toHaveLength(2);
+      expect(prisma.sessionTemplate.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { OR: [{ userId: 1 }, { isDefault: true }] }
+        })
+      );
+    });
+
+    it('should return 401 for unauthenticated user', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/templates');
+
+      const response = await GET(request);
+
+      expect(response.status).toBe(401);
+      expect(prisma.sessionTemplate.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/templates', () => {
+    it('should create a template owned by the user', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const createdTemplate = { id: 5, userId: 1, name: 'My Legs', isDefault: false, templateExercises: [] };
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.sessionTemplate.create.mockResolvedValue(createdTemplate);
+        prisma.sessionTemplate.findUnique.mockResolvedValue(createdTemplate);
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates', {
+        name: 'My Legs',
+        isDefault: true
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data).toHaveProperty('userId', 1);
+      // Users can't create system templates
+      expect(prisma.sessionTemplate.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 1, name: 'My Legs', isDefault: false })
+      });
+    });
+
+    it('should store %e1RM and RPE load targets', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const createdTemplate = { id: 5, userId: 1, name: 'Strength', isDefault: false, templateExercises: [] };
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.sessionTemplate.create.mockResolvedValue(createdTemplate);
+        prisma.sessionTemplate.findUnique.mockResolvedValue(createdTemplate);
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates', {
+        name: 'Strength',
+        exercises: [
+          { name: 'Squat', defaultSets: 5, defaultReps: 5, targetPercentE1RM: 80 },
+          { name: 'Leg Press', defaultSets: 3, defaultReps: 8, targetRpe: 8 }
+        ]
+      });
+
+      const response = await POST(request);
+
+      expect(response.status).toBe(201);
+      expect(prisma.templateExercise.createMany.mock.calls[0][0].data).toEqual([
+        expect.objectContaining({ exerciseName: 'Squat', targetPercentE1RM: 80, targetRpe: null }),
+        expect.objectContaining({ exerciseName: 'Leg Press', targetPercentE1RM: null, targetRpe: 8 })
+      ]);
+    });
+
+    it('should return 400 for an invalid load target', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates', {
+        name: 'Strength',
+        exercises: [{ name: 'Squat', targetPercentE1RM: 80, targetRpe: 8 }]
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details).toEqual(['Exercise 1: use either %e1RM or RPE, not both']);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when the user already has a template with that name', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const duplicateError = new Error('Unique constraint failed');
+      duplicateError.code = 'P2002';
+      prisma.$transaction.mockRejectedValue(duplicateError);
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates', {
+        name: 'My Legs'
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(data.error).toBe('A template with this name already exists');
+    });
+
+    it('should return 401 for unauthenticated user', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/templates', {
+        name: 'My Legs'
+      });
+
+      const response = await POST(request);
+
+      expect(response.status).toBe(401);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
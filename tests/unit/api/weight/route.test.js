@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { GET, POST } from '@/app/api/weight/route';
+import { DELETE } from '@/app/api/weight/[id]/route';
+import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const entry = { id: 5, userId: 1, date: '2025-01-06T00:00:00.000Z', weight: 82.4, bodyFat: 18.5 };
+
+describe('/api/weight', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.weightEntry.findMany.mockResolvedValue([entry]);
+    prisma.weightEntry.upsert.mockResolvedValue(entry);
+  });
+
+  describe('GET /api/weight', () => {
+    it('should list the user\'s entries newest first', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/weight', {}));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual([entry]);
+      expect(prisma.weightEntry.findMany).toHaveBeenCalledWith({
+        where: { userId: 1 },
+        orderBy: { date: 'desc' }
+      });
+    });
+
+    it('should filter by date range', async () => {
+      await GET(createMockRequestWithCookies('http://localhost:3000/api/weight?from=2025-01-01&to=2025-01-31', {}));
+
+      expect(prisma.weightEntry.findMany.mock.calls[0][0].where).toEqual({
+        userId: 1,
+        date: {
+          gte: new Date('2025-01-01T00:00:00.000Z'),
+          lte: new Date('2025-01-31T00:00:00.000Z')
+        }
+      });
+    });
+
+    it('should return 400 for an invalid date', async () => {
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/weight?from=soon', {}));
+
+      expect(response.status).toBe(400);
+      expect(prisma.weightEntry.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return the auth response when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(NextResponse.json({ error: 'Authentication required' }, { status: 401 }));
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/weight', {}));
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/weight', () => {
+    it('should log the day\'s weight, replacing an existing entry', async () => {
+      const request = createMockRequestWithBody('http://localhost:3000/api/weight', {
+        date: '2025-01-06',
+        weight: 82.4,
+        bodyFat: 18.5
+      });
+
+      const response = await POST(request);
+
+      expect(response.status).toBe(200);
+      expect(prisma.weightEntry.upsert).toHaveBeenCalledWith({
+        where: {
+          userId_date: { userId: 1, date: new Date('2025-01-06T00:00:00.000Z') }
+        },
+        create: { userId: 1, date: new Date('2025-01-06T00:00:00.000Z'), weight: 82.4, bodyFat: 18.5 },
+        update: { weight: 82.4, bodyFat: 18.5 }
+      });
+    });
+
+    it('should clear the body fat when it is left out', async () => {
+      await POST(createMockRequestWithBody('http://localhost:3000/api/weight', { date: '2025-01-06', weight: 82 }));
+
+      expect(prisma.weightEntry.upsert.mock.calls[0][0].update).toEqual({ weight: 82, bodyFat: null });
+    });
+
+    it('should return 400 for invalid data', async () => {
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/weight', { date: '2025-01-06', weight: 0 }));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('Validation failed');
+      expect(prisma.weightEntry.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the database fails', async () => {
+      prisma.weightEntry.upsert.mockRejectedValue(new Error('Database error'));
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/weight', { date: '2025-01-06', weight: 82 }));
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('DELETE /api/weight/[id]', () => {
+    it('should delete the user\'s entry', async () => {
+      prisma.weightEntry.findUnique.mockResolvedValue(entry);
+      prisma.weightEntry.delete.mockResolvedValue(entry);
+
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/weight/5', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: '5' }) }
+      );
+
+      expect(response.status).toBe(200);
+      expect(prisma.weightEntry.findUnique).toHaveBeenCalledWith({ where: { id: 5, userId: 1 } });
+      expect(prisma.weightEntry.delete).toHaveBeenCalledWith({ where: { id: 5 } });
+    });
+
+    it('should return 404 for another user\'s entry', async () => {
+      prisma.weightEntry.findUnique.mockResolvedValue(null);
+
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/weight/5', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: '5' }) }
+      );
+
+      expect(response.status).toBe(404);
+      expect(prisma.weightEntry.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid ID', async () => {
+      const response = await DELETE(
+        createMockRequestWithCookies('http://localhost:3000/api/weight/abc', {}, { method: 'DELETE' }),
+        { params: Promise.resolve({ id: 'abc' }) }
+      );
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
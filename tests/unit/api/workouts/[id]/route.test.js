@@ -5,24 +5,16 @@ import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.
 import { createMockWorkout, createMockWorkoutWithExercises, validWorkoutData, invalidWorkoutData } from '../../../../fixtures/workout.js';
 import { prisma } from '@/lib/prisma';
 
-// Mock the middleware and utilities
+// Mock the middleware
 vi.mock('@/lib/middleware', () => ({
   requireAuth: vi.fn()
 }));
 
-vi.mock('@/lib/migrate-sets', () => ({
-  parseSetsData: vi.fn((setsData) => {
-    try {
-      return JSON.parse(setsData);
-    } catch {
-      return [];
-    }
-  })
-}));
-
 describe('/api/workouts/[id]', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    prisma.exercise.findMany.mockResolvedValue([]);
+    prisma.exerciseSet.findMany.mockResolvedValue([]);
   });
 
   describe('GET /api/workouts/[id]', () => {
@@ -48,13 +40,34 @@ describe('/api/workouts/[id]', () => {
       expect(data).toHaveProperty('title', 'Push Day');
       expect(data).toHaveProperty('exercises');
       expect(Array.isArray(data.exercises)).toBe(true);
+
+      // ExerciseSet rows are returned as plain sets
+      expect(data.exercises[0].sets[0]).toEqual({
+        reps: 10,
+        weight: 135,
+        weightUnit: 'kg',
+        durationSeconds: null,
+        distanceMeters: null,
+        rpe: null,
+        setType: 'WORKING',
+        completed: true
+      });
       
       // Verify database query was scoped to user and workout ID
       expect(prisma.workout.findUnique).toHaveBeenCalledWith({
         where: { id: 1, userId: 1 },
         include: {
           exercises: {
-            orderBy: { orderIndex: 'asc' }
+            orderBy: { orderIndex: 'asc' },
+            include: {
+              sets: { orderBy: { orderIndex: 'asc' } }
+            }
+          },
+          cardioEntries: {
+            orderBy: { date: 'asc' },
+            include: {
+              intervals: { orderBy: { orderIndex: 'asc' } }
+            }
           }
         }
       });
@@ -178,7 +191,7 @@ describe('/api/workouts/[id]', () => {
       prisma.$transaction.mockImplementation(async (callback) => {
         prisma.workout.update.mockResolvedValue(updatedWorkout);
         prisma.exercise.deleteMany.mockResolvedValue({ count: 2 });
-        prisma.exercise.createMany.mockResolvedValue({ count: 2 });
+        prisma.exercise.create.mockResolvedValue({});
         prisma.workout.findUnique.mockResolvedValue(updatedWorkout);
         
         return await callback(prisma);
@@ -242,9 +255,50 @@ describe('/api/workouts/[id]', () => {
       expect(response.status).toBe(200);
       expect(data).toHaveProperty('title', 'Updated Workout');
       
-      // Verify exercises were not modified (no deleteMany/createMany calls)
+      // Verify exercises were not modified (no deleteMany/create calls)
       expect(prisma.exercise.deleteMany).not.toHaveBeenCalled();
-      expect(prisma.exercise.createMany).not.toHaveBeenCalled();
+      expect(prisma.exercise.create).not.toHaveBeenCalled();
+    });
+
+    it('should save status and duration when finishing a live workout', async () => {
+      const mockUser = createMockUser({ id: 1 });
+      const mockAuth = createMockAuthResult(mockUser);
+
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(mockAuth);
+
+      const updateData = {
+        title: 'Push Day',
+        date: '2025-01-02T10:00:00Z',
+        status: 'COMPLETED',
+        duration: 3125
+      };
+
+      const updatedWorkout = createMockWorkout(1, { id: 1, ...updateData });
+
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.workout.update.mockResolvedValue(updatedWorkout);
+        prisma.workout.findUnique.mockResolvedValue(updatedWorkout);
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/workouts/1',
+        updateData,
+        'PUT'
+      );
+
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.workout.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            status: 'COMPLETED',
+            duration: 3125
+          })
+        })
+      );
     });
 
     it('should replace all exercises when provided', async () => {
@@ -270,7 +324,7 @@ describe('/api/workouts/[id]', () => {
       prisma.$transaction.mockImplementation(async (callback) => {
         prisma.workout.update.mockResolvedValue(updatedWorkout);
         prisma.exercise.deleteMany.mockResolvedValue({ count: 3 });
-        prisma.exercise.createMany.mockResolvedValue({ count: 1 });
+        prisma.exercise.create.mockResolvedValue({});
         prisma.workout.findUnique.mockResolvedValue(updatedWorkout);
         return await callback(prisma);
       });
@@ -291,17 +345,45 @@ describe('/api/workouts/[id]', () => {
       });
       
       // Verify new exercises were created
-      expect(prisma.exercise.createMany).toHaveBeenCalledWith({
-        data: [
-          expect.objectContaining({
-            workoutId: 1,
-            name: 'New Exercise',
-            setsData: JSON.stringify([{ reps: 15, weight: 100 }]),
-            restSeconds: 120,
-            orderIndex: 0
-          })
-        ]
+      expect(prisma.exercise.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          workoutId: 1,
+          name: 'New Exercise',
+          restSeconds: 120,
+          orderIndex: 0,
+          sets: {
+            create: [
+              { orderIndex: 0, reps: 15, weight: 100, weightUnit: 'kg', durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WORKING', completed: true }
+            ]
+          }
+        })
+      });
+    });
+
+    it('should recompute PRs for exercises removed and added by the edit', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const updatedWorkout = createMockWorkout(1, {
+        id: 1,
+        exercises: [{ id: 5, name: 'Squat', exerciseTemplateId: null, sets: [] }]
       });
+      prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+      prisma.workout.update.mockResolvedValue(updatedWorkout);
+      prisma.exercise.findMany.mockResolvedValue([{ name: 'Bench Press', exerciseTemplateId: null }]);
+      prisma.workout.findUnique.mockResolvedValue(updatedWorkout);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/workouts/1',
+        { ...validWorkoutData, exercises: [{ name: 'Squat', sets: [{ reps: 5, weight: 100 }] }] },
+        'PUT'
+      );
+
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      const rebuilt = prisma.personalRecord.deleteMany.mock.calls.map(([args]) => args.where.exerciseName.equals);
+      expect(rebuilt).toEqual(['Bench Press', 'Squat']);
     });
 
     it('should return 400 for invalid workout ID', async () => {
@@ -344,6 +426,119 @@ describe('/api/workouts/[id]', () => {
       expect(data.error).toBe('Validation failed');
     });
 
+    it('should update when expectedUpdatedAt matches the stored workout', async () => {
+      const mockUser = createMockUser({ id: 1 });
+      const mockAuth = createMockAuthResult(mockUser);
+
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(mockAuth);
+
+      const existingWorkout = createMockWorkoutWithExercises(1, { id: 1 });
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.workout.updateMany.mockResolvedValue({ count: 1 });
+        prisma.workout.findUnique.mockResolvedValue(existingWorkout);
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/workouts/1',
+        { ...validWorkoutData, expectedUpdatedAt: '2025-01-01T10:00:00.000Z' },
+        'PUT'
+      );
+
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      // The check and the write are one conditional update
+      expect(prisma.workout.updateMany.mock.calls[0][0].where).toEqual({
+        id: 1,
+        userId: 1,
+        updatedAt: new Date('2025-01-01T10:00:00.000Z')
+      });
+      expect(prisma.workout.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 with the current workout when it changed since it was loaded', async () => {
+      const mockUser = createMockUser({ id: 1 });
+      const mockAuth = createMockAuthResult(mockUser);
+
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(mockAuth);
+
+      const existingWorkout = createMockWorkoutWithExercises(1, {
+        id: 1,
+        updatedAt: new Date('2025-01-01T12:00:00Z')
+      });
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.workout.updateMany.mockResolvedValue({ count: 0 });
+        return await callback(prisma);
+      });
+      prisma.workout.findUnique.mockResolvedValue(existingWorkout);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/workouts/1',
+        { ...validWorkoutData, expectedUpdatedAt: '2025-01-01T10:00:00.000Z' },
+        'PUT'
+      );
+
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(409);
+      expect(data.error).toBe('Workout has been changed since it was loaded');
+      expect(data.workout.id).toBe(1);
+      expect(Array.isArray(data.workout.exercises[0].sets)).toBe(true);
+      expect(prisma.exercise.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when a conditional update finds no workout', async () => {
+      const mockUser = createMockUser({ id: 1 });
+      const mockAuth = createMockAuthResult(mockUser);
+
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(mockAuth);
+
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.workout.updateMany.mockResolvedValue({ count: 0 });
+        return await callback(prisma);
+      });
+      prisma.workout.findUnique.mockResolvedValue(null);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/workouts/1',
+        { ...validWorkoutData, expectedUpdatedAt: '2025-01-01T10:00:00.000Z' },
+        'PUT'
+      );
+
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 when the workout no longer exists', async () => {
+      const mockUser = createMockUser({ id: 1 });
+      const mockAuth = createMockAuthResult(mockUser);
+
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(mockAuth);
+
+      const notFoundError = new Error('Record to update not found');
+      notFoundError.code = 'P2025';
+      prisma.$transaction.mockRejectedValueOnce(notFoundError);
+
+      const request = createMockRequestWithBody(
+        'http://localhost:3000/api/workouts/1',
+        validWorkoutData,
+        'PUT'
+      );
+
+      const response = await PUT(request, { params: Promise.resolve({ id: '1' }) });
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Workout not found');
+    });
+
     it('should return 401 for unauthenticated user', async () => {
       const { requireAuth } = await import('@/lib/middleware');
       const mockResponse = NextResponse.json({ error: 'Authentication required' }, { status: 401 });
@@ -385,6 +580,10 @@ describe('/api/workouts/[id]', () => {
   });
 
   describe('DELETE /api/workouts/[id]', () => {
+    beforeEach(() => {
+      prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+    });
+
     it('should delete workout successfully', async () => {
       const mockUser = createMockUser({ id: 1 });
       const mockAuth = createMockAuthResult(mockUser);
@@ -410,6 +609,35 @@ describe('/api/workouts/[id]', () => {
       });
     });
 
+    it('should recompute the PRs of the deleted workout\'s exercises', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      prisma.exercise.findMany.mockResolvedValue([{ name: 'Bench Press', exerciseTemplateId: null }]);
+      prisma.workout.delete.mockResolvedValue({ id: 1 });
+      prisma.exerciseSet.findMany.mockResolvedValue([
+        { reps: 5, weight: 100, exercise: { workoutId: 2, workout: { date: new Date('2025-01-01') } } }
+      ]);
+
+      const request = createMockRequestWithCookies('http://localhost:3000/api/workouts/1', {
+        'session-token': 'valid_token'
+      }, { method: 'DELETE' });
+
+      const response = await DELETE(request, { params: Promise.resolve({ id: '1' }) });
+
+      expect(response.status).toBe(200);
+      expect(prisma.personalRecord.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1, exerciseTemplateId: null, exerciseName: { equals: 'Bench Press', mode: 'insensitive' } }
+      });
+      // The remaining workout now holds every record
+      expect(prisma.personalRecord.createMany.mock.calls[0][0].data).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ workoutId: 2, type: 'e1rm', value: 116.7, previousValue: null }),
+          expect.objectContaining({ workoutId: 2, type: '5rm', value: 100 })
+        ])
+      );
+    });
+
     it('should return 400 for invalid workout ID', async () => {
       const mockUser = createMockUser({ id: 1 });
       const mockAuth = createMockAuthResult(mockUser);
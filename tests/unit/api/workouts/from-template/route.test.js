@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from '@/app/api/workouts/from-template/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const template = { id: 5, userId: 1, name: 'Push Day', isDefault: false };
+const program = {
+  id: 1,
+  userId: 1,
+  weeks: 4,
+  days: [{ id: 10, dayNumber: 1, templateId: 5 }]
+};
+const body = {
+  templateId: 5,
+  title: 'Week 2, Day 1 — Push',
+  date: '2025-01-06',
+  status: 'DRAFT',
+  programId: 1,
+  programWeek: 2,
+  programDay: 1,
+  exercises: []
+};
+
+describe('/api/workouts/from-template', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.sessionTemplate.findUnique.mockResolvedValue(template);
+    prisma.exerciseTemplate.findMany.mockResolvedValue([]);
+    prisma.workout.create.mockResolvedValue({ id: 9 });
+    prisma.workout.findUnique.mockResolvedValue({ id: 9, title: body.title, exercises: [] });
+    prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+  });
+
+  describe('POST /api/workouts/from-template', () => {
+    it('should create a workout from a template', async () => {
+      const { programId, programWeek, programDay, ...plainBody } = body;
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', plainBody));
+
+      expect(response.status).toBe(201);
+      expect(prisma.program.findUnique).not.toHaveBeenCalled();
+      expect(prisma.workout.create.mock.calls[0][0].data).not.toHaveProperty('programId');
+    });
+
+    it('should record the program week and day', async () => {
+      prisma.program.findUnique.mockResolvedValue(program);
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', body));
+
+      expect(response.status).toBe(201);
+      expect(prisma.workout.create.mock.calls[0][0].data).toMatchObject({
+        templateId: 5,
+        status: 'DRAFT',
+        programId: 1,
+        programWeek: 2,
+        programDay: 1
+      });
+    });
+
+    it('should return 404 for another user\'s program', async () => {
+      prisma.program.findUnique.mockResolvedValue({ ...program, userId: 2 });
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', body));
+
+      expect(response.status).toBe(404);
+      expect(prisma.workout.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the week or day does not match the program', async () => {
+      prisma.program.findUnique.mockResolvedValue(program);
+
+      const outOfRange = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', { ...body, programWeek: 5 }));
+      const wrongTemplate = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', {
+        ...body,
+        programDay: 2
+      }));
+
+      expect(outOfRange.status).toBe(400);
+      expect(wrongTemplate.status).toBe(400);
+      expect((await wrongTemplate.json()).error).toBe('Program week and day do not match the program');
+      expect(prisma.workout.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for IDs that are not a stored Int', async () => {
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', {
+        ...body,
+        templateId: '5',
+        programId: 2147483648,
+        programWeek: -1
+      }));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details).toEqual([
+        'templateId must be a positive integer',
+        'programId must be a positive integer',
+        'programWeek must be a positive integer'
+      ]);
+      expect(prisma.sessionTemplate.findUnique).not.toHaveBeenCalled();
+      expect(prisma.program.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('should plan exercises from the template and resolve load targets when none are sent', async () => {
+      const { exercises, programId, programWeek, programDay, ...plainBody } = body;
+      prisma.sessionTemplate.findUnique.mockResolvedValue({
+        ...template,
+        templateExercises: [
+          { id: 1, exerciseName: 'Bench Press', defaultSets: 2, defaultReps: 5, defaultWeight: 60, targetPercentE1RM: 80, targetRpe: null },
+          { id: 2, exerciseName: 'Dips', defaultSets: 1, defaultReps: 10, defaultWeight: null, targetPercentE1RM: null, targetRpe: null }
+        ]
+      });
+      prisma.exerciseSet.findMany.mockResolvedValue([{ reps: 5, weight: 90 }]);
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', plainBody));
+
+      expect(response.status).toBe(201);
+      expect(prisma.exercise.create).toHaveBeenCalledTimes(2);
+      // e1RM 105 × 80% = 84, rounded to 85
+      expect(prisma.exercise.create.mock.calls[0][0].data.sets.create).toEqual([
+        expect.objectContaining({ reps: 5, weight: 85 }),
+        expect.objectContaining({ reps: 5, weight: 85 })
+      ]);
+      expect(prisma.exercise.create.mock.calls[1][0].data.sets.create).toEqual([
+        expect.objectContaining({ reps: 10, weight: null })
+      ]);
+    });
+
+    it('should keep an explicitly empty exercise list', async () => {
+      prisma.program.findUnique.mockResolvedValue(program);
+      prisma.sessionTemplate.findUnique.mockResolvedValue({
+        ...template,
+        templateExercises: [{ id: 1, exerciseName: 'Bench Press', defaultSets: 2, defaultReps: 5, targetPercentE1RM: 80 }]
+      });
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts/from-template', body));
+
+      expect(response.status).toBe(201);
+      expect(prisma.exercise.create).not.toHaveBeenCalled();
+      expect(prisma.exerciseSet.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
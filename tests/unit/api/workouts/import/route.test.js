@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NextResponse } from 'next/server';
+import { POST } from '@/app/api/workouts/import/route';
+import { createMockUser, createMockAuthResult } from '../../../../fixtures/user.js';
+import { prisma } from '@/lib/prisma';
+
+// Mock the middleware
+vi.mock('@/lib/middleware', () => ({
+  requireAuth: vi.fn()
+}));
+
+const strongCsv = [
+  'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+  '2023-01-10 18:00:00,Push,45m,Bench Press (Barbell),1,80,8,0,0,,,',
+  '2023-01-10 18:00:00,Push,45m,Bench Press (Barbell),2,80,7,0,0,,,',
+  '2023-01-15 08:30:00,Legs,1h,Squat (Barbell),1,100,5,0,0,,,8',
+  '2023-01-15 08:30:00,Legs,1h,Plank,1,0,0,0,60,,,'
+].join('\n');
+
+const library = [
+  { id: 1, userId: null, name: 'Back Squat', aliases: ['Squat'] },
+  { id: 2, userId: null, name: 'Bench Press', aliases: [] }
+];
+
+const importRequest = (body) =>
+  createMockRequestWithBody('http://localhost:3000/api/workouts/import', body);
+
+describe('/api/workouts/import', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    prisma.exerciseSet.findMany.mockResolvedValue([]);
+
+    const { requireAuth } = await import('@/lib/middleware');
+    requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+    prisma.exerciseTemplate.findMany.mockResolvedValue(library);
+    prisma.workout.findMany.mockResolvedValue([]);
+  });
+
+  describe('POST /api/workouts/import', () => {
+    it('should return a preview without writing on a dry run', async () => {
+      prisma.workout.findMany.mockResolvedValue([
+        { title: 'push', date: new Date('2023-01-10T00:00:00.000Z') }
+      ]);
+
+      const response = await POST(importRequest({ csv: strongCsv }));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toMatchObject({
+        format: 'strong',
+        dryRun: true,
+        summary: { workouts: 2, duplicates: 1, exercises: 3, sets: 4, skippedSets: 0 }
+      });
+      expect(data.workouts).toEqual([
+        { title: 'Push', date: '2023-01-10T18:00:00.000Z', duration: 2700, exerciseCount: 1, setCount: 2, duplicate: true },
+        { title: 'Legs', date: '2023-01-15T08:30:00.000Z', duration: 3600, exerciseCount: 2, setCount: 2, duplicate: false }
+      ]);
+      expect(data.exercises).toEqual([
+        { sourceName: 'Bench Press (Barbell)', name: 'Bench Press', exerciseTemplateId: 2, setCount: 2 },
+        { sourceName: 'Plank', name: 'Plank', exerciseTemplateId: null, setCount: 1 },
+        { sourceName: 'Squat (Barbell)', name: 'Back Squat', exerciseTemplateId: 1, setCount: 1 }
+      ]);
+
+      // Duplicates are looked up within the imported date range only
+      expect(prisma.workout.findMany).toHaveBeenCalledWith({
+        where: {
+          userId: 1,
+          date: {
+            gte: new Date('2023-01-10T00:00:00.000Z'),
+            lte: new Date('2023-01-15T23:59:59.999Z')
+          }
+        },
+        select: { title: true, date: true }
+      });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+      expect(prisma.workout.create).not.toHaveBeenCalled();
+    });
+
+    it('should import all workouts in one transaction, skipping duplicates', async () => {
+      prisma.workout.findMany.mockResolvedValue([
+        { title: 'Push', date: new Date('2023-01-10T00:00:00.000Z') }
+      ]);
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.workout.create.mockResolvedValue({ id: 10 });
+        return await callback(prisma);
+      });
+
+      const response = await POST(importRequest({
+        csv: strongCsv,
+        dryRun: false,
+        exerciseMap: { 'Squat (Barbell)': 'Pause Squat' }
+      }));
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data).toEqual({ format: 'strong', imported: 1, skippedDuplicates: 1, skippedSets: 0 });
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(prisma.workout.create).toHaveBeenCalledTimes(1);
+      expect(prisma.workout.create).toHaveBeenCalledWith({
+        data: {
+          userId: 1,
+          title: 'Legs',
+          date: new Date('2023-01-15T08:30:00.000Z'),
+          duration: 3600,
+          notes: null,
+          status: 'COMPLETED',
+          exercises: {
+            create: [
+              {
+                name: 'Pause Squat',
+                exerciseTemplateId: null,
+                restSeconds: null,
+                notes: null,
+                orderIndex: 0,
+                groupNumber: null,
+                groupType: null,
+                trackingMode: 'WEIGHT_REPS',
+                sets: {
+                  create: [
+                    expect.objectContaining({ orderIndex: 0, reps: 5, weight: 100, rpe: 8, setType: 'WORKING' })
+                  ]
+                }
+              },
+              expect.objectContaining({
+                name: 'Plank',
+                trackingMode: 'DURATION',
+                sets: {
+                  create: [
+                    expect.objectContaining({ reps: null, weight: 0, durationSeconds: 60, distanceMeters: null })
+                  ]
+                }
+              })
+            ]
+          }
+        }
+      });
+    });
+
+    it('should import duplicates when skipDuplicates is false', async () => {
+      prisma.workout.findMany.mockResolvedValue([
+        { title: 'Push', date: new Date('2023-01-10T00:00:00.000Z') }
+      ]);
+      prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+
+      const response = await POST(importRequest({
+        csv: strongCsv,
+        dryRun: false,
+        skipDuplicates: false
+      }));
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data.imported).toBe(2);
+      expect(data.skippedDuplicates).toBe(0);
+      expect(prisma.workout.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return 400 when the CSV is missing', async () => {
+      const response = await POST(importRequest({ dryRun: true }));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toBe('CSV file contents are required');
+    });
+
+    it('should return 400 for unrecognized files', async () => {
+      const response = await POST(importRequest({ csv: 'name,weight\nSquat,100' }));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.error).toMatch(/Unrecognized CSV format/);
+      expect(prisma.workout.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid weight unit', async () => {
+      const response = await POST(importRequest({ csv: strongCsv, weightUnit: 'stone' }));
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 500 and write nothing when the transaction fails', async () => {
+      prisma.$transaction.mockRejectedValue(new Error('Database error'));
+
+      const response = await POST(importRequest({ csv: strongCsv, dryRun: false }));
+      const data = await response.json();
+
+      expect(response.status).toBe(500);
+      expect(data.error).toBe('Failed to import workouts');
+    });
+
+    it('should return 401 when not authenticated', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(
+        NextResponse.json({ error: 'Authentication required' }, { status: 401 })
+      );
+
+      const response = await POST(importRequest({ csv: strongCsv }));
+
+      expect(response.status).toBe(401);
+      expect(prisma.exerciseTemplate.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
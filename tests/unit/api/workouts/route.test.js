@@ -4,25 +4,18 @@ import { GET, POST } from '@/app/api/workouts/route';
 import { createMockUser, createMockAuthResult } from '../../../fixtures/user.js';
 import { createMockWorkout, createMockWorkoutWithExercises, validWorkoutData, invalidWorkoutData } from '../../../fixtures/workout.js';
 import { prisma } from '@/lib/prisma';
+import { encodeWorkoutCursor, decodeWorkoutCursor } from '@/lib/workout-search';
 
-// Mock the middleware and utilities
+// Mock the middleware
 vi.mock('@/lib/middleware', () => ({
   requireAuth: vi.fn()
 }));
 
-vi.mock('@/lib/migrate-sets', () => ({
-  parseSetsData: vi.fn((setsData) => {
-    try {
-      return JSON.parse(setsData);
-    } catch {
-      return [];
-    }
-  })
-}));
-
 describe('/api/workouts', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    prisma.exercise.findMany.mockResolvedValue([]);
+    prisma.exerciseSet.findMany.mockResolvedValue([]);
   });
 
   describe('GET /api/workouts', () => {
@@ -49,20 +42,27 @@ describe('/api/workouts', () => {
       const data = await response.json();
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(data)).toBe(true);
-      expect(data).toHaveLength(2);
-      expect(data[0]).toHaveProperty('title', 'Push Day');
-      expect(data[1]).toHaveProperty('title', 'Pull Day');
+      expect(data.workouts).toHaveLength(2);
+      expect(data.workouts[0]).toHaveProperty('title', 'Push Day');
+      expect(data.workouts[1]).toHaveProperty('title', 'Pull Day');
+      expect(data.nextCursor).toBeNull();
+      
+      // API tokens need the workouts:read scope
+      expect(requireAuth).toHaveBeenCalledWith(request, { scope: 'workouts:read' });
       
       // Verify database query was scoped to user
       expect(prisma.workout.findMany).toHaveBeenCalledWith({
         where: { userId: 1 },
         include: {
           exercises: {
-            orderBy: { orderIndex: 'asc' }
+            orderBy: { orderIndex: 'asc' },
+            include: {
+              sets: { orderBy: { orderIndex: 'asc' } }
+            }
           }
         },
-        orderBy: { date: 'desc' }
+        orderBy: [{ date: 'desc' }, { id: 'desc' }],
+        take: 21
       });
     });
 
@@ -83,8 +83,84 @@ describe('/api/workouts', () => {
       const data = await response.json();
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(data)).toBe(true);
-      expect(data).toHaveLength(0);
+      expect(data).toEqual({ workouts: [], nextCursor: null });
+    });
+
+    it('should return a cursor for the next page when more workouts remain', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      prisma.workout.findMany.mockResolvedValue([
+        createMockWorkout(1, { id: 9, date: new Date('2026-10-12T00:00:00.000Z') }),
+        createMockWorkout(1, { id: 7, date: new Date('2026-10-10T00:00:00.000Z') }),
+        createMockWorkout(1, { id: 4, date: new Date('2026-10-08T00:00:00.000Z') })
+      ]);
+
+      const response = await GET(createMockRequestWithCookies('http://localhost:3000/api/workouts?limit=2'));
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.workouts.map((workout) => workout.id)).toEqual([9, 7]);
+      expect(decodeWorkoutCursor(data.nextCursor)).toEqual({
+        date: new Date('2026-10-10T00:00:00.000Z'),
+        id: 7
+      });
+      expect(prisma.workout.findMany.mock.calls[0][0].take).toBe(3);
+    });
+
+    it('should filter by date range, status, template, exercise and text', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+      prisma.workout.findMany.mockResolvedValue([]);
+
+      const cursor = encodeWorkoutCursor({ id: 7, date: '2026-10-10T00:00:00.000Z' });
+      const response = await GET(createMockRequestWithCookies(
+        `http://localhost:3000/api/workouts?from=2026-09-01&to=2026-09-30&status=COMPLETED&templateId=3&exercise=bench&q=%20heavy%20&cursor=${cursor}`
+      ));
+
+      expect(response.status).toBe(200);
+      expect(prisma.workout.findMany.mock.calls[0][0].where).toEqual({
+        userId: 1,
+        AND: [
+          { date: { gte: new Date('2026-09-01T00:00:00.000Z') } },
+          { date: { lt: new Date('2026-10-01T00:00:00.000Z') } },
+          { status: 'COMPLETED' },
+          { templateId: 3 },
+          { exercises: { some: { name: { contains: 'bench', mode: 'insensitive' } } } },
+          {
+            OR: [
+              { title: { contains: 'heavy', mode: 'insensitive' } },
+              { notes: { contains: 'heavy', mode: 'insensitive' } }
+            ]
+          },
+          {
+            OR: [
+              { date: { lt: new Date('2026-10-10T00:00:00.000Z') } },
+              { date: new Date('2026-10-10T00:00:00.000Z'), id: { lt: 7 } }
+            ]
+          }
+        ]
+      });
+    });
+
+    it('should return 400 for invalid filters', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const response = await GET(createMockRequestWithCookies(
+        'http://localhost:3000/api/workouts?from=2026-10-01&to=2026-09-01&status=SKIPPED&templateId=abc&limit=500&cursor=nope'
+      ));
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details).toEqual([
+        'from must be on or before to',
+        'Status must be COMPLETED, CANCELLED, or DRAFT',
+        'templateId must be a positive integer',
+        'limit must be a whole number between 1 and 100',
+        'Invalid cursor'
+      ]);
+      expect(prisma.workout.findMany).not.toHaveBeenCalled();
     });
 
     it('should return 401 for unauthenticated user', async () => {
@@ -138,11 +214,11 @@ describe('/api/workouts', () => {
       const data = await response.json();
 
       expect(response.status).toBe(200);
-      expect(data[0].exercises).toBeDefined();
-      expect(data[0].exercises.length).toBeGreaterThan(0);
+      expect(data.workouts[0].exercises).toBeDefined();
+      expect(data.workouts[0].exercises.length).toBeGreaterThan(0);
       
       // Verify each exercise has parsed sets
-      data[0].exercises.forEach(exercise => {
+      data.workouts[0].exercises.forEach(exercise => {
         expect(exercise).toHaveProperty('sets');
         expect(Array.isArray(exercise.sets)).toBe(true);
       });
@@ -164,7 +240,7 @@ describe('/api/workouts', () => {
         // Mock workout creation
         const workout = createMockWorkout(1, { id: 1 });
         prisma.workout.create.mockResolvedValue(workout);
-        prisma.exercise.createMany.mockResolvedValue({ count: 2 });
+        prisma.exercise.create.mockResolvedValue({});
         prisma.workout.findUnique.mockResolvedValue(createdWorkout);
         
         return await callback(prisma);
@@ -183,6 +259,7 @@ describe('/api/workouts', () => {
       expect(data).toHaveProperty('title', 'Test Workout');
       expect(data).toHaveProperty('exercises');
       expect(Array.isArray(data.exercises)).toBe(true);
+      expect(requireAuth).toHaveBeenCalledWith(request, { scope: 'workouts:write' });
       
       // Verify workout was created with correct user ID
       expect(prisma.workout.create).toHaveBeenCalledWith({
@@ -196,6 +273,59 @@ describe('/api/workouts', () => {
       });
     });
 
+    it('should store the PRs the new workout sets', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      const createdWorkout = createMockWorkout(1, {
+        id: 7,
+        exercises: [{ id: 3, name: 'Deadlift', exerciseTemplateId: null, sets: [] }]
+      });
+      prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+      prisma.workout.create.mockResolvedValue(createdWorkout);
+      prisma.exercise.create.mockResolvedValue({});
+      prisma.workout.findUnique.mockResolvedValue(createdWorkout);
+      prisma.exerciseSet.findMany.mockResolvedValue([
+        { reps: 3, weight: 180, exercise: { workoutId: 6, workout: { date: new Date('2025-01-01') } } },
+        { reps: 3, weight: 190, exercise: { workoutId: 7, workout: { date: new Date('2025-01-08') } } }
+      ]);
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts', validWorkoutData));
+
+      expect(response.status).toBe(201);
+      expect(prisma.exerciseSet.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          completed: true,
+          exercise: expect.objectContaining({ workout: { userId: 1, status: 'COMPLETED' } })
+        })
+      }));
+      expect(prisma.personalRecord.createMany.mock.calls[0][0].data).toContainEqual(
+        expect.objectContaining({ workoutId: 7, exerciseName: 'Deadlift', type: '3rm', value: 190, previousValue: 180 })
+      );
+    });
+
+    it('should log sets in the user\'s weight unit', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1, weightUnit: 'lb' })));
+
+      const createdWorkout = createMockWorkout(1, { id: 1, exercises: [] });
+      prisma.$transaction.mockImplementation(async (callback) => await callback(prisma));
+      prisma.workout.create.mockResolvedValue(createdWorkout);
+      prisma.exercise.create.mockResolvedValue({});
+      prisma.workout.findUnique.mockResolvedValue(createdWorkout);
+
+      const response = await POST(createMockRequestWithBody('http://localhost:3000/api/workouts', {
+        ...validWorkoutData,
+        exercises: [{ name: 'Squat', sets: [{ reps: 5, weight: 225 }, { reps: 5, weight: 100, weightUnit: 'kg' }] }]
+      }));
+
+      expect(response.status).toBe(201);
+      expect(prisma.exercise.create.mock.calls[0][0].data.sets.create).toEqual([
+        expect.objectContaining({ weight: 225, weightUnit: 'lb' }),
+        expect.objectContaining({ weight: 100, weightUnit: 'kg' })
+      ]);
+    });
+
     it('should create workout without exercises', async () => {
       const mockUser = createMockUser({ id: 1 });
       const mockAuth = createMockAuthResult(mockUser);
@@ -229,8 +359,8 @@ describe('/api/workouts', () => {
       expect(data).toHaveProperty('title', 'Simple Workout');
       expect(data.exercises).toEqual([]);
       
-      // Verify exercises.createMany was not called
-      expect(prisma.exercise.createMany).not.toHaveBeenCalled();
+      // Verify no exercises were created
+      expect(prisma.exercise.create).not.toHaveBeenCalled();
     });
 
     it('should return 400 for invalid workout data', async () => {
@@ -283,6 +413,30 @@ describe('/api/workouts', () => {
       expect(data.error).toContain('Exercise 1 validation failed');
     });
 
+    it('should return 400 for an exercise group with one exercise', async () => {
+      const mockUser = createMockUser({ id: 1 });
+      const mockAuth = createMockAuthResult(mockUser);
+
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(mockAuth);
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/workouts', {
+        title: 'Test Workout',
+        date: '2025-01-01T10:00:00Z',
+        exercises: [
+          { name: 'Bench Press', groupNumber: 1, groupType: 'SUPERSET', sets: [{ reps: 10, weight: 60 }] },
+          { name: 'Row', sets: [{ reps: 10, weight: 50 }] }
+        ]
+      });
+
+      const response = await POST(request);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.details).toEqual(['Group 1 needs at least two exercises']);
+      expect(prisma.workout.create).not.toHaveBeenCalled();
+    });
+
     it('should return 401 for unauthenticated user', async () => {
       const { requireAuth } = await import('@/lib/middleware');
       const mockResponse = NextResponse.json({ error: 'Authentication required' }, { status: 401 });
@@ -361,7 +515,7 @@ describe('/api/workouts', () => {
       
       prisma.$transaction.mockImplementation(async (callback) => {
         prisma.workout.create.mockResolvedValue(createdWorkout);
-        prisma.exercise.createMany.mockResolvedValue({ count: 3 });
+        prisma.exercise.create.mockResolvedValue({});
         prisma.workout.findUnique.mockResolvedValue({ ...createdWorkout, exercises: [] });
         return await callback(prisma);
       });
@@ -376,12 +530,53 @@ describe('/api/workouts', () => {
       expect(response.status).toBe(201);
       
       // Verify exercise creation with correct order indices
-      expect(prisma.exercise.createMany).toHaveBeenCalledWith({
-        data: expect.arrayContaining([
-          expect.objectContaining({ name: 'Exercise 1', orderIndex: 2 }),
-          expect.objectContaining({ name: 'Exercise 2', orderIndex: 1 }), // Auto-assigned
-          expect.objectContaining({ name: 'Exercise 3', orderIndex: 0 })
-        ])
+      expect(prisma.exercise.create).toHaveBeenCalledTimes(3);
+      expect(prisma.exercise.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Exercise 1', orderIndex: 2 })
+      });
+      expect(prisma.exercise.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Exercise 2', orderIndex: 1 }) // Auto-assigned
+      });
+      expect(prisma.exercise.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Exercise 3', orderIndex: 0 })
+      });
+    });
+
+    it('should link exercises to the exercise library by alias', async () => {
+      const { requireAuth } = await import('@/lib/middleware');
+      requireAuth.mockResolvedValue(createMockAuthResult(createMockUser({ id: 1 })));
+
+      prisma.exerciseTemplate.findMany.mockResolvedValue([
+        { id: 7, userId: null, name: 'Back Squat', aliases: ['Squats', 'BB Squat'] }
+      ]);
+
+      const createdWorkout = createMockWorkout(1, { id: 1 });
+      prisma.$transaction.mockImplementation(async (callback) => {
+        prisma.workout.create.mockResolvedValue(createdWorkout);
+        prisma.exercise.create.mockResolvedValue({});
+        prisma.workout.findUnique.mockResolvedValue({ ...createdWorkout, exercises: [] });
+        return await callback(prisma);
+      });
+
+      const request = createMockRequestWithBody('http://localhost:3000/api/workouts', {
+        ...validWorkoutData,
+        exercises: [
+          { name: 'BB Squat', sets: [{ reps: 5, weight: 100 }] },
+          { name: 'Goblet Squat', sets: [{ reps: 10, weight: 20 }] }
+        ]
+      });
+
+      const response = await POST(request);
+
+      expect(response.status).toBe(201);
+      expect(prisma.exerciseTemplate.findMany).toHaveBeenCalledWith({
+        where: { OR: [{ userId: 1 }, { userId: null }] }
+      });
+      expect(prisma.exercise.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'BB Squat', exerciseTemplateId: 7 })
+      });
+      expect(prisma.exercise.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Goblet Squat', exerciseTemplateId: null })
       });
     });
   });
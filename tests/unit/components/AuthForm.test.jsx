@@ -369,6 +369,140 @@ describe('AuthForm Component', () => {
       
       expect(screen.getByText('Authentication failed')).toBeInTheDocument();
     });
+
+    it('disables sign in until a rate limit lockout ends', async () => {
+      const user = userEvent.setup();
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        json: () => Promise.resolve({
+          error: 'Too many failed login attempts. Try again in 30 seconds.',
+          retryAfter: 30
+        })
+      });
+
+      render(<AuthForm onAuthSuccess={mockOnAuthSuccess} />);
+
+      await user.type(screen.getByLabelText('Username'), 'testuser');
+      await user.type(screen.getByLabelText('Password'), 'wrongpass');
+      await user.click(screen.getByRole('button', { name: 'Sign In' }));
+
+      // Wait a moment for the async operation
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(screen.getByText('Too many failed login attempts. Try again in 30 seconds.')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /Try again in \d+s/ })).toBeDisabled();
+    });
+  });
+
+  describe('Recovery Codes', () => {
+    it('shows the recovery codes after registering', async () => {
+      const user = userEvent.setup();
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          user: { id: 1, username: 'testuser' },
+          recoveryCodes: ['AAAA-BBBB-CCCC-DDDD', 'EEEE-FFFF-GGGG-HHHH']
+        })
+      });
+
+      const reloadSpy = vi.spyOn(window.location, 'reload');
+
+      render(<AuthForm onAuthSuccess={mockOnAuthSuccess} />);
+
+      await user.click(screen.getByRole('button', { name: 'Sign up' }));
+      await user.type(screen.getByLabelText('Username'), 'testuser');
+      await user.type(screen.getByLabelText('Full Name'), 'Test User');
+      await user.type(screen.getByLabelText('Password'), 'testpass');
+      await user.click(screen.getByRole('button', { name: 'Sign Up' }));
+
+      // Wait a moment for the async operation
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(screen.getByText('AAAA-BBBB-CCCC-DDDD')).toBeInTheDocument();
+      expect(screen.getByText('EEEE-FFFF-GGGG-HHHH')).toBeInTheDocument();
+      expect(reloadSpy).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole('button', { name: "I've saved my codes" }));
+      expect(reloadSpy).toHaveBeenCalled();
+    });
+
+    it('resets the password with a recovery code', async () => {
+      const user = userEvent.setup();
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ success: true, remainingCodes: 9 })
+      });
+
+      render(<AuthForm onAuthSuccess={mockOnAuthSuccess} />);
+
+      await user.click(screen.getByRole('button', { name: 'Forgot password?' }));
+      expect(screen.getByRole('heading', { name: 'Reset your password' })).toBeInTheDocument();
+
+      await user.type(screen.getByLabelText('Username'), 'testuser');
+      await user.type(screen.getByLabelText('Recovery Code'), 'AAAA-BBBB-CCCC-DDDD');
+      await user.type(screen.getByLabelText('New Password'), 'newpass');
+      await user.click(screen.getByRole('button', { name: 'Reset Password' }));
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: 'testuser',
+          recoveryCode: 'AAAA-BBBB-CCCC-DDDD',
+          newPassword: 'newpass'
+        })
+      });
+
+      // Wait a moment for the async operation
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(screen.getByRole('heading', { name: 'Sign in to your account' })).toBeInTheDocument();
+      expect(screen.getByText(/You have 9 recovery codes left/)).toBeInTheDocument();
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    it('asks for a code after the password and signs in with it', async () => {
+      const user = userEvent.setup();
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ twoFactorRequired: true, challenge: 'challenge-token' })
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ success: true, user: { id: 1, username: 'testuser' } })
+        });
+
+      const reloadSpy = vi.spyOn(window.location, 'reload');
+
+      render(<AuthForm onAuthSuccess={mockOnAuthSuccess} />);
+
+      await user.type(screen.getByLabelText('Username'), 'testuser');
+      await user.type(screen.getByLabelText('Password'), 'testpass');
+      await user.click(screen.getByRole('button', { name: 'Sign In' }));
+
+      // Wait a moment for the async operation
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(screen.getByRole('heading', { name: 'Two-factor authentication' })).toBeInTheDocument();
+      expect(screen.queryByLabelText('Password')).not.toBeInTheDocument();
+      expect(reloadSpy).not.toHaveBeenCalled();
+
+      await user.type(screen.getByLabelText('Authentication Code'), '123456');
+      await user.click(screen.getByRole('button', { name: 'Verify' }));
+
+      expect(global.fetch).toHaveBeenLastCalledWith('/api/auth/two-factor/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challenge: 'challenge-token', code: '123456' })
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(reloadSpy).toHaveBeenCalled();
+    });
   });
 
   describe('Accessibility', () => {
@@ -188,6 +188,31 @@ describe('ExerciseItem Component', () => {
       render(<ExerciseItem exercise={exerciseWithFractionalRPE} onClick={mockOnClick} />);
       expect(screen.getByText('2 sets × 10 reps · 135 kg · RPE 8.0')).toBeInTheDocument();
     });
+
+    it('shows weights in the given unit', () => {
+      const exerciseInKg = {
+        ...mockExercise,
+        sets: [
+          { reps: 5, weight: 100, weightUnit: 'kg' },
+          { reps: 5, weight: 225, weightUnit: 'lb' }
+        ]
+      };
+      render(<ExerciseItem exercise={exerciseInKg} weightUnit="lb" onClick={mockOnClick} />);
+      expect(screen.getByText('2 sets: 220.5×5, 225×5')).toBeInTheDocument();
+    });
+
+    it('describes timed and distance sets in their tracking mode', () => {
+      const rowing = {
+        ...mockExercise,
+        trackingMode: 'DISTANCE_DURATION',
+        sets: [
+          { reps: null, weight: null, distanceMeters: 2000, durationSeconds: 450 },
+          { reps: null, weight: null, distanceMeters: 500, durationSeconds: 105 }
+        ]
+      };
+      render(<ExerciseItem exercise={rowing} onClick={mockOnClick} />);
+      expect(screen.getByText('2 sets: 2 km in 7:30, 500 m in 1:45')).toBeInTheDocument();
+    });
   });
 
   describe('Accessibility', () => {
@@ -133,6 +133,15 @@ describe('Header Component', () => {
       expect(mockPush).toHaveBeenCalledWith('/templates');
     });
 
+    it('navigates to programs when programs button is clicked', async () => {
+      const user = userEvent.setup();
+      render(<Header />);
+
+      await user.click(screen.getByTitle('Training Programs'));
+
+      expect(mockPush).toHaveBeenCalledWith('/programs');
+    });
+
     it('opens calendar modal when calendar button is clicked', async () => {
       const user = userEvent.setup();
       render(<Header />);
@@ -202,6 +211,46 @@ describe('Header Component', () => {
       expect(mockLogout).toHaveBeenCalled();
     });
 
+    it('navigates to settings page when settings is clicked', async () => {
+      const user = userEvent.setup();
+      render(<Header />);
+
+      await user.click(screen.getByTitle('Test User'));
+      await user.click(screen.getByText('Settings'));
+
+      expect(mockPush).toHaveBeenCalledWith('/settings');
+      expect(screen.queryByText('Signed in as')).not.toBeInTheDocument();
+    });
+
+    it('navigates to import page when import & export is clicked', async () => {
+      const user = userEvent.setup();
+      render(<Header />);
+
+      await user.click(screen.getByTitle('Test User'));
+      await user.click(screen.getByText('Import & export'));
+
+      expect(mockPush).toHaveBeenCalledWith('/import');
+      expect(screen.queryByText('Signed in as')).not.toBeInTheDocument();
+    });
+
+    it('switches the weight unit from the menu', async () => {
+      const mockUpdatePreferences = vi.fn();
+      const { setMockAuthState } = vi.mocked(await import('@/contexts/AuthContext'));
+      setMockAuthState({ weightUnit: 'kg', updatePreferences: mockUpdatePreferences });
+
+      const user = userEvent.setup();
+      render(<Header />);
+
+      await user.click(screen.getByTitle('Test User'));
+      expect(screen.getByRole('button', { name: 'kg' })).toHaveAttribute('aria-pressed', 'true');
+
+      await user.click(screen.getByRole('button', { name: 'kg' }));
+      expect(mockUpdatePreferences).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole('button', { name: 'lb' }));
+      expect(mockUpdatePreferences).toHaveBeenCalledWith({ weightUnit: 'lb' });
+    });
+
     it('closes user menu after logout', async () => {
       const user = userEvent.setup();
       render(<Header />);
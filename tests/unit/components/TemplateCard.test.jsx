@@ -87,6 +87,13 @@ describe('TemplateCard Component', () => {
       expect(screen.queryByText('Default')).not.toBeInTheDocument();
     });
 
+    it('shows who shared the template', () => {
+      const sharedTemplate = { ...mockTemplate, sharedBy: 'coach' };
+      render(<TemplateCard template={sharedTemplate} onEdit={mockOnEdit} onDelete={mockOnDelete} />);
+      
+      expect(screen.getByText('Shared by coach')).toBeInTheDocument();
+    });
+
     it('shows rest times indicator when exercises have rest times', () => {
       render(<TemplateCard template={mockTemplate} onEdit={mockOnEdit} onDelete={mockOnDelete} />);
       
@@ -198,6 +205,30 @@ describe('TemplateCard Component', () => {
 
 
 
+    it('disables edit button for default templates', () => {
+      const defaultTemplate = { ...mockTemplate, isDefault: true };
+      render(<TemplateCard template={defaultTemplate} onEdit={mockOnEdit} onDelete={mockOnDelete} />);
+      
+      expect(screen.getByText('Edit')).toBeDisabled();
+    });
+
+    it('calls onShare when share button is clicked', async () => {
+      const user = userEvent.setup();
+      const mockOnShare = vi.fn();
+      render(<TemplateCard template={mockTemplate} onEdit={mockOnEdit} onDelete={mockOnDelete} onShare={mockOnShare} />);
+      
+      await user.click(screen.getByText('Share'));
+      
+      expect(mockOnShare).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not show share button for default templates', () => {
+      const defaultTemplate = { ...mockTemplate, isDefault: true };
+      render(<TemplateCard template={defaultTemplate} onEdit={mockOnEdit} onDelete={mockOnDelete} onShare={vi.fn()} />);
+      
+      expect(screen.queryByText('Share')).not.toBeInTheDocument();
+    });
+
     it('does not call onDelete when delete button is disabled', async () => {
       const user = userEvent.setup();
       const defaultTemplate = { ...mockTemplate, isDefault: true };
@@ -6,9 +6,14 @@ const mockAuthContext = {
   user: null,
   isLoading: false,
   isAuthenticated: false,
+  weightUnit: 'kg',
+  defaultRestSeconds: 90,
+  weekStartDay: 1,
+  timeZone: null,
   login: vi.fn(),
   register: vi.fn(),
   logout: vi.fn(),
+  updatePreferences: vi.fn(),
   refreshAuth: vi.fn()
 };
 
@@ -32,9 +37,14 @@ export const resetAuthMock = () => {
     user: null,
     isLoading: false,
     isAuthenticated: false,
+    weightUnit: 'kg',
+    defaultRestSeconds: 90,
+    weekStartDay: 1,
+    timeZone: null,
     login: vi.fn(),
     register: vi.fn(),
     logout: vi.fn(),
+    updatePreferences: vi.fn(),
     refreshAuth: vi.fn()
   });
   useAuth.mockReturnValue({ ...mockAuthContext });
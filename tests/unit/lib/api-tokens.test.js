@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  generateApiToken,
+  getBearerToken,
+  createApiToken,
+  revokeApiToken,
+  authenticateApiToken
+} from '@/lib/api-tokens';
+import { hashSessionToken } from '@/lib/auth';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('API Tokens', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      apiToken: {
+        findUnique: vi.fn(),
+        create: vi.fn(),
+        update: vi.fn(),
+        deleteMany: vi.fn()
+      }
+    };
+  });
+
+  describe('generateApiToken', () => {
+    it('should generate distinct prefixed tokens', () => {
+      const token = generateApiToken();
+
+      expect(token).toMatch(/^gp_[A-Za-z0-9_-]{43}$/);
+      expect(generateApiToken()).not.toBe(token);
+    });
+  });
+
+  describe('getBearerToken', () => {
+    const requestWith = (authorization) =>
+      createMockRequest('http://localhost:3000/api/workouts', { headers: { Authorization: authorization } });
+
+    it('should read the token from the Authorization header', () => {
+      expect(getBearerToken(requestWith('Bearer gp_abc'))).toBe('gp_abc');
+      expect(getBearerToken(requestWith('bearer  gp_abc '))).toBe('gp_abc');
+    });
+
+    it('should ignore other schemes and missing headers', () => {
+      expect(getBearerToken(requestWith('Basic dXNlcjpwYXNz'))).toBeNull();
+      expect(getBearerToken(createMockRequest('http://localhost:3000/api/workouts'))).toBeNull();
+    });
+  });
+
+  describe('createApiToken', () => {
+    it('should store only the hash and return the token once', async () => {
+      db.apiToken.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, name: data.name, scopes: data.scopes }));
+
+      const result = await createApiToken(db, 7, {
+        name: '  Spreadsheet sync ',
+        scopes: ['workouts:read', 'workouts:read'],
+        expiresInDays: 30
+      });
+
+      const { data, select } = db.apiToken.create.mock.calls[0][0];
+      expect(data).toEqual({
+        userId: 7,
+        name: 'Spreadsheet sync',
+        tokenHash: hashSessionToken(result.token),
+        scopes: ['workouts:read'],
+        expiresAt: expect.any(Date)
+      });
+      expect(data.expiresAt.getTime() - Date.now()).toBeGreaterThan(30 * DAY_MS - 1000);
+      expect(select.tokenHash).toBeUndefined();
+      expect(result.token).toMatch(/^gp_/);
+    });
+  });
+
+  describe('revokeApiToken', () => {
+    it('should only delete the user\'s own token', async () => {
+      db.apiToken.deleteMany.mockResolvedValue({ count: 0 });
+
+      expect(await revokeApiToken(db, 7, 3)).toBe(false);
+      expect(db.apiToken.deleteMany).toHaveBeenCalledWith({ where: { id: 3, userId: 7 } });
+    });
+  });
+
+  describe('authenticateApiToken', () => {
+    const user = { id: 7, username: 'lifter' };
+    const storedToken = (overrides = {}) => ({
+      id: 3,
+      name: 'Script',
+      scopes: ['workouts:read'],
+      expiresAt: new Date(Date.now() + DAY_MS),
+      lastUsedAt: null,
+      user,
+      ...overrides
+    });
+
+    it('should return the token and its user, recording the use', async () => {
+      db.apiToken.findUnique.mockResolvedValue(storedToken());
+
+      const auth = await authenticateApiToken(db, 'gp_secret');
+
+      expect(auth.user).toBe(user);
+      expect(auth.apiToken).toMatchObject({ id: 3, scopes: ['workouts:read'] });
+      expect(auth.apiToken.user).toBeUndefined();
+      expect(db.apiToken.findUnique.mock.calls[0][0].where).toEqual({ tokenHash: hashSessionToken('gp_secret') });
+      expect(db.apiToken.update).toHaveBeenCalledWith({
+        where: { id: 3 },
+        data: { lastUsedAt: expect.any(Date) }
+      });
+    });
+
+    it('should not write the last-used time on every request', async () => {
+      db.apiToken.findUnique.mockResolvedValue(storedToken({ lastUsedAt: new Date(Date.now() - 60 * 1000) }));
+
+      expect(await authenticateApiToken(db, 'gp_secret')).not.toBeNull();
+      expect(db.apiToken.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired and unknown tokens', async () => {
+      db.apiToken.findUnique.mockResolvedValue(storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+      expect(await authenticateApiToken(db, 'gp_secret')).toBeNull();
+
+      db.apiToken.findUnique.mockResolvedValue(null);
+      expect(await authenticateApiToken(db, 'gp_secret')).toBeNull();
+    });
+
+    it('should not look up strings that aren\'t API tokens', async () => {
+      expect(await authenticateApiToken(db, 'session-token-value')).toBeNull();
+      expect(db.apiToken.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
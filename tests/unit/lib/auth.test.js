@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { prisma } from '@/lib/prisma';
+import {
+  validateSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  createSession,
+  deleteSession,
+  hashSessionToken,
+  SESSION_MAX_AGE_SECONDS
+} from '@/lib/auth';
+import { createMockSession } from '../../fixtures/user.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    prisma.session.update.mockImplementation(async ({ data }) => ({
+      ...createMockSession(),
+      ...data
+    }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('createSession', () => {
+    it('should store only a hash of a random token', async () => {
+      prisma.session.create.mockImplementation(async ({ data }) => ({ id: 'session_new', ...data }));
+
+      const first = await createSession(1);
+      const second = await createSession(1);
+      const { data } = prisma.session.create.mock.calls[0][0];
+
+      expect(first.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(first.token).not.toBe(second.token);
+      expect(data.token).toBeUndefined();
+      expect(data.tokenHash).toBe(hashSessionToken(first.token));
+      expect(data.tokenHash).not.toContain(first.token);
+    });
+  });
+
+  describe('hashSessionToken', () => {
+    it('should be a SHA-256 hex digest', () => {
+      expect(hashSessionToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+  });
+
+  describe('deleteSession', () => {
+    it('should delete the session by its token hash', async () => {
+      prisma.session.deleteMany.mockResolvedValue({ count: 1 });
+
+      await deleteSession('some_token');
+
+      expect(prisma.session.deleteMany).toHaveBeenCalledWith({
+        where: { tokenHash: hashSessionToken('some_token') }
+      });
+    });
+  });
+
+  describe('validateSession', () => {
+    it('should look the session up by its token hash', async () => {
+      prisma.session.findUnique.mockResolvedValue(null);
+
+      await validateSession('some_token');
+
+      expect(prisma.session.findUnique.mock.calls[0][0].where).toEqual({
+        tokenHash: hashSessionToken('some_token')
+      });
+    });
+
+    it('should return null without a token or for an unknown token', async () => {
+      expect(await validateSession(undefined)).toBeNull();
+
+      prisma.session.findUnique.mockResolvedValue(null);
+      expect(await validateSession('unknown')).toBeNull();
+    });
+
+    it('should delete an expired session', async () => {
+      prisma.session.findUnique.mockResolvedValue(createMockSession(1, {
+        expiresAt: new Date(NOW.getTime() - MINUTE)
+      }));
+
+      expect(await validateSession('test_session_token_123456')).toBeNull();
+      expect(prisma.session.delete).toHaveBeenCalledWith({ where: { id: 'session_test_123' } });
+    });
+
+    it('should not write a session used in the last few minutes', async () => {
+      prisma.session.findUnique.mockResolvedValue(createMockSession(1, {
+        lastUsedAt: new Date(NOW.getTime() - MINUTE),
+        rotatedAt: new Date(NOW.getTime() - 2 * HOUR)
+      }));
+
+      const auth = await validateSession('test_session_token_123456');
+
+      expect(auth.session.id).toBe('session_test_123');
+      expect(auth.token).toBeUndefined();
+      expect(prisma.session.update).not.toHaveBeenCalled();
+    });
+
+    it('should slide the expiry and record the last use', async () => {
+      prisma.session.findUnique.mockResolvedValue(createMockSession(1, {
+        lastUsedAt: new Date(NOW.getTime() - HOUR),
+        rotatedAt: new Date(NOW.getTime() - 2 * HOUR)
+      }));
+
+      const auth = await validateSession('test_session_token_123456');
+
+      expect(auth.token).toBeUndefined();
+      expect(prisma.session.update.mock.calls[0][0].data).toEqual({
+        lastUsedAt: NOW,
+        expiresAt: new Date(NOW.getTime() + SESSION_MAX_AGE_SECONDS * 1000)
+      });
+    });
+
+    it('should rotate the token once a day', async () => {
+      prisma.session.findUnique.mockResolvedValue(createMockSession(1, {
+        lastUsedAt: new Date(NOW.getTime() - HOUR),
+        rotatedAt: new Date(NOW.getTime() - 25 * HOUR)
+      }));
+      prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+      const auth = await validateSession('test_session_token_123456');
+      const { where, data } = prisma.session.updateMany.mock.calls[0][0];
+
+      expect(auth.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(where).toEqual({ id: 'session_test_123', tokenHash: createMockSession().tokenHash });
+      expect(data.tokenHash).toBe(hashSessionToken(auth.token));
+      expect(data.previousTokenHash).toBe(createMockSession().tokenHash);
+      expect(data.rotatedAt).toEqual(NOW);
+      expect(data.lastUsedAt).toEqual(NOW);
+    });
+
+    it('should hand out one new token when parallel requests rotate', async () => {
+      const stale = createMockSession(1, {
+        lastUsedAt: new Date(NOW.getTime() - HOUR),
+        rotatedAt: new Date(NOW.getTime() - 25 * HOUR)
+      });
+      let stored = stale;
+      prisma.session.findUnique.mockImplementation(async ({ where }) =>
+        where.tokenHash === stale.tokenHash ? stale : stored
+      );
+      // Only a write that still finds the old token stored goes through
+      prisma.session.updateMany.mockImplementation(async ({ where, data }) => {
+        if (stored.tokenHash !== where.tokenHash) return { count: 0 };
+        stored = { ...stored, ...data };
+        return { count: 1 };
+      });
+
+      const results = await Promise.all([
+        validateSession('test_session_token_123456'),
+        validateSession('test_session_token_123456')
+      ]);
+      const tokens = results.map((auth) => auth.token).filter(Boolean);
+
+      expect(results.every((auth) => auth.session.id === 'session_test_123')).toBe(true);
+      expect(tokens).toHaveLength(1);
+      expect(stored.tokenHash).toBe(hashSessionToken(tokens[0]));
+      expect(stored.previousTokenHash).toBe(stale.tokenHash);
+    });
+
+    it('should accept the previous token briefly after rotation', async () => {
+      const rotated = createMockSession(1, {
+        previousTokenHash: hashSessionToken('old_token'),
+        rotatedAt: new Date(NOW.getTime() - 10 * 1000)
+      });
+      prisma.session.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(rotated);
+
+      const auth = await validateSession('old_token');
+
+      expect(prisma.session.findUnique.mock.calls[1][0].where).toEqual({
+        previousTokenHash: hashSessionToken('old_token')
+      });
+      expect(auth.session.id).toBe('session_test_123');
+      expect(auth.token).toBeUndefined();
+      expect(prisma.session.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject the previous token after the grace period', async () => {
+      prisma.session.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(createMockSession(1, { previousTokenHash: hashSessionToken('old_token'), rotatedAt: new Date(NOW.getTime() - 5 * MINUTE) }));
+
+      expect(await validateSession('old_token')).toBeNull();
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should list unexpired sessions without their tokens', async () => {
+      prisma.session.findMany.mockResolvedValue([]);
+
+      await listSessions(1);
+
+      const query = prisma.session.findMany.mock.calls[0][0];
+      expect(query.where).toEqual({ userId: 1, expiresAt: { gt: NOW } });
+      expect(query.select.tokenHash).toBeUndefined();
+      expect(query.orderBy).toEqual({ lastUsedAt: 'desc' });
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should only revoke the user\'s own session', async () => {
+      prisma.session.deleteMany.mockResolvedValue({ count: 0 });
+
+      expect(await revokeSession(1, 'someone_elses')).toBe(false);
+      expect(prisma.session.deleteMany).toHaveBeenCalledWith({ where: { id: 'someone_elses', userId: 1 } });
+    });
+
+    it('should revoke every other session', async () => {
+      prisma.session.deleteMany.mockResolvedValue({ count: 3 });
+
+      expect(await revokeOtherSessions(1, 'session_test_123')).toBe(3);
+      expect(prisma.session.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1, id: { not: 'session_test_123' } }
+      });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toMetricDate,
+  getBodyweightOn,
+  isBodyweightExercise,
+  applyBodyweight,
+  summarizeMeasurements,
+  summarizeBodyMetrics
+} from '@/lib/body-metrics';
+import { buildExerciseLookup } from '@/lib/exercise-library';
+
+const library = buildExerciseLookup([
+  { id: 1, userId: null, name: 'Pull-up', category: 'Bodyweight', aliases: ['Pull-ups'] },
+  { id: 2, userId: null, name: 'Dip', category: 'Bodyweight', aliases: ['Tricep Dips'] },
+  { id: 3, userId: null, name: 'Bench Press', category: 'Barbell', aliases: [] }
+]);
+
+const weightEntries = [
+  { date: new Date('2025-01-01T00:00:00.000Z'), weight: 80, bodyFat: null },
+  { date: new Date('2025-01-08T00:00:00.000Z'), weight: 81, bodyFat: 18 },
+  { date: new Date('2025-01-15T00:00:00.000Z'), weight: 82, bodyFat: 17.5 }
+];
+
+describe('Body Metrics', () => {
+  describe('toMetricDate', () => {
+    it('should log a date under midnight UTC of its day', () => {
+      expect(toMetricDate('2025-01-06')).toEqual(new Date('2025-01-06T00:00:00.000Z'));
+      expect(toMetricDate('2025-01-06T18:30:00.000Z')).toEqual(new Date('2025-01-06T00:00:00.000Z'));
+    });
+
+    it('should return null for invalid dates', () => {
+      expect(toMetricDate('soon')).toBeNull();
+      expect(toMetricDate(null)).toBeNull();
+    });
+  });
+
+  describe('getBodyweightOn', () => {
+    it('should use the latest entry on or before the date', () => {
+      expect(getBodyweightOn(weightEntries, '2025-01-08')).toBe(81);
+      expect(getBodyweightOn(weightEntries, '2025-01-14')).toBe(81);
+      expect(getBodyweightOn(weightEntries, '2025-03-01')).toBe(82);
+    });
+
+    it('should fall back to the first entry for earlier workouts', () => {
+      expect(getBodyweightOn(weightEntries, '2024-12-01')).toBe(80);
+    });
+
+    it('should return null without entries', () => {
+      expect(getBodyweightOn([], '2025-01-08')).toBeNull();
+    });
+  });
+
+  describe('isBodyweightExercise', () => {
+    it('should match linked exercises, names and aliases in the Bodyweight category', () => {
+      expect(isBodyweightExercise({ name: 'Chins', exerciseTemplateId: 1 }, library)).toBe(true);
+      expect(isBodyweightExercise({ name: 'Tricep Dips' }, library)).toBe(true);
+      expect(isBodyweightExercise({ name: 'Bench Press' }, library)).toBe(false);
+      expect(isBodyweightExercise({ name: 'Muscle-up' }, library)).toBe(false);
+    });
+  });
+
+  describe('applyBodyweight', () => {
+    it('should attach the bodyweight of the workout\'s day to bodyweight exercises only', () => {
+      const [workout] = applyBodyweight([
+        {
+          date: new Date('2025-01-10T00:00:00.000Z'),
+          exercises: [{ name: 'Pull-ups' }, { name: 'Bench Press' }]
+        }
+      ], weightEntries, library);
+
+      expect(workout.exercises[0].bodyweight).toBe(81);
+      expect(workout.exercises[1]).not.toHaveProperty('bodyweight');
+    });
+
+    it('should leave workouts alone without weight entries', () => {
+      const workouts = [{ date: new Date(), exercises: [{ name: 'Pull-ups' }] }];
+
+      expect(applyBodyweight(workouts, [], library)).toBe(workouts);
+    });
+  });
+
+  describe('summarizeMeasurements', () => {
+    it('should report the latest value of each site and its change since the start date', () => {
+      const result = summarizeMeasurements([
+        { date: new Date('2024-12-01T00:00:00.000Z'), site: 'waist', value: 90 },
+        { date: new Date('2025-01-02T00:00:00.000Z'), site: 'waist', value: 86 },
+        { date: new Date('2025-01-02T00:00:00.000Z'), site: 'arms', value: 38 },
+        { date: new Date('2025-01-20T00:00:00.000Z'), site: 'waist', value: 84.5 }
+      ], new Date('2025-01-01T00:00:00.000Z'));
+
+      expect(result).toEqual([
+        { site: 'arms', value: 38, date: new Date('2025-01-02T00:00:00.000Z'), change: 0 },
+        { site: 'waist', value: 84.5, date: new Date('2025-01-20T00:00:00.000Z'), change: -1.5 }
+      ]);
+    });
+
+    it('should leave the change empty for sites not measured since the start date', () => {
+      const result = summarizeMeasurements([
+        { date: new Date('2024-12-01T00:00:00.000Z'), site: 'chest', value: 104 }
+      ], new Date('2025-01-01T00:00:00.000Z'));
+
+      expect(result[0].change).toBeNull();
+    });
+  });
+
+  describe('summarizeBodyMetrics', () => {
+    it('should report the latest weight entry', () => {
+      const result = summarizeBodyMetrics(weightEntries, [], new Date('2025-01-01T00:00:00.000Z'));
+
+      expect(result).toEqual({
+        latest: { date: weightEntries[2].date, weight: 82, bodyFat: 17.5 },
+        measurements: []
+      });
+    });
+
+    it('should have no latest entry before anything is logged', () => {
+      expect(summarizeBodyMetrics([], [], new Date()).latest).toBeNull();
+    });
+  });
+});
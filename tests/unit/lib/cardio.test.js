@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCardioCreateData,
+  summarizeCardio,
+  formatCardioEntry
+} from '@/lib/cardio';
+
+describe('Cardio', () => {
+  describe('buildCardioCreateData', () => {
+    it('should build an entry with its intervals in order', () => {
+      const date = new Date('2025-01-06T18:00:00.000Z');
+      const result = buildCardioCreateData(
+        {
+          activityType: 'ROW',
+          durationSeconds: 900,
+          distanceMeters: 3000,
+          intervals: [{ durationSeconds: 120, restSeconds: 60 }, { durationSeconds: 115 }]
+        },
+        { userId: 1, date, workoutId: 7 }
+      );
+
+      expect(result).toEqual({
+        userId: 1,
+        workoutId: 7,
+        date,
+        activityType: 'ROW',
+        durationSeconds: 900,
+        distanceMeters: 3000,
+        avgHeartRate: null,
+        calories: null,
+        notes: null,
+        intervals: {
+          create: [
+            { orderIndex: 0, durationSeconds: 120, distanceMeters: null, restSeconds: 60, avgHeartRate: null },
+            { orderIndex: 1, durationSeconds: 115, distanceMeters: null, restSeconds: null, avgHeartRate: null }
+          ]
+        }
+      });
+    });
+
+    it('should leave out the workout for standalone entries', () => {
+      const result = buildCardioCreateData({ activityType: 'RUN', durationSeconds: 1500 }, { userId: 1, date: new Date() });
+
+      expect(result).not.toHaveProperty('workoutId');
+      expect(result.intervals.create).toEqual([]);
+    });
+  });
+
+  describe('summarizeCardio', () => {
+    it('should total sessions, time, distance and calories', () => {
+      expect(summarizeCardio([
+        { durationSeconds: 1500, distanceMeters: 5000, calories: 350 },
+        { durationSeconds: 600, distanceMeters: null, calories: null }
+      ])).toEqual({ sessions: 2, durationSeconds: 2100, distanceMeters: 5000, calories: 350 });
+      expect(summarizeCardio(undefined)).toEqual({ sessions: 0, durationSeconds: 0, distanceMeters: 0, calories: 0 });
+    });
+  });
+
+  describe('formatCardioEntry', () => {
+    it('should describe an entry with or without a distance', () => {
+      expect(formatCardioEntry({ activityType: 'RUN', durationSeconds: 1500, distanceMeters: 5000 })).toBe('Run · 5 km in 25:00');
+      expect(formatCardioEntry({ activityType: 'HIIT', durationSeconds: 1200, distanceMeters: null })).toBe('HIIT · 20:00');
+    });
+  });
+});
@@ -0,0 +1,618 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  SET_CSV_COLUMNS,
+  serializeWorkout,
+  serializeTemplate,
+  serializeProgram,
+  escapeCsvField,
+  workoutToCsvRows,
+  findWorkoutsInBatches,
+  jsonExportChunks,
+  csvExportChunks,
+  createExportStream,
+  restoreExportDocument
+} from '@/lib/data-export';
+import { validateExportDocument } from '@/lib/validations';
+import { prisma } from '@/lib/prisma';
+
+const workoutRecord = {
+  id: 7,
+  userId: 1,
+  templateId: 3,
+  title: 'Push, Heavy',
+  date: new Date('2025-01-06T00:00:00.000Z'),
+  duration: 3600,
+  notes: 'Good "pump"',
+  status: 'COMPLETED',
+  createdAt: new Date('2025-01-06T19:00:00.000Z'),
+  updatedAt: new Date('2025-01-06T19:00:00.000Z'),
+  exercises: [
+    {
+      id: 11,
+      name: 'Bench',
+      exerciseTemplateId: 2,
+      exerciseTemplate: { name: 'Bench Press' },
+      restSeconds: 120,
+      notes: null,
+      orderIndex: 0,
+      trackingMode: 'WEIGHT_REPS',
+      sets: [
+        { id: 1, orderIndex: 0, reps: 5, weight: 60, rpe: null, setType: 'WARMUP', completed: true },
+        { id: 2, orderIndex: 1, reps: 5, weight: 100, rpe: 8, setType: 'WORKING', completed: true }
+      ]
+    }
+  ],
+  exerciseSwaps: [
+    {
+      id: 4,
+      originalExerciseName: 'Incline Bench',
+      swappedExerciseName: 'Incline Dumbbell Press',
+      reason: 'Bench taken',
+      createdAt: new Date('2025-01-06T19:30:00.000Z')
+    }
+  ],
+  cardioEntries: [
+    {
+      id: 9,
+      userId: 1,
+      workoutId: 7,
+      activityType: 'ROW',
+      date: new Date('2025-01-06T20:00:00.000Z'),
+      durationSeconds: 600,
+      distanceMeters: 2500,
+      avgHeartRate: 150,
+      calories: null,
+      notes: null,
+      intervals: [
+        { id: 1, cardioEntryId: 9, orderIndex: 0, durationSeconds: 240, distanceMeters: 1000, restSeconds: 60, avgHeartRate: null }
+      ]
+    }
+  ]
+};
+
+const templateNames = new Map([[3, 'Push Day']]);
+
+const serializedWorkout = {
+  title: 'Push, Heavy',
+  date: '2025-01-06T00:00:00.000Z',
+  duration: 3600,
+  notes: 'Good "pump"',
+  status: 'COMPLETED',
+  template: 'Push Day',
+  program: null,
+  createdAt: '2025-01-06T19:00:00.000Z',
+  exercises: [
+    {
+      name: 'Bench',
+      libraryExercise: 'Bench Press',
+      restSeconds: 120,
+      notes: null,
+      orderIndex: 0,
+      trackingMode: 'WEIGHT_REPS',
+      sets: [
+        { reps: 5, weight: 60, rpe: null, setType: 'WARMUP', completed: true },
+        { reps: 5, weight: 100, rpe: 8, setType: 'WORKING', completed: true }
+      ]
+    }
+  ],
+  swaps: [
+    {
+      originalExerciseName: 'Incline Bench',
+      swappedExerciseName: 'Incline Dumbbell Press',
+      reason: 'Bench taken',
+      createdAt: '2025-01-06T19:30:00.000Z'
+    }
+  ],
+  cardio: [
+    {
+      activityType: 'ROW',
+      date: '2025-01-06T20:00:00.000Z',
+      durationSeconds: 600,
+      distanceMeters: 2500,
+      avgHeartRate: 150,
+      calories: null,
+      notes: null,
+      intervals: [{ durationSeconds: 240, distanceMeters: 1000, restSeconds: 60, avgHeartRate: null }]
+    }
+  ]
+};
+
+const collect = async (chunks) => {
+  let text = '';
+  for await (const chunk of chunks) text += chunk;
+  return text;
+};
+
+describe('Data Export', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.program.findMany.mockResolvedValue([]);
+    prisma.weightEntry.findMany.mockResolvedValue([]);
+    prisma.bodyMeasurement.findMany.mockResolvedValue([]);
+    prisma.cardioEntry.findMany.mockResolvedValue([]);
+    prisma.equipmentProfile.findUnique.mockResolvedValue(null);
+  });
+
+  describe('serializeWorkout', () => {
+    it('should drop database ids and refer to templates and library entries by name', () => {
+      expect(serializeWorkout(workoutRecord, templateNames)).toEqual(serializedWorkout);
+    });
+
+    it('should leave template empty when it no longer exists', () => {
+      expect(serializeWorkout({ ...workoutRecord, templateId: 99 }, templateNames).template).toBeNull();
+    });
+
+    it('should refer to the program session by program name', () => {
+      const workout = { ...workoutRecord, programId: 5, programWeek: 2, programDay: 3 };
+
+      expect(serializeWorkout(workout, templateNames, new Map([[5, 'Block']])).program).toEqual({
+        name: 'Block',
+        week: 2,
+        day: 3
+      });
+    });
+  });
+
+  describe('serializeProgram', () => {
+    it('should refer to day templates by name', () => {
+      const program = {
+        id: 5,
+        name: 'Block',
+        description: null,
+        weeks: 4,
+        isActive: true,
+        days: [
+          {
+            id: 1,
+            dayNumber: 1,
+            templateId: 3,
+            template: { id: 3, name: 'Push Day' },
+            label: 'Push',
+            overrides: [{ id: 9, programDayId: 1, week: 4, exerciseName: null, sets: 2, reps: null, percentE1RM: null }]
+          }
+        ]
+      };
+
+      expect(serializeProgram(program)).toEqual({
+        name: 'Block',
+        description: null,
+        weeks: 4,
+        days: [
+          {
+            template: 'Push Day',
+            label: 'Push',
+            overrides: [{ week: 4, exerciseName: null, sets: 2, reps: null, percentE1RM: null }]
+          }
+        ]
+      });
+    });
+  });
+
+  describe('serializeTemplate', () => {
+    it('should export template exercises without ids', () => {
+      const template = serializeTemplate({
+        id: 3,
+        userId: 1,
+        name: 'Push Day',
+        description: null,
+        sharedBy: null,
+        templateExercises: [
+          { id: 9, templateId: 3, exerciseName: 'Bench Press', defaultSets: 3, defaultReps: 5, defaultWeight: 100, orderIndex: 0, notes: null, restSeconds: 180, targetRepRange: '3-5', muscleGroups: 'Chest' }
+        ]
+      });
+
+      expect(template.exercises[0]).not.toHaveProperty('id');
+      expect(template.exercises[0]).toMatchObject({ exerciseName: 'Bench Press', targetRepRange: '3-5' });
+    });
+  });
+
+  describe('escapeCsvField', () => {
+    it('should quote fields with commas, quotes or newlines', () => {
+      expect(escapeCsvField('plain')).toBe('plain');
+      expect(escapeCsvField('a, b')).toBe('"a, b"');
+      expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvField(null)).toBe('');
+      expect(escapeCsvField(false)).toBe('false');
+    });
+
+    it('should keep text a spreadsheet would run as a formula as text', () => {
+      expect(escapeCsvField('=HYPERLINK("http://evil.test")')).toBe(`"'=HYPERLINK(""http://evil.test"")"`);
+      expect(escapeCsvField('+1 rep')).toBe("'+1 rep");
+      expect(escapeCsvField('-cmd')).toBe("'-cmd");
+      expect(escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsvField('\t=cmd')).toBe("'\t=cmd");
+      expect(escapeCsvField('\r=cmd')).toBe(`"'\r=cmd"`);
+      expect(escapeCsvField('Bench = heavy')).toBe('Bench = heavy');
+      expect(escapeCsvField(-12.5)).toBe('-12.5');
+    });
+  });
+
+  describe('workoutToCsvRows', () => {
+    it('should produce one row per set', () => {
+      const rows = workoutToCsvRows(serializedWorkout);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[1]).toBe(
+        '2025-01-06T00:00:00.000Z,"Push, Heavy",COMPLETED,3600,"Good ""pump""",Push Day,1,Bench,Bench Press,,120,WEIGHT_REPS,2,WORKING,5,100,,,8,true'
+      );
+      expect(rows[1].match(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/g)).toHaveLength(SET_CSV_COLUMNS.length - 1);
+    });
+  });
+
+  describe('findWorkoutsInBatches', () => {
+    it('should page through workouts with a cursor', async () => {
+      prisma.workout.findMany
+        .mockResolvedValueOnce([{ id: 1 }, { id: 2 }])
+        .mockResolvedValueOnce([{ id: 3 }]);
+
+      const workouts = [];
+      for await (const workout of findWorkoutsInBatches(prisma, 1, 2)) workouts.push(workout);
+
+      expect(workouts.map(workout => workout.id)).toEqual([1, 2, 3]);
+      expect(prisma.workout.findMany).toHaveBeenCalledTimes(2);
+      expect(prisma.workout.findMany.mock.calls[0][0]).not.toHaveProperty('cursor');
+      expect(prisma.workout.findMany.mock.calls[1][0]).toMatchObject({
+        where: { userId: 1 },
+        take: 2,
+        cursor: { id: 2 },
+        skip: 1
+      });
+    });
+  });
+
+  describe('jsonExportChunks', () => {
+    it('should stream one parseable versioned document', async () => {
+      prisma.sessionTemplate.findMany
+        .mockResolvedValueOnce([{ id: 3, name: 'Push Day', description: null, sharedBy: null, templateExercises: [] }])
+        .mockResolvedValueOnce([{ id: 3, name: 'Push Day' }]);
+      prisma.exerciseTemplate.findMany.mockResolvedValue([
+        { id: 20, userId: 1, name: 'Pause Squat', aliases: ['Paused Squat'], category: null, muscleGroups: 'Quads', instructions: null }
+      ]);
+      prisma.workout.findMany.mockResolvedValue([workoutRecord]);
+      prisma.weightEntry.findMany.mockResolvedValue([
+        { id: 5, userId: 1, date: new Date('2025-01-06T00:00:00.000Z'), weight: 82.4, bodyFat: 18.5 }
+      ]);
+      prisma.bodyMeasurement.findMany.mockResolvedValue([
+        { id: 6, userId: 1, date: new Date('2025-01-06T00:00:00.000Z'), site: 'waist', value: 84 }
+      ]);
+      prisma.cardioEntry.findMany.mockResolvedValue([
+        { id: 10, userId: 1, workoutId: null, activityType: 'RUN', date: new Date('2025-01-07T07:00:00.000Z'), durationSeconds: 1800, distanceMeters: 5000, avgHeartRate: null, calories: 400, notes: 'Easy', intervals: [] }
+      ]);
+      prisma.equipmentProfile.findUnique.mockResolvedValue({
+        id: 4, userId: 1, weightUnit: 'lb', barWeight: 45, plates: [45, 25, 10], dumbbellIncrement: 5, machineIncrement: 10
+      });
+
+      const text = await collect(jsonExportChunks(
+        prisma,
+        { id: 1, username: 'lifter', name: 'Lifter', weightUnit: 'lb', defaultRestSeconds: 120, weekStartDay: 0, timeZone: 'America/New_York' },
+        { exportedAt: new Date('2025-02-01T00:00:00.000Z') }
+      ));
+
+      expect(JSON.parse(text)).toEqual({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: '2025-02-01T00:00:00.000Z',
+        user: { username: 'lifter', name: 'Lifter' },
+        preferences: { weightUnit: 'lb', defaultRestSeconds: 120, weekStartDay: 0, timeZone: 'America/New_York' },
+        equipment: { weightUnit: 'lb', barWeight: 45, plates: [45, 25, 10], dumbbellIncrement: 5, machineIncrement: 10 },
+        exerciseLibrary: [
+          { name: 'Pause Squat', aliases: ['Paused Squat'], category: null, muscleGroups: 'Quads', instructions: null }
+        ],
+        templates: [{ name: 'Push Day', description: null, sharedBy: null, exercises: [] }],
+        programs: [],
+        bodyweight: [{ date: '2025-01-06', weight: 82.4, bodyFat: 18.5 }],
+        measurements: [{ date: '2025-01-06', site: 'waist', value: 84 }],
+        cardio: [
+          { activityType: 'RUN', date: '2025-01-07T07:00:00.000Z', durationSeconds: 1800, distanceMeters: 5000, avgHeartRate: null, calories: 400, notes: 'Easy', intervals: [] }
+        ],
+        workouts: [serializedWorkout]
+      });
+      // Cardio attached to a workout is exported with the workout
+      expect(prisma.cardioEntry.findMany.mock.calls[0][0].where).toEqual({ userId: 1, workoutId: null });
+    });
+
+    it('should produce valid JSON when there are no workouts', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([]);
+      prisma.exerciseTemplate.findMany.mockResolvedValue([]);
+      prisma.workout.findMany.mockResolvedValue([]);
+
+      const text = await collect(jsonExportChunks(prisma, { id: 1, username: 'lifter', name: 'Lifter' }));
+
+      expect(JSON.parse(text).workouts).toEqual([]);
+      // Users on the standard equipment have no profile to export
+      expect(JSON.parse(text).equipment).toBeNull();
+    });
+  });
+
+  describe('csvExportChunks', () => {
+    it('should stream a header and one row per set', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 3, name: 'Push Day' }]);
+      prisma.workout.findMany.mockResolvedValue([workoutRecord]);
+
+      const lines = (await collect(csvExportChunks(prisma, { id: 1 }))).trim().split('\n');
+
+      expect(lines[0]).toBe(SET_CSV_COLUMNS.join(','));
+      expect(lines).toHaveLength(3);
+    });
+  });
+
+  describe('createExportStream', () => {
+    it('should encode chunks into a readable byte stream', async () => {
+      async function* chunks() {
+        yield 'a,';
+        yield 'b';
+      }
+
+      const text = await new Response(createExportStream(chunks())).text();
+
+      expect(text).toBe('a,b');
+    });
+  });
+
+  describe('restoreExportDocument', () => {
+    const document = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exerciseLibrary: [
+        { name: 'Pause Squat', aliases: [], category: null, muscleGroups: null, instructions: null },
+        { name: 'Bench Press Variation', aliases: [] }
+      ],
+      templates: [
+        { name: 'Push Day', description: null, sharedBy: null, exercises: [] },
+        { name: 'Legs', description: 'Heavy', sharedBy: null, exercises: [{ exerciseName: 'Pause Squat', defaultSets: 3, orderIndex: 0 }] }
+      ],
+      programs: [
+        { name: 'Block', description: null, weeks: 4, days: [{ template: 'Legs', label: null, overrides: [] }] },
+        { name: 'Old Block', description: null, weeks: 2, days: [{ template: 'Deleted', label: null, overrides: [] }] }
+      ],
+      workouts: [
+        serializedWorkout,
+        { ...serializedWorkout, title: 'Legs', template: 'Legs', program: { name: 'Block', week: 1, day: 1 }, swaps: [], exercises: [
+          { name: 'Pause Squat', libraryExercise: 'Pause Squat', restSeconds: null, notes: null, orderIndex: 0, sets: [{ reps: 3, weight: 120, rpe: 9, setType: 'WORKING', completed: false }] }
+        ] }
+      ]
+    };
+
+    beforeEach(() => {
+      prisma.exerciseTemplate.findMany.mockResolvedValue([
+        { id: 2, userId: null, name: 'Bench Press', aliases: [] },
+        { id: 21, userId: 1, name: 'Bench Press Variation', aliases: [] }
+      ]);
+      prisma.exerciseTemplate.create.mockResolvedValue({ id: 20, userId: 1, name: 'Pause Squat', aliases: [] });
+      prisma.sessionTemplate.findMany.mockResolvedValue([
+        { id: 3, name: 'Push Day', userId: null },
+        { id: 30, name: 'Push Day', userId: 1 }
+      ]);
+      prisma.sessionTemplate.create.mockResolvedValue({ id: 31, name: 'Legs', userId: 1 });
+      prisma.program.create.mockResolvedValue({ id: 40 });
+      prisma.workout.findMany.mockResolvedValue([
+        { title: 'push, heavy', date: new Date('2025-01-06T00:00:00.000Z') }
+      ]);
+    });
+
+    it('should add missing library entries and templates and skip duplicate workouts', async () => {
+      const result = await restoreExportDocument(prisma, 1, document);
+
+      expect(result).toEqual({
+        workouts: 1,
+        skippedDuplicates: 1,
+        templates: 1,
+        programs: 1,
+        exerciseLibrary: 1,
+        bodyweight: 0,
+        measurements: 0,
+        cardio: 0,
+        preferences: false,
+        equipment: false
+      });
+      expect(prisma.weightEntry.createMany).not.toHaveBeenCalled();
+      expect(prisma.equipmentProfile.createMany).not.toHaveBeenCalled();
+      expect(prisma.exerciseTemplate.create).toHaveBeenCalledTimes(1);
+      expect(prisma.exerciseTemplate.create).toHaveBeenCalledWith({
+        data: { userId: 1, name: 'Pause Squat', aliases: [], category: null, muscleGroups: null, instructions: null, trackingMode: 'WEIGHT_REPS' }
+      });
+      expect(prisma.sessionTemplate.create).toHaveBeenCalledTimes(1);
+      expect(prisma.sessionTemplate.create.mock.calls[0][0].data).toMatchObject({
+        userId: 1,
+        name: 'Legs',
+        isDefault: false,
+        templateExercises: { create: [expect.objectContaining({ exerciseName: 'Pause Squat', defaultSets: 3 })] }
+      });
+
+      expect(prisma.workout.create).toHaveBeenCalledTimes(1);
+      const { data } = prisma.workout.create.mock.calls[0][0];
+      expect(data).toMatchObject({
+        userId: 1,
+        title: 'Legs',
+        templateId: 31,
+        programId: 40,
+        programWeek: 1,
+        programDay: 1,
+        status: 'COMPLETED',
+        createdAt: new Date('2025-01-06T19:00:00.000Z'),
+        exerciseSwaps: { create: [] }
+      });
+      expect(data.cardioEntries.create).toEqual([
+        {
+          userId: 1,
+          date: new Date('2025-01-06T20:00:00.000Z'),
+          activityType: 'ROW',
+          durationSeconds: 600,
+          distanceMeters: 2500,
+          avgHeartRate: 150,
+          calories: null,
+          notes: null,
+          intervals: {
+            create: [{ orderIndex: 0, durationSeconds: 240, distanceMeters: 1000, restSeconds: 60, avgHeartRate: null }]
+          }
+        }
+      ]);
+      expect(data.exercises.create[0]).toMatchObject({
+        name: 'Pause Squat',
+        exerciseTemplateId: 20,
+        sets: { create: [expect.objectContaining({ reps: 3, weight: 120, rpe: 9, completed: false })] }
+      });
+    });
+
+    it('should restore programs inactive and skip ones whose templates are missing', async () => {
+      await restoreExportDocument(prisma, 1, document);
+
+      expect(prisma.program.create).toHaveBeenCalledTimes(1);
+      expect(prisma.program.create.mock.calls[0][0].data).toMatchObject({
+        userId: 1,
+        name: 'Block',
+        weeks: 4,
+        isActive: false,
+        days: { create: [{ dayNumber: 1, templateId: 31, label: null, overrides: { create: [] } }] }
+      });
+    });
+
+    it('should keep programs that already exist by name', async () => {
+      prisma.program.findMany.mockResolvedValue([{ id: 8, name: 'Block' }]);
+
+      const result = await restoreExportDocument(prisma, 1, document);
+
+      expect(result.programs).toBe(0);
+      expect(prisma.program.create).not.toHaveBeenCalled();
+      expect(prisma.workout.create.mock.calls[0][0].data.programId).toBe(8);
+    });
+
+    it('should add body metrics for days that have none yet', async () => {
+      prisma.weightEntry.createMany.mockResolvedValue({ count: 1 });
+      prisma.bodyMeasurement.createMany.mockResolvedValue({ count: 2 });
+
+      const result = await restoreExportDocument(prisma, 1, {
+        ...document,
+        bodyweight: [{ date: '2025-01-06', weight: 82.4, bodyFat: null }],
+        measurements: [
+          { date: '2025-01-06', site: 'waist', value: 84 },
+          { date: '2025-01-06', site: 'chest', value: 104 }
+        ]
+      });
+
+      expect(result).toMatchObject({ bodyweight: 1, measurements: 2 });
+      expect(prisma.weightEntry.createMany).toHaveBeenCalledWith({
+        data: [{ userId: 1, date: new Date('2025-01-06T00:00:00.000Z'), weight: 82.4, bodyFat: null }],
+        skipDuplicates: true
+      });
+      expect(prisma.bodyMeasurement.createMany.mock.calls[0][0]).toMatchObject({
+        data: [
+          { userId: 1, site: 'waist', value: 84 },
+          { userId: 1, site: 'chest', value: 104 }
+        ],
+        skipDuplicates: true
+      });
+    });
+
+    it('should leave the user\'s preferences alone unless asked to apply them', async () => {
+      const withPreferences = {
+        ...document,
+        preferences: { weightUnit: 'lb', defaultRestSeconds: 120, weekStartDay: 0, timeZone: null }
+      };
+
+      expect((await restoreExportDocument(prisma, 1, withPreferences)).preferences).toBe(false);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+
+      const result = await restoreExportDocument(prisma, 1, withPreferences, { applyPreferences: true });
+
+      expect(result.preferences).toBe(true);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { weightUnit: 'lb', defaultRestSeconds: 120, weekStartDay: 0, timeZone: null }
+      });
+    });
+
+    it('should round-trip preferences through an export', async () => {
+      const user = { id: 1, username: 'lifter', name: 'Lifter', weightUnit: 'lb', defaultRestSeconds: 150, weekStartDay: 6, timeZone: 'Asia/Tokyo' };
+      prisma.workout.findMany.mockResolvedValueOnce([]);
+      const exported = JSON.parse(await collect(jsonExportChunks(prisma, user)));
+
+      expect(validateExportDocument(exported).isValid).toBe(true);
+      await restoreExportDocument(prisma, 2, exported, { applyPreferences: true });
+
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { weightUnit: 'lb', defaultRestSeconds: 150, weekStartDay: 6, timeZone: 'Asia/Tokyo' }
+      });
+    });
+
+    it('should add the equipment unless the user has their own', async () => {
+      prisma.equipmentProfile.createMany.mockResolvedValue({ count: 1 });
+      const withEquipment = {
+        ...document,
+        equipment: { weightUnit: 'lb', barWeight: 45, plates: [10, 45, 25, 45], dumbbellIncrement: 5, machineIncrement: 10 }
+      };
+
+      expect((await restoreExportDocument(prisma, 1, withEquipment)).equipment).toBe(true);
+      expect(prisma.equipmentProfile.createMany).toHaveBeenCalledWith({
+        data: [{ userId: 1, weightUnit: 'lb', barWeight: 45, plates: [45, 25, 10], dumbbellIncrement: 5, machineIncrement: 10 }],
+        skipDuplicates: true
+      });
+
+      prisma.equipmentProfile.createMany.mockResolvedValue({ count: 0 });
+      expect((await restoreExportDocument(prisma, 1, withEquipment)).equipment).toBe(false);
+    });
+
+    it('should round-trip the equipment through an export', async () => {
+      const equipment = { id: 4, userId: 1, weightUnit: 'kg', barWeight: 15, plates: [20, 10, 5, 1.25], dumbbellIncrement: 2.5, machineIncrement: 4.5 };
+      prisma.equipmentProfile.findUnique.mockResolvedValue(equipment);
+      prisma.equipmentProfile.createMany.mockResolvedValue({ count: 1 });
+      prisma.workout.findMany.mockResolvedValueOnce([]);
+      const exported = JSON.parse(await collect(jsonExportChunks(prisma, { id: 1, username: 'lifter', name: 'Lifter' })));
+
+      expect(validateExportDocument(exported).isValid).toBe(true);
+      await restoreExportDocument(prisma, 2, exported);
+
+      expect(prisma.equipmentProfile.createMany.mock.calls[0][0].data).toEqual([
+        { userId: 2, weightUnit: 'kg', barWeight: 15, plates: [20, 10, 5, 1.25], dumbbellIncrement: 2.5, machineIncrement: 4.5 }
+      ]);
+    });
+
+    it('should add standalone cardio not logged yet', async () => {
+      prisma.cardioEntry.findMany.mockResolvedValue([
+        { activityType: 'RUN', date: new Date('2025-01-07T07:00:00.000Z') }
+      ]);
+
+      const result = await restoreExportDocument(prisma, 1, {
+        ...document,
+        cardio: [
+          { activityType: 'RUN', date: '2025-01-07T07:00:00.000Z', durationSeconds: 1800, intervals: [] },
+          { activityType: 'CYCLE', date: '2025-01-08T07:00:00.000Z', durationSeconds: 2700, calories: 500, intervals: [] }
+        ]
+      });
+
+      expect(result.cardio).toBe(1);
+      expect(prisma.cardioEntry.create).toHaveBeenCalledTimes(1);
+      expect(prisma.cardioEntry.create.mock.calls[0][0].data).toMatchObject({
+        userId: 1,
+        activityType: 'CYCLE',
+        date: new Date('2025-01-08T07:00:00.000Z'),
+        durationSeconds: 2700,
+        calories: 500
+      });
+      expect(prisma.cardioEntry.create.mock.calls[0][0].data).not.toHaveProperty('workoutId');
+    });
+
+    it('should restore duplicates and swaps when skipDuplicates is false', async () => {
+      const result = await restoreExportDocument(prisma, 1, document, { skipDuplicates: false });
+
+      expect(result.workouts).toBe(2);
+      expect(prisma.workout.findMany).not.toHaveBeenCalled();
+
+      const { data } = prisma.workout.create.mock.calls[0][0];
+      // The user's own template wins over the default with the same name
+      expect(data.templateId).toBe(30);
+      expect(data.exercises.create[0].exerciseTemplateId).toBe(2);
+      expect(data.exerciseSwaps.create).toEqual([
+        {
+          originalExerciseName: 'Incline Bench',
+          swappedExerciseName: 'Incline Dumbbell Press',
+          reason: 'Bench taken',
+          createdAt: new Date('2025-01-06T19:30:00.000Z')
+        }
+      ]);
+    });
+  });
+});
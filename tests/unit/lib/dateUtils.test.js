@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidTimeZone,
+  formatDateToLocal,
+  getLocalDateKey,
+  isSameLocalDay
+} from '@/lib/dateUtils';
+
+describe('Date Utilities', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA time zones and reject anything else', () => {
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+  });
+
+  describe('formatDateToLocal', () => {
+    it('should format the date in the given time zone', () => {
+      const date = new Date('2025-01-01T03:00:00Z');
+
+      expect(formatDateToLocal(date, 'UTC')).toBe('2025-01-01');
+      expect(formatDateToLocal(date, 'America/New_York')).toBe('2024-12-31');
+      expect(getLocalDateKey('2025-01-01T23:30:00Z', 'Asia/Tokyo')).toBe('2025-01-02');
+    });
+
+    it('should fall back to the runtime time zone without a valid one', () => {
+      const date = new Date(2025, 5, 15, 12);
+
+      expect(formatDateToLocal(date)).toBe('2025-06-15');
+      expect(formatDateToLocal(date, 'Not/AZone')).toBe('2025-06-15');
+    });
+  });
+
+  describe('isSameLocalDay', () => {
+    it('should compare days in the given time zone', () => {
+      const lateEvening = '2025-01-01T23:00:00Z';
+      const nextMorning = '2025-01-02T01:00:00Z';
+
+      expect(isSameLocalDay(lateEvening, nextMorning, 'UTC')).toBe(false);
+      expect(isSameLocalDay(lateEvening, nextMorning, 'America/Chicago')).toBe(true);
+    });
+  });
+});
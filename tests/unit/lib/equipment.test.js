@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEquipmentType,
+  getEquipmentProfile,
+  loadEquipmentProfile,
+  calculatePlates,
+  roundToLoadable,
+  getNextLoadable,
+  getLoadableChange,
+  createLoadRounder
+} from '@/lib/equipment';
+import { buildExerciseLookup } from '@/lib/exercise-library';
+import { prisma } from '@/lib/prisma';
+
+const kg = getEquipmentProfile(null, 'kg');
+const lb = getEquipmentProfile(null, 'lb');
+
+describe('Equipment', () => {
+  describe('getEquipmentType', () => {
+    it('should map library categories to equipment', () => {
+      expect(getEquipmentType('Barbell')).toBe('barbell');
+      expect(getEquipmentType('Dumbbell')).toBe('dumbbell');
+      expect(getEquipmentType('Cable')).toBe('machine');
+      expect(getEquipmentType('Bodyweight')).toBeNull();
+      expect(getEquipmentType(undefined)).toBeNull();
+    });
+  });
+
+  describe('getEquipmentProfile', () => {
+    it('should fall back to a standard gym for the unit', () => {
+      expect(kg).toEqual({
+        weightUnit: 'kg',
+        barWeight: 20,
+        plates: [25, 20, 15, 10, 5, 2.5, 1.25],
+        dumbbellIncrement: 2,
+        machineIncrement: 5
+      });
+      expect(lb.barWeight).toBe(45);
+    });
+
+    it('should convert a profile to the unit and sort its plates', () => {
+      const equipment = getEquipmentProfile({
+        weightUnit: 'lb',
+        barWeight: 45,
+        plates: [10, 45],
+        dumbbellIncrement: 5,
+        machineIncrement: 10
+      }, 'kg');
+
+      expect(equipment).toEqual({
+        weightUnit: 'kg',
+        barWeight: 20.41,
+        plates: [20.41, 4.54],
+        dumbbellIncrement: 2.27,
+        machineIncrement: 4.54
+      });
+    });
+  });
+
+  describe('loadEquipmentProfile', () => {
+    it('should load the user\'s profile in their unit', async () => {
+      prisma.equipmentProfile.findUnique.mockResolvedValue({
+        weightUnit: 'kg',
+        barWeight: 15,
+        plates: [10, 5],
+        dumbbellIncrement: 1,
+        machineIncrement: 2.5
+      });
+
+      const equipment = await loadEquipmentProfile(prisma, 1, 'kg');
+
+      expect(equipment.barWeight).toBe(15);
+      expect(prisma.equipmentProfile.findUnique).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+  });
+
+  describe('calculatePlates', () => {
+    it('should load each side with the fewest plates, heaviest first', () => {
+      expect(calculatePlates(100, kg)).toEqual({ weight: 100, barWeight: 20, perSide: [25, 15], exact: true });
+      expect(calculatePlates(225, lb).perSide).toEqual([45, 45]);
+    });
+
+    it('should fall back to the nearest weight the plates can make', () => {
+      expect(calculatePlates(101, kg)).toMatchObject({ weight: 100, exact: false });
+      expect(calculatePlates(15, kg)).toMatchObject({ weight: 20, perSide: [], exact: false });
+    });
+
+    it('should combine plates when the heaviest one overshoots', () => {
+      const equipment = { ...kg, plates: [15, 10] };
+
+      expect(calculatePlates(60, equipment).perSide).toEqual([10, 10]);
+    });
+  });
+
+  describe('roundToLoadable', () => {
+    it('should round to the equipment\'s steps', () => {
+      expect(roundToLoadable(101.3, kg, 'barbell')).toBe(102.5);
+      expect(roundToLoadable(23, kg, 'dumbbell')).toBe(24);
+      expect(roundToLoadable(101.3, kg, 'machine')).toBe(100);
+      expect(roundToLoadable(81.3, kg, null)).toBe(82.5);
+    });
+
+    it('should leave blank weights alone', () => {
+      expect(roundToLoadable('', kg, 'barbell')).toBe('');
+      expect(roundToLoadable(0, kg, 'machine')).toBe(0);
+    });
+  });
+
+  describe('getNextLoadable', () => {
+    it('should find the next load either way', () => {
+      expect(getNextLoadable(100, kg, 'barbell', 1)).toBe(102.5);
+      expect(getNextLoadable(100, kg, 'barbell', -1)).toBe(97.5);
+      expect(getNextLoadable(20, kg, 'barbell', -1)).toBe(20);
+      expect(getNextLoadable(24, kg, 'dumbbell', 1)).toBe(26);
+    });
+  });
+
+  describe('getLoadableChange', () => {
+    it('should keep changes the equipment can make', () => {
+      expect(getLoadableChange(100, 2.5, kg, 'barbell')).toBe(2.5);
+    });
+
+    it('should grow changes too small to load to the next step', () => {
+      expect(getLoadableChange(100, 2.5, kg, 'machine')).toBe(5);
+      expect(getLoadableChange(100, -2.5, kg, 'machine')).toBe(-5);
+      expect(getLoadableChange(24, 2.5, kg, 'dumbbell')).toBe(2);
+    });
+
+    it('should pass changes through without a weight', () => {
+      expect(getLoadableChange(0, 2.5, kg, 'machine')).toBe(2.5);
+      expect(getLoadableChange(100, 0, kg, 'machine')).toBe(0);
+    });
+  });
+
+  describe('createLoadRounder', () => {
+    it('should round by the equipment of each exercise\'s library entry', () => {
+      const library = buildExerciseLookup([
+        { id: 1, name: 'Leg Press', category: 'Machine', aliases: [] }
+      ]);
+      const roundLoad = createLoadRounder(kg, library);
+
+      expect(roundLoad(143, 'Leg Press')).toBe(145);
+      expect(roundLoad(143, 'Unknown Lift')).toBe(142.5);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toExerciseGroupFields,
+  getGroupLetter,
+  getExerciseBlocks,
+  getExerciseLabels,
+  normalizeExerciseGroups,
+  groupWithNext,
+  ungroupExercise,
+  moveGroupedExercise,
+  updateExerciseGroup,
+  getGroupRounds
+} from '@/lib/exercise-groups';
+
+const exercise = (name, groupNumber = null, extra = {}) => ({
+  name,
+  groupNumber,
+  groupType: groupNumber ? 'SUPERSET' : null,
+  restSeconds: 90,
+  ...extra
+});
+
+const names = (exercises) => exercises.map((ex) => `${ex.name}:${ex.groupNumber ?? '-'}`);
+
+describe('exercise-groups', () => {
+  describe('toExerciseGroupFields', () => {
+    it('should keep a valid group and default its type', () => {
+      expect(toExerciseGroupFields({ groupNumber: 2, groupType: 'CIRCUIT' })).toEqual({ groupNumber: 2, groupType: 'CIRCUIT' });
+      expect(toExerciseGroupFields({ groupNumber: 1 })).toEqual({ groupNumber: 1, groupType: 'SUPERSET' });
+    });
+
+    it('should clear the type of an ungrouped exercise', () => {
+      expect(toExerciseGroupFields({ groupType: 'CIRCUIT' })).toEqual({ groupNumber: null, groupType: null });
+      expect(toExerciseGroupFields({ groupNumber: 0 })).toEqual({ groupNumber: null, groupType: null });
+    });
+  });
+
+  describe('getGroupLetter', () => {
+    it('should letter groups A to Z, then AA', () => {
+      expect(getGroupLetter(0)).toBe('A');
+      expect(getGroupLetter(25)).toBe('Z');
+      expect(getGroupLetter(26)).toBe('AA');
+      expect(getGroupLetter(27)).toBe('AB');
+    });
+  });
+
+  describe('getExerciseBlocks', () => {
+    it('should gather consecutive exercises sharing a group', () => {
+      const blocks = getExerciseBlocks([
+        exercise('Squat'),
+        exercise('Bench', 4, { groupType: 'CIRCUIT' }),
+        exercise('Row', 4),
+        exercise('Curl')
+      ]);
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[1]).toMatchObject({ groupNumber: 4, groupType: 'CIRCUIT', letter: 'A' });
+      expect(blocks[1].members.map(({ index, label }) => [index, label])).toEqual([[1, 'A1'], [2, 'A2']]);
+      expect(blocks[2].members[0]).toMatchObject({ index: 3, label: null });
+    });
+
+    it('should treat a lone grouped exercise as ungrouped', () => {
+      expect(getExerciseLabels([exercise('Squat', 1), exercise('Bench')])).toEqual([null, null]);
+    });
+  });
+
+  describe('normalizeExerciseGroups', () => {
+    it('should renumber groups and share the first exercise\'s type and rest', () => {
+      const result = normalizeExerciseGroups([
+        exercise('Bench', 5, { groupType: 'GIANT_SET', restSeconds: 120 }),
+        exercise('Row', 5, { restSeconds: 30 }),
+        exercise('Squat', 9)
+      ]);
+
+      expect(result.map(({ groupNumber, groupType, restSeconds }) => [groupNumber, groupType, restSeconds])).toEqual([
+        [1, 'GIANT_SET', 120],
+        [1, 'GIANT_SET', 120],
+        [null, null, 90]
+      ]);
+    });
+  });
+
+  describe('groupWithNext', () => {
+    it('should start a superset from two ungrouped exercises', () => {
+      const result = groupWithNext([exercise('Bench'), exercise('Row'), exercise('Curl')], 0);
+
+      expect(names(result)).toEqual(['Bench:1', 'Row:1', 'Curl:-']);
+      expect(result[0].groupType).toBe('SUPERSET');
+    });
+
+    it('should extend a group and join two groups', () => {
+      const extended = groupWithNext([exercise('Bench', 1), exercise('Row', 1), exercise('Curl')], 1);
+      expect(names(extended)).toEqual(['Bench:1', 'Row:1', 'Curl:1']);
+
+      const joined = groupWithNext([exercise('A', 1), exercise('B', 1), exercise('C', 2), exercise('D', 2)], 1);
+      expect(names(joined)).toEqual(['A:1', 'B:1', 'C:1', 'D:1']);
+    });
+  });
+
+  describe('ungroupExercise', () => {
+    it('should split a group around a middle exercise', () => {
+      const result = ungroupExercise([
+        exercise('A', 1), exercise('B', 1), exercise('C', 1), exercise('D', 1), exercise('E', 1)
+      ], 2);
+
+      expect(names(result)).toEqual(['A:1', 'B:1', 'C:-', 'D:2', 'E:2']);
+    });
+
+    it('should dissolve a group left with one exercise', () => {
+      expect(names(ungroupExercise([exercise('A', 1), exercise('B', 1)], 0))).toEqual(['A:-', 'B:-']);
+    });
+  });
+
+  describe('moveGroupedExercise', () => {
+    const exercises = [exercise('Squat'), exercise('Bench', 1), exercise('Row', 1), exercise('Curl')];
+
+    it('should swap places within a group', () => {
+      expect(names(moveGroupedExercise(exercises, 2, 'up'))).toEqual(['Squat:-', 'Row:1', 'Bench:1', 'Curl:-']);
+    });
+
+    it('should jump an ungrouped exercise over a whole group', () => {
+      expect(names(moveGroupedExercise(exercises, 0, 'down'))).toEqual(['Bench:1', 'Row:1', 'Squat:-', 'Curl:-']);
+      expect(names(moveGroupedExercise(exercises, 3, 'up'))).toEqual(['Squat:-', 'Curl:-', 'Bench:1', 'Row:1']);
+    });
+
+    it('should step out of the group at its edge', () => {
+      const result = moveGroupedExercise([exercise('A', 1), exercise('B', 1), exercise('C', 1), exercise('D')], 2, 'down');
+
+      expect(names(result)).toEqual(['A:1', 'B:1', 'C:-', 'D:-']);
+    });
+
+    it('should leave the first and last exercises in place at the ends', () => {
+      expect(names(moveGroupedExercise(exercises, 0, 'up'))).toEqual(names(exercises));
+    });
+  });
+
+  describe('updateExerciseGroup', () => {
+    it('should change every exercise in the group', () => {
+      const result = updateExerciseGroup([exercise('A', 1), exercise('B', 1), exercise('C')], 1, { restSeconds: 60 });
+
+      expect(result.map((ex) => ex.restSeconds)).toEqual([60, 60, 90]);
+    });
+  });
+
+  describe('getGroupRounds', () => {
+    it('should count one round per set of the longest exercise', () => {
+      const [block] = getExerciseBlocks([
+        exercise('A', 1, { sets: [{}, {}] }),
+        exercise('B', 1, { sets: [{}, {}, {}] })
+      ]);
+
+      expect(getGroupRounds(block.members)).toBe(3);
+    });
+  });
+});
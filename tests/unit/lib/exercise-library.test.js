@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeExerciseName,
+  normalizeAliases,
+  canViewExerciseTemplate,
+  canEditExerciseTemplate,
+  matchesExerciseSearch,
+  buildExerciseLookup,
+  findExerciseTemplate,
+  resolveExerciseTemplateId,
+  unlinkedExercisesWhere
+} from '@/lib/exercise-library';
+
+const backSquat = { id: 1, userId: null, name: 'Back Squat', aliases: ['Squats', 'BB Squat'] };
+const frontSquat = { id: 2, userId: null, name: 'Front Squat', aliases: [] };
+const mySquat = { id: 3, userId: 1, name: 'Squats', aliases: ['Safety Bar Squat'] };
+
+describe('Exercise Library', () => {
+  describe('normalizeExerciseName', () => {
+    it('should lowercase, trim and collapse whitespace', () => {
+      expect(normalizeExerciseName('  BB   Squat ')).toBe('bb squat');
+      expect(normalizeExerciseName(undefined)).toBe('');
+    });
+  });
+
+  describe('normalizeAliases', () => {
+    it('should drop blanks, duplicates and the canonical name', () => {
+      expect(normalizeAliases(['Squats', ' squats ', '', 'Back Squat', 'BB  Squat'], 'Back Squat'))
+        .toEqual(['Squats', 'BB Squat']);
+    });
+
+    it('should accept a comma-separated string', () => {
+      expect(normalizeAliases('OHP, Military Press', 'Overhead Press')).toEqual(['OHP', 'Military Press']);
+    });
+  });
+
+  describe('access rules', () => {
+    it('should let everyone view system entries but only owners edit', () => {
+      expect(canViewExerciseTemplate(backSquat, 1)).toBe(true);
+      expect(canEditExerciseTemplate(backSquat, 1)).toBe(false);
+      expect(canViewExerciseTemplate(mySquat, 1)).toBe(true);
+      expect(canEditExerciseTemplate(mySquat, 1)).toBe(true);
+      expect(canViewExerciseTemplate(mySquat, 2)).toBe(false);
+      expect(canEditExerciseTemplate(null, 1)).toBe(false);
+    });
+  });
+
+  describe('matchesExerciseSearch', () => {
+    it('should match on name or alias', () => {
+      expect(matchesExerciseSearch(backSquat, 'back')).toBe(true);
+      expect(matchesExerciseSearch(backSquat, 'bb sq')).toBe(true);
+      expect(matchesExerciseSearch(frontSquat, 'bb')).toBe(false);
+      expect(matchesExerciseSearch(frontSquat, '')).toBe(true);
+    });
+  });
+
+  describe('buildExerciseLookup', () => {
+    it('should resolve names and aliases to one entry', () => {
+      const lookup = buildExerciseLookup([backSquat, frontSquat]);
+
+      expect(findExerciseTemplate(lookup, 'Squats')).toBe(backSquat);
+      expect(findExerciseTemplate(lookup, 'back squat')).toBe(backSquat);
+      expect(findExerciseTemplate(lookup, 'BB Squat')).toBe(backSquat);
+      expect(findExerciseTemplate(lookup, 'Goblet Squat')).toBeNull();
+    });
+
+    it('should prefer the user\'s own entries over system aliases', () => {
+      const lookup = buildExerciseLookup([mySquat, backSquat]);
+
+      expect(findExerciseTemplate(lookup, 'Squats')).toBe(mySquat);
+      expect(findExerciseTemplate(lookup, 'BB Squat')).toBe(backSquat);
+    });
+
+    it('should handle a missing list', () => {
+      expect(findExerciseTemplate(buildExerciseLookup(undefined), 'Squats')).toBeNull();
+    });
+  });
+
+  describe('resolveExerciseTemplateId', () => {
+    const lookup = buildExerciseLookup([backSquat, frontSquat]);
+
+    it('should use a picked entry the user can see', () => {
+      expect(resolveExerciseTemplateId(lookup, { name: 'Squats', exerciseTemplateId: 2 })).toBe(2);
+    });
+
+    it('should fall back to the name when the picked entry is not visible', () => {
+      expect(resolveExerciseTemplateId(lookup, { name: 'Squats', exerciseTemplateId: 99 })).toBe(1);
+    });
+
+    it('should leave unknown exercises unlinked', () => {
+      expect(resolveExerciseTemplateId(lookup, { name: 'Goblet Squat' })).toBeNull();
+      expect(resolveExerciseTemplateId(null, { name: 'Squats' })).toBeNull();
+    });
+  });
+
+  describe('unlinkedExercisesWhere', () => {
+    it('should match unlinked exercises by name or alias for one user', () => {
+      expect(unlinkedExercisesWhere(backSquat, 1)).toEqual({
+        exerciseTemplateId: null,
+        workout: { userId: 1 },
+        OR: [
+          { name: { equals: 'Back Squat', mode: 'insensitive' } },
+          { name: { equals: 'Squats', mode: 'insensitive' } },
+          { name: { equals: 'BB Squat', mode: 'insensitive' } }
+        ]
+      });
+    });
+
+    it('should match every user when no user is given', () => {
+      expect(unlinkedExercisesWhere(frontSquat)).not.toHaveProperty('workout');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toExerciseSetRows,
+  toApiSet,
+  withApiSets,
+  buildExerciseCreateData
+} from '@/lib/exercise-sets';
+import { buildExerciseLookup } from '@/lib/exercise-library';
+import { createMockExercise, createMockExerciseSet } from '../../fixtures/workout.js';
+
+describe('Exercise Set Storage', () => {
+  describe('toExerciseSetRows', () => {
+    it('should number sets in order and normalize values', () => {
+      const rows = toExerciseSetRows([
+        { reps: '8', weight: '62.5', rpe: '8' },
+        { reps: 6, weight: null, completed: false, setType: 'DROP' }
+      ]);
+
+      expect(rows).toEqual([
+        { orderIndex: 0, reps: 8, weight: 62.5, weightUnit: 'kg', durationSeconds: null, distanceMeters: null, rpe: 8, setType: 'WORKING', completed: true },
+        { orderIndex: 1, reps: 6, weight: null, weightUnit: 'kg', durationSeconds: null, distanceMeters: null, rpe: null, setType: 'DROP', completed: false }
+      ]);
+    });
+
+    it('should keep each set\'s own unit and default the rest to the given one', () => {
+      const rows = toExerciseSetRows([
+        { reps: 5, weight: 100, weightUnit: 'kg' },
+        { reps: 5, weight: 225 },
+        { reps: 5, weight: 225, weightUnit: 'stone' }
+      ], 'lb');
+
+      expect(rows.map((row) => row.weightUnit)).toEqual(['kg', 'lb', 'lb']);
+    });
+
+    it('should store only what the tracking mode records', () => {
+      const [row] = toExerciseSetRows([{ reps: 5, weight: 20, durationSeconds: '1:30', distanceMeters: 400 }], 'kg', 'DURATION');
+
+      expect(row).toMatchObject({ reps: null, weight: 20, durationSeconds: 90, distanceMeters: null });
+    });
+
+    it('should fall back to a working set for unknown set types', () => {
+      const [row] = toExerciseSetRows([{ reps: 5, weight: 100, setType: 'JUNK' }]);
+      expect(row.setType).toBe('WORKING');
+    });
+
+    it('should return an empty array for invalid input', () => {
+      expect(toExerciseSetRows(undefined)).toEqual([]);
+    });
+  });
+
+  describe('toApiSet', () => {
+    it('should strip row bookkeeping fields', () => {
+      const set = toApiSet(createMockExerciseSet(1, { reps: 5, weight: 100, rpe: 9 }));
+
+      expect(set).toEqual({ reps: 5, weight: 100, weightUnit: 'kg', durationSeconds: null, distanceMeters: null, rpe: 9, setType: 'WORKING', completed: true });
+    });
+  });
+
+  describe('withApiSets', () => {
+    it('should convert every set on an exercise', () => {
+      const exercise = withApiSets(createMockExercise(1));
+
+      expect(exercise.name).toBe('Bench Press');
+      expect(exercise.sets).toHaveLength(3);
+      expect(exercise.sets[2]).toEqual({
+        reps: 6,
+        weight: 145,
+        weightUnit: 'kg',
+        durationSeconds: null,
+        distanceMeters: null,
+        rpe: null,
+        setType: 'WORKING',
+        completed: false
+      });
+    });
+  });
+
+  describe('buildExerciseCreateData', () => {
+    it('should nest set rows and default the order index to the position', () => {
+      const data = buildExerciseCreateData(
+        { name: 'Squat', sets: [{ reps: 5, weight: 100 }], notes: '  Belt  ' },
+        3
+      );
+
+      expect(data).toEqual({
+        name: 'Squat',
+        exerciseTemplateId: null,
+        restSeconds: null,
+        notes: 'Belt',
+        orderIndex: 3,
+        groupNumber: null,
+        groupType: null,
+        trackingMode: 'WEIGHT_REPS',
+        sets: {
+          create: [
+            { orderIndex: 0, reps: 5, weight: 100, weightUnit: 'kg', durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WORKING', completed: true }
+          ]
+        }
+      });
+    });
+
+    it('should link the exercise through the library lookup', () => {
+      const library = buildExerciseLookup([
+        { id: 7, userId: null, name: 'Back Squat', aliases: ['Squats', 'BB Squat'] }
+      ]);
+
+      const data = buildExerciseCreateData({ name: 'bb squat', sets: [{ reps: 5 }] }, 0, library);
+
+      expect(data.exerciseTemplateId).toBe(7);
+      expect(data.name).toBe('bb squat');
+    });
+
+    it('should take the tracking mode from the library entry unless one is given', () => {
+      const library = buildExerciseLookup([
+        { id: 8, userId: null, name: 'Plank', aliases: [], trackingMode: 'DURATION' }
+      ]);
+
+      expect(buildExerciseCreateData({ name: 'Plank', sets: [{ durationSeconds: 60 }] }, 0, library).trackingMode).toBe('DURATION');
+      expect(buildExerciseCreateData({ name: 'Plank', trackingMode: 'WEIGHT_REPS', sets: [{ reps: 5 }] }, 0, library).trackingMode).toBe('WEIGHT_REPS');
+    });
+
+    it('should log sets in the given unit', () => {
+      const data = buildExerciseCreateData({ name: 'Squat', sets: [{ reps: 5, weight: 225 }] }, 0, null, 'lb');
+
+      expect(data.sets.create[0]).toMatchObject({ weight: 225, weightUnit: 'lb' });
+    });
+  });
+});
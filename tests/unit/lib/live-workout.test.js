@@ -0,0 +1,248 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_REST_SECONDS,
+  buildLiveExercises,
+  getElapsedSeconds,
+  formatTimer,
+  getRestSeconds,
+  getRestAfterSet,
+  serializeLiveExercises,
+  finalizeLiveExercises
+} from '@/lib/live-workout';
+import { validateExercise } from '@/lib/validations';
+
+describe('Live Workout Utilities', () => {
+  describe('buildLiveExercises', () => {
+    it('should plan sets from the latest logged sets', () => {
+      const result = buildLiveExercises([
+        {
+          name: 'Bench Press',
+          defaultSets: 3,
+          defaultReps: 8,
+          defaultWeight: 60,
+          restSeconds: 120,
+          latestSets: [
+            { reps: 8, weight: 62.5 },
+            { reps: 7, weight: 62.5 }
+          ]
+        }
+      ]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        name: 'Bench Press',
+        restSeconds: 120,
+        orderIndex: 0
+      });
+      expect(result[0].sets).toEqual([
+        { reps: 8, weight: 62.5, durationSeconds: null, distanceMeters: null, rpe: null, completed: false },
+        { reps: 7, weight: 62.5, durationSeconds: null, distanceMeters: null, rpe: null, completed: false }
+      ]);
+    });
+
+    it('should fall back to template defaults when there is no history', () => {
+      const result = buildLiveExercises([
+        { name: 'Squat', defaultSets: 2, defaultReps: 5, defaultWeight: 100, latestSets: [] }
+      ]);
+
+      expect(result[0].sets).toEqual([
+        { reps: 5, weight: 100, durationSeconds: null, distanceMeters: null, rpe: null, completed: false },
+        { reps: 5, weight: 100, durationSeconds: null, distanceMeters: null, rpe: null, completed: false }
+      ]);
+      expect(result[0].restSeconds).toBeNull();
+    });
+
+    it('should plan sets at the target weight when a load target resolved', () => {
+      const result = buildLiveExercises([
+        {
+          name: 'Bench Press',
+          defaultSets: 2,
+          defaultReps: 5,
+          defaultWeight: 82.5,
+          targetWeight: 82.5,
+          latestSets: [{ reps: 8, weight: 60 }]
+        }
+      ]);
+
+      expect(result[0].sets).toEqual([
+        { reps: 5, weight: 82.5, durationSeconds: null, distanceMeters: null, rpe: null, completed: false },
+        { reps: 5, weight: 82.5, durationSeconds: null, distanceMeters: null, rpe: null, completed: false }
+      ]);
+    });
+
+    it('should return an empty array for invalid input', () => {
+      expect(buildLiveExercises(null)).toEqual([]);
+    });
+  });
+
+  describe('getElapsedSeconds', () => {
+    it('should count whole seconds since the start', () => {
+      const start = '2025-01-01T10:00:00Z';
+      const now = new Date('2025-01-01T10:05:30.900Z').getTime();
+
+      expect(getElapsedSeconds(start, now)).toBe(330);
+    });
+
+    it('should never be negative or fail on missing input', () => {
+      const now = new Date('2025-01-01T09:00:00Z').getTime();
+
+      expect(getElapsedSeconds('2025-01-01T10:00:00Z', now)).toBe(0);
+      expect(getElapsedSeconds(null, now)).toBe(0);
+      expect(getElapsedSeconds('not a date', now)).toBe(0);
+    });
+  });
+
+  describe('formatTimer', () => {
+    it('should format minutes and seconds', () => {
+      expect(formatTimer(0)).toBe('0:00');
+      expect(formatTimer(90)).toBe('1:30');
+    });
+
+    it('should include hours for long sessions', () => {
+      expect(formatTimer(3725)).toBe('1:02:05');
+    });
+  });
+
+  describe('getRestSeconds', () => {
+    it('should use the exercise rest time or the default', () => {
+      expect(getRestSeconds({ restSeconds: 180 })).toBe(180);
+      expect(getRestSeconds({ restSeconds: null })).toBe(DEFAULT_REST_SECONDS);
+      expect(getRestSeconds(undefined)).toBe(DEFAULT_REST_SECONDS);
+    });
+
+    it('should fall back to the user\'s default rest time', () => {
+      expect(getRestSeconds({ restSeconds: null }, 120)).toBe(120);
+      expect(getRestSeconds({ restSeconds: 45 }, 120)).toBe(45);
+    });
+  });
+
+  describe('getRestAfterSet', () => {
+    const superset = [
+      { name: 'Bench Press', restSeconds: 90, groupNumber: 1, groupType: 'SUPERSET', sets: [{}, {}, {}] },
+      { name: 'Row', restSeconds: 90, groupNumber: 1, groupType: 'SUPERSET', sets: [{}, {}] },
+      { name: 'Curl', restSeconds: 45, groupNumber: null, groupType: null, sets: [{}] }
+    ];
+
+    it('should skip rest until the last exercise of the round is done', () => {
+      expect(getRestAfterSet(superset, 0, 0)).toBe(0);
+      expect(getRestAfterSet(superset, 1, 0)).toBe(90);
+    });
+
+    it('should rest after a round the later exercises have no set for', () => {
+      expect(getRestAfterSet(superset, 0, 2)).toBe(90);
+    });
+
+    it('should use the exercise rest time outside a group', () => {
+      expect(getRestAfterSet(superset, 2, 0)).toBe(45);
+      expect(getRestAfterSet([{ restSeconds: null, sets: [{}] }], 0, 0, 120)).toBe(120);
+    });
+  });
+
+  describe('serializeLiveExercises', () => {
+    it('should convert input strings to numbers the API accepts', () => {
+      const result = serializeLiveExercises([
+        {
+          name: 'Bench Press',
+          restSeconds: 120,
+          sets: [
+            { reps: '8', weight: '62.5', rpe: null, completed: true },
+            { reps: '8', weight: '', rpe: null, completed: false }
+          ]
+        }
+      ]);
+
+      expect(result[0].sets).toEqual([
+        { reps: 8, weight: 62.5, durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WORKING', completed: true },
+        { reps: 8, weight: null, durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WORKING', completed: false }
+      ]);
+      expect(validateExercise(result[0]).isValid).toBe(true);
+    });
+
+    it('should drop sets without reps and exercises without sets', () => {
+      const result = serializeLiveExercises([
+        { name: 'Squat', sets: [{ reps: '', weight: '100', completed: false }] },
+        { name: 'Row', sets: [{ reps: '10', weight: '50', completed: false }] }
+      ]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ name: 'Row', orderIndex: 0 });
+    });
+
+    it('should keep the unit a set was logged in', () => {
+      const result = serializeLiveExercises([
+        { name: 'Squat', sets: [{ reps: '5', weight: '225', weightUnit: 'lb', completed: true }] }
+      ]);
+
+      expect(result[0].sets[0]).toEqual({ reps: 5, weight: 225, durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WORKING', completed: true, weightUnit: 'lb' });
+    });
+
+    it('should keep the type of each set', () => {
+      const result = serializeLiveExercises([
+        { name: 'Squat', sets: [{ reps: '5', weight: '60', setType: 'WARMUP' }, { reps: '5', weight: '100' }] }
+      ]);
+
+      expect(result[0].sets.map((set) => set.setType)).toEqual(['WARMUP', 'WORKING']);
+    });
+
+    it('should read sets in their exercise\'s tracking mode', () => {
+      const result = serializeLiveExercises([
+        {
+          name: 'Row',
+          trackingMode: 'DISTANCE_DURATION',
+          sets: [
+            { reps: '', weight: '', distanceMeters: '2000', durationSeconds: '7:30', completed: true },
+            { reps: '', weight: '', distanceMeters: '2000', durationSeconds: '', completed: false }
+          ]
+        }
+      ]);
+
+      expect(result[0].trackingMode).toBe('DISTANCE_DURATION');
+      expect(result[0].sets).toEqual([
+        { reps: null, weight: null, durationSeconds: 450, distanceMeters: 2000, rpe: null, setType: 'WORKING', completed: true }
+      ]);
+      expect(validateExercise(result[0]).isValid).toBe(true);
+    });
+  });
+
+  describe('finalizeLiveExercises', () => {
+    it('should keep only completed sets and reindex exercises', () => {
+      const result = finalizeLiveExercises([
+        {
+          name: 'Bench Press',
+          sets: [
+            { reps: 8, weight: 60, rpe: null, completed: false }
+          ],
+          orderIndex: 0
+        },
+        {
+          name: 'Squat',
+          sets: [
+            { reps: 5, weight: 100, rpe: null, completed: true },
+            { reps: 5, weight: 100, rpe: null, completed: false }
+          ],
+          orderIndex: 1
+        }
+      ]);
+
+      expect(result).toEqual([
+        {
+          name: 'Squat',
+          sets: [{ reps: 5, weight: 100, rpe: null }],
+          orderIndex: 0,
+          groupNumber: null,
+          groupType: null
+        }
+      ]);
+    });
+
+    it('should dissolve a group left with one exercise', () => {
+      const result = finalizeLiveExercises([
+        { name: 'Bench Press', groupNumber: 1, groupType: 'SUPERSET', sets: [{ reps: 8, completed: true }] },
+        { name: 'Row', groupNumber: 1, groupType: 'SUPERSET', sets: [{ reps: 10, completed: false }] }
+      ]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ name: 'Bench Press', groupNumber: null, groupType: null });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  roundToIncrement,
+  getLoadFraction,
+  resolveTargetWeight,
+  formatLoadTarget,
+  loadRecentE1RM,
+  resolveTemplateLoadTargets,
+  planTemplateExercises
+} from '@/lib/load-targets';
+import { buildExerciseLookup } from '@/lib/exercise-library';
+import { prisma } from '@/lib/prisma';
+
+describe('Load Targets', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('roundToIncrement', () => {
+    it('should round to the nearest loadable weight', () => {
+      expect(roundToIncrement(81.3)).toBe(82.5);
+      expect(roundToIncrement(81.2)).toBe(80);
+      expect(roundToIncrement(41.3, 1.25)).toBe(41.25);
+      expect(roundToIncrement(0)).toBe(0);
+    });
+  });
+
+  describe('getLoadFraction', () => {
+    it('should use the percentage of e1RM directly', () => {
+      expect(getLoadFraction({ percentE1RM: 80 })).toBe(0.8);
+    });
+
+    it('should treat reps in reserve as extra reps for RPE targets', () => {
+      // RPE 8 for 5 reps is a 7-rep max: 1 / (1 + 7/30)
+      expect(getLoadFraction({ rpe: 8, reps: 5 })).toBeCloseTo(0.8108, 4);
+      expect(getLoadFraction({ rpe: 10, reps: 1 })).toBe(1);
+    });
+
+    it('should return null without a target', () => {
+      expect(getLoadFraction({ reps: 5 })).toBeNull();
+      expect(getLoadFraction()).toBeNull();
+    });
+  });
+
+  describe('resolveTargetWeight', () => {
+    it('should round the targeted share of e1RM to a loadable weight', () => {
+      expect(resolveTargetWeight(140, { percentE1RM: 80 })).toBe(112.5);
+      expect(resolveTargetWeight(140, { rpe: 8, reps: 5 })).toBe(112.5);
+      expect(resolveTargetWeight(140, { percentE1RM: 80 }, 5)).toBe(110);
+    });
+
+    it('should round with a function given one', () => {
+      expect(resolveTargetWeight(140, { percentE1RM: 80 }, (weight) => Math.floor(weight))).toBe(112);
+    });
+
+    it('should return null without history or a target', () => {
+      expect(resolveTargetWeight(0, { percentE1RM: 80 })).toBeNull();
+      expect(resolveTargetWeight(140, {})).toBeNull();
+    });
+  });
+
+  describe('formatLoadTarget', () => {
+    it('should describe the target', () => {
+      expect(formatLoadTarget({ targetPercentE1RM: 80 })).toBe('80% e1RM');
+      expect(formatLoadTarget({ targetRpe: 8 })).toBe('RPE 8');
+      expect(formatLoadTarget({})).toBe('');
+    });
+  });
+
+  describe('loadRecentE1RM', () => {
+    it('should return the best e1RM of recent completed sets', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([
+        { reps: 5, weight: 100 },
+        { reps: 1, weight: 110 }
+      ]);
+      const library = buildExerciseLookup([{ id: 4, name: 'Bench Press', aliases: ['Bench'] }]);
+
+      const e1rm = await loadRecentE1RM(prisma, 1, 'Bench', library);
+
+      expect(e1rm).toBeCloseTo(116.67, 1);
+      expect(prisma.exerciseSet.findMany.mock.calls[0][0].where.exercise).toMatchObject({
+        OR: [{ exerciseTemplateId: 4 }, expect.objectContaining({ exerciseTemplateId: null })],
+        workout: { userId: 1, status: 'COMPLETED' }
+      });
+    });
+
+    it('should count unlinked sets logged under any alias of the library entry', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([]);
+      const library = buildExerciseLookup([{ id: 4, name: 'Bench Press', aliases: ['Bench', 'Flat Bench'] }]);
+
+      await loadRecentE1RM(prisma, 1, 'Bench', library);
+
+      const [, unlinked] = prisma.exerciseSet.findMany.mock.calls[0][0].where.exercise.OR;
+      expect(unlinked).toEqual({
+        exerciseTemplateId: null,
+        workout: { userId: 1 },
+        OR: [
+          { name: { equals: 'Bench Press', mode: 'insensitive' } },
+          { name: { equals: 'Bench', mode: 'insensitive' } },
+          { name: { equals: 'Flat Bench', mode: 'insensitive' } }
+        ]
+      });
+    });
+
+    it('should match by name alone for exercises not in the library', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([]);
+
+      await loadRecentE1RM(prisma, 1, 'Zercher Squat', buildExerciseLookup([]));
+
+      expect(prisma.exerciseSet.findMany.mock.calls[0][0].where.exercise.name).toEqual({
+        equals: 'Zercher Squat',
+        mode: 'insensitive'
+      });
+    });
+
+    it('should only read PR-eligible sets of weight × reps exercises', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([]);
+
+      await loadRecentE1RM(prisma, 1, 'Squat', buildExerciseLookup([]));
+
+      const { where } = prisma.exerciseSet.findMany.mock.calls[0][0];
+      expect(where.setType).toEqual({ in: ['WORKING', 'FAILURE', 'AMRAP', 'BACKOFF'] });
+      expect(where.exercise.trackingMode).toBe('WEIGHT_REPS');
+    });
+
+    it('should estimate in kg from sets logged in pounds', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([{ reps: 1, weight: 225, weightUnit: 'lb' }]);
+
+      expect(await loadRecentE1RM(prisma, 1, 'Squat', buildExerciseLookup([]))).toBe(102.06);
+    });
+
+    it('should return 0 without history', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([]);
+
+      expect(await loadRecentE1RM(prisma, 1, 'Squat', buildExerciseLookup([]))).toBe(0);
+    });
+  });
+
+  describe('resolveTemplateLoadTargets', () => {
+    it('should resolve only exercises with a target', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([{ reps: 5, weight: 120 }]);
+
+      const resolved = await resolveTemplateLoadTargets(prisma, 1, [
+        { id: 1, exerciseName: 'Squat', defaultReps: 5, targetPercentE1RM: 80 },
+        { id: 2, exerciseName: 'Leg Press', defaultReps: 10 },
+        { id: 3, exerciseName: 'Front Squat', defaultReps: 8, targetRpe: 8 }
+      ], buildExerciseLookup([]));
+
+      expect([...resolved.keys()]).toEqual([1, 3]);
+      // 120 x 5 is an e1RM of 140
+      expect(resolved.get(1)).toEqual({ e1rm: 140, weight: 112.5 });
+      expect(prisma.exerciseSet.findMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('should resolve weights in the requested unit', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([{ reps: 5, weight: 120 }]);
+
+      const resolved = await resolveTemplateLoadTargets(prisma, 1, [
+        { id: 1, exerciseName: 'Squat', defaultReps: 5, targetPercentE1RM: 80 }
+      ], buildExerciseLookup([]), 'lb');
+
+      // An e1RM of 140 kg is 308.6 lb, and 80% of it rounds to 245 lb
+      expect(resolved.get(1)).toEqual({ e1rm: 308.6, weight: 245 });
+    });
+
+    it('should leave the weight empty without history', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([]);
+
+      const resolved = await resolveTemplateLoadTargets(prisma, 1, [
+        { id: 1, exerciseName: 'Squat', defaultReps: 5, targetRpe: 9 }
+      ], buildExerciseLookup([]));
+
+      expect(resolved.get(1)).toEqual({ e1rm: null, weight: null });
+    });
+
+    it('should not let warm-up or assisted sets raise the target', async () => {
+      const sets = [
+        { reps: 5, weight: 120, setType: 'WORKING', trackingMode: 'WEIGHT_REPS' },
+        { reps: 10, weight: 160, setType: 'WARMUP', trackingMode: 'WEIGHT_REPS' },
+        { reps: 8, weight: 200, setType: 'WORKING', trackingMode: 'ASSISTED' }
+      ];
+      // Apply the query's set type and tracking mode filters to the sets
+      prisma.exerciseSet.findMany.mockImplementation(({ where }) => Promise.resolve(
+        sets.filter((set) =>
+          where.setType.in.includes(set.setType) && set.trackingMode === where.exercise.trackingMode)
+      ));
+
+      const resolved = await resolveTemplateLoadTargets(prisma, 1, [
+        { id: 1, exerciseName: 'Squat', defaultReps: 5, targetPercentE1RM: 80 }
+      ], buildExerciseLookup([]));
+
+      expect(resolved.get(1)).toEqual({ e1rm: 140, weight: 112.5 });
+    });
+
+    it('should round weights with a load rounder given one', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([{ reps: 5, weight: 120 }]);
+      const roundLoad = vi.fn(() => 110);
+
+      const resolved = await resolveTemplateLoadTargets(prisma, 1, [
+        { id: 1, exerciseName: 'Squat', defaultReps: 5, targetPercentE1RM: 80 }
+      ], buildExerciseLookup([]), 'kg', roundLoad);
+
+      expect(resolved.get(1)).toEqual({ e1rm: 140, weight: 110 });
+      expect(roundLoad).toHaveBeenCalledWith(112, 'Squat');
+    });
+  });
+
+  describe('planTemplateExercises', () => {
+    it('should use the resolved weight and fall back to the default weight', () => {
+      const result = planTemplateExercises([
+        { id: 1, exerciseName: 'Squat', defaultSets: 2, defaultReps: 5, defaultWeight: 100, restSeconds: 180 },
+        { id: 2, exerciseName: 'Leg Press', defaultReps: 10, defaultWeight: 150 }
+      ], new Map([[1, { e1rm: 140, weight: 112.5 }]]));
+
+      expect(result).toEqual([
+        {
+          name: 'Squat',
+          sets: [{ reps: 5, weight: 112.5 }, { reps: 5, weight: 112.5 }],
+          restSeconds: 180,
+          notes: null,
+          groupNumber: null,
+          groupType: null
+        },
+        {
+          name: 'Leg Press',
+          sets: [{ reps: 10, weight: 150 }, { reps: 10, weight: 150 }, { reps: 10, weight: 150 }],
+          restSeconds: null,
+          notes: null,
+          groupNumber: null,
+          groupType: null
+        }
+      ]);
+    });
+
+    it('should convert default weights to the given unit', () => {
+      const [exercise] = planTemplateExercises([
+        { id: 1, exerciseName: 'Squat', defaultSets: 1, defaultReps: 5, defaultWeight: 100 }
+      ], new Map(), 'lb');
+
+      expect(exercise.sets).toEqual([{ reps: 5, weight: 220.5 }]);
+    });
+
+    it('should round default weights with a load rounder given one', () => {
+      const roundLoad = vi.fn(() => 225);
+
+      const [squat, press] = planTemplateExercises([
+        { id: 1, exerciseName: 'Squat', defaultSets: 1, defaultReps: 5, defaultWeight: 100 },
+        { id: 2, exerciseName: 'Leg Press', defaultSets: 1, defaultReps: 10, defaultWeight: 150 }
+      ], new Map([[2, { e1rm: 200, weight: 150 }]]), 'lb', roundLoad);
+
+      expect(squat.sets).toEqual([{ reps: 5, weight: 225 }]);
+      expect(roundLoad).toHaveBeenCalledWith(220.5, 'Squat');
+      // Resolved targets are already rounded
+      expect(press.sets).toEqual([{ reps: 10, weight: 150 }]);
+      expect(roundLoad).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { requireAuth } from '@/lib/middleware';
+import { prisma } from '@/lib/prisma';
+import { createMockSession, createMockUser } from '../../fixtures/user.js';
+
+const withBearer = (token) =>
+  createMockRequest('http://localhost:3000/api/workouts', { headers: { Authorization: `Bearer ${token}` } });
+
+describe('requireAuth', () => {
+  const user = createMockUser();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.apiToken.findUnique.mockResolvedValue({
+      id: 3,
+      name: 'Script',
+      scopes: ['workouts:read'],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      lastUsedAt: new Date(),
+      user
+    });
+  });
+
+  it('should accept an API token with the scope the endpoint needs', async () => {
+    const auth = await requireAuth(withBearer('gp_secret'), { scope: 'workouts:read' });
+
+    expect(auth.user).toBe(user);
+    expect(auth.apiToken.id).toBe(3);
+    expect(prisma.session.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should return 403 when the token lacks the scope', async () => {
+    const response = await requireAuth(withBearer('gp_secret'), { scope: 'workouts:write' });
+    const data = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(data.error).toBe('API token is missing the workouts:write scope');
+  });
+
+  it('should return 403 on endpoints that only accept a session', async () => {
+    const response = await requireAuth(withBearer('gp_secret'));
+    const data = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(data.error).toBe('API tokens cannot access this endpoint');
+  });
+
+  it('should return 401 for an invalid token', async () => {
+    prisma.apiToken.findUnique.mockResolvedValue(null);
+
+    const response = await requireAuth(withBearer('gp_wrong'), { scope: 'workouts:read' });
+    const data = await response.json();
+
+    expect(response.status).toBe(401);
+    expect(data.error).toBe('Invalid or expired API token');
+  });
+
+  it('should still authenticate by the session cookie', async () => {
+    prisma.session.findUnique.mockResolvedValue({
+      ...createMockSession(user.id, { lastUsedAt: new Date() }),
+      user
+    });
+
+    const request = createMockRequestWithCookies('http://localhost:3000/api/workouts', {
+      'session-token': 'cookie-token'
+    });
+    const auth = await requireAuth(request, { scope: 'workouts:read' });
+
+    expect(auth.user).toBe(user);
+    expect(prisma.apiToken.findUnique).not.toHaveBeenCalled();
+  });
+});
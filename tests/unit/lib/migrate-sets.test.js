@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest';
+import { calculateExerciseSummary, analyzeRPEData } from '@/lib/migrate-sets';
+
+vi.mock('@prisma/client', () => ({
+  PrismaClient: vi.fn()
+}));
+
+describe('migrate-sets', () => {
+  describe('calculateExerciseSummary', () => {
+    it('should leave warm-ups out of the total volume', () => {
+      const summary = calculateExerciseSummary([
+        { reps: 5, weight: 60, setType: 'WARMUP' },
+        { reps: 5, weight: 100 }
+      ]);
+
+      expect(summary.totalVolume).toBe(500);
+    });
+
+    it('should total the time and distance of timed sets', () => {
+      const summary = calculateExerciseSummary([
+        { distanceMeters: 2000, durationSeconds: 480 },
+        { distanceMeters: 1000, durationSeconds: 220 }
+      ], 'DISTANCE_DURATION');
+
+      expect(summary).toMatchObject({
+        totalVolume: 0,
+        totalDuration: 700,
+        longestDistance: 2000,
+        totalDistance: 3000,
+        bestPace: 110
+      });
+    });
+  });
+
+  describe('analyzeRPEData', () => {
+    it('should read RPE from working sets only', () => {
+      const result = analyzeRPEData([
+        {
+          sets: [
+            { reps: 5, weight: 60, rpe: 4, setType: 'WARMUP' },
+            { reps: 8, weight: 100, rpe: 7 },
+            { reps: 12, weight: 80, rpe: 10, setType: 'AMRAP' }
+          ]
+        }
+      ], '8-12');
+
+      expect(result.hasRPEData).toBe(true);
+      expect(result.lastSessionRPE).toBe(7);
+      expect(result.maxRPE).toBe(7);
+    });
+
+    it('should find no RPE data when only warm-ups have it', () => {
+      const result = analyzeRPEData([{ sets: [{ reps: 5, weight: 60, rpe: 5, setType: 'WARMUP' }] }], '8-12');
+
+      expect(result.hasRPEData).toBe(false);
+    });
+  });
+});
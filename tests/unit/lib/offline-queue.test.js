@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  getReplayOutcome,
+  isNetworkError,
+  isOfflineQueueSupported,
+  sendWorkoutWrite
+} from '@/lib/offline-queue';
+
+describe('Offline Queue', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('getReplayOutcome', () => {
+    it('should treat 2xx responses as synced', () => {
+      expect(getReplayOutcome(200)).toBe('synced');
+      expect(getReplayOutcome(201)).toBe('synced');
+    });
+
+    it('should flag updatedAt conflicts', () => {
+      expect(getReplayOutcome(409)).toBe('conflict');
+    });
+
+    it('should retry when signed out or the server fails', () => {
+      expect(getReplayOutcome(401)).toBe('retry');
+      expect(getReplayOutcome(500)).toBe('retry');
+      expect(getReplayOutcome(503)).toBe('retry');
+    });
+
+    it('should give up on other client errors', () => {
+      expect(getReplayOutcome(400)).toBe('failed');
+      expect(getReplayOutcome(404)).toBe('failed');
+    });
+  });
+
+  describe('isNetworkError', () => {
+    it('should only match fetch network failures', () => {
+      expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+      expect(isNetworkError(new Error('Failed to update session'))).toBe(false);
+    });
+  });
+
+  describe('sendWorkoutWrite', () => {
+    it('should send the write straight to the API when online', async () => {
+      const response = { ok: true, status: 201 };
+      const fetchMock = vi.fn().mockResolvedValue(response);
+      vi.stubGlobal('fetch', fetchMock);
+
+      const result = await sendWorkoutWrite({
+        userId: 1,
+        method: 'POST',
+        url: '/api/workouts',
+        body: { title: 'Push Day' }
+      });
+
+      expect(result).toEqual({ queued: false, response });
+      expect(fetchMock).toHaveBeenCalledWith('/api/workouts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'Push Day' })
+      });
+    });
+
+    it('should rethrow network errors when IndexedDB is unavailable', async () => {
+      expect(isOfflineQueueSupported()).toBe(false);
+      vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+
+      await expect(
+        sendWorkoutWrite({ userId: 1, method: 'PUT', url: '/api/workouts/1', body: {} })
+      ).rejects.toThrow('Failed to fetch');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  resolveRecordExercise,
+  recomputePersonalRecords,
+  rebuildPersonalRecords,
+  getCurrentRecords,
+  convertRecordUnits
+} from '@/lib/personal-records';
+import { buildExerciseLookup } from '@/lib/exercise-library';
+import { prisma } from '@/lib/prisma';
+
+const library = buildExerciseLookup([
+  { id: 4, userId: null, name: 'Back Squat', aliases: ['Squat'] }
+]);
+
+describe('Personal Records', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.exerciseSet.findMany.mockResolvedValue([]);
+  });
+
+  describe('resolveRecordExercise', () => {
+    it('should group exercises by library entry, including aliases', () => {
+      expect(resolveRecordExercise({ name: 'squat' }, library)).toMatchObject({
+        key: 'id:4',
+        exerciseTemplateId: 4,
+        exerciseName: 'Back Squat',
+        recordWhere: { exerciseTemplateId: 4 }
+      });
+      expect(resolveRecordExercise({ name: 'Anything', exerciseTemplateId: 4 }, library).key).toBe('id:4');
+    });
+
+    it('should key unlinked exercises by name', () => {
+      expect(resolveRecordExercise({ name: ' Zercher Squat ' }, library)).toMatchObject({
+        key: 'name:zercher squat',
+        exerciseTemplateId: null,
+        recordWhere: { exerciseTemplateId: null, exerciseName: { equals: 'Zercher Squat', mode: 'insensitive' } }
+      });
+      expect(resolveRecordExercise({ name: '' }, library)).toBeNull();
+    });
+  });
+
+  describe('recomputePersonalRecords', () => {
+    it('should rebuild each exercise once from its completed history', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([
+        { reps: 1, weight: 140, exercise: { workoutId: 1, workout: { date: new Date('2025-01-01') } } }
+      ]);
+
+      const stored = await recomputePersonalRecords(prisma, 1, [
+        { name: 'Squat' },
+        { name: 'Back Squat', exerciseTemplateId: 4 }
+      ], library);
+
+      expect(prisma.exerciseSet.findMany).toHaveBeenCalledTimes(1);
+      expect(prisma.personalRecord.deleteMany).toHaveBeenCalledWith({ where: { userId: 1, exerciseTemplateId: 4 } });
+      expect(prisma.personalRecord.createMany.mock.calls[0][0].data).toEqual([
+        expect.objectContaining({ userId: 1, workoutId: 1, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: 'e1rm', value: 140 }),
+        expect.objectContaining({ type: '1rm', value: 140 }),
+        expect.objectContaining({ type: 'volume', value: 140 })
+      ]);
+      expect(stored).toBe(3);
+    });
+
+    it('should compare sets logged in different units in kg', async () => {
+      prisma.exerciseSet.findMany.mockResolvedValue([
+        { reps: 1, weight: 100, weightUnit: 'kg', exercise: { workoutId: 1, workout: { date: new Date('2025-01-01') } } },
+        { reps: 1, weight: 225, weightUnit: 'lb', exercise: { workoutId: 2, workout: { date: new Date('2025-01-08') } } }
+      ]);
+
+      await recomputePersonalRecords(prisma, 1, [{ name: 'Squat' }], library);
+
+      expect(prisma.personalRecord.createMany.mock.calls[0][0].data).toContainEqual(
+        expect.objectContaining({ workoutId: 2, type: '1rm', value: 102.06, previousValue: 100 })
+      );
+    });
+
+    it('should clear the records of an exercise without history', async () => {
+      const stored = await recomputePersonalRecords(prisma, 1, [{ name: 'Curl' }], library);
+
+      expect(prisma.personalRecord.deleteMany).toHaveBeenCalledTimes(1);
+      expect(prisma.personalRecord.createMany).not.toHaveBeenCalled();
+      expect(stored).toBe(0);
+    });
+  });
+
+  describe('rebuildPersonalRecords', () => {
+    it('should clear every record and rebuild each logged exercise', async () => {
+      prisma.exercise.findMany.mockResolvedValue([{ name: 'Curl', exerciseTemplateId: null }]);
+
+      await rebuildPersonalRecords(prisma, 1, library);
+
+      expect(prisma.personalRecord.deleteMany).toHaveBeenNthCalledWith(1, { where: { userId: 1 } });
+      expect(prisma.exerciseSet.findMany).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getCurrentRecords', () => {
+    it('should keep the newest record of each type per exercise', () => {
+      const records = [
+        { id: 3, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: 'e1rm' },
+        { id: 2, exerciseTemplateId: null, exerciseName: 'Curl', type: 'e1rm' },
+        { id: 1, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: 'e1rm' },
+        { id: 0, exerciseTemplateId: 4, exerciseName: 'Back Squat', type: '5rm' }
+      ];
+
+      expect(getCurrentRecords(records).map(record => record.id)).toEqual([3, 2, 0]);
+    });
+  });
+
+  describe('convertRecordUnits', () => {
+    it('should convert stored kg values to the display unit', () => {
+      const [record] = convertRecordUnits([
+        { id: 1, type: '5rm', value: 100, previousValue: null, weight: 100, reps: 5 }
+      ], 'lb');
+
+      expect(record).toEqual({ id: 1, type: '5rm', value: 220.5, previousValue: null, weight: 220.5, reps: 5 });
+    });
+  });
+});
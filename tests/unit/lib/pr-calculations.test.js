@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PR_TYPES,
+  buildPRTimeline,
+  calculatePRsFromHistory,
+  checkSetForPRs,
+  summarizePersonalRecords,
+  detectNewPRs,
+  formatPRValue,
+  getPRTypeLabel
+} from '@/lib/pr-calculations';
+
+describe('PR Calculations', () => {
+  describe('buildPRTimeline', () => {
+    it('should record each workout that beats the best before it', () => {
+      const timeline = buildPRTimeline([
+        { workoutId: 1, date: '2025-01-01', weight: 100, reps: 5 },
+        { workoutId: 2, date: '2025-01-08', weight: 100, reps: 5 },
+        { workoutId: 3, date: '2025-01-15', weight: 105, reps: 5 }
+      ]);
+
+      const fiveRepMaxes = timeline.filter(record => record.type === '5rm');
+      expect(fiveRepMaxes).toEqual([
+        { type: '5rm', value: 100, previousValue: null, weight: 100, reps: 5, durationSeconds: null, distanceMeters: null, workoutId: 1, date: '2025-01-01' },
+        { type: '5rm', value: 105, previousValue: 100, weight: 105, reps: 5, durationSeconds: null, distanceMeters: null, workoutId: 3, date: '2025-01-15' }
+      ]);
+    });
+
+    it('should keep only the best set of a workout for each type', () => {
+      const timeline = buildPRTimeline([
+        { workoutId: 1, date: '2025-01-01', weight: 60, reps: 10 },
+        { workoutId: 1, date: '2025-01-01', weight: 80, reps: 3 },
+        { workoutId: 1, date: '2025-01-01', weight: 70, reps: 3 }
+      ]);
+
+      expect(timeline.map(record => record.type)).toEqual(['e1rm', '3rm', '10rm', 'volume']);
+      expect(timeline.find(record => record.type === 'e1rm')).toMatchObject({ value: 88, weight: 80, reps: 3 });
+      expect(timeline.find(record => record.type === '3rm')).toMatchObject({ value: 80 });
+      expect(timeline.find(record => record.type === 'volume')).toMatchObject({ value: 600 });
+    });
+
+    it('should ignore sets without weight or reps', () => {
+      expect(buildPRTimeline([{ workoutId: 1, date: '2025-01-01', weight: 0, reps: 12 }])).toEqual([]);
+      expect(buildPRTimeline(null)).toEqual([]);
+    });
+
+    it('should ignore warm-ups, drop sets and rest-pause sets', () => {
+      const timeline = buildPRTimeline([
+        { workoutId: 1, date: '2025-01-01', weight: 120, reps: 5, setType: 'WARMUP' },
+        { workoutId: 1, date: '2025-01-01', weight: 110, reps: 8, setType: 'DROP' },
+        { workoutId: 1, date: '2025-01-01', weight: 115, reps: 3, setType: 'REST_PAUSE' },
+        { workoutId: 1, date: '2025-01-01', weight: 100, reps: 5, setType: 'AMRAP' }
+      ]);
+
+      expect(timeline.find(record => record.type === 'e1rm')).toMatchObject({ weight: 100, reps: 5 });
+      expect(timeline.map(record => record.type)).toEqual(['e1rm', '5rm', 'volume']);
+    });
+  });
+
+  describe('buildPRTimeline in other tracking modes', () => {
+    it('should record the longest hold and the fastest 500m', () => {
+      const timeline = buildPRTimeline([
+        { workoutId: 1, date: '2025-01-01', durationSeconds: 60, trackingMode: 'DURATION' },
+        { workoutId: 2, date: '2025-01-08', durationSeconds: 90, trackingMode: 'DURATION' }
+      ]);
+      expect(timeline.map(({ type, value, previousValue }) => [type, value, previousValue])).toEqual([
+        ['duration', 60, null],
+        ['duration', 90, 60]
+      ]);
+
+      const rowing = buildPRTimeline([
+        { workoutId: 1, date: '2025-01-01', distanceMeters: 2000, durationSeconds: 480, trackingMode: 'DISTANCE_DURATION' },
+        { workoutId: 2, date: '2025-01-08', distanceMeters: 2000, durationSeconds: 460, trackingMode: 'DISTANCE_DURATION' },
+        { workoutId: 3, date: '2025-01-15', distanceMeters: 250, durationSeconds: 40, trackingMode: 'DISTANCE_DURATION' }
+      ]);
+      expect(rowing.filter(record => record.type === 'pace').map(record => record.value)).toEqual([120, 115]);
+    });
+
+    it('should count less assistance as a PR', () => {
+      const timeline = buildPRTimeline([
+        { workoutId: 1, date: '2025-01-01', weight: 30, reps: 8, trackingMode: 'ASSISTED' },
+        { workoutId: 2, date: '2025-01-08', weight: 20, reps: 6, trackingMode: 'ASSISTED' }
+      ]);
+
+      expect(timeline.filter(record => record.type === 'assistance').map(record => record.value)).toEqual([30, 20]);
+      expect(timeline.filter(record => record.type === 'reps').map(record => record.value)).toEqual([8]);
+    });
+  });
+
+  describe('calculatePRsFromHistory', () => {
+    it('should ignore warm-ups', () => {
+      const prs = calculatePRsFromHistory([
+        { workoutId: 1, date: '2025-01-01', sets: [{ weight: 140, reps: 3, setType: 'WARMUP' }, { weight: 100, reps: 5 }] }
+      ]);
+
+      expect(prs.e1rm).toMatchObject({ weight: 100, reps: 5 });
+      expect(prs.repMaxes[3]).toBeUndefined();
+    });
+  });
+
+  describe('detectNewPRs', () => {
+    it('should find time PRs of a timed exercise against its history', () => {
+      const prs = detectNewPRs(
+        [{ name: 'Plank', trackingMode: 'DURATION', sets: [{ durationSeconds: 75 }, { durationSeconds: 95 }] }],
+        { Plank: [{ date: '2025-01-01', sets: [{ durationSeconds: 90 }] }] }
+      );
+
+      expect(prs).toEqual([
+        { exerciseName: 'Plank', prType: 'duration', value: 95, previousValue: 90, weight: null, reps: null }
+      ]);
+    });
+  });
+
+  describe('checkSetForPRs', () => {
+    it('should never count a warm-up as a PR', () => {
+      expect(checkSetForPRs({ weight: 200, reps: 5, setType: 'WARMUP' }, { hasData: false })).toEqual({
+        isE1RMPR: false, isRepMaxPR: false, isVolumePR: false, repMaxType: null
+      });
+      expect(checkSetForPRs({ weight: 200, reps: 5, setType: 'FAILURE' }, { hasData: false })).toMatchObject({ isE1RMPR: true });
+    });
+  });
+
+  describe('summarizePersonalRecords', () => {
+    it('should pick the best record of each type', () => {
+      const summary = summarizePersonalRecords([
+        { type: 'e1rm', value: 120, weight: 100, reps: 6, achievedAt: '2025-02-01' },
+        { type: 'e1rm', value: 116.7, weight: 100, reps: 5, achievedAt: '2025-01-01' },
+        { type: '5rm', value: 100, weight: 100, reps: 5, achievedAt: '2025-01-01' },
+        { type: 'volume', value: 600, weight: 100, reps: 6, achievedAt: '2025-02-01' }
+      ]);
+
+      expect(summary).toEqual({
+        e1rm: { value: 120, date: '2025-02-01', weight: 100, reps: 6 },
+        repMaxes: { 5: { weight: 100, date: '2025-01-01' } },
+        volumePR: { value: 600, date: '2025-02-01', weight: 100, reps: 6 },
+        durationPR: null,
+        distancePR: null,
+        pacePR: null,
+        assistancePR: null,
+        repsPR: null,
+        hasData: true
+      });
+    });
+
+    it('should return null without records', () => {
+      expect(summarizePersonalRecords([])).toBeNull();
+    });
+  });
+
+  it('should track e1RM, every tracked rep max, volume and the tracking mode records', () => {
+    expect(PR_TYPES).toEqual([
+      'e1rm', '1rm', '3rm', '5rm', '8rm', '10rm', 'volume',
+      'duration', 'distance', 'pace', 'assistance', 'reps'
+    ]);
+  });
+
+  describe('formatPRValue', () => {
+    it('should label values with the weight unit', () => {
+      expect(formatPRValue('5rm', 100)).toBe('100 kg');
+      expect(formatPRValue('e1rm', 225, 'lb')).toBe('225 lb');
+      expect(formatPRValue('volume', 12500, 'lb')).toBe('12,500 lb');
+    });
+
+    it('should format times, distances and paces without a unit', () => {
+      expect(formatPRValue('duration', 95, 'lb')).toBe('1:35');
+      expect(formatPRValue('distance', 2500)).toBe('2.5 km');
+      expect(formatPRValue('pace', 115)).toBe('1:55 /500m');
+      expect(getPRTypeLabel('pace')).toBe('Fastest 500m');
+    });
+  });
+});
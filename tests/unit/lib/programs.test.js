@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  buildProgramDaysCreateData,
+  getProgramDayLabel,
+  formatProgramSessionTitle,
+  getNextProgramSession,
+  resolveExerciseOverride,
+  applyProgramTargets,
+  canUseProgramTemplates
+} from '@/lib/programs';
+import { prisma } from '@/lib/prisma';
+
+const program = {
+  id: 1,
+  weeks: 2,
+  days: [
+    { id: 10, dayNumber: 1, templateId: 1, label: null, template: { id: 1, name: 'Push Day' }, overrides: [] },
+    { id: 11, dayNumber: 2, templateId: 2, label: 'Legs', template: { id: 2, name: 'Leg Day' }, overrides: [] },
+    { id: 12, dayNumber: 3, templateId: 3, label: '  ', template: { id: 3, name: 'Pull Day' }, overrides: [] }
+  ]
+};
+
+describe('Training Programs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('buildProgramDaysCreateData', () => {
+    it('should number days by position and nest their overrides', () => {
+      const result = buildProgramDaysCreateData([
+        { templateId: 1, label: ' Push ', overrides: [{ week: 4, sets: 2 }] },
+        { templateId: 2, label: '' }
+      ]);
+
+      expect(result).toEqual([
+        {
+          dayNumber: 1,
+          templateId: 1,
+          label: 'Push',
+          overrides: {
+            create: [{ week: 4, exerciseName: null, sets: 2, reps: null, percentE1RM: null }]
+          }
+        },
+        { dayNumber: 2, templateId: 2, label: null, overrides: { create: [] } }
+      ]);
+    });
+  });
+
+  describe('getProgramDayLabel', () => {
+    it('should prefer the label and fall back to the template name', () => {
+      expect(getProgramDayLabel(program.days[1])).toBe('Legs');
+      expect(getProgramDayLabel(program.days[0])).toBe('Push Day');
+      expect(getProgramDayLabel(program.days[2])).toBe('Pull Day');
+      expect(getProgramDayLabel({})).toBe('Workout');
+    });
+  });
+
+  describe('formatProgramSessionTitle', () => {
+    it('should name the week, day and label', () => {
+      expect(formatProgramSessionTitle(2, 3, 'Push')).toBe('Week 2, Day 3 — Push');
+    });
+  });
+
+  describe('getNextProgramSession', () => {
+    it('should start at week 1, day 1', () => {
+      expect(getNextProgramSession(program, null)).toMatchObject({ week: 1, day: 1 });
+    });
+
+    it('should move to the next day of the same week', () => {
+      const next = getNextProgramSession(program, { programWeek: 1, programDay: 1 });
+
+      expect(next).toMatchObject({ week: 1, day: 2 });
+      expect(next.programDay.id).toBe(11);
+    });
+
+    it('should roll over to the next week after the last day', () => {
+      expect(getNextProgramSession(program, { programWeek: 1, programDay: 3 })).toMatchObject({ week: 2, day: 1 });
+    });
+
+    it('should return null once the last week is done', () => {
+      expect(getNextProgramSession(program, { programWeek: 2, programDay: 3 })).toBeNull();
+    });
+
+    it('should carry on after a logged day that has since been removed', () => {
+      const edited = { ...program, days: program.days.filter((day) => day.dayNumber !== 2) };
+
+      expect(getNextProgramSession(edited, { programWeek: 1, programDay: 2 })).toMatchObject({ week: 1, day: 3 });
+      // A day past the end of the shortened week moves on to the next week
+      expect(getNextProgramSession(edited, { programWeek: 1, programDay: 5 })).toMatchObject({ week: 2, day: 1 });
+    });
+
+    it('should return null for a program without days', () => {
+      expect(getNextProgramSession({ weeks: 4, days: [] }, null)).toBeNull();
+    });
+  });
+
+  describe('resolveExerciseOverride', () => {
+    const overrides = [
+      { week: 2, exerciseName: 'bench press', reps: 5, percentE1RM: 80 },
+      { week: 2, exerciseName: null, sets: 4, reps: 8 },
+      { week: 3, exerciseName: null, sets: 2 }
+    ];
+
+    it('should apply overrides for every exercise and let exercise ones win', () => {
+      expect(resolveExerciseOverride(overrides, 2, 'Bench Press')).toEqual({ sets: 4, reps: 5, percentE1RM: 80 });
+      expect(resolveExerciseOverride(overrides, 2, 'Squat')).toEqual({ sets: 4, reps: 8 });
+    });
+
+    it('should return null when nothing applies to the week', () => {
+      expect(resolveExerciseOverride(overrides, 1, 'Bench Press')).toBeNull();
+    });
+  });
+
+  describe('applyProgramTargets', () => {
+    const exercises = [
+      { name: 'Bench Press', sets: [{ reps: 8, weight: 60 }, { reps: 8, weight: 60 }] },
+      { name: 'Row', sets: [{ reps: 10, weight: 50 }] }
+    ];
+
+    it('should resize sets and replace reps and weight for targeted exercises', () => {
+      const result = applyProgramTargets(exercises, [
+        { exerciseName: 'bench press', sets: 3, reps: 5, weight: 80 }
+      ]);
+
+      expect(result[0].sets).toEqual([
+        { reps: 5, weight: 80 },
+        { reps: 5, weight: 80 },
+        { reps: 5, weight: 80 }
+      ]);
+      expect(result[1]).toBe(exercises[1]);
+    });
+
+    it('should keep the planned weight when a target has none', () => {
+      const result = applyProgramTargets(exercises, [
+        { exerciseName: 'Bench Press', sets: 1, reps: null, weight: null }
+      ]);
+
+      expect(result[0].sets).toEqual([{ reps: 8, weight: 60 }]);
+    });
+  });
+
+  describe('canUseProgramTemplates', () => {
+    it('should check each template once against the visible templates', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const result = await canUseProgramTemplates(prisma, [{ templateId: 1 }, { templateId: 2 }, { templateId: 1 }], 1);
+
+      expect(result).toBe(true);
+      expect(prisma.sessionTemplate.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [1, 2] }, OR: [{ userId: 1 }, { isDefault: true }] },
+        select: { id: true }
+      });
+    });
+
+    it('should fail when a template is missing or not visible', async () => {
+      prisma.sessionTemplate.findMany.mockResolvedValue([{ id: 1 }]);
+
+      expect(await canUseProgramTemplates(prisma, [{ templateId: 1 }, { templateId: 9 }], 1)).toBe(false);
+    });
+  });
+});
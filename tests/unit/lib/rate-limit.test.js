@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  createMemoryStore,
+  createPrismaStore,
+  createRateLimiter,
+  getBackoffSeconds,
+  getClientIp,
+  getLoginKeys,
+  formatRetryAfter,
+  LOGIN_RATE_LIMITS,
+  LOCKOUT_SECONDS
+} from '@/lib/rate-limit';
+
+describe('Rate Limiting', () => {
+  describe('getBackoffSeconds', () => {
+    const limits = LOGIN_RATE_LIMITS.username;
+
+    it('should allow the free attempts', () => {
+      expect(getBackoffSeconds(1, limits)).toBe(0);
+      expect(getBackoffSeconds(5, limits)).toBe(0);
+    });
+
+    it('should double the wait after each further failure', () => {
+      expect(getBackoffSeconds(6, limits)).toBe(30);
+      expect(getBackoffSeconds(7, limits)).toBe(60);
+      expect(getBackoffSeconds(8, limits)).toBe(120);
+    });
+
+    it('should lock the key out after repeated failures', () => {
+      expect(getBackoffSeconds(10, limits)).toBe(LOCKOUT_SECONDS);
+      expect(getBackoffSeconds(25, limits)).toBe(LOCKOUT_SECONDS);
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    let time;
+    let limiter;
+    const keys = getLoginKeys('TestUser', '203.0.113.7');
+
+    beforeEach(() => {
+      time = new Date('2026-10-19T12:00:00Z').getTime();
+      limiter = createRateLimiter(createMemoryStore(), { now: () => time });
+    });
+
+    const fail = async (count) => {
+      let result;
+      for (let i = 0; i < count; i++) {
+        result = await limiter.recordFailure(keys);
+      }
+      return result;
+    };
+
+    it('should allow attempts until the free attempts are used', async () => {
+      expect(await fail(5)).toEqual({ retryAfterSeconds: 0 });
+      expect(await limiter.check(keys)).toEqual({ allowed: true, retryAfterSeconds: 0 });
+    });
+
+    it('should block attempts until the backoff has passed', async () => {
+      expect(await fail(6)).toEqual({ retryAfterSeconds: 30 });
+      expect(await limiter.check(keys)).toEqual({ allowed: false, retryAfterSeconds: 30 });
+
+      time += 29 * 1000;
+      expect((await limiter.check(keys)).retryAfterSeconds).toBe(1);
+
+      time += 1000;
+      expect((await limiter.check(keys)).allowed).toBe(true);
+    });
+
+    it('should lock out a username after repeated failures', async () => {
+      expect(await fail(10)).toEqual({ retryAfterSeconds: LOCKOUT_SECONDS });
+    });
+
+    it('should forget failures an hour after the last one', async () => {
+      await fail(6);
+      time += 61 * 60 * 1000;
+
+      expect(await limiter.recordFailure(keys)).toEqual({ retryAfterSeconds: 0 });
+    });
+
+    it('should clear a key on reset', async () => {
+      await fail(6);
+      await limiter.reset(keys[0].key);
+
+      const record = await limiter.store.get(keys[0].key);
+      expect(record).toBeNull();
+      // The IP is still throttled
+      expect((await limiter.check(keys)).allowed).toBe(true);
+    });
+
+    it('should throttle an IP across usernames', async () => {
+      for (let i = 0; i < 21; i++) {
+        await limiter.recordFailure(getLoginKeys(`user${i}`, '203.0.113.7'));
+      }
+
+      const check = await limiter.check(getLoginKeys('someone-else', '203.0.113.7'));
+      expect(check).toEqual({ allowed: false, retryAfterSeconds: 30 });
+    });
+  });
+
+  describe('createPrismaStore', () => {
+    it('should reset a stale count and increment atomically', async () => {
+      const db = {
+        loginAttempt: {
+          deleteMany: vi.fn().mockResolvedValue({ count: 0 }),
+          upsert: vi.fn().mockResolvedValue({ key: 'user:test', failures: 3 })
+        }
+      };
+      const now = new Date('2026-10-19T12:00:00Z').getTime();
+
+      const record = await createPrismaStore(db).increment('user:test', { now, windowMs: 60 * 60 * 1000 });
+
+      expect(record.failures).toBe(3);
+      expect(db.loginAttempt.deleteMany).toHaveBeenCalledWith({
+        where: { key: 'user:test', lastFailureAt: { lt: new Date('2026-10-19T11:00:00Z') } }
+      });
+      expect(db.loginAttempt.upsert).toHaveBeenCalledWith({
+        where: { key: 'user:test' },
+        create: { key: 'user:test', failures: 1, lastFailureAt: new Date(now) },
+        update: { failures: { increment: 1 }, lastFailureAt: new Date(now) }
+      });
+    });
+  });
+
+  describe('getLoginKeys', () => {
+    it('should key usernames case-insensitively', () => {
+      expect(getLoginKeys('TestUser', '203.0.113.7').map(({ key }) => key)).toEqual([
+        'user:testuser',
+        'ip:203.0.113.7'
+      ]);
+    });
+  });
+
+  describe('getClientIp', () => {
+    it('should take the first forwarded address', () => {
+      const request = new Request('http://localhost', {
+        headers: { 'X-Forwarded-For': '203.0.113.7, 10.0.0.1' }
+      });
+      expect(getClientIp(request)).toBe('203.0.113.7');
+    });
+
+    it('should fall back to x-real-ip and then unknown', () => {
+      expect(getClientIp(new Request('http://localhost', { headers: { 'X-Real-IP': '198.51.100.2' } }))).toBe('198.51.100.2');
+      expect(getClientIp(new Request('http://localhost'))).toBe('unknown');
+    });
+  });
+
+  describe('formatRetryAfter', () => {
+    it('should round up to minutes past a minute', () => {
+      expect(formatRetryAfter(1)).toBe('1 second');
+      expect(formatRetryAfter(30)).toBe('30 seconds');
+      expect(formatRetryAfter(61)).toBe('2 minutes');
+      expect(formatRetryAfter(900)).toBe('15 minutes');
+    });
+  });
+});
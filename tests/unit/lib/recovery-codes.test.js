@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  toRecoveryCodeRows,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  RECOVERY_CODE_COUNT
+} from '@/lib/recovery-codes';
+
+describe('Recovery Codes', () => {
+  describe('generateRecoveryCodes', () => {
+    it('should generate a full set of distinct, grouped codes', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).toBe(RECOVERY_CODE_COUNT);
+      codes.forEach((code) => {
+        expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}(-[A-HJ-NP-Z2-9]{4}){3}$/);
+      });
+    });
+
+    it('should generate the requested number of codes', () => {
+      expect(generateRecoveryCodes(3)).toHaveLength(3);
+    });
+  });
+
+  describe('normalizeRecoveryCode', () => {
+    it('should ignore case, dashes and spaces', () => {
+      expect(normalizeRecoveryCode(' k7qm-3xpd wn2r-ht8b ')).toBe('K7QM3XPDWN2RHT8B');
+    });
+
+    it('should handle missing input', () => {
+      expect(normalizeRecoveryCode(undefined)).toBe('');
+    });
+  });
+
+  describe('hashRecoveryCode', () => {
+    it('should hash however the code was typed to the same digest', () => {
+      const hash = hashRecoveryCode('K7QM-3XPD-WN2R-HT8B');
+
+      expect(hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashRecoveryCode('k7qm3xpdwn2rht8b')).toBe(hash);
+    });
+  });
+
+  describe('toRecoveryCodeRows', () => {
+    it('should store only hashes', () => {
+      expect(toRecoveryCodeRows(['AAAA-BBBB-CCCC-DDDD'])).toEqual([
+        { codeHash: hashRecoveryCode('AAAA-BBBB-CCCC-DDDD') }
+      ]);
+    });
+  });
+
+  describe('replaceRecoveryCodes', () => {
+    let db;
+
+    beforeEach(() => {
+      db = {
+        recoveryCode: {
+          deleteMany: vi.fn().mockReturnValue('delete'),
+          createMany: vi.fn().mockReturnValue('create')
+        },
+        $transaction: vi.fn().mockResolvedValue([])
+      };
+    });
+
+    it('should delete the old codes and store hashes of the new ones together', async () => {
+      const codes = await replaceRecoveryCodes(db, 7);
+
+      expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+      expect(db.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 7 } });
+      expect(db.recoveryCode.createMany).toHaveBeenCalledWith({
+        data: codes.map((code) => ({ codeHash: hashRecoveryCode(code), userId: 7 }))
+      });
+      expect(db.$transaction).toHaveBeenCalledWith(['delete', 'create']);
+    });
+  });
+
+  describe('consumeRecoveryCode', () => {
+    let db;
+
+    beforeEach(() => {
+      db = { recoveryCode: { updateMany: vi.fn() } };
+    });
+
+    it('should mark an unused code as used', async () => {
+      db.recoveryCode.updateMany.mockResolvedValue({ count: 1 });
+
+      expect(await consumeRecoveryCode(db, 7, 'aaaa-bbbb-cccc-dddd')).toBe(true);
+      expect(db.recoveryCode.updateMany).toHaveBeenCalledWith({
+        where: { userId: 7, codeHash: hashRecoveryCode('AAAA-BBBB-CCCC-DDDD'), usedAt: null },
+        data: { usedAt: expect.any(Date) }
+      });
+    });
+
+    it('should reject a wrong or already used code', async () => {
+      db.recoveryCode.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await consumeRecoveryCode(db, 7, 'AAAA-BBBB-CCCC-DDDD')).toBe(false);
+    });
+
+    it('should reject an empty code without querying', async () => {
+      expect(await consumeRecoveryCode(db, 7, ' - ')).toBe(false);
+      expect(db.recoveryCode.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SET_TYPES,
+  SET_TYPE_LABELS,
+  getSetType,
+  isVolumeSet,
+  isPRSet,
+  isProgressionSet
+} from '@/lib/set-types';
+
+describe('set-types', () => {
+  it('should label every set type', () => {
+    expect(Object.keys(SET_TYPE_LABELS)).toEqual(SET_TYPES);
+  });
+
+  describe('getSetType', () => {
+    it('should treat missing and unknown types as working sets', () => {
+      expect(getSetType({ setType: 'DROP' })).toBe('DROP');
+      expect(getSetType({})).toBe('WORKING');
+      expect(getSetType({ setType: 'SUPER' })).toBe('WORKING');
+      expect(getSetType(null)).toBe('WORKING');
+    });
+  });
+
+  describe('isVolumeSet', () => {
+    it('should leave out only warm-ups', () => {
+      expect(SET_TYPES.filter(setType => !isVolumeSet({ setType }))).toEqual(['WARMUP']);
+    });
+  });
+
+  describe('isPRSet', () => {
+    it('should allow single efforts and not warm-ups, drop or rest-pause sets', () => {
+      expect(SET_TYPES.filter(setType => isPRSet({ setType }))).toEqual(['WORKING', 'FAILURE', 'AMRAP', 'BACKOFF']);
+      expect(isPRSet({})).toBe(true);
+    });
+  });
+
+  describe('isProgressionSet', () => {
+    it('should allow only working sets', () => {
+      expect(SET_TYPES.filter(setType => isProgressionSet({ setType }))).toEqual(['WORKING']);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHotp,
+  generateTotp,
+  getTotpStep,
+  verifyTotp,
+  getOtpauthUri
+} from '@/lib/totp';
+
+// Seeds from the RFC 6238 appendix B test vectors
+const SHA1_KEY = Buffer.from('12345678901234567890');
+const SHA256_KEY = Buffer.from('12345678901234567890123456789012');
+const SHA512_KEY = Buffer.from('1234567890123456789012345678901234567890123456789012345678901234');
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should encode the RFC 4648 test vectors without padding', () => {
+      expect(base32Encode(Buffer.from(''))).toBe('');
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+      expect(base32Encode(Buffer.from('fo'))).toBe('MZXQ');
+      expect(base32Encode(Buffer.from('foo'))).toBe('MZXW6');
+      expect(base32Encode(Buffer.from('foob'))).toBe('MZXW6YQ');
+      expect(base32Encode(Buffer.from('fooba'))).toBe('MZXW6YTB');
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should decode ignoring case, spaces and padding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should round-trip a generated secret', () => {
+      const secret = generateTotpSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character: 1');
+    });
+  });
+
+  describe('generateHotp', () => {
+    it('should match the RFC 4226 test vectors', () => {
+      const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+      expected.forEach((code, counter) => {
+        expect(generateHotp(SHA1_KEY, counter)).toBe(code);
+      });
+    });
+  });
+
+  describe('generateTotp', () => {
+    // [unix seconds, SHA-1, SHA-256, SHA-512] from RFC 6238
+    const vectors = [
+      [59, '94287082', '46119246', '90693936'],
+      [1111111109, '07081804', '68084774', '25091201'],
+      [1111111111, '14050471', '67062674', '99943326'],
+      [1234567890, '89005924', '91819424', '93441116'],
+      [2000000000, '69279037', '90698825', '38618901'],
+      [20000000000, '65353130', '77737706', '47863826']
+    ];
+
+    it.each(vectors)('should match the RFC 6238 vectors at %i', (seconds, sha1, sha256, sha512) => {
+      const time = seconds * 1000;
+
+      expect(generateTotp(SHA1_KEY, { time, digits: 8 })).toBe(sha1);
+      expect(generateTotp(SHA256_KEY, { time, digits: 8, algorithm: 'sha256' })).toBe(sha256);
+      expect(generateTotp(SHA512_KEY, { time, digits: 8, algorithm: 'sha512' })).toBe(sha512);
+    });
+
+    it('should default to six digits', () => {
+      expect(generateTotp(SHA1_KEY, { time: 59000 })).toBe('287082');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = base32Encode(SHA1_KEY);
+    const time = 1111111111 * 1000;
+    const step = getTotpStep(time);
+
+    it('should accept the current code and return its step', () => {
+      const code = generateTotp(SHA1_KEY, { time });
+
+      expect(verifyTotp(secret, code, { time })).toBe(step);
+      expect(verifyTotp(secret, ` ${code.slice(0, 3)} ${code.slice(3)} `, { time })).toBe(step);
+    });
+
+    it('should allow one step of clock drift either way', () => {
+      expect(verifyTotp(secret, generateTotp(SHA1_KEY, { time: time - 30000 }), { time })).toBe(step - 1);
+      expect(verifyTotp(secret, generateTotp(SHA1_KEY, { time: time + 30000 }), { time })).toBe(step + 1);
+      expect(verifyTotp(secret, generateTotp(SHA1_KEY, { time: time - 60000 }), { time })).toBeNull();
+    });
+
+    it('should not accept a step that was already used', () => {
+      const code = generateTotp(SHA1_KEY, { time });
+
+      expect(verifyTotp(secret, code, { time, afterStep: step })).toBeNull();
+      expect(verifyTotp(secret, code, { time, afterStep: step - 1 })).toBe(step);
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(secret, '12345', { time })).toBeNull();
+      expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(secret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('getOtpauthUri', () => {
+    it('should build a URI authenticator apps can import', () => {
+      const uri = getOtpauthUri('JBSWY3DPEHPK3PXP', 'lifter');
+
+      expect(uri).toBe(
+        'otpauth://totp/Gym%20Pad%3Alifter?secret=JBSWY3DPEHPK3PXP&issuer=Gym+Pad&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getTrackingMode,
+  tracksField,
+  parseSetDuration,
+  formatDuration,
+  formatDistance,
+  calculatePace,
+  formatPace,
+  toSetMeasures,
+  isSetMeasured,
+  getSetVolume,
+  formatSetMeasures,
+  getSessionBest
+} from '@/lib/tracking-modes';
+
+describe('tracking-modes', () => {
+  describe('getTrackingMode', () => {
+    it('should fall back to weight × reps for missing or unknown modes', () => {
+      expect(getTrackingMode({ trackingMode: 'DURATION' })).toBe('DURATION');
+      expect(getTrackingMode({ trackingMode: 'JUNK' })).toBe('WEIGHT_REPS');
+      expect(getTrackingMode(null)).toBe('WEIGHT_REPS');
+    });
+  });
+
+  describe('tracksField', () => {
+    it('should know which fields each mode records', () => {
+      expect(tracksField('DURATION', 'durationSeconds')).toBe(true);
+      expect(tracksField('DURATION', 'reps')).toBe(false);
+      expect(tracksField('DISTANCE_DURATION', 'weight')).toBe(false);
+      expect(tracksField('ASSISTED', 'weight')).toBe(true);
+    });
+  });
+
+  describe('parseSetDuration', () => {
+    it('should read seconds, m:ss and h:mm:ss', () => {
+      expect(parseSetDuration('90')).toBe(90);
+      expect(parseSetDuration('1:30')).toBe(90);
+      expect(parseSetDuration('1:02:30')).toBe(3750);
+      expect(parseSetDuration(45)).toBe(45);
+    });
+
+    it('should return null for blank, zero or invalid durations', () => {
+      expect(parseSetDuration('')).toBeNull();
+      expect(parseSetDuration('0:00')).toBeNull();
+      expect(parseSetDuration('1m')).toBeNull();
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format durations, distances and paces', () => {
+      expect(formatDuration(75)).toBe('1:15');
+      expect(formatDuration(3750)).toBe('1:02:30');
+      expect(formatDistance(400)).toBe('400 m');
+      expect(formatDistance(2500)).toBe('2.5 km');
+      expect(formatPace(112)).toBe('1:52 /500m');
+    });
+
+    it('should work out the pace per 500m', () => {
+      expect(calculatePace({ distanceMeters: 2000, durationSeconds: 450 })).toBe(112.5);
+      expect(calculatePace({ distanceMeters: 2000 })).toBeNull();
+    });
+  });
+
+  describe('toSetMeasures', () => {
+    it('should keep only the fields the mode records', () => {
+      expect(toSetMeasures({ reps: '8', weight: '60', durationSeconds: '1:00' }, 'WEIGHT_REPS')).toEqual({
+        reps: 8, weight: 60, durationSeconds: null, distanceMeters: null
+      });
+      expect(toSetMeasures({ reps: '8', weight: '', durationSeconds: '1:00', distanceMeters: '500' }, 'DURATION')).toEqual({
+        reps: null, weight: null, durationSeconds: 60, distanceMeters: null
+      });
+    });
+  });
+
+  describe('isSetMeasured', () => {
+    it('should require every field of the mode', () => {
+      expect(isSetMeasured({ distanceMeters: '2000', durationSeconds: '7:30' }, 'DISTANCE_DURATION')).toBe(true);
+      expect(isSetMeasured({ distanceMeters: '2000' }, 'DISTANCE_DURATION')).toBe(false);
+      expect(isSetMeasured({ reps: '' }, 'WEIGHT_REPS')).toBe(false);
+    });
+  });
+
+  describe('getSetVolume', () => {
+    it('should take the assistance off bodyweight for assisted sets', () => {
+      expect(getSetVolume({ reps: 8, weight: 20 }, 'ASSISTED', 80)).toBe(480);
+      expect(getSetVolume({ reps: 8, weight: 60 }, 'WEIGHT_REPS')).toBe(480);
+      expect(getSetVolume({ reps: 8, weight: 20, durationSeconds: 60 }, 'DURATION', 80)).toBe(0);
+    });
+  });
+
+  describe('formatSetMeasures', () => {
+    it('should describe a set in its mode', () => {
+      expect(formatSetMeasures({ reps: 8, weight: 60, weightUnit: 'kg' }, 'WEIGHT_REPS')).toBe('60 kg × 8');
+      expect(formatSetMeasures({ durationSeconds: 90, weight: 20, weightUnit: 'kg' }, 'DURATION')).toBe('1:30 + 20 kg');
+      expect(formatSetMeasures({ distanceMeters: 2000, durationSeconds: 450 }, 'DISTANCE_DURATION')).toBe('2 km in 7:30');
+      expect(formatSetMeasures({ reps: 8, weight: 20, weightUnit: 'kg' }, 'ASSISTED')).toBe('−20 kg × 8');
+    });
+  });
+
+  describe('getSessionBest', () => {
+    it('should pick the best value the mode is charted by', () => {
+      expect(getSessionBest([{ durationSeconds: 60 }, { durationSeconds: 90 }], 'DURATION')).toBe(90);
+      expect(getSessionBest([
+        { distanceMeters: 2000, durationSeconds: 480 },
+        { distanceMeters: 500, durationSeconds: 110 },
+        { distanceMeters: 250, durationSeconds: 40 }
+      ], 'DISTANCE_DURATION')).toBe(110);
+      expect(getSessionBest([{ reps: 8, weight: 30 }, { reps: 5, weight: 20 }], 'ASSISTED')).toBe(20);
+      expect(getSessionBest([], 'WEIGHT_REPS')).toBeNull();
+    });
+  });
+});
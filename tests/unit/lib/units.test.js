@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeWeightUnit,
+  convertWeight,
+  toKg,
+  fromKg,
+  getSetWeight,
+  convertSets,
+  convertWorkoutSets,
+  convertWeightChange,
+  formatWeight
+} from '@/lib/units';
+
+describe('Weight Units', () => {
+  describe('normalizeWeightUnit', () => {
+    it('should fall back to kg for missing or unknown units', () => {
+      expect(normalizeWeightUnit('lb')).toBe('lb');
+      expect(normalizeWeightUnit(undefined)).toBe('kg');
+      expect(normalizeWeightUnit('stone')).toBe('kg');
+    });
+  });
+
+  describe('convertWeight', () => {
+    it('should round kg to 0.01 and lb to 0.1', () => {
+      expect(convertWeight(100, 'kg', 'lb')).toBe(220.5);
+      expect(convertWeight(225, 'lb', 'kg')).toBe(102.06);
+      expect(toKg(45, 'lb')).toBe(20.41);
+      expect(fromKg(20, 'lb')).toBe(44.1);
+    });
+
+    it('should round-trip whole pounds', () => {
+      expect(fromKg(toKg(135, 'lb'), 'lb')).toBe(135);
+    });
+
+    it('should leave weights in the same unit and blank weights alone', () => {
+      expect(convertWeight(62.5, 'kg', 'kg')).toBe(62.5);
+      expect(convertWeight(null, 'kg', 'lb')).toBeNull();
+      expect(convertWeight(undefined, 'lb', 'kg')).toBeNull();
+    });
+  });
+
+  describe('convertSets', () => {
+    it('should convert every set to one unit', () => {
+      const sets = convertSets([
+        { reps: 5, weight: 100, weightUnit: 'kg' },
+        { reps: 5, weight: 225, weightUnit: 'lb' },
+        { reps: 10, weight: null, weightUnit: 'lb' }
+      ], 'kg');
+
+      expect(sets).toEqual([
+        { reps: 5, weight: 100, weightUnit: 'kg' },
+        { reps: 5, weight: 102.06, weightUnit: 'kg' },
+        { reps: 10, weight: null, weightUnit: 'kg' }
+      ]);
+    });
+
+    it('should treat sets without a unit as kg', () => {
+      expect(getSetWeight({ weight: 100 }, 'lb')).toBe(220.5);
+    });
+
+    it('should convert the sets of each exercise of a workout', () => {
+      const workout = convertWorkoutSets({
+        id: 1,
+        exercises: [{ name: 'Squat', sets: [{ reps: 5, weight: 100, weightUnit: 'kg' }] }]
+      }, 'lb');
+
+      expect(workout.exercises[0].sets[0]).toEqual({ reps: 5, weight: 220.5, weightUnit: 'lb' });
+    });
+  });
+
+  describe('convertWeightChange', () => {
+    it('should round kg changes to pound increments', () => {
+      expect(convertWeightChange(2.5, 'lb')).toBe(5);
+      expect(convertWeightChange(5, 'lb')).toBe(10);
+      expect(convertWeightChange(-5, 'lb')).toBe(-10);
+    });
+
+    it('should keep kg changes as they are', () => {
+      expect(convertWeightChange(2.5, 'kg')).toBe(2.5);
+      expect(convertWeightChange(0, 'lb')).toBe(0);
+    });
+  });
+
+  describe('formatWeight', () => {
+    it('should format a weight with its unit', () => {
+      expect(formatWeight(12500, 'lb')).toBe('12,500 lb');
+      expect(formatWeight(80, undefined)).toBe('80 kg');
+    });
+  });
+});
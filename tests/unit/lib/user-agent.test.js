@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { describeUserAgent } from '@/lib/user-agent';
+
+describe('describeUserAgent', () => {
+  it('should name the browser and operating system', () => {
+    expect(describeUserAgent(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36'
+    )).toBe('Chrome on macOS');
+    expect(describeUserAgent(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+    )).toBe('Safari on iOS');
+    expect(describeUserAgent(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0'
+    )).toBe('Firefox on Windows');
+  });
+
+  it('should not mistake Edge for Chrome', () => {
+    expect(describeUserAgent(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0.0.0 Safari/537.36 Edg/128.0.0.0'
+    )).toBe('Edge on Windows');
+  });
+
+  it('should fall back for missing or unrecognised user agents', () => {
+    expect(describeUserAgent(null)).toBe('Unknown device');
+    expect(describeUserAgent('curl/8.4.0')).toBe('Unknown device');
+  });
+});
@@ -2,6 +2,17 @@ import { describe, it, expect } from 'vitest';
 import {
   validateWorkout,
   validateExercise,
+  validateTemplateLoadTargets,
+  validateExerciseGroups,
+  validateProgram,
+  validateWeightEntry,
+  validateBodyMeasurements,
+  validateCardioEntry,
+  validateExportDocument,
+  validateUserPreferences,
+  validateEquipmentProfile,
+  validateApiToken,
+  validateWorkoutSearch,
   sanitizeInput
 } from '@/lib/validations';
 
@@ -182,6 +193,543 @@ describe('Validation Functions', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors).toContain('Set 1: RPE must be an integer between 1 and 10');
     });
+
+    it('should accept known set types and reject others', () => {
+      const valid = validateExercise({
+        name: 'Bench Press',
+        sets: [{ reps: 5, weight: 60, setType: 'WARMUP' }, { reps: 5, weight: 100, setType: null }]
+      });
+      const invalid = validateExercise({ name: 'Bench Press', sets: [{ reps: 5, weight: 100, setType: 'HEAVY' }] });
+
+      expect(valid.isValid).toBe(true);
+      expect(invalid.isValid).toBe(false);
+      expect(invalid.errors[0]).toMatch(/^Set 1: set type must be one of WARMUP, WORKING/);
+    });
+
+    it('should check the fields of the exercise\'s tracking mode', () => {
+      const plank = validateExercise({ name: 'Plank', trackingMode: 'DURATION', sets: [{ reps: null, durationSeconds: 60 }] });
+      const row = validateExercise({ name: 'Row', trackingMode: 'DISTANCE_DURATION', sets: [{ distanceMeters: 2000 }] });
+      const unknown = validateExercise({ name: 'Plank', trackingMode: 'TIME', sets: [{ reps: 5 }] });
+
+      expect(plank.isValid).toBe(true);
+      expect(row.errors).toEqual(['Set 1: duration must be a positive whole number of seconds']);
+      expect(unknown.errors[0]).toMatch(/^Tracking mode must be one of WEIGHT_REPS, DURATION/);
+    });
+  });
+
+  describe('validateTemplateLoadTargets', () => {
+    it('should accept exercises with one or no load target', () => {
+      const result = validateTemplateLoadTargets([
+        { name: 'Squat', targetPercentE1RM: 82.5 },
+        { name: 'Leg Press', targetRpe: 8 },
+        { name: 'Calf Raise', targetPercentE1RM: null, targetRpe: null }
+      ]);
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject out-of-range targets and both targets at once', () => {
+      const result = validateTemplateLoadTargets([
+        { name: 'Squat', targetPercentE1RM: 0 },
+        { name: 'Bench Press', targetRpe: 8.5 },
+        { name: 'Row', targetPercentE1RM: 70, targetRpe: 7 }
+      ]);
+
+      expect(result.errors).toEqual([
+        'Exercise 1: %e1RM must be a number between 0 and 150',
+        'Exercise 2: RPE must be a whole number between 1 and 10',
+        'Exercise 3: use either %e1RM or RPE, not both'
+      ]);
+    });
+
+    it('should accept a missing exercise list', () => {
+      expect(validateTemplateLoadTargets(undefined).isValid).toBe(true);
+    });
+  });
+
+  describe('validateExerciseGroups', () => {
+    it('should accept ungrouped exercises and consecutive groups', () => {
+      const result = validateExerciseGroups([
+        { name: 'Squat' },
+        { name: 'Bench Press', groupNumber: 1, groupType: 'SUPERSET' },
+        { name: 'Row', groupNumber: 1, groupType: 'SUPERSET' },
+        { name: 'Curl', groupNumber: 2, groupType: 'CIRCUIT' },
+        { name: 'Pushdown', groupNumber: 2, groupType: 'CIRCUIT' },
+        { name: 'Calf Raise', groupNumber: null, groupType: null }
+      ]);
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject invalid group numbers and types', () => {
+      const result = validateExerciseGroups([
+        { name: 'Squat', groupNumber: 0 },
+        { name: 'Bench Press', groupNumber: 1, groupType: 'DROPSET' },
+        { name: 'Row', groupNumber: 1, groupType: 'DROPSET' }
+      ]);
+
+      expect(result.errors).toEqual([
+        'Exercise 1: group number must be a positive integer',
+        'Exercise 2: group type must be SUPERSET, CIRCUIT, or GIANT_SET',
+        'Exercise 3: group type must be SUPERSET, CIRCUIT, or GIANT_SET'
+      ]);
+    });
+
+    it('should reject group numbers too large to store', () => {
+      const result = validateExerciseGroups([
+        { name: 'Bench Press', groupNumber: 2147483648, groupType: 'SUPERSET' },
+        { name: 'Row', groupNumber: 2147483648, groupType: 'SUPERSET' }
+      ]);
+
+      expect(result.errors).toEqual([
+        'Exercise 1: group number must be a positive integer',
+        'Exercise 2: group number must be a positive integer'
+      ]);
+    });
+
+    it('should reject lone, split and mixed-type groups', () => {
+      const result = validateExerciseGroups([
+        { name: 'Squat', groupNumber: 1, groupType: 'SUPERSET' },
+        { name: 'Bench Press', groupNumber: 2, groupType: 'SUPERSET' },
+        { name: 'Row', groupNumber: 3, groupType: 'SUPERSET' },
+        { name: 'Curl', groupNumber: 2, groupType: 'SUPERSET' },
+        { name: 'Pushdown', groupNumber: 4, groupType: 'SUPERSET' },
+        { name: 'Lateral Raise', groupNumber: 4, groupType: 'CIRCUIT' }
+      ]);
+
+      expect(result.errors).toEqual([
+        'Group 1 needs at least two exercises',
+        'Exercises in group 2 must be next to each other',
+        'Group 3 needs at least two exercises',
+        'Exercises in group 4 must share one group type'
+      ]);
+    });
+  });
+
+  describe('validateProgram', () => {
+    const validProgram = {
+      name: 'Hypertrophy Block',
+      weeks: 4,
+      days: [
+        { templateId: 1, label: 'Push', overrides: [{ week: 4, sets: 2 }] },
+        { templateId: 2, overrides: [{ week: 2, exerciseName: 'Squat', reps: 5, percentE1RM: 80 }] }
+      ]
+    };
+
+    it('should validate a correct program', () => {
+      const result = validateProgram(validProgram);
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should require a name, a week count and at least one day', () => {
+      const result = validateProgram({ name: ' ', weeks: 0, days: [] });
+
+      expect(result.errors).toEqual([
+        'Program name is required and must be a non-empty string',
+        'Weeks must be an integer between 1 and 52',
+        'Days must be a non-empty array'
+      ]);
+    });
+
+    it('should allow days to be left out when they are not required', () => {
+      const result = validateProgram({ name: 'Block', weeks: 6 }, { requireDays: false });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should report invalid days and overrides by position', () => {
+      const result = validateProgram({
+        ...validProgram,
+        days: [
+          { templateId: '1' },
+          { templateId: 2, overrides: [{ week: 5, sets: 1.5, percentE1RM: 200 }, { week: 1 }] }
+        ]
+      });
+
+      expect(result.errors).toEqual([
+        'Day 1: a template is required',
+        'Day 2, override 1: week must be between 1 and the number of weeks',
+        'Day 2, override 1: sets must be a positive integer',
+        'Day 2, override 1: %e1RM must be a number between 0 and 150',
+        'Day 2, override 2: set at least one of sets, reps or %e1RM'
+      ]);
+    });
+
+    it('should reject template IDs, sets and reps too large to store', () => {
+      const result = validateProgram({
+        ...validProgram,
+        days: [
+          { templateId: 2147483648 },
+          { templateId: 2, overrides: [{ week: 1, sets: 2147483648, reps: 2147483648 }] }
+        ]
+      });
+
+      expect(result.errors).toEqual([
+        'Day 1: a template is required',
+        'Day 2, override 1: sets must be a positive integer',
+        'Day 2, override 1: reps must be a positive integer'
+      ]);
+    });
+  });
+
+  describe('validateWeightEntry', () => {
+    it('should validate a weight with an optional body fat', () => {
+      expect(validateWeightEntry({ date: '2025-01-06', weight: 82.4 }).isValid).toBe(true);
+      expect(validateWeightEntry({ date: '2025-01-06', weight: 82.4, bodyFat: 18.5 }).isValid).toBe(true);
+      expect(validateWeightEntry({ date: '2025-01-06', weight: 82.4, bodyFat: null }).isValid).toBe(true);
+    });
+
+    it('should reject a missing date, a bad weight and a bad body fat', () => {
+      const result = validateWeightEntry({ weight: '82', bodyFat: 100 });
+
+      expect(result.errors).toEqual([
+        'Valid date is required',
+        'Weight must be a number between 0 and 500 kg',
+        'Body fat must be a percentage between 0 and 100'
+      ]);
+    });
+  });
+
+  describe('validateBodyMeasurements', () => {
+    it('should validate measurements for known sites', () => {
+      const result = validateBodyMeasurements({ date: '2025-01-06', measurements: { waist: 84, arms: 38.5 } });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should require at least one measurement', () => {
+      expect(validateBodyMeasurements({ date: '2025-01-06', measurements: {} }).errors).toEqual([
+        'Measurements must be an object with at least one site'
+      ]);
+      expect(validateBodyMeasurements({ date: '2025-01-06', measurements: [84] }).isValid).toBe(false);
+    });
+
+    it('should reject unknown sites and invalid values', () => {
+      const result = validateBodyMeasurements({ date: '2025-01-06', measurements: { ankle: 20, waist: 0 } });
+
+      expect(result.errors).toEqual([
+        'Site must be one of: neck, shoulders, chest, arms, forearms, waist, hips, thighs, calves',
+        'waist must be a number between 0 and 300 cm'
+      ]);
+    });
+  });
+
+  describe('validateCardioEntry', () => {
+    it('should validate an entry with optional measures and intervals', () => {
+      expect(validateCardioEntry({ activityType: 'RUN', durationSeconds: 1500 }).isValid).toBe(true);
+      expect(validateCardioEntry({
+        activityType: 'ROW',
+        date: '2025-01-06T18:00:00.000Z',
+        workoutId: 7,
+        durationSeconds: 900,
+        distanceMeters: 3000,
+        avgHeartRate: 148,
+        calories: 210,
+        notes: 'Steady',
+        intervals: [{ durationSeconds: 120, distanceMeters: 500, restSeconds: 60, avgHeartRate: 165 }]
+      }).isValid).toBe(true);
+    });
+
+    it('should reject an unknown activity and a bad duration, distance, heart rate and calories', () => {
+      const result = validateCardioEntry({
+        activityType: 'SKATE',
+        durationSeconds: 90.5,
+        distanceMeters: 0,
+        avgHeartRate: 400,
+        calories: -1
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toHaveLength(5);
+    });
+
+    it('should reject invalid intervals', () => {
+      const result = validateCardioEntry({
+        activityType: 'RUN',
+        durationSeconds: 1200,
+        intervals: [{ durationSeconds: 0, restSeconds: -5 }]
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+      expect(validateCardioEntry({ activityType: 'RUN', durationSeconds: 1200, intervals: {} }).isValid).toBe(false);
+    });
+
+    it('should reject a workout ID too large to store', () => {
+      const result = validateCardioEntry({ activityType: 'RUN', durationSeconds: 1200, workoutId: 2147483648 });
+
+      expect(result.errors).toEqual(['Workout ID must be a positive integer']);
+    });
+  });
+
+  describe('validateExportDocument', () => {
+    const validDocument = {
+      format: 'gym-pad-export',
+      version: 1,
+      exerciseLibrary: [{ name: 'Pause Squat', aliases: [] }],
+      templates: [{ name: 'Push Day', exercises: [] }],
+      workouts: [
+        {
+          title: 'Push Day',
+          date: '2025-01-06T00:00:00.000Z',
+          status: 'COMPLETED',
+          exercises: [{ name: 'Bench Press', sets: [{ reps: 5, weight: 100 }] }]
+        }
+      ]
+    };
+
+    it('should validate a correct export document', () => {
+      const result = validateExportDocument(validDocument);
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject files that are not exports', () => {
+      expect(validateExportDocument(null).errors).toEqual(['File is not a Gym Pad export']);
+      expect(validateExportDocument({ workouts: [] }).errors).toEqual(['File is not a Gym Pad export']);
+    });
+
+    it('should reject unsupported versions', () => {
+      const result = validateExportDocument({ ...validDocument, version: 99 });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Export version 99 is not supported (latest is 2)');
+    });
+
+    it('should report invalid workouts, exercises and sets by position', () => {
+      const result = validateExportDocument({
+        ...validDocument,
+        workouts: [
+          { title: '', date: 'not-a-date', status: 'DONE', exercises: [{ name: 'Row', sets: [{ reps: 1.5 }] }] }
+        ]
+      });
+
+      expect(result.errors).toEqual([
+        'Workout 1: title is required',
+        'Workout 1: valid date is required',
+        'Workout 1: status must be COMPLETED, CANCELLED, or DRAFT',
+        'Workout 1, exercise 1: sets must have whole-number reps'
+      ]);
+    });
+
+    it('should check programs with their templates referenced by name', () => {
+      const result = validateExportDocument({
+        ...validDocument,
+        programs: [
+          { name: 'Block', weeks: 4, days: [{ template: 'Push Day', overrides: [] }] },
+          { name: 'Broken', weeks: 4, days: [{ template: null }] }
+        ]
+      });
+
+      expect(result.errors).toEqual(['Program 2: Day 1: a template is required']);
+    });
+
+    it('should check body metrics', () => {
+      const result = validateExportDocument({
+        ...validDocument,
+        bodyweight: [{ date: '2025-01-06', weight: 82.4, bodyFat: null }, { date: '2025-01-07', weight: -1 }],
+        measurements: [{ date: '2025-01-06', site: 'waist', value: 84 }, { date: '2025-01-06', site: 'ankle', value: 20 }]
+      });
+
+      expect(result.errors).toEqual([
+        'Bodyweight entry 2: Weight must be a number between 0 and 500 kg',
+        'Measurement 2: Site must be one of: neck, shoulders, chest, arms, forearms, waist, hips, thighs, calves'
+      ]);
+    });
+
+    it('should check preferences', () => {
+      expect(validateExportDocument({
+        ...validDocument,
+        preferences: { weightUnit: 'lb', defaultRestSeconds: 120, weekStartDay: 0, timeZone: null }
+      }).isValid).toBe(true);
+
+      expect(validateExportDocument({
+        ...validDocument,
+        preferences: { weightUnit: 'stone', weekStartDay: 7 }
+      }).errors).toEqual([
+        'Preferences: Weight unit must be kg or lb',
+        'Preferences: Week start day must be 0 (Sunday) to 6 (Saturday)'
+      ]);
+      expect(validateExportDocument({ ...validDocument, preferences: 'lb' }).errors).toEqual(['preferences must be an object']);
+    });
+
+    it('should check the equipment', () => {
+      expect(validateExportDocument({
+        ...validDocument,
+        equipment: { weightUnit: 'lb', barWeight: 45, plates: [45, 25, 10, 5], dumbbellIncrement: 5, machineIncrement: 10 }
+      }).isValid).toBe(true);
+      expect(validateExportDocument({ ...validDocument, equipment: null }).isValid).toBe(true);
+
+      expect(validateExportDocument({
+        ...validDocument,
+        equipment: { barWeight: 20, plates: [], dumbbellIncrement: 2, machineIncrement: 5 }
+      }).errors).toEqual(['Equipment: Plates must be a list of 1 to 20 plate weights']);
+    });
+  });
+
+  describe('validateUserPreferences', () => {
+    it('should accept profile and settings changes', () => {
+      const result = validateUserPreferences({
+        name: 'Sam',
+        weightUnit: 'lb',
+        defaultRestSeconds: 120,
+        weekStartDay: 0,
+        timeZone: 'Europe/London'
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should allow clearing the time zone', () => {
+      expect(validateUserPreferences({ timeZone: null }).isValid).toBe(true);
+    });
+
+    it('should reject out-of-range settings', () => {
+      const result = validateUserPreferences({
+        name: ' ',
+        defaultRestSeconds: 0,
+        weekStartDay: 7,
+        timeZone: 'Mars/Olympus_Mons'
+      });
+
+      expect(result.errors).toEqual([
+        'Name is required and must be a non-empty string',
+        'Default rest time must be a whole number of seconds between 1 and 600',
+        'Week start day must be 0 (Sunday) to 6 (Saturday)',
+        'Time zone must be an IANA time zone such as Europe/London'
+      ]);
+    });
+
+    it('should require the current password and a long enough new one', () => {
+      const result = validateUserPreferences({ newPassword: 'abc' });
+
+      expect(result.errors).toEqual([
+        'Password must be at least 6 characters long',
+        'Current password is required to change your password'
+      ]);
+    });
+  });
+
+  describe('validateEquipmentProfile', () => {
+    it('should accept a full equipment profile', () => {
+      const result = validateEquipmentProfile({
+        weightUnit: 'lb',
+        barWeight: 45,
+        plates: [45, 25, 10, 5, 2.5],
+        dumbbellIncrement: 5,
+        machineIncrement: 10
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should allow loading without a bar', () => {
+      const result = validateEquipmentProfile({
+        barWeight: 0,
+        plates: [20],
+        dumbbellIncrement: 2,
+        machineIncrement: 5
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should require a bar, plates and increments', () => {
+      const result = validateEquipmentProfile({ weightUnit: 'stone', plates: [] });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Weight unit must be kg or lb',
+        'Bar weight must be a number between 0 and 100',
+        'Plates must be a list of 1 to 20 plate weights',
+        'Dumbbell increment must be more than 0 and at most 100',
+        'Machine increment must be more than 0 and at most 100'
+      ]);
+    });
+
+    it('should reject plates that weigh nothing or too much', () => {
+      const result = validateEquipmentProfile({
+        barWeight: 20,
+        plates: [25, 0, 250],
+        dumbbellIncrement: 2,
+        machineIncrement: 5
+      });
+
+      expect(result.errors).toEqual(['Each plate must weigh more than 0 and at most 100']);
+    });
+  });
+
+  describe('validateApiToken', () => {
+    it('should accept a named token with known scopes and an expiry', () => {
+      const result = validateApiToken({
+        name: 'Spreadsheet sync',
+        scopes: ['workouts:read', 'insights:read'],
+        expiresInDays: 90
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should require a name, a scope and an expiry', () => {
+      const result = validateApiToken({ name: ' ', scopes: [] });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Name is required and must be a non-empty string',
+        'At least one scope is required',
+        'Expiry must be a whole number of days between 1 and 365'
+      ]);
+    });
+
+    it('should reject unknown scopes and expiries over a year', () => {
+      const result = validateApiToken({
+        name: 'Admin',
+        scopes: ['workouts:read', 'account:write'],
+        expiresInDays: 3650
+      });
+
+      expect(result.errors).toEqual([
+        'Unknown scopes: account:write. Scopes must be workouts:read, workouts:write, insights:read',
+        'Expiry must be a whole number of days between 1 and 365'
+      ]);
+    });
+  });
+
+  describe('validateWorkoutSearch', () => {
+    it('should accept an empty search and a full valid one', () => {
+      expect(validateWorkoutSearch({}).isValid).toBe(true);
+      expect(validateWorkoutSearch({
+        from: '2026-10-01',
+        to: '2026-10-01',
+        status: 'DRAFT',
+        templateId: '12',
+        exercise: 'squat',
+        q: 'heavy',
+        limit: '100'
+      }).isValid).toBe(true);
+    });
+
+    it('should reject invalid dates and out-of-range limits', () => {
+      const result = validateWorkoutSearch({ from: 'last week', limit: '0' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'from must be a valid date',
+        'limit must be a whole number between 1 and 100'
+      ]);
+    });
+
+    it('should reject a templateId too large to be an ID', () => {
+      expect(validateWorkoutSearch({ templateId: '2147483647' }).isValid).toBe(true);
+
+      const result = validateWorkoutSearch({ templateId: '2147483648' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['templateId must be a positive integer']);
+    });
   });
 
   describe('sanitizeInput', () => {
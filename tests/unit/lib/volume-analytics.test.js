@@ -0,0 +1,171 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calculateExerciseVolume,
+  calculateWorkoutVolume,
+  getISOWeek,
+  aggregateVolumeByWeek,
+  aggregateBodyweightByWeek,
+  aggregateCardioByWeek,
+  combineTrainingLoad,
+  combineWeeklyTrends
+} from '@/lib/volume-analytics';
+
+// volume-analytics reads sets through lib/migrate-sets, which also holds the
+// standalone migration script and its Prisma client
+vi.mock('@prisma/client', () => ({
+  PrismaClient: vi.fn()
+}));
+
+describe('Volume Analytics', () => {
+  describe('calculateExerciseVolume', () => {
+    it('should sum weight × reps across sets', () => {
+      expect(calculateExerciseVolume([{ weight: 100, reps: 5 }, { weight: 90, reps: 8 }])).toBe(1220);
+    });
+
+    it('should count unloaded sets as zero without a bodyweight', () => {
+      expect(calculateExerciseVolume([{ weight: null, reps: 10 }])).toBe(0);
+    });
+
+    it('should add the bodyweight to each set of a bodyweight exercise', () => {
+      expect(calculateExerciseVolume([{ weight: null, reps: 10 }, { weight: 10, reps: 5 }], 80)).toBe(1250);
+    });
+
+    it('should leave warm-ups out and count drop sets', () => {
+      expect(calculateExerciseVolume([
+        { weight: 60, reps: 5, setType: 'WARMUP' },
+        { weight: 100, reps: 5 },
+        { weight: 80, reps: 8, setType: 'DROP' }
+      ])).toBe(1140);
+    });
+
+    it('should count bodyweight less the assistance for assisted sets', () => {
+      expect(calculateExerciseVolume([{ weight: 30, reps: 8 }], 80, 'ASSISTED')).toBe(400);
+      expect(calculateExerciseVolume([{ weight: 20, reps: 1, durationSeconds: 60 }], 80, 'DURATION')).toBe(0);
+    });
+  });
+
+  describe('calculateWorkoutVolume', () => {
+    it('should use the bodyweight attached to bodyweight exercises', () => {
+      const result = calculateWorkoutVolume({
+        exercises: [
+          { name: 'Pull-ups', bodyweight: 80, sets: [{ weight: null, reps: 8 }] },
+          { name: 'Row', sets: [{ weight: 60, reps: 10 }] }
+        ]
+      });
+
+      expect(result).toEqual({ total: 1240, byExercise: { 'Pull-ups': 640, Row: 600 } });
+    });
+  });
+
+  describe('getISOWeek', () => {
+    it('should number Monday-start weeks by default', () => {
+      expect(getISOWeek(new Date('2025-01-05T12:00:00'))).toBe('2025-W01');
+      expect(getISOWeek(new Date('2025-01-06T12:00:00'))).toBe('2025-W02');
+    });
+
+    it('should start weeks on the given day', () => {
+      expect(getISOWeek(new Date('2025-01-04T12:00:00'), { weekStartDay: 0 })).toBe('2025-W01');
+      expect(getISOWeek(new Date('2025-01-05T12:00:00'), { weekStartDay: 0 })).toBe('2025-W02');
+    });
+
+    it('should read the date in the given time zone', () => {
+      const mondayInUtc = '2025-01-06T03:00:00Z';
+
+      expect(getISOWeek(mondayInUtc, { timeZone: 'UTC' })).toBe('2025-W02');
+      expect(getISOWeek(mondayInUtc, { timeZone: 'America/New_York' })).toBe('2025-W01');
+    });
+  });
+
+  describe('aggregateVolumeByWeek', () => {
+    it('should group a Sunday with the following days when weeks start on Sunday', () => {
+      const workouts = [
+        { date: new Date('2025-01-05T12:00:00'), exercises: [{ name: 'Squat', sets: [{ weight: 100, reps: 5 }] }] },
+        { date: new Date('2025-01-07T12:00:00'), exercises: [{ name: 'Squat', sets: [{ weight: 100, reps: 5 }] }] }
+      ];
+
+      expect(aggregateVolumeByWeek(workouts).map((week) => week.total)).toEqual([500, 500]);
+      expect(aggregateVolumeByWeek(workouts, {}, 8, { weekStartDay: 0 }).map((week) => week.total)).toEqual([1000]);
+    });
+  });
+
+  describe('aggregateCardioByWeek', () => {
+    it('should total cardio time, distance and calories per week', () => {
+      const result = aggregateCardioByWeek([
+        { date: new Date('2025-01-06T12:00:00'), durationSeconds: 1500, distanceMeters: 5000, calories: 350 },
+        { date: new Date('2025-01-08T12:00:00'), durationSeconds: 600, distanceMeters: null, calories: null },
+        { date: new Date('2025-01-13T12:00:00'), durationSeconds: 900, distanceMeters: 3000, calories: 200 }
+      ]);
+
+      expect(result).toEqual([
+        { week: '2025-W02', label: 'W02', sessions: 2, durationSeconds: 2100, distanceMeters: 5000, calories: 350 },
+        { week: '2025-W03', label: 'W03', sessions: 1, durationSeconds: 900, distanceMeters: 3000, calories: 200 }
+      ]);
+    });
+  });
+
+  describe('combineTrainingLoad', () => {
+    it('should add cardio to the volume weeks and keep cardio-only weeks', () => {
+      const cardio = { sessions: 1, durationSeconds: 900, distanceMeters: 3000, calories: 200 };
+      const result = combineTrainingLoad(
+        [{ week: '2025-W02', label: 'W02', total: 12000, byMuscle: { Chest: 12000 } }],
+        [{ week: '2025-W03', label: 'W03', ...cardio }]
+      );
+
+      expect(result).toEqual([
+        {
+          week: '2025-W02',
+          label: 'W02',
+          total: 12000,
+          byMuscle: { Chest: 12000 },
+          cardio: { sessions: 0, durationSeconds: 0, distanceMeters: 0, calories: 0 }
+        },
+        { week: '2025-W03', label: 'W03', total: 0, byMuscle: {}, cardio }
+      ]);
+    });
+
+    it('should keep only the most recent weeks', () => {
+      const cardioTrend = ['2025-W01', '2025-W02', '2025-W03'].map((week) => ({
+        week,
+        label: week.slice(5),
+        sessions: 1,
+        durationSeconds: 600,
+        distanceMeters: 0,
+        calories: 0
+      }));
+
+      expect(combineTrainingLoad([], cardioTrend, 2).map((week) => week.week)).toEqual(['2025-W02', '2025-W03']);
+    });
+  });
+
+  describe('aggregateBodyweightByWeek', () => {
+    it('should average weight and body fat per week', () => {
+      const result = aggregateBodyweightByWeek([
+        { date: new Date('2025-01-06T12:00:00'), weight: 80, bodyFat: 18 },
+        { date: new Date('2025-01-08T12:00:00'), weight: 80.5, bodyFat: null },
+        { date: new Date('2025-01-13T12:00:00'), weight: 81, bodyFat: null }
+      ]);
+
+      expect(result).toEqual([
+        { week: '2025-W02', label: 'W02', weight: 80.3, bodyFat: 18 },
+        { week: '2025-W03', label: 'W03', weight: 81, bodyFat: null }
+      ]);
+    });
+  });
+
+  describe('combineWeeklyTrends', () => {
+    it('should line up volume and bodyweight by week', () => {
+      const result = combineWeeklyTrends(
+        [{ week: '2025-W02', label: 'W02', total: 12000 }],
+        [
+          { week: '2025-W02', label: 'W02', weight: 80.3, bodyFat: 18 },
+          { week: '2025-W03', label: 'W03', weight: 81, bodyFat: null }
+        ]
+      );
+
+      expect(result).toEqual([
+        { week: '2025-W02', label: 'W02', volume: 12000, weight: 80.3, bodyFat: 18 },
+        { week: '2025-W03', label: 'W03', volume: 0, weight: 81, bodyFat: null }
+      ]);
+    });
+  });
+});
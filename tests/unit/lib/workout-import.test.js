@@ -0,0 +1,221 @@
+import { describe, it, expect } from 'vitest';
+import {
+  IMPORT_FORMATS,
+  parseCsv,
+  detectImportFormat,
+  parseImportDate,
+  parseDuration,
+  toKilograms,
+  parseWorkoutCsv,
+  suggestExerciseTemplate,
+  buildExerciseMappings,
+  applyExerciseMappings,
+  markDuplicates
+} from '@/lib/workout-import';
+import { buildExerciseLookup } from '@/lib/exercise-library';
+
+const strongCsv = [
+  'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+  '2023-01-15 08:30:00,"Legs, Heavy",1h 5m,Squat (Barbell),W,60,5,0,0,,Felt strong,',
+  '2023-01-15 08:30:00,"Legs, Heavy",1h 5m,Squat (Barbell),1,100,5,0,0,Belt on,Felt strong,8.5',
+  '2023-01-15 08:30:00,"Legs, Heavy",1h 5m,Squat (Barbell),Rest Timer,0,0,0,90,,Felt strong,',
+  '2023-01-15 08:30:00,"Legs, Heavy",1h 5m,Plank,1,0,0,0,60,,Felt strong,',
+  '2023-01-15 08:30:00,"Legs, Heavy",1h 5m,Leg Press,1,200,10,0,0,,Felt strong,',
+  '2023-01-10 18:00:00,Push,45m,Bench Press (Barbell),1,80,8,0,0,,,'
+].join('\r\n');
+
+const hevyCsv = [
+  'title,start_time,end_time,description,exercise_title,superset_id,exercise_notes,set_index,set_type,weight_lbs,reps,distance_miles,duration_seconds,rpe',
+  'Pull Day,"20 Mar 2024, 17:00","20 Mar 2024, 18:00",,Lat Pulldown (Cable),,,0,warmup,100,10,,,',
+  'Pull Day,"20 Mar 2024, 17:00","20 Mar 2024, 18:00",,Lat Pulldown (Cable),,,1,normal,150,8,,,9',
+  'Pull Day,"20 Mar 2024, 17:00","20 Mar 2024, 18:00",,Bicep Curl (Dumbbell),,,0,dropset,30,12,,,'
+].join('\n');
+
+const library = buildExerciseLookup([
+  { id: 1, userId: null, name: 'Back Squat', aliases: ['Squat', 'Barbell Squat'] },
+  { id: 2, userId: null, name: 'Bench Press', aliases: [] },
+  { id: 3, userId: null, name: 'Lat Pulldown', aliases: [] },
+  { id: 4, userId: 1, name: 'Leg Press', aliases: [] }
+]);
+
+describe('Workout Import', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted fields, escaped quotes and a BOM', () => {
+      expect(parseCsv('\uFEFFa,b\n"x, y","say ""hi"""\n\n')).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"']
+      ]);
+    });
+
+    it('should detect semicolon delimiters', () => {
+      expect(parseCsv('a;b\n1,5;2')).toEqual([['a', 'b'], ['1,5', '2']]);
+    });
+  });
+
+  describe('detectImportFormat', () => {
+    it('should recognize Strong and Hevy headers', () => {
+      expect(detectImportFormat(['Date', 'Workout Name', 'Exercise Name'])).toBe(IMPORT_FORMATS.STRONG);
+      expect(detectImportFormat(['title', 'start_time', 'exercise_title'])).toBe(IMPORT_FORMATS.HEVY);
+      expect(detectImportFormat(['name', 'weight'])).toBeNull();
+    });
+  });
+
+  describe('parseImportDate', () => {
+    it('should parse both export formats as UTC wall-clock times', () => {
+      expect(parseImportDate('2023-01-15 08:30:00').toISOString()).toBe('2023-01-15T08:30:00.000Z');
+      expect(parseImportDate('20 Mar 2024, 17:05').toISOString()).toBe('2024-03-20T17:05:00.000Z');
+      expect(parseImportDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should parse hour and minute durations into seconds', () => {
+      expect(parseDuration('1h 5m')).toBe(3900);
+      expect(parseDuration('45m')).toBe(2700);
+      expect(parseDuration('600')).toBe(600);
+      expect(parseDuration('')).toBeNull();
+    });
+  });
+
+  describe('toKilograms', () => {
+    it('should convert pounds and keep kilograms', () => {
+      expect(toKilograms('100', 'lb')).toBe(45.36);
+      expect(toKilograms('100', 'kg')).toBe(100);
+      expect(toKilograms('', 'kg')).toBeNull();
+    });
+  });
+
+  describe('parseWorkoutCsv', () => {
+    it('should group Strong rows into workouts sorted by date', () => {
+      const result = parseWorkoutCsv(strongCsv);
+
+      expect(result.format).toBe(IMPORT_FORMATS.STRONG);
+      expect(result.skippedSets).toBe(0);
+      expect(result.workouts.map(workout => workout.title)).toEqual(['Push', 'Legs, Heavy']);
+
+      const legs = result.workouts[1];
+      expect(legs).toMatchObject({
+        date: '2023-01-15T08:30:00.000Z',
+        duration: 3900,
+        notes: 'Felt strong'
+      });
+      expect(legs.exercises).toHaveLength(3);
+      expect(legs.exercises[0]).toMatchObject({ sourceName: 'Squat (Barbell)', notes: 'Belt on', trackingMode: 'WEIGHT_REPS' });
+      expect(legs.exercises[0].sets).toEqual([
+        { reps: 5, weight: 60, durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WARMUP' },
+        { reps: 5, weight: 100, durationSeconds: null, distanceMeters: null, rpe: 9, setType: 'WORKING' }
+      ]);
+    });
+
+    it('should import timed and distance sets in the mode their columns fill in', () => {
+      const result = parseWorkoutCsv([
+        'Date,Workout Name,Exercise Name,Set Order,Weight,Reps,Distance,Distance Unit,Seconds',
+        '2023-01-15 08:30:00,Legs,Plank,1,0,0,0,,60',
+        '2023-01-15 08:30:00,Legs,Plank,2,0,0,0,,0',
+        '2023-01-15 08:30:00,Legs,Rowing (Machine),1,0,0,2,km,450',
+        '2023-01-15 08:30:00,Legs,Farmer Walk,1,40,0,0.25,mi,'
+      ].join('\n'));
+
+      expect(result.skippedSets).toBe(1);
+      expect(result.workouts[0].exercises.map(({ trackingMode, sets }) => [trackingMode, sets.length])).toEqual([
+        ['DURATION', 1],
+        ['DISTANCE_DURATION', 1],
+        ['DISTANCE', 1]
+      ]);
+      expect(result.workouts[0].exercises[0].sets[0]).toMatchObject({ reps: null, durationSeconds: 60, distanceMeters: null });
+      expect(result.workouts[0].exercises[1].sets[0]).toMatchObject({ weight: null, durationSeconds: 450, distanceMeters: 2000 });
+      expect(result.workouts[0].exercises[2].sets[0]).toMatchObject({ weight: 40, distanceMeters: 402.3 });
+    });
+
+    it('should convert Strong weights from the chosen unit', () => {
+      const result = parseWorkoutCsv(strongCsv, { weightUnit: 'lb' });
+      expect(result.workouts[0].exercises[0].sets[0].weight).toBe(36.29);
+    });
+
+    it('should parse Hevy exports with pounds, set types and duration', () => {
+      const result = parseWorkoutCsv(hevyCsv);
+
+      expect(result.format).toBe(IMPORT_FORMATS.HEVY);
+      expect(result.workouts).toHaveLength(1);
+      expect(result.workouts[0]).toMatchObject({
+        title: 'Pull Day',
+        date: '2024-03-20T17:00:00.000Z',
+        duration: 3600
+      });
+      expect(result.workouts[0].exercises[0].sets).toEqual([
+        { reps: 10, weight: 45.36, durationSeconds: null, distanceMeters: null, rpe: null, setType: 'WARMUP' },
+        { reps: 8, weight: 68.04, durationSeconds: null, distanceMeters: null, rpe: 9, setType: 'WORKING' }
+      ]);
+      expect(result.workouts[0].exercises[1].sets[0].setType).toBe('DROP');
+    });
+
+    it('should return no format for unrecognized files', () => {
+      expect(parseWorkoutCsv('name,weight\nSquat,100')).toEqual({
+        format: null,
+        workouts: [],
+        skippedSets: 0
+      });
+    });
+  });
+
+  describe('suggestExerciseTemplate', () => {
+    it('should match names with an equipment suffix', () => {
+      expect(suggestExerciseTemplate('Squat (Barbell)', library).id).toBe(1);
+      expect(suggestExerciseTemplate('Lat Pulldown (Cable)', library).id).toBe(3);
+      expect(suggestExerciseTemplate('Leg Press', library).id).toBe(4);
+      expect(suggestExerciseTemplate('Plank', library)).toBeNull();
+    });
+  });
+
+  describe('buildExerciseMappings', () => {
+    it('should suggest library entries and count sets per exported name', () => {
+      const { workouts } = parseWorkoutCsv(strongCsv);
+
+      expect(buildExerciseMappings(workouts, library)).toEqual([
+        { sourceName: 'Bench Press (Barbell)', name: 'Bench Press', exerciseTemplateId: 2, setCount: 1 },
+        { sourceName: 'Leg Press', name: 'Leg Press', exerciseTemplateId: 4, setCount: 1 },
+        { sourceName: 'Plank', name: 'Plank', exerciseTemplateId: null, setCount: 1 },
+        { sourceName: 'Squat (Barbell)', name: 'Back Squat', exerciseTemplateId: 1, setCount: 2 }
+      ]);
+    });
+
+    it('should prefer names chosen by the user', () => {
+      const { workouts } = parseWorkoutCsv(strongCsv);
+      const mappings = buildExerciseMappings(workouts, library, {
+        'Squat (Barbell)': 'Box Squat',
+        'Leg Press': 'bench press'
+      });
+
+      expect(mappings.find(m => m.sourceName === 'Squat (Barbell)'))
+        .toMatchObject({ name: 'Box Squat', exerciseTemplateId: null });
+      expect(mappings.find(m => m.sourceName === 'Leg Press'))
+        .toMatchObject({ name: 'bench press', exerciseTemplateId: 2 });
+    });
+  });
+
+  describe('applyExerciseMappings', () => {
+    it('should rename exercises and link them to the library', () => {
+      const { workouts } = parseWorkoutCsv(strongCsv);
+      const mapped = applyExerciseMappings(workouts, buildExerciseMappings(workouts, library));
+
+      expect(mapped[1].exercises[0]).toMatchObject({
+        sourceName: 'Squat (Barbell)',
+        name: 'Back Squat',
+        exerciseTemplateId: 1
+      });
+      expect(workouts[1].exercises[0].name).toBe('Squat (Barbell)');
+    });
+  });
+
+  describe('markDuplicates', () => {
+    it('should flag workouts logged with the same title on the same day', () => {
+      const { workouts } = parseWorkoutCsv(strongCsv);
+      const marked = markDuplicates(workouts, [
+        { title: 'legs, heavy', date: new Date('2023-01-15T00:00:00.000Z') },
+        { title: 'Push', date: new Date('2023-01-11T00:00:00.000Z') }
+      ]);
+
+      expect(marked.map(workout => workout.duplicate)).toEqual([false, true]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  readWorkoutSearch,
+  encodeWorkoutCursor,
+  decodeWorkoutCursor,
+  buildWorkoutSearchWhere,
+  searchWorkouts,
+  WORKOUT_PAGE_SIZE
+} from '@/lib/workout-search';
+
+describe('workout-search', () => {
+  describe('readWorkoutSearch', () => {
+    it('should keep known parameters, trimmed, and drop blank ones', () => {
+      const params = new URLSearchParams('q=%20leg%20day%20&status=&exercise=squat&sort=title');
+
+      expect(readWorkoutSearch(params)).toEqual({ q: 'leg day', exercise: 'squat' });
+    });
+  });
+
+  describe('workout cursors', () => {
+    it('should round-trip the date and id of a workout', () => {
+      const cursor = encodeWorkoutCursor({ id: 42, date: new Date('2026-10-19T07:30:00.000Z') });
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeWorkoutCursor(cursor)).toEqual({ date: new Date('2026-10-19T07:30:00.000Z'), id: 42 });
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeWorkoutCursor('nope')).toBeNull();
+      expect(decodeWorkoutCursor(Buffer.from('2026-10-19T00:00:00.000Z_x').toString('base64url'))).toBeNull();
+      expect(decodeWorkoutCursor(Buffer.from('yesterday_4').toString('base64url'))).toBeNull();
+      expect(decodeWorkoutCursor(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildWorkoutSearchWhere', () => {
+    it('should only scope to the user without filters', () => {
+      expect(buildWorkoutSearchWhere(3, {})).toEqual({ userId: 3 });
+    });
+
+    it('should include the whole of the last day of the range', () => {
+      expect(buildWorkoutSearchWhere(3, { to: '2026-10-19' })).toEqual({
+        userId: 3,
+        AND: [{ date: { lt: new Date('2026-10-20T00:00:00.000Z') } }]
+      });
+    });
+  });
+
+  describe('searchWorkouts', () => {
+    it('should use the default page size and report the last page', async () => {
+      const db = { workout: { findMany: vi.fn().mockResolvedValue([{ id: 1, date: new Date() }]) } };
+
+      const page = await searchWorkouts(db, 3, {});
+
+      expect(db.workout.findMany.mock.calls[0][0].take).toBe(WORKOUT_PAGE_SIZE + 1);
+      expect(page).toEqual({ workouts: [{ id: 1, date: expect.any(Date) }], nextCursor: null });
+    });
+  });
+});